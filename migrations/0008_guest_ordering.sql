@@ -0,0 +1,12 @@
+-- Migration: Guest self-ordering from table QR codes
+-- Orders placed by guests land in PENDING_APPROVAL until a staff member confirms them.
+-- Guest items added to an already-running order use the order_items.status value
+-- 'PENDING_APPROVAL' (varchar, no schema change needed).
+
+-- Step 1: Add the PENDING_APPROVAL value to the order_status enum
+ALTER TYPE "order_status" ADD VALUE IF NOT EXISTS 'PENDING_APPROVAL' BEFORE 'PENDING';
+--> statement-breakpoint
+
+-- Step 2: Index to quickly find items awaiting approval for the staff approval queue
+CREATE INDEX IF NOT EXISTS "order_items_restaurant_status_idx"
+  ON "order_items" USING btree ("restaurant_id", "status");
@@ -0,0 +1,44 @@
+-- Migration: Inventory stock-movement ledger
+-- Every change to inventory_items.current_stock is written to inventory_movements
+-- (purchase, wastage, adjustment, consumption) with a signed quantity.
+
+-- Step 1: Movement type enum
+DO $$ BEGIN
+  CREATE TYPE "inventory_movement_type" AS ENUM ('PURCHASE', 'WASTAGE', 'ADJUSTMENT', 'CONSUMPTION');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+
+-- Step 2: Ledger table
+CREATE TABLE IF NOT EXISTS "inventory_movements" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "inventory_item_id" varchar NOT NULL,
+  "movement_type" "inventory_movement_type" NOT NULL,
+  "quantity" numeric(14, 3) NOT NULL,
+  "stock_after" numeric(14, 3) NOT NULL,
+  "unit_cost" numeric(12, 2),
+  "notes" text,
+  "reference_type" varchar(50),
+  "reference_id" varchar,
+  "actor_id" varchar,
+  "actor_type" "subject_type",
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Foreign keys
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_inventory_item_id_inventory_items_id_fk"
+  FOREIGN KEY ("inventory_item_id") REFERENCES "public"."inventory_items"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 4: Indexes for ledger listing (per restaurant and per item, newest first)
+CREATE INDEX IF NOT EXISTS "inventory_movements_restaurant_created_idx"
+  ON "inventory_movements" USING btree ("restaurant_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "inventory_movements_item_created_idx"
+  ON "inventory_movements" USING btree ("inventory_item_id", "created_at");
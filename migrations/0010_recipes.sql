@@ -0,0 +1,59 @@
+-- Migration: Recipes / bill of materials and automatic inventory consumption
+-- Menu items, variants and modifiers are linked to inventory items with per-unit quantities.
+-- Order items carry a stock_deducted flag so deduction and restoration are idempotent.
+
+-- Step 1: Reversal movement type (stock returned when an order item is removed/cancelled)
+ALTER TYPE "inventory_movement_type" ADD VALUE IF NOT EXISTS 'CONSUMPTION_REVERSAL';
+--> statement-breakpoint
+
+-- Step 2: Running average cost on inventory items, and finer cost precision on the ledger
+ALTER TABLE "inventory_items" ADD COLUMN IF NOT EXISTS "cost_per_unit" numeric(12, 4) DEFAULT '0' NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "inventory_movements" ALTER COLUMN "unit_cost" TYPE numeric(12, 4);
+--> statement-breakpoint
+
+-- Step 3: Track whether an order item's ingredients are currently deducted
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "stock_deducted" boolean DEFAULT false NOT NULL;
+--> statement-breakpoint
+
+-- Step 4: Recipe lines
+CREATE TABLE IF NOT EXISTS "recipe_ingredients" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "inventory_item_id" varchar NOT NULL,
+  "menu_item_id" varchar,
+  "variant_id" varchar,
+  "modifier_id" varchar,
+  "quantity" numeric(14, 3) NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now(),
+  CONSTRAINT "recipe_ingredients_single_target_check"
+    CHECK (num_nonnulls("menu_item_id", "variant_id", "modifier_id") = 1)
+);
+--> statement-breakpoint
+
+-- Step 5: Foreign keys
+ALTER TABLE "recipe_ingredients" ADD CONSTRAINT "recipe_ingredients_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "recipe_ingredients" ADD CONSTRAINT "recipe_ingredients_inventory_item_id_inventory_items_id_fk"
+  FOREIGN KEY ("inventory_item_id") REFERENCES "public"."inventory_items"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "recipe_ingredients" ADD CONSTRAINT "recipe_ingredients_menu_item_id_menu_items_id_fk"
+  FOREIGN KEY ("menu_item_id") REFERENCES "public"."menu_items"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "recipe_ingredients" ADD CONSTRAINT "recipe_ingredients_variant_id_menu_item_variants_id_fk"
+  FOREIGN KEY ("variant_id") REFERENCES "public"."menu_item_variants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "recipe_ingredients" ADD CONSTRAINT "recipe_ingredients_modifier_id_modifiers_id_fk"
+  FOREIGN KEY ("modifier_id") REFERENCES "public"."modifiers"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 6: Indexes
+CREATE INDEX IF NOT EXISTS "recipe_ingredients_restaurant_idx" ON "recipe_ingredients" USING btree ("restaurant_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "recipe_ingredients_menu_item_idx" ON "recipe_ingredients" USING btree ("menu_item_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "recipe_ingredients_variant_idx" ON "recipe_ingredients" USING btree ("variant_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "recipe_ingredients_modifier_idx" ON "recipe_ingredients" USING btree ("modifier_id");
@@ -0,0 +1,20 @@
+-- Migration: Split bills
+-- An order can now be settled by several payers, each with their own transaction row.
+-- The single full bill per order stays unique; split payments (split_method set) are exempt.
+
+-- Step 1: Split payment columns
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "split_method" varchar(10);
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "payer_label" varchar(100);
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "split_details" jsonb;
+--> statement-breakpoint
+
+-- Step 2: Replace the one-transaction-per-order constraint with a partial unique index
+ALTER TABLE "transactions" DROP CONSTRAINT IF EXISTS "transactions_order_id_unique";
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "transactions_order_id_single_bill_unique" ON "transactions" USING btree ("order_id") WHERE split_method IS NULL;
+--> statement-breakpoint
+
+-- Step 3: Lookup of all payments for an order
+CREATE INDEX IF NOT EXISTS "transactions_order_id_idx" ON "transactions" USING btree ("order_id");
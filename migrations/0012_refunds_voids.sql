@@ -0,0 +1,42 @@
+-- Migration: Refunds and voids
+-- Refunds and post-payment voids are negative transactions linked to the payment they reverse,
+-- so SUM(grand_total) over the ledger is always net revenue.
+
+-- Step 1: Entry type enum
+DO $$ BEGIN
+  CREATE TYPE "transaction_entry_type" AS ENUM ('PAYMENT', 'REFUND', 'VOID');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+
+-- Step 2: Ledger columns
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "entry_type" "transaction_entry_type" DEFAULT 'PAYMENT' NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "original_transaction_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "reason" text;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "approved_by_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "approved_by_type" "subject_type";
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "voided_at" timestamp with time zone;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_original_transaction_id_transactions_id_fk"
+  FOREIGN KEY ("original_transaction_id") REFERENCES "public"."transactions"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 3: Credit note numbering (CN-XXXXXX), separate from the invoice series
+ALTER TABLE "restaurants" ADD COLUMN IF NOT EXISTS "credit_note_counter" integer DEFAULT 0 NOT NULL;
+--> statement-breakpoint
+
+-- Step 4: Only one live full bill per order — refunds, voids and voided payments don't count
+DROP INDEX IF EXISTS "transactions_order_id_single_bill_unique";
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "transactions_order_id_single_bill_unique" ON "transactions" USING btree ("order_id")
+  WHERE split_method IS NULL AND entry_type = 'PAYMENT' AND voided_at IS NULL;
+--> statement-breakpoint
+
+-- Step 5: Reversals by original payment
+CREATE INDEX IF NOT EXISTS "transactions_original_transaction_idx" ON "transactions" USING btree ("original_transaction_id");
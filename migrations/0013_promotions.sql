@@ -0,0 +1,108 @@
+-- Migration: Promotions and order discounts
+-- Coupon codes, item/category-scoped offers, happy-hour windows and usage limits live in promotions.
+-- Every discount on an order (applied promotion or staff manual discount) is a row in order_discounts;
+-- orders.discount_amount is the sum of the APPLIED rows.
+
+-- Step 1: Enums
+DO $$ BEGIN
+  CREATE TYPE "discount_type" AS ENUM ('PERCENTAGE', 'FLAT');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+  CREATE TYPE "promotion_scope" AS ENUM ('ORDER', 'ITEMS', 'CATEGORIES');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+  CREATE TYPE "order_discount_status" AS ENUM ('PENDING_APPROVAL', 'APPLIED', 'REJECTED', 'REMOVED');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+
+-- Step 2: Promotions
+CREATE TABLE IF NOT EXISTS "promotions" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "name" varchar(150) NOT NULL,
+  "code" varchar(40),
+  "description" text,
+  "discount_type" "discount_type" NOT NULL,
+  "value" numeric(10, 2) NOT NULL,
+  "scope" "promotion_scope" DEFAULT 'ORDER' NOT NULL,
+  "menu_item_ids" jsonb DEFAULT '[]'::jsonb,
+  "category_ids" jsonb DEFAULT '[]'::jsonb,
+  "max_discount_amount" numeric(10, 2),
+  "min_order_amount" numeric(10, 2) DEFAULT '0' NOT NULL,
+  "starts_at" timestamp with time zone,
+  "ends_at" timestamp with time zone,
+  "active_days" jsonb,
+  "start_time" varchar(5),
+  "end_time" varchar(5),
+  "usage_limit" integer,
+  "per_guest_limit" integer,
+  "is_active" boolean DEFAULT true NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Order discounts
+CREATE TABLE IF NOT EXISTS "order_discounts" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "order_id" varchar NOT NULL,
+  "promotion_id" varchar,
+  "is_manual" boolean DEFAULT false NOT NULL,
+  "name" varchar(150) NOT NULL,
+  "code" varchar(40),
+  "discount_type" "discount_type" NOT NULL,
+  "value" numeric(10, 2) NOT NULL,
+  "rules" jsonb DEFAULT '{}'::jsonb,
+  "amount" numeric(12, 2) DEFAULT '0' NOT NULL,
+  "status" "order_discount_status" DEFAULT 'APPLIED' NOT NULL,
+  "guest_phone" varchar(20),
+  "reason" text,
+  "requested_by_id" varchar,
+  "requested_by_type" "subject_type",
+  "approved_by_id" varchar,
+  "approved_by_type" "subject_type",
+  "decided_at" timestamp with time zone,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 4: Foreign keys
+ALTER TABLE "promotions" ADD CONSTRAINT "promotions_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "order_discounts" ADD CONSTRAINT "order_discounts_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "order_discounts" ADD CONSTRAINT "order_discounts_order_id_orders_id_fk"
+  FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "order_discounts" ADD CONSTRAINT "order_discounts_promotion_id_promotions_id_fk"
+  FOREIGN KEY ("promotion_id") REFERENCES "public"."promotions"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 5: Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS "promotions_restaurant_code_unique" ON "promotions" USING btree ("restaurant_id", "code");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "promotions_restaurant_idx" ON "promotions" USING btree ("restaurant_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "order_discounts_order_idx" ON "order_discounts" USING btree ("order_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "order_discounts_promotion_status_idx" ON "order_discounts" USING btree ("promotion_id", "status");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "order_discounts_restaurant_status_idx" ON "order_discounts" USING btree ("restaurant_id", "status");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "order_discounts_one_promotion_per_order" ON "order_discounts" USING btree ("order_id")
+  WHERE is_manual = false AND status = 'APPLIED';
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "order_discounts_one_manual_per_order" ON "order_discounts" USING btree ("order_id")
+  WHERE is_manual = true AND status IN ('APPLIED', 'PENDING_APPROVAL');
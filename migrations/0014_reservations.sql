@@ -0,0 +1,50 @@
+-- Migration: Table reservations
+-- Bookings with a time slot, party size and table. ends_at is stored so overlap checks are range comparisons;
+-- table_held_at records when the table was switched to RESERVED for the booking.
+
+-- Step 1: Enum
+DO $$ BEGIN
+  CREATE TYPE "reservation_status" AS ENUM ('BOOKED', 'SEATED', 'CANCELLED', 'NO_SHOW');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+
+-- Step 2: Reservations
+CREATE TABLE IF NOT EXISTS "reservations" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "table_id" varchar,
+  "guest_name" varchar(150) NOT NULL,
+  "phone_number" varchar(20),
+  "party_size" integer NOT NULL,
+  "starts_at" timestamp with time zone NOT NULL,
+  "duration_minutes" integer DEFAULT 90 NOT NULL,
+  "ends_at" timestamp with time zone NOT NULL,
+  "status" "reservation_status" DEFAULT 'BOOKED' NOT NULL,
+  "source" varchar(20) DEFAULT 'STAFF' NOT NULL,
+  "notes" text,
+  "table_held_at" timestamp with time zone,
+  "seated_at" timestamp with time zone,
+  "cancelled_at" timestamp with time zone,
+  "cancel_reason" text,
+  "no_show_at" timestamp with time zone,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Foreign keys
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_table_id_tables_id_fk"
+  FOREIGN KEY ("table_id") REFERENCES "public"."tables"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 4: Indexes
+CREATE INDEX IF NOT EXISTS "reservations_restaurant_starts_idx" ON "reservations" USING btree ("restaurant_id", "starts_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "reservations_table_starts_idx" ON "reservations" USING btree ("table_id", "starts_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "reservations_status_starts_idx" ON "reservations" USING btree ("status", "starts_at");
@@ -0,0 +1,14 @@
+-- Migration: Merged table groups
+-- Tables pushed together point at the group's primary table, which holds the group's orders and bill.
+
+-- Step 1: Column
+ALTER TABLE "tables" ADD COLUMN IF NOT EXISTS "merged_into_table_id" varchar;
+--> statement-breakpoint
+
+-- Step 2: Foreign key
+ALTER TABLE "tables" ADD CONSTRAINT "tables_merged_into_table_id_tables_id_fk"
+  FOREIGN KEY ("merged_into_table_id") REFERENCES "public"."tables"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 3: Index
+CREATE INDEX IF NOT EXISTS "tables_merged_into_idx" ON "tables" USING btree ("merged_into_table_id");
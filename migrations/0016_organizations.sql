@@ -0,0 +1,118 @@
+-- Migration: Multi-outlet organizations
+-- An organization groups an owner's restaurants (outlets) under one brand with a master menu that is
+-- pushed to outlets (with per-outlet price/availability overrides), and lets staff log into several outlets.
+
+-- Step 1: Organizations
+CREATE TABLE IF NOT EXISTS "organizations" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "owner_id" varchar NOT NULL,
+  "name" varchar(200) NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "restaurants" ADD COLUMN IF NOT EXISTS "organization_id" varchar;
+--> statement-breakpoint
+
+-- Step 2: Master menu
+CREATE TABLE IF NOT EXISTS "master_menu_categories" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "organization_id" varchar NOT NULL,
+  "name" varchar(150) NOT NULL,
+  "name_translations" jsonb DEFAULT '{}'::jsonb,
+  "sort_order" integer,
+  "is_active" boolean DEFAULT true NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "master_menu_items" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "organization_id" varchar NOT NULL,
+  "master_category_id" varchar NOT NULL,
+  "name" varchar(200) NOT NULL,
+  "name_translations" jsonb DEFAULT '{}'::jsonb,
+  "description" text,
+  "description_translations" jsonb DEFAULT '{}'::jsonb,
+  "price" numeric(10, 2) NOT NULL,
+  "image_url" text,
+  "is_active" boolean DEFAULT true NOT NULL,
+  "dietary_tags" varchar(50)[],
+  "sort_order" integer,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "outlet_menu_overrides" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "master_item_id" varchar NOT NULL,
+  "price" numeric(10, 2),
+  "is_available" boolean,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "menu_categories" ADD COLUMN IF NOT EXISTS "master_category_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "menu_items" ADD COLUMN IF NOT EXISTS "master_item_id" varchar;
+--> statement-breakpoint
+
+-- Step 3: Shared staff
+CREATE TABLE IF NOT EXISTS "staff_outlet_access" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "staff_id" varchar NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 4: Foreign keys
+ALTER TABLE "organizations" ADD CONSTRAINT "organizations_owner_id_users_id_fk"
+  FOREIGN KEY ("owner_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "restaurants" ADD CONSTRAINT "restaurants_organization_id_organizations_id_fk"
+  FOREIGN KEY ("organization_id") REFERENCES "public"."organizations"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "master_menu_categories" ADD CONSTRAINT "master_menu_categories_organization_id_organizations_id_fk"
+  FOREIGN KEY ("organization_id") REFERENCES "public"."organizations"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "master_menu_items" ADD CONSTRAINT "master_menu_items_organization_id_organizations_id_fk"
+  FOREIGN KEY ("organization_id") REFERENCES "public"."organizations"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "master_menu_items" ADD CONSTRAINT "master_menu_items_master_category_id_master_menu_categories_id_fk"
+  FOREIGN KEY ("master_category_id") REFERENCES "public"."master_menu_categories"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "outlet_menu_overrides" ADD CONSTRAINT "outlet_menu_overrides_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "outlet_menu_overrides" ADD CONSTRAINT "outlet_menu_overrides_master_item_id_master_menu_items_id_fk"
+  FOREIGN KEY ("master_item_id") REFERENCES "public"."master_menu_items"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "menu_categories" ADD CONSTRAINT "menu_categories_master_category_id_master_menu_categories_id_fk"
+  FOREIGN KEY ("master_category_id") REFERENCES "public"."master_menu_categories"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "menu_items" ADD CONSTRAINT "menu_items_master_item_id_master_menu_items_id_fk"
+  FOREIGN KEY ("master_item_id") REFERENCES "public"."master_menu_items"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "staff_outlet_access" ADD CONSTRAINT "staff_outlet_access_staff_id_staff_id_fk"
+  FOREIGN KEY ("staff_id") REFERENCES "public"."staff"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "staff_outlet_access" ADD CONSTRAINT "staff_outlet_access_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 5: Indexes
+CREATE INDEX IF NOT EXISTS "organizations_owner_idx" ON "organizations" USING btree ("owner_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "master_menu_categories_organization_idx" ON "master_menu_categories" USING btree ("organization_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "master_menu_items_organization_idx" ON "master_menu_items" USING btree ("organization_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "outlet_menu_overrides_restaurant_item_idx" ON "outlet_menu_overrides" USING btree ("restaurant_id", "master_item_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "menu_items_restaurant_master_idx" ON "menu_items" USING btree ("restaurant_id", "master_item_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "staff_outlet_access_staff_restaurant_idx" ON "staff_outlet_access" USING btree ("staff_id", "restaurant_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "staff_outlet_access_restaurant_idx" ON "staff_outlet_access" USING btree ("restaurant_id");
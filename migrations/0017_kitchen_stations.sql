@@ -0,0 +1,46 @@
+-- Migration: Kitchen display stations
+-- Menu categories/items route to a station (item wins over category; unrouted items go to the
+-- restaurant's default station). Order items keep the station they were routed to when ordered.
+
+-- Step 1: Stations
+CREATE TABLE IF NOT EXISTS "kitchen_stations" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "is_default" boolean DEFAULT false NOT NULL,
+  "sort_order" integer DEFAULT 0 NOT NULL,
+  "is_active" boolean DEFAULT true NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 2: Routing columns
+ALTER TABLE "menu_categories" ADD COLUMN IF NOT EXISTS "kitchen_station_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "menu_items" ADD COLUMN IF NOT EXISTS "kitchen_station_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "kitchen_station_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "staff" ADD COLUMN IF NOT EXISTS "kitchen_station_id" varchar;
+--> statement-breakpoint
+
+-- Step 3: Foreign keys
+ALTER TABLE "kitchen_stations" ADD CONSTRAINT "kitchen_stations_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "menu_categories" ADD CONSTRAINT "menu_categories_kitchen_station_id_kitchen_stations_id_fk"
+  FOREIGN KEY ("kitchen_station_id") REFERENCES "public"."kitchen_stations"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "menu_items" ADD CONSTRAINT "menu_items_kitchen_station_id_kitchen_stations_id_fk"
+  FOREIGN KEY ("kitchen_station_id") REFERENCES "public"."kitchen_stations"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_kitchen_station_id_kitchen_stations_id_fk"
+  FOREIGN KEY ("kitchen_station_id") REFERENCES "public"."kitchen_stations"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "staff" ADD CONSTRAINT "staff_kitchen_station_id_kitchen_stations_id_fk"
+  FOREIGN KEY ("kitchen_station_id") REFERENCES "public"."kitchen_stations"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 4: Indexes
+CREATE INDEX IF NOT EXISTS "kitchen_stations_restaurant_idx" ON "kitchen_stations" USING btree ("restaurant_id");
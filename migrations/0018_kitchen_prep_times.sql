@@ -0,0 +1,27 @@
+-- Migration: Kitchen prep-time tracking and SLA alerts
+-- Order items record when they were accepted, started, ready and served, and carry the menu
+-- item's target prep time so overdue tickets can be flagged once.
+
+-- Step 1: Target prep time per menu item
+ALTER TABLE "menu_items" ADD COLUMN IF NOT EXISTS "target_prep_minutes" integer;
+--> statement-breakpoint
+
+-- Step 2: Item timeline
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "accepted_at" timestamp with time zone;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "started_at" timestamp with time zone;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "ready_at" timestamp with time zone;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "served_at" timestamp with time zone;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "target_prep_minutes" integer;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "overdue_alerted_at" timestamp with time zone;
+--> statement-breakpoint
+
+-- Step 3: Indexes
+CREATE INDEX IF NOT EXISTS "order_items_restaurant_accepted_idx" ON "order_items" USING btree ("restaurant_id", "accepted_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "order_items_kitchen_open_idx" ON "order_items" USING btree ("accepted_at")
+  WHERE ready_at IS NULL AND overdue_alerted_at IS NULL;
@@ -0,0 +1,10 @@
+-- Migration: Course firing for dine-in orders
+-- Order items carry a course number; later courses are held out of the kitchen until a waiter
+-- fires them, at which point they go out as their own KOT.
+
+-- Step 1: Course and hold/fire state
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "course_number" integer DEFAULT 1 NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "is_held" boolean DEFAULT false NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "order_items" ADD COLUMN IF NOT EXISTS "fired_at" timestamp with time zone;
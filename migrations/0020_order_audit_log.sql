@@ -0,0 +1,47 @@
+-- Migration: Order audit trail
+-- One append-only row per change to an order's items, prices, discounts or payments, with the
+-- actor, the changed fields before/after and the reason. Updates are rejected by a trigger; rows
+-- only go away with their restaurant.
+
+-- Step 1: Audit log
+CREATE TABLE IF NOT EXISTS "order_audit_log" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "order_id" varchar NOT NULL,
+  "order_item_id" varchar,
+  "action" varchar(50) NOT NULL,
+  "actor_id" varchar,
+  "actor_type" "subject_type",
+  "before" jsonb DEFAULT '{}'::jsonb,
+  "after" jsonb DEFAULT '{}'::jsonb,
+  "reason" text,
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 2: Foreign keys
+ALTER TABLE "order_audit_log" ADD CONSTRAINT "order_audit_log_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 3: Indexes
+CREATE INDEX IF NOT EXISTS "order_audit_log_order_created_idx" ON "order_audit_log" USING btree ("order_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "order_audit_log_actor_created_idx" ON "order_audit_log" USING btree ("restaurant_id", "actor_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "order_audit_log_restaurant_created_idx" ON "order_audit_log" USING btree ("restaurant_id", "created_at");
+--> statement-breakpoint
+
+-- Step 4: Append-only
+CREATE OR REPLACE FUNCTION reject_order_audit_log_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'order_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+--> statement-breakpoint
+DROP TRIGGER IF EXISTS trg_order_audit_log_immutable ON order_audit_log;
+--> statement-breakpoint
+CREATE TRIGGER trg_order_audit_log_immutable
+  BEFORE UPDATE ON order_audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_order_audit_log_update();
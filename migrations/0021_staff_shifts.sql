@@ -0,0 +1,60 @@
+-- Migration: Staff shifts and attendance
+-- Managers schedule shifts; staff clock in/out (with breaks) from their terminal login. Orders a
+-- staff member places are attributed to the shift they are clocked into.
+
+-- Step 1: Shifts
+CREATE TABLE IF NOT EXISTS "staff_shifts" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "staff_id" varchar NOT NULL,
+  "scheduled_start" timestamp with time zone,
+  "scheduled_end" timestamp with time zone,
+  "clock_in_at" timestamp with time zone,
+  "clock_out_at" timestamp with time zone,
+  "notes" text,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 2: Breaks
+CREATE TABLE IF NOT EXISTS "staff_shift_breaks" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "shift_id" varchar NOT NULL,
+  "started_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "ended_at" timestamp with time zone
+);
+--> statement-breakpoint
+
+-- Step 3: Order attribution
+ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "shift_id" varchar;
+--> statement-breakpoint
+
+-- Step 4: Foreign keys
+ALTER TABLE "staff_shifts" ADD CONSTRAINT "staff_shifts_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "staff_shifts" ADD CONSTRAINT "staff_shifts_staff_id_staff_id_fk"
+  FOREIGN KEY ("staff_id") REFERENCES "public"."staff"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "staff_shift_breaks" ADD CONSTRAINT "staff_shift_breaks_shift_id_staff_shifts_id_fk"
+  FOREIGN KEY ("shift_id") REFERENCES "public"."staff_shifts"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "orders" ADD CONSTRAINT "orders_shift_id_staff_shifts_id_fk"
+  FOREIGN KEY ("shift_id") REFERENCES "public"."staff_shifts"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 5: Indexes
+CREATE INDEX IF NOT EXISTS "staff_shifts_restaurant_scheduled_idx" ON "staff_shifts" USING btree ("restaurant_id", "scheduled_start");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "staff_shifts_restaurant_clock_in_idx" ON "staff_shifts" USING btree ("restaurant_id", "clock_in_at");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "staff_shifts_one_open_per_staff" ON "staff_shifts" USING btree ("staff_id")
+  WHERE clock_in_at IS NOT NULL AND clock_out_at IS NULL;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "staff_shift_breaks_shift_idx" ON "staff_shift_breaks" USING btree ("shift_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "staff_shift_breaks_one_open_per_shift" ON "staff_shift_breaks" USING btree ("shift_id")
+  WHERE ended_at IS NULL;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "orders_shift_idx" ON "orders" USING btree ("shift_id");
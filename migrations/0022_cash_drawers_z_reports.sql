@@ -0,0 +1,111 @@
+-- Migration: Cash drawer sessions and end-of-day Z-reports
+-- Drawers are opened with a float per terminal or staff member and closed with a count; cash
+-- payments/refunds taken meanwhile are linked to the open session. Z-reports freeze the day's
+-- totals once closed: the report columns can't be changed afterwards.
+
+-- Step 1: Drawer sessions
+CREATE TABLE IF NOT EXISTS "cash_drawer_sessions" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "terminal_label" varchar(50),
+  "staff_id" varchar,
+  "opening_float" numeric(12, 2) DEFAULT '0' NOT NULL,
+  "opened_by_id" varchar,
+  "opened_by_type" "subject_type",
+  "opened_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "expected_cash" numeric(12, 2),
+  "counted_cash" numeric(12, 2),
+  "variance" numeric(12, 2),
+  "closed_by_id" varchar,
+  "closed_by_type" "subject_type",
+  "closed_at" timestamp with time zone,
+  "notes" text
+);
+--> statement-breakpoint
+
+-- Step 2: Pay-ins and pay-outs
+CREATE TABLE IF NOT EXISTS "cash_drawer_movements" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "session_id" varchar NOT NULL,
+  "type" varchar(10) NOT NULL,
+  "amount" numeric(12, 2) NOT NULL,
+  "reason" text NOT NULL,
+  "actor_id" varchar,
+  "actor_type" "subject_type",
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Z-reports
+CREATE TABLE IF NOT EXISTS "z_reports" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "business_date" varchar(10) NOT NULL,
+  "period_start" timestamp with time zone NOT NULL,
+  "period_end" timestamp with time zone NOT NULL,
+  "report" jsonb NOT NULL,
+  "closed_by_id" varchar,
+  "closed_by_type" "subject_type",
+  "closed_at" timestamp with time zone DEFAULT now(),
+  "emailed_to" varchar(255),
+  "emailed_at" timestamp with time zone
+);
+--> statement-breakpoint
+
+-- Step 4: Link cash transactions to their drawer
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "cash_drawer_session_id" varchar;
+--> statement-breakpoint
+
+-- Step 5: Foreign keys
+ALTER TABLE "cash_drawer_sessions" ADD CONSTRAINT "cash_drawer_sessions_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "cash_drawer_sessions" ADD CONSTRAINT "cash_drawer_sessions_staff_id_staff_id_fk"
+  FOREIGN KEY ("staff_id") REFERENCES "public"."staff"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "cash_drawer_movements" ADD CONSTRAINT "cash_drawer_movements_session_id_cash_drawer_sessions_id_fk"
+  FOREIGN KEY ("session_id") REFERENCES "public"."cash_drawer_sessions"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "z_reports" ADD CONSTRAINT "z_reports_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_cash_drawer_session_id_cash_drawer_sessions_id_fk"
+  FOREIGN KEY ("cash_drawer_session_id") REFERENCES "public"."cash_drawer_sessions"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 6: Indexes
+CREATE INDEX IF NOT EXISTS "cash_drawer_sessions_restaurant_opened_idx" ON "cash_drawer_sessions" USING btree ("restaurant_id", "opened_at");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "cash_drawer_sessions_one_open_per_terminal" ON "cash_drawer_sessions" USING btree ("restaurant_id", "terminal_label")
+  WHERE closed_at IS NULL AND terminal_label IS NOT NULL;
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "cash_drawer_sessions_one_open_per_staff" ON "cash_drawer_sessions" USING btree ("staff_id")
+  WHERE closed_at IS NULL AND staff_id IS NOT NULL;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "cash_drawer_movements_session_idx" ON "cash_drawer_movements" USING btree ("session_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "z_reports_restaurant_date_unique" ON "z_reports" USING btree ("restaurant_id", "business_date");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "transactions_cash_drawer_session_idx" ON "transactions" USING btree ("cash_drawer_session_id");
+--> statement-breakpoint
+
+-- Step 7: Closed reports are locked (only the email delivery stamp may change)
+CREATE OR REPLACE FUNCTION reject_z_report_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.report IS DISTINCT FROM OLD.report
+    OR NEW.business_date IS DISTINCT FROM OLD.business_date
+    OR NEW.period_start IS DISTINCT FROM OLD.period_start
+    OR NEW.period_end IS DISTINCT FROM OLD.period_end
+    OR NEW.closed_at IS DISTINCT FROM OLD.closed_at THEN
+    RAISE EXCEPTION 'z_reports are locked once closed';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+--> statement-breakpoint
+DROP TRIGGER IF EXISTS trg_z_reports_locked ON z_reports;
+--> statement-breakpoint
+CREATE TRIGGER trg_z_reports_locked
+  BEFORE UPDATE ON z_reports
+  FOR EACH ROW EXECUTE FUNCTION reject_z_report_change();
@@ -0,0 +1,33 @@
+-- Migration: Configurable staff roles and permissions
+-- Restaurants define their own roles (cashier, captain, bartender, ...) as a set of named
+-- permissions. A staff member's custom role replaces the defaults of their base role
+-- (ADMIN / WAITER / KITCHEN), which still decides their terminal type.
+
+-- Step 1: Roles
+CREATE TABLE IF NOT EXISTS "staff_roles" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "name" varchar(50) NOT NULL,
+  "description" varchar(255),
+  "permissions" text[] DEFAULT '{}'::text[] NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 2: Staff assignment
+ALTER TABLE "staff" ADD COLUMN IF NOT EXISTS "role_id" varchar;
+--> statement-breakpoint
+
+-- Step 3: Foreign keys (a role can't be deleted while staff hold it)
+ALTER TABLE "staff_roles" ADD CONSTRAINT "staff_roles_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "staff" ADD CONSTRAINT "staff_role_id_staff_roles_id_fk"
+  FOREIGN KEY ("role_id") REFERENCES "public"."staff_roles"("id") ON DELETE restrict ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 4: Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS "staff_roles_restaurant_name_idx" ON "staff_roles" USING btree ("restaurant_id", lower("name"));
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "staff_role_idx" ON "staff" USING btree ("role_id");
@@ -0,0 +1,28 @@
+-- Migration: Manager PIN overrides
+-- Staff without a permission can still perform a restricted action once a manager enters their
+-- passcode. Each approval is logged with who asked and who approved.
+
+-- Step 1: Override log
+CREATE TABLE IF NOT EXISTS "manager_overrides" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "permission" varchar(50) NOT NULL,
+  "action" varchar(200) NOT NULL,
+  "order_id" varchar,
+  "requested_by_id" varchar,
+  "requested_by_type" "subject_type",
+  "approved_by_id" varchar NOT NULL,
+  "approved_by_name" varchar(150),
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 2: Foreign keys
+ALTER TABLE "manager_overrides" ADD CONSTRAINT "manager_overrides_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 3: Indexes
+CREATE INDEX IF NOT EXISTS "manager_overrides_restaurant_created_idx" ON "manager_overrides" USING btree ("restaurant_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "manager_overrides_order_idx" ON "manager_overrides" USING btree ("order_id");
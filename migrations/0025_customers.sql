@@ -0,0 +1,69 @@
+-- Migration: Customer profiles
+-- Guests are matched across visits by phone number (last 10 digits) per restaurant. Orders and
+-- queue entries point at the profile; visit count and spend are read from the orders.
+
+-- Step 1: Profiles
+CREATE TABLE IF NOT EXISTS "customers" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "phone" varchar(20) NOT NULL,
+  "name" varchar(150),
+  "allergies" text,
+  "notes" text,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 2: Links
+ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "customer_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "guest_queue" ADD COLUMN IF NOT EXISTS "customer_id" varchar;
+--> statement-breakpoint
+
+-- Step 3: Foreign keys
+ALTER TABLE "customers" ADD CONSTRAINT "customers_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "orders" ADD CONSTRAINT "orders_customer_id_customers_id_fk"
+  FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "guest_queue" ADD CONSTRAINT "guest_queue_customer_id_customers_id_fk"
+  FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 4: Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS "customers_restaurant_phone_idx" ON "customers" USING btree ("restaurant_id", "phone");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "orders_customer_idx" ON "orders" USING btree ("customer_id");
+--> statement-breakpoint
+
+-- Step 5: Backfill profiles from past orders and queue entries (latest name wins)
+INSERT INTO "customers" ("restaurant_id", "phone", "name", "created_at")
+SELECT DISTINCT ON ("restaurant_id", "phone")
+  "restaurant_id", "phone", "name", min("seen_at") OVER (PARTITION BY "restaurant_id", "phone")
+FROM (
+  SELECT "restaurant_id", right(regexp_replace("guest_phone", '\D', '', 'g'), 10) AS "phone",
+         "guest_name" AS "name", "created_at" AS "seen_at"
+  FROM "orders"
+  WHERE "guest_phone" IS NOT NULL
+  UNION ALL
+  SELECT "restaurant_id", right(regexp_replace("phone_number", '\D', '', 'g'), 10), "guest_name", "entry_time"
+  FROM "guest_queue"
+  WHERE "phone_number" IS NOT NULL
+) AS "seen"
+WHERE length("phone") >= 7
+ORDER BY "restaurant_id", "phone", "name" IS NULL, "seen_at" DESC
+ON CONFLICT ("restaurant_id", "phone") DO NOTHING;
+--> statement-breakpoint
+UPDATE "orders" AS o SET "customer_id" = c."id"
+FROM "customers" AS c
+WHERE o."customer_id" IS NULL AND o."guest_phone" IS NOT NULL
+  AND c."restaurant_id" = o."restaurant_id"
+  AND c."phone" = right(regexp_replace(o."guest_phone", '\D', '', 'g'), 10);
+--> statement-breakpoint
+UPDATE "guest_queue" AS q SET "customer_id" = c."id"
+FROM "customers" AS c
+WHERE q."customer_id" IS NULL AND q."phone_number" IS NOT NULL
+  AND c."restaurant_id" = q."restaurant_id"
+  AND c."phone" = right(regexp_replace(q."phone_number", '\D', '', 'g'), 10);
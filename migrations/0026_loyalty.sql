@@ -0,0 +1,84 @@
+-- Migration: Loyalty points
+-- Guests (customer profiles) earn points on payments and spend them as a payment method or a
+-- discount. Every change is a signed row in the ledger; refunds and cancellations add reversal
+-- rows that point at what they undo.
+
+-- Step 1: Types
+DO $$ BEGIN
+  CREATE TYPE "public"."loyalty_entry_type" AS ENUM('EARN', 'REDEEM', 'ADJUST', 'EXPIRE', 'EARN_REVERSAL', 'REDEEM_REVERSAL');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+ALTER TYPE "payment_method" ADD VALUE IF NOT EXISTS 'LOYALTY';
+--> statement-breakpoint
+
+-- Step 2: Program settings
+CREATE TABLE IF NOT EXISTS "loyalty_programs" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "is_enabled" boolean DEFAULT false NOT NULL,
+  "earn_rate" numeric(10, 4) DEFAULT '0.1' NOT NULL,
+  "point_value" numeric(10, 4) DEFAULT '1' NOT NULL,
+  "min_redeem_points" integer DEFAULT 0 NOT NULL,
+  "max_redeem_percent" integer DEFAULT 100 NOT NULL,
+  "expiry_days" integer,
+  "tiers" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Ledger
+CREATE TABLE IF NOT EXISTS "loyalty_ledger" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "customer_id" varchar NOT NULL,
+  "entry_type" "loyalty_entry_type" NOT NULL,
+  "points" integer NOT NULL,
+  "order_id" varchar,
+  "transaction_id" varchar,
+  "order_discount_id" varchar,
+  "reverses_entry_id" varchar,
+  "reason" text,
+  "actor_id" varchar,
+  "actor_type" "subject_type",
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "order_discounts" ADD COLUMN IF NOT EXISTS "loyalty_points" integer;
+--> statement-breakpoint
+
+-- Step 4: Foreign keys
+ALTER TABLE "loyalty_programs" ADD CONSTRAINT "loyalty_programs_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "loyalty_ledger" ADD CONSTRAINT "loyalty_ledger_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "loyalty_ledger" ADD CONSTRAINT "loyalty_ledger_customer_id_customers_id_fk"
+  FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "loyalty_ledger" ADD CONSTRAINT "loyalty_ledger_order_id_orders_id_fk"
+  FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "loyalty_ledger" ADD CONSTRAINT "loyalty_ledger_transaction_id_transactions_id_fk"
+  FOREIGN KEY ("transaction_id") REFERENCES "public"."transactions"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "loyalty_ledger" ADD CONSTRAINT "loyalty_ledger_order_discount_id_order_discounts_id_fk"
+  FOREIGN KEY ("order_discount_id") REFERENCES "public"."order_discounts"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "loyalty_ledger" ADD CONSTRAINT "loyalty_ledger_reverses_entry_id_loyalty_ledger_id_fk"
+  FOREIGN KEY ("reverses_entry_id") REFERENCES "public"."loyalty_ledger"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 5: Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS "loyalty_programs_restaurant_unique" ON "loyalty_programs" USING btree ("restaurant_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "loyalty_ledger_customer_created_idx" ON "loyalty_ledger" USING btree ("customer_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "loyalty_ledger_order_idx" ON "loyalty_ledger" USING btree ("order_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "loyalty_ledger_transaction_idx" ON "loyalty_ledger" USING btree ("transaction_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "loyalty_ledger_reverses_entry_idx" ON "loyalty_ledger" USING btree ("reverses_entry_id");
@@ -0,0 +1,83 @@
+-- Migration: Delivery orders
+-- DELIVERY orders get an address (with coordinates), a distance-based delivery fee, a rider and
+-- dispatch/delivered tracking. The fee is a bill component like the service charge: it is added
+-- to the order total and snapshotted on the transaction.
+
+-- Step 1: Types
+DO $$ BEGIN
+  CREATE TYPE "public"."delivery_status" AS ENUM('PENDING', 'ASSIGNED', 'DISPATCHED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED', 'CANCELLED');
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+
+-- Step 2: Delivery fee on bills
+ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "delivery_fee" numeric(10, 2) DEFAULT '0' NOT NULL;
+--> statement-breakpoint
+ALTER TABLE "transactions" ADD COLUMN IF NOT EXISTS "delivery_fee" numeric(10, 2) DEFAULT '0' NOT NULL;
+--> statement-breakpoint
+
+-- Step 3: Fee bands
+CREATE TABLE IF NOT EXISTS "delivery_fee_rules" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "max_distance_km" numeric(6, 2) NOT NULL,
+  "fee" numeric(10, 2) NOT NULL,
+  "free_above_amount" numeric(10, 2),
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 4: Deliveries
+CREATE TABLE IF NOT EXISTS "deliveries" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "order_id" varchar NOT NULL,
+  "address_line1" varchar(255),
+  "address_line2" varchar(255),
+  "landmark" varchar(255),
+  "city" varchar(100),
+  "postal_code" varchar(20),
+  "latitude" numeric(10, 7),
+  "longitude" numeric(10, 7),
+  "instructions" text,
+  "distance_km" numeric(6, 2),
+  "status" "delivery_status" DEFAULT 'PENDING' NOT NULL,
+  "rider_staff_id" varchar,
+  "assigned_at" timestamp with time zone,
+  "dispatched_at" timestamp with time zone,
+  "out_for_delivery_at" timestamp with time zone,
+  "delivered_at" timestamp with time zone,
+  "failed_at" timestamp with time zone,
+  "failure_reason" text,
+  "tracking_token" varchar(64) NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 5: Foreign keys
+ALTER TABLE "delivery_fee_rules" ADD CONSTRAINT "delivery_fee_rules_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "deliveries" ADD CONSTRAINT "deliveries_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "deliveries" ADD CONSTRAINT "deliveries_order_id_orders_id_fk"
+  FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "deliveries" ADD CONSTRAINT "deliveries_rider_staff_id_staff_id_fk"
+  FOREIGN KEY ("rider_staff_id") REFERENCES "public"."staff"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 6: Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS "delivery_fee_rules_restaurant_distance_idx" ON "delivery_fee_rules" USING btree ("restaurant_id", "max_distance_km");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "deliveries_order_unique" ON "deliveries" USING btree ("order_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "deliveries_tracking_token_unique" ON "deliveries" USING btree ("tracking_token");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "deliveries_restaurant_status_idx" ON "deliveries" USING btree ("restaurant_id", "status");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "deliveries_rider_status_idx" ON "deliveries" USING btree ("rider_staff_id", "status");
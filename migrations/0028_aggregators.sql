@@ -0,0 +1,86 @@
+-- Migration: Delivery aggregator orders
+-- Orders from aggregators arrive on a signed webhook per integration, are mapped onto the menu and
+-- created like any other order with the aggregator's order id attached. Kitchen status changes are
+-- pushed back to the aggregator.
+
+-- Step 1: External reference on orders (one order per aggregator order id)
+ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "external_source" varchar(30);
+--> statement-breakpoint
+ALTER TABLE "orders" ADD COLUMN IF NOT EXISTS "external_order_id" varchar(100);
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "orders_external_ref_unique" ON "orders" USING btree ("restaurant_id", "external_source", "external_order_id");
+--> statement-breakpoint
+
+-- Step 2: Integrations
+CREATE TABLE IF NOT EXISTS "aggregator_integrations" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "provider" varchar(30) NOT NULL,
+  "external_store_id" varchar(100) NOT NULL,
+  "webhook_secret" varchar(128) NOT NULL,
+  "status_callback_url" text,
+  "is_enabled" boolean DEFAULT true NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Menu mappings
+CREATE TABLE IF NOT EXISTS "aggregator_item_mappings" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "integration_id" varchar NOT NULL,
+  "kind" varchar(20) NOT NULL,
+  "external_id" varchar(100) NOT NULL,
+  "menu_item_id" varchar,
+  "variant_id" varchar,
+  "modifier_id" varchar,
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 4: Event log
+CREATE TABLE IF NOT EXISTS "aggregator_events" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "integration_id" varchar NOT NULL,
+  "direction" varchar(10) NOT NULL,
+  "event_type" varchar(50) NOT NULL,
+  "external_order_id" varchar(100),
+  "order_id" varchar,
+  "result" varchar(20) NOT NULL,
+  "error" text,
+  "payload" jsonb DEFAULT '{}'::jsonb,
+  "created_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 5: Foreign keys
+ALTER TABLE "aggregator_integrations" ADD CONSTRAINT "aggregator_integrations_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "aggregator_item_mappings" ADD CONSTRAINT "aggregator_item_mappings_integration_id_aggregator_integrations_id_fk"
+  FOREIGN KEY ("integration_id") REFERENCES "public"."aggregator_integrations"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "aggregator_item_mappings" ADD CONSTRAINT "aggregator_item_mappings_menu_item_id_menu_items_id_fk"
+  FOREIGN KEY ("menu_item_id") REFERENCES "public"."menu_items"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "aggregator_item_mappings" ADD CONSTRAINT "aggregator_item_mappings_variant_id_menu_item_variants_id_fk"
+  FOREIGN KEY ("variant_id") REFERENCES "public"."menu_item_variants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "aggregator_item_mappings" ADD CONSTRAINT "aggregator_item_mappings_modifier_id_modifiers_id_fk"
+  FOREIGN KEY ("modifier_id") REFERENCES "public"."modifiers"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "aggregator_events" ADD CONSTRAINT "aggregator_events_integration_id_aggregator_integrations_id_fk"
+  FOREIGN KEY ("integration_id") REFERENCES "public"."aggregator_integrations"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "aggregator_events" ADD CONSTRAINT "aggregator_events_order_id_orders_id_fk"
+  FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 6: Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS "aggregator_integrations_restaurant_provider_unique" ON "aggregator_integrations" USING btree ("restaurant_id", "provider");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "aggregator_item_mappings_external_unique" ON "aggregator_item_mappings" USING btree ("integration_id", "kind", "external_id");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "aggregator_events_integration_created_idx" ON "aggregator_events" USING btree ("integration_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "aggregator_events_order_idx" ON "aggregator_events" USING btree ("order_id");
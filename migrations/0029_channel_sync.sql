@@ -0,0 +1,36 @@
+-- Migration: Channel sync
+-- Item availability, price changes and store open/closed status are pushed out to aggregator
+-- channels through the Redis job queue. Every push is logged per channel with its attempts.
+
+-- Step 1: Where each channel takes menu updates
+ALTER TABLE "aggregator_integrations" ADD COLUMN IF NOT EXISTS "menu_sync_url" text;
+--> statement-breakpoint
+
+-- Step 2: Sync log
+CREATE TABLE IF NOT EXISTS "channel_sync_log" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "integration_id" varchar NOT NULL,
+  "kind" varchar(30) NOT NULL,
+  "menu_item_id" varchar,
+  "payload" jsonb DEFAULT '{}'::jsonb,
+  "status" varchar(20) DEFAULT 'QUEUED' NOT NULL,
+  "attempts" integer DEFAULT 0 NOT NULL,
+  "last_error" text,
+  "sent_at" timestamp with time zone,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+
+-- Step 3: Foreign keys
+ALTER TABLE "channel_sync_log" ADD CONSTRAINT "channel_sync_log_integration_id_aggregator_integrations_id_fk"
+  FOREIGN KEY ("integration_id") REFERENCES "public"."aggregator_integrations"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "channel_sync_log" ADD CONSTRAINT "channel_sync_log_menu_item_id_menu_items_id_fk"
+  FOREIGN KEY ("menu_item_id") REFERENCES "public"."menu_items"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+
+-- Step 4: Indexes
+CREATE INDEX IF NOT EXISTS "channel_sync_log_integration_created_idx" ON "channel_sync_log" USING btree ("integration_id", "created_at");
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "channel_sync_log_status_idx" ON "channel_sync_log" USING btree ("status");
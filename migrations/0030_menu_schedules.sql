@@ -0,0 +1,31 @@
+-- Migration: Menu schedules
+-- Categories and items can be limited to day-of-week / time-of-day windows (breakfast until 11:30,
+-- bar after 6pm), in the restaurant's timezone. The public menu hides them outside their windows and
+-- orders for them are refused.
+
+-- Step 1: Schedules
+CREATE TABLE IF NOT EXISTS "menu_schedules" (
+  "id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "restaurant_id" varchar NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "windows" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now(),
+  "updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "menu_schedules" ADD CONSTRAINT "menu_schedules_restaurant_id_restaurants_id_fk"
+  FOREIGN KEY ("restaurant_id") REFERENCES "public"."restaurants"("id") ON DELETE cascade ON UPDATE no action;
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "menu_schedules_restaurant_name_unique" ON "menu_schedules" USING btree ("restaurant_id", "name");
+--> statement-breakpoint
+
+-- Step 2: Attach schedules to categories and items
+ALTER TABLE "menu_categories" ADD COLUMN IF NOT EXISTS "schedule_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "menu_categories" ADD CONSTRAINT "menu_categories_schedule_id_menu_schedules_id_fk"
+  FOREIGN KEY ("schedule_id") REFERENCES "public"."menu_schedules"("id") ON DELETE set null ON UPDATE no action;
+--> statement-breakpoint
+ALTER TABLE "menu_items" ADD COLUMN IF NOT EXISTS "schedule_id" varchar;
+--> statement-breakpoint
+ALTER TABLE "menu_items" ADD CONSTRAINT "menu_items_schedule_id_menu_schedules_id_fk"
+  FOREIGN KEY ("schedule_id") REFERENCES "public"."menu_schedules"("id") ON DELETE set null ON UPDATE no action;
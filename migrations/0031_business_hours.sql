@@ -0,0 +1,14 @@
+-- Migration: Business hours
+-- Weekly opening hours, holiday closures and a "pause orders" switch on the restaurant. Public queue
+-- registration and guest orders are refused while closed; guest orders also while paused.
+
+-- Step 1: Opening hours and holidays
+ALTER TABLE "restaurants" ADD COLUMN IF NOT EXISTS "business_hours" jsonb;
+--> statement-breakpoint
+ALTER TABLE "restaurants" ADD COLUMN IF NOT EXISTS "holidays" jsonb DEFAULT '[]'::jsonb NOT NULL;
+--> statement-breakpoint
+
+-- Step 2: Pause switch
+ALTER TABLE "restaurants" ADD COLUMN IF NOT EXISTS "orders_paused_at" timestamp with time zone;
+--> statement-breakpoint
+ALTER TABLE "restaurants" ADD COLUMN IF NOT EXISTS "orders_pause_reason" varchar(200);
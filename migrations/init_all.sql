@@ -73,7 +73,9 @@ BEGIN
     ALTER TABLE "guest_queue" ADD CONSTRAINT "guest_queue_assigned_table_id_tables_id_fk" FOREIGN KEY ("assigned_table_id") REFERENCES "public"."tables"("id") ON DELETE set null ON UPDATE no action;
   END IF;
 
-  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'transactions_order_id_unique') THEN
+  -- Superseded by the partial "transactions_order_id_single_bill_unique" index once split bills (0011) are applied
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'transactions_order_id_unique')
+    AND NOT EXISTS (SELECT 1 FROM pg_class WHERE relname = 'transactions_order_id_single_bill_unique') THEN
     ALTER TABLE "transactions" ADD CONSTRAINT "transactions_order_id_unique" UNIQUE("order_id");
   END IF;
 END$$;
@@ -13,7 +13,7 @@ import {
 } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
-import { index } from "drizzle-orm/pg-core";
+import { index, uniqueIndex, check, type AnyPgColumn } from "drizzle-orm/pg-core";
 
 export const subjectTypeEnum = pgEnum("subject_type", ["user", "staff"]);
 
@@ -28,6 +28,7 @@ export const tableStatusEnum = pgEnum("table_status", [
 ]);
 
 export const orderStatusEnum = pgEnum("order_status", [
+  "PENDING_APPROVAL", // Guest QR orders awaiting staff confirmation
   "PENDING",
   "PREPARING",
   "READY",
@@ -42,12 +43,40 @@ export const orderTypeEnum = pgEnum("order_type", [
   "DELIVERY",
 ]);
 
+export const deliveryStatusEnum = pgEnum("delivery_status", [
+  "PENDING", // Waiting for a rider
+  "ASSIGNED",
+  "DISPATCHED", // Handed to the rider at the restaurant
+  "OUT_FOR_DELIVERY",
+  "DELIVERED",
+  "FAILED",
+  "CANCELLED",
+]);
+
+// PAYMENT rows are money in; REFUND/VOID rows are negative entries linked to the payment they reverse
+export const transactionEntryTypeEnum = pgEnum("transaction_entry_type", [
+  "PAYMENT",
+  "REFUND",
+  "VOID",
+]);
+
+export const loyaltyEntryTypeEnum = pgEnum("loyalty_entry_type", [
+  "EARN",
+  "REDEEM",
+  "ADJUST",
+  "EXPIRE",
+  "EARN_REVERSAL",
+  "REDEEM_REVERSAL",
+]);
+
 export const paymentMethodEnum = pgEnum("payment_method", [
   "CASH",
   "UPI",
   "CARD",
   "WALLET",
   "OTHER",
+  // Paid with loyalty points
+  "LOYALTY",
   "DUE",
 ]);
 
@@ -60,6 +89,14 @@ export const guestQueueStatusEnum = pgEnum("guest_queue_status", [
   "CANCELLED",
 ]);
 
+// BOOKED reservations hold their table (RESERVED) shortly before the slot; unclaimed ones become NO_SHOW
+export const reservationStatusEnum = pgEnum("reservation_status", [
+  "BOOKED",
+  "SEATED",
+  "CANCELLED",
+  "NO_SHOW",
+]);
+
 export const selectionTypeEnum = pgEnum("selection_type", ["SINGLE", "MULTIPLE"]);
 
 export const subscriptionStatusEnum = pgEnum("subscription_status", [
@@ -82,6 +119,22 @@ export const users = pgTable("users", {
   updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
 });
 
+//
+// Organizations (multi-outlet chains)
+//
+// A brand owning several restaurants (outlets). Owns the master menu and cross-outlet reporting.
+export const organizations = pgTable("organizations", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  ownerId: varchar("owner_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 200 }).notNull(),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    ownerIdx: index("organizations_owner_idx").on(table.ownerId),
+  };
+});
+
 //
 // Restaurants (tenants)
 //
@@ -92,6 +145,9 @@ export const restaurants = pgTable("restaurants", {
   ownerId: varchar("owner_id").references(() => users.id, {
     onDelete: "set null",
   }),
+  organizationId: varchar("organization_id").references(() => organizations.id, {
+    onDelete: "set null",
+  }),
   name: varchar("name", { length: 200 }).notNull(),
   slug: varchar("slug", { length: 150 }).notNull().unique(),
   type: varchar("type", { length: 50 }),
@@ -121,6 +177,15 @@ export const restaurants = pgTable("restaurants", {
   qrDesign: jsonb("qr_design"),
   settings: jsonb("settings"),
 
+  // Opening hours as { days, startTime, endTime } windows in the restaurant's timezone (same shape as
+  // menu schedules); NULL means hours aren't set and the restaurant counts as always open
+  businessHours: jsonb("business_hours"),
+  // Whole local days the restaurant is closed: [{ date: "YYYY-MM-DD", name }]
+  holidays: jsonb("holidays").notNull().default(sql`'[]'::jsonb`),
+  // Set while staff have paused guest and online orders
+  ordersPausedAt: timestamp("orders_paused_at", { withTimezone: true }),
+  ordersPauseReason: varchar("orders_pause_reason", { length: 200 }),
+
   plan: varchar("plan", { length: 50 }).default("STARTER"),
   subscriptionValidUntil: timestamp("subscription_valid_until", { withTimezone: true }),
   subscriptionStatus: subscriptionStatusEnum("subscription_status").notNull().default("ACTIVE"),
@@ -129,6 +194,8 @@ export const restaurants = pgTable("restaurants", {
   invoiceCounter: integer("invoice_counter").notNull().default(0),
   /** Monotonically increasing per-restaurant order counter. Used for unique human-readable order numbers. */
   orderCounter: integer("order_counter").notNull().default(0),
+  /** Monotonically increasing per-restaurant credit note counter. Used for CN-XXXXXX refund/void numbers. */
+  creditNoteCounter: integer("credit_note_counter").notNull().default(0),
   /** Monotonically increasing per-restaurant KOT counter. Used for KOT ticket numbers. */
   kotCounter: integer("kot_counter").notNull().default(0),
   createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
@@ -163,6 +230,46 @@ export const subscriptions = pgTable("subscriptions", {
   };
 });
 
+//
+// Kitchen stations (KDS routing: item station, else category station, else the default station)
+//
+export const kitchenStations = pgTable("kitchen_stations", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 100 }).notNull(),
+  isDefault: boolean("is_default").notNull().default(false),
+  sortOrder: integer("sort_order").notNull().default(0),
+  isActive: boolean("is_active").notNull().default(true),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantIdx: index("kitchen_stations_restaurant_idx").on(table.restaurantId),
+  };
+});
+
+//
+// Menu schedules: when a category or item is on the menu (e.g. breakfast until 11:30, bar after 6pm).
+// Each window is { days: [0-6, 0 = Sunday], startTime: "HH:MM", endTime: "HH:MM" } in the restaurant's
+// timezone; a startTime after endTime runs past midnight.
+//
+export const menuSchedules = pgTable("menu_schedules", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 100 }).notNull(),
+  windows: jsonb("windows").notNull().default(sql`'[]'::jsonb`),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantNameUnique: uniqueIndex("menu_schedules_restaurant_name_unique").on(table.restaurantId, table.name),
+  };
+});
+
 //
 // Menu categories
 //
@@ -173,6 +280,11 @@ export const menuCategories = pgTable("menu_categories", {
   restaurantId: varchar("restaurant_id")
     .notNull()
     .references(() => restaurants.id, { onDelete: "cascade" }),
+  // Set on categories pushed from the organization's master menu
+  masterCategoryId: varchar("master_category_id").references((): AnyPgColumn => masterMenuCategories.id, { onDelete: "set null" }),
+  kitchenStationId: varchar("kitchen_station_id").references(() => kitchenStations.id, { onDelete: "set null" }),
+  // Only on the menu during the schedule's windows; NULL means always
+  scheduleId: varchar("schedule_id").references(() => menuSchedules.id, { onDelete: "set null" }),
   name: varchar("name", { length: 150 }).notNull(),
   nameTranslations: jsonb("name_translations").default(sql`'{}'::jsonb`),
   sortOrder: integer("sort_order"),
@@ -247,10 +359,73 @@ export const menuItems = pgTable("menu_items", {
   extractionJobId: varchar("extraction_job_id").references(() => menuExtractionJobs.id, { onDelete: "set null" }),
   isAiExtracted: boolean("is_ai_extracted").default(false),
   extractionConfidence: numeric("extraction_confidence", { precision: 5, scale: 2 }),
+  // Set on items pushed from the organization's master menu
+  masterItemId: varchar("master_item_id").references((): AnyPgColumn => masterMenuItems.id, { onDelete: "set null" }),
+  // Overrides the category's kitchen station
+  kitchenStationId: varchar("kitchen_station_id").references(() => kitchenStations.id, { onDelete: "set null" }),
+  // Kitchen SLA: minutes from ticket acceptance to ready (null = restaurant default, if any)
+  targetPrepMinutes: integer("target_prep_minutes"),
+  // Only on the menu during the schedule's windows (and the category's, if it has one); NULL means always
+  scheduleId: varchar("schedule_id").references(() => menuSchedules.id, { onDelete: "set null" }),
 }, (table) => {
   return {
     restaurantIdIdx: index("menu_items_restaurant_id_idx").on(table.restaurantId),
     categoryStatusIdx: index("menu_items_category_status_idx").on(table.restaurantId, table.categoryId, table.isAvailable),
+    restaurantMasterIdx: uniqueIndex("menu_items_restaurant_master_idx").on(table.restaurantId, table.masterItemId),
+  };
+});
+
+//
+// Master menu (organization-wide, pushed to outlets)
+//
+export const masterMenuCategories = pgTable("master_menu_categories", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  organizationId: varchar("organization_id").notNull().references(() => organizations.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 150 }).notNull(),
+  nameTranslations: jsonb("name_translations").default(sql`'{}'::jsonb`),
+  sortOrder: integer("sort_order"),
+  isActive: boolean("is_active").notNull().default(true),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    organizationIdx: index("master_menu_categories_organization_idx").on(table.organizationId),
+  };
+});
+
+export const masterMenuItems = pgTable("master_menu_items", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  organizationId: varchar("organization_id").notNull().references(() => organizations.id, { onDelete: "cascade" }),
+  masterCategoryId: varchar("master_category_id").notNull().references(() => masterMenuCategories.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 200 }).notNull(),
+  nameTranslations: jsonb("name_translations").default(sql`'{}'::jsonb`),
+  description: text("description"),
+  descriptionTranslations: jsonb("description_translations").default(sql`'{}'::jsonb`),
+  price: numeric("price", { precision: 10, scale: 2 }).notNull(),
+  imageUrl: text("image_url"),
+  isActive: boolean("is_active").notNull().default(true),
+  dietaryTags: varchar("dietary_tags", { length: 50 }).array(),
+  sortOrder: integer("sort_order"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    organizationIdx: index("master_menu_items_organization_idx").on(table.organizationId),
+  };
+});
+
+// Per-outlet exceptions to the master menu; null means "use the master value"
+export const outletMenuOverrides = pgTable("outlet_menu_overrides", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  masterItemId: varchar("master_item_id").notNull().references(() => masterMenuItems.id, { onDelete: "cascade" }),
+  price: numeric("price", { precision: 10, scale: 2 }),
+  isAvailable: boolean("is_available"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantItemIdx: uniqueIndex("outlet_menu_overrides_restaurant_item_idx").on(table.restaurantId, table.masterItemId),
   };
 });
 
@@ -279,6 +454,22 @@ export const menuSuggestions = pgTable("menu_suggestions", {
 //
 // Staff & roles - MOVED BEFORE tables (since tables references staff)
 //
+// Restaurant-defined staff roles (cashier, captain, ...) — a named set of permissions from the
+// catalogue in src/permission/catalog.js. Staff without one get their base role's defaults.
+export const staffRoles = pgTable("staff_roles", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 50 }).notNull(),
+  description: varchar("description", { length: 255 }),
+  permissions: text("permissions").array().notNull().default(sql`'{}'::text[]`),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantNameIdx: uniqueIndex("staff_roles_restaurant_name_idx").on(table.restaurantId, sql`lower(${table.name})`),
+  };
+});
+
 export const staff = pgTable("staff", {
   id: varchar("id")
     .primaryKey()
@@ -294,6 +485,10 @@ export const staff = pgTable("staff", {
   phoneNumber: varchar("phone_number", { length: 20 }),
   email: varchar("email", { length: 255 }),
   role: staffRoleEnum("role").notNull(),
+  // Custom role; when set its permissions replace the base role's defaults
+  roleId: varchar("role_id").references(() => staffRoles.id, { onDelete: "restrict" }),
+  // KITCHEN staff assigned to a station only see and bump that station's items
+  kitchenStationId: varchar("kitchen_station_id").references(() => kitchenStations.id, { onDelete: "set null" }),
   passcodeHash: text("passcode_hash").notNull(),
   isActive: boolean("is_active").notNull().default(true),
   lastLoginAt: timestamp("last_login_at", { withTimezone: true }),
@@ -304,6 +499,58 @@ export const staff = pgTable("staff", {
     restaurantCodeIdx: index("staff_restaurant_code_idx").on(table.restaurantId, table.staffCode),
     emailIdx: index("staff_email_idx").on(table.email),
     emailLowerIdx: index("staff_email_lower_idx").on(sql`lower(${table.email})`),
+    roleIdx: index("staff_role_idx").on(table.roleId),
+  };
+});
+
+// Other outlets of the same organization a staff member may log into (besides staff.restaurant_id)
+export const staffOutletAccess = pgTable("staff_outlet_access", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  staffId: varchar("staff_id").notNull().references(() => staff.id, { onDelete: "cascade" }),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    staffRestaurantIdx: uniqueIndex("staff_outlet_access_staff_restaurant_idx").on(table.staffId, table.restaurantId),
+    restaurantIdx: index("staff_outlet_access_restaurant_idx").on(table.restaurantId),
+  };
+});
+
+// A staff member's shift: scheduled by a manager and/or started by clocking in. A clock-in without
+// a matching scheduled shift creates an unscheduled one.
+export const staffShifts = pgTable("staff_shifts", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  staffId: varchar("staff_id").notNull().references(() => staff.id, { onDelete: "cascade" }),
+  scheduledStart: timestamp("scheduled_start", { withTimezone: true }),
+  scheduledEnd: timestamp("scheduled_end", { withTimezone: true }),
+  clockInAt: timestamp("clock_in_at", { withTimezone: true }),
+  clockOutAt: timestamp("clock_out_at", { withTimezone: true }),
+  notes: text("notes"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantScheduledIdx: index("staff_shifts_restaurant_scheduled_idx").on(table.restaurantId, table.scheduledStart),
+    restaurantClockInIdx: index("staff_shifts_restaurant_clock_in_idx").on(table.restaurantId, table.clockInAt),
+    // A staff member can only be clocked in once at a time
+    oneOpenShiftPerStaff: uniqueIndex("staff_shifts_one_open_per_staff")
+      .on(table.staffId)
+      .where(sql`clock_in_at IS NOT NULL AND clock_out_at IS NULL`),
+  };
+});
+
+export const staffShiftBreaks = pgTable("staff_shift_breaks", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  shiftId: varchar("shift_id").notNull().references(() => staffShifts.id, { onDelete: "cascade" }),
+  startedAt: timestamp("started_at", { withTimezone: true }).notNull().defaultNow(),
+  endedAt: timestamp("ended_at", { withTimezone: true }),
+}, (table) => {
+  return {
+    shiftIdx: index("staff_shift_breaks_shift_idx").on(table.shiftId),
+    oneOpenBreakPerShift: uniqueIndex("staff_shift_breaks_one_open_per_shift")
+      .on(table.shiftId)
+      .where(sql`ended_at IS NULL`),
   };
 });
 
@@ -346,12 +593,15 @@ export const tables = pgTable("tables", {
   qrCodePayload: text("qr_code_payload").notNull(),
   qrCodeVersion: integer("qr_code_version").notNull().default(1),
   assignedWaiterId: varchar("assigned_waiter_id").references(() => staff.id, { onDelete: "set null" }),
+  // Set on tables pushed together with another; the group bills on (and shares the status of) that table
+  mergedIntoTableId: varchar("merged_into_table_id").references((): AnyPgColumn => tables.id, { onDelete: "set null" }),
   isActive: boolean("is_active").notNull().default(true),
   createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
   updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
 }, (table) => {
   return {
     restaurantStatusIdx: index("tables_restaurant_status_idx").on(table.restaurantId, table.currentStatus),
+    mergedIntoIdx: index("tables_merged_into_idx").on(table.mergedIntoTableId),
   };
 });
 
@@ -363,6 +613,92 @@ export const paymentStatusEnum = pgEnum("payment_status_enum", [
   "PARTIALLY_PAID",
 ]);
 
+//
+// Customers — guests recognised across visits, one per phone number per restaurant. Visit count
+// and spend are read from their orders, so they always match the order history.
+//
+export const customers = pgTable("customers", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  // Last 10 digits only, so "+91 98765-43210" and "9876543210" are the same guest
+  phone: varchar("phone", { length: 20 }).notNull(),
+  name: varchar("name", { length: 150 }),
+  allergies: text("allergies"),
+  notes: text("notes"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantPhoneIdx: uniqueIndex("customers_restaurant_phone_idx").on(table.restaurantId, table.phone),
+  };
+});
+
+//
+// Loyalty — one program per restaurant. tiers: [{ name, minPoints, multiplier }], reached on lifetime
+// points earned; the multiplier scales points earned from then on.
+//
+export const loyaltyPrograms = pgTable("loyalty_programs", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  isEnabled: boolean("is_enabled").notNull().default(false),
+  // Points earned per 1 unit of currency paid
+  earnRate: numeric("earn_rate", { precision: 10, scale: 4 }).notNull().default("0.1"),
+  // Currency value of one point when redeemed
+  pointValue: numeric("point_value", { precision: 10, scale: 4 }).notNull().default("1"),
+  minRedeemPoints: integer("min_redeem_points").notNull().default(0),
+  // Most of a bill that can be paid with points
+  maxRedeemPercent: integer("max_redeem_percent").notNull().default(100),
+  // Points expire this many days after they were earned (oldest spent first); null = never
+  expiryDays: integer("expiry_days"),
+  tiers: jsonb("tiers").notNull().default(sql`'[]'::jsonb`),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantUnique: uniqueIndex("loyalty_programs_restaurant_unique").on(table.restaurantId),
+  };
+});
+
+// Points ledger: every earn, redemption, adjustment and expiry as a signed row. A guest's balance
+// is the sum of their rows; reversals point at the row they undo.
+export const loyaltyLedger = pgTable("loyalty_ledger", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  customerId: varchar("customer_id")
+    .notNull()
+    .references(() => customers.id, { onDelete: "cascade" }),
+  entryType: loyaltyEntryTypeEnum("entry_type").notNull(),
+  points: integer("points").notNull(),
+  orderId: varchar("order_id").references((): AnyPgColumn => orders.id, { onDelete: "set null" }),
+  transactionId: varchar("transaction_id").references((): AnyPgColumn => transactions.id, { onDelete: "set null" }),
+  // Set on redemptions taken as a discount
+  orderDiscountId: varchar("order_discount_id").references((): AnyPgColumn => orderDiscounts.id, { onDelete: "set null" }),
+  reversesEntryId: varchar("reverses_entry_id").references((): AnyPgColumn => loyaltyLedger.id, { onDelete: "cascade" }),
+  reason: text("reason"),
+  actorId: varchar("actor_id"),
+  actorType: subjectTypeEnum("actor_type"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    customerCreatedIdx: index("loyalty_ledger_customer_created_idx").on(table.customerId, table.createdAt),
+    orderIdx: index("loyalty_ledger_order_idx").on(table.orderId),
+    transactionIdx: index("loyalty_ledger_transaction_idx").on(table.transactionId),
+    reversesEntryIdx: index("loyalty_ledger_reverses_entry_idx").on(table.reversesEntryId),
+  };
+});
+
 //
 // Orders
 //
@@ -376,7 +712,11 @@ export const orders = pgTable("orders", {
   tableId: varchar("table_id").references(() => tables.id),
   guestName: varchar("guest_name", { length: 150 }),
   guestPhone: varchar("guest_phone", { length: 20 }),
+  // Profile matched from guestPhone
+  customerId: varchar("customer_id").references(() => customers.id, { onDelete: "set null" }),
   placedByStaffId: varchar("placed_by_staff_id").references(() => staff.id, { onDelete: "set null" }),
+  // The placing staff member's shift when the order was placed
+  shiftId: varchar("shift_id").references(() => staffShifts.id, { onDelete: "set null" }),
   status: orderStatusEnum("status").notNull().default("PENDING"),
   paymentStatus: paymentStatusEnum("payment_status").notNull().default("DUE"),
   cancelReason: text("cancel_reason"),
@@ -384,11 +724,16 @@ export const orders = pgTable("orders", {
   subtotalAmount: numeric("subtotal_amount", { precision: 12, scale: 2 }).notNull().default("0"),
   gstAmount: numeric("gst_amount", { precision: 12, scale: 2 }).notNull().default("0"),
   serviceTaxAmount: numeric("service_tax_amount", { precision: 12, scale: 2 }).notNull().default("0"),
+  // DELIVERY orders: charged on top of the taxed amount (see deliveries)
+  deliveryFee: numeric("delivery_fee", { precision: 10, scale: 2 }).notNull().default("0"),
   discountAmount: numeric("discount_amount", { precision: 12, scale: 2 }).notNull().default("0"),
   totalAmount: numeric("total_amount", { precision: 12, scale: 2 }).notNull().default("0"),
   paid_amount: numeric("paid_amount", { precision: 10, scale: 2 }).notNull().default("0"),
   notes: text("notes"),
   isClosed: boolean("is_closed").notNull().default(false),
+  // Orders from a delivery aggregator: the provider key and the provider's own order id
+  externalSource: varchar("external_source", { length: 30 }),
+  externalOrderId: varchar("external_order_id", { length: 100 }),
   orderNumber: integer("order_number"),
   createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
   updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
@@ -400,6 +745,9 @@ export const orders = pgTable("orders", {
   // H7: updatedAt index for queries filtering "what changed since X"
   restaurantUpdatedAtIdx: index("orders_restaurant_updated_at_idx").on(table.restaurantId, table.updatedAt),
   openOrdersIdx: index("orders_open_table_idx").on(table.restaurantId, table.tableId, table.isClosed).where(sql`is_closed = false`),
+  shiftIdx: index("orders_shift_idx").on(table.shiftId),
+  customerIdx: index("orders_customer_idx").on(table.customerId),
+  externalRefUnique: uniqueIndex("orders_external_ref_unique").on(table.restaurantId, table.externalSource, table.externalOrderId),
 }));
 
 //
@@ -427,11 +775,201 @@ export const orderItems = pgTable("order_items", {
   selectedModifiers: jsonb("selected_modifiers").default(sql`'[]'::jsonb`),
   customizationAmount: numeric("customization_amount", { precision: 10, scale: 2 }).default("0"),
   kotNumber: integer("kot_number"),
+  // Station the item was routed to when ordered; null when the restaurant had no stations
+  kitchenStationId: varchar("kitchen_station_id").references(() => kitchenStations.id, { onDelete: "set null" }),
+  // Kitchen timeline, each stamped the first time the item reaches that status
+  acceptedAt: timestamp("accepted_at", { withTimezone: true }),
+  startedAt: timestamp("started_at", { withTimezone: true }),
+  readyAt: timestamp("ready_at", { withTimezone: true }),
+  servedAt: timestamp("served_at", { withTimezone: true }),
+  // Snapshot of the menu item's target prep time; overdue alert sent once per item
+  targetPrepMinutes: integer("target_prep_minutes"),
+  overdueAlertedAt: timestamp("overdue_alerted_at", { withTimezone: true }),
+  // Course firing: later courses wait (held) until a waiter fires them
+  courseNumber: integer("course_number").notNull().default(1),
+  isHeld: boolean("is_held").notNull().default(false),
+  firedAt: timestamp("fired_at", { withTimezone: true }),
+  // True while this item's recipe ingredients are deducted from inventory
+  stockDeducted: boolean("stock_deducted").notNull().default(false),
 }, (table) => {
   return {
     orderRestaurantIdx: index("order_items_order_restaurant_idx").on(table.orderId, table.restaurantId),
     restaurantCreatedAtIdx: index("order_items_restaurant_created_idx").on(table.restaurantId, table.createdAt).where(sql`status != 'CANCELLED'`),
     restaurantKotNumberIdx: index("order_items_restaurant_kot_idx").on(table.restaurantId, table.kotNumber),
+    restaurantStatusIdx: index("order_items_restaurant_status_idx").on(table.restaurantId, table.status),
+    restaurantAcceptedIdx: index("order_items_restaurant_accepted_idx").on(table.restaurantId, table.acceptedAt),
+    // SLA sweep: tickets still in the kitchen that haven't been alerted yet
+    kitchenOpenIdx: index("order_items_kitchen_open_idx").on(table.acceptedAt).where(sql`ready_at IS NULL AND overdue_alerted_at IS NULL`),
+  };
+});
+
+//
+// Deliveries
+//
+// Distance bands for the delivery fee: an address is charged the fee of the smallest band that
+// reaches it. Addresses beyond the largest band are outside the delivery area.
+export const deliveryFeeRules = pgTable("delivery_fee_rules", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  maxDistanceKm: numeric("max_distance_km", { precision: 6, scale: 2 }).notNull(),
+  fee: numeric("fee", { precision: 10, scale: 2 }).notNull(),
+  // Orders with a subtotal at or above this are delivered free within the band
+  freeAboveAmount: numeric("free_above_amount", { precision: 10, scale: 2 }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantDistanceIdx: uniqueIndex("delivery_fee_rules_restaurant_distance_idx").on(table.restaurantId, table.maxDistanceKm),
+  };
+});
+
+// Delivery details for a DELIVERY order: where it goes, what the trip costs and the rider's progress
+export const deliveries = pgTable("deliveries", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  orderId: varchar("order_id")
+    .notNull()
+    .references(() => orders.id, { onDelete: "cascade" }),
+
+  addressLine1: varchar("address_line1", { length: 255 }),
+  addressLine2: varchar("address_line2", { length: 255 }),
+  landmark: varchar("landmark", { length: 255 }),
+  city: varchar("city", { length: 100 }),
+  postalCode: varchar("postal_code", { length: 20 }),
+  latitude: numeric("latitude", { precision: 10, scale: 7 }),
+  longitude: numeric("longitude", { precision: 10, scale: 7 }),
+  instructions: text("instructions"),
+
+  // Straight-line distance from the restaurant's coordinates, when both are known
+  distanceKm: numeric("distance_km", { precision: 6, scale: 2 }),
+
+  status: deliveryStatusEnum("status").notNull().default("PENDING"),
+  riderStaffId: varchar("rider_staff_id").references(() => staff.id, { onDelete: "set null" }),
+  assignedAt: timestamp("assigned_at", { withTimezone: true }),
+  dispatchedAt: timestamp("dispatched_at", { withTimezone: true }),
+  outForDeliveryAt: timestamp("out_for_delivery_at", { withTimezone: true }),
+  deliveredAt: timestamp("delivered_at", { withTimezone: true }),
+  failedAt: timestamp("failed_at", { withTimezone: true }),
+  failureReason: text("failure_reason"),
+
+  // Unguessable id for the guest's public tracking link
+  trackingToken: varchar("tracking_token", { length: 64 }).notNull(),
+
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    orderUnique: uniqueIndex("deliveries_order_unique").on(table.orderId),
+    trackingTokenUnique: uniqueIndex("deliveries_tracking_token_unique").on(table.trackingToken),
+    restaurantStatusIdx: index("deliveries_restaurant_status_idx").on(table.restaurantId, table.status),
+    riderStatusIdx: index("deliveries_rider_status_idx").on(table.riderStaffId, table.status),
+  };
+});
+
+// A restaurant's link to a delivery aggregator. Orders arrive on a signed webhook per integration;
+// kitchen status changes are pushed back to statusCallbackUrl.
+export const aggregatorIntegrations = pgTable("aggregator_integrations", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  // Adapter key, see src/aggregator/providers
+  provider: varchar("provider", { length: 30 }).notNull(),
+  // The restaurant's id on the aggregator; webhooks for other stores are refused
+  externalStoreId: varchar("external_store_id", { length: 100 }).notNull(),
+  webhookSecret: varchar("webhook_secret", { length: 128 }).notNull(),
+  statusCallbackUrl: text("status_callback_url"),
+  // Where availability, price and open/closed updates are sent (see src/aggregator/sync.js)
+  menuSyncUrl: text("menu_sync_url"),
+  isEnabled: boolean("is_enabled").notNull().default(true),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    restaurantProviderUnique: uniqueIndex("aggregator_integrations_restaurant_provider_unique").on(table.restaurantId, table.provider),
+  };
+});
+
+// What an aggregator's item or add-on id means on our menu. ITEM rows point at a menu item (and
+// optionally a variant); MODIFIER rows point at a modifier.
+export const aggregatorItemMappings = pgTable("aggregator_item_mappings", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  integrationId: varchar("integration_id")
+    .notNull()
+    .references(() => aggregatorIntegrations.id, { onDelete: "cascade" }),
+  kind: varchar("kind", { length: 20 }).notNull(),
+  externalId: varchar("external_id", { length: 100 }).notNull(),
+  menuItemId: varchar("menu_item_id").references(() => menuItems.id, { onDelete: "cascade" }),
+  variantId: varchar("variant_id").references(() => menuItemVariants.id, { onDelete: "cascade" }),
+  modifierId: varchar("modifier_id").references(() => modifiers.id, { onDelete: "cascade" }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    externalUnique: uniqueIndex("aggregator_item_mappings_external_unique").on(table.integrationId, table.kind, table.externalId),
+  };
+});
+
+// Every webhook received and status update sent, with the outcome, for troubleshooting
+export const aggregatorEvents = pgTable("aggregator_events", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  integrationId: varchar("integration_id")
+    .notNull()
+    .references(() => aggregatorIntegrations.id, { onDelete: "cascade" }),
+  // INBOUND (webhook) or OUTBOUND (status push)
+  direction: varchar("direction", { length: 10 }).notNull(),
+  eventType: varchar("event_type", { length: 50 }).notNull(),
+  externalOrderId: varchar("external_order_id", { length: 100 }),
+  orderId: varchar("order_id").references(() => orders.id, { onDelete: "set null" }),
+  // ACCEPTED, REJECTED or DUPLICATE for webhooks; SENT or FAILED for pushes
+  result: varchar("result", { length: 20 }).notNull(),
+  error: text("error"),
+  payload: jsonb("payload").default(sql`'{}'::jsonb`),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    integrationCreatedIdx: index("aggregator_events_integration_created_idx").on(table.integrationId, table.createdAt),
+    orderIdx: index("aggregator_events_order_idx").on(table.orderId),
+  };
+});
+
+// One row per update sent (or to be sent) to a channel: item availability, item price or whether
+// the store is open. Pushes go through the Redis job queue and are retried with backoff.
+export const channelSyncLog = pgTable("channel_sync_log", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  integrationId: varchar("integration_id")
+    .notNull()
+    .references(() => aggregatorIntegrations.id, { onDelete: "cascade" }),
+  // ITEM_AVAILABILITY, ITEM_PRICE or STORE_STATUS
+  kind: varchar("kind", { length: 30 }).notNull(),
+  menuItemId: varchar("menu_item_id").references(() => menuItems.id, { onDelete: "set null" }),
+  payload: jsonb("payload").default(sql`'{}'::jsonb`),
+  // QUEUED, RETRYING, SENT or FAILED
+  status: varchar("status", { length: 20 }).notNull().default("QUEUED"),
+  attempts: integer("attempts").notNull().default(0),
+  lastError: text("last_error"),
+  sentAt: timestamp("sent_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    integrationCreatedIdx: index("channel_sync_log_integration_created_idx").on(table.integrationId, table.createdAt),
+    statusIdx: index("channel_sync_log_status_idx").on(table.status),
   };
 });
 
@@ -460,6 +998,7 @@ export const transactions = pgTable("transactions", {
   discountAmount: numeric("discount_amount", { precision: 12, scale: 2 })
     .notNull()
     .default("0"),
+  deliveryFee: numeric("delivery_fee", { precision: 10, scale: 2 }).notNull().default("0"),
   grandTotal: numeric("grand_total", { precision: 12, scale: 2 }).notNull(),
 
   // Rate snapshots (so historical bills don't change when restaurant settings change)
@@ -468,22 +1007,125 @@ export const transactions = pgTable("transactions", {
 
   paymentMethod: paymentMethodEnum("payment_method").notNull(),
   paymentReference: varchar("payment_reference", { length: 100 }),
+
+  // Split bills: one row per payer. NULL split_method means the single full bill for the order.
+  splitMethod: varchar("split_method", { length: 10 }),
+  payerLabel: varchar("payer_label", { length: 100 }),
+  // { shares } for EQUAL, { orderItemIds } for ITEMS
+  splitDetails: jsonb("split_details"),
+
+  // Refunds and voids: negative amounts, linked to the original payment
+  entryType: transactionEntryTypeEnum("entry_type").notNull().default("PAYMENT"),
+  originalTransactionId: varchar("original_transaction_id").references((): AnyPgColumn => transactions.id, {
+    onDelete: "cascade",
+  }),
+  reason: text("reason"),
+  approvedById: varchar("approved_by_id"),
+  approvedByType: subjectTypeEnum("approved_by_type"),
+  // Set on a PAYMENT once it has been voided
+  voidedAt: timestamp("voided_at", { withTimezone: true }),
+  // The till a cash payment or refund went through
+  cashDrawerSessionId: varchar("cash_drawer_session_id").references(() => cashDrawerSessions.id, { onDelete: "set null" }),
+
   paidAt: timestamp("paid_at", { withTimezone: true }).defaultNow(),
   createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
 }, (table) => {
   return {
     restaurantIdIdx: index("transactions_restaurant_id_idx").on(table.restaurantId),
     restaurantCreatedIdx: index("transactions_restaurant_created_idx").on(table.restaurantId, table.createdAt),
-    // BUG-2: Unique constraint prevents duplicate transactions from payment race conditions
+    // BUG-2: Unique index prevents duplicate transactions from payment race conditions
     // Two concurrent requests hitting updatePaymentStatus both check "no transaction exists" —
-    // without this constraint, both would INSERT causing two bills for one order.
-    orderIdUnique: unique("transactions_order_id_unique").on(table.orderId),
+    // without this index, both would INSERT causing two bills for one order.
+    // Split payments are exempt: they are many rows per order by design.
+    orderIdSingleBillUnique: uniqueIndex("transactions_order_id_single_bill_unique")
+      .on(table.orderId)
+      .where(sql`split_method IS NULL AND entry_type = 'PAYMENT' AND voided_at IS NULL`),
+    orderIdIdx: index("transactions_order_id_idx").on(table.orderId),
+    originalTransactionIdx: index("transactions_original_transaction_idx").on(table.originalTransactionId),
+    cashDrawerSessionIdx: index("transactions_cash_drawer_session_idx").on(table.cashDrawerSessionId),
+  };
+});
+
+//
+// Cash drawers and Z-reports
+//
+// A till session: opened with a float on a terminal and/or by a staff member, closed with a count.
+// Cash payments and refunds taken while it is open are linked through transactions.cash_drawer_session_id.
+export const cashDrawerSessions = pgTable("cash_drawer_sessions", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  terminalLabel: varchar("terminal_label", { length: 50 }),
+  staffId: varchar("staff_id").references(() => staff.id, { onDelete: "set null" }),
+  openingFloat: numeric("opening_float", { precision: 12, scale: 2 }).notNull().default("0"),
+  openedById: varchar("opened_by_id"),
+  openedByType: subjectTypeEnum("opened_by_type"),
+  openedAt: timestamp("opened_at", { withTimezone: true }).notNull().defaultNow(),
+  // Set on close
+  expectedCash: numeric("expected_cash", { precision: 12, scale: 2 }),
+  countedCash: numeric("counted_cash", { precision: 12, scale: 2 }),
+  variance: numeric("variance", { precision: 12, scale: 2 }),
+  closedById: varchar("closed_by_id"),
+  closedByType: subjectTypeEnum("closed_by_type"),
+  closedAt: timestamp("closed_at", { withTimezone: true }),
+  notes: text("notes"),
+}, (table) => {
+  return {
+    restaurantOpenedIdx: index("cash_drawer_sessions_restaurant_opened_idx").on(table.restaurantId, table.openedAt),
+    oneOpenPerTerminal: uniqueIndex("cash_drawer_sessions_one_open_per_terminal")
+      .on(table.restaurantId, table.terminalLabel)
+      .where(sql`closed_at IS NULL AND terminal_label IS NOT NULL`),
+    oneOpenPerStaff: uniqueIndex("cash_drawer_sessions_one_open_per_staff")
+      .on(table.staffId)
+      .where(sql`closed_at IS NULL AND staff_id IS NOT NULL`),
+  };
+});
+
+// Cash put into (PAY_IN) or taken out of (PAY_OUT) a drawer outside of sales, e.g. change or petty cash
+export const cashDrawerMovements = pgTable("cash_drawer_movements", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  sessionId: varchar("session_id").notNull().references(() => cashDrawerSessions.id, { onDelete: "cascade" }),
+  type: varchar("type", { length: 10 }).notNull(),
+  amount: numeric("amount", { precision: 12, scale: 2 }).notNull(),
+  reason: text("reason").notNull(),
+  actorId: varchar("actor_id"),
+  actorType: subjectTypeEnum("actor_type"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => {
+  return {
+    sessionIdx: index("cash_drawer_movements_session_idx").on(table.sessionId),
+  };
+});
+
+// End-of-day Z-report. The totals are frozen when the day is closed (see migration 0022).
+export const zReports = pgTable("z_reports", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id").notNull().references(() => restaurants.id, { onDelete: "cascade" }),
+  businessDate: varchar("business_date", { length: 10 }).notNull(), // YYYY-MM-DD, restaurant-local
+  periodStart: timestamp("period_start", { withTimezone: true }).notNull(),
+  periodEnd: timestamp("period_end", { withTimezone: true }).notNull(),
+  report: jsonb("report").notNull(),
+  closedById: varchar("closed_by_id"),
+  closedByType: subjectTypeEnum("closed_by_type"),
+  closedAt: timestamp("closed_at", { withTimezone: true }).defaultNow(),
+  emailedTo: varchar("emailed_to", { length: 255 }),
+  emailedAt: timestamp("emailed_at", { withTimezone: true }),
+}, (table) => {
+  return {
+    restaurantDateUnique: uniqueIndex("z_reports_restaurant_date_unique").on(table.restaurantId, table.businessDate),
   };
 });
 
 //
 // Inventory
 //
+export const inventoryMovementTypeEnum = pgEnum("inventory_movement_type", [
+  "PURCHASE",
+  "WASTAGE",
+  "ADJUSTMENT",
+  "CONSUMPTION",
+  "CONSUMPTION_REVERSAL", // stock returned when an order item is removed or cancelled
+]);
+
 export const inventoryItems = pgTable("inventory_items", {
   id: varchar("id")
     .primaryKey()
@@ -499,6 +1141,10 @@ export const inventoryItems = pgTable("inventory_items", {
   reorderLevel: numeric("reorder_level", { precision: 14, scale: 3 })
     .notNull()
     .default("0"),
+  // Weighted-average purchase cost, maintained by PURCHASE movements
+  costPerUnit: numeric("cost_per_unit", { precision: 12, scale: 4 })
+    .notNull()
+    .default("0"),
   isActive: boolean("is_active").notNull().default(true),
   createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
   updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
@@ -507,6 +1153,223 @@ export const inventoryItems = pgTable("inventory_items", {
   restaurantIdIdx: index("inventory_items_restaurant_id_idx").on(table.restaurantId),
 }));
 
+// Stock-movement ledger. Every change to inventory_items.current_stock is recorded here
+// with a signed quantity, so the current stock can always be reconciled from history.
+export const inventoryMovements = pgTable("inventory_movements", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  inventoryItemId: varchar("inventory_item_id")
+    .notNull()
+    .references(() => inventoryItems.id, { onDelete: "cascade" }),
+  movementType: inventoryMovementTypeEnum("movement_type").notNull(),
+  // Signed: positive adds stock (purchase), negative removes it (wastage, consumption)
+  quantity: numeric("quantity", { precision: 14, scale: 3 }).notNull(),
+  stockAfter: numeric("stock_after", { precision: 14, scale: 3 }).notNull(),
+  // Cost per unit at the time of the movement (purchase price, or the item's running average)
+  unitCost: numeric("unit_cost", { precision: 12, scale: 4 }),
+  notes: text("notes"),
+  // Optional link to what caused the movement (e.g. referenceType 'order' + the order id)
+  referenceType: varchar("reference_type", { length: 50 }),
+  referenceId: varchar("reference_id"),
+  actorId: varchar("actor_id"),
+  actorType: subjectTypeEnum("actor_type"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  restaurantCreatedIdx: index("inventory_movements_restaurant_created_idx").on(table.restaurantId, table.createdAt),
+  itemCreatedIdx: index("inventory_movements_item_created_idx").on(table.inventoryItemId, table.createdAt),
+}));
+
+// Recipe / bill of materials. Each row says "one unit of <menu item | variant | modifier>
+// consumes <quantity> of <inventory item>" (quantity in the inventory item's unit).
+// A variant's recipe replaces the base item's recipe; modifier recipes are added on top.
+export const recipeIngredients = pgTable("recipe_ingredients", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  inventoryItemId: varchar("inventory_item_id")
+    .notNull()
+    .references(() => inventoryItems.id, { onDelete: "cascade" }),
+  // Exactly one of these is set (enforced by recipe_ingredients_single_target_check)
+  menuItemId: varchar("menu_item_id").references(() => menuItems.id, { onDelete: "cascade" }),
+  variantId: varchar("variant_id").references(() => menuItemVariants.id, { onDelete: "cascade" }),
+  modifierId: varchar("modifier_id").references(() => modifiers.id, { onDelete: "cascade" }),
+  quantity: numeric("quantity", { precision: 14, scale: 3 }).notNull(),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  restaurantIdx: index("recipe_ingredients_restaurant_idx").on(table.restaurantId),
+  menuItemIdx: index("recipe_ingredients_menu_item_idx").on(table.menuItemId),
+  variantIdx: index("recipe_ingredients_variant_idx").on(table.variantId),
+  modifierIdx: index("recipe_ingredients_modifier_idx").on(table.modifierId),
+  singleTargetCheck: check(
+    "recipe_ingredients_single_target_check",
+    sql`num_nonnulls(${table.menuItemId}, ${table.variantId}, ${table.modifierId}) = 1`
+  ),
+}));
+
+//
+// Promotions and discounts
+//
+export const discountTypeEnum = pgEnum("discount_type", [
+  "PERCENTAGE",
+  "FLAT",
+]);
+
+export const promotionScopeEnum = pgEnum("promotion_scope", [
+  "ORDER",
+  "ITEMS",
+  "CATEGORIES",
+]);
+
+// Manual discounts from non-admin staff wait for approval before they change the bill
+export const orderDiscountStatusEnum = pgEnum("order_discount_status", [
+  "PENDING_APPROVAL",
+  "APPLIED",
+  "REJECTED",
+  "REMOVED",
+]);
+
+// Promotions: coupon codes and codeless offers (e.g. happy hour) with eligibility rules.
+// Times are restaurant-local; a startTime after endTime wraps past midnight.
+export const promotions = pgTable("promotions", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  name: varchar("name", { length: 150 }).notNull(),
+  // Stored upper-case; NULL for offers staff apply from a list instead of a code
+  code: varchar("code", { length: 40 }),
+  description: text("description"),
+  discountType: discountTypeEnum("discount_type").notNull(),
+  // Percent for PERCENTAGE, currency amount for FLAT
+  value: numeric("value", { precision: 10, scale: 2 }).notNull(),
+  scope: promotionScopeEnum("scope").notNull().default("ORDER"),
+  menuItemIds: jsonb("menu_item_ids").default(sql`'[]'::jsonb`),
+  categoryIds: jsonb("category_ids").default(sql`'[]'::jsonb`),
+  maxDiscountAmount: numeric("max_discount_amount", { precision: 10, scale: 2 }),
+  minOrderAmount: numeric("min_order_amount", { precision: 10, scale: 2 }).notNull().default("0"),
+  startsAt: timestamp("starts_at", { withTimezone: true }),
+  endsAt: timestamp("ends_at", { withTimezone: true }),
+  // Days of week (0 = Sunday) and "HH:MM" window; NULL means any day / all day
+  activeDays: jsonb("active_days"),
+  startTime: varchar("start_time", { length: 5 }),
+  endTime: varchar("end_time", { length: 5 }),
+  usageLimit: integer("usage_limit"),
+  perGuestLimit: integer("per_guest_limit"),
+  isActive: boolean("is_active").notNull().default(true),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  restaurantCodeUnique: uniqueIndex("promotions_restaurant_code_unique").on(table.restaurantId, table.code),
+  restaurantIdx: index("promotions_restaurant_idx").on(table.restaurantId),
+}));
+
+// Discounts on an order: applied promotions, staff manual discounts and loyalty redemptions. Pricing rules are
+// snapshotted so the discount can be re-priced as items change, even if the promotion is edited.
+export const orderDiscounts = pgTable("order_discounts", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  orderId: varchar("order_id")
+    .notNull()
+    .references(() => orders.id, { onDelete: "cascade" }),
+  promotionId: varchar("promotion_id").references(() => promotions.id, { onDelete: "set null" }),
+  isManual: boolean("is_manual").notNull().default(false),
+  name: varchar("name", { length: 150 }).notNull(),
+  code: varchar("code", { length: 40 }),
+  discountType: discountTypeEnum("discount_type").notNull(),
+  value: numeric("value", { precision: 10, scale: 2 }).notNull(),
+  // { scope, menuItemIds, categoryIds, maxDiscountAmount, minOrderAmount }
+  rules: jsonb("rules").default(sql`'{}'::jsonb`),
+  amount: numeric("amount", { precision: 12, scale: 2 }).notNull().default("0"),
+  status: orderDiscountStatusEnum("status").notNull().default("APPLIED"),
+  // Guest phone at the time of use, for per-guest limits
+  guestPhone: varchar("guest_phone", { length: 20 }),
+  // Points redeemed for this discount; null for promotions and manual discounts
+  loyaltyPoints: integer("loyalty_points"),
+  reason: text("reason"),
+  requestedById: varchar("requested_by_id"),
+  requestedByType: subjectTypeEnum("requested_by_type"),
+  approvedById: varchar("approved_by_id"),
+  approvedByType: subjectTypeEnum("approved_by_type"),
+  decidedAt: timestamp("decided_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  orderIdx: index("order_discounts_order_idx").on(table.orderId),
+  promotionStatusIdx: index("order_discounts_promotion_status_idx").on(table.promotionId, table.status),
+  restaurantStatusIdx: index("order_discounts_restaurant_status_idx").on(table.restaurantId, table.status),
+  // One coupon and one manual discount per order at a time
+  onePromotionPerOrder: uniqueIndex("order_discounts_one_promotion_per_order")
+    .on(table.orderId)
+    .where(sql`is_manual = false AND status = 'APPLIED'`),
+  oneManualPerOrder: uniqueIndex("order_discounts_one_manual_per_order")
+    .on(table.orderId)
+    .where(sql`is_manual = true AND status IN ('APPLIED', 'PENDING_APPROVAL')`),
+}));
+
+// Append-only trail of every change to an order's items, prices, discounts and payments: who made
+// it, the money fields before and after, and why. Rows are never updated (see migration 0020).
+export const orderAuditLog = pgTable("order_audit_log", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  // No FK: the trail must outlive any order or item it describes
+  orderId: varchar("order_id").notNull(),
+  orderItemId: varchar("order_item_id"),
+  action: varchar("action", { length: 50 }).notNull(),
+  // Null for system changes (e.g. guest QR orders)
+  actorId: varchar("actor_id"),
+  actorType: subjectTypeEnum("actor_type"),
+  // Only the fields the change touched
+  before: jsonb("before").default(sql`'{}'::jsonb`),
+  after: jsonb("after").default(sql`'{}'::jsonb`),
+  reason: text("reason"),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  orderCreatedIdx: index("order_audit_log_order_created_idx").on(table.orderId, table.createdAt),
+  actorCreatedIdx: index("order_audit_log_actor_created_idx").on(table.restaurantId, table.actorId, table.createdAt),
+  restaurantCreatedIdx: index("order_audit_log_restaurant_created_idx").on(table.restaurantId, table.createdAt),
+}));
+
+// One row per restricted action a manager approved with their passcode on someone else's behalf
+export const managerOverrides = pgTable("manager_overrides", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  // The permission the requester lacked, and the route it unlocked
+  permission: varchar("permission", { length: 50 }).notNull(),
+  action: varchar("action", { length: 200 }).notNull(),
+  // No FKs: like the audit trail, the record must outlive the order and the people involved
+  orderId: varchar("order_id"),
+  requestedById: varchar("requested_by_id"),
+  requestedByType: subjectTypeEnum("requested_by_type"),
+  approvedById: varchar("approved_by_id").notNull(),
+  approvedByName: varchar("approved_by_name", { length: 150 }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  restaurantCreatedIdx: index("manager_overrides_restaurant_created_idx").on(table.restaurantId, table.createdAt),
+  orderIdx: index("manager_overrides_order_idx").on(table.orderId),
+}));
+
 //
 // Guest queue / waitlist
 //
@@ -520,6 +1383,8 @@ export const guestQueue = pgTable("guest_queue", {
   guestName: varchar("guest_name", { length: 150 }).notNull(),
   partySize: integer("party_size").notNull(),
   phoneNumber: varchar("phone_number", { length: 20 }),
+  // Profile matched from phoneNumber
+  customerId: varchar("customer_id").references(() => customers.id, { onDelete: "set null" }),
   status: guestQueueStatusEnum("status").notNull().default("WAITING"),
   entryTime: timestamp("entry_time", { withTimezone: true }).defaultNow(),
   calledTime: timestamp("called_time", { withTimezone: true }),
@@ -537,6 +1402,44 @@ export const guestQueue = pgTable("guest_queue", {
   };
 });
 
+//
+// Reservations
+//
+// Table reservations. ends_at is stored (starts_at + duration) so overlap checks are plain range comparisons.
+export const reservations = pgTable("reservations", {
+  id: varchar("id")
+    .primaryKey()
+    .default(sql`gen_random_uuid()`),
+  restaurantId: varchar("restaurant_id")
+    .notNull()
+    .references(() => restaurants.id, { onDelete: "cascade" }),
+  tableId: varchar("table_id").references(() => tables.id, { onDelete: "set null" }),
+  guestName: varchar("guest_name", { length: 150 }).notNull(),
+  phoneNumber: varchar("phone_number", { length: 20 }),
+  partySize: integer("party_size").notNull(),
+  startsAt: timestamp("starts_at", { withTimezone: true }).notNull(),
+  durationMinutes: integer("duration_minutes").notNull().default(90),
+  endsAt: timestamp("ends_at", { withTimezone: true }).notNull(),
+  status: reservationStatusEnum("status")
+    .notNull()
+    .default("BOOKED"),
+  // STAFF (entered by the restaurant) or ONLINE (public booking page)
+  source: varchar("source", { length: 20 }).notNull().default("STAFF"),
+  notes: text("notes"),
+  // Set when the table was switched to RESERVED for this booking, so only that hold is released
+  tableHeldAt: timestamp("table_held_at", { withTimezone: true }),
+  seatedAt: timestamp("seated_at", { withTimezone: true }),
+  cancelledAt: timestamp("cancelled_at", { withTimezone: true }),
+  cancelReason: text("cancel_reason"),
+  noShowAt: timestamp("no_show_at", { withTimezone: true }),
+  createdAt: timestamp("created_at", { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  restaurantStartsIdx: index("reservations_restaurant_starts_idx").on(table.restaurantId, table.startsAt),
+  tableStartsIdx: index("reservations_table_starts_idx").on(table.tableId, table.startsAt),
+  statusStartsIdx: index("reservations_status_starts_idx").on(table.status, table.startsAt),
+}));
+
 //
 // Analytics events (optional but future-proof)
 //
@@ -745,20 +1648,49 @@ export type Currency = typeof currencies.$inferSelect;
 export type InsertUser = z.infer<typeof insertUserSchema>;
 export type User = typeof users.$inferSelect;
 
+export type Organization = typeof organizations.$inferSelect;
 export type Restaurant = typeof restaurants.$inferSelect;
 export type AuthRefreshToken = typeof authRefreshTokens.$inferSelect;
 export type Subscription = typeof subscriptions.$inferSelect;
+export type KitchenStation = typeof kitchenStations.$inferSelect;
+export type MenuSchedule = typeof menuSchedules.$inferSelect;
 export type MenuCategory = typeof menuCategories.$inferSelect;
 export type MenuExtractionJob = typeof menuExtractionJobs.$inferSelect;
 export type MenuItem = typeof menuItems.$inferSelect;
 export type MenuSuggestion = typeof menuSuggestions.$inferSelect;
+export type MasterMenuCategory = typeof masterMenuCategories.$inferSelect;
+export type MasterMenuItem = typeof masterMenuItems.$inferSelect;
+export type OutletMenuOverride = typeof outletMenuOverrides.$inferSelect;
 export type Table = typeof tables.$inferSelect;
+export type Customer = typeof customers.$inferSelect;
+export type LoyaltyProgram = typeof loyaltyPrograms.$inferSelect;
+export type LoyaltyLedgerEntry = typeof loyaltyLedger.$inferSelect;
 export type Order = typeof orders.$inferSelect;
 export type OrderItem = typeof orderItems.$inferSelect;
+export type DeliveryFeeRule = typeof deliveryFeeRules.$inferSelect;
+export type Delivery = typeof deliveries.$inferSelect;
+export type AggregatorIntegration = typeof aggregatorIntegrations.$inferSelect;
+export type AggregatorItemMapping = typeof aggregatorItemMappings.$inferSelect;
+export type AggregatorEvent = typeof aggregatorEvents.$inferSelect;
+export type ChannelSyncLogEntry = typeof channelSyncLog.$inferSelect;
 export type Transaction = typeof transactions.$inferSelect;
 export type InventoryItem = typeof inventoryItems.$inferSelect;
+export type InventoryMovement = typeof inventoryMovements.$inferSelect;
+export type RecipeIngredient = typeof recipeIngredients.$inferSelect;
 export type Staff = typeof staff.$inferSelect;
+export type StaffRole = typeof staffRoles.$inferSelect;
+export type StaffOutletAccess = typeof staffOutletAccess.$inferSelect;
+export type StaffShift = typeof staffShifts.$inferSelect;
+export type StaffShiftBreak = typeof staffShiftBreaks.$inferSelect;
+export type CashDrawerSession = typeof cashDrawerSessions.$inferSelect;
+export type CashDrawerMovement = typeof cashDrawerMovements.$inferSelect;
+export type ZReport = typeof zReports.$inferSelect;
+export type Promotion = typeof promotions.$inferSelect;
+export type OrderDiscount = typeof orderDiscounts.$inferSelect;
+export type OrderAuditLogEntry = typeof orderAuditLog.$inferSelect;
+export type ManagerOverride = typeof managerOverrides.$inferSelect;
 export type GuestQueue = typeof guestQueue.$inferSelect;
+export type Reservation = typeof reservations.$inferSelect;
 export type AnalyticsEvent = typeof analyticsEvents.$inferSelect;
 
 
@@ -0,0 +1,30 @@
+/**
+ * Aggregator adapters, by key. Adding a provider means adding an adapter here; the webhook routes,
+ * menu mapping and status push-back are shared.
+ *
+ * An adapter has:
+ *  - key, name, signatureHeader
+ *  - sign(body, secret) — signature for an outgoing status or menu update
+ *  - verifySignature(rawBody, headers, secret) — whether a webhook really came from the provider
+ *  - parseEvent(payload) — the webhook in our terms, or null if it isn't an event we handle:
+ *      { type: "ORDER_PLACED", externalStoreId, externalOrderId, guestName, guestPhone, notes, prepaid,
+ *        items: [{ externalId, quantity, notes, modifierExternalIds }] }
+ *      { type: "ORDER_CANCELLED", externalStoreId, externalOrderId, reason }
+ *  - statusUpdate(order, status) — request body telling the provider about a status change, or null
+ *    when the provider doesn't track that status
+ *  - menuUpdate(kind, payload, integration) — request body for a channel sync (ITEM_AVAILABILITY
+ *    { externalIds, isAvailable }, ITEM_PRICE { externalIds, price }, STORE_STATUS { isOpen, reason }),
+ *    or null when the provider doesn't take that kind of update
+ */
+import { mockProvider } from "./mock.js";
+
+const PROVIDERS = {
+  [mockProvider.key]: mockProvider,
+};
+
+export const PROVIDER_KEYS = Object.keys(PROVIDERS);
+
+/** The adapter for a provider key, or null */
+export function getProvider(key) {
+  return PROVIDERS[key] ?? null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Mock aggregator — speaks the same adapter contract as a real provider, so integrations can be
+ * exercised locally and in tests with fixture payloads (see tests/fixtures/aggregator).
+ *
+ * Webhooks are signed with a hex HMAC-SHA256 of the raw body in the x-mock-signature header; status
+ * and menu updates are signed the same way.
+ */
+import crypto from "crypto";
+
+// Our order status → the mock aggregator's. Statuses not listed aren't sent.
+const STATUS_MAP = {
+  PREPARING: "ACCEPTED",
+  READY: "FOOD_READY",
+  SERVED: "PICKED_UP",
+  CANCELLED: "CANCELLED",
+};
+
+const EVENT_TYPES = {
+  "order.placed": "ORDER_PLACED",
+  "order.cancelled": "ORDER_CANCELLED",
+};
+
+function hmac(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+export const mockProvider = {
+  key: "mock",
+  name: "Mock aggregator",
+  signatureHeader: "x-mock-signature",
+
+  sign(body, secret) {
+    return hmac(body, secret);
+  },
+
+  verifySignature(rawBody, headers, secret) {
+    const signature = String(headers[this.signatureHeader] || "");
+    const expected = hmac(rawBody, secret);
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseEvent(payload) {
+    const type = EVENT_TYPES[payload?.event];
+    const order = payload?.order;
+    if (!type || !order?.id) return null;
+
+    if (type === "ORDER_CANCELLED") {
+      return {
+        type,
+        externalStoreId: String(payload.store_id ?? ""),
+        externalOrderId: String(order.id),
+        reason: order.cancel_reason || "Cancelled on the aggregator",
+      };
+    }
+
+    return {
+      type,
+      externalStoreId: String(payload.store_id ?? ""),
+      externalOrderId: String(order.id),
+      guestName: order.customer?.name || null,
+      guestPhone: order.customer?.phone || null,
+      notes: order.instructions || null,
+      prepaid: order.is_prepaid === true,
+      items: (order.items || []).map((item) => ({
+        externalId: String(item.id),
+        quantity: Number(item.quantity),
+        notes: item.instructions || undefined,
+        modifierExternalIds: (item.addons || []).map((addon) => String(addon.id)),
+      })),
+    };
+  },
+
+  statusUpdate(order, status) {
+    const mapped = STATUS_MAP[status];
+    if (!mapped) return null;
+    return { order_id: order.externalOrderId, status: mapped };
+  },
+
+  menuUpdate(kind, payload, integration) {
+    if (kind === "ITEM_AVAILABILITY") {
+      return { items: payload.externalIds.map((id) => ({ id, in_stock: payload.isAvailable })) };
+    }
+    if (kind === "ITEM_PRICE") {
+      return { items: payload.externalIds.map((id) => ({ id, price: Number(payload.price) })) };
+    }
+    if (kind === "STORE_STATUS") {
+      return {
+        store_id: integration.externalStoreId,
+        status: payload.isOpen ? "OPEN" : "CLOSED",
+        ...(payload.reason && { reason: payload.reason }),
+      };
+    }
+    return null;
+  },
+};
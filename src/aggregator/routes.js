@@ -0,0 +1,295 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  listIntegrations,
+  createIntegration,
+  updateIntegration,
+  deleteIntegration,
+  listItemMappings,
+  replaceItemMappings,
+  listIntegrationEvents,
+  receiveWebhook,
+} from "./service.js";
+import { queueStoreStatusSync, listSyncLog, retrySync } from "./sync.js";
+import { PROVIDER_KEYS } from "./providers/index.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const integrationSchema = z.object({
+  provider: z.enum(PROVIDER_KEYS),
+  externalStoreId: z.string().trim().min(1).max(100),
+  // Leave out to have one generated
+  webhookSecret: z.string().min(16).max(128).optional(),
+  statusCallbackUrl: z.string().url().max(2000).nullable().optional(),
+  // Where availability, price and open/closed updates go; null turns channel sync off
+  menuSyncUrl: z.string().url().max(2000).nullable().optional(),
+  isEnabled: z.boolean().optional(),
+});
+
+const updateIntegrationSchema = integrationSchema.omit({ provider: true }).partial();
+
+const mappingSchema = z.discriminatedUnion("kind", [
+  z.object({
+    kind: z.literal("ITEM"),
+    externalId: z.string().trim().min(1).max(100),
+    menuItemId: z.string().uuid(),
+    variantId: z.string().uuid().nullable().optional(),
+  }),
+  z.object({
+    kind: z.literal("MODIFIER"),
+    externalId: z.string().trim().min(1).max(100),
+    modifierId: z.string().uuid(),
+  }),
+]);
+
+const mappingsSchema = z.object({
+  mappings: z.array(mappingSchema).max(2000),
+});
+
+const eventsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+});
+
+const syncLogQuerySchema = eventsQuerySchema.extend({
+  status: z.enum(["QUEUED", "RETRYING", "SENT", "FAILED"]).optional(),
+});
+
+const storeStatusSchema = z.object({
+  isOpen: z.boolean(),
+  // Shown by channels that display why a store is closed
+  reason: z.string().trim().max(200).optional(),
+});
+
+export function registerAggregatorRoutes(app) {
+  // Aggregator webhooks (no auth required, relies on the integration's signature)
+  app.post(
+    "/api/aggregators/:provider/webhooks/:integrationId",
+    rateLimit({ keyPrefix: "aggregator:webhook", windowSeconds: 60, max: 300 }),
+    asyncHandler(async (req, res) => {
+      // The signature covers the exact bytes the aggregator sent
+      if (!req.rawBody) {
+        return res.status(400).json({ message: "Raw body not found" });
+      }
+
+      try {
+        const result = await receiveWebhook(
+          req.params.provider,
+          req.params.integrationId,
+          req.rawBody,
+          req.headers,
+          req.body
+        );
+        res.json({ status: result.status, orderId: result.order?.id ?? null });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to process webhook" });
+      }
+    })
+  );
+
+  app.use(
+    "/api/restaurants/:restaurantId/integrations",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  router.get(
+    "/",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:list", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const integrations = await listIntegrations(req.params.restaurantId);
+      res.json({ integrations, providers: PROVIDER_KEYS });
+    })
+  );
+
+  router.post(
+    "/",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:create", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      const parsed = integrationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid integration",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const integration = await createIntegration(req.params.restaurantId, parsed.data);
+        res.status(201).json({ integration });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to connect aggregator" });
+      }
+    })
+  );
+
+  router.put(
+    "/:integrationId",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:update", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateIntegrationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid integration",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const integration = await updateIntegration(req.params.restaurantId, req.params.integrationId, parsed.data);
+        res.json({ integration });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update integration" });
+      }
+    })
+  );
+
+  router.delete(
+    "/:integrationId",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:delete", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      try {
+        await deleteIntegration(req.params.restaurantId, req.params.integrationId);
+        res.status(204).send();
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to disconnect aggregator" });
+      }
+    })
+  );
+
+  // Which of our menu items, variants and modifiers each aggregator id stands for
+  router.get(
+    "/:integrationId/mappings",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:mappings:get", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const mappings = await listItemMappings(req.params.restaurantId, req.params.integrationId);
+        res.json({ mappings });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load menu mapping" });
+      }
+    })
+  );
+
+  router.put(
+    "/:integrationId/mappings",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:mappings:update", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      const parsed = mappingsSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid menu mapping",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const mappings = await replaceItemMappings(
+          req.params.restaurantId,
+          req.params.integrationId,
+          parsed.data.mappings
+        );
+        res.json({ mappings });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update menu mapping" });
+      }
+    })
+  );
+
+  // Webhooks received and status updates sent, for troubleshooting
+  router.get(
+    "/:integrationId/events",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:events", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const parsed = eventsQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const events = await listIntegrationEvents(req.params.restaurantId, req.params.integrationId, parsed.data);
+        res.json({ events });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load integration events" });
+      }
+    })
+  );
+
+  // Open or close the store on every channel
+  router.post(
+    "/store-status",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:store-status", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = storeStatusSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid store status",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const channels = await queueStoreStatusSync(req.params.restaurantId, parsed.data);
+        res.status(202).json({ channels });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update store status" });
+      }
+    })
+  );
+
+  // Availability, price and open/closed updates sent to the channel
+  router.get(
+    "/:integrationId/sync-log",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:sync-log", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const parsed = syncLogQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const entries = await listSyncLog(req.params.restaurantId, req.params.integrationId, parsed.data);
+        res.json({ entries });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load sync log" });
+      }
+    })
+  );
+
+  router.post(
+    "/:integrationId/sync-log/:logId/retry",
+    requirePermission("integration.manage"),
+    rateLimit({ keyPrefix: "integrations:sync-retry", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const entry = await retrySync(req.params.restaurantId, req.params.integrationId, req.params.logId);
+        res.json({ entry });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to retry update" });
+      }
+    })
+  );
+}
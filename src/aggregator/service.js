@@ -0,0 +1,380 @@
+/**
+ * Delivery aggregator integrations — orders placed on an aggregator arrive on a signed webhook, are
+ * mapped onto our menu and created through createOrder with the aggregator's order id attached.
+ * Kitchen status changes go back to the aggregator. Provider specifics live in ./providers.
+ */
+import crypto from "crypto";
+import { eq, and, desc, inArray } from "drizzle-orm";
+import {
+  aggregatorIntegrations,
+  aggregatorItemMappings,
+  aggregatorEvents,
+  orders,
+  menuItems,
+  menuItemVariants,
+  modifiers,
+} from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { getProvider } from "./providers/index.js";
+import { httpError } from "../httpError.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+const STATUS_PUSH_TIMEOUT_MS = 5000;
+
+/** One of the restaurant's integrations. Throws 404 if there is no such integration. */
+export async function getIntegration(restaurantId, integrationId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select()
+    .from(aggregatorIntegrations)
+    .where(and(eq(aggregatorIntegrations.restaurantId, restaurantId), eq(aggregatorIntegrations.id, integrationId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Integration not found", 404);
+  return rows[0];
+}
+
+export async function listIntegrations(restaurantId) {
+  return await readDb
+    .select()
+    .from(aggregatorIntegrations)
+    .where(eq(aggregatorIntegrations.restaurantId, restaurantId))
+    .orderBy(aggregatorIntegrations.provider);
+}
+
+/**
+ * Connect an aggregator. A webhook secret is generated unless the aggregator issued one.
+ * @param {{provider: string, externalStoreId: string, webhookSecret?: string, statusCallbackUrl?: string|null, menuSyncUrl?: string|null, isEnabled?: boolean}} data
+ */
+export async function createIntegration(restaurantId, data) {
+  if (!getProvider(data.provider)) throw httpError(`Unknown aggregator ${data.provider}`);
+  try {
+    const rows = await db
+      .insert(aggregatorIntegrations)
+      .values({
+        restaurantId,
+        provider: data.provider,
+        externalStoreId: data.externalStoreId,
+        webhookSecret: data.webhookSecret || crypto.randomBytes(32).toString("hex"),
+        statusCallbackUrl: data.statusCallbackUrl ?? null,
+        menuSyncUrl: data.menuSyncUrl ?? null,
+        isEnabled: data.isEnabled ?? true,
+      })
+      .returning();
+    return rows[0];
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError("This aggregator is already connected", 409);
+    throw error;
+  }
+}
+
+export async function updateIntegration(restaurantId, integrationId, data) {
+  await getIntegration(restaurantId, integrationId, db);
+  const updates = {};
+  for (const field of ["externalStoreId", "webhookSecret", "statusCallbackUrl", "menuSyncUrl", "isEnabled"]) {
+    if (data[field] !== undefined) updates[field] = data[field];
+  }
+  const rows = await db
+    .update(aggregatorIntegrations)
+    .set({ ...updates, updatedAt: new Date() })
+    .where(eq(aggregatorIntegrations.id, integrationId))
+    .returning();
+  return rows[0];
+}
+
+export async function deleteIntegration(restaurantId, integrationId) {
+  await getIntegration(restaurantId, integrationId, db);
+  await db.delete(aggregatorIntegrations).where(eq(aggregatorIntegrations.id, integrationId));
+}
+
+export async function listItemMappings(restaurantId, integrationId) {
+  await getIntegration(restaurantId, integrationId);
+  return await readDb
+    .select()
+    .from(aggregatorItemMappings)
+    .where(eq(aggregatorItemMappings.integrationId, integrationId))
+    .orderBy(aggregatorItemMappings.kind, aggregatorItemMappings.externalId);
+}
+
+/**
+ * Replace an integration's menu mapping. Every menu item, variant and modifier must belong to the
+ * restaurant, and a variant to its item.
+ * @param {Array<{kind: "ITEM"|"MODIFIER", externalId: string, menuItemId?: string, variantId?: string|null, modifierId?: string}>} mappings
+ */
+export async function replaceItemMappings(restaurantId, integrationId, mappings) {
+  await getIntegration(restaurantId, integrationId, db);
+
+  const keys = mappings.map((m) => `${m.kind}:${m.externalId}`);
+  if (new Set(keys).size !== keys.length) throw httpError("Each aggregator id can only be mapped once");
+
+  const itemIds = [...new Set(mappings.filter((m) => m.kind === "ITEM").map((m) => m.menuItemId))];
+  const variantIds = [...new Set(mappings.filter((m) => m.variantId).map((m) => m.variantId))];
+  const modifierIds = [...new Set(mappings.filter((m) => m.kind === "MODIFIER").map((m) => m.modifierId))];
+
+  const [itemRows, variantRows, modifierRows] = await Promise.all([
+    itemIds.length
+      ? db.select({ id: menuItems.id }).from(menuItems)
+          .where(and(eq(menuItems.restaurantId, restaurantId), inArray(menuItems.id, itemIds)))
+      : [],
+    variantIds.length
+      ? db.select({ id: menuItemVariants.id, menuItemId: menuItemVariants.menuItemId }).from(menuItemVariants)
+          .where(and(eq(menuItemVariants.restaurantId, restaurantId), inArray(menuItemVariants.id, variantIds)))
+      : [],
+    modifierIds.length
+      ? db.select({ id: modifiers.id }).from(modifiers)
+          .where(and(eq(modifiers.restaurantId, restaurantId), inArray(modifiers.id, modifierIds)))
+      : [],
+  ]);
+  const knownItems = new Set(itemRows.map((r) => r.id));
+  const variantItem = new Map(variantRows.map((r) => [r.id, r.menuItemId]));
+  const knownModifiers = new Set(modifierRows.map((r) => r.id));
+
+  for (const m of mappings) {
+    if (m.kind === "ITEM") {
+      if (!knownItems.has(m.menuItemId)) throw httpError(`Menu item for ${m.externalId} not found`, 404);
+      if (m.variantId && variantItem.get(m.variantId) !== m.menuItemId) {
+        throw httpError(`Variant for ${m.externalId} isn't a variant of its menu item`);
+      }
+    } else if (!knownModifiers.has(m.modifierId)) {
+      throw httpError(`Modifier for ${m.externalId} not found`, 404);
+    }
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.delete(aggregatorItemMappings).where(eq(aggregatorItemMappings.integrationId, integrationId));
+    if (mappings.length > 0) {
+      await tx.insert(aggregatorItemMappings).values(
+        mappings.map((m) => ({
+          integrationId,
+          kind: m.kind,
+          externalId: m.externalId,
+          menuItemId: m.kind === "ITEM" ? m.menuItemId : null,
+          variantId: m.kind === "ITEM" ? m.variantId ?? null : null,
+          modifierId: m.kind === "MODIFIER" ? m.modifierId : null,
+        }))
+      );
+    }
+  });
+  return await listItemMappings(restaurantId, integrationId);
+}
+
+/**
+ * Recent webhooks and status pushes, newest first.
+ * @param {{limit?: number, offset?: number}} [options]
+ */
+export async function listIntegrationEvents(restaurantId, integrationId, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+  await getIntegration(restaurantId, integrationId);
+  return await readDb
+    .select()
+    .from(aggregatorEvents)
+    .where(eq(aggregatorEvents.integrationId, integrationId))
+    .orderBy(desc(aggregatorEvents.createdAt))
+    .limit(limit)
+    .offset(offset);
+}
+
+/** Log to aggregator_events. Never throws: a failed write is only reported on the console. */
+async function recordEvent(integration, values) {
+  try {
+    await db.insert(aggregatorEvents).values({ integrationId: integration.id, ...values });
+  } catch (err) {
+    console.error("Failed to record aggregator event:", err);
+  }
+}
+
+/**
+ * Turn the aggregator's items into createOrder items. Throws 400 naming every id without a mapping,
+ * so the menu mapping can be fixed in one go.
+ */
+async function mapOrderItems(integrationId, items) {
+  const mappingRows = await db
+    .select()
+    .from(aggregatorItemMappings)
+    .where(eq(aggregatorItemMappings.integrationId, integrationId));
+  const itemMap = new Map(mappingRows.filter((m) => m.kind === "ITEM").map((m) => [m.externalId, m]));
+  const modifierMap = new Map(mappingRows.filter((m) => m.kind === "MODIFIER").map((m) => [m.externalId, m]));
+
+  const unmapped = new Set();
+  const mapped = items.map((item) => {
+    const mapping = itemMap.get(item.externalId);
+    if (!mapping) unmapped.add(item.externalId);
+    const modifierIds = item.modifierExternalIds.map((id) => {
+      if (!modifierMap.has(id)) unmapped.add(id);
+      return modifierMap.get(id)?.modifierId;
+    });
+    return {
+      menuItemId: mapping?.menuItemId,
+      quantity: item.quantity,
+      notes: item.notes,
+      ...(mapping?.variantId && { variantId: mapping.variantId }),
+      ...(modifierIds.length > 0 && { modifierIds }),
+    };
+  });
+
+  if (unmapped.size > 0) throw httpError(`Unmapped aggregator items: ${[...unmapped].join(", ")}`);
+  return mapped;
+}
+
+async function findExternalOrder(restaurantId, provider, externalOrderId) {
+  const rows = await db
+    .select({ id: orders.id })
+    .from(orders)
+    .where(
+      and(
+        eq(orders.restaurantId, restaurantId),
+        eq(orders.externalSource, provider),
+        eq(orders.externalOrderId, externalOrderId)
+      )
+    )
+    .limit(1);
+  return rows[0] ?? null;
+}
+
+async function placeExternalOrder(integration, event) {
+  if (await findExternalOrder(integration.restaurantId, integration.provider, event.externalOrderId)) {
+    throw Object.assign(httpError(`Order ${event.externalOrderId} was already received`, 409), { duplicate: true });
+  }
+  if (!Array.isArray(event.items) || event.items.length === 0) throw httpError("Order has no items");
+  if (event.items.some((item) => !Number.isInteger(item.quantity) || item.quantity <= 0)) {
+    throw httpError("Item quantities must be whole numbers above zero");
+  }
+
+  const items = await mapOrderItems(integration.id, event.items);
+  const { createOrder } = await import("../order/service.js");
+  try {
+    const { order } = await createOrder(integration.restaurantId, {
+      orderType: "DELIVERY",
+      guestName: event.guestName,
+      guestPhone: event.guestPhone,
+      notes: event.notes,
+      items,
+      // The aggregator collected the money; it settles with the restaurant separately
+      paymentStatus: event.prepaid ? "PAID" : "DUE",
+      paymentMethod: event.prepaid ? "OTHER" : "DUE",
+      externalSource: integration.provider,
+      externalOrderId: event.externalOrderId,
+    });
+    return order;
+  } catch (error) {
+    // Two deliveries of the same webhook racing each other
+    if (isUniqueViolation(error)) {
+      throw Object.assign(httpError(`Order ${event.externalOrderId} was already received`, 409), { duplicate: true });
+    }
+    throw error;
+  }
+}
+
+async function cancelExternalOrder(integration, event) {
+  const existing = await findExternalOrder(integration.restaurantId, integration.provider, event.externalOrderId);
+  if (!existing) throw httpError(`Order ${event.externalOrderId} not found`, 404);
+  const { cancelOrderWithReason } = await import("../order/service.js");
+  return await cancelOrderWithReason(integration.restaurantId, existing.id, event.reason);
+}
+
+/**
+ * Handle an aggregator webhook. The signature is checked against the raw body before anything in
+ * the payload is trusted. Every outcome after that is logged to aggregator_events.
+ * @param {string} providerKey - From the webhook URL
+ * @param {string} integrationId - From the webhook URL
+ * @param {Buffer|string} rawBody - Exactly as received
+ * @param {object} headers - Request headers (lower-case names)
+ * @param {object} payload - Parsed body
+ * @returns {Promise<{status: "ok"|"ignored", order?: object}>}
+ */
+export async function receiveWebhook(providerKey, integrationId, rawBody, headers, payload) {
+  const provider = getProvider(providerKey);
+  if (!provider) throw httpError("Unknown aggregator", 404);
+
+  const rows = await db
+    .select()
+    .from(aggregatorIntegrations)
+    .where(and(eq(aggregatorIntegrations.id, integrationId), eq(aggregatorIntegrations.provider, providerKey)))
+    .limit(1);
+  const integration = rows[0];
+  if (!integration) throw httpError("Integration not found", 404);
+  if (!provider.verifySignature(rawBody, headers, integration.webhookSecret)) {
+    throw httpError("Invalid webhook signature", 401);
+  }
+
+  const event = provider.parseEvent(payload);
+  if (!event) return { status: "ignored" };
+
+  const log = { direction: "INBOUND", eventType: event.type, externalOrderId: event.externalOrderId, payload };
+  try {
+    if (!integration.isEnabled) throw httpError("Integration is switched off", 403);
+    if (event.externalStoreId !== integration.externalStoreId) {
+      throw httpError("Webhook is for a different store");
+    }
+
+    const order = event.type === "ORDER_CANCELLED"
+      ? await cancelExternalOrder(integration, event)
+      : await placeExternalOrder(integration, event);
+    await recordEvent(integration, { ...log, orderId: order?.id ?? null, result: "ACCEPTED" });
+    return { status: "ok", order };
+  } catch (error) {
+    // recordEvent swallows its own failures, so the aggregator still gets this error's status
+    await recordEvent(integration, {
+      ...log,
+      result: error.duplicate ? "DUPLICATE" : "REJECTED",
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Tell the aggregator an order's status changed. Does nothing for our own orders, for statuses the
+ * provider doesn't track or when no callback URL is set. Never throws, so callers can leave it
+ * running in the background; a failed push is logged to aggregator_events.
+ * @param {object} order - Order row after the change
+ * @param {string} status - The new status
+ */
+export async function pushOrderStatus(order, status) {
+  if (!order?.externalSource) return;
+  const provider = getProvider(order.externalSource);
+  if (!provider) return;
+
+  try {
+    const rows = await db
+      .select()
+      .from(aggregatorIntegrations)
+      .where(
+        and(
+          eq(aggregatorIntegrations.restaurantId, order.restaurantId),
+          eq(aggregatorIntegrations.provider, order.externalSource)
+        )
+      )
+      .limit(1);
+    const integration = rows[0];
+    if (!integration?.isEnabled || !integration.statusCallbackUrl) return;
+
+    const update = provider.statusUpdate(order, status);
+    if (!update) return;
+
+    const body = JSON.stringify(update);
+    const log = {
+      direction: "OUTBOUND",
+      eventType: `STATUS_${status}`,
+      externalOrderId: order.externalOrderId,
+      orderId: order.id,
+      payload: update,
+    };
+    try {
+      const response = await fetch(integration.statusCallbackUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [provider.signatureHeader]: provider.sign(body, integration.webhookSecret),
+        },
+        body,
+        signal: AbortSignal.timeout(STATUS_PUSH_TIMEOUT_MS),
+      });
+      if (!response.ok) throw new Error(`Aggregator responded ${response.status}`);
+      await recordEvent(integration, { ...log, result: "SENT" });
+    } catch (err) {
+      console.error(`Aggregator status push failed for order ${order.id}:`, err.message);
+      await recordEvent(integration, { ...log, result: "FAILED", error: err.message });
+    }
+  } catch (err) {
+    console.error("Aggregator status push failed:", err);
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Channel sync — pushes menu changes out to aggregator channels: item availability, item prices
+ * and whether the store is open. Each push is logged in channel_sync_log and sent from the Redis
+ * job queue, with retries and backoff when the channel is down.
+ *
+ * Only channels with a menuSyncUrl take part, and only items mapped to the channel are sent.
+ */
+import { eq, and, desc, isNull, isNotNull } from "drizzle-orm";
+import { aggregatorIntegrations, aggregatorItemMappings, channelSyncLog } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { env } from "../config/env.js";
+import { enqueueJob, dequeueJob, completeJob, failJob } from "../jobs/redis-jobs.js";
+import { getProvider } from "./providers/index.js";
+import { getIntegration } from "./service.js";
+import { httpError } from "../httpError.js";
+
+export const CHANNEL_SYNC_QUEUE = "channel-sync";
+
+const MAX_ATTEMPTS = 5;
+// First retry after 30s, then 1, 2 and 4 minutes
+const RETRY_DELAY_MS = 30 * 1000;
+const PUSH_TIMEOUT_MS = 10 * 1000;
+const JOBS_PER_TICK = 50;
+
+// The queue needs Redis; without it pushes are sent once, straight away
+function queueConfigured() {
+  return Boolean(env.redisUrl) || env.redisMode !== "single";
+}
+
+async function syncChannels(restaurantId) {
+  return await db
+    .select()
+    .from(aggregatorIntegrations)
+    .where(
+      and(
+        eq(aggregatorIntegrations.restaurantId, restaurantId),
+        eq(aggregatorIntegrations.isEnabled, true),
+        isNotNull(aggregatorIntegrations.menuSyncUrl)
+      )
+    );
+}
+
+async function markFailed(logId, error) {
+  await db
+    .update(channelSyncLog)
+    .set({ status: "FAILED", lastError: error, updatedAt: new Date() })
+    .where(eq(channelSyncLog.id, logId));
+}
+
+async function queueSync(integration, kind, payload, menuItemId = null) {
+  const rows = await db
+    .insert(channelSyncLog)
+    .values({ integrationId: integration.id, kind, menuItemId, payload })
+    .returning();
+  const entry = rows[0];
+
+  if (!queueConfigured()) {
+    setImmediate(() => {
+      processChannelSync(entry.id).catch((err) => markFailed(entry.id, err.message).catch(() => {}));
+    });
+    return entry;
+  }
+
+  try {
+    await enqueueJob({ logId: entry.id }, { queue: CHANNEL_SYNC_QUEUE, id: entry.id });
+  } catch (err) {
+    await markFailed(entry.id, `Couldn't queue the update: ${err.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Queue availability and/or price updates for a menu item on every channel it's mapped to. Prices
+ * only go to mappings without a variant, whose price is the item's own. Never throws: the menu
+ * change has already been saved and a channel problem must not undo that.
+ * @param {{isAvailable?: boolean, price?: string|number}} changes
+ * @returns {Promise<number>} Updates queued
+ */
+export async function queueItemSync(restaurantId, menuItemId, changes) {
+  try {
+    const channels = await syncChannels(restaurantId);
+    let queued = 0;
+    for (const integration of channels) {
+      const mappings = await db
+        .select({ externalId: aggregatorItemMappings.externalId, variantId: aggregatorItemMappings.variantId })
+        .from(aggregatorItemMappings)
+        .where(
+          and(
+            eq(aggregatorItemMappings.integrationId, integration.id),
+            eq(aggregatorItemMappings.kind, "ITEM"),
+            eq(aggregatorItemMappings.menuItemId, menuItemId)
+          )
+        );
+      if (mappings.length === 0) continue;
+
+      if (changes.isAvailable !== undefined) {
+        const externalIds = mappings.map((m) => m.externalId);
+        await queueSync(integration, "ITEM_AVAILABILITY", { externalIds, isAvailable: changes.isAvailable }, menuItemId);
+        queued += 1;
+      }
+      const priced = mappings.filter((m) => !m.variantId).map((m) => m.externalId);
+      if (changes.price !== undefined && priced.length > 0) {
+        await queueSync(integration, "ITEM_PRICE", { externalIds: priced, price: String(changes.price) }, menuItemId);
+        queued += 1;
+      }
+    }
+    return queued;
+  } catch (err) {
+    console.error(`[Channel sync] Failed to queue item ${menuItemId}:`, err);
+    return 0;
+  }
+}
+
+/**
+ * Tell every channel the store is open or closed.
+ * @param {{isOpen: boolean, reason?: string|null}} status
+ * @returns {Promise<number>} Channels the update was queued for
+ */
+export async function queueStoreStatusSync(restaurantId, { isOpen, reason = null }) {
+  const channels = await syncChannels(restaurantId);
+  for (const integration of channels) {
+    await queueSync(integration, "STORE_STATUS", { isOpen, reason });
+  }
+  return channels.length;
+}
+
+/**
+ * A channel's sync log, newest first.
+ * @param {{status?: string, limit?: number, offset?: number}} [filters]
+ */
+export async function listSyncLog(restaurantId, integrationId, filters = {}) {
+  const { status, limit = 50, offset = 0 } = filters;
+  await getIntegration(restaurantId, integrationId);
+  const conditions = [eq(channelSyncLog.integrationId, integrationId)];
+  if (status) conditions.push(eq(channelSyncLog.status, status));
+  return await readDb
+    .select()
+    .from(channelSyncLog)
+    .where(and(...conditions))
+    .orderBy(desc(channelSyncLog.createdAt))
+    .limit(limit)
+    .offset(offset);
+}
+
+/** Send a FAILED update again, with a fresh set of attempts */
+export async function retrySync(restaurantId, integrationId, logId) {
+  const integration = await getIntegration(restaurantId, integrationId, db);
+  const rows = await db
+    .update(channelSyncLog)
+    .set({ status: "QUEUED", attempts: 0, lastError: null, updatedAt: new Date() })
+    .where(
+      and(
+        eq(channelSyncLog.id, logId),
+        eq(channelSyncLog.integrationId, integration.id),
+        eq(channelSyncLog.status, "FAILED")
+      )
+    )
+    .returning();
+  if (!rows[0]) throw httpError("No failed update with that id", 404);
+
+  if (queueConfigured()) {
+    await enqueueJob({ logId }, { queue: CHANNEL_SYNC_QUEUE, id: logId });
+  } else {
+    await processChannelSync(logId).catch((err) => markFailed(logId, err.message));
+  }
+  const [entry] = await db.select().from(channelSyncLog).where(eq(channelSyncLog.id, logId));
+  return entry;
+}
+
+/**
+ * Send one logged update to its channel. Records the attempt; throws when the channel didn't take
+ * it, so the caller can retry.
+ * @returns {Promise<object>} The log entry after the attempt
+ */
+export async function processChannelSync(logId) {
+  const rows = await db
+    .select({ entry: channelSyncLog, integration: aggregatorIntegrations })
+    .from(channelSyncLog)
+    .innerJoin(aggregatorIntegrations, eq(aggregatorIntegrations.id, channelSyncLog.integrationId))
+    .where(and(eq(channelSyncLog.id, logId), isNull(channelSyncLog.sentAt)))
+    .limit(1);
+  if (!rows[0]) return null;
+  const { entry, integration } = rows[0];
+
+  const provider = getProvider(integration.provider);
+  const body = provider?.menuUpdate?.(entry.kind, entry.payload, integration) ?? null;
+  if (!integration.isEnabled || !integration.menuSyncUrl || !body) {
+    // Nothing to retry: the channel was switched off or doesn't take this update
+    await markFailed(logId, body ? "Channel sync is switched off" : `${integration.provider} doesn't take ${entry.kind} updates`);
+    return null;
+  }
+
+  const attempts = entry.attempts + 1;
+  try {
+    const json = JSON.stringify(body);
+    const response = await fetch(integration.menuSyncUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        [provider.signatureHeader]: provider.sign(json, integration.webhookSecret),
+      },
+      body: json,
+      signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`Channel responded ${response.status}`);
+  } catch (err) {
+    await db
+      .update(channelSyncLog)
+      .set({ status: "RETRYING", attempts, lastError: err.message, updatedAt: new Date() })
+      .where(eq(channelSyncLog.id, logId));
+    throw err;
+  }
+
+  const updated = await db
+    .update(channelSyncLog)
+    .set({ status: "SENT", attempts, lastError: null, sentAt: new Date(), updatedAt: new Date() })
+    .where(eq(channelSyncLog.id, logId))
+    .returning();
+  return updated[0];
+}
+
+/**
+ * Work through the channel sync queue. Failed pushes go back on the queue with backoff until
+ * MAX_ATTEMPTS, then stay FAILED in the log.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export async function runChannelSyncQueue() {
+  let sent = 0;
+  let failed = 0;
+  for (let i = 0; i < JOBS_PER_TICK; i++) {
+    const job = await dequeueJob(CHANNEL_SYNC_QUEUE);
+    if (!job) break;
+
+    try {
+      await processChannelSync(job.data.logId);
+      await completeJob(job.id, CHANNEL_SYNC_QUEUE);
+      sent += 1;
+    } catch (err) {
+      const retry = await failJob(job.id, err.message, {
+        queue: CHANNEL_SYNC_QUEUE,
+        maxRetries: MAX_ATTEMPTS,
+        retryDelayMs: RETRY_DELAY_MS,
+      });
+      if (!retry) {
+        await markFailed(job.data.logId, err.message);
+        failed += 1;
+      }
+    }
+  }
+  return { sent, failed };
+}
+
+export function startChannelSyncJob() {
+  const INTERVAL_MS = 5 * 1000;
+
+  if (!queueConfigured()) {
+    console.warn("[Channel sync] Redis not configured — updates are sent once without retries");
+    return;
+  }
+
+  let running = false;
+  async function runTick() {
+    // A slow channel can make a tick outlast the interval
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await runChannelSyncQueue();
+      if (sent || failed) console.log(`[Channel sync] ${sent} update(s) sent, ${failed} given up`);
+    } catch (err) {
+      console.error("[Channel sync] Tick failed:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  setInterval(() => {
+    runTick().catch((err) => console.error("[Channel sync] Unhandled error in tick:", err));
+  }, INTERVAL_MS);
+}
@@ -1,6 +1,8 @@
 // Date range helpers for analytics.
 // Keep logic centralized so all queries use the same boundaries.
 
+import { toMinutes } from "../time.js";
+
 /**
  * @typedef {'day'|'month'|'quarter'|'year'} AnalyticsTimeframe
  */
@@ -17,7 +19,7 @@
  */
 // We default analytics computations to restaurant-local time.
 // If you have per-restaurant timezones, pass it in from restaurant settings.
-const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
+export const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
 
 function parseGmtOffsetToMs(text) {
   // Examples: "GMT+5:30", "GMT-04:00", "GMT+0"
@@ -29,8 +31,16 @@ function parseGmtOffsetToMs(text) {
   return sign * (hours * 60 + minutes) * 60_000;
 }
 
+// Building a formatter costs far more than using one, and open periods format a few per day in range
+const formatters = new Map();
+function cachedFormat(locale, options) {
+  const key = `${locale}|${options.timeZone}|${options.timeZoneName || ""}`;
+  if (!formatters.has(key)) formatters.set(key, new Intl.DateTimeFormat(locale, options));
+  return formatters.get(key);
+}
+
 function getTimeZoneOffsetMs(utcDate, timeZone) {
-  const fmt = new Intl.DateTimeFormat("en-US", {
+  const fmt = cachedFormat("en-US", {
     timeZone,
     timeZoneName: "shortOffset",
     hour: "2-digit",
@@ -43,7 +53,7 @@ function getTimeZoneOffsetMs(utcDate, timeZone) {
 }
 
 function getYmdInTimeZone(date, timeZone) {
-  const fmt = new Intl.DateTimeFormat("en-CA", {
+  const fmt = cachedFormat("en-CA", {
     timeZone,
     year: "numeric",
     month: "2-digit",
@@ -64,9 +74,19 @@ function startOfDayUtc(date, timeZone) {
 /**
  * @param {AnalyticsTimeframe} timeframe
  * @param {Date} [now]
- * @param {{ timeZone?: string }} [opts]
+ * @param {{ timeZone?: string, businessHours?: Array|null, holidays?: Array|null }} [opts]
+ *   With business hours or holidays, the result's openHours leaves out the hours the restaurant
+ *   was closed throughout the current range
  */
 export function getTimeRanges(timeframe, now = new Date(), opts = {}) {
+  const ranges = periodRanges(timeframe, now, opts);
+  return {
+    ...ranges,
+    openHours: openHoursInRange(opts.businessHours, opts.holidays, ranges.current, opts),
+  };
+}
+
+function periodRanges(timeframe, now, opts) {
   const timeZone = opts.timeZone || DEFAULT_TIMEZONE;
   const end = new Date(now);
 
@@ -128,3 +148,118 @@ export function getTimeRanges(timeframe, now = new Date(), opts = {}) {
     previous: { start: prevStart, end: prevEnd },
   };
 }
+
+/**
+ * [start, end) of a calendar day in the restaurant's timezone.
+ * @param {string} businessDate - YYYY-MM-DD
+ * @param {{ timeZone?: string }} [opts]
+ */
+export function getBusinessDayRange(businessDate, opts = {}) {
+  const timeZone = opts.timeZone || DEFAULT_TIMEZONE;
+  const [year, month, day] = String(businessDate).split("-").map(Number);
+  const midnight = (d) => {
+    const guessUtcMs = Date.UTC(year, month - 1, d, 0, 0, 0);
+    return new Date(guessUtcMs - getTimeZoneOffsetMs(new Date(guessUtcMs), timeZone));
+  };
+  return { start: midnight(day), end: midnight(day + 1) };
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the restaurant's timezone.
+ * @param {Date} [now]
+ * @param {{ timeZone?: string }} [opts]
+ */
+export function getBusinessDate(now = new Date(), opts = {}) {
+  const { year, month, day } = getYmdInTimeZone(now, opts.timeZone || DEFAULT_TIMEZONE);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * The stretches of [start, end) the restaurant was open, as { day, from, to } with `day` a local
+ * calendar day as a UTC midnight and from/to minutes into it. A window only counts on its own days,
+ * the part past midnight falls on the next day and a holiday closes its whole local day. Without
+ * opening hours, all of every day that isn't a holiday.
+ * @private
+ */
+function openSpansInRange(businessHours, holidays, { start, end }, timeZone) {
+  const windows = Array.isArray(businessHours) && businessHours.length > 0
+    ? businessHours
+    : [{ startTime: "00:00", endTime: "00:00" }];
+  const closedDates = new Set((Array.isArray(holidays) ? holidays : []).map((h) => h.date));
+
+  const dayMinutes = 24 * 60;
+  // Local calendar days as UTC midnights, so weekdays and date strings need no timezone maths
+  const toDay = (date) => {
+    const { year, month, day } = getYmdInTimeZone(date, timeZone);
+    return Date.UTC(year, month - 1, day);
+  };
+  const dayMs = 24 * 60 * 60 * 1000;
+  const firstDay = toDay(start);
+  const lastDay = toDay(new Date(Math.max(start.getTime(), end.getTime() - 1)));
+
+  const spans = [];
+  // Start a day early for the previous evening's window running past midnight
+  for (let day = firstDay - dayMs; day <= lastDay; day += dayMs) {
+    const weekday = new Date(day).getUTCDay();
+    for (const w of windows) {
+      if (Array.isArray(w.days) && w.days.length > 0 && !w.days.includes(weekday)) continue;
+      const from = toMinutes(w.startTime);
+      // Equal start and end times mean open all day; a start after the end runs past midnight
+      const to = from + ((toMinutes(w.endTime) - from + dayMinutes) % dayMinutes || dayMinutes);
+      spans.push({ day, from, to: Math.min(to, dayMinutes) });
+      if (to > dayMinutes) spans.push({ day: day + dayMs, from: 0, to: to - dayMinutes });
+    }
+  }
+  return spans.filter(
+    ({ day }) => day >= firstDay && day <= lastDay && !closedDates.has(new Date(day).toISOString().slice(0, 10))
+  );
+}
+
+/**
+ * Hours of the day (0-23, restaurant-local) in which the restaurant was open at some point during
+ * [start, end), so by-hour charts can flag the hours it was closed.
+ * @param {Array<{days?: number[], startTime: string, endTime: string}>|null} businessHours
+ * @param {Array<{date: string}>|null} holidays
+ * @param {{start: Date, end: Date}} range
+ * @param {{ timeZone?: string }} [opts]
+ * @returns {number[]}
+ */
+export function openHoursInRange(businessHours, holidays, range, opts = {}) {
+  const open = new Set();
+  for (const { from, to } of openSpansInRange(businessHours, holidays, range, opts.timeZone || DEFAULT_TIMEZONE)) {
+    for (let h = Math.floor(from / 60); h * 60 < to; h++) open.add(h);
+  }
+  return [...open].sort((a, b) => a - b);
+}
+
+/**
+ * The periods within [start, end) the restaurant was open, in time order with touching periods
+ * merged, so figures can leave out what happened while it was closed.
+ * @param {Array<{days?: number[], startTime: string, endTime: string}>|null} businessHours
+ * @param {Array<{date: string}>|null} holidays
+ * @param {{start: Date, end: Date}} range
+ * @param {{ timeZone?: string }} [opts]
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export function openPeriodsInRange(businessHours, holidays, range, opts = {}) {
+  const timeZone = opts.timeZone || DEFAULT_TIMEZONE;
+  const toInstant = (day, minutes) => {
+    const guessUtcMs = day + minutes * 60_000;
+    return guessUtcMs - getTimeZoneOffsetMs(new Date(guessUtcMs), timeZone);
+  };
+
+  const periods = [];
+  const spans = openSpansInRange(businessHours, holidays, range, timeZone)
+    .map(({ day, from, to }) => ({
+      start: Math.max(toInstant(day, from), range.start.getTime()),
+      end: Math.min(toInstant(day, to), range.end.getTime()),
+    }))
+    .filter((span) => span.start < span.end)
+    .sort((a, b) => a.start - b.start);
+  for (const span of spans) {
+    const last = periods[periods.length - 1];
+    if (last && span.start <= last.end) last.end = Math.max(last.end, span.end);
+    else periods.push({ ...span });
+  }
+  return periods.map((p) => ({ start: new Date(p.start), end: new Date(p.end) }));
+}
@@ -1,8 +1,9 @@
 import express from "express";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
-import { getAnalyticsOverview, getAnalyticsSummary } from "./service.js";
+import { getAnalyticsOverview, getAnalyticsSummary, getPrepTimeAnalytics } from "./service.js";
 import { getRedisClient } from "../redis/client.js";
 import { cacheGetOrSetJson } from "../redis/cache.js";
 
@@ -16,7 +17,7 @@ export function registerAnalyticsRoutes(app) {
     "/:restaurantId/overview",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
       const { timeframe = "day", timezone } = req.query;
@@ -45,7 +46,7 @@ export function registerAnalyticsRoutes(app) {
     "/:restaurantId/summary",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
       const { timeframe = "day", timezone } = req.query;
@@ -69,5 +70,35 @@ export function registerAnalyticsRoutes(app) {
     })
   );
 
+  // Kitchen prep times (avg / p90) per item, station and hour
+  router.get(
+    "/:restaurantId/prep-times",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    requirePermission("reports.view"),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const { timeframe = "day", timezone } = req.query;
+
+      if (!validTimeframes.includes(timeframe)) {
+        return res.status(400).json({
+          message: "Invalid timeframe. Must be one of: day, month, quarter, year",
+        });
+      }
+
+      const redis = getRedisClient();
+      const cacheKey = `analytics:prep-times:${restaurantId}:${timeframe}`;
+      const ttl = timeframe === "day" ? 60 : 300;
+
+      const fetchAnalytics = () => getPrepTimeAnalytics(restaurantId, timeframe, { timeZone: timezone });
+      const prepTimes = redis
+         ? await cacheGetOrSetJson(redis, cacheKey, ttl, fetchAnalytics)
+         : await fetchAnalytics();
+
+      res.json({ prepTimes });
+    })
+  );
+
   app.use("/api/analytics", router);
 }
@@ -1,6 +1,7 @@
 import { readPool as pool } from "../dbClient.js";
-import { getTimeRanges } from "./range.js";
+import { getTimeRanges, openPeriodsInRange, DEFAULT_TIMEZONE } from "./range.js";
 import { getRedisClient } from "../redis/client.js";
+import { restaurantTimeZone } from "../menu/schedule-rules.js";
 
 function safeNumber(value) {
   const n = typeof value === "number" ? value : Number(value);
@@ -14,6 +15,51 @@ function pctChange(current, previous) {
   return ((c - p) / p) * 100;
 }
 
+/**
+ * Fill in the restaurant's business hours and holidays (and its timezone, unless the caller chose
+ * one) so by-hour breakdowns can flag the hours it was closed and figures can leave them out.
+ * @private
+ */
+async function withRestaurantHours(restaurantId, opts = {}) {
+  const result = await pool.query(
+    `SELECT settings, business_hours, holidays FROM restaurants WHERE id = $1`,
+    [restaurantId]
+  );
+  const row = result.rows[0];
+  return {
+    ...opts,
+    timeZone: opts.timeZone || restaurantTimeZone(row?.settings),
+    businessHours: row?.business_hours ?? null,
+    holidays: row?.holidays ?? null,
+  };
+}
+
+/**
+ * All 24 hourly buckets, each flagged with whether the restaurant was open then during the range.
+ * Closed hours stay in so orders taken outside business hours still show up, but figures taken
+ * across hours (peak hours, prep times, table turnover) leave them out.
+ */
+function hourBuckets(ranges) {
+  const open = new Set(ranges.openHours);
+  return Array.from({ length: 24 }, (_, h) => ({ hour: formatHourLabel(h), hour24: h, isOpen: open.has(h) }));
+}
+
+/**
+ * SQL condition that `column` falls in one of the periods the restaurant was open, adding the
+ * periods' starts and ends to `params`.
+ * @private
+ */
+function duringOpenHours(column, ranges, opts, params) {
+  const periods = openPeriodsInRange(opts.businessHours, opts.holidays, ranges.current, opts);
+  params.push(periods.map((p) => p.start.toISOString()), periods.map((p) => p.end.toISOString()));
+  const starts = `$${params.length - 1}::timestamptz[]`;
+  const ends = `$${params.length}::timestamptz[]`;
+  return `EXISTS (
+    SELECT 1 FROM unnest(${starts}, ${ends}) AS open_period(starts_at, ends_at)
+    WHERE ${column} >= open_period.starts_at AND ${column} < open_period.ends_at
+  )`;
+}
+
 function formatHourLabel(h) {
   const hour = ((h % 24) + 24) % 24;
   if (hour === 0) return "12 AM";
@@ -84,7 +130,9 @@ export async function getRevenueKpis(restaurantId, timeframe, opts) {
   const query = `
     SELECT
       COALESCE(SUM(t.grand_total), 0) as revenue,
-      COUNT(*)::int as bills
+      -- Refund/void rows are negative, so revenue above is already net of them
+      COALESCE(-SUM(t.grand_total) FILTER (WHERE t.entry_type != 'PAYMENT'), 0) as refunds,
+      COUNT(DISTINCT t.order_id) FILTER (WHERE t.entry_type = 'PAYMENT' AND t.voided_at IS NULL)::int as bills
     FROM transactions t
     JOIN orders o ON o.id = t.order_id
     WHERE t.restaurant_id = $1
@@ -97,8 +145,8 @@ export async function getRevenueKpis(restaurantId, timeframe, opts) {
     pool.query(query, [restaurantId, ranges.previous.start, ranges.previous.end]),
   ]);
 
-  const curRow = cur.rows[0] || { revenue: 0, bills: 0 };
-  const prevRow = prev.rows[0] || { revenue: 0, bills: 0 };
+  const curRow = cur.rows[0] || { revenue: 0, refunds: 0, bills: 0 };
+  const prevRow = prev.rows[0] || { revenue: 0, refunds: 0, bills: 0 };
 
   const revenue = safeNumber(curRow.revenue);
   const prevRevenue = safeNumber(prevRow.revenue);
@@ -112,6 +160,7 @@ export async function getRevenueKpis(restaurantId, timeframe, opts) {
   return {
     revenue,
     revenueChangePercent: pctChange(revenue, prevRevenue),
+    refunds: safeNumber(curRow.refunds),
     paidOrders: bills,
     paidOrdersChangePercent: pctChange(bills, prevBills),
     avgOrderValue: aov,
@@ -217,35 +266,42 @@ export async function getCategoryBreakdown(restaurantId, timeframe, opts) {
   }));
 }
 
-export async function getTrafficByHour(restaurantId, timeframe, opts) {
+/**
+ * Orders per restaurant-local hour of day, and the busiest two hours. Hours the restaurant was
+ * closed are flagged with isOpen: false and only count towards the peak if it was never open.
+ */
+export async function getTrafficByHour(restaurantId, timeframe, opts = {}) {
   const ranges = getTimeRanges(timeframe, new Date(), opts);
+  const timeZone = opts.timeZone || DEFAULT_TIMEZONE;
 
   const query = `
     SELECT
-      EXTRACT(HOUR FROM created_at)::int as hour,
+      EXTRACT(HOUR FROM created_at AT TIME ZONE $4)::int as hour,
       COUNT(*)::int as count
     FROM orders
     WHERE restaurant_id = $1
       AND status != 'CANCELLED'
       AND created_at >= $2 AND created_at < $3
-    GROUP BY EXTRACT(HOUR FROM created_at)
-    ORDER BY EXTRACT(HOUR FROM created_at)
+    GROUP BY 1
+    ORDER BY 1
   `;
 
   const result = await pool.query(query, [
     restaurantId,
     ranges.current.start,
     ranges.current.end,
+    timeZone,
   ]);
 
   const map = new Map(result.rows.map((r) => [Number(r.hour), safeNumber(r.count)]));
-  const hours = Array.from({ length: 24 }, (_, h) => ({
-    hour: formatHourLabel(h),
-    hour24: h,
-    count: map.get(h) ?? 0,
+  const hours = hourBuckets(ranges).map((bucket) => ({
+    ...bucket,
+    count: map.get(bucket.hour24) ?? 0,
   }));
 
-  const peak = hours.reduce((best, cur) => (cur.count > best.count ? cur : best), hours[0]);
+  const openHours = hours.filter((h) => h.isOpen);
+  const candidates = openHours.length ? openHours : hours;
+  const peak = candidates.reduce((best, cur) => (cur.count > best.count ? cur : best), candidates[0]);
 
   return {
     hours,
@@ -256,8 +312,10 @@ export async function getTrafficByHour(restaurantId, timeframe, opts) {
   };
 }
 
-export async function getTableTurnoverMinutes(restaurantId, timeframe, opts) {
+/** Average minutes from seating to close for dine-in orders placed while the restaurant was open */
+export async function getTableTurnoverMinutes(restaurantId, timeframe, opts = {}) {
   const ranges = getTimeRanges(timeframe, new Date(), opts);
+  const params = [restaurantId, ranges.current.start, ranges.current.end];
 
   const query = `
     SELECT
@@ -268,6 +326,141 @@ export async function getTableTurnoverMinutes(restaurantId, timeframe, opts) {
       AND closed_at IS NOT NULL
       AND status != 'CANCELLED'
       AND created_at >= $2 AND created_at < $3
+      AND ${duringOpenHours("created_at", ranges, opts, params)}
+  `;
+
+  const result = await pool.query(query, params);
+
+  const avg = safeNumber(result.rows[0]?.avg_minutes);
+  return Math.round(avg || 0);
+}
+
+/**
+ * Kitchen prep time (accepted → ready, in minutes) for items accepted in the period: overall, per
+ * menu item, per station and per hour of day. "Over SLA" uses each item's target prep time.
+ * byHour flags the hours the restaurant was closed; the other figures leave out items accepted then.
+ */
+export async function getPrepTimeAnalytics(restaurantId, timeframe, opts = {}) {
+  opts = await withRestaurantHours(restaurantId, opts);
+  const ranges = getTimeRanges(timeframe, new Date(), opts);
+  const timeZone = opts.timeZone || DEFAULT_TIMEZONE;
+  const params = [restaurantId, ranges.current.start, ranges.current.end];
+  const duringHours = duringOpenHours("oi.accepted_at", ranges, opts, params);
+
+  const prepped = `
+    WITH prepped AS (
+      SELECT
+        oi.menu_item_id,
+        oi.item_name,
+        oi.kitchen_station_id,
+        oi.accepted_at,
+        oi.target_prep_minutes,
+        EXTRACT(EPOCH FROM (oi.ready_at - oi.accepted_at)) / 60 as minutes,
+        ${duringHours} as during_hours
+      FROM order_items oi
+      WHERE oi.restaurant_id = $1
+        AND oi.status != 'CANCELLED'
+        AND oi.accepted_at IS NOT NULL
+        AND oi.ready_at IS NOT NULL
+        AND oi.accepted_at >= $2 AND oi.accepted_at < $3
+    )
+  `;
+  const stats = `
+    COUNT(*)::int as items,
+    AVG(minutes) as avg_minutes,
+    percentile_cont(0.9) WITHIN GROUP (ORDER BY minutes) as p90_minutes,
+    COUNT(*) FILTER (WHERE target_prep_minutes IS NOT NULL AND minutes > target_prep_minutes)::int as over_sla
+  `;
+
+  const [overallRes, itemRes, stationRes, hourRes] = await Promise.all([
+    pool.query(`${prepped} SELECT ${stats} FROM prepped WHERE during_hours`, params),
+    pool.query(
+      `${prepped}
+      SELECT menu_item_id, MAX(item_name) as name, MAX(target_prep_minutes) as target_minutes, ${stats}
+      FROM prepped
+      WHERE during_hours
+      GROUP BY menu_item_id
+      ORDER BY AVG(minutes) DESC`,
+      params
+    ),
+    pool.query(
+      `${prepped}
+      SELECT p.kitchen_station_id as station_id, COALESCE(MAX(ks.name), 'Unassigned') as name, ${stats}
+      FROM prepped p
+      LEFT JOIN kitchen_stations ks ON ks.id = p.kitchen_station_id
+      WHERE p.during_hours
+      GROUP BY p.kitchen_station_id
+      ORDER BY AVG(minutes) DESC`,
+      params
+    ),
+    pool.query(
+      `${prepped}
+      SELECT EXTRACT(HOUR FROM accepted_at AT TIME ZONE $6)::int as hour, ${stats}
+      FROM prepped
+      GROUP BY 1
+      ORDER BY 1`,
+      [...params, timeZone]
+    ),
+  ]);
+
+  const toStats = (r) => {
+    const items = safeNumber(r?.items);
+    return {
+      items,
+      avgMinutes: Math.round(safeNumber(r?.avg_minutes) * 10) / 10,
+      p90Minutes: Math.round(safeNumber(r?.p90_minutes) * 10) / 10,
+      overSlaPercent: items > 0 ? (safeNumber(r.over_sla) / items) * 100 : 0,
+    };
+  };
+
+  const hourMap = new Map(hourRes.rows.map((r) => [Number(r.hour), toStats(r)]));
+
+  return {
+    overall: toStats(overallRes.rows[0]),
+    byItem: itemRes.rows.map((r) => ({
+      menuItemId: r.menu_item_id,
+      name: r.name,
+      targetMinutes: r.target_minutes === null ? null : safeNumber(r.target_minutes),
+      ...toStats(r),
+    })),
+    byStation: stationRes.rows.map((r) => ({
+      stationId: r.station_id,
+      name: r.name,
+      ...toStats(r),
+    })),
+    byHour: hourBuckets(ranges).map((bucket) => ({
+      ...bucket,
+      ...(hourMap.get(bucket.hour24) ?? toStats(null)),
+    })),
+  };
+}
+
+/**
+ * Discount cost per promotion on paid orders. Manual discounts are reported together as
+ * one "Manual discount" row.
+ */
+export async function getPromotionBreakdown(restaurantId, timeframe, opts) {
+  const ranges = getTimeRanges(timeframe, new Date(), opts);
+
+  const query = `
+    SELECT
+      od.promotion_id as promotion_id,
+      CASE WHEN od.is_manual THEN 'Manual discount' ELSE COALESCE(p.name, MAX(od.name)) END as name,
+      CASE WHEN od.is_manual THEN NULL ELSE COALESCE(p.code, MAX(od.code)) END as code,
+      od.is_manual as is_manual,
+      COUNT(DISTINCT od.order_id)::int as orders,
+      COALESCE(SUM(od.amount), 0) as discount,
+      COALESCE(SUM(o.total_amount), 0) as sales
+    FROM order_discounts od
+    JOIN orders o ON o.id = od.order_id
+    LEFT JOIN promotions p ON p.id = od.promotion_id
+    WHERE od.restaurant_id = $1
+      AND od.status = 'APPLIED'
+      AND o.status != 'CANCELLED'
+      AND o.payment_status = 'PAID'
+      AND o.created_at >= $2 AND o.created_at < $3
+    GROUP BY od.is_manual, od.promotion_id, p.name, p.code
+    ORDER BY discount DESC
   `;
 
   const result = await pool.query(query, [
@@ -276,8 +469,15 @@ export async function getTableTurnoverMinutes(restaurantId, timeframe, opts) {
     ranges.current.end,
   ]);
 
-  const avg = safeNumber(result.rows[0]?.avg_minutes);
-  return Math.round(avg || 0);
+  return result.rows.map((r) => ({
+    promotionId: r.promotion_id,
+    name: r.name,
+    code: r.code,
+    isManual: r.is_manual,
+    orders: safeNumber(r.orders),
+    discount: safeNumber(r.discount),
+    sales: safeNumber(r.sales),
+  }));
 }
 
 /**
@@ -287,16 +487,20 @@ export async function getAnalyticsOverview(restaurantId, timeframe, opts) {
   // Minimal guard
   const tf = ['day', 'month', 'quarter', 'year'].includes(timeframe) ? timeframe : 'day';
 
-  // Cache by restaurant + timeframe + current-range start (so it naturally rolls forward)
-  const ranges = getTimeRanges(tf, new Date(), opts);
-  const cacheKey = `analytics:overview:${restaurantId}:${tf}:${ranges.current.start.toISOString()}`;
+  // Cache by restaurant + timeframe + current-range start (so it naturally rolls forward). The key
+  // uses the caller's timezone so a cache hit needs no restaurant lookup; hours load on a miss.
+  const cacheStart = getTimeRanges(tf, new Date(), opts).current.start;
+  const cacheKey = `analytics:overview:${restaurantId}:${tf}:${cacheStart.toISOString()}`;
   const redis = getRedisClient();
   if (redis) {
     const cached = await redis.get(cacheKey);
     if (cached) return JSON.parse(cached);
   }
 
-  const [kpis, revenueSeries, topItems, categoryBreakdown, traffic, tableTurnover] =
+  opts = await withRestaurantHours(restaurantId, opts);
+  const ranges = getTimeRanges(tf, new Date(), opts);
+
+  const [kpis, revenueSeries, topItems, categoryBreakdown, traffic, tableTurnover, promotionBreakdown] =
     await Promise.all([
       getRevenueKpis(restaurantId, tf, opts),
       getRevenueSeries(restaurantId, tf, opts),
@@ -304,6 +508,7 @@ export async function getAnalyticsOverview(restaurantId, timeframe, opts) {
       getCategoryBreakdown(restaurantId, tf, opts),
       getTrafficByHour(restaurantId, tf, opts),
       getTableTurnoverMinutes(restaurantId, tf, opts),
+      getPromotionBreakdown(restaurantId, tf, opts),
     ]);
 
   const payload = {
@@ -321,6 +526,7 @@ export async function getAnalyticsOverview(restaurantId, timeframe, opts) {
     revenueSeries,
     topItems,
     categoryBreakdown,
+    promotionBreakdown,
     trafficVolume: traffic.hours,
     peakHours: traffic.peakHours,
   };
@@ -357,6 +563,7 @@ export async function getAnalyticsSummary(restaurantId, timeframe, opts) {
     trafficVolume: overview.trafficVolume.map((h) => ({
       hour: h.hour,
       count: h.count,
+      isOpen: h.isOpen,
     })),
 
     // Extra fields (safe for clients that ignore unknown keys)
@@ -7,6 +7,7 @@ import { env } from "../config/env.js";
 import { asyncHandler } from "../middleware/asyncHandler.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import { requireAuth } from "../middleware/auth.js";
+import { loadPermissions } from "../middleware/permissions.js";
 import bcrypt from "bcryptjs";
 import { pool } from "../dbClient.js";
 import {
@@ -22,6 +23,7 @@ import {
 import { getRedisClient } from "../redis/client.js";
 import { randomUUID } from "crypto";
 import { sendOtpEmail } from "../email/service.js";
+import { canAccessOutlet, listStaffOutlets } from "../organization/service.js";
 
 import { wsTicketMemoryFallback } from "./wsTicketStore.js";
 
@@ -242,6 +244,12 @@ router.post(
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
+    // Shared staff may sign straight into another outlet of their chain
+    const outletId = restaurantId || staff.restaurantId;
+    if (outletId !== staff.restaurantId && !(await canAccessOutlet({ id: staff.id, isStaff: true }, outletId))) {
+      return res.status(403).json({ message: "You do not have access to this outlet" });
+    }
+
     // ✅ CRITICAL: Destroy existing session before creating JWT
     if (req.session) {
       await new Promise((resolve) => {
@@ -253,7 +261,7 @@ router.post(
       id: staff.id,
       email: staff.email,
       role: staff.role,
-      restaurantId: staff.restaurantId,
+      restaurantId: outletId,
       isStaff: true,
       staffId: staff.id,
     });
@@ -277,11 +285,11 @@ router.post(
         email: staff.email,
         fullName: staff.fullName,
         role: staff.role,
-        restaurantId: staff.restaurantId,
+        restaurantId: outletId,
       },
       token: accessToken,
       ...(includeRefreshInBody ? { refreshToken } : {}),
-      restaurantId: staff.restaurantId,
+      restaurantId: outletId,
     });
   }),
 );
@@ -324,10 +332,52 @@ router.post(
         restaurantId: user.restaurantId,
         isStaff: user.isStaff || false,
         staffId: user.staffId || null,
+        permissions: [...(await loadPermissions(req))],
       });
     }),
   );
 
+  // Outlets the signed-in user can switch between (owners: restaurants they own)
+  router.get(
+    "/outlets",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      if (user.isStaff) {
+        const outlets = await listStaffOutlets(user.staffId || user.id);
+        return res.json({ outlets, currentRestaurantId: user.restaurantId });
+      }
+      const result = await pool.query(
+        `SELECT id, name, slug, organization_id AS "organizationId"
+         FROM restaurants
+         WHERE owner_id = $1 AND is_active = true
+         ORDER BY name ASC`,
+        [user.id],
+      );
+      res.json({ outlets: result.rows, currentRestaurantId: user.restaurantId });
+    }),
+  );
+
+  // Re-issue the access token scoped to another outlet the user can access
+  router.post(
+    "/switch-outlet",
+    requireAuth,
+    rateLimit({ keyPrefix: "auth:switch-outlet", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = z.object({ restaurantId: z.string().min(1) }).safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({ message: "Invalid input", errors: parsed.error.errors });
+      }
+
+      const { restaurantId } = parsed.data;
+      if (!(await canAccessOutlet(req.user, restaurantId))) {
+        return res.status(403).json({ message: "You do not have access to this outlet" });
+      }
+
+      res.json({ token: signJwt({ ...req.user, restaurantId }), restaurantId });
+    }),
+  );
+
   router.post(
     "/ws-ticket",
     requireAuth,
@@ -401,6 +451,14 @@ router.post(
         return res.status(401).json({ message: "Session no longer valid" });
       }
 
+      // Keep the outlet the client was working in, if the subject may still access it
+      const requestedOutletId = req.body?.restaurantId;
+      if (requestedOutletId && requestedOutletId !== subject.restaurantId) {
+        if (await canAccessOutlet(subject, requestedOutletId)) {
+          subject = { ...subject, restaurantId: requestedOutletId };
+        }
+      }
+
       // Rotate refresh token
       const nextRefreshToken = createRefreshTokenValue();
       const persisted = await persistRefreshToken({
@@ -0,0 +1,261 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission, hasPermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  DRAWER_MOVEMENT_TYPES,
+  openDrawerSession,
+  recordDrawerMovement,
+  getDrawerSession,
+  closeDrawerSession,
+  listDrawerSessions,
+} from "./service.js";
+import { getZReport, listZReports, closeZReport } from "./zReport.js";
+
+const drawerRouter = express.Router({ mergeParams: true });
+const zReportRouter = express.Router({ mergeParams: true });
+
+// Validation schemas
+const amountSchema = z.number().nonnegative().max(10_000_000);
+const businessDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD");
+
+const openDrawerSchema = z.object({
+  terminalLabel: z.string().trim().min(1).max(50).optional(),
+  openingFloat: amountSchema,
+  notes: z.string().max(500).optional(),
+});
+
+const movementSchema = z.object({
+  type: z.enum(DRAWER_MOVEMENT_TYPES),
+  amount: amountSchema.positive(),
+  reason: z.string().trim().min(1).max(200),
+});
+
+const closeDrawerSchema = z.object({
+  countedCash: amountSchema,
+  notes: z.string().max(500).optional(),
+});
+
+const listDrawersQuerySchema = z.object({
+  status: z.enum(["OPEN", "CLOSED"]).optional(),
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+});
+
+const listZReportsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(366).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+});
+
+/** Without cash.manage staff may only work their own drawer */
+function drawerScope(req) {
+  return hasPermission(req, "cash.manage") ? {} : { onlyStaffId: req.user.staffId || req.user.id };
+}
+
+export function registerCashRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/cash-drawers",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    drawerRouter
+  );
+  app.use(
+    "/api/restaurants/:restaurantId/z-reports",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    zReportRouter
+  );
+
+  // === Cash drawers ===
+
+  drawerRouter.get(
+    "/",
+    requirePermission("cash.manage"),
+    rateLimit({ keyPrefix: "cash-drawers:list", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const parsed = listDrawersQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { status, from, to } = parsed.data;
+      const sessions = await listDrawerSessions(req.params.restaurantId, {
+        status,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      });
+      res.json({ sessions });
+    })
+  );
+
+  drawerRouter.post(
+    "/open",
+    requirePermission("cash.drawer", "cash.manage"),
+    rateLimit({ keyPrefix: "cash-drawers:open", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      const parsed = openDrawerSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const session = await openDrawerSession(req.params.restaurantId, parsed.data, actorFromRequest(req));
+        res.status(201).json({ session });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to open cash drawer" });
+      }
+    })
+  );
+
+  drawerRouter.get(
+    "/:sessionId",
+    requirePermission("cash.drawer", "cash.manage"),
+    rateLimit({ keyPrefix: "cash-drawers:get", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const session = await getDrawerSession(req.params.restaurantId, req.params.sessionId);
+        const { onlyStaffId } = drawerScope(req);
+        if (onlyStaffId && session.staffId !== onlyStaffId) {
+          return res.status(403).json({ message: "You can only use your own cash drawer" });
+        }
+        res.json({ session });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load cash drawer" });
+      }
+    })
+  );
+
+  // Pay-ins and pay-outs (change top-ups, petty cash, supplier payments)
+  drawerRouter.post(
+    "/:sessionId/movements",
+    requirePermission("cash.drawer", "cash.manage"),
+    rateLimit({ keyPrefix: "cash-drawers:movements", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = movementSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const movement = await recordDrawerMovement(
+          req.params.restaurantId,
+          req.params.sessionId,
+          parsed.data,
+          actorFromRequest(req),
+          drawerScope(req)
+        );
+        res.status(201).json({ movement });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to record cash movement" });
+      }
+    })
+  );
+
+  drawerRouter.post(
+    "/:sessionId/close",
+    requirePermission("cash.drawer", "cash.manage"),
+    rateLimit({ keyPrefix: "cash-drawers:close", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      const parsed = closeDrawerSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const session = await closeDrawerSession(
+          req.params.restaurantId,
+          req.params.sessionId,
+          parsed.data,
+          actorFromRequest(req),
+          drawerScope(req)
+        );
+        res.json({ session });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to close cash drawer" });
+      }
+    })
+  );
+
+  // === Z-reports ===
+
+  zReportRouter.get(
+    "/",
+    requirePermission("reports.view"),
+    rateLimit({ keyPrefix: "z-reports:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = listZReportsQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const reports = await listZReports(req.params.restaurantId, parsed.data);
+      res.json({ reports });
+    })
+  );
+
+  // Locked report for a closed day, or the live figures for a day still open
+  zReportRouter.get(
+    "/:businessDate",
+    requirePermission("reports.view"),
+    rateLimit({ keyPrefix: "z-reports:get", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = businessDateSchema.safeParse(req.params.businessDate);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid business date",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const zReport = await getZReport(req.params.restaurantId, parsed.data);
+        res.json({ zReport });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load Z-report" });
+      }
+    })
+  );
+
+  // Close the day — locks the report and emails it to the owner
+  zReportRouter.post(
+    "/:businessDate/close",
+    requirePermission("cash.close_day"),
+    rateLimit({ keyPrefix: "z-reports:close", windowSeconds: 60, max: 10 }),
+    asyncHandler(async (req, res) => {
+      const parsed = businessDateSchema.safeParse(req.params.businessDate);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid business date",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const zReport = await closeZReport(req.params.restaurantId, parsed.data, actorFromRequest(req));
+        res.status(201).json({ zReport });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to close the day" });
+      }
+    })
+  );
+}
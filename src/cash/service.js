@@ -0,0 +1,262 @@
+/**
+ * Cash drawers — till sessions opened with a float and closed with a count. Cash payments and
+ * refunds are linked to the drawer that was open when they were taken, so a close can compare the
+ * cash that should be in the till with what was counted. Kept free of service imports so the
+ * transaction service can use it.
+ */
+import { eq, and, desc, gte, lt, isNull, isNotNull, inArray, sql } from "drizzle-orm";
+import { cashDrawerSessions, cashDrawerMovements, transactions, staff } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { httpError } from "../httpError.js";
+import { toCents, fromCents } from "../money.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+export const DRAWER_MOVEMENT_TYPES = ["PAY_IN", "PAY_OUT"];
+
+/**
+ * Cash that should be in the drawer: float + cash taken − cash refunded + pay-ins − pay-outs.
+ * @param {{openingFloat, cashSales, cashRefunds, payIns, payOuts}} totals - cashRefunds as a
+ *   positive amount
+ * @returns {string}
+ */
+export function computeExpectedCash({ openingFloat, cashSales, cashRefunds, payIns, payOuts }) {
+  return fromCents(
+    toCents(openingFloat) + toCents(cashSales) - toCents(cashRefunds) + toCents(payIns) - toCents(payOuts)
+  );
+}
+
+/**
+ * The open drawer a cash payment or refund goes into: the acting staff member's own drawer, else
+ * the restaurant's only open drawer. Null when it can't be told which drawer took the cash.
+ * @param {object|null} actor - { id, type: 'user' | 'staff' }
+ * @param {object} [dbToUse=db] - db or an open transaction
+ */
+export async function findOpenDrawerSessionId(restaurantId, actor = null, dbToUse = db) {
+  const open = await dbToUse
+    .select({ id: cashDrawerSessions.id, staffId: cashDrawerSessions.staffId })
+    .from(cashDrawerSessions)
+    .where(and(eq(cashDrawerSessions.restaurantId, restaurantId), isNull(cashDrawerSessions.closedAt)));
+
+  if (actor?.type === "staff") {
+    const own = open.find((s) => s.staffId === actor.id);
+    if (own) return own.id;
+  }
+  return open.length === 1 ? open[0].id : null;
+}
+
+/** Cash taken/refunded and paid in/out per drawer session */
+async function loadSessionTotals(sessionIds, dbToUse = readDb) {
+  const totals = new Map(
+    sessionIds.map((id) => [id, { cashSales: 0, cashRefunds: 0, payIns: 0, payOuts: 0 }])
+  );
+  if (sessionIds.length === 0) return totals;
+
+  const cashRows = await dbToUse
+    .select({
+      sessionId: transactions.cashDrawerSessionId,
+      entryType: transactions.entryType,
+      amount: sql`COALESCE(SUM(${transactions.grandTotal}), 0)`,
+    })
+    .from(transactions)
+    .where(and(inArray(transactions.cashDrawerSessionId, sessionIds), eq(transactions.paymentMethod, "CASH")))
+    .groupBy(transactions.cashDrawerSessionId, transactions.entryType);
+  for (const row of cashRows) {
+    const t = totals.get(row.sessionId);
+    // Refund/void rows are negative
+    if (row.entryType === "PAYMENT") t.cashSales += toCents(row.amount);
+    else t.cashRefunds -= toCents(row.amount);
+  }
+
+  const movementRows = await dbToUse
+    .select({
+      sessionId: cashDrawerMovements.sessionId,
+      type: cashDrawerMovements.type,
+      amount: sql`COALESCE(SUM(${cashDrawerMovements.amount}), 0)`,
+    })
+    .from(cashDrawerMovements)
+    .where(inArray(cashDrawerMovements.sessionId, sessionIds))
+    .groupBy(cashDrawerMovements.sessionId, cashDrawerMovements.type);
+  for (const row of movementRows) {
+    const t = totals.get(row.sessionId);
+    if (row.type === "PAY_IN") t.payIns += toCents(row.amount);
+    else t.payOuts += toCents(row.amount);
+  }
+
+  for (const [id, t] of totals) {
+    totals.set(id, {
+      cashSales: fromCents(t.cashSales),
+      cashRefunds: fromCents(t.cashRefunds),
+      payIns: fromCents(t.payIns),
+      payOuts: fromCents(t.payOuts),
+    });
+  }
+  return totals;
+}
+
+/** A session with its cash totals; open sessions get a live expected figure */
+function toSessionView(session, totals) {
+  return {
+    ...session,
+    status: session.closedAt ? "CLOSED" : "OPEN",
+    ...totals,
+    expectedCash: session.closedAt ? session.expectedCash : computeExpectedCash({ ...totals, ...session }),
+  };
+}
+
+async function getSessionRow(restaurantId, sessionId, dbToUse = db) {
+  const rows = await dbToUse
+    .select()
+    .from(cashDrawerSessions)
+    .where(and(eq(cashDrawerSessions.restaurantId, restaurantId), eq(cashDrawerSessions.id, sessionId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Cash drawer session not found", 404);
+  return rows[0];
+}
+
+/**
+ * Open a drawer with its starting float. Staff open their own drawer; owners must name the terminal.
+ * @param {{terminalLabel?: string, openingFloat: number, notes?: string}} data
+ * @param {object|null} actor - { id, type: 'user' | 'staff' }
+ */
+export async function openDrawerSession(restaurantId, data, actor = null) {
+  const staffId = actor?.type === "staff" ? actor.id : null;
+  const terminalLabel = data.terminalLabel?.trim() || null;
+  if (!staffId && !terminalLabel) {
+    throw httpError("A terminal is required to open a drawer without a staff login");
+  }
+
+  try {
+    const rows = await db
+      .insert(cashDrawerSessions)
+      .values({
+        restaurantId,
+        terminalLabel,
+        staffId,
+        openingFloat: fromCents(toCents(data.openingFloat)),
+        openedById: actor?.id ?? null,
+        openedByType: actor?.type ?? null,
+        notes: data.notes || null,
+      })
+      .returning();
+    return toSessionView(rows[0], { cashSales: "0.00", cashRefunds: "0.00", payIns: "0.00", payOuts: "0.00" });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw httpError(
+        staffId && !terminalLabel ? "You already have an open cash drawer" : "This drawer is already open",
+        409
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a pay-in or pay-out on an open drawer.
+ * @param {{type: "PAY_IN"|"PAY_OUT", amount: number, reason: string}} data
+ * @param {object|null} actor
+ * @param {{onlyStaffId?: string}} [options] - Refuse unless the drawer belongs to this staff member
+ */
+export async function recordDrawerMovement(restaurantId, sessionId, data, actor = null, options = {}) {
+  if (!DRAWER_MOVEMENT_TYPES.includes(data.type)) {
+    throw httpError(`Unknown cash movement ${data.type}`);
+  }
+  const session = await getSessionRow(restaurantId, sessionId);
+  if (options.onlyStaffId && session.staffId !== options.onlyStaffId) {
+    throw httpError("You can only use your own cash drawer", 403);
+  }
+  if (session.closedAt) throw httpError("This cash drawer is closed", 409);
+
+  const rows = await db
+    .insert(cashDrawerMovements)
+    .values({
+      sessionId,
+      type: data.type,
+      amount: fromCents(toCents(data.amount)),
+      reason: data.reason.trim(),
+      actorId: actor?.id ?? null,
+      actorType: actor?.type ?? null,
+    })
+    .returning();
+  return rows[0];
+}
+
+/**
+ * A drawer session with its pay-ins/pay-outs and cash totals.
+ */
+export async function getDrawerSession(restaurantId, sessionId) {
+  const session = await getSessionRow(restaurantId, sessionId, readDb);
+  const totals = await loadSessionTotals([session.id]);
+  const movements = await readDb
+    .select()
+    .from(cashDrawerMovements)
+    .where(eq(cashDrawerMovements.sessionId, session.id))
+    .orderBy(cashDrawerMovements.createdAt);
+  return { ...toSessionView(session, totals.get(session.id)), movements };
+}
+
+/**
+ * Close a drawer: freezes the expected cash and the variance against what was counted.
+ * @param {{countedCash: number, notes?: string}} data
+ * @param {object|null} actor
+ * @param {{onlyStaffId?: string}} [options] - Refuse unless the drawer belongs to this staff member
+ */
+export async function closeDrawerSession(restaurantId, sessionId, data, actor = null, options = {}) {
+  return await db.transaction(async (tx) => {
+    const rows = await tx
+      .select()
+      .from(cashDrawerSessions)
+      .where(and(eq(cashDrawerSessions.restaurantId, restaurantId), eq(cashDrawerSessions.id, sessionId)))
+      .limit(1)
+      .for("update");
+    const session = rows[0];
+    if (!session) throw httpError("Cash drawer session not found", 404);
+    if (options.onlyStaffId && session.staffId !== options.onlyStaffId) {
+      throw httpError("You can only use your own cash drawer", 403);
+    }
+    if (session.closedAt) throw httpError("This cash drawer is already closed", 409);
+
+    const totals = (await loadSessionTotals([session.id], tx)).get(session.id);
+    const expectedCash = computeExpectedCash({ ...totals, openingFloat: session.openingFloat });
+    const countedCash = fromCents(toCents(data.countedCash));
+
+    const closedRows = await tx
+      .update(cashDrawerSessions)
+      .set({
+        expectedCash,
+        countedCash,
+        variance: fromCents(toCents(countedCash) - toCents(expectedCash)),
+        closedById: actor?.id ?? null,
+        closedByType: actor?.type ?? null,
+        closedAt: new Date(),
+        notes: data.notes ?? session.notes,
+      })
+      .where(eq(cashDrawerSessions.id, session.id))
+      .returning();
+    return toSessionView(closedRows[0], totals);
+  });
+}
+
+/**
+ * Drawer sessions opened in [from, to), newest first, with the staff member's name.
+ * @param {{status?: "OPEN"|"CLOSED", from?: Date, to?: Date}} [filters]
+ */
+export async function listDrawerSessions(restaurantId, filters = {}, dbToUse = readDb) {
+  const conditions = [eq(cashDrawerSessions.restaurantId, restaurantId)];
+  if (filters.status === "OPEN") conditions.push(isNull(cashDrawerSessions.closedAt));
+  if (filters.status === "CLOSED") conditions.push(isNotNull(cashDrawerSessions.closedAt));
+  if (filters.from) conditions.push(gte(cashDrawerSessions.openedAt, filters.from));
+  if (filters.to) conditions.push(lt(cashDrawerSessions.openedAt, filters.to));
+
+  const rows = await dbToUse
+    .select({ session: cashDrawerSessions, staffName: staff.fullName })
+    .from(cashDrawerSessions)
+    .leftJoin(staff, eq(staff.id, cashDrawerSessions.staffId))
+    .where(and(...conditions))
+    .orderBy(desc(cashDrawerSessions.openedAt));
+
+  const totals = await loadSessionTotals(rows.map((r) => r.session.id), dbToUse);
+  return rows.map(({ session, staffName }) => ({
+    ...toSessionView(session, totals.get(session.id)),
+    staffName: staffName ?? null,
+  }));
+}
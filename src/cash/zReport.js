@@ -0,0 +1,278 @@
+/**
+ * End-of-day Z-report — the day's payments by method, taxes, discounts, refunds, cancellations and
+ * drawer counts. Closing the day stores the report (locked from then on) and emails it to the owner.
+ */
+import { eq, and, desc, gte, lt, isNull, sql } from "drizzle-orm";
+import { transactions, zReports, cashDrawerSessions, restaurants, users } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { listCancelledOrdersSummary } from "../order/service.js";
+import { listDrawerSessions } from "./service.js";
+import { getBusinessDayRange, getBusinessDate } from "../analytics/range.js";
+import { restaurantTimeZone } from "../menu/schedule-rules.js";
+import { sendZReportEmail } from "../email/service.js";
+import { httpError } from "../httpError.js";
+import { toCents, fromCents } from "../money.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+// Cancellations listed individually on the report
+const MAX_CANCELLED_ORDERS = 500;
+
+/**
+ * Shape the day's figures into a Z-report. Refund/void entries are negative amounts, so net
+ * figures are plain sums.
+ * @param {object} data
+ * @param {string} data.businessDate
+ * @param {Array} data.entries - Transaction totals per { paymentMethod, entryType } with count,
+ *   grandTotal, gstAmount, serviceTaxAmount, discountAmount
+ * @param {Array} data.cancelledOrders - From listCancelledOrdersSummary
+ * @param {Array} data.drawers - Drawer sessions opened that day
+ */
+export function buildZReport({ businessDate, entries, cancelledOrders, drawers }) {
+  const methods = new Map();
+  const totals = { payments: 0, paymentCount: 0, refunds: 0, refundCount: 0, voids: 0, voidCount: 0 };
+  const tax = { gst: 0, service: 0 };
+  let discounts = 0;
+
+  for (const entry of entries) {
+    let method = methods.get(entry.paymentMethod);
+    if (!method) {
+      method = { payments: 0, paymentCount: 0, refunds: 0, voids: 0 };
+      methods.set(entry.paymentMethod, method);
+    }
+
+    const amount = toCents(entry.grandTotal);
+    const count = Number(entry.count || 0);
+    if (entry.entryType === "PAYMENT") {
+      method.payments += amount;
+      method.paymentCount += count;
+      totals.payments += amount;
+      totals.paymentCount += count;
+    } else if (entry.entryType === "REFUND") {
+      method.refunds -= amount;
+      totals.refunds -= amount;
+      totals.refundCount += count;
+    } else {
+      method.voids -= amount;
+      totals.voids -= amount;
+      totals.voidCount += count;
+    }
+    tax.gst += toCents(entry.gstAmount);
+    tax.service += toCents(entry.serviceTaxAmount);
+    discounts += toCents(entry.discountAmount);
+  }
+
+  const cancelledValue = cancelledOrders.reduce((sum, o) => sum + toCents(o.totalAmount), 0);
+  const closedDrawers = drawers.filter((d) => d.closedAt);
+
+  return {
+    businessDate,
+    sales: {
+      grossSales: fromCents(totals.payments),
+      refunds: fromCents(totals.refunds),
+      voids: fromCents(totals.voids),
+      netSales: fromCents(totals.payments - totals.refunds - totals.voids),
+      paymentCount: totals.paymentCount,
+    },
+    paymentMethods: [...methods.entries()]
+      .map(([paymentMethod, m]) => ({
+        paymentMethod,
+        paymentCount: m.paymentCount,
+        payments: fromCents(m.payments),
+        refunds: fromCents(m.refunds),
+        voids: fromCents(m.voids),
+        net: fromCents(m.payments - m.refunds - m.voids),
+      }))
+      .sort((a, b) => a.paymentMethod.localeCompare(b.paymentMethod)),
+    taxes: {
+      gst: fromCents(tax.gst),
+      serviceCharge: fromCents(tax.service),
+      total: fromCents(tax.gst + tax.service),
+    },
+    discounts: { total: fromCents(discounts) },
+    refunds: {
+      refundCount: totals.refundCount,
+      refundAmount: fromCents(totals.refunds),
+      voidCount: totals.voidCount,
+      voidAmount: fromCents(totals.voids),
+    },
+    cancellations: {
+      count: cancelledOrders.length,
+      value: fromCents(cancelledValue),
+      orders: cancelledOrders.map((o) => ({
+        id: o.id,
+        cancelReason: o.cancelReason,
+        totalAmount: o.totalAmount,
+        placedByStaff: o.placedByStaff?.fullName ?? null,
+      })),
+    },
+    cashDrawers: drawers.map((d) => ({
+      id: d.id,
+      terminalLabel: d.terminalLabel,
+      staffName: d.staffName ?? null,
+      status: d.status,
+      openingFloat: d.openingFloat,
+      cashSales: d.cashSales,
+      cashRefunds: d.cashRefunds,
+      payIns: d.payIns,
+      payOuts: d.payOuts,
+      expectedCash: d.expectedCash,
+      countedCash: d.countedCash ?? null,
+      variance: d.variance ?? null,
+    })),
+    cashVariance: fromCents(closedDrawers.reduce((sum, d) => sum + toCents(d.variance), 0)),
+  };
+}
+
+/** The restaurant's timezone, which decides where its business days start and end */
+async function loadTimeZone(restaurantId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select({ settings: restaurants.settings })
+    .from(restaurants)
+    .where(eq(restaurants.id, restaurantId))
+    .limit(1);
+  return restaurantTimeZone(rows[0]?.settings);
+}
+
+/**
+ * The day's figures, computed live. Closing the day passes `db` so the stored report can't miss
+ * payments the replica hasn't caught up on yet.
+ */
+async function computeZReport(restaurantId, businessDate, timeZone, dbToUse = readDb) {
+  const { start, end } = getBusinessDayRange(businessDate, { timeZone });
+
+  const entries = await dbToUse
+    .select({
+      paymentMethod: transactions.paymentMethod,
+      entryType: transactions.entryType,
+      count: sql`COUNT(*)::int`,
+      grandTotal: sql`COALESCE(SUM(${transactions.grandTotal}), 0)`,
+      gstAmount: sql`COALESCE(SUM(${transactions.gstAmount}), 0)`,
+      serviceTaxAmount: sql`COALESCE(SUM(${transactions.serviceTaxAmount}), 0)`,
+      discountAmount: sql`COALESCE(SUM(${transactions.discountAmount}), 0)`,
+    })
+    .from(transactions)
+    .where(and(eq(transactions.restaurantId, restaurantId), gte(transactions.paidAt, start), lt(transactions.paidAt, end)))
+    .groupBy(transactions.paymentMethod, transactions.entryType);
+
+  const { orders: cancelledOrders } = await listCancelledOrdersSummary(
+    restaurantId,
+    { fromDate: start, toDate: new Date(end.getTime() - 1), limit: MAX_CANCELLED_ORDERS },
+    dbToUse
+  );
+  const drawers = await listDrawerSessions(restaurantId, { from: start, to: end }, dbToUse);
+
+  return { start, end, report: buildZReport({ businessDate, entries, cancelledOrders, drawers }) };
+}
+
+function assertBusinessDate(businessDate, timeZone) {
+  if (businessDate > getBusinessDate(new Date(), { timeZone })) {
+    throw httpError("Cannot report on a future date");
+  }
+}
+
+/**
+ * The Z-report for a day: the locked copy if the day was closed, else the live figures.
+ * @param {string} businessDate - YYYY-MM-DD
+ */
+export async function getZReport(restaurantId, businessDate) {
+  const rows = await readDb
+    .select()
+    .from(zReports)
+    .where(and(eq(zReports.restaurantId, restaurantId), eq(zReports.businessDate, businessDate)))
+    .limit(1);
+  if (rows[0]) return { ...rows[0], locked: true };
+
+  const timeZone = await loadTimeZone(restaurantId);
+  assertBusinessDate(businessDate, timeZone);
+  const { start, end, report } = await computeZReport(restaurantId, businessDate, timeZone);
+  return { businessDate, periodStart: start, periodEnd: end, report, locked: false };
+}
+
+export async function listZReports(restaurantId, { limit = 30, offset = 0 } = {}) {
+  return await readDb
+    .select({
+      id: zReports.id,
+      businessDate: zReports.businessDate,
+      closedAt: zReports.closedAt,
+      closedById: zReports.closedById,
+      closedByType: zReports.closedByType,
+      emailedTo: zReports.emailedTo,
+      emailedAt: zReports.emailedAt,
+      netSales: sql`${zReports.report}->'sales'->>'netSales'`,
+    })
+    .from(zReports)
+    .where(eq(zReports.restaurantId, restaurantId))
+    .orderBy(desc(zReports.businessDate))
+    .limit(limit)
+    .offset(offset);
+}
+
+/**
+ * Close the day: every drawer opened that day must be closed first. Stores the report (locked) and
+ * emails it to the restaurant owner.
+ * @param {string} businessDate - YYYY-MM-DD
+ * @param {object|null} actor - { id, type: 'user' | 'staff' }
+ */
+export async function closeZReport(restaurantId, businessDate, actor = null) {
+  const timeZone = await loadTimeZone(restaurantId, db);
+  assertBusinessDate(businessDate, timeZone);
+  const { start, end } = getBusinessDayRange(businessDate, { timeZone });
+
+  const openDrawers = await db
+    .select({ id: cashDrawerSessions.id })
+    .from(cashDrawerSessions)
+    .where(
+      and(
+        eq(cashDrawerSessions.restaurantId, restaurantId),
+        isNull(cashDrawerSessions.closedAt),
+        lt(cashDrawerSessions.openedAt, end)
+      )
+    )
+    .limit(1);
+  if (openDrawers[0]) {
+    throw httpError("Close every cash drawer before closing the day", 409);
+  }
+
+  const { report } = await computeZReport(restaurantId, businessDate, timeZone, db);
+
+  let stored;
+  try {
+    const rows = await db
+      .insert(zReports)
+      .values({
+        restaurantId,
+        businessDate,
+        periodStart: start,
+        periodEnd: end,
+        report,
+        closedById: actor?.id ?? null,
+        closedByType: actor?.type ?? null,
+      })
+      .returning();
+    stored = rows[0];
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError("This day has already been closed", 409);
+    throw error;
+  }
+
+  const ownerRows = await db
+    .select({ restaurantName: restaurants.name, email: users.email })
+    .from(restaurants)
+    .innerJoin(users, eq(users.id, restaurants.ownerId))
+    .where(eq(restaurants.id, restaurantId))
+    .limit(1);
+  const owner = ownerRows[0];
+  if (owner?.email) {
+    const sent = await sendZReportEmail({ to: owner.email, restaurantName: owner.restaurantName, report });
+    if (sent) {
+      const emailed = await db
+        .update(zReports)
+        .set({ emailedTo: owner.email, emailedAt: new Date() })
+        .where(eq(zReports.id, stored.id))
+        .returning();
+      stored = emailed[0];
+    }
+  }
+
+  return { ...stored, locked: true };
+}
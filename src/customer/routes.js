@@ -0,0 +1,154 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  searchCustomers,
+  lookupCustomerByPhone,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const searchQuerySchema = z.object({
+  q: z.string().max(100).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+});
+
+const lookupQuerySchema = z.object({
+  phone: z.string().min(1).max(20),
+});
+
+const profileFields = {
+  name: z.string().max(150).nullable().optional(),
+  allergies: z.string().max(500).nullable().optional(),
+  notes: z.string().max(1000).nullable().optional(),
+};
+
+const createCustomerSchema = z.object({
+  phone: z.string().min(1).max(20),
+  ...profileFields,
+});
+
+const updateCustomerSchema = z.object(profileFields);
+
+export function registerCustomerRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/customers",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // Search by name or phone digits, most recent visitors first
+  router.get(
+    "/",
+    requirePermission("customer.view"),
+    rateLimit({ keyPrefix: "customers:search", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const parsed = searchQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const customers = await searchCustomers(req.params.restaurantId, parsed.data);
+      res.json({ customers });
+    })
+  );
+
+  // Recognise a guest from the number they give at the host stand or order screen
+  router.get(
+    "/lookup",
+    requirePermission("customer.view"),
+    rateLimit({ keyPrefix: "customers:lookup", windowSeconds: 60, max: 300 }),
+    asyncHandler(async (req, res) => {
+      const parsed = lookupQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Phone number is required",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const customer = await lookupCustomerByPhone(req.params.restaurantId, parsed.data.phone);
+        if (!customer) {
+          return res.status(404).json({ message: "No customer with this phone number" });
+        }
+        res.json({ customer });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to look up customer" });
+      }
+    })
+  );
+
+  router.post(
+    "/",
+    requirePermission("customer.manage"),
+    rateLimit({ keyPrefix: "customers:create", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = createCustomerSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const customer = await createCustomer(req.params.restaurantId, parsed.data);
+        res.status(201).json({ customer });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to add customer" });
+      }
+    })
+  );
+
+  // Profile with visit stats, favourite items and recent orders
+  router.get(
+    "/:customerId",
+    requirePermission("customer.view"),
+    rateLimit({ keyPrefix: "customers:get", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const customer = await getCustomer(req.params.restaurantId, req.params.customerId);
+        res.json({ customer });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load customer" });
+      }
+    })
+  );
+
+  router.patch(
+    "/:customerId",
+    requirePermission("customer.manage"),
+    rateLimit({ keyPrefix: "customers:update", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateCustomerSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const customer = await updateCustomer(req.params.restaurantId, req.params.customerId, parsed.data);
+        res.json({ customer });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update customer" });
+      }
+    })
+  );
+}
@@ -0,0 +1,227 @@
+/**
+ * Customer profiles — guests matched across visits by phone number, one profile per restaurant.
+ * Visit count, lifetime spend and favourite items are read from the guest's orders, so they always
+ * agree with the order history (cancellations and late payments included).
+ */
+import { eq, and, desc, sql, ne, or, like, ilike } from "drizzle-orm";
+import { customers, orders, orderItems } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { httpError } from "../httpError.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+// Phone numbers shorter than this (after stripping punctuation) can't identify a guest
+const MIN_PHONE_DIGITS = 7;
+
+// Guests with at least this many visits are flagged as regulars
+const REGULAR_MIN_VISITS = 3;
+
+const FAVOURITE_ITEMS_LIMIT = 5;
+const RECENT_VISITS_LIMIT = 10;
+
+/**
+ * The form phone numbers are matched in: digits only, last 10, so country codes and spacing
+ * don't split one guest into several.
+ * @param {string|null|undefined} phone
+ * @returns {string} "" when there are no digits
+ */
+export const normalizePhone = (phone) => String(phone ?? "").replace(/\D/g, "").slice(-10);
+
+/** Normalized phone, or null when it's too short to identify anyone */
+function matchablePhone(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized.length >= MIN_PHONE_DIGITS ? normalized : null;
+}
+
+// Orders that count as a visit: settled and not cancelled (same rule as revenue stats)
+const visitOrderJoin = and(
+  eq(orders.customerId, customers.id),
+  ne(orders.status, "CANCELLED"),
+  eq(orders.paymentStatus, "PAID")
+);
+
+const profileFields = {
+  id: customers.id,
+  phone: customers.phone,
+  name: customers.name,
+  allergies: customers.allergies,
+  notes: customers.notes,
+  createdAt: customers.createdAt,
+  updatedAt: customers.updatedAt,
+  visitCount: sql`COUNT(${orders.id})::int`,
+  lifetimeSpend: sql`COALESCE(SUM(${orders.totalAmount}), 0)::numeric(12,2)`,
+  lastVisitAt: sql`MAX(${orders.createdAt})`,
+};
+
+function withRegularFlag(customer) {
+  return { ...customer, isRegular: customer.visitCount >= REGULAR_MIN_VISITS };
+}
+
+async function selectProfiles(where, { limit = 1, offset = 0 } = {}) {
+  const rows = await readDb
+    .select(profileFields)
+    .from(customers)
+    .leftJoin(orders, visitOrderJoin)
+    .where(where)
+    .groupBy(customers.id)
+    .orderBy(sql`MAX(${orders.createdAt}) DESC NULLS LAST`, desc(customers.createdAt))
+    .limit(limit)
+    .offset(offset);
+  return rows.map(withRegularFlag);
+}
+
+/**
+ * Find or create the profile for a phone number, filling in the name if the profile has none.
+ * Called whenever an order or queue entry captures a phone number.
+ * @param {{phone: string|null|undefined, name?: string|null}} guest
+ * @param {object} [dbToUse=db] - db or an open transaction
+ * @returns {Promise<object|null>} null when the phone number is missing or too short
+ */
+export async function upsertCustomer(restaurantId, { phone, name = null }, dbToUse = db) {
+  const normalized = matchablePhone(phone);
+  if (!normalized) return null;
+
+  const rows = await dbToUse
+    .insert(customers)
+    .values({ restaurantId, phone: normalized, name: name?.trim() || null })
+    .onConflictDoUpdate({
+      target: [customers.restaurantId, customers.phone],
+      // A name staff have already set is kept
+      set: { name: sql`COALESCE(${customers.name}, excluded.name)`, updatedAt: new Date() },
+    })
+    .returning();
+  return rows[0];
+}
+
+/**
+ * Search by phone digits or name, most recent visitors first.
+ * @param {{q?: string, limit?: number, offset?: number}} [filters]
+ */
+export async function searchCustomers(restaurantId, filters = {}) {
+  const { q, limit = 20, offset = 0 } = filters;
+  const conditions = [eq(customers.restaurantId, restaurantId)];
+
+  const term = q?.trim();
+  if (term) {
+    const digits = term.replace(/\D/g, "");
+    conditions.push(
+      digits.length >= 3
+        ? or(like(customers.phone, `%${digits.slice(-10)}%`), ilike(customers.name, `%${term}%`))
+        : ilike(customers.name, `%${term}%`)
+    );
+  }
+
+  return await selectProfiles(and(...conditions), { limit, offset });
+}
+
+/** Items the guest orders most, by quantity */
+async function getFavouriteItems(customerId) {
+  return await readDb
+    .select({
+      menuItemId: orderItems.menuItemId,
+      itemName: sql`MAX(${orderItems.itemName})`,
+      quantity: sql`SUM(${orderItems.quantity})::int`,
+      orderCount: sql`COUNT(DISTINCT ${orderItems.orderId})::int`,
+    })
+    .from(orderItems)
+    .innerJoin(orders, eq(orders.id, orderItems.orderId))
+    .where(
+      and(
+        eq(orders.customerId, customerId),
+        ne(orders.status, "CANCELLED"),
+        ne(orderItems.status, "CANCELLED")
+      )
+    )
+    .groupBy(orderItems.menuItemId)
+    .orderBy(sql`SUM(${orderItems.quantity}) DESC`, sql`MAX(${orderItems.createdAt}) DESC`)
+    .limit(FAVOURITE_ITEMS_LIMIT);
+}
+
+async function withFavourites(customer) {
+  return { ...customer, favouriteItems: await getFavouriteItems(customer.id) };
+}
+
+/**
+ * A guest's profile by phone number, for the order and queue screens.
+ * @returns {Promise<object|null>} Profile with stats and favourite items
+ */
+export async function lookupCustomerByPhone(restaurantId, phone) {
+  const normalized = matchablePhone(phone);
+  if (!normalized) throw httpError("Enter a valid phone number");
+
+  const [customer] = await selectProfiles(
+    and(eq(customers.restaurantId, restaurantId), eq(customers.phone, normalized))
+  );
+  return customer ? await withFavourites(customer) : null;
+}
+
+/**
+ * Full profile with favourite items and the latest visits.
+ * Throws 404 if the customer isn't one of the restaurant's.
+ */
+export async function getCustomer(restaurantId, customerId) {
+  const [customer] = await selectProfiles(
+    and(eq(customers.restaurantId, restaurantId), eq(customers.id, customerId))
+  );
+  if (!customer) throw httpError("Customer not found", 404);
+
+  const recentOrders = await readDb
+    .select({
+      id: orders.id,
+      orderNumber: orders.orderNumber,
+      orderType: orders.orderType,
+      status: orders.status,
+      paymentStatus: orders.paymentStatus,
+      totalAmount: orders.totalAmount,
+      createdAt: orders.createdAt,
+    })
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.customerId, customerId)))
+    .orderBy(desc(orders.createdAt))
+    .limit(RECENT_VISITS_LIMIT);
+
+  return { ...(await withFavourites(customer)), recentOrders };
+}
+
+/**
+ * Add a guest by hand (e.g. a regular who calls ahead).
+ * @param {{phone: string, name?: string, allergies?: string, notes?: string}} data
+ */
+export async function createCustomer(restaurantId, data) {
+  const phone = matchablePhone(data.phone);
+  if (!phone) throw httpError("Enter a valid phone number");
+
+  try {
+    const rows = await db
+      .insert(customers)
+      .values({
+        restaurantId,
+        phone,
+        name: data.name?.trim() || null,
+        allergies: data.allergies ?? null,
+        notes: data.notes ?? null,
+      })
+      .returning();
+    return rows[0];
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError("A customer with this phone number already exists", 409);
+    throw error;
+  }
+}
+
+/**
+ * @param {{name?: string|null, allergies?: string|null, notes?: string|null}} data
+ */
+export async function updateCustomer(restaurantId, customerId, data) {
+  const patch = { updatedAt: new Date() };
+  if (data.name !== undefined) patch.name = data.name?.trim() || null;
+  if (data.allergies !== undefined) patch.allergies = data.allergies;
+  if (data.notes !== undefined) patch.notes = data.notes;
+
+  const rows = await db
+    .update(customers)
+    .set(patch)
+    .where(and(eq(customers.restaurantId, restaurantId), eq(customers.id, customerId)))
+    .returning();
+  if (!rows[0]) throw httpError("Customer not found", 404);
+  return rows[0];
+}
@@ -1,6 +1,7 @@
 import express from "express";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import { z } from "zod";
@@ -80,7 +81,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/items/:itemId/variants",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     asyncHandler(async (req, res) => {
       const { itemId } = req.params;
       const variants = await getVariantsForMenuItem(itemId);
@@ -93,7 +94,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/items/:itemId/variants",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:variants:create", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, itemId } = req.params;
@@ -113,7 +114,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/variants/:variantId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:variants:update", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, variantId } = req.params;
@@ -135,7 +136,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/variants/:variantId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:variants:delete", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, variantId } = req.params;
@@ -156,7 +157,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifier-groups",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
       const groups = await getModifierGroups(restaurantId);
@@ -169,7 +170,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifier-groups",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:modifierGroups:create", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -189,7 +190,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifier-groups/:groupId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:modifierGroups:update", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, groupId } = req.params;
@@ -211,7 +212,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifier-groups/:groupId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:modifierGroups:delete", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, groupId } = req.params;
@@ -228,7 +229,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifier-groups/:groupId/modifiers",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     asyncHandler(async (req, res) => {
       const { groupId } = req.params;
       const modifiers = await getModifiersForGroup(groupId);
@@ -241,7 +242,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifier-groups/:groupId/modifiers",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:modifiers:create", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, groupId } = req.params;
@@ -261,7 +262,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifiers/:modifierId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:modifiers:update", windowSeconds: 60, max: 240 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, modifierId } = req.params;
@@ -283,7 +284,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/modifiers/:modifierId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:modifiers:delete", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, modifierId } = req.params;
@@ -304,7 +305,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/items/:itemId/modifier-groups",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     asyncHandler(async (req, res) => {
       const { itemId } = req.params;
       const modifierGroups = await getModifierGroupsForMenuItem(itemId);
@@ -317,7 +318,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/items/:itemId/modifier-groups/:groupId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:itemModifierGroups:link", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { itemId, groupId } = req.params;
@@ -333,7 +334,7 @@ export function registerCustomizationRoutes(app) {
     "/:restaurantId/items/:itemId/modifier-groups/:groupId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:itemModifierGroups:unlink", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { itemId, groupId } = req.params;
@@ -1,4 +1,5 @@
 import { pool } from "../dbClient.js";
+import { applyMenuSchedules } from "../menu/schedule-service.js";
 
 // ============================================
 // VARIANTS - Size/Portion Management
@@ -407,7 +408,8 @@ export async function getMenuForRestaurantWithCustomizations(
   try {
     // Get categories
     const categoriesResult = await client.query(
-      `SELECT id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder"
+      `SELECT id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder",
+              schedule_id AS "scheduleId"
        FROM menu_categories
        WHERE restaurant_id = $1 AND is_active = true
        ORDER BY sort_order NULLS LAST, name ASC`,
@@ -426,7 +428,8 @@ export async function getMenuForRestaurantWithCustomizations(
               image_url AS "imageUrl",
               is_available AS "isAvailable",
               dietary_tags AS "dietaryTags",
-              sort_order AS "sortOrder"
+              sort_order AS "sortOrder",
+              schedule_id AS "scheduleId"
        FROM menu_items
        WHERE restaurant_id = $1 AND is_active = true
     `;
@@ -442,13 +445,19 @@ export async function getMenuForRestaurantWithCustomizations(
     itemsQuery += ` ORDER BY sort_order NULLS LAST, name ASC`;
     
     const itemsResult = await client.query(itemsQuery, queryParams);
-    const items = itemsResult.rows;
+
+    // Leave out scheduled sections (breakfast, bar, ...) outside their windows
+    const { categories, items, scheduleChangesAt } = await applyMenuSchedules(restaurantId, {
+      categories: categoriesResult.rows,
+      items: itemsResult.rows,
+    });
 
     // If no items, return early
     if (items.length === 0) {
       return {
-        categories: categoriesResult.rows,
-        items: []
+        categories,
+        items: [],
+        scheduleChangesAt,
       };
     }
 
@@ -546,8 +555,9 @@ export async function getMenuForRestaurantWithCustomizations(
     }));
 
     return {
-      categories: categoriesResult.rows,
+      categories,
       items: enhancedItems,
+      scheduleChangesAt,
     };
     
   } finally {
@@ -1,6 +1,7 @@
 import express from "express";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { 
   getDashboardSummary,
@@ -19,7 +20,7 @@ export function registerDashboardRoutes(app) {
     "/:restaurantId/summary",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
     //   const restaurantId = req.user.restaurantId;
     const { restaurantId } = req.params;
@@ -39,7 +40,7 @@ export function registerDashboardRoutes(app) {
     "/:restaurantId/tables",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
     //   const restaurantId = req.user.restaurantId;
     const { restaurantId } = req.params;
@@ -59,7 +60,7 @@ export function registerDashboardRoutes(app) {
     "/:restaurantId/orders",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
     //   const restaurantId = req.user.restaurantId;
     const { restaurantId } = req.params;
@@ -79,7 +80,7 @@ export function registerDashboardRoutes(app) {
     "/:restaurantId/queue",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
     //   const restaurantId = req.user.restaurantId;
     const { restaurantId } = req.params;
@@ -99,7 +100,7 @@ export function registerDashboardRoutes(app) {
     "/:restaurantId/scan-activity",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
     //   const restaurantId = req.user.restaurantId;
     const { restaurantId } = req.params;
@@ -119,7 +120,7 @@ export function registerDashboardRoutes(app) {
     "/:restaurantId/recent-orders",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("reports.view"),
     asyncHandler(async (req, res) => {
     //   const restaurantId = req.user.restaurantId;
       const { restaurantId } = req.params;
@@ -51,9 +51,16 @@ export async function getOrderStats(restaurantId) {
   // ✅ FIX: JOIN orders to exclude transactions for CANCELLED orders
   const revenueQuery = `
     SELECT
+      -- Refund/void rows are negative, so this is net revenue
       COALESCE(SUM(t.grand_total), 0) as total_revenue,
-      COUNT(*)::int as paid_orders,
-      COALESCE(AVG(t.grand_total), 0) as avg_order_value
+      COALESCE(-SUM(t.grand_total) FILTER (WHERE t.entry_type != 'PAYMENT'), 0) as total_refunds,
+      -- Split bills record one transaction per payer, so count and average per order
+      COUNT(DISTINCT t.order_id) FILTER (WHERE t.entry_type = 'PAYMENT' AND t.voided_at IS NULL)::int as paid_orders,
+      COALESCE(
+        SUM(t.grand_total)
+          / NULLIF(COUNT(DISTINCT t.order_id) FILTER (WHERE t.entry_type = 'PAYMENT' AND t.voided_at IS NULL), 0),
+        0
+      ) as avg_order_value
     FROM transactions t
     JOIN orders o ON o.id = t.order_id
     WHERE t.restaurant_id = $1
@@ -78,6 +85,7 @@ export async function getOrderStats(restaurantId) {
     // Prefer transaction count for paid orders, fallback to orders.status
     paidOrders: Number.isFinite(Number(rev.paid_orders)) ? parseInt(rev.paid_orders) : (parseInt(stats.paid_orders) || 0),
     totalRevenue: parseFloat(rev.total_revenue || 0).toFixed(2),
+    totalRefunds: parseFloat(rev.total_refunds || 0).toFixed(2),
     avgOrderValue: parseFloat(rev.avg_order_value || 0).toFixed(2),
   };
 }
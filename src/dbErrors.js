@@ -0,0 +1,8 @@
+/**
+ * Whether a Postgres error is a unique constraint violation (SQLSTATE 23505), e.g. a duplicate
+ * insert that lost a race against another request.
+ * @param {unknown} error
+ */
+export function isUniqueViolation(error) {
+  return String(error?.code) === "23505";
+}
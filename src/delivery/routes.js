@@ -0,0 +1,265 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission, hasPermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  listDeliveryFeeRules,
+  replaceDeliveryFeeRules,
+  quoteDelivery,
+  listDeliveries,
+  getDelivery,
+  updateDeliveryAddress,
+  assignRider,
+  updateDeliveryStatus,
+  trackDelivery,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+
+// Also used by order creation for DELIVERY orders
+export const deliveryAddressSchema = z.object({
+  addressLine1: z.string().trim().max(255).optional(),
+  addressLine2: z.string().trim().max(255).optional(),
+  landmark: z.string().trim().max(255).optional(),
+  city: z.string().trim().max(100).optional(),
+  postalCode: z.string().trim().max(20).optional(),
+  // Pinned location; needed whenever the restaurant charges by distance
+  latitude: z.number().min(-90).max(90).nullable().optional(),
+  longitude: z.number().min(-180).max(180).nullable().optional(),
+  instructions: z.string().trim().max(500).optional(),
+});
+
+const feeRuleSchema = z.object({
+  // The band covers addresses up to this far away
+  maxDistanceKm: z.number().positive().max(1000),
+  fee: z.number().min(0),
+  // Orders with at least this subtotal deliver free within the band
+  freeAboveAmount: z.number().positive().nullable().optional(),
+});
+
+const feeRulesSchema = z.object({
+  rules: z.array(feeRuleSchema).max(20),
+});
+
+const quoteSchema = z.object({
+  address: deliveryAddressSchema,
+  subtotal: z.number().min(0).optional().default(0),
+});
+
+const listQuerySchema = z.object({
+  status: z.enum(["PENDING", "ASSIGNED", "DISPATCHED", "OUT_FOR_DELIVERY", "DELIVERED", "FAILED", "CANCELLED"]).optional(),
+  // "true": everything still on the dispatch board
+  active: z.enum(["true", "false"]).optional(),
+  riderStaffId: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+});
+
+const assignRiderSchema = z.object({
+  // null takes the delivery back from its rider
+  riderStaffId: z.string().uuid().nullable(),
+});
+
+const statusSchema = z.object({
+  status: z.enum(["DISPATCHED", "OUT_FOR_DELIVERY", "DELIVERED", "FAILED"]),
+  // Required for FAILED
+  reason: z.string().trim().max(500).optional(),
+});
+
+/** The rider's staff id when the caller can only see their own deliveries, otherwise null */
+function ownRiderId(req) {
+  if (hasPermission(req, "delivery.manage")) return null;
+  return req.user?.isStaff ? req.user.staffId || req.user.id : null;
+}
+
+export function registerDeliveryRoutes(app) {
+  // Guest tracking link (no auth required)
+  app.get(
+    "/api/delivery/track/:token",
+    rateLimit({ keyPrefix: "delivery:track:public", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const tracking = await trackDelivery(req.params.token);
+      if (!tracking) {
+        return res.status(404).json({ message: "Delivery not found" });
+      }
+      res.json({ tracking });
+    })
+  );
+
+  app.use(
+    "/api/restaurants/:restaurantId/deliveries",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  router.get(
+    "/fee-rules",
+    requirePermission("delivery.manage"),
+    rateLimit({ keyPrefix: "delivery:fee-rules:get", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const rules = await listDeliveryFeeRules(req.params.restaurantId);
+      res.json({ rules });
+    })
+  );
+
+  router.put(
+    "/fee-rules",
+    requirePermission("delivery.manage"),
+    rateLimit({ keyPrefix: "delivery:fee-rules:update", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = feeRulesSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid delivery fee rules",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const rules = await replaceDeliveryFeeRules(req.params.restaurantId, parsed.data.rules);
+        res.json({ rules });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update delivery fee rules" });
+      }
+    })
+  );
+
+  // Price an address before the order is placed
+  router.post(
+    "/quote",
+    requirePermission("order.create", "delivery.manage"),
+    rateLimit({ keyPrefix: "delivery:quote", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = quoteSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid delivery address",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const quote = await quoteDelivery(req.params.restaurantId, parsed.data.address, parsed.data.subtotal);
+      res.json({ quote });
+    })
+  );
+
+  // Dispatch board; riders only see the deliveries assigned to them
+  router.get(
+    "/",
+    requirePermission("delivery.manage", "delivery.ride"),
+    rateLimit({ keyPrefix: "delivery:list", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const parsed = listQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { active, riderStaffId, ...filters } = parsed.data;
+      const deliveries = await listDeliveries(req.params.restaurantId, {
+        ...filters,
+        active: active === "true",
+        riderStaffId: ownRiderId(req) || riderStaffId,
+      });
+      res.json({ deliveries });
+    })
+  );
+
+  router.get(
+    "/:orderId",
+    requirePermission("delivery.manage", "delivery.ride", "order.view"),
+    rateLimit({ keyPrefix: "delivery:get", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const delivery = await getDelivery(req.params.restaurantId, req.params.orderId);
+        res.json({ delivery });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load delivery" });
+      }
+    })
+  );
+
+  router.put(
+    "/:orderId/address",
+    requirePermission("order.update", "delivery.manage"),
+    rateLimit({ keyPrefix: "delivery:address", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = deliveryAddressSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid delivery address",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const delivery = await updateDeliveryAddress(
+          req.params.restaurantId,
+          req.params.orderId,
+          parsed.data,
+          actorFromRequest(req)
+        );
+        res.json({ delivery });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update delivery address" });
+      }
+    })
+  );
+
+  router.post(
+    "/:orderId/rider",
+    requirePermission("delivery.manage"),
+    rateLimit({ keyPrefix: "delivery:rider", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const parsed = assignRiderSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid rider",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const delivery = await assignRider(req.params.restaurantId, req.params.orderId, parsed.data.riderStaffId);
+        res.json({ delivery });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to assign rider" });
+      }
+    })
+  );
+
+  router.post(
+    "/:orderId/status",
+    requirePermission("delivery.manage", "delivery.ride"),
+    rateLimit({ keyPrefix: "delivery:status", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const parsed = statusSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid delivery status",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const delivery = await updateDeliveryStatus(req.params.restaurantId, req.params.orderId, parsed.data.status, {
+          reason: parsed.data.reason,
+          riderStaffId: ownRiderId(req),
+          actor: actorFromRequest(req),
+        });
+        res.json({ delivery });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update delivery status" });
+      }
+    })
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * Delivery rules — distance, fee bands and the delivery status flow.
+ *
+ * Pure (no DB access) so quotes, order totals and status changes all follow the same rules.
+ */
+
+import { toCents, fromCents } from "../money.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+// Where a delivery can go next. A failed delivery can be handed to a rider again.
+export const DELIVERY_TRANSITIONS = {
+  PENDING: ["ASSIGNED", "CANCELLED"],
+  ASSIGNED: ["PENDING", "DISPATCHED", "CANCELLED"],
+  DISPATCHED: ["OUT_FOR_DELIVERY", "DELIVERED", "FAILED"],
+  OUT_FOR_DELIVERY: ["DELIVERED", "FAILED"],
+  FAILED: ["ASSIGNED", "CANCELLED"],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+// Once the rider has the food the address and fee are fixed
+export const ADDRESS_LOCKED_STATUSES = ["DISPATCHED", "OUT_FOR_DELIVERY", "DELIVERED", "CANCELLED"];
+
+/** Whether a delivery may move from one status to another */
+export function canTransition(from, to) {
+  return DELIVERY_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+function hasCoordinates(point) {
+  return point?.latitude != null && point?.longitude != null;
+}
+
+/**
+ * Straight-line (haversine) distance between two points.
+ * @param {{latitude: number|string, longitude: number|string}} from
+ * @param {{latitude: number|string, longitude: number|string}} to
+ * @returns {number|null} Kilometres to 2 decimals, or null when either point has no coordinates
+ */
+export function distanceKm(from, to) {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+  const rad = (deg) => (Number(deg) * Math.PI) / 180;
+  const dLat = rad(to.latitude) - rad(from.latitude);
+  const dLon = rad(to.longitude) - rad(from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.latitude)) * Math.cos(rad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(km * 100) / 100;
+}
+
+/**
+ * The delivery fee for a distance: the smallest band that reaches it. No bands means free
+ * delivery anywhere.
+ * @param {Array<{maxDistanceKm: string, fee: string, freeAboveAmount: string|null}>} rules
+ * @param {number|null} distance - Kilometres, null when unknown
+ * @param {number|string} subtotal - Order subtotal, for free-delivery thresholds
+ * @returns {{fee: string, rule: object|null, reason: string|null}} reason is set when the
+ *   address can't be delivered to (fee is then "0.00")
+ */
+export function quoteDeliveryFee(rules, distance, subtotal) {
+  if (!rules || rules.length === 0) return { fee: "0.00", rule: null, reason: null };
+  if (distance == null) {
+    return { fee: "0.00", rule: null, reason: "Pin the address on the map to work out the delivery fee" };
+  }
+
+  const bands = [...rules].sort((a, b) => Number(a.maxDistanceKm) - Number(b.maxDistanceKm));
+  const rule = bands.find((band) => distance <= Number(band.maxDistanceKm));
+  if (!rule) {
+    const furthest = Number(bands[bands.length - 1].maxDistanceKm);
+    return { fee: "0.00", rule: null, reason: `Address is ${distance} km away; we deliver up to ${furthest} km` };
+  }
+
+  const free = rule.freeAboveAmount != null && toCents(subtotal) >= toCents(rule.freeAboveAmount);
+  return { fee: free ? "0.00" : fromCents(toCents(rule.fee)), rule, reason: null };
+}
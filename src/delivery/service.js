@@ -0,0 +1,426 @@
+/**
+ * Deliveries — address capture, distance-based fees, rider assignment and tracking for DELIVERY
+ * orders. Each DELIVERY order has one deliveries row; its fee is written onto the order as
+ * orders.delivery_fee so bills, splits and refunds carry it like any other bill component.
+ */
+import crypto from "crypto";
+import { eq, and, or, asc, desc, inArray, sql } from "drizzle-orm";
+import { deliveries, deliveryFeeRules, orders, restaurants, staff, staffOutletAccess } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { getUserPermissions } from "../permission/service.js";
+import { emitDeliveryUpdated } from "../realtime/events.js";
+import { canTransition, distanceKm, quoteDeliveryFee, ADDRESS_LOCKED_STATUSES } from "./rules.js";
+import { httpError } from "../httpError.js";
+
+// Deliveries still on the board
+export const ACTIVE_DELIVERY_STATUSES = ["PENDING", "ASSIGNED", "DISPATCHED", "OUT_FOR_DELIVERY", "FAILED"];
+
+// The food has to be ready before a rider leaves with it
+const DISPATCHABLE_ORDER_STATUSES = ["READY", "SERVED", "PAID"];
+
+// Timestamp column set when a delivery reaches each status
+const STATUS_TIMESTAMPS = {
+  ASSIGNED: "assignedAt",
+  DISPATCHED: "dispatchedAt",
+  OUT_FOR_DELIVERY: "outForDeliveryAt",
+  DELIVERED: "deliveredAt",
+  FAILED: "failedAt",
+};
+
+const ADDRESS_FIELDS = ["addressLine1", "addressLine2", "landmark", "city", "postalCode", "instructions"];
+
+/** Fee bands, nearest first */
+export async function listDeliveryFeeRules(restaurantId, dbToUse = readDb) {
+  return await dbToUse
+    .select()
+    .from(deliveryFeeRules)
+    .where(eq(deliveryFeeRules.restaurantId, restaurantId))
+    .orderBy(asc(deliveryFeeRules.maxDistanceKm));
+}
+
+/**
+ * Replace the restaurant's fee bands. An empty list makes delivery free at any distance.
+ * @param {Array<{maxDistanceKm: number, fee: number, freeAboveAmount?: number|null}>} rules
+ */
+export async function replaceDeliveryFeeRules(restaurantId, rules) {
+  const distances = rules.map((r) => Number(r.maxDistanceKm).toFixed(2));
+  if (new Set(distances).size !== distances.length) {
+    throw httpError("Each band needs a different distance");
+  }
+
+  if (rules.length > 0) {
+    const restaurantRows = await readDb
+      .select({ latitude: restaurants.latitude, longitude: restaurants.longitude })
+      .from(restaurants)
+      .where(eq(restaurants.id, restaurantId))
+      .limit(1);
+    if (restaurantRows[0]?.latitude == null || restaurantRows[0]?.longitude == null) {
+      throw httpError("Set the restaurant's location before adding distance-based fees");
+    }
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.delete(deliveryFeeRules).where(eq(deliveryFeeRules.restaurantId, restaurantId));
+    if (rules.length > 0) {
+      await tx.insert(deliveryFeeRules).values(
+        rules.map((r) => ({
+          restaurantId,
+          maxDistanceKm: String(r.maxDistanceKm),
+          fee: String(r.fee),
+          freeAboveAmount: r.freeAboveAmount != null ? String(r.freeAboveAmount) : null,
+        }))
+      );
+    }
+  });
+  return await listDeliveryFeeRules(restaurantId, db);
+}
+
+/**
+ * Price a delivery to a point.
+ * @param {{latitude?: number|string|null, longitude?: number|string|null}} address
+ * @param {number|string} subtotal - Order subtotal, for free-delivery thresholds
+ * @param {object} [dbToUse=readDb] - db, readDb or an open transaction
+ * @returns {Promise<{distanceKm: number|null, fee: string, reason: string|null}>} reason is set
+ *   when the address can't be delivered to
+ */
+export async function quoteDelivery(restaurantId, address, subtotal, dbToUse = readDb) {
+  const [restaurantRows, rules] = await Promise.all([
+    dbToUse
+      .select({ latitude: restaurants.latitude, longitude: restaurants.longitude })
+      .from(restaurants)
+      .where(eq(restaurants.id, restaurantId))
+      .limit(1),
+    listDeliveryFeeRules(restaurantId, dbToUse),
+  ]);
+  const distance = distanceKm(restaurantRows[0], address);
+  const { fee, reason } = quoteDeliveryFee(rules, distance, subtotal);
+  return { distanceKm: distance, fee, reason };
+}
+
+function addressValues(address = {}) {
+  const values = {};
+  for (const field of ADDRESS_FIELDS) {
+    if (address[field] !== undefined) values[field] = address[field] || null;
+  }
+  if (address.latitude !== undefined) values.latitude = address.latitude != null ? String(address.latitude) : null;
+  if (address.longitude !== undefined) values.longitude = address.longitude != null ? String(address.longitude) : null;
+  return values;
+}
+
+/**
+ * Open the delivery for a new DELIVERY order. Called from createOrder inside its transaction.
+ * @param {object} tx - Open transaction
+ * @param {object} order - The new order row
+ * @param {object} [address] - Address fields, latitude and longitude
+ * @param {{distanceKm: number|null}|null} [quote] - From quoteDelivery
+ */
+export async function createDelivery(tx, order, address = {}, quote = null) {
+  const rows = await tx
+    .insert(deliveries)
+    .values({
+      restaurantId: order.restaurantId,
+      orderId: order.id,
+      ...addressValues(address),
+      distanceKm: quote?.distanceKm != null ? String(quote.distanceKm) : null,
+      trackingToken: crypto.randomBytes(16).toString("hex"),
+    })
+    .returning();
+  return rows[0];
+}
+
+const deliveryListFields = {
+  delivery: deliveries,
+  order: {
+    id: orders.id,
+    orderNumber: orders.orderNumber,
+    status: orders.status,
+    paymentStatus: orders.paymentStatus,
+    guestName: orders.guestName,
+    guestPhone: orders.guestPhone,
+    deliveryFee: orders.deliveryFee,
+    totalAmount: orders.totalAmount,
+    paid_amount: orders.paid_amount,
+    createdAt: orders.createdAt,
+  },
+  rider: {
+    id: staff.id,
+    fullName: staff.fullName,
+    phoneNumber: staff.phoneNumber,
+  },
+};
+
+function toDeliveryView(row) {
+  return { ...row.delivery, order: row.order, rider: row.rider?.id ? row.rider : null };
+}
+
+/**
+ * Deliveries for the dispatch board, oldest order first.
+ * @param {{status?: string, active?: boolean, riderStaffId?: string, limit?: number, offset?: number}} [filters]
+ */
+export async function listDeliveries(restaurantId, filters = {}) {
+  const { status, active = false, riderStaffId, limit = 50, offset = 0 } = filters;
+  const conditions = [eq(deliveries.restaurantId, restaurantId)];
+  if (status) conditions.push(eq(deliveries.status, status));
+  else if (active) conditions.push(inArray(deliveries.status, ACTIVE_DELIVERY_STATUSES));
+  if (riderStaffId) conditions.push(eq(deliveries.riderStaffId, riderStaffId));
+
+  const rows = await readDb
+    .select(deliveryListFields)
+    .from(deliveries)
+    .innerJoin(orders, eq(orders.id, deliveries.orderId))
+    .leftJoin(staff, eq(staff.id, deliveries.riderStaffId))
+    .where(and(...conditions))
+    .orderBy(active || status ? asc(orders.createdAt) : desc(orders.createdAt))
+    .limit(limit)
+    .offset(offset);
+  return rows.map(toDeliveryView);
+}
+
+/**
+ * One order's delivery with its order summary and rider. Throws 404 if there is none.
+ * @param {object} [dbToUse=readDb]
+ */
+export async function getDelivery(restaurantId, orderId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select(deliveryListFields)
+    .from(deliveries)
+    .innerJoin(orders, eq(orders.id, deliveries.orderId))
+    .leftJoin(staff, eq(staff.id, deliveries.riderStaffId))
+    .where(and(eq(deliveries.restaurantId, restaurantId), eq(deliveries.orderId, orderId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Delivery not found", 404);
+  return toDeliveryView(rows[0]);
+}
+
+async function lockDelivery(tx, restaurantId, orderId) {
+  const rows = await tx
+    .select()
+    .from(deliveries)
+    .where(and(eq(deliveries.restaurantId, restaurantId), eq(deliveries.orderId, orderId)))
+    .limit(1)
+    .for("update");
+  if (!rows[0]) throw httpError("Delivery not found", 404);
+  return rows[0];
+}
+
+/**
+ * Change where an order is going. The fee is re-quoted and the order total follows it.
+ * @param {object} address - Address fields, latitude and longitude (omitted fields are kept)
+ * @param {object|null} [actor] - { id, type }, for the order audit trail when the fee changes
+ */
+export async function updateDeliveryAddress(restaurantId, orderId, address, actor = null) {
+  const fee = await db.transaction(async (tx) => {
+    const delivery = await lockDelivery(tx, restaurantId, orderId);
+    if (ADDRESS_LOCKED_STATUSES.includes(delivery.status)) {
+      throw httpError("The address can't change once the order has left the restaurant", 409);
+    }
+
+    const orderRows = await tx
+      .select({ subtotalAmount: orders.subtotalAmount, deliveryFee: orders.deliveryFee, paymentStatus: orders.paymentStatus })
+      .from(orders)
+      .where(eq(orders.id, orderId))
+      .limit(1);
+    const order = orderRows[0];
+
+    const values = addressValues(address);
+    const point = {
+      latitude: values.latitude !== undefined ? values.latitude : delivery.latitude,
+      longitude: values.longitude !== undefined ? values.longitude : delivery.longitude,
+    };
+    const quote = await quoteDelivery(restaurantId, point, order.subtotalAmount, tx);
+    if (quote.reason) throw httpError(quote.reason);
+    if (quote.fee !== Number(order.deliveryFee).toFixed(2) && order.paymentStatus === "PAID") {
+      throw httpError("Order is already paid — the new address would change its delivery fee", 409);
+    }
+
+    await tx
+      .update(deliveries)
+      .set({
+        ...values,
+        distanceKm: quote.distanceKm != null ? String(quote.distanceKm) : null,
+        updatedAt: new Date(),
+      })
+      .where(eq(deliveries.id, delivery.id));
+    return quote.fee !== Number(order.deliveryFee).toFixed(2) ? quote.fee : null;
+  });
+
+  if (fee !== null) {
+    const { updateOrder } = await import("../order/service.js");
+    await updateOrder(restaurantId, orderId, { deliveryFee: Number(fee) }, { action: "DELIVERY_FEE_CHANGED", actor });
+  }
+
+  const delivery = await getDelivery(restaurantId, orderId, db);
+  emitDeliveryUpdated(restaurantId, delivery);
+  return delivery;
+}
+
+/** Throws unless the staff member works at the restaurant and may ride deliveries */
+async function assertRider(restaurantId, riderStaffId, dbToUse) {
+  const rows = await dbToUse
+    .select({ id: staff.id, isActive: staff.isActive })
+    .from(staff)
+    .leftJoin(
+      staffOutletAccess,
+      and(eq(staffOutletAccess.staffId, staff.id), eq(staffOutletAccess.restaurantId, restaurantId))
+    )
+    .where(
+      and(
+        eq(staff.id, riderStaffId),
+        or(eq(staff.restaurantId, restaurantId), eq(staffOutletAccess.restaurantId, restaurantId))
+      )
+    )
+    .limit(1);
+  if (!rows[0]?.isActive) throw httpError("Rider not found", 404);
+
+  const permissions = await getUserPermissions({ id: riderStaffId, isStaff: true, staffId: riderStaffId });
+  if (!permissions.includes("delivery.ride")) {
+    throw httpError("This staff member isn't set up to ride deliveries");
+  }
+}
+
+/**
+ * Hand a delivery to a rider, or take it back (riderStaffId null) so it waits for another.
+ * @param {string|null} riderStaffId
+ */
+export async function assignRider(restaurantId, orderId, riderStaffId) {
+  await db.transaction(async (tx) => {
+    const delivery = await lockDelivery(tx, restaurantId, orderId);
+    const next = riderStaffId ? "ASSIGNED" : "PENDING";
+    if (delivery.status !== next && !canTransition(delivery.status, next)) {
+      throw httpError(`A ${delivery.status.toLowerCase().replace(/_/g, " ")} delivery can't change rider`, 409);
+    }
+    if (riderStaffId) await assertRider(restaurantId, riderStaffId, tx);
+
+    await tx
+      .update(deliveries)
+      .set({
+        status: next,
+        riderStaffId,
+        assignedAt: riderStaffId ? new Date() : null,
+        updatedAt: new Date(),
+      })
+      .where(eq(deliveries.id, delivery.id));
+  });
+
+  const delivery = await getDelivery(restaurantId, orderId, db);
+  emitDeliveryUpdated(restaurantId, delivery);
+  return delivery;
+}
+
+/**
+ * Move a delivery along: DISPATCHED, OUT_FOR_DELIVERY, DELIVERED or FAILED. Delivering an order
+ * whose kitchen status is READY marks it SERVED.
+ * @param {string} status
+ * @param {object} [options]
+ * @param {string} [options.reason] - Required for FAILED
+ * @param {string} [options.riderStaffId] - Only allow the change on this rider's deliveries
+ * @param {object|null} [options.actor] - { id, type }
+ */
+export async function updateDeliveryStatus(restaurantId, orderId, status, options = {}) {
+  const { reason = null, riderStaffId = null, actor = null } = options;
+
+  const orderStatus = await db.transaction(async (tx) => {
+    const delivery = await lockDelivery(tx, restaurantId, orderId);
+    if (riderStaffId && delivery.riderStaffId !== riderStaffId) {
+      throw httpError("This delivery isn't assigned to you", 403);
+    }
+    if (!canTransition(delivery.status, status)) {
+      throw httpError(
+        `Delivery can't go from ${delivery.status.toLowerCase().replace(/_/g, " ")} to ${status.toLowerCase().replace(/_/g, " ")}`,
+        409
+      );
+    }
+    if (status === "FAILED" && !reason?.trim()) {
+      throw httpError("Say why the delivery failed");
+    }
+
+    const orderRows = await tx.select({ status: orders.status }).from(orders).where(eq(orders.id, orderId)).limit(1);
+    if (status === "DISPATCHED" && !DISPATCHABLE_ORDER_STATUSES.includes(orderRows[0].status)) {
+      throw httpError("The order isn't ready to leave the kitchen yet", 409);
+    }
+
+    await tx
+      .update(deliveries)
+      .set({
+        status,
+        [STATUS_TIMESTAMPS[status]]: new Date(),
+        ...(status === "FAILED" && { failureReason: reason.trim() }),
+        updatedAt: new Date(),
+      })
+      .where(eq(deliveries.id, delivery.id));
+    return orderRows[0].status;
+  });
+
+  if (status === "DELIVERED" && orderStatus === "READY") {
+    const { updateOrderStatus } = await import("../order/service.js");
+    await updateOrderStatus(restaurantId, orderId, "SERVED", actor);
+  }
+
+  const delivery = await getDelivery(restaurantId, orderId, db);
+  emitDeliveryUpdated(restaurantId, delivery);
+  return delivery;
+}
+
+/**
+ * Stop the delivery of a cancelled order. Delivered orders are left alone.
+ * @param {object} [dbToUse=db]
+ */
+export async function cancelDeliveryForOrder(restaurantId, orderId, dbToUse = db) {
+  const rows = await dbToUse
+    .update(deliveries)
+    .set({ status: "CANCELLED", updatedAt: new Date() })
+    .where(
+      and(
+        eq(deliveries.restaurantId, restaurantId),
+        eq(deliveries.orderId, orderId),
+        sql`${deliveries.status} NOT IN ('DELIVERED', 'CANCELLED')`
+      )
+    )
+    .returning();
+  if (rows[0]) emitDeliveryUpdated(restaurantId, rows[0]);
+  return rows[0] ?? null;
+}
+
+/**
+ * What the guest's tracking link shows. Nothing about the address or other guests is returned.
+ * @returns {Promise<{ delivery: object, order: object, restaurant: object, riderName: string|null }|null>}
+ */
+export async function trackDelivery(trackingToken) {
+  const rows = await readDb
+    .select({
+      delivery: {
+        status: deliveries.status,
+        assignedAt: deliveries.assignedAt,
+        dispatchedAt: deliveries.dispatchedAt,
+        outForDeliveryAt: deliveries.outForDeliveryAt,
+        deliveredAt: deliveries.deliveredAt,
+        failedAt: deliveries.failedAt,
+      },
+      order: {
+        orderNumber: orders.orderNumber,
+        status: orders.status,
+        totalAmount: orders.totalAmount,
+        paymentStatus: orders.paymentStatus,
+        createdAt: orders.createdAt,
+      },
+      restaurant: {
+        name: restaurants.name,
+        phoneNumber: restaurants.phoneNumber,
+      },
+      riderName: staff.fullName,
+    })
+    .from(deliveries)
+    .innerJoin(orders, eq(orders.id, deliveries.orderId))
+    .innerJoin(restaurants, eq(restaurants.id, deliveries.restaurantId))
+    .leftJoin(staff, eq(staff.id, deliveries.riderStaffId))
+    .where(eq(deliveries.trackingToken, trackingToken))
+    .limit(1);
+
+  const row = rows[0];
+  if (!row) return null;
+  return {
+    ...row,
+    // First name only
+    riderName: row.riderName ? row.riderName.split(/\s+/)[0] : null,
+  };
+}
@@ -248,3 +248,96 @@ export async function sendSubscriptionInvoice({
     // Intentionally not re-throwing — email failure must never block payment flow
   }
 }
+
+/**
+ * Sends the end-of-day Z-report to the restaurant owner.
+ * Never throws: closing the day must not fail because mail is down.
+ *
+ * @param {object} opts
+ * @param {string} opts.to - Owner's email address
+ * @param {string} opts.restaurantName
+ * @param {object} opts.report - Report built by src/cash/zReport.js
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+export async function sendZReportEmail({ to, restaurantName, report }) {
+  const transporter = createTransporter();
+  if (!transporter) {
+    console.log("[Email] SMTP not configured — skipping Z-report email to:", to);
+    return false;
+  }
+
+  const subject = `Z-report ${report.businessDate} — ${restaurantName}`;
+  const row = (label, value) => `<div class="row"><span class="label">${label}</span><span class="value">${value}</span></div>`;
+  const methodRows = report.paymentMethods
+    .map((m) => row(`${m.paymentMethod} (${m.paymentCount})`, `₹${m.net}`))
+    .join("");
+  const drawerRows = report.cashDrawers
+    .map((d) => row(d.terminalLabel || d.staffName || "Drawer", `expected ₹${d.expectedCash} · counted ${d.countedCash != null ? `₹${d.countedCash}` : "—"}`))
+    .join("");
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>${subject}</title>
+  <style>
+    body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;margin:0;padding:0;background:#f5f5f5;color:#333}
+    .container{max-width:600px;margin:32px auto;background:#fff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,.08)}
+    .header{background:linear-gradient(135deg,#6d28d9 0%,#4f46e5 100%);padding:32px 36px}
+    .header h1{color:#fff;margin:0;font-size:22px;letter-spacing:-.5px}
+    .header p{color:rgba(255,255,255,.8);margin:6px 0 0;font-size:13px}
+    .body{padding:28px 36px}
+    h2{font-size:13px;color:#6d28d9;text-transform:uppercase;letter-spacing:.5px;margin:24px 0 8px}
+    .row{display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid #f3f4f6;font-size:14px}
+    .label{color:#6b7280}
+    .value{font-weight:600;color:#111}
+    .footer{background:#f9fafb;padding:16px 36px;text-align:center}
+    .footer p{color:#9ca3af;font-size:12px;margin:0}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Order<span style="color:#a78bfa">zi</span></h1>
+      <p>${restaurantName} — Z-report for ${report.businessDate}</p>
+    </div>
+    <div class="body">
+      <h2>Sales</h2>
+      ${row("Gross sales", `₹${report.sales.grossSales}`)}
+      ${row("Refunds", `₹${report.sales.refunds}`)}
+      ${row("Voids", `₹${report.sales.voids}`)}
+      ${row("Net sales", `₹${report.sales.netSales}`)}
+      <h2>Payment methods</h2>
+      ${methodRows || row("No payments", "—")}
+      <h2>Taxes &amp; discounts</h2>
+      ${row("GST", `₹${report.taxes.gst}`)}
+      ${row("Service charge", `₹${report.taxes.serviceCharge}`)}
+      ${row("Discounts", `₹${report.discounts.total}`)}
+      <h2>Cancellations</h2>
+      ${row(`${report.cancellations.count} cancelled orders`, `₹${report.cancellations.value}`)}
+      <h2>Cash drawers</h2>
+      ${drawerRows || row("No drawers opened", "—")}
+      ${row("Cash variance", `₹${report.cashVariance}`)}
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} Orderzi · <a href="https://orderzi.com" style="color:#6d28d9;text-decoration:none">orderzi.com</a></p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  try {
+    await transporter.sendMail({
+      from: env.smtpFrom || "Orderzi <noreply@orderzi.com>",
+      to,
+      subject,
+      html,
+    });
+    console.log(`[Email] Z-report ${report.businessDate} sent to ${to}`);
+    return true;
+  } catch (err) {
+    console.error(`[Email] Failed to send Z-report to ${to}:`, err.message);
+    return false;
+  }
+}
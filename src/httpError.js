@@ -0,0 +1,10 @@
+/**
+ * An Error carrying the HTTP status that route handlers and the global error handler respond with.
+ * @param {string} message
+ * @param {number} [status=400]
+ */
+export function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -13,6 +13,10 @@ import { env } from "./config/env.js";
 import { v4 as uuidv4 } from "uuid";
 import { pool } from "./dbClient.js";
 import { startTokenCleanupJob } from "./auth/refreshTokens.js";
+import { startReservationJob } from "./reservation/service.js";
+import { startKitchenSlaJob } from "./kitchen/service.js";
+import { startLoyaltyExpiryJob } from "./loyalty/service.js";
+import { startChannelSyncJob } from "./aggregator/sync.js";
 import timeout from "connect-timeout";
 import pino from "pino";
 import { rateLimit } from "./middleware/rateLimit.js";
@@ -299,6 +303,10 @@ app.get(
 
   // Start background jobs
   startTokenCleanupJob();
+  startReservationJob();
+  startKitchenSlaJob();
+  startLoyaltyExpiryJob();
+  startChannelSyncJob();
 
   // Error handling middleware
   app.use((err, _req, res, _next) => {
@@ -0,0 +1,258 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  MOVEMENT_TYPES,
+  listInventoryItems,
+  getInventoryItem,
+  createInventoryItem,
+  updateInventoryItem,
+  deleteInventoryItem,
+  recordStockMovement,
+  listStockMovements,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const inventoryItemCreateSchema = z.object({
+  materialName: z.string().min(1).max(200),
+  unit: z.string().min(1).max(50),
+  reorderLevel: z.number().min(0).optional().default(0),
+  costPerUnit: z.number().min(0).optional().default(0),
+  openingStock: z.number().min(0).optional().default(0),
+});
+
+const inventoryItemUpdateSchema = z.object({
+  materialName: z.string().min(1).max(200).optional(),
+  unit: z.string().min(1).max(50).optional(),
+  reorderLevel: z.number().min(0).optional(),
+  costPerUnit: z.number().min(0).optional(),
+  isActive: z.boolean().optional(),
+});
+
+// Query strings: only the literal "true" enables a flag (z.coerce.boolean treats "false" as true)
+const queryFlag = z
+  .string()
+  .optional()
+  .transform((v) => String(v || "").toLowerCase() === "true");
+
+const listItemsQuerySchema = z.object({
+  includeInactive: queryFlag,
+  lowStock: queryFlag,
+});
+
+const stockMovementSchema = z.object({
+  movementType: z.enum(MOVEMENT_TYPES),
+  // PURCHASE/WASTAGE/CONSUMPTION take a magnitude; ADJUSTMENT may be negative (stock-take shortfall)
+  quantity: z.number().refine((v) => v !== 0, "Quantity must be non-zero"),
+  unitCost: z.number().min(0).optional(),
+  notes: z.string().max(500).optional(),
+});
+
+const listMovementsQuerySchema = z.object({
+  itemId: z.string().uuid().optional(),
+  movementType: z.enum(MOVEMENT_TYPES).optional(),
+  fromDate: z.string().optional(),
+  toDate: z.string().optional(),
+  limit: z.coerce.number().int().positive().max(200).optional().default(50),
+  offset: z.coerce.number().int().min(0).optional().default(0),
+});
+
+export function registerInventoryRoutes(app) {
+  // Kitchen staff can view stock and record movements; only owners/admins manage the item list
+  app.use(
+    "/api/restaurants/:restaurantId/inventory",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    requirePermission("inventory.view", "inventory.manage"),
+    router
+  );
+
+  // List inventory items
+  router.get(
+    "/",
+    rateLimit({ keyPrefix: "inventory:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = listItemsQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const items = await listInventoryItems(restaurantId, {
+        includeInactive: parsed.data.includeInactive,
+        lowStockOnly: parsed.data.lowStock,
+      });
+      res.json({ items });
+    })
+  );
+
+  // Items currently below their reorder level
+  router.get(
+    "/low-stock",
+    rateLimit({ keyPrefix: "inventory:low-stock", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const items = await listInventoryItems(restaurantId, { lowStockOnly: true });
+      res.json({ items });
+    })
+  );
+
+  // Stock ledger across all items
+  router.get(
+    "/movements",
+    rateLimit({ keyPrefix: "inventory:movements", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = listMovementsQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { movements, total } = await listStockMovements(restaurantId, parsed.data);
+      const { limit, offset } = parsed.data;
+      res.json({
+        movements,
+        pagination: { total, limit, offset, hasMore: offset + limit < total },
+      });
+    })
+  );
+
+  // Get specific item
+  router.get(
+    "/:itemId",
+    rateLimit({ keyPrefix: "inventory:get", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, itemId } = req.params;
+      const item = await getInventoryItem(restaurantId, itemId);
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+      res.json({ item });
+    })
+  );
+
+  // Create item (owners/admins only)
+  router.post(
+    "/",
+    requirePermission("inventory.manage"),
+    rateLimit({ keyPrefix: "inventory:create", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = inventoryItemCreateSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid input",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const item = await createInventoryItem(restaurantId, parsed.data, actorFromRequest(req));
+      res.status(201).json({ item });
+    })
+  );
+
+  // Update item details (owners/admins only)
+  router.put(
+    "/:itemId",
+    requirePermission("inventory.manage"),
+    rateLimit({ keyPrefix: "inventory:update", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, itemId } = req.params;
+      const parsed = inventoryItemUpdateSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid input",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const item = await updateInventoryItem(restaurantId, itemId, parsed.data);
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+      res.json({ item });
+    })
+  );
+
+  // Delete item (soft delete, owners/admins only)
+  router.delete(
+    "/:itemId",
+    requirePermission("inventory.manage"),
+    rateLimit({ keyPrefix: "inventory:delete", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, itemId } = req.params;
+      const item = await deleteInventoryItem(restaurantId, itemId);
+      if (!item) {
+        return res.status(404).json({ message: "Inventory item not found" });
+      }
+      res.json({ item, deleted: true });
+    })
+  );
+
+  // Record a stock movement (purchase, wastage, adjustment, consumption)
+  router.post(
+    "/:itemId/movements",
+    rateLimit({ keyPrefix: "inventory:movement", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, itemId } = req.params;
+      const parsed = stockMovementSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid stock movement",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await recordStockMovement(
+          restaurantId,
+          itemId,
+          parsed.data,
+          actorFromRequest(req)
+        );
+        res.status(201).json(result);
+      } catch (error) {
+        console.error("Stock movement error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to record stock movement",
+        });
+      }
+    })
+  );
+
+  // Ledger for a single item
+  router.get(
+    "/:itemId/movements",
+    rateLimit({ keyPrefix: "inventory:item-movements", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, itemId } = req.params;
+      const parsed = listMovementsQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { movements, total } = await listStockMovements(restaurantId, { ...parsed.data, itemId });
+      const { limit, offset } = parsed.data;
+      res.json({
+        movements,
+        pagination: { total, limit, offset, hasMore: offset + limit < total },
+      });
+    })
+  );
+}
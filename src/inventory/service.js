@@ -0,0 +1,296 @@
+import { eq, and, desc, sql, gte, lte, lt } from "drizzle-orm";
+import { inventoryItems, inventoryMovements } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { emitInventoryUpdated, emitInventoryLowStock } from "../realtime/events.js";
+
+// Types staff can post by hand. CONSUMPTION_REVERSAL is only written by the order hook.
+export const MOVEMENT_TYPES = ["PURCHASE", "WASTAGE", "ADJUSTMENT", "CONSUMPTION"];
+
+/**
+ * Convert a movement quantity into a signed stock delta.
+ * PURCHASE/CONSUMPTION_REVERSAL always add, WASTAGE/CONSUMPTION always remove,
+ * ADJUSTMENT keeps the caller's sign.
+ * @param {string} movementType
+ * @param {number} quantity
+ * @returns {number}
+ */
+export function signedQuantity(movementType, quantity) {
+  const qty = Number(quantity);
+  if (!Number.isFinite(qty) || qty === 0) {
+    throw new Error("Quantity must be a non-zero number");
+  }
+  switch (movementType) {
+    case "PURCHASE":
+    case "CONSUMPTION_REVERSAL":
+      return Math.abs(qty);
+    case "WASTAGE":
+    case "CONSUMPTION":
+      return -Math.abs(qty);
+    case "ADJUSTMENT":
+      return qty;
+    default:
+      throw new Error(`Unknown movement type ${movementType}`);
+  }
+}
+
+/**
+ * True when a stock change moved the item from at/above its reorder level to below it.
+ * Only the crossing triggers an alert, so repeated consumption doesn't spam the channel.
+ */
+function crossedBelowReorderLevel(previousStock, item) {
+  const reorderLevel = parseFloat(item.reorderLevel);
+  if (!(reorderLevel > 0)) return false;
+  return previousStock >= reorderLevel && parseFloat(item.currentStock) < reorderLevel;
+}
+
+/**
+ * List inventory items for a restaurant
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} filters - { includeInactive, lowStockOnly }
+ */
+export async function listInventoryItems(restaurantId, filters = {}) {
+  const { includeInactive = false, lowStockOnly = false } = filters;
+
+  const conditions = [eq(inventoryItems.restaurantId, restaurantId)];
+  if (!includeInactive) conditions.push(eq(inventoryItems.isActive, true));
+  if (lowStockOnly) conditions.push(lt(inventoryItems.currentStock, inventoryItems.reorderLevel));
+
+  return await readDb
+    .select()
+    .from(inventoryItems)
+    .where(and(...conditions))
+    .orderBy(inventoryItems.materialName);
+}
+
+/**
+ * Get a single inventory item
+ */
+export async function getInventoryItem(restaurantId, itemId) {
+  const rows = await readDb
+    .select()
+    .from(inventoryItems)
+    .where(and(eq(inventoryItems.restaurantId, restaurantId), eq(inventoryItems.id, itemId)))
+    .limit(1);
+  return rows[0] || null;
+}
+
+/**
+ * Create an inventory item. Opening stock is booked as an ADJUSTMENT so the ledger balances.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} data - { materialName, unit, reorderLevel, costPerUnit, openingStock }
+ * @param {object|null} actor - { id, type: 'user' | 'staff' }
+ */
+export async function createInventoryItem(restaurantId, data, actor = null) {
+  const { openingStock = 0, ...itemData } = data;
+
+  const { item, openingMovement } = await db.transaction(async (tx) => {
+    const rows = await tx
+      .insert(inventoryItems)
+      .values({
+        restaurantId,
+        materialName: itemData.materialName,
+        unit: itemData.unit,
+        reorderLevel: String(itemData.reorderLevel ?? 0),
+        costPerUnit: String(itemData.costPerUnit ?? 0),
+        currentStock: "0",
+      })
+      .returning();
+
+    if (Number(openingStock) === 0) return { item: rows[0], openingMovement: null };
+
+    const result = await recordStockMovement(
+      restaurantId,
+      rows[0].id,
+      {
+        movementType: "ADJUSTMENT",
+        quantity: openingStock,
+        notes: "Opening stock",
+        // Lets variance reports tell opening balances apart from stock-take corrections
+        referenceType: "opening_stock",
+      },
+      actor,
+      tx
+    );
+    return { item: result.item, openingMovement: result };
+  });
+
+  if (openingMovement) {
+    emitStockMovement(restaurantId, openingMovement);
+  } else {
+    emitInventoryUpdated(restaurantId, item);
+  }
+  return item;
+}
+
+/**
+ * Update item details. Stock levels are never edited directly — use recordStockMovement.
+ */
+export async function updateInventoryItem(restaurantId, itemId, data) {
+  const updateData = { updatedAt: new Date() };
+  if (data.materialName !== undefined) updateData.materialName = data.materialName;
+  if (data.unit !== undefined) updateData.unit = data.unit;
+  if (data.reorderLevel !== undefined) updateData.reorderLevel = String(data.reorderLevel);
+  if (data.costPerUnit !== undefined) updateData.costPerUnit = String(data.costPerUnit);
+  if (data.isActive !== undefined) updateData.isActive = data.isActive;
+
+  const rows = await db
+    .update(inventoryItems)
+    .set(updateData)
+    .where(and(eq(inventoryItems.restaurantId, restaurantId), eq(inventoryItems.id, itemId)))
+    .returning();
+
+  const item = rows[0] || null;
+  if (item) {
+    emitInventoryUpdated(restaurantId, item);
+    // Raising the reorder level above current stock should alert just like consumption would
+    if (data.reorderLevel !== undefined && parseFloat(item.currentStock) < parseFloat(item.reorderLevel)) {
+      emitInventoryLowStock(restaurantId, item);
+    }
+  }
+  return item;
+}
+
+/**
+ * Soft delete an inventory item (keeps its ledger history)
+ */
+export async function deleteInventoryItem(restaurantId, itemId) {
+  return updateInventoryItem(restaurantId, itemId, { isActive: false });
+}
+
+/**
+ * Record a stock movement and apply it to the item's current stock atomically.
+ * A PURCHASE with a unitCost folds into the item's weighted-average costPerUnit; every other
+ * movement snapshots the current average so the ledger can be valued later.
+ * Emits `inventory.updated`, plus `inventory.low_stock` when stock drops below the reorder level —
+ * except inside a caller's transaction, which must pass the result to emitStockMovement after it
+ * commits so a rolled-back order never broadcasts stock changes.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} itemId - Inventory item ID
+ * @param {object} data - { movementType, quantity, unitCost, notes, referenceType, referenceId }
+ * @param {object|null} actor - { id, type: 'user' | 'staff' }
+ * @param {object} dbToUse - db or an open transaction
+ * @returns {Promise<{item: object, movement: object}>}
+ */
+export async function recordStockMovement(restaurantId, itemId, data, actor = null, dbToUse = db) {
+  const delta = signedQuantity(data.movementType, data.quantity);
+  const purchaseCost =
+    data.movementType === "PURCHASE" && data.unitCost != null ? Number(data.unitCost) : null;
+
+  const run = async (tx) => {
+    // Single UPDATE ... SET current_stock = current_stock + delta keeps concurrent movements consistent
+    const rows = await tx
+      .update(inventoryItems)
+      .set({
+        currentStock: sql`${inventoryItems.currentStock} + ${delta}`,
+        // SET expressions see the pre-update row, so this averages old stock at old cost with the purchase
+        ...(purchaseCost != null && {
+          costPerUnit: sql`COALESCE(
+            (GREATEST(${inventoryItems.currentStock}, 0) * ${inventoryItems.costPerUnit} + ${delta}::numeric * ${purchaseCost}::numeric)
+              / NULLIF(GREATEST(${inventoryItems.currentStock}, 0) + ${delta}::numeric, 0),
+            ${purchaseCost}::numeric
+          )`,
+        }),
+        updatedAt: new Date(),
+      })
+      .where(
+        and(
+          eq(inventoryItems.restaurantId, restaurantId),
+          eq(inventoryItems.id, itemId),
+          eq(inventoryItems.isActive, true)
+        )
+      )
+      .returning();
+
+    const item = rows[0];
+    if (!item) {
+      const err = new Error("Inventory item not found");
+      err.status = 404;
+      throw err;
+    }
+
+    const movementRows = await tx
+      .insert(inventoryMovements)
+      .values({
+        restaurantId,
+        inventoryItemId: itemId,
+        movementType: data.movementType,
+        quantity: delta.toFixed(3),
+        stockAfter: item.currentStock,
+        unitCost: data.unitCost != null ? Number(data.unitCost).toFixed(4) : item.costPerUnit,
+        notes: data.notes || null,
+        referenceType: data.referenceType || null,
+        referenceId: data.referenceId || null,
+        actorId: actor?.id || null,
+        actorType: actor?.type || null,
+      })
+      .returning();
+
+    return { item, movement: movementRows[0] };
+  };
+
+  if (dbToUse !== db) return run(dbToUse);
+
+  const result = await db.transaction(run);
+  emitStockMovement(restaurantId, result);
+  return result;
+}
+
+/**
+ * Broadcast a committed stock movement: `inventory.updated`, plus `inventory.low_stock` when it
+ * took the item below its reorder level.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {{item: object, movement: object}} result - From recordStockMovement
+ */
+export function emitStockMovement(restaurantId, { item, movement }) {
+  const previousStock = parseFloat(item.currentStock) - parseFloat(movement.quantity);
+  emitInventoryUpdated(restaurantId, item);
+  if (crossedBelowReorderLevel(previousStock, item)) {
+    emitInventoryLowStock(restaurantId, item);
+  }
+}
+
+/**
+ * List ledger entries, newest first
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} filters - { itemId, movementType, fromDate, toDate, limit, offset }
+ * @returns {Promise<{movements: Array, total: number}>}
+ */
+export async function listStockMovements(restaurantId, filters = {}) {
+  const { itemId, movementType, fromDate, toDate, limit = 50, offset = 0 } = filters;
+
+  const conditions = [eq(inventoryMovements.restaurantId, restaurantId)];
+  if (itemId) conditions.push(eq(inventoryMovements.inventoryItemId, itemId));
+  if (movementType) conditions.push(eq(inventoryMovements.movementType, movementType));
+  if (fromDate) conditions.push(gte(inventoryMovements.createdAt, new Date(fromDate)));
+  if (toDate) conditions.push(lte(inventoryMovements.createdAt, new Date(toDate)));
+
+  const where = and(...conditions);
+
+  const [movements, countRows] = await Promise.all([
+    readDb
+      .select({
+        movement: inventoryMovements,
+        materialName: inventoryItems.materialName,
+        unit: inventoryItems.unit,
+      })
+      .from(inventoryMovements)
+      .innerJoin(inventoryItems, eq(inventoryItems.id, inventoryMovements.inventoryItemId))
+      .where(where)
+      .orderBy(desc(inventoryMovements.createdAt))
+      .limit(limit)
+      .offset(offset),
+    readDb
+      .select({ count: sql`count(*)::int` })
+      .from(inventoryMovements)
+      .where(where),
+  ]);
+
+  return {
+    movements: movements.map((row) => ({
+      ...row.movement,
+      materialName: row.materialName,
+      unit: row.unit,
+    })),
+    total: countRows[0]?.count || 0,
+  };
+}
@@ -62,28 +62,40 @@ export async function getRedisClient() {
   return initPromise;
 }
 
-const QUEUE_KEY = 'jobs:menu-extraction';
-const PROCESSING_KEY = 'jobs:menu-extraction:processing';
-const FAILED_KEY = 'jobs:menu-extraction:failed';
+export const EXTRACTION_QUEUE = 'menu-extraction';
+
+// Each named queue has a pending list, a processing hash, a failed hash and a delayed set
+// (retries waiting out their backoff, scored by when they become due)
+function queueKeys(queue) {
+  return {
+    pending: `jobs:${queue}`,
+    processing: `jobs:${queue}:processing`,
+    failed: `jobs:${queue}:failed`,
+    delayed: `jobs:${queue}:delayed`,
+  };
+}
 
 /**
  * Add a job to the queue
+ * @param {object} data - Job payload; data.jobId is the job id unless options.id is given
+ * @param {{queue?: string, id?: string}} [options]
  */
-export async function enqueueJob(data) {
+export async function enqueueJob(data, options = {}) {
+  const { queue = EXTRACTION_QUEUE, id = data.jobId } = options;
   try {
     const client = await getRedisClient();
     
     const job = {
-      id:  data.jobId,
-      type: 'menu-extraction',
+      id,
+      type: queue,
       data,
       attempts: 0,
       createdAt: new Date().toISOString(),
     };
 
     // ioredis uses lowercase method names: rpush, not rPush
-    await client.rpush(QUEUE_KEY, JSON.stringify(job));
-    console.log(`[Jobs] ✓ Enqueued job ${job.id} for extraction job ${data.jobId}`);
+    await client.rpush(queueKeys(queue).pending, JSON.stringify(job));
+    console.log(`[Jobs] ✓ Enqueued ${queue} job ${job.id}`);
     
     return job.id;
   } catch (error) {
@@ -92,21 +104,36 @@ export async function enqueueJob(data) {
   }
 }
 
+/**
+ * Move delayed retries whose backoff has passed back onto the pending list
+ */
+async function promoteDueJobs(client, keys) {
+  const due = await client.zrangebyscore(keys.delayed, 0, Date.now());
+  for (const jobStr of due) {
+    // Only the caller that removes the entry re-queues it
+    if (await client.zrem(keys.delayed, jobStr)) {
+      await client.rpush(keys.pending, jobStr);
+    }
+  }
+}
+
 /**
  * Get next job from queue
  */
-export async function dequeueJob() {
+export async function dequeueJob(queue = EXTRACTION_QUEUE) {
+  const keys = queueKeys(queue);
   try {
     const client = await getRedisClient();
+    await promoteDueJobs(client, keys);
     
     // ioredis uses lowercase: lpop, not lPop
-    const jobStr = await client.lpop(QUEUE_KEY);
+    const jobStr = await client.lpop(keys.pending);
     if (!jobStr) return null;
 
     const job = JSON.parse(jobStr);
     
     // ioredis uses lowercase: hset, not hSet
-    await client.hset(PROCESSING_KEY, job.id, JSON.stringify(job));
+    await client.hset(keys.processing, job.id, JSON.stringify(job));
     
     console.log(`[Jobs] → Processing job ${job.id}`);
     return job;
@@ -119,11 +146,11 @@ export async function dequeueJob() {
 /**
  * Mark job as completed
  */
-export async function completeJob(jobId) {
+export async function completeJob(jobId, queue = EXTRACTION_QUEUE) {
   try {
     const client = await getRedisClient();
     // ioredis uses lowercase: hdel, not hDel
-    await client.hdel(PROCESSING_KEY, jobId);
+    await client.hdel(queueKeys(queue).processing, jobId);
     console.log(`[Jobs] ✓ Completed job ${jobId}`);
   } catch (error) {
     console.error('[Jobs] ✗ Failed to complete job:', error);
@@ -133,35 +160,54 @@ export async function completeJob(jobId) {
 
 /**
  * Mark job as failed (retry or move to failed)
+ * @param {string} jobId
+ * @param {string} error - Error message, kept on the job
+ * @param {object} [options]
+ * @param {string} [options.queue]
+ * @param {number} [options.maxRetries] - Attempts before the job is given up on
+ * @param {number} [options.retryDelayMs] - Backoff before the first retry, doubled for each one
+ *   after; retries go straight back on the queue when not set
+ * @returns {Promise<boolean>} Whether the job will be retried
  */
-export async function failJob(jobId, error) {
+export async function failJob(jobId, error, options = {}) {
+  const {
+    queue = EXTRACTION_QUEUE,
+    maxRetries = parseInt(process.env.EXTRACTION_MAX_RETRIES || '3'),
+    retryDelayMs = 0,
+  } = options;
+  const keys = queueKeys(queue);
   try {
     const client = await getRedisClient();
     
     // ioredis uses lowercase: hget, not hGet
-    const jobStr = await client.hget(PROCESSING_KEY, jobId);
+    const jobStr = await client.hget(keys.processing, jobId);
     if (!jobStr) {
       console.warn(`[Jobs] Job ${jobId} not found in processing set`);
-      return;
+      return false;
     }
 
     const job = JSON.parse(jobStr);
     job.attempts += 1;
     job.lastError = error;
 
-    const maxRetries = parseInt(process.env.EXTRACTION_MAX_RETRIES || '3');
-
-    if (job.attempts < maxRetries) {
-      // Retry: move back to queue
+    const retry = job.attempts < maxRetries;
+    if (retry) {
+      // Retry: move back to queue, after the backoff if there is one
       console.log(`[Jobs] ↻ Retrying job ${jobId} (attempt ${job.attempts}/${maxRetries})`);
-      await client.rpush(QUEUE_KEY, JSON.stringify(job));
+      if (retryDelayMs > 0) {
+        const dueAt = Date.now() + retryDelayMs * 2 ** (job.attempts - 1);
+        await client.zadd(keys.delayed, dueAt, JSON.stringify(job));
+      } else {
+        await client.rpush(keys.pending, JSON.stringify(job));
+      }
     } else {
       // Max retries: mark as failed
       console.log(`[Jobs] ✗ Failed job ${jobId} after ${job.attempts} attempts`);
-      await client.hset(FAILED_KEY, jobId, JSON.stringify({ ...job, error }));
+      await client.hset(keys.failed, jobId, JSON.stringify({ ...job, error }));
     }
 
-    await client.hdel(PROCESSING_KEY, jobId);
+    await client.hdel(keys.processing, jobId);
+    return retry;
   } catch (error) {
     console.error('[Jobs] ✗ Failed to mark job as failed:', error);
     throw error;
@@ -171,31 +217,35 @@ export async function failJob(jobId, error) {
 /**
  * Get queue statistics
  */
-export async function getQueueStats() {
+export async function getQueueStats(queue = EXTRACTION_QUEUE) {
+  const keys = queueKeys(queue);
   try {
     const client = await getRedisClient();
     
-    // ioredis uses lowercase: llen, hlen
-    const pending = await client.llen(QUEUE_KEY);
-    const processing = await client.hlen(PROCESSING_KEY);
-    const failed = await client.hlen(FAILED_KEY);
+    // ioredis uses lowercase: llen, hlen, zcard
+    const pending = await client.llen(keys.pending);
+    const processing = await client.hlen(keys.processing);
+    const failed = await client.hlen(keys.failed);
+    const delayed = await client.zcard(keys.delayed);
 
-    return { pending, processing, failed };
+    return { pending, processing, failed, delayed };
   } catch (error) {
     console.error('[Jobs] ✗ Failed to get queue stats:', error);
-    return { pending: 0, processing: 0, failed: 0 };
+    return { pending: 0, processing: 0, failed: 0, delayed: 0 };
   }
 }
 
 /**
  * Clear all queues (useful for debugging)
  */
-export async function clearAllQueues() {
+export async function clearAllQueues(queue = EXTRACTION_QUEUE) {
+  const keys = queueKeys(queue);
   try {
     const client = await getRedisClient();
-    await client.del(QUEUE_KEY);
-    await client.del(PROCESSING_KEY);
-    await client.del(FAILED_KEY);
+    await client.del(keys.pending);
+    await client.del(keys.processing);
+    await client.del(keys.failed);
+    await client.del(keys.delayed);
     console.log('[Jobs] ✓ Cleared all queues');
   } catch (error) {
     console.error('[Jobs] ✗ Failed to clear queues:', error);
@@ -0,0 +1,160 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  listKitchenStations,
+  createKitchenStation,
+  updateKitchenStation,
+  deleteKitchenStation,
+  getStationRouting,
+  setStationRouting,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const stationSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  isDefault: z.boolean().optional(),
+  sortOrder: z.number().int().optional(),
+});
+
+const stationUpdateSchema = stationSchema.partial().refine((v) => Object.keys(v).length > 0, {
+  message: "No fields to update",
+});
+
+const routeEntrySchema = z.object({
+  id: z.string().uuid(),
+  kitchenStationId: z.string().uuid().nullable(),
+});
+
+const routingSchema = z
+  .object({
+    categories: z.array(routeEntrySchema).max(500).optional(),
+    menuItems: z.array(routeEntrySchema).max(2000).optional(),
+  })
+  .refine((v) => (v.categories?.length || 0) + (v.menuItems?.length || 0) > 0, {
+    message: "Provide categories and/or menuItems",
+  });
+
+export function registerKitchenRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/kitchen-stations",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // List stations (kitchen screens use this to pick their station)
+  router.get(
+    "/",
+    requirePermission("order.view", "kitchen.manage"),
+    rateLimit({ keyPrefix: "kitchen:stations:list", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const stations = await listKitchenStations(req.params.restaurantId, {
+        includeInactive: req.query.includeInactive === "true",
+      });
+      res.json({ stations });
+    })
+  );
+
+  // Which categories and items go to which station
+  router.get(
+    "/routing",
+    requirePermission("kitchen.manage"),
+    rateLimit({ keyPrefix: "kitchen:routing:get", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const routing = await getStationRouting(req.params.restaurantId);
+      res.json(routing);
+    })
+  );
+
+  router.put(
+    "/routing",
+    requirePermission("kitchen.manage"),
+    rateLimit({ keyPrefix: "kitchen:routing:set", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = routingSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid routing",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await setStationRouting(req.params.restaurantId, parsed.data);
+        res.json(result);
+      } catch (error) {
+        console.error("Kitchen routing error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to update routing" });
+      }
+    })
+  );
+
+  // Create station
+  router.post(
+    "/",
+    requirePermission("kitchen.manage"),
+    rateLimit({ keyPrefix: "kitchen:stations:create", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = stationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid station",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const station = await createKitchenStation(req.params.restaurantId, parsed.data);
+        res.status(201).json({ station });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to create station" });
+      }
+    })
+  );
+
+  // Update station
+  router.patch(
+    "/:stationId",
+    requirePermission("kitchen.manage"),
+    rateLimit({ keyPrefix: "kitchen:stations:update", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = stationUpdateSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid station",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const station = await updateKitchenStation(req.params.restaurantId, req.params.stationId, parsed.data);
+        res.json({ station });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update station" });
+      }
+    })
+  );
+
+  // Retire station
+  router.delete(
+    "/:stationId",
+    requirePermission("kitchen.manage"),
+    rateLimit({ keyPrefix: "kitchen:stations:delete", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const station = await deleteKitchenStation(req.params.restaurantId, req.params.stationId);
+        res.json({ station, deleted: true });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to delete station" });
+      }
+    })
+  );
+}
@@ -0,0 +1,462 @@
+import { eq, and, asc, inArray, isNull, isNotNull, ne, sql } from "drizzle-orm";
+import { kitchenStations, menuCategories, menuItems, staff, orderItems, restaurants } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { emitKitchenTicketOverdue } from "../realtime/events.js";
+import { httpError } from "../httpError.js";
+
+// Items that never reach a kitchen station's queue
+const NON_KITCHEN_ITEM_STATUSES = ["CANCELLED", "PENDING_APPROVAL"];
+
+// ============================================================
+// Routing rules (pure)
+// ============================================================
+
+/**
+ * The station an item is cooked at: its own station, else its category's, else the default.
+ * @returns {string|null} null when the restaurant has no stations
+ */
+export function routeItemToStation(itemStationId, categoryStationId, defaultStationId) {
+  return itemStationId || categoryStationId || defaultStationId || null;
+}
+
+/**
+ * Whether a station owns an order item. Items ordered before any station existed have no station
+ * and are shared by every station; with no station selected every item is visible.
+ * @param {{kitchenStationId?: string|null}} item
+ * @param {string|null} stationId
+ */
+export function isItemForStation(item, stationId) {
+  return !stationId || !item.kitchenStationId || item.kitchenStationId === stationId;
+}
+
+/**
+ * Narrow KDS orders to one station: only its fired and upcoming (held) items, and only orders
+ * that still have some.
+ * @param {Array<{items: Array, upcomingItems?: Array}>} kitchenOrders
+ * @param {string|null} stationId
+ */
+export function filterOrdersForStation(kitchenOrders, stationId) {
+  if (!stationId) return kitchenOrders;
+  const own = (items = []) => items.filter((item) => isItemForStation(item, stationId));
+  return kitchenOrders
+    .map((order) => ({ ...order, items: own(order.items), upcomingItems: own(order.upcomingItems) }))
+    .filter((order) => order.items.length > 0 || order.upcomingItems.length > 0);
+}
+
+/**
+ * The order status implied by its items' kitchen progress: READY only once every station is done,
+ * SERVED once everything has gone out, PREPARING as soon as any station starts. Held courses
+ * haven't reached the kitchen yet and don't count.
+ * @param {Array<{status: string, isHeld?: boolean}>} items
+ * @returns {'PENDING'|'PREPARING'|'READY'|'SERVED'|null} null when no item is in the kitchen flow
+ */
+export function deriveOrderKitchenStatus(items) {
+  const active = items.filter((item) => !item.isHeld && !NON_KITCHEN_ITEM_STATUSES.includes(item.status));
+  if (active.length === 0) return null;
+  if (active.every((item) => item.status === "SERVED")) return "SERVED";
+  if (active.every((item) => item.status === "READY" || item.status === "SERVED")) return "READY";
+  if (active.some((item) => item.status !== "PENDING")) return "PREPARING";
+  return "PENDING";
+}
+
+// ============================================================
+// Course firing (pure)
+// ============================================================
+
+/**
+ * The course an order is on: the highest course already fired, else the lowest course being
+ * ordered now. Items of later courses are held until a waiter fires them.
+ * @param {Array<{courseNumber: number, isHeld: boolean, status: string}>} existingItems
+ * @param {number[]} newCourseNumbers - Courses of the items being added
+ * @returns {number}
+ */
+export function currentCourse(existingItems, newCourseNumbers) {
+  const fired = existingItems
+    .filter((item) => !item.isHeld && !NON_KITCHEN_ITEM_STATUSES.includes(item.status))
+    .map((item) => item.courseNumber ?? 1);
+  if (fired.length > 0) return Math.max(...fired);
+  return newCourseNumbers.length > 0 ? Math.min(...newCourseNumbers) : 1;
+}
+
+/**
+ * The next course waiting to be fired, or null when nothing is held.
+ * @param {Array<{courseNumber: number, isHeld: boolean, status: string}>} items
+ */
+export function nextHeldCourse(items) {
+  const held = items
+    .filter((item) => item.isHeld && item.status !== "CANCELLED")
+    .map((item) => item.courseNumber ?? 1);
+  return held.length > 0 ? Math.min(...held) : null;
+}
+
+// ============================================================
+// Stations
+// ============================================================
+
+export async function listKitchenStations(restaurantId, { includeInactive = false } = {}) {
+  return readDb
+    .select()
+    .from(kitchenStations)
+    .where(
+      includeInactive
+        ? eq(kitchenStations.restaurantId, restaurantId)
+        : and(eq(kitchenStations.restaurantId, restaurantId), eq(kitchenStations.isActive, true))
+    )
+    .orderBy(asc(kitchenStations.sortOrder), asc(kitchenStations.name));
+}
+
+/**
+ * Load an active station of the restaurant or throw 404.
+ * @param {object} [dbToUse] - db or an open transaction
+ */
+export async function assertKitchenStation(restaurantId, stationId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select()
+    .from(kitchenStations)
+    .where(
+      and(
+        eq(kitchenStations.restaurantId, restaurantId),
+        eq(kitchenStations.id, stationId),
+        eq(kitchenStations.isActive, true)
+      )
+    )
+    .limit(1);
+  if (!rows[0]) throw httpError("Kitchen station not found", 404);
+  return rows[0];
+}
+
+async function assertUniqueName(tx, restaurantId, name, exceptId = null) {
+  const rows = await tx
+    .select({ id: kitchenStations.id })
+    .from(kitchenStations)
+    .where(
+      and(
+        eq(kitchenStations.restaurantId, restaurantId),
+        eq(kitchenStations.isActive, true),
+        sql`lower(${kitchenStations.name}) = lower(${name})`,
+        exceptId ? ne(kitchenStations.id, exceptId) : undefined
+      )
+    )
+    .limit(1);
+  if (rows[0]) throw httpError(`A station named "${name}" already exists`, 409);
+}
+
+// Only one default station per restaurant
+async function clearDefaultStation(tx, restaurantId) {
+  await tx
+    .update(kitchenStations)
+    .set({ isDefault: false, updatedAt: new Date() })
+    .where(and(eq(kitchenStations.restaurantId, restaurantId), eq(kitchenStations.isDefault, true)));
+}
+
+export async function createKitchenStation(restaurantId, { name, isDefault = false, sortOrder = 0 }) {
+  return db.transaction(async (tx) => {
+    await assertUniqueName(tx, restaurantId, name);
+    if (isDefault) await clearDefaultStation(tx, restaurantId);
+
+    const [station] = await tx
+      .insert(kitchenStations)
+      .values({ restaurantId, name, isDefault, sortOrder })
+      .returning();
+    return station;
+  });
+}
+
+export async function updateKitchenStation(restaurantId, stationId, data) {
+  return db.transaction(async (tx) => {
+    await assertKitchenStation(restaurantId, stationId, tx);
+    if (data.name !== undefined) await assertUniqueName(tx, restaurantId, data.name, stationId);
+    if (data.isDefault) await clearDefaultStation(tx, restaurantId);
+
+    const [station] = await tx
+      .update(kitchenStations)
+      .set({ ...data, updatedAt: new Date() })
+      .where(and(eq(kitchenStations.restaurantId, restaurantId), eq(kitchenStations.id, stationId)))
+      .returning();
+    return station;
+  });
+}
+
+/**
+ * Retire a station. Its categories, items and cooks fall back to the default station; items
+ * already sent to it stay on it so they can still be bumped.
+ */
+export async function deleteKitchenStation(restaurantId, stationId) {
+  return db.transaction(async (tx) => {
+    await assertKitchenStation(restaurantId, stationId, tx);
+
+    const unroute = { kitchenStationId: null, updatedAt: new Date() };
+    await tx
+      .update(menuCategories)
+      .set(unroute)
+      .where(and(eq(menuCategories.restaurantId, restaurantId), eq(menuCategories.kitchenStationId, stationId)));
+    await tx
+      .update(menuItems)
+      .set(unroute)
+      .where(and(eq(menuItems.restaurantId, restaurantId), eq(menuItems.kitchenStationId, stationId)));
+    await tx
+      .update(staff)
+      .set(unroute)
+      .where(and(eq(staff.restaurantId, restaurantId), eq(staff.kitchenStationId, stationId)));
+
+    const [station] = await tx
+      .update(kitchenStations)
+      .set({ isActive: false, isDefault: false, updatedAt: new Date() })
+      .where(eq(kitchenStations.id, stationId))
+      .returning();
+    return station;
+  });
+}
+
+// ============================================================
+// Menu routing
+// ============================================================
+
+/**
+ * Current routing: every active category with its station, and the items that override it.
+ */
+export async function getStationRouting(restaurantId) {
+  const [categories, items] = await Promise.all([
+    readDb
+      .select({ id: menuCategories.id, name: menuCategories.name, kitchenStationId: menuCategories.kitchenStationId })
+      .from(menuCategories)
+      .where(and(eq(menuCategories.restaurantId, restaurantId), eq(menuCategories.isActive, true)))
+      .orderBy(asc(menuCategories.sortOrder), asc(menuCategories.name)),
+    readDb
+      .select({
+        id: menuItems.id,
+        name: menuItems.name,
+        categoryId: menuItems.categoryId,
+        kitchenStationId: menuItems.kitchenStationId,
+      })
+      .from(menuItems)
+      .where(
+        and(
+          eq(menuItems.restaurantId, restaurantId),
+          eq(menuItems.isActive, true),
+          isNotNull(menuItems.kitchenStationId)
+        )
+      )
+      .orderBy(asc(menuItems.name)),
+  ]);
+  return { categories, menuItems: items };
+}
+
+/**
+ * Point categories and/or items at stations (kitchenStationId null clears an item override or
+ * sends a category to the default station). Applies to orders placed from now on.
+ * @param {string} restaurantId
+ * @param {{categories?: Array<{id: string, kitchenStationId: string|null}>, menuItems?: Array<{id: string, kitchenStationId: string|null}>}} routing
+ */
+export async function setStationRouting(restaurantId, { categories = [], menuItems: items = [] }) {
+  const stationIds = Array.from(
+    new Set([...categories, ...items].map((r) => r.kitchenStationId).filter(Boolean))
+  );
+
+  return db.transaction(async (tx) => {
+    if (stationIds.length) {
+      const found = await tx
+        .select({ id: kitchenStations.id })
+        .from(kitchenStations)
+        .where(
+          and(
+            eq(kitchenStations.restaurantId, restaurantId),
+            eq(kitchenStations.isActive, true),
+            inArray(kitchenStations.id, stationIds)
+          )
+        );
+      if (found.length !== stationIds.length) throw httpError("Kitchen station not found", 404);
+    }
+
+    let updated = 0;
+    for (const { id, kitchenStationId } of categories) {
+      const rows = await tx
+        .update(menuCategories)
+        .set({ kitchenStationId, updatedAt: new Date() })
+        .where(and(eq(menuCategories.restaurantId, restaurantId), eq(menuCategories.id, id)))
+        .returning({ id: menuCategories.id });
+      updated += rows.length;
+    }
+    for (const { id, kitchenStationId } of items) {
+      const rows = await tx
+        .update(menuItems)
+        .set({ kitchenStationId, updatedAt: new Date() })
+        .where(and(eq(menuItems.restaurantId, restaurantId), eq(menuItems.id, id)))
+        .returning({ id: menuItems.id });
+      updated += rows.length;
+    }
+
+    if (updated !== categories.length + items.length) throw httpError("Menu category or item not found", 404);
+    return { updated };
+  });
+}
+
+/**
+ * Station for each menu item of a new order, per the routing rules.
+ * @param {object} dbToUse - db, readDb or an open transaction
+ * @param {string} restaurantId
+ * @param {string[]} menuItemIds
+ * @returns {Promise<Map<string, string|null>>} menuItemId -> kitchenStationId
+ */
+export async function resolveItemStations(dbToUse, restaurantId, menuItemIds) {
+  const stations = new Map();
+  if (!menuItemIds.length) return stations;
+
+  const [rows, defaults] = await Promise.all([
+    dbToUse
+      .select({
+        id: menuItems.id,
+        itemStationId: menuItems.kitchenStationId,
+        categoryStationId: menuCategories.kitchenStationId,
+      })
+      .from(menuItems)
+      .leftJoin(menuCategories, eq(menuCategories.id, menuItems.categoryId))
+      .where(and(eq(menuItems.restaurantId, restaurantId), inArray(menuItems.id, menuItemIds))),
+    dbToUse
+      .select({ id: kitchenStations.id })
+      .from(kitchenStations)
+      .where(
+        and(
+          eq(kitchenStations.restaurantId, restaurantId),
+          eq(kitchenStations.isDefault, true),
+          eq(kitchenStations.isActive, true)
+        )
+      )
+      .limit(1),
+  ]);
+
+  const defaultStationId = defaults[0]?.id || null;
+  for (const row of rows) {
+    stations.set(row.id, routeItemToStation(row.itemStationId, row.categoryStationId, defaultStationId));
+  }
+  return stations;
+}
+
+// ============================================================
+// Staff assignment
+// ============================================================
+
+/**
+ * The station a staff member is assigned to, or null (sees every station).
+ * @param {string} staffId
+ */
+export async function getStaffKitchenStationId(staffId) {
+  const rows = await readDb
+    .select({ kitchenStationId: staff.kitchenStationId })
+    .from(staff)
+    .where(eq(staff.id, staffId))
+    .limit(1);
+  return rows[0]?.kitchenStationId || null;
+}
+
+// ============================================================
+// Prep-time SLA
+// ============================================================
+
+/**
+ * Group overdue items into tickets (one per order + KOT) for the overdue event.
+ * @param {Array<{id: string, restaurantId: string, orderId: string, kotNumber: number|null, acceptedAt: Date, slaMinutes: number}>} items
+ * @param {Date} [now]
+ * @returns {Array<{restaurantId: string, orderId: string, kotNumber: number|null, overdueMinutes: number, items: Array}>}
+ */
+export function groupOverdueTickets(items, now = new Date()) {
+  const tickets = new Map();
+  for (const { restaurantId, orderId, kotNumber, ...item } of items) {
+    const overdueMinutes = Math.floor(
+      (now.getTime() - new Date(item.acceptedAt).getTime()) / 60000 - item.slaMinutes
+    );
+    const key = `${orderId}:${kotNumber ?? ""}`;
+    const ticket = tickets.get(key) || { restaurantId, orderId, kotNumber, overdueMinutes: 0, items: [] };
+    ticket.items.push({ ...item, overdueMinutes });
+    ticket.overdueMinutes = Math.max(ticket.overdueMinutes, overdueMinutes);
+    tickets.set(key, ticket);
+  }
+  return [...tickets.values()];
+}
+
+/**
+ * Flag items that passed their target prep time (the item's own, else the restaurant's
+ * settings.kitchenSlaMinutes) and emit one overdue event per ticket. Each item is alerted once.
+ * @returns {Promise<{tickets: number, items: number}>}
+ */
+export async function runKitchenSlaSweep() {
+  const slaMinutes = sql`COALESCE(${orderItems.targetPrepMinutes}, (${restaurants.settings}->>'kitchenSlaMinutes')::int)`;
+
+  const due = await db
+    .select({ id: orderItems.id })
+    .from(orderItems)
+    .innerJoin(restaurants, eq(restaurants.id, orderItems.restaurantId))
+    .where(
+      and(
+        isNull(orderItems.readyAt),
+        isNull(orderItems.overdueAlertedAt),
+        isNotNull(orderItems.acceptedAt),
+        inArray(orderItems.status, ["PENDING", "PREPARING"]),
+        // Forgotten tickets from earlier days are not worth an alert
+        sql`${orderItems.acceptedAt} > now() - interval '1 day'`,
+        sql`${orderItems.acceptedAt} + make_interval(mins => ${slaMinutes}) <= now()`
+      )
+    )
+    .limit(1000);
+  if (due.length === 0) return { tickets: 0, items: 0 };
+
+  // Claim the items so a later sweep (or another pod) doesn't alert them again
+  const claimed = await db
+    .update(orderItems)
+    .set({ overdueAlertedAt: new Date() })
+    .from(restaurants)
+    .where(
+      and(
+        eq(restaurants.id, orderItems.restaurantId),
+        inArray(orderItems.id, due.map((d) => d.id)),
+        isNull(orderItems.overdueAlertedAt)
+      )
+    )
+    .returning({
+      id: orderItems.id,
+      restaurantId: orderItems.restaurantId,
+      orderId: orderItems.orderId,
+      kotNumber: orderItems.kotNumber,
+      itemName: orderItems.itemName,
+      quantity: orderItems.quantity,
+      status: orderItems.status,
+      kitchenStationId: orderItems.kitchenStationId,
+      acceptedAt: orderItems.acceptedAt,
+      startedAt: orderItems.startedAt,
+      slaMinutes,
+    });
+
+  const tickets = groupOverdueTickets(claimed);
+  for (const { restaurantId, ...ticket } of tickets) {
+    emitKitchenTicketOverdue(restaurantId, ticket);
+  }
+  return { tickets: tickets.length, items: claimed.length };
+}
+
+export function startKitchenSlaJob() {
+  const INTERVAL_MS = 30 * 1000;
+  const LOCK_TTL_SECONDS = 25; // expires just before the next tick
+  const LOCK_KEY = "job:kitchen-sla:lock";
+
+  async function runSweep() {
+    try {
+      // Only one pod sweeps per tick
+      const { getRedisClient } = await import("../redis/client.js");
+      const redis = getRedisClient();
+      if (redis && redis.status === "ready") {
+        const acquired = await redis.set(LOCK_KEY, "1", "EX", LOCK_TTL_SECONDS, "NX");
+        if (!acquired) return;
+      }
+
+      const { tickets, items } = await runKitchenSlaSweep();
+      if (tickets) console.log(`[Kitchen SLA] ${tickets} overdue ticket(s), ${items} item(s)`);
+    } catch (err) {
+      console.error("[Kitchen SLA] Sweep failed:", err);
+    }
+  }
+
+  runSweep();
+  setInterval(() => {
+    runSweep().catch((err) => console.error("[Kitchen SLA] Unhandled error in sweep:", err));
+  }, INTERVAL_MS);
+}
@@ -1,7 +1,8 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import {
   getPredefinedLogos,
@@ -39,7 +40,7 @@ export function registerLogoRoutes(app) {
     "/:restaurantId/upload-url",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("settings.manage"),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
       
@@ -65,7 +66,7 @@ export function registerLogoRoutes(app) {
     "/:restaurantId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("settings.manage"),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
       
@@ -103,7 +104,7 @@ export function registerLogoRoutes(app) {
     "/:restaurantId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("settings.manage"),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
       const restaurant = await deleteRestaurantLogo(restaurantId);
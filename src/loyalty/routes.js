@@ -0,0 +1,170 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  getLoyaltyProgram,
+  updateLoyaltyProgram,
+  getLoyaltyAccount,
+  lookupLoyaltyBalanceBySlug,
+  adjustPoints,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const tierSchema = z.object({
+  name: z.string().trim().min(1).max(50),
+  minPoints: z.number().int().min(0),
+  // Earning multiplier for guests in the tier
+  multiplier: z.number().positive().max(10),
+});
+
+const updateProgramSchema = z.object({
+  isEnabled: z.boolean().optional(),
+  // Points per currency unit paid
+  earnRate: z.number().min(0).max(100).optional(),
+  // What one point is worth when redeemed
+  pointValue: z.number().positive().max(1000).optional(),
+  minRedeemPoints: z.number().int().min(0).optional(),
+  maxRedeemPercent: z.number().int().min(1).max(100).optional(),
+  // null: points never expire
+  expiryDays: z.number().int().positive().max(3650).nullable().optional(),
+  tiers: z.array(tierSchema).max(10).optional(),
+});
+
+const ledgerQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+});
+
+const adjustmentSchema = z.object({
+  // Negative takes points away
+  points: z.number().int().refine((v) => v !== 0, "Points can't be zero"),
+  reason: z.string().min(3, "Adjustment reason must be at least 3 characters").max(500),
+});
+
+const balanceQuerySchema = z.object({
+  phone: z.string().min(1).max(20),
+});
+
+export function registerLoyaltyRoutes(app) {
+  // Public balance check by phone (no auth required)
+  app.get(
+    "/api/loyalty/public/:slug/balance",
+    rateLimit({ keyPrefix: "loyalty:balance:public", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = balanceQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Phone number is required",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const balance = await lookupLoyaltyBalanceBySlug(req.params.slug, parsed.data.phone);
+        if (!balance) {
+          return res.status(404).json({ message: "No loyalty points found for this phone number" });
+        }
+        res.json({ balance });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to look up points" });
+      }
+    })
+  );
+
+  app.use(
+    "/api/restaurants/:restaurantId/loyalty",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // Program settings; staff who look guests up need them to quote point values
+  router.get(
+    "/program",
+    requirePermission("customer.view", "loyalty.manage"),
+    rateLimit({ keyPrefix: "loyalty:program:get", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const program = await getLoyaltyProgram(req.params.restaurantId);
+      res.json({ program });
+    })
+  );
+
+  router.put(
+    "/program",
+    requirePermission("loyalty.manage"),
+    rateLimit({ keyPrefix: "loyalty:program:update", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateProgramSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid loyalty program",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const program = await updateLoyaltyProgram(req.params.restaurantId, parsed.data);
+        res.json({ program });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update loyalty program" });
+      }
+    })
+  );
+
+  // Balance, tier and points ledger for one guest
+  router.get(
+    "/customers/:customerId",
+    requirePermission("customer.view"),
+    rateLimit({ keyPrefix: "loyalty:account", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const parsed = ledgerQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const account = await getLoyaltyAccount(req.params.restaurantId, req.params.customerId, parsed.data);
+        res.json({ account });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load loyalty account" });
+      }
+    })
+  );
+
+  router.post(
+    "/customers/:customerId/adjustments",
+    requirePermission("loyalty.manage"),
+    rateLimit({ keyPrefix: "loyalty:adjust", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = adjustmentSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid adjustment",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const entry = await adjustPoints(
+          req.params.restaurantId,
+          req.params.customerId,
+          parsed.data,
+          actorFromRequest(req)
+        );
+        res.status(201).json({ entry });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to adjust points" });
+      }
+    })
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * Loyalty rules — earning, tiers, redemption value and expiry maths.
+ *
+ * Pure (no DB access) so payments, discounts and the expiry sweep all price points the same way.
+ */
+
+import { toCents, fromCents } from "../money.js";
+
+/**
+ * The tier a guest is in: the highest one whose minPoints their lifetime points reach.
+ * @param {{tiers: Array<{name: string, minPoints: number, multiplier: number}>}} program
+ * @param {number} lifetimePoints - Points earned so far, net of reversals
+ * @returns {{current: object|null, next: object|null}}
+ */
+export function tierFor(program, lifetimePoints) {
+  const tiers = [...(program.tiers ?? [])].sort((a, b) => a.minPoints - b.minPoints);
+  let current = null;
+  for (const tier of tiers) {
+    if (lifetimePoints >= tier.minPoints) current = tier;
+  }
+  const next = tiers.find((tier) => tier.minPoints > lifetimePoints) ?? null;
+  return { current, next };
+}
+
+/**
+ * Points earned on a payment, rounded down.
+ * @param {object} program - Loyalty program row
+ * @param {number|string} amount - Amount paid
+ * @param {object|null} [tier] - The guest's current tier
+ * @returns {number}
+ */
+export function pointsEarned(program, amount, tier = null) {
+  const multiplier = Number(tier?.multiplier ?? 1);
+  // Rounded to paise first so 0.1 * 1000 doesn't come out as 99.99999
+  const exact = Math.round(toCents(amount) * Number(program.earnRate) * multiplier) / 100;
+  return Math.max(0, Math.floor(exact));
+}
+
+/** What a number of points is worth, as a money string */
+export function pointsValue(program, points) {
+  // Rounded down to the paisa (the epsilon absorbs float error like 0.29 * 100)
+  return fromCents(Math.floor(points * Number(program.pointValue) * 100 + 1e-6));
+}
+
+/**
+ * Points needed to cover an amount, rounded up so the guest never pays less than they owe.
+ * @returns {number}
+ */
+export function pointsForAmount(program, amount) {
+  const valueCents = Number(program.pointValue) * 100;
+  if (!(valueCents > 0)) return Infinity;
+  return Math.ceil(toCents(amount) / valueCents - 1e-9);
+}
+
+/**
+ * Why a redemption can't go ahead, or null.
+ * @param {object} program - Loyalty program row
+ * @param {number} points - Points to redeem
+ * @param {number} balance - The guest's balance
+ * @param {number|string} amount - What the points would pay for
+ * @param {number|string} billTotal - The order total the redemption counts against
+ * @returns {string|null}
+ */
+export function redemptionBlockedReason(program, points, balance, amount, billTotal) {
+  if (!program?.isEnabled) return "The loyalty program is not active";
+  if (!Number.isInteger(points) || points <= 0) return "Points to redeem must be a whole number above zero";
+  if (points < program.minRedeemPoints) return `At least ${program.minRedeemPoints} points must be redeemed at a time`;
+  if (points > balance) return `Only ${balance} points available`;
+  const maxCents = Math.floor((toCents(billTotal) * program.maxRedeemPercent) / 100);
+  if (toCents(amount) > maxCents) {
+    return `Points can pay for at most ${program.maxRedeemPercent}% of the bill (${fromCents(maxCents)})`;
+  }
+  return null;
+}
+
+/**
+ * Points that have passed their expiry. Spending uses the oldest points first, so whatever
+ * has been taken out (spent, reversed, expired before) is matched against the oldest credits;
+ * credits older than the cutoff that are still left over have expired.
+ * @param {number} creditsBeforeCutoff - Points added before the expiry cutoff
+ * @param {number} debits - All points ever taken out, as a positive number
+ * @returns {number}
+ */
+export function pointsToExpire(creditsBeforeCutoff, debits) {
+  return Math.max(0, creditsBeforeCutoff - debits);
+}
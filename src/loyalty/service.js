@@ -0,0 +1,408 @@
+/**
+ * Loyalty program — points earned on payments and spent as a payment method or a discount.
+ *
+ * Every change is a signed row in loyalty_ledger and a guest's balance is the sum of their rows.
+ * Refunds, voids and cancellations add reversal rows pointing at the entry they undo, so an
+ * entry can never be undone twice.
+ */
+import { eq, and, desc, sql, inArray } from "drizzle-orm";
+import { loyaltyPrograms, loyaltyLedger, loyaltyEntryTypeEnum, customers, restaurants } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { normalizePhone } from "../customer/service.js";
+import {
+  tierFor,
+  pointsEarned,
+  pointsValue,
+  pointsForAmount,
+  redemptionBlockedReason,
+  pointsToExpire,
+} from "./rules.js";
+import { httpError } from "../httpError.js";
+
+export const LOYALTY_ENTRY_TYPES = loyaltyEntryTypeEnum.enumValues;
+
+// Settings for restaurants that haven't set up a program yet
+const PROGRAM_DEFAULTS = {
+  isEnabled: false,
+  earnRate: "0.1",
+  pointValue: "1",
+  minRedeemPoints: 0,
+  maxRedeemPercent: 100,
+  expiryDays: null,
+  tiers: [],
+};
+
+/**
+ * The restaurant's program, or the defaults (disabled) when none has been saved.
+ * @param {object} [dbToUse=readDb] - db, readDb or an open transaction
+ */
+export async function getLoyaltyProgram(restaurantId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select()
+    .from(loyaltyPrograms)
+    .where(eq(loyaltyPrograms.restaurantId, restaurantId))
+    .limit(1);
+  return rows[0] ?? { restaurantId, ...PROGRAM_DEFAULTS };
+}
+
+/**
+ * Create or change the program. Omitted fields keep their current value.
+ * @param {{isEnabled?: boolean, earnRate?: number, pointValue?: number, minRedeemPoints?: number,
+ *   maxRedeemPercent?: number, expiryDays?: number|null, tiers?: Array<{name: string, minPoints: number, multiplier: number}>}} data
+ */
+export async function updateLoyaltyProgram(restaurantId, data) {
+  const values = {};
+  if (data.isEnabled !== undefined) values.isEnabled = data.isEnabled;
+  if (data.earnRate !== undefined) values.earnRate = String(data.earnRate);
+  if (data.pointValue !== undefined) values.pointValue = String(data.pointValue);
+  if (data.minRedeemPoints !== undefined) values.minRedeemPoints = data.minRedeemPoints;
+  if (data.maxRedeemPercent !== undefined) values.maxRedeemPercent = data.maxRedeemPercent;
+  if (data.expiryDays !== undefined) values.expiryDays = data.expiryDays;
+  if (data.tiers !== undefined) {
+    const names = data.tiers.map((t) => t.name.trim().toLowerCase());
+    if (new Set(names).size !== names.length) throw httpError("Tier names must be unique");
+    values.tiers = [...data.tiers].sort((a, b) => a.minPoints - b.minPoints);
+  }
+
+  const rows = await db
+    .insert(loyaltyPrograms)
+    .values({ restaurantId, ...values })
+    .onConflictDoUpdate({
+      target: loyaltyPrograms.restaurantId,
+      set: { ...values, updatedAt: new Date() },
+    })
+    .returning();
+  return rows[0];
+}
+
+/** Balance and lifetime points earned (net of reversed earnings) */
+async function pointTotals(customerId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select({
+      balance: sql`COALESCE(SUM(${loyaltyLedger.points}), 0)::int`,
+      lifetimePoints: sql`COALESCE(SUM(${loyaltyLedger.points}) FILTER (WHERE ${loyaltyLedger.entryType} IN ('EARN', 'EARN_REVERSAL')), 0)::int`,
+    })
+    .from(loyaltyLedger)
+    .where(eq(loyaltyLedger.customerId, customerId));
+  return rows[0];
+}
+
+/** Balance, tier and what the balance is worth */
+function accountSummary(program, { balance, lifetimePoints }) {
+  const { current, next } = tierFor(program, lifetimePoints);
+  return {
+    balance,
+    balanceValue: pointsValue(program, Math.max(0, balance)),
+    lifetimePoints,
+    tier: current,
+    nextTier: next ? { ...next, pointsToGo: next.minPoints - lifetimePoints } : null,
+  };
+}
+
+/**
+ * A guest's points, tier and ledger, newest entries first.
+ * @param {{limit?: number, offset?: number}} [options]
+ */
+export async function getLoyaltyAccount(restaurantId, customerId, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+  const customerRows = await readDb
+    .select({ id: customers.id })
+    .from(customers)
+    .where(and(eq(customers.restaurantId, restaurantId), eq(customers.id, customerId)))
+    .limit(1);
+  if (!customerRows[0]) throw httpError("Customer not found", 404);
+
+  const [program, totals, entries] = await Promise.all([
+    getLoyaltyProgram(restaurantId),
+    pointTotals(customerId),
+    readDb
+      .select()
+      .from(loyaltyLedger)
+      .where(eq(loyaltyLedger.customerId, customerId))
+      .orderBy(desc(loyaltyLedger.createdAt))
+      .limit(limit)
+      .offset(offset),
+  ]);
+  return { customerId, ...accountSummary(program, totals), entries };
+}
+
+/**
+ * Public balance check by phone. Only the numbers are returned, never the guest's details.
+ * @returns {Promise<object|null>} null when the program is off or the number is unknown
+ */
+export async function lookupLoyaltyBalance(restaurantId, phone) {
+  const program = await getLoyaltyProgram(restaurantId);
+  if (!program.isEnabled) return null;
+
+  const customerRows = await readDb
+    .select({ id: customers.id })
+    .from(customers)
+    .where(and(eq(customers.restaurantId, restaurantId), eq(customers.phone, normalizePhone(phone))))
+    .limit(1);
+  if (!customerRows[0]) return null;
+
+  const { balance, balanceValue, tier, nextTier } = accountSummary(program, await pointTotals(customerRows[0].id));
+  return {
+    balance,
+    balanceValue,
+    tier: tier?.name ?? null,
+    nextTier: nextTier ? { name: nextTier.name, pointsToGo: nextTier.pointsToGo } : null,
+  };
+}
+
+/**
+ * The public balance check, for guests who only know the restaurant's slug.
+ * @throws 404 if the slug is unknown or the restaurant is inactive
+ */
+export async function lookupLoyaltyBalanceBySlug(slug, phone) {
+  const rows = await readDb
+    .select({ id: restaurants.id })
+    .from(restaurants)
+    .where(and(eq(restaurants.slug, slug), eq(restaurants.isActive, true)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Restaurant not found", 404);
+  return lookupLoyaltyBalance(rows[0].id, phone);
+}
+
+/** Lock the guest's profile so concurrent redemptions can't spend the same points */
+async function lockCustomer(tx, customerId) {
+  await tx.select({ id: customers.id }).from(customers).where(eq(customers.id, customerId)).for("update");
+}
+
+/**
+ * Add or take away points by hand (goodwill, corrections). The balance can't go below zero.
+ * @param {{points: number, reason: string}} data - points is signed
+ * @param {object|null} actor - { id, type }
+ */
+export async function adjustPoints(restaurantId, customerId, { points, reason }, actor = null) {
+  if (!Number.isInteger(points) || points === 0) throw httpError("Points must be a whole number other than zero");
+
+  return await db.transaction(async (tx) => {
+    const customerRows = await tx
+      .select({ id: customers.id })
+      .from(customers)
+      .where(and(eq(customers.restaurantId, restaurantId), eq(customers.id, customerId)))
+      .limit(1)
+      .for("update");
+    if (!customerRows[0]) throw httpError("Customer not found", 404);
+
+    const { balance } = await pointTotals(customerId, tx);
+    if (balance + points < 0) throw httpError(`Only ${balance} points available to take away`);
+
+    const rows = await tx
+      .insert(loyaltyLedger)
+      .values({
+        restaurantId,
+        customerId,
+        entryType: "ADJUST",
+        points,
+        reason,
+        actorId: actor?.id ?? null,
+        actorType: actor?.type ?? null,
+      })
+      .returning();
+    return rows[0];
+  });
+}
+
+/**
+ * Credit points for a payment on an order that has a guest profile. Points paid with points
+ * earn nothing.
+ * @param {object} order - Order row
+ * @param {object} transaction - The PAYMENT transaction row
+ * @param {object} [dbToUse=db] - db or an open transaction
+ * @returns {Promise<object|null>} The EARN entry, if any points were earned
+ */
+export async function earnPointsForPayment(order, transaction, dbToUse = db) {
+  if (!order.customerId || transaction.paymentMethod === "LOYALTY") return null;
+
+  const program = await getLoyaltyProgram(order.restaurantId, dbToUse);
+  if (!program.isEnabled) return null;
+
+  const { lifetimePoints } = await pointTotals(order.customerId, dbToUse);
+  const points = pointsEarned(program, transaction.grandTotal, tierFor(program, lifetimePoints).current);
+  if (points <= 0) return null;
+
+  const rows = await dbToUse
+    .insert(loyaltyLedger)
+    .values({
+      restaurantId: order.restaurantId,
+      customerId: order.customerId,
+      entryType: "EARN",
+      points,
+      orderId: order.id,
+      transactionId: transaction.id,
+      reason: `Bill ${transaction.billNumber}`,
+    })
+    .returning();
+  return rows[0];
+}
+
+/**
+ * Spend a guest's points on an order, as a payment or a discount. Give either the points or the
+ * amount they should cover. Must run inside a transaction.
+ * @param {object} tx - Open transaction
+ * @param {object} order - Order row
+ * @param {{points?: number, amount?: number|string, transactionId?: string, orderDiscountId?: string}} redemption
+ * @param {object|null} [actor] - { id, type }
+ * @returns {Promise<{entry: object, points: number, amount: string}>}
+ */
+export async function redeemPoints(tx, order, redemption, actor = null) {
+  if (!order.customerId) throw httpError("Add the guest's phone number to use loyalty points");
+
+  const program = await getLoyaltyProgram(order.restaurantId, tx);
+  const points = redemption.points ?? pointsForAmount(program, redemption.amount);
+  const amount = redemption.amount != null ? Number(redemption.amount).toFixed(2) : pointsValue(program, points);
+
+  await lockCustomer(tx, order.customerId);
+  const { balance } = await pointTotals(order.customerId, tx);
+
+  // Earlier redemptions on the order count towards the bill's redeemable share
+  const redeemedRows = await tx
+    .select({ points: sql`COALESCE(-SUM(${loyaltyLedger.points}), 0)::int` })
+    .from(loyaltyLedger)
+    .where(
+      and(eq(loyaltyLedger.orderId, order.id), inArray(loyaltyLedger.entryType, ["REDEEM", "REDEEM_REVERSAL"]))
+    );
+  const redeemedBefore = Number(pointsValue(program, redeemedRows[0]?.points ?? 0));
+  const billTotal = Number(order.subtotalAmount) + Number(order.gstAmount) + Number(order.serviceTaxAmount);
+
+  const blocked = redemptionBlockedReason(program, points, balance, redeemedBefore + Number(amount), billTotal);
+  if (blocked) throw httpError(blocked);
+
+  const rows = await tx
+    .insert(loyaltyLedger)
+    .values({
+      restaurantId: order.restaurantId,
+      customerId: order.customerId,
+      entryType: "REDEEM",
+      points: -points,
+      orderId: order.id,
+      transactionId: redemption.transactionId ?? null,
+      orderDiscountId: redemption.orderDiscountId ?? null,
+      reason: redemption.orderDiscountId ? "Redeemed as a discount" : "Redeemed as payment",
+      actorId: actor?.id ?? null,
+      actorType: actor?.type ?? null,
+    })
+    .returning();
+  return { entry: rows[0], points, amount };
+}
+
+/**
+ * Undo earnings and redemptions: earned points are taken back and spent points returned.
+ * Only what hasn't been reversed already is touched, so this is safe to call more than once.
+ * @param {{orderId?: string, transactionId?: string, orderDiscountId?: string}} filter - Which entries
+ * @param {object} [options]
+ * @param {number} [options.fraction=1] - Share to reverse, for partial refunds
+ * @param {string} [options.reason]
+ * @param {object} [dbToUse=db] - db or an open transaction
+ * @returns {Promise<Array>} The reversal entries written
+ */
+export async function reverseLoyaltyEntries(restaurantId, filter, options = {}, dbToUse = db) {
+  const { fraction = 1, reason = null } = options;
+  const conditions = [
+    eq(loyaltyLedger.restaurantId, restaurantId),
+    inArray(loyaltyLedger.entryType, ["EARN", "REDEEM"]),
+  ];
+  if (filter.orderId) conditions.push(eq(loyaltyLedger.orderId, filter.orderId));
+  if (filter.transactionId) conditions.push(eq(loyaltyLedger.transactionId, filter.transactionId));
+  if (filter.orderDiscountId) conditions.push(eq(loyaltyLedger.orderDiscountId, filter.orderDiscountId));
+
+  const entries = await dbToUse
+    .select({
+      entry: loyaltyLedger,
+      // Outer column spelled out: drizzle renders ${loyaltyLedger.id} here as a bare "id", which binds to r.id
+      reversed: sql`(SELECT COALESCE(SUM(r.points), 0)::int FROM loyalty_ledger r WHERE r.reverses_entry_id = "loyalty_ledger"."id")`,
+    })
+    .from(loyaltyLedger)
+    .where(and(...conditions));
+
+  const reversals = [];
+  for (const { entry, reversed } of entries) {
+    // Earnings are positive and their reversals negative (and the other way round for redemptions)
+    const remaining = Math.abs(entry.points + reversed);
+    const points = Math.min(remaining, Math.round(Math.abs(entry.points) * fraction));
+    if (points <= 0) continue;
+
+    reversals.push({
+      restaurantId,
+      customerId: entry.customerId,
+      entryType: entry.entryType === "EARN" ? "EARN_REVERSAL" : "REDEEM_REVERSAL",
+      points: entry.points > 0 ? -points : points,
+      orderId: entry.orderId,
+      transactionId: entry.transactionId,
+      orderDiscountId: entry.orderDiscountId,
+      reversesEntryId: entry.id,
+      reason,
+    });
+  }
+  if (reversals.length === 0) return [];
+  return await dbToUse.insert(loyaltyLedger).values(reversals).returning();
+}
+
+/**
+ * Expire points older than each program's expiryDays. Spending uses the oldest points first,
+ * so only credits that nothing has been taken out of yet can expire.
+ * @returns {Promise<{customers: number, points: number}>}
+ */
+export async function runLoyaltyExpirySweep() {
+  const creditsBeforeCutoff = sql`COALESCE(SUM(${loyaltyLedger.points}) FILTER (
+    WHERE ${loyaltyLedger.points} > 0
+      AND ${loyaltyLedger.createdAt} < now() - make_interval(days => ${loyaltyPrograms.expiryDays})
+  ), 0)::int`;
+  const debits = sql`COALESCE(-SUM(${loyaltyLedger.points}) FILTER (WHERE ${loyaltyLedger.points} < 0), 0)::int`;
+
+  const due = await db
+    .select({
+      restaurantId: loyaltyLedger.restaurantId,
+      customerId: loyaltyLedger.customerId,
+      creditsBeforeCutoff,
+      debits,
+    })
+    .from(loyaltyLedger)
+    .innerJoin(loyaltyPrograms, eq(loyaltyPrograms.restaurantId, loyaltyLedger.restaurantId))
+    .where(and(eq(loyaltyPrograms.isEnabled, true), sql`${loyaltyPrograms.expiryDays} IS NOT NULL`))
+    .groupBy(loyaltyLedger.restaurantId, loyaltyLedger.customerId, loyaltyPrograms.expiryDays)
+    .having(sql`${creditsBeforeCutoff} > ${debits}`)
+    .limit(1000);
+
+  const expiries = due.map((row) => ({
+    restaurantId: row.restaurantId,
+    customerId: row.customerId,
+    entryType: "EXPIRE",
+    points: -pointsToExpire(row.creditsBeforeCutoff, row.debits),
+    reason: "Points expired",
+  }));
+  if (expiries.length === 0) return { customers: 0, points: 0 };
+
+  await db.insert(loyaltyLedger).values(expiries);
+  return { customers: expiries.length, points: expiries.reduce((sum, e) => sum - e.points, 0) };
+}
+
+export function startLoyaltyExpiryJob() {
+  const INTERVAL_MS = 60 * 60 * 1000;
+  const LOCK_TTL_SECONDS = 55 * 60; // expires before the next tick
+  const LOCK_KEY = "job:loyalty-expiry:lock";
+
+  async function runSweep() {
+    try {
+      // Only one pod sweeps per tick
+      const { getRedisClient } = await import("../redis/client.js");
+      const redis = getRedisClient();
+      if (redis && redis.status === "ready") {
+        const acquired = await redis.set(LOCK_KEY, "1", "EX", LOCK_TTL_SECONDS, "NX");
+        if (!acquired) return;
+      }
+
+      const { customers: expired, points } = await runLoyaltyExpirySweep();
+      if (expired) console.log(`[Loyalty] Expired ${points} point(s) for ${expired} guest(s)`);
+    } catch (err) {
+      console.error("[Loyalty] Expiry sweep failed:", err);
+    }
+  }
+
+  runSweep();
+  setInterval(() => {
+    runSweep().catch((err) => console.error("[Loyalty] Unhandled error in expiry sweep:", err));
+  }, INTERVAL_MS);
+}
@@ -2,7 +2,8 @@ import express from "express";
 import { createPgPool } from "../db.js";
 import { env } from "../config/env.js";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import { 
@@ -47,7 +48,7 @@ router.post(
   "/:restaurantId/menu-card/upload-url",
   requireAuth,
     requireActiveSubscription,
-  requireRole("owner", "admin"),
+  requirePermission("menu.edit"),
   rateLimit({ keyPrefix: "menu:card:uploadUrl", windowSeconds: 60, max: 20 }),
   asyncHandler(async (req, res) => {
     const { restaurantId } = req.params;
@@ -90,7 +91,7 @@ router.post(
   "/:restaurantId/extract",
   requireAuth,
     requireActiveSubscription,
-  requireRole("owner", "admin"),
+  requirePermission("menu.edit"),
   rateLimit({ keyPrefix: "menu:extract", windowSeconds: 60, max: 10 }),
   asyncHandler(async (req, res) => {
     const { restaurantId } = req.params;
@@ -122,7 +123,7 @@ router.get(
   "/:restaurantId/extract/:jobId",
   requireAuth,
     requireActiveSubscription,
-  requireRole("owner", "admin"),
+  requirePermission("menu.edit"),
   asyncHandler(async (req, res) => {
     const { restaurantId, jobId } = req.params;
 
@@ -149,7 +150,7 @@ router.post(
   "/:restaurantId/extract/:jobId/confirm",
   requireAuth,
     requireActiveSubscription,
-  requireRole("owner", "admin"),
+  requirePermission("menu.edit"),
   rateLimit({ keyPrefix: "menu:extract:confirm", windowSeconds: 60, max: 10 }),
   asyncHandler(async (req, res) => {
     const { restaurantId, jobId } = req.params;
@@ -272,7 +273,7 @@ router.get(
   "/:restaurantId/extractions",
   requireAuth,
     requireActiveSubscription,
-  requireRole("owner", "admin"),
+  requirePermission("menu.edit"),
   asyncHandler(async (req, res) => {
     const { restaurantId } = req.params;
     const limit = parseInt(req.query.limit) || 10;
@@ -16,7 +16,8 @@ import {
 } from "./service.js";
 import { env } from "../config/env.js";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { z } from "zod";
 import { createPresignedUploadUrl, publicFileUrl } from "../media/s3.js";
@@ -24,6 +25,7 @@ import { v4 as uuidv4 } from "uuid";
 import { rateLimit } from "../middleware/rateLimit.js";
 import { getMenuForRestaurantWithCustomizations } from "../customization/service.js";
 import { pool } from "../dbClient.js";
+import { menuCacheTtl } from "./schedule-rules.js";
 
 export async function invalidateMenuCache(restaurantId) {
   const redis = getRedisClient();
@@ -51,6 +53,21 @@ export async function invalidateMenuCache(restaurantId) {
 
 const router = express.Router();
 
+// The menu's schedules or the restaurant's open/closed state, whichever changes first
+function menuChangesAt(menu) {
+  const changes = [menu.scheduleChangesAt, menu.restaurant?.openStatus?.changesAt].filter(Boolean);
+  return changes.length ? changes.reduce((a, b) => (new Date(a) <= new Date(b) ? a : b)) : null;
+}
+
+// The CDN must not serve a menu past its next schedule change either
+function edgeCacheControl(menu, maxAge, staleWhileRevalidate) {
+  const secondsLeft = menuCacheTtl(menuChangesAt(menu), maxAge + staleWhileRevalidate);
+  if (secondsLeft >= maxAge + staleWhileRevalidate) {
+    return `public, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`;
+  }
+  return `public, max-age=${Math.min(maxAge, secondsLeft)}`;
+}
+
 
 export function registerMenuRoutes(app) {
   // Public menu by restaurant slug (for /r/:slug) // REL-6 rate limit to prevent DDoS
@@ -67,7 +84,9 @@ export function registerMenuRoutes(app) {
       const redisClient = getRedisClient();
       // Include filter in cache key for proper cache separation
       const cacheKey = `menu:${slug}:${dietaryFilter || 'all'}`;
-      const ttlSeconds = env.menuCacheTtlSec;
+      // A cached menu mustn't outlive its next schedule change (breakfast ending, the bar opening)
+      // or the restaurant opening or closing
+      const ttlSeconds = (menu) => menuCacheTtl(menuChangesAt(menu), env.menuCacheTtlSec);
 
       const producer = async () => {
         const restaurant = await getRestaurantBySlug(slug);
@@ -88,14 +107,14 @@ export function registerMenuRoutes(app) {
         const data = await cacheGetOrSetJson(redisClient, cacheKey, ttlSeconds, producer);
         // PERF-3: Instruct CDN (CloudFlare) to edge-cache the response
         // Without these headers, CDN always forwards requests to origin even if data is in Redis
-        res.setHeader("Cache-Control", "public, max-age=60, stale-while-revalidate=300");
+        res.setHeader("Cache-Control", edgeCacheControl(data, 60, 300));
         res.setHeader("Vary", "Accept-Encoding");
         return res.json(data);
       }
 
       const data = await producer();
       // Even without Redis, set cache headers for CDN
-      res.setHeader("Cache-Control", "public, max-age=30, stale-while-revalidate=60");
+      res.setHeader("Cache-Control", edgeCacheControl(data, 30, 60));
       res.setHeader("Vary", "Accept-Encoding");
       return res.json(data);
     }),
@@ -106,7 +125,7 @@ export function registerMenuRoutes(app) {
     "/suggestions",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:suggestions", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const query = req.query.q || "";
@@ -122,6 +141,8 @@ export function registerMenuRoutes(app) {
   const categorySchema = z.object({
     name: z.string().min(1).max(150),
     sortOrder: z.number().int().optional(),
+    // Menu schedule the category is limited to; null for always
+    scheduleId: z.string().uuid().nullable().optional(),
   });
   const categoryUpdateSchema = categorySchema.partial().extend({
     isActive: z.boolean().optional(),
@@ -131,7 +152,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/categories",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:categories:create", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -152,7 +173,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/categories/:categoryId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:categories:update", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, categoryId } = req.params;
@@ -174,7 +195,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/categories/:categoryId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:categories:delete", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, categoryId } = req.params;
@@ -198,6 +219,10 @@ export function registerMenuRoutes(app) {
     isAvailable: z.boolean().optional(),
     dietaryTags: z.array(z.string()).optional(),
     sortOrder: z.number().int().optional(),
+    // Kitchen SLA in minutes; overdue tickets raise a realtime alert
+    targetPrepMinutes: z.number().int().min(1).max(240).nullable().optional(),
+    // Menu schedule the item is limited to, on top of its category's; null for always
+    scheduleId: z.string().uuid().nullable().optional(),
   });
   const menuItemUpdateSchema = menuItemSchema.partial();
   const availabilitySchema = z.object({
@@ -214,7 +239,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/items",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:items:create", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -235,7 +260,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/items/:itemId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:items:update", windowSeconds: 60, max: 240 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, itemId } = req.params;
@@ -257,7 +282,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/items/:itemId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:items:delete", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, itemId } = req.params;
@@ -276,7 +301,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/items/:itemId/availability",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:items:availability", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, itemId } = req.params;
@@ -299,7 +324,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/items/:itemId/image/upload-url",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:items:imageUploadUrl", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, itemId } = req.params;
@@ -337,7 +362,7 @@ export function registerMenuRoutes(app) {
     "/:restaurantId/items/:itemId/image",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("menu.edit"),
     rateLimit({ keyPrefix: "menu:items:imagePersist", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, itemId } = req.params;
@@ -0,0 +1,115 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { invalidateMenuCache } from "./routes.js";
+import { listSchedules, createSchedule, updateSchedule, deleteSchedule } from "./schedule-service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:MM (24-hour)");
+
+// Times are in the restaurant's timezone; a startTime after endTime runs past midnight
+const windowSchema = z
+  .object({
+    // 0 = Sunday; leave out or empty for every day
+    days: z.array(z.number().int().min(0).max(6)).max(7).optional(),
+    startTime: timeOfDay,
+    endTime: timeOfDay,
+  })
+  .refine((w) => w.startTime !== w.endTime, {
+    message: "startTime and endTime can't be the same",
+    path: ["endTime"],
+  });
+
+const scheduleSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  windows: z.array(windowSchema).min(1).max(20),
+});
+
+const updateScheduleSchema = scheduleSchema.partial();
+
+export function registerMenuScheduleRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/menu-schedules",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  router.get(
+    "/",
+    requirePermission("menu.edit"),
+    rateLimit({ keyPrefix: "menu-schedules:list", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const schedules = await listSchedules(req.params.restaurantId);
+      res.json({ schedules });
+    })
+  );
+
+  router.post(
+    "/",
+    requirePermission("menu.edit"),
+    rateLimit({ keyPrefix: "menu-schedules:create", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = scheduleSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid menu schedule",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const schedule = await createSchedule(req.params.restaurantId, parsed.data);
+        res.status(201).json({ schedule });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to create menu schedule" });
+      }
+    })
+  );
+
+  router.put(
+    "/:scheduleId",
+    requirePermission("menu.edit"),
+    rateLimit({ keyPrefix: "menu-schedules:update", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateScheduleSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid menu schedule",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const schedule = await updateSchedule(req.params.restaurantId, req.params.scheduleId, parsed.data);
+        if (!schedule) return res.status(404).json({ message: "Menu schedule not found" });
+
+        // Categories and items on this schedule may have just come on or off the menu
+        await invalidateMenuCache(req.params.restaurantId);
+        res.json({ schedule });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update menu schedule" });
+      }
+    })
+  );
+
+  router.delete(
+    "/:scheduleId",
+    requirePermission("menu.edit"),
+    rateLimit({ keyPrefix: "menu-schedules:delete", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const schedule = await deleteSchedule(req.params.restaurantId, req.params.scheduleId);
+      if (!schedule) return res.status(404).json({ message: "Menu schedule not found" });
+
+      await invalidateMenuCache(req.params.restaurantId);
+      res.status(204).send();
+    })
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * Menu schedule rules — whether a schedule is open at a given moment and when that next changes.
+ *
+ * Pure (no DB access) so the public menu, its cache and order validation all agree on what is on
+ * the menu. A schedule's windows are { days, startTime, endTime } in the restaurant's local time;
+ * days are 0 (Sunday) to 6 and a startTime after endTime runs past midnight into the next day.
+ */
+
+import { WEEKDAYS, toMinutes, localClock } from "../time.js";
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/** Each window as [start, start + length) spans in minutes since Sunday 00:00, one per day it runs */
+function weeklySpans(schedule) {
+  const spans = [];
+  for (const window of schedule.windows || []) {
+    const start = toMinutes(window.startTime);
+    // Equal start and end times mean all day
+    const length = (toMinutes(window.endTime) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+    const days = Array.isArray(window.days) && window.days.length > 0 ? window.days : ALL_DAYS;
+    for (const day of days) spans.push({ start: day * MINUTES_PER_DAY + start, length });
+  }
+  return spans;
+}
+
+const sinceSpanStart = (minuteOfWeek, span) =>
+  (((minuteOfWeek - span.start) % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+
+/**
+ * The restaurant's timezone from restaurants.settings.timezone, falling back to the default
+ * when it isn't set or isn't a zone Intl knows.
+ */
+export function restaurantTimeZone(settings) {
+  const timeZone = settings?.timezone;
+  if (!timeZone) return TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return timeZone;
+  } catch {
+    return TIMEZONE;
+  }
+}
+
+/**
+ * Whether anything on this schedule is on the menu at `at`.
+ * @param {{windows: Array<{days?: number[], startTime: string, endTime: string}>}} schedule
+ * @param {Date} [at=new Date()]
+ * @param {string} [timeZone]
+ */
+export function isScheduleOpen(schedule, at = new Date(), timeZone = TIMEZONE) {
+  const { weekday, minutes } = localClock(at, timeZone);
+  const now = weekday * MINUTES_PER_DAY + minutes;
+  return weeklySpans(schedule).some((span) => sinceSpanStart(now, span) < span.length);
+}
+
+/**
+ * When the next window of any of these schedules opens or closes, or null if none has windows.
+ * Counted in local wall-clock minutes, so it can be an hour out across a DST change.
+ * @param {Array} schedules
+ * @param {Date} [at=new Date()]
+ * @param {string} [timeZone]
+ * @returns {Date|null}
+ */
+export function nextScheduleChange(schedules, at = new Date(), timeZone = TIMEZONE) {
+  const { weekday, minutes } = localClock(at, timeZone);
+  const now = weekday * MINUTES_PER_DAY + minutes;
+
+  let soonest = null;
+  for (const span of schedules.flatMap(weeklySpans)) {
+    const elapsed = sinceSpanStart(now, span);
+    // Minutes until this span closes if it's open now, otherwise until it next opens
+    const next = elapsed < span.length ? span.length - elapsed : MINUTES_PER_WEEK - elapsed;
+    if (soonest === null || next < soonest) soonest = next;
+  }
+  if (soonest === null) return null;
+
+  // Boundaries fall on the minute; take off how far into the current minute we are
+  const intoMinute = at.getTime() % 60_000;
+  return new Date(at.getTime() + soonest * 60_000 - intoMinute);
+}
+
+/** A schedule's windows for people, e.g. "Mon, Tue, Wed 07:00-11:30; daily 18:00-23:00" */
+export function describeSchedule(schedule) {
+  return (schedule.windows || [])
+    .map((window) => {
+      const days = Array.isArray(window.days) && window.days.length > 0 && window.days.length < 7
+        ? [...window.days].sort((a, b) => a - b).map((d) => WEEKDAYS[d]).join(", ")
+        : "daily";
+      return `${days} ${window.startTime}-${window.endTime}`;
+    })
+    .join("; ");
+}
+
+/**
+ * How long a menu built now can be cached: the usual TTL, cut short so it never outlives the
+ * next schedule change.
+ * @param {string|Date|null} changesAt - From nextScheduleChange
+ * @param {number} maxSeconds
+ * @param {Date} [now=new Date()]
+ */
+export function menuCacheTtl(changesAt, maxSeconds, now = new Date()) {
+  if (!changesAt) return maxSeconds;
+  const secondsLeft = Math.floor((new Date(changesAt).getTime() - now.getTime()) / 1000);
+  return Math.max(1, Math.min(maxSeconds, secondsLeft));
+}
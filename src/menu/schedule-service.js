@@ -0,0 +1,156 @@
+import { eq, and, asc, sql, inArray } from "drizzle-orm";
+import { menuSchedules, menuCategories, menuItems, restaurants } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import {
+  restaurantTimeZone,
+  isScheduleOpen,
+  nextScheduleChange,
+  describeSchedule,
+} from "./schedule-rules.js";
+import { httpError } from "../httpError.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+/**
+ * A restaurant's schedules by id, and its timezone.
+ * @private
+ */
+async function loadScheduleContext(restaurantId, dbToUse = readDb) {
+  const schedules = await dbToUse.select().from(menuSchedules).where(eq(menuSchedules.restaurantId, restaurantId));
+  const restaurantRows = schedules.length
+    ? await dbToUse
+        .select({ settings: restaurants.settings })
+        .from(restaurants)
+        .where(eq(restaurants.id, restaurantId))
+        .limit(1)
+    : [];
+  return {
+    schedules: new Map(schedules.map((s) => [s.id, s])),
+    timeZone: restaurantTimeZone(restaurantRows[0]?.settings),
+  };
+}
+
+/** A restaurant's menu schedules with how many categories and items use each */
+export async function listSchedules(restaurantId) {
+  return await readDb
+    .select({
+      schedule: menuSchedules,
+      // Written as "menu_schedules"."id" because drizzle leaves ${menuSchedules.id} unqualified in a
+      // one-table select, and inside these subqueries a bare "id" means the category's or item's own id
+      categoryCount: sql`(SELECT COUNT(*)::int FROM menu_categories c WHERE c.schedule_id = "menu_schedules"."id")`,
+      itemCount: sql`(SELECT COUNT(*)::int FROM menu_items i WHERE i.schedule_id = "menu_schedules"."id")`,
+    })
+    .from(menuSchedules)
+    .where(eq(menuSchedules.restaurantId, restaurantId))
+    .orderBy(asc(menuSchedules.name))
+    .then((rows) => rows.map((r) => ({ ...r.schedule, categoryCount: r.categoryCount, itemCount: r.itemCount })));
+}
+
+export async function createSchedule(restaurantId, data) {
+  try {
+    const rows = await db
+      .insert(menuSchedules)
+      .values({ restaurantId, name: data.name, windows: data.windows })
+      .returning();
+    return rows[0];
+  } catch (err) {
+    if (isUniqueViolation(err)) throw httpError(`A menu schedule called ${data.name} already exists`, 409);
+    throw err;
+  }
+}
+
+export async function updateSchedule(restaurantId, scheduleId, data) {
+  const values = { updatedAt: new Date() };
+  if (data.name !== undefined) values.name = data.name;
+  if (data.windows !== undefined) values.windows = data.windows;
+  try {
+    const rows = await db
+      .update(menuSchedules)
+      .set(values)
+      .where(and(eq(menuSchedules.restaurantId, restaurantId), eq(menuSchedules.id, scheduleId)))
+      .returning();
+    return rows[0] || null;
+  } catch (err) {
+    if (isUniqueViolation(err)) throw httpError(`A menu schedule called ${data.name} already exists`, 409);
+    throw err;
+  }
+}
+
+/** Categories and items on the schedule go back to being always on the menu */
+export async function deleteSchedule(restaurantId, scheduleId) {
+  const rows = await db
+    .delete(menuSchedules)
+    .where(and(eq(menuSchedules.restaurantId, restaurantId), eq(menuSchedules.id, scheduleId)))
+    .returning();
+  return rows[0] || null;
+}
+
+/** Refuse schedules from another restaurant before attaching one to a category or item */
+export async function assertScheduleInRestaurant(restaurantId, scheduleId) {
+  if (!scheduleId) return;
+  const rows = await readDb
+    .select({ id: menuSchedules.id })
+    .from(menuSchedules)
+    .where(and(eq(menuSchedules.restaurantId, restaurantId), eq(menuSchedules.id, scheduleId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Menu schedule not found", 404);
+}
+
+/**
+ * Drop categories and items that are outside their schedule's windows right now. Items in a hidden
+ * category are hidden with it.
+ * @param {{categories: Array<{id, scheduleId}>, items: Array<{categoryId, scheduleId}>}} menu
+ * @param {Date} [at=new Date()]
+ * @returns {Promise<{categories: Array, items: Array, scheduleChangesAt: string|null}>}
+ *   scheduleChangesAt is when the result next changes, for caching
+ */
+export async function applyMenuSchedules(restaurantId, menu, at = new Date()) {
+  const { schedules, timeZone } = await loadScheduleContext(restaurantId);
+  if (schedules.size === 0) {
+    return { categories: menu.categories, items: menu.items, scheduleChangesAt: null };
+  }
+
+  const isOpen = (scheduleId) => {
+    const schedule = scheduleId && schedules.get(scheduleId);
+    return !schedule || isScheduleOpen(schedule, at, timeZone);
+  };
+  const hiddenCategoryIds = new Set(
+    menu.categories.filter((category) => !isOpen(category.scheduleId)).map((category) => category.id)
+  );
+  const categories = menu.categories.filter((category) => !hiddenCategoryIds.has(category.id));
+  const items = menu.items.filter((item) => !hiddenCategoryIds.has(item.categoryId) && isOpen(item.scheduleId));
+
+  const changesAt = nextScheduleChange([...schedules.values()], at, timeZone);
+  return { categories, items, scheduleChangesAt: changesAt ? changesAt.toISOString() : null };
+}
+
+/**
+ * Refuse menu items that are outside their own or their category's schedule.
+ * @param {string[]} menuItemIds
+ * @param {{at?: Date, dbToUse?: object}} [options]
+ */
+export async function assertItemsOnSchedule(restaurantId, menuItemIds, options = {}) {
+  const { at = new Date(), dbToUse = readDb } = options;
+  if (!menuItemIds.length) return;
+
+  const { schedules, timeZone } = await loadScheduleContext(restaurantId, dbToUse);
+  if (schedules.size === 0) return;
+
+  const rows = await dbToUse
+    .select({
+      name: menuItems.name,
+      scheduleId: menuItems.scheduleId,
+      categoryScheduleId: menuCategories.scheduleId,
+    })
+    .from(menuItems)
+    .innerJoin(menuCategories, eq(menuCategories.id, menuItems.categoryId))
+    .where(and(eq(menuItems.restaurantId, restaurantId), inArray(menuItems.id, menuItemIds)));
+
+  for (const row of rows) {
+    for (const scheduleId of [row.categoryScheduleId, row.scheduleId]) {
+      const schedule = scheduleId && schedules.get(scheduleId);
+      if (schedule && !isScheduleOpen(schedule, at, timeZone)) {
+        throw httpError(`${row.name} is only available during ${schedule.name} (${describeSchedule(schedule)})`);
+      }
+    }
+  }
+}
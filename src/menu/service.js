@@ -1,4 +1,7 @@
 import { pool } from "../dbClient.js";
+import { queueItemSync } from "../aggregator/sync.js";
+import { applyMenuSchedules, assertScheduleInRestaurant } from "./schedule-service.js";
+import { openingStatus } from "../restaurant/hours.js";
 import { translate } from "@vitalets/google-translate-api";
 
 // Helper to generate translations — always returns fast English fallback
@@ -84,17 +87,26 @@ export async function getRestaurantBySlug(slug) {
             email,
             phone_number AS "phoneNumber",
             google_maps_link AS "googleMapsLink",
-            settings
+            settings,
+            business_hours AS "businessHours",
+            holidays,
+            orders_paused_at AS "ordersPausedAt",
+            orders_pause_reason AS "ordersPauseReason"
      FROM restaurants
      WHERE slug = $1 AND is_active = true`,
     [slug],
   );
-  return result.rows[0] || null;
+  const row = result.rows[0];
+  if (!row) return null;
+  // Guests see whether the restaurant is open, not when or by whom orders were paused
+  const { ordersPausedAt, ordersPauseReason, ...restaurant } = row;
+  return { ...restaurant, openStatus: openingStatus(row) };
 }
 
 export async function getMenuForRestaurant(restaurantId, dietaryFilter = null) {
   const categoriesResult = await pool.query(
-    `SELECT id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder"
+    `SELECT id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder",
+            schedule_id AS "scheduleId"
      FROM menu_categories
      WHERE restaurant_id = $1 AND is_active = true
      ORDER BY sort_order NULLS LAST, name ASC`,
@@ -113,7 +125,8 @@ export async function getMenuForRestaurant(restaurantId, dietaryFilter = null) {
             image_url AS "imageUrl",
             is_available AS "isAvailable",
             dietary_tags AS "dietaryTags",
-            sort_order AS "sortOrder"
+            sort_order AS "sortOrder",
+            schedule_id AS "scheduleId"
      FROM menu_items
      WHERE restaurant_id = $1 AND is_active = true
   `;
@@ -135,10 +148,11 @@ export async function getMenuForRestaurant(restaurantId, dietaryFilter = null) {
   
   const itemsResult = await pool.query(itemsQuery, queryParams);
 
-  return {
+  // Breakfast, bar and other scheduled sections only show during their windows
+  return await applyMenuSchedules(restaurantId, {
     categories: categoriesResult.rows,
     items: itemsResult.rows,
-  };
+  });
 }
 
 export async function setItemAvailability(restaurantId, itemId, isAvailable) {
@@ -149,11 +163,14 @@ export async function setItemAvailability(restaurantId, itemId, isAvailable) {
      RETURNING id, is_available AS "isAvailable"`,
     [isAvailable, restaurantId, itemId],
   );
-  return result.rows[0] || null;
+  const item = result.rows[0] || null;
+  if (item) await queueItemSync(restaurantId, item.id, { isAvailable: item.isAvailable });
+  return item;
 }
 
 export async function createCategory(restaurantId, data) {
-  const { name, sortOrder, nameTranslations } = data;
+  const { name, sortOrder, nameTranslations, scheduleId } = data;
+  await assertScheduleInRestaurant(restaurantId, scheduleId);
   
   // Use caller-provided translations, or English-only fallback (translations patched async below)
   const initialTranslations = nameTranslations && Object.keys(nameTranslations).length > 0
@@ -161,10 +178,11 @@ export async function createCategory(restaurantId, data) {
     : { en: name };
 
   const result = await pool.query(
-    `INSERT INTO menu_categories (restaurant_id, name, name_translations, sort_order, is_active)
-     VALUES ($1, $2, $3, $4, true)
-     RETURNING id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder", is_active AS "isActive"`,
-    [restaurantId, name, initialTranslations, sortOrder ?? null],
+    `INSERT INTO menu_categories (restaurant_id, name, name_translations, sort_order, schedule_id, is_active)
+     VALUES ($1, $2, $3, $4, $5, true)
+     RETURNING id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder",
+               schedule_id AS "scheduleId", is_active AS "isActive"`,
+    [restaurantId, name, initialTranslations, sortOrder ?? null, scheduleId ?? null],
   );
   const category = result.rows[0];
 
@@ -203,6 +221,11 @@ export async function updateCategory(restaurantId, categoryId, data) {
     fields.push(`is_active = $${idx++}`);
     values.push(data.isActive);
   }
+  if (data.scheduleId !== undefined) {
+    await assertScheduleInRestaurant(restaurantId, data.scheduleId);
+    fields.push(`schedule_id = $${idx++}`);
+    values.push(data.scheduleId);
+  }
 
   if (!fields.length) return null;
 
@@ -213,7 +236,8 @@ export async function updateCategory(restaurantId, categoryId, data) {
     `UPDATE menu_categories
      SET ${fields.join(", ")}, updated_at = now()
      WHERE restaurant_id = $${idx} AND id = $${idx + 1}
-     RETURNING id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder", is_active AS "isActive"`,
+     RETURNING id, name, name_translations AS "nameTranslations", sort_order AS "sortOrder",
+               schedule_id AS "scheduleId", is_active AS "isActive"`,
     values,
   );
   const updated = result.rows[0] || null;
@@ -279,7 +303,10 @@ export async function createMenuItem(restaurantId, data) {
     isAvailable = true,
     dietaryTags,
     sortOrder,
+    targetPrepMinutes,
+    scheduleId,
   } = data;
+  await assertScheduleInRestaurant(restaurantId, scheduleId);
 
   // Use English-only fallback immediately; translations patched async below
   const initialNameTranslations = nameTranslations && Object.keys(nameTranslations).length > 0
@@ -295,13 +322,14 @@ export async function createMenuItem(restaurantId, data) {
 
   const result = await pool.query(
     `INSERT INTO menu_items
-      (restaurant_id, category_id, name, name_translations, description, description_translations, price, image_url, is_available, dietary_tags, sort_order)
+      (restaurant_id, category_id, name, name_translations, description, description_translations, price, image_url, is_available, dietary_tags, sort_order, target_prep_minutes, schedule_id)
      VALUES
-      ($1,            $2,          $3,   $4,                $5,          $6,                       $7,    $8,        $9,           $10,          $11)
+      ($1,            $2,          $3,   $4,                $5,          $6,                       $7,    $8,        $9,           $10,          $11,        $12,                 $13)
      RETURNING id, category_id AS "categoryId", name, name_translations AS "nameTranslations", 
                description, description_translations AS "descriptionTranslations", price,
                image_url AS "imageUrl", is_available AS "isAvailable",
-               dietary_tags AS "dietaryTags", sort_order AS "sortOrder"`,
+               dietary_tags AS "dietaryTags", sort_order AS "sortOrder",
+               target_prep_minutes AS "targetPrepMinutes", schedule_id AS "scheduleId"`,
     [
       restaurantId,
       categoryId,
@@ -314,6 +342,8 @@ export async function createMenuItem(restaurantId, data) {
       isAvailable,
       dietaryTags || null,
       sortOrder ?? null,
+      targetPrepMinutes ?? null,
+      scheduleId ?? null,
     ],
   );
 
@@ -348,7 +378,10 @@ export async function updateMenuItem(restaurantId, itemId, data) {
     isAvailable: "is_available",
     dietaryTags: "dietary_tags",
     sortOrder: "sort_order",
+    targetPrepMinutes: "target_prep_minutes",
+    scheduleId: "schedule_id",
   };
+  if (data.scheduleId !== undefined) await assertScheduleInRestaurant(restaurantId, data.scheduleId);
 
   for (const [key, column] of Object.entries(map)) {
     if (data[key] !== undefined) {
@@ -380,7 +413,8 @@ export async function updateMenuItem(restaurantId, itemId, data) {
      RETURNING id, category_id AS "categoryId", name, name_translations AS "nameTranslations",
                description, description_translations AS "descriptionTranslations", price,
                image_url AS "imageUrl", is_available AS "isAvailable",
-               dietary_tags AS "dietaryTags", sort_order AS "sortOrder"`,
+               dietary_tags AS "dietaryTags", sort_order AS "sortOrder",
+               target_prep_minutes AS "targetPrepMinutes", schedule_id AS "scheduleId"`,
     values,
   );
   const updatedItem = result.rows[0] || null;
@@ -390,6 +424,14 @@ export async function updateMenuItem(restaurantId, itemId, data) {
     translateAndPatchAsync('menu_items', 'id', updatedItem.id, asyncFields);
   }
 
+  // Aggregator channels only hear about availability and price
+  if (updatedItem && (data.isAvailable !== undefined || data.price !== undefined)) {
+    await queueItemSync(restaurantId, updatedItem.id, {
+      ...(data.isAvailable !== undefined && { isAvailable: updatedItem.isAvailable }),
+      ...(data.price !== undefined && { price: updatedItem.price }),
+    });
+  }
+
   return updatedItem;
 }
 
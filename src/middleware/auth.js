@@ -64,3 +64,10 @@ export function requireRestaurantOwnership(req, res, next) {
 
   next();
 }
+
+/** Who is making the request, as { id, type } for audit trails and ledgers; null without a user */
+export function actorFromRequest(req) {
+  if (!req.user) return null;
+  if (req.user.isStaff) return { id: req.user.staffId || req.user.id, type: "staff" };
+  return { id: req.user.id, type: "user" };
+}
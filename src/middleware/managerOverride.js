@@ -0,0 +1,106 @@
+import { RateLimiterMemory, RateLimiterRedis } from "rate-limiter-flexible";
+import { asyncHandler } from "./asyncHandler.js";
+import { loadPermissions } from "./permissions.js";
+import { getRedisClient } from "../redis/client.js";
+import { PERMISSIONS } from "../permission/catalog.js";
+import { verifyManagerPasscode, recordManagerOverride } from "../permission/service.js";
+import { actorFromRequest } from "./auth.js";
+
+// Wrong manager passcodes allowed per requester before overrides are locked for a while
+const MAX_FAILED_OVERRIDES = 5;
+const FAILED_OVERRIDE_WINDOW_SECONDS = 15 * 60;
+
+const memoryFailures = new RateLimiterMemory({
+  keyPrefix: "override:fail",
+  points: MAX_FAILED_OVERRIDES,
+  duration: FAILED_OVERRIDE_WINDOW_SECONDS,
+});
+let redisFailures = null;
+
+function failureLimiter() {
+  const redis = getRedisClient();
+  if (redis && redis.status === "ready") {
+    redisFailures ??= new RateLimiterRedis({
+      storeClient: redis,
+      keyPrefix: "rlflx:override:fail",
+      points: MAX_FAILED_OVERRIDES,
+      duration: FAILED_OVERRIDE_WINDOW_SECONDS,
+    });
+    return redisFailures;
+  }
+  return memoryFailures;
+}
+
+/** Manager credentials sent with the retried request */
+function overrideCredentials(req) {
+  const staffCode = req.headers["x-manager-code"];
+  const passcode = req.headers["x-manager-passcode"];
+  return staffCode && passcode ? { staffCode, passcode } : null;
+}
+
+/**
+ * Gate an action on a permission, letting a manager approve it on the spot. Without the
+ * permission the call answers 403 with a challenge; the client retries it with the manager's
+ * staff code and passcode in the X-Manager-Code / X-Manager-Passcode headers. On success
+ * req.managerOverride holds { permission, approver } and the approval is logged once the action
+ * succeeds. Use AFTER requireAuth, on routes with a :restaurantId param.
+ * @param {string} permission - From src/permission/catalog.js
+ * @param {object} [options]
+ * @param {(req) => boolean|Promise<boolean>} [options.when] - Only restrict the call when this is
+ *   true (e.g. the item was already sent to the kitchen)
+ * @param {boolean} [options.optional=false] - Never challenge; just verify credentials if sent.
+ *   For actions that fall back to another approval path on their own
+ */
+export function requireManagerOverride(permission, options = {}) {
+  const { when = null, optional = false } = options;
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: "Unauthorized" });
+    if ((await loadPermissions(req)).has(permission)) return next();
+    if (when && !(await when(req))) return next();
+
+    const credentials = overrideCredentials(req);
+    if (!credentials) {
+      if (optional) return next();
+      return res.status(403).json({
+        message: "Manager approval required",
+        code: "MANAGER_OVERRIDE_REQUIRED",
+        challenge: { permission, description: PERMISSIONS[permission] },
+      });
+    }
+
+    const { restaurantId } = req.params;
+    const requester = actorFromRequest(req);
+    const limiter = failureLimiter();
+    const failureKey = `${restaurantId}:${requester.id}`;
+
+    const failures = await limiter.get(failureKey);
+    if (failures && failures.consumedPoints >= MAX_FAILED_OVERRIDES) {
+      return res.status(429).json({ message: "Too many wrong manager passcodes; try again later" });
+    }
+
+    let approver;
+    try {
+      approver = await verifyManagerPasscode(restaurantId, credentials, permission);
+    } catch (error) {
+      if (error.status !== 403) throw error;
+      await limiter.consume(failureKey).catch(() => {});
+      return res.status(403).json({ message: error.message, code: "MANAGER_OVERRIDE_REJECTED" });
+    }
+
+    req.managerOverride = { permission, approver };
+    // The route pattern, not the ids in it
+    const action = `${req.method} ${req.baseUrl.replace(restaurantId, ":restaurantId")}${req.route?.path ?? req.path}`;
+    res.on("finish", () => {
+      if (res.statusCode >= 400) return;
+      recordManagerOverride(restaurantId, {
+        permission,
+        action,
+        orderId: req.params.orderId ?? null,
+        requester,
+        approver,
+      }).catch((error) => console.error("Failed to record manager override:", error));
+    });
+    return next();
+  });
+}
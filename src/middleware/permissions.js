@@ -0,0 +1,35 @@
+import { asyncHandler } from "./asyncHandler.js";
+import { getUserPermissions } from "../permission/service.js";
+
+/**
+ * The signed-in user's permissions, looked up once per request.
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadPermissions(req) {
+  if (!req.permissions) {
+    req.permissions = new Set(await getUserPermissions(req.user));
+  }
+  return req.permissions;
+}
+
+/**
+ * Allow the request if the user holds ANY of the named permissions (see src/permission/catalog.js).
+ * Use AFTER requireAuth.
+ */
+export function requirePermission(...permissions) {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: "Unauthorized" });
+    const held = await loadPermissions(req);
+    if (!permissions.some((p) => held.has(p))) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    return next();
+  });
+}
+
+/**
+ * Whether the user holds a permission. Only valid after requirePermission has run on the route.
+ */
+export function hasPermission(req, permission) {
+  return req.permissions?.has(permission) ?? false;
+}
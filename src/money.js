@@ -0,0 +1,8 @@
+// Amounts are numeric strings with two decimals; do arithmetic on them in integer paise so
+// shares, refunds and totals add back up exactly.
+
+/** Rupees (number or numeric string) to integer paise */
+export const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/** Integer paise back to a two-decimal string */
+export const fromCents = (cents) => (cents / 100).toFixed(2);
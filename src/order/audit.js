@@ -0,0 +1,154 @@
+/**
+ * Order audit trail — one append-only row per change to an order's items, prices, discounts or
+ * payments, with who made it and why. Services record a change right after making it; rows are
+ * never edited. Kept free of service imports so the order, promotion and transaction services
+ * can all use it.
+ */
+import { and, eq, desc, gte, lt, sql } from "drizzle-orm";
+import { orderAuditLog } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+
+export const ORDER_AUDIT_ACTIONS = [
+  "ORDER_CREATED",
+  "ITEMS_ADDED",
+  "ITEM_VOIDED",
+  "ITEMS_TRANSFERRED",
+  "ORDER_TRANSFERRED",
+  "GUEST_ITEMS_APPROVED",
+  "GUEST_ITEMS_REJECTED",
+  "ORDER_UPDATED",
+  "SERVICE_CHARGE_REMOVED",
+  "DELIVERY_FEE_CHANGED",
+  "DISCOUNT_APPLIED",
+  "DISCOUNT_REQUESTED",
+  "DISCOUNT_APPROVED",
+  "DISCOUNT_REJECTED",
+  "DISCOUNT_REMOVED",
+  "PAYMENT_STATUS_CHANGED",
+  "PAYMENT_RECORDED",
+  "PAYMENT_REFUNDED",
+  "PAYMENT_VOIDED",
+  "ORDER_CANCELLED",
+  "ORDER_CLOSED",
+];
+
+// Order columns that carry money (or whether it is still owed)
+const ORDER_AUDIT_FIELDS = [
+  "status",
+  "paymentStatus",
+  "subtotalAmount",
+  "gstAmount",
+  "serviceTaxAmount",
+  "deliveryFee",
+  "discountAmount",
+  "totalAmount",
+  "paid_amount",
+  "isClosed",
+  "tableId",
+];
+
+/**
+ * The audited fields of an order row.
+ * @param {object|null} order
+ */
+export function orderAuditSnapshot(order) {
+  if (!order) return {};
+  return Object.fromEntries(ORDER_AUDIT_FIELDS.filter((f) => order[f] !== undefined).map((f) => [f, order[f]]));
+}
+
+/**
+ * What an order item looked like, for item entries.
+ * @param {object|null} item
+ */
+export function itemAuditSnapshot(item) {
+  if (!item) return null;
+  return {
+    id: item.id,
+    itemName: item.itemName,
+    variantName: item.variantName ?? null,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    totalPrice: item.totalPrice,
+    status: item.status,
+  };
+}
+
+/**
+ * Keep only the keys whose value changed between two snapshots.
+ * @returns {{before: object, after: object}}
+ */
+export function diffAuditSnapshots(before = {}, after = {}) {
+  const diff = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key] ?? null) === JSON.stringify(after[key] ?? null)) continue;
+    diff.before[key] = before[key] ?? null;
+    diff.after[key] = after[key] ?? null;
+  }
+  return diff;
+}
+
+/**
+ * Append an entry to an order's audit trail. Only the fields that changed between `before` and
+ * `after` are stored.
+ * @param {string} restaurantId
+ * @param {string} orderId
+ * @param {object} entry - { action, orderItemId, before, after, reason }
+ * @param {object|null} actor - { id, type: 'user' | 'staff' }; null for system changes
+ * @param {object} [dbToUse=db] - db or an open transaction
+ */
+export async function recordOrderAudit(restaurantId, orderId, entry, actor = null, dbToUse = db) {
+  const { action, orderItemId = null, before = {}, after = {}, reason = null } = entry;
+  if (!ORDER_AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown order audit action ${action}`);
+  }
+
+  const diff = diffAuditSnapshots(before, after);
+  const rows = await dbToUse
+    .insert(orderAuditLog)
+    .values({
+      restaurantId,
+      orderId,
+      orderItemId,
+      action,
+      actorId: actor?.id ?? null,
+      actorType: actor?.type ?? null,
+      before: diff.before,
+      after: diff.after,
+      reason: reason?.trim() || null,
+    })
+    .returning();
+  return rows[0];
+}
+
+/**
+ * Audit entries, newest first, with the actor's name.
+ * @param {string} restaurantId
+ * @param {object} [filters] - { orderId, actorId, actorType, action, from, to, limit, offset }
+ */
+export async function listOrderAudit(restaurantId, filters = {}) {
+  const { orderId, actorId, actorType, action, from, to, limit = 100, offset = 0 } = filters;
+
+  const conditions = [eq(orderAuditLog.restaurantId, restaurantId)];
+  if (orderId) conditions.push(eq(orderAuditLog.orderId, orderId));
+  if (actorId) conditions.push(eq(orderAuditLog.actorId, actorId));
+  if (actorType) conditions.push(eq(orderAuditLog.actorType, actorType));
+  if (action) conditions.push(eq(orderAuditLog.action, action));
+  if (from) conditions.push(gte(orderAuditLog.createdAt, new Date(from)));
+  if (to) conditions.push(lt(orderAuditLog.createdAt, new Date(to)));
+
+  const entries = await readDb
+    .select({
+      entry: orderAuditLog,
+      actorName: sql`CASE ${orderAuditLog.actorType}
+        WHEN 'staff' THEN (SELECT s.full_name FROM staff s WHERE s.id = ${orderAuditLog.actorId})
+        WHEN 'user' THEN (SELECT u.full_name FROM users u WHERE u.id = ${orderAuditLog.actorId})
+      END`,
+    })
+    .from(orderAuditLog)
+    .where(and(...conditions))
+    .orderBy(desc(orderAuditLog.createdAt))
+    .limit(limit)
+    .offset(offset);
+
+  return entries.map(({ entry, actorName }) => ({ ...entry, actorName: actorName ?? null }));
+}
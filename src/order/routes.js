@@ -1,7 +1,9 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission, hasPermission } from "../middleware/permissions.js";
+import { requireManagerOverride } from "../middleware/managerOverride.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import {
@@ -22,12 +24,44 @@ import {
   listCancelledOrdersSummary,
   removeServiceChargeFromOrder,
   updateOrderItemStatus,
+  getGuestOrderingContext,
+  placeGuestOrder,
+  toGuestOrderView,
+  listPendingApprovalOrders,
+  approveGuestOrder,
+  rejectGuestOrder,
+  transferOrder,
+  transferOrderItems,
+  bumpStationItems,
+  fireOrderCourse,
+  isOrderItemSentToKitchen,
 } from "./service.js";
 
 import { assignWaiterToTable } from "../table/service.js";
+import { deliveryAddressSchema } from "../delivery/routes.js";
+import { previewSplit, recordSplitPayments, getSplitBreakdown } from "../transaction/service.js";
+import { applyPromotion, applyLoyaltyDiscount, requestManualDiscount, removeOrderDiscount } from "../promotion/service.js";
+import { DISCOUNT_TYPES } from "../promotion/rules.js";
+import { assertKitchenStation, getStaffKitchenStationId } from "../kitchen/service.js";
+import { listOrderAudit, ORDER_AUDIT_ACTIONS } from "./audit.js";
+import { listManagerOverrides } from "../permission/service.js";
 
 const router = express.Router({ mergeParams: true });
 
+/**
+ * The kitchen station a KDS request acts for: a staff member's assigned station always wins,
+ * otherwise the station picked via ?stationId (null = every station).
+ */
+async function resolveKitchenStation(req) {
+  if (req.user.isStaff) {
+    const assigned = await getStaffKitchenStationId(req.user.staffId || req.user.id);
+    if (assigned) return assigned;
+  }
+  const stationId = req.query.stationId || null;
+  if (stationId) await assertKitchenStation(req.params.restaurantId, stationId);
+  return stationId;
+}
+
 // Validation schemas
 const orderItemSchema = z.object({
   menuItemId: z.string().uuid(),
@@ -35,6 +69,9 @@ const orderItemSchema = z.object({
   notes: z.string().optional(),
   variantId: z.string().uuid().optional(),
   modifierIds: z.array(z.string().uuid()).optional(),
+  // Dine-in coursing: later courses are held until fired; hold keeps an item back explicitly
+  courseNumber: z.number().int().min(1).max(10).optional(),
+  hold: z.boolean().optional(),
 });
 
 const createOrderSchema = z.object({
@@ -49,10 +86,37 @@ const createOrderSchema = z.object({
   paymentStatus: z.enum(["PAID", "DUE", "PARTIALLY_PAID"]).optional().default("DUE"),
   // If true, service charge will not be applied for this order (dine-in only).
   waiveServiceCharge: z.boolean().optional().default(false),
+  // Where a DELIVERY order goes; the delivery fee is worked out from its coordinates
+  delivery: deliveryAddressSchema.optional(),
 });
 
 const updateOrderStatusSchema = z.object({
   status: z.enum(["PENDING", "PREPARING", "READY", "SERVED", "PAID", "CANCELLED"]),
+  // Why an item is voided (status CANCELLED); required once the order has payments
+  reason: z.string().trim().max(500).optional(),
+});
+
+const removeItemSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
+
+const auditQuerySchema = z.object({
+  actorId: z.string().optional(),
+  actorType: z.enum(["user", "staff"]).optional(),
+  action: z.enum(ORDER_AUDIT_ACTIONS).optional(),
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+});
+
+const overridesQuerySchema = z.object({
+  orderId: z.string().optional(),
+  approvedById: z.string().optional(),
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
 });
 
 const updateOrderSchema = z.object({
@@ -69,7 +133,7 @@ const addItemsSchema = z.object({
 });
 
 const listOrdersQuerySchema = z.object({
-  status: z.enum(["PENDING", "PREPARING", "SERVED", "PAID", "CANCELLED"]).optional(),
+  status: z.enum(["PENDING_APPROVAL", "PENDING", "PREPARING", "SERVED", "PAID", "CANCELLED"]).optional(),
   orderType: z.enum(["DINE_IN", "TAKEAWAY", "DELIVERY"]).optional(),
   tableId: z.string().uuid().optional(),
   fromDate: z.string().optional(),
@@ -87,7 +151,130 @@ const cancelOrderWithReasonSchema = z.object({
   reason: z.string().min(3, "Cancel reason must be at least 3 characters").max(500),
 });
 
+// Guest self-ordering from a table QR (`/r/:slug?table=…&tid=…&v=…`)
+const guestOrderSchema = z.object({
+  tid: z.string().uuid(),
+  // Missing on QR codes printed before versioning, which count as version 1
+  v: z.coerce.number().int().positive().optional(),
+  // Guests don't course their own orders
+  items: z.array(orderItemSchema.omit({ courseNumber: true, hold: true })).min(1, "Order must have at least one item").max(50),
+  guestName: z.string().max(150).optional(),
+  guestPhone: z
+    .string()
+    .max(20)
+    .regex(/^\+?[0-9]{10,15}$/, "Invalid phone number — must be 10–15 digits")
+    .optional()
+    .or(z.literal("").transform(() => undefined)),
+  notes: z.string().max(500).optional(),
+});
+
+const rejectGuestOrderSchema = z.object({
+  reason: z.string().min(3, "Reject reason must be at least 3 characters").max(500),
+});
+
+// Split bill: EQUAL needs `shares`, ITEMS needs `orderItemIds` per payer, CUSTOM needs `amount` per payer
+const splitPaymentSchema = z.object({
+  payerLabel: z.string().max(100).optional(),
+  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER", "LOYALTY"]),
+  paymentReference: z.string().max(100).optional(),
+  amount: z.number().positive().optional(),
+  orderItemIds: z.array(z.string().uuid()).min(1).max(100).optional(),
+});
+
+const splitBillSchema = z.object({
+  method: z.enum(["EQUAL", "ITEMS", "CUSTOM"]),
+  shares: z.number().int().min(2).max(50).optional(),
+  payments: z.array(splitPaymentSchema).min(1).max(50),
+});
+
+// Previews don't take money, so payment method is optional
+const previewSplitSchema = splitBillSchema.extend({
+  payments: z.array(splitPaymentSchema.partial({ paymentMethod: true })).min(1).max(50),
+});
+
+// A coupon code, or the id of a codeless promotion picked from the list
+const applyPromotionSchema = z
+  .object({
+    code: z.string().trim().min(1).max(40).optional(),
+    promotionId: z.string().min(1).optional(),
+  })
+  .refine((v) => Boolean(v.code) !== Boolean(v.promotionId), {
+    message: "Provide either a code or a promotionId",
+  });
+
+const loyaltyDiscountSchema = z.object({
+  points: z.number().int().positive(),
+});
+
+const manualDiscountSchema = z
+  .object({
+    discountType: z.enum(DISCOUNT_TYPES),
+    // 0 clears the manual discount
+    value: z.number().min(0),
+    reason: z.string().min(3, "Discount reason must be at least 3 characters").max(500),
+  })
+  .refine((v) => v.discountType !== "PERCENTAGE" || v.value <= 100, {
+    message: "Percentage discounts can't exceed 100",
+    path: ["value"],
+  });
+
+// tableId may be any table of a merged group; the move lands on the group's primary
+const fireCourseSchema = z.object({
+  courseNumber: z.number().int().min(1).max(10).optional(),
+});
+
+const transferOrderSchema = z.object({
+  tableId: z.string().uuid(),
+});
+
+const transferItemsSchema = z.object({
+  orderItemIds: z.array(z.string().uuid()).min(1).max(100),
+  tableId: z.string().uuid(),
+});
+
+// Manual discounts from anyone without discount.approve wait for someone who has it
+const canApproveDiscounts = (req) => hasPermission(req, "discount.approve");
+
+/** { id, type } of the manager who approved this request by passcode, if one did */
+const overrideApprover = (req) => (req.managerOverride ? { id: req.managerOverride.approver.id, type: "staff" } : null);
+
+// Staff without order.view_all only see the orders they placed
+const canViewAllOrders = (req) => hasPermission(req, "order.view_all");
+
 export function registerOrderRoutes(app) {
+  // Public guest ordering (no auth required) — order lands in PENDING_APPROVAL for staff
+  app.post(
+    "/api/orders/public/:slug",
+    rateLimit({ keyPrefix: "orders:guest:public", windowSeconds: 60, max: 10 }),
+    asyncHandler(async (req, res) => {
+      const { slug } = req.params;
+      const parsed = guestOrderSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid order data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const { tid, v, ...orderData } = parsed.data;
+        const { restaurantId, tableId } = await getGuestOrderingContext(slug, tid, v);
+        const order = await placeGuestOrder(restaurantId, tableId, orderData);
+
+        res.status(201).json({
+          order: toGuestOrderView(order),
+          message: "Order sent to staff for confirmation",
+        });
+      } catch (error) {
+        console.error("Guest order error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to place order",
+        });
+      }
+    })
+  );
+
   app.use(
     "/api/restaurants/:restaurantId/orders",
     requireAuth,
@@ -99,7 +286,8 @@ export function registerOrderRoutes(app) {
   // Create new order
   router.post(
     "/",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("order.create"),
+    requireManagerOverride("service_charge.waive", { when: (req) => req.body?.waiveServiceCharge === true }),
     rateLimit({ keyPrefix: "orders:create", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -132,7 +320,7 @@ export function registerOrderRoutes(app) {
         // console.log("============================");
         
         const { assignedWaiterId, ...orderData } = parsed.data;
-        const { order, newItems } = await createOrder(restaurantId, orderData, placedByStaffId);
+        const { order, newItems } = await createOrder(restaurantId, orderData, placedByStaffId, actorFromRequest(req));
         
         // If a waiter was selected for this order (admin placing order, or waiter placing on their own),
         // mirror that assignment onto the table so Floor Map shows the waiter name.
@@ -159,7 +347,7 @@ export function registerOrderRoutes(app) {
   // Lightweight cancelled orders summary (fast list)
   router.get(
     "/cancelled/summary",
-    requireRole("owner", "admin", "platform_admin", "WAITER", "KITCHEN"),
+    requirePermission("order.view"),
     rateLimit({ keyPrefix: "orders:cancelled:summary", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -183,10 +371,10 @@ export function registerOrderRoutes(app) {
 
       const filters = { ...parsed.data };
 
-      // Keep waiter visibility consistent with listOrders
-      if (req.user?.role === "WAITER" && req.user?.staffId) {
+      // Keep visibility consistent with listOrders
+      if (!canViewAllOrders(req) && req.user?.staffId) {
         filters.placedByStaffId = req.user.staffId;
-      } else if (req.user?.role === "WAITER") {
+      } else if (!canViewAllOrders(req)) {
         return res.json({
           orders: [],
           pagination: {
@@ -223,10 +411,22 @@ export function registerOrderRoutes(app) {
     })
   );
 
+  // Guest QR orders waiting for staff confirmation (visible to every waiter, not just the placer)
+  router.get(
+    "/pending-approval",
+    requirePermission("order.approve"),
+    rateLimit({ keyPrefix: "orders:pending-approval", windowSeconds: 60, max: 300 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const orders = await listPendingApprovalOrders(restaurantId);
+      res.json({ orders });
+    })
+  );
+
   // List orders with filters and pagination
   router.get(
     "/",
-    requireRole("owner", "admin", "platform_admin", "WAITER", "KITCHEN"),
+    requirePermission("order.view"),
     rateLimit({ keyPrefix: "orders:list", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -240,10 +440,10 @@ export function registerOrderRoutes(app) {
       }
 
       const filters = { ...parsed.data };
-      if (req.user?.role === "WAITER" && req.user?.staffId) {
+      if (!canViewAllOrders(req) && req.user?.staffId) {
         filters.placedByStaffId = req.user.staffId;
         filters.excludePaid = true;
-      } else if (req.user?.role === "WAITER") {
+      } else if (!canViewAllOrders(req)) {
         return res.json({ 
           orders: [],
           pagination: {
@@ -283,7 +483,7 @@ export function registerOrderRoutes(app) {
   // Get specific order
   router.get(
     "/:orderId",
-    requireRole("owner", "admin", "platform_admin", "WAITER", "KITCHEN"),
+    requirePermission("order.view"),
     rateLimit({ keyPrefix: "orders:get", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -300,7 +500,7 @@ export function registerOrderRoutes(app) {
   // Update order status
   router.patch(
     "/:orderId/status",
-    requireRole("owner", "admin", "platform_admin", "WAITER", "KITCHEN"),
+    requirePermission("order.status"),
     rateLimit({ keyPrefix: "orders:status", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -316,7 +516,8 @@ export function registerOrderRoutes(app) {
       const order = await updateOrderStatus(
         restaurantId,
         orderId,
-        parsed.data.status
+        parsed.data.status,
+        actorFromRequest(req)
       );
 
       if (!order) {
@@ -330,7 +531,7 @@ export function registerOrderRoutes(app) {
   // Update order ITEM status
   router.patch(
     "/:orderId/items/:orderItemId/status",
-    requireRole("owner", "admin", "platform_admin", "WAITER", "KITCHEN"),
+    requirePermission("order.status"),
     rateLimit({ keyPrefix: "orders:item-status", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId, orderItemId } = req.params;
@@ -343,25 +544,31 @@ export function registerOrderRoutes(app) {
         });
       }
 
-      const updatedItem = await updateOrderItemStatus(
-        restaurantId,
-        orderId,
-        orderItemId,
-        parsed.data.status
-      );
+      try {
+        const stationId = await resolveKitchenStation(req);
+        const updatedItem = await updateOrderItemStatus(
+          restaurantId,
+          orderId,
+          orderItemId,
+          parsed.data.status,
+          { stationId, reason: parsed.data.reason, actor: actorFromRequest(req) }
+        );
 
-      if (!updatedItem) {
-        return res.status(404).json({ message: "Order item not found" });
-      }
+        if (!updatedItem) {
+          return res.status(404).json({ message: "Order item not found" });
+        }
 
-      res.json({ item: updatedItem });
+        res.json({ item: updatedItem });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update item status" });
+      }
     })
   );
 
   // Bulk update multiple order ITEM statuses (admin direct-serve)
   router.patch(
     "/:orderId/items/status-bulk",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("kitchen.bump"),
     rateLimit({ keyPrefix: "orders:item-status-bulk", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -378,7 +585,9 @@ export function registerOrderRoutes(app) {
 
       // Update each item individually (reuses existing service which also checks all-served trigger)
       const results = await Promise.all(
-        itemIds.map((itemId) => updateOrderItemStatus(restaurantId, orderId, itemId, status))
+        itemIds.map((itemId) =>
+          updateOrderItemStatus(restaurantId, orderId, itemId, status, { actor: actorFromRequest(req) })
+        )
       );
 
       res.json({ updated: results.filter(Boolean).length, status });
@@ -388,7 +597,8 @@ export function registerOrderRoutes(app) {
   // Update order (partial update)
   router.put(
     "/:orderId",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("order.update"),
+    requireManagerOverride("discount.approve", { optional: true }),
     rateLimit({ keyPrefix: "orders:update", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -401,24 +611,41 @@ export function registerOrderRoutes(app) {
         });
       }
 
-      const order = await updateOrder(restaurantId, orderId, parsed.data);
+      // A raw discountAmount is a flat manual discount, so it goes through approval like one
+      const { discountAmount, ...fields } = parsed.data;
+      let discount;
+      if (discountAmount !== undefined) {
+        try {
+          ({ discount } = await requestManualDiscount(
+            restaurantId,
+            orderId,
+            { discountType: "FLAT", value: Math.max(0, discountAmount), reason: null },
+            actorFromRequest(req),
+            { canApprove: canApproveDiscounts(req), approver: overrideApprover(req) }
+          ));
+        } catch (error) {
+          return res.status(error.status || 400).json({ message: error.message || "Failed to apply discount" });
+        }
+      }
+
+      const order = await updateOrder(restaurantId, orderId, fields);
 
       if (!order) {
         return res.status(404).json({ message: "Order not found" });
       }
 
-      res.json({ order });
+      res.json({ order, ...(discount !== undefined && { discount }) });
     })
   );
 
   // Cancel order
   router.post(
     "/:orderId/cancel",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("order.void"),
     rateLimit({ keyPrefix: "orders:cancel", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
-      const order = await cancelOrder(restaurantId, orderId);
+      const order = await cancelOrder(restaurantId, orderId, actorFromRequest(req));
 
       if (!order) {
         return res.status(404).json({ message: "Order not found" });
@@ -431,7 +658,7 @@ export function registerOrderRoutes(app) {
   // Add items to existing order
   router.post(
     "/:orderId/items",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("order.create"),
     rateLimit({ keyPrefix: "orders:add-items", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -445,14 +672,16 @@ export function registerOrderRoutes(app) {
       }
 
       try {
-          const result = await addOrderItems(
+          const { order, newItems } = await addOrderItems(
             restaurantId,
             orderId,
             parsed.data.items,
             parsed.data.paymentMethod,
-            parsed.data.paymentStatus
+            parsed.data.paymentStatus,
+            undefined,
+            { actor: actorFromRequest(req) }
         );
-        res.json(result);
+        res.json({ order, newItems });
       } catch (error) {
         console.error("Add items error:", error);
         res.status(400).json({
@@ -465,23 +694,98 @@ export function registerOrderRoutes(app) {
   // Remove item from order
   router.delete(
     "/:orderId/items/:orderItemId",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("order.void"),
+    // Items the kitchen already has need a manager unless the waiter can void them
+    requireManagerOverride("order.void_sent", {
+      when: (req) => isOrderItemSentToKitchen(req.params.restaurantId, req.params.orderId, req.params.orderItemId),
+    }),
     rateLimit({ keyPrefix: "orders:remove-item", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId, orderItemId } = req.params;
+      // DELETE bodies are often dropped by clients/proxies, so ?reason= works too
+      const parsed = removeItemSchema.safeParse({ reason: req.body?.reason ?? req.query.reason });
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid reason",
+          errors: parsed.error.errors,
+        });
+      }
 
       try {
-        const result = await removeOrderItem(restaurantId, orderId, orderItemId);
+        const result = await removeOrderItem(
+          restaurantId,
+          orderId,
+          orderItemId,
+          parsed.data.reason || null,
+          actorFromRequest(req)
+        );
         res.json(result);
       } catch (error) {
         console.error("Remove item error:", error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
           message: error.message || "Failed to remove item",
         });
       }
     })
   );
 
+  // Move an open order to another table (guests changing tables)
+  router.post(
+    "/:orderId/transfer",
+    requirePermission("order.update"),
+    rateLimit({ keyPrefix: "orders:transfer", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = transferOrderSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const order = await transferOrder(restaurantId, orderId, parsed.data.tableId, actorFromRequest(req));
+        res.json({ order, message: "Order moved" });
+      } catch (error) {
+        console.error("Transfer order error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to move order" });
+      }
+    })
+  );
+
+  // Move single items to another table's order
+  router.post(
+    "/:orderId/items/transfer",
+    requirePermission("order.update"),
+    rateLimit({ keyPrefix: "orders:transfer-items", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = transferItemsSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await transferOrderItems(
+          restaurantId,
+          orderId,
+          parsed.data.orderItemIds,
+          parsed.data.tableId,
+          actorFromRequest(req)
+        );
+        res.json({ ...result, message: "Items moved" });
+      } catch (error) {
+        console.error("Transfer items error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to move items" });
+      }
+    })
+  );
+
   const historyQuerySchema = z.object({
     limit: z.coerce.number().int().positive().max(200).optional().default(50),
     offset: z.coerce.number().int().min(0).optional().default(0),
@@ -492,7 +796,7 @@ export function registerOrderRoutes(app) {
   // Get order history
   router.get(
     "/history/all",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("reports.view"),
     rateLimit({ keyPrefix: "orders:history", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -514,7 +818,7 @@ export function registerOrderRoutes(app) {
   // Get order statistics
   router.get(
     "/stats/summary",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("reports.view"),
     rateLimit({ keyPrefix: "orders:stats", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -529,28 +833,103 @@ export function registerOrderRoutes(app) {
     })
   );
 
+  // Audit trail across orders (filter by staff member, action or time window)
+  router.get(
+    "/audit/log",
+    requirePermission("order.audit"),
+    rateLimit({ keyPrefix: "orders:audit", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = auditQuerySchema.safeParse(req.query);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const entries = await listOrderAudit(restaurantId, parsed.data);
+      res.json({ entries });
+    })
+  );
+
+  // Manager passcode approvals, newest first
+  router.get(
+    "/audit/overrides",
+    requirePermission("order.audit"),
+    rateLimit({ keyPrefix: "orders:audit", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const parsed = overridesQuerySchema.safeParse(req.query);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { from, to, ...filters } = parsed.data;
+      const overrides = await listManagerOverrides(req.params.restaurantId, {
+        ...filters,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      });
+      res.json({ overrides });
+    })
+  );
+
+  // Audit trail for one order, newest first
+  router.get(
+    "/:orderId/audit",
+    requirePermission("order.audit"),
+    rateLimit({ keyPrefix: "orders:audit", windowSeconds: 60, max: 100 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = auditQuerySchema.safeParse(req.query);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const entries = await listOrderAudit(restaurantId, { ...parsed.data, orderId });
+      res.json({ entries });
+    })
+  );
+
   // === Kitchen Display System (KDS) Endpoints ===
 
   // Get active kitchen orders
   router.get(
     "/kitchen/active",
-    requireRole("owner", "admin", "platform_admin", "KITCHEN", "WAITER"),
+    requirePermission("order.view"),
     rateLimit({ keyPrefix: "orders:kitchen", windowSeconds: 10, max: 600 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
-      const orders = await getKitchenOrders(restaurantId);
-      res.json({ orders });
+      try {
+        const stationId = await resolveKitchenStation(req);
+        const orders = await getKitchenOrders(restaurantId, { stationId });
+        res.json({ orders, stationId });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load kitchen orders" });
+      }
     })
   );
 
-  // Mark order as preparing
+  // Mark order as preparing (a station starts only its own items)
   router.post(
     "/:orderId/kitchen/start",
-    requireRole("owner", "admin", "platform_admin", "KITCHEN"),
+    requirePermission("kitchen.bump"),
     rateLimit({ keyPrefix: "orders:kitchen-start", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
-      const order = await updateOrderStatus(restaurantId, orderId, "PREPARING");
+      const stationId = await resolveKitchenStation(req);
+      const order = stationId
+        ? await bumpStationItems(restaurantId, orderId, stationId, "PREPARING")
+        : await updateOrderStatus(restaurantId, orderId, "PREPARING");
 
       if (!order) {
         return res.status(404).json({ message: "Order not found" });
@@ -560,27 +939,61 @@ export function registerOrderRoutes(app) {
     })
   );
 
-  // Mark order as ready
+  // Mark order as ready (a station bumps only its own items; the order is READY once all are done)
   router.post(
     "/:orderId/kitchen/complete",
-    requireRole("owner", "admin", "platform_admin", "KITCHEN"),
+    requirePermission("kitchen.bump"),
     rateLimit({ keyPrefix: "orders:kitchen-complete", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
-      const order = await updateOrderStatus(restaurantId, orderId, "READY");
+      const stationId = await resolveKitchenStation(req);
+      const order = stationId
+        ? await bumpStationItems(restaurantId, orderId, stationId, "READY")
+        : await updateOrderStatus(restaurantId, orderId, "READY");
 
       if (!order) {
         return res.status(404).json({ message: "Order not found" });
       }
 
-      res.json({ order, message: "Order marked as ready for pickup" });
+      res.json({
+        order,
+        message: order.status === "READY" ? "Order marked as ready for pickup" : "Station items marked as ready",
+      });
+    })
+  );
+
+  // Fire the next held course (or every held course up to courseNumber)
+  router.post(
+    "/:orderId/courses/fire",
+    requirePermission("order.update"),
+    rateLimit({ keyPrefix: "orders:fire-course", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = fireCourseSchema.safeParse(req.body || {});
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid course",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const order = await fireOrderCourse(restaurantId, orderId, parsed.data.courseNumber ?? null);
+        if (!order) {
+          return res.status(404).json({ message: "Order not found" });
+        }
+        res.json({ order, message: "Course fired" });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to fire course" });
+      }
     })
   );
 
   // Update payment status
   router.patch(
     "/:orderId/payment-status",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("payment.take"),
     rateLimit({ keyPrefix: "orders:payment-status", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -598,7 +1011,8 @@ export function registerOrderRoutes(app) {
           restaurantId,
           orderId,
           parsed.data.paymentStatus,
-          parsed.data.paymentMethod
+          parsed.data.paymentMethod,
+          actorFromRequest(req)
         );
 
         if (!order) {
@@ -618,16 +1032,200 @@ export function registerOrderRoutes(app) {
     })
   );
 
+  // Per-payer breakdown of everything paid against an order
+  router.get(
+    "/:orderId/split",
+    requirePermission("payment.take"),
+    rateLimit({ keyPrefix: "orders:split:get", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+
+      try {
+        const breakdown = await getSplitBreakdown(restaurantId, orderId);
+        res.json({ breakdown });
+      } catch (error) {
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to load split breakdown",
+        });
+      }
+    })
+  );
+
+  // Work out each payer's share without recording payments
+  router.post(
+    "/:orderId/split/preview",
+    requirePermission("payment.take"),
+    rateLimit({ keyPrefix: "orders:split:preview", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = previewSplitSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid split data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const shares = await previewSplit(restaurantId, orderId, parsed.data);
+        res.json({ shares });
+      } catch (error) {
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to preview split",
+        });
+      }
+    })
+  );
+
+  // Record split payments (one transaction and bill number per payer)
+  router.post(
+    "/:orderId/split",
+    requirePermission("payment.take"),
+    rateLimit({ keyPrefix: "orders:split:pay", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = splitBillSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid split data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const breakdown = await recordSplitPayments(restaurantId, orderId, parsed.data, undefined, actorFromRequest(req));
+        res.json({ breakdown });
+      } catch (error) {
+        console.error("Split payment error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to record split payment",
+        });
+      }
+    })
+  );
+
+  // Apply a promotion (coupon code or codeless offer) to an order
+  router.post(
+    "/:orderId/discounts/promotion",
+    requirePermission("discount.apply"),
+    rateLimit({ keyPrefix: "orders:discounts:promotion", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = applyPromotionSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid promotion",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await applyPromotion(restaurantId, orderId, parsed.data, actorFromRequest(req));
+        res.json(result);
+      } catch (error) {
+        console.error("Apply promotion error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to apply promotion",
+        });
+      }
+    })
+  );
+
+  // Redeem the guest's loyalty points as a discount on the bill
+  router.post(
+    "/:orderId/discounts/loyalty",
+    requirePermission("discount.apply"),
+    rateLimit({ keyPrefix: "orders:discounts:loyalty", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = loyaltyDiscountSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid points",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await applyLoyaltyDiscount(restaurantId, orderId, parsed.data.points, actorFromRequest(req));
+        res.json(result);
+      } catch (error) {
+        console.error("Apply loyalty discount error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to redeem points",
+        });
+      }
+    })
+  );
+
+  // Manual discount — applied at once when approved (by role, manager passcode or the
+  // restaurant's threshold), otherwise waits for approval
+  router.post(
+    "/:orderId/discounts/manual",
+    requirePermission("discount.apply"),
+    requireManagerOverride("discount.approve", { optional: true }),
+    rateLimit({ keyPrefix: "orders:discounts:manual", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = manualDiscountSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid discount",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await requestManualDiscount(restaurantId, orderId, parsed.data, actorFromRequest(req), {
+          canApprove: canApproveDiscounts(req),
+          approver: overrideApprover(req),
+        });
+        res.status(result.discount?.status === "PENDING_APPROVAL" ? 202 : 200).json(result);
+      } catch (error) {
+        console.error("Manual discount error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to apply discount",
+        });
+      }
+    })
+  );
+
+  // Take a promotion or manual discount off an order
+  router.delete(
+    "/:orderId/discounts/:discountId",
+    requirePermission("discount.apply"),
+    rateLimit({ keyPrefix: "orders:discounts:remove", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId, discountId } = req.params;
+
+      try {
+        const result = await removeOrderDiscount(restaurantId, orderId, discountId, actorFromRequest(req));
+        res.json(result);
+      } catch (error) {
+        console.error("Remove discount error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to remove discount",
+        });
+      }
+    })
+  );
+
   // Remove service charge for an order
   router.patch(
     "/:orderId/service-charge/remove",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("discount.apply"),
+    requireManagerOverride("service_charge.waive"),
     rateLimit({ keyPrefix: "orders:service-charge:remove", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
 
       try {
-        const order = await removeServiceChargeFromOrder(restaurantId, orderId);
+        const order = await removeServiceChargeFromOrder(restaurantId, orderId, actorFromRequest(req));
         if (!order) {
           return res.status(404).json({ message: "Order not found" });
         }
@@ -645,7 +1243,7 @@ export function registerOrderRoutes(app) {
   // Cancel order with reason
   router.post(
     "/:orderId/cancel-with-reason",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("order.void"),
     rateLimit({ keyPrefix: "orders:cancel-reason", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
@@ -662,7 +1260,8 @@ export function registerOrderRoutes(app) {
         const order = await cancelOrderWithReason(
           restaurantId,
           orderId,
-          parsed.data.reason
+          parsed.data.reason,
+          actorFromRequest(req)
         );
 
         if (!order) {
@@ -682,16 +1281,75 @@ export function registerOrderRoutes(app) {
     })
   );
 
+  // Approve guest QR items and send them to the kitchen
+  router.post(
+    "/:orderId/approve",
+    requirePermission("order.approve"),
+    rateLimit({ keyPrefix: "orders:approve", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const staffId = req.user?.staffId || (req.user?.isStaff ? req.user.id : null);
+
+      try {
+        const order = await approveGuestOrder(restaurantId, orderId, staffId, actorFromRequest(req));
+
+        if (!order) {
+          return res.status(404).json({ message: "Order not found" });
+        }
+
+        res.json({ order, message: "Order approved" });
+      } catch (error) {
+        console.error("Approve order error:", error);
+        res.status(400).json({
+          message: error.message || "Failed to approve order",
+        });
+      }
+    })
+  );
+
+  // Reject guest QR items (cancels the order if nothing on it was approved yet)
+  router.post(
+    "/:orderId/reject",
+    requirePermission("order.approve"),
+    rateLimit({ keyPrefix: "orders:reject", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const parsed = rejectGuestOrderSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid reject data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const order = await rejectGuestOrder(restaurantId, orderId, parsed.data.reason, actorFromRequest(req));
+
+        if (!order) {
+          return res.status(404).json({ message: "Order not found" });
+        }
+
+        res.json({ order, message: "Guest order rejected" });
+      } catch (error) {
+        console.error("Reject order error:", error);
+        res.status(400).json({
+          message: error.message || "Failed to reject order",
+        });
+      }
+    })
+  );
+
   // ✅ NEW: Close order (mark as complete)
   router.post(
     "/:orderId/close",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("order.close"),
     rateLimit({ keyPrefix: "orders:close", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, orderId } = req.params;
 
       try {
-        const order = await closeOrder(restaurantId, orderId);
+        const order = await closeOrder(restaurantId, orderId, actorFromRequest(req));
 
         if (!order) {
           return res.status(404).json({ message: "Order not found" });
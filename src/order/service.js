@@ -1,4 +1,4 @@
-import { eq, and, desc, sql, gte, lte, inArray, not, or } from "drizzle-orm";
+import { eq, and, desc, sql, gte, lte, inArray, not, or, isNull, isNotNull } from "drizzle-orm";
 import { 
   orders, 
   orderItems, 
@@ -9,19 +9,248 @@ import {
   modifiers,
   modifierGroups,
   transactions,
-  staff
+  staff,
+  orderDiscounts,
+  deliveries,
 } from "../../shared/schema.js";
-import { createTransaction } from "../transaction/service.js"; // BUG-2: Static import
+import { createTransaction, recordSplitPayments } from "../transaction/service.js"; // BUG-2: Static import
 import { db, readDb } from "../dbClient.js"; // PERF-4: Import readDb for read-only queries
 import {
   emitOrderCreated,
   emitOrderItemsAdded,
+  emitOrderCourseFired,
   emitOrderStatusChanged,
   emitOrderUpdated,
+  emitOrderApprovalRequested,
 } from "../realtime/events.js";
 import { emitTableStatusChanged } from "../realtime/events.js";
 import { getRedisClient } from "../redis/client.js";
 import { cacheGetOrSetJson } from "../redis/cache.js";
+import { computeIngredientRequirements } from "../recipe/service.js";
+import { recordStockMovement, emitStockMovement } from "../inventory/service.js";
+import { computeDiscount } from "../promotion/rules.js";
+import { recordOrderAudit, orderAuditSnapshot, itemAuditSnapshot } from "./audit.js";
+import { resolveBillingTableId, setTableGroupStatus, freeTableGroup } from "../table/groups.js";
+import {
+  resolveItemStations,
+  isItemForStation,
+  filterOrdersForStation,
+  deriveOrderKitchenStatus,
+  currentCourse,
+  nextHeldCourse,
+} from "../kitchen/service.js";
+import { getActiveShift } from "../shift/service.js";
+import { findOpenDrawerSessionId } from "../cash/service.js";
+import { upsertCustomer } from "../customer/service.js";
+import { reverseLoyaltyEntries } from "../loyalty/service.js";
+import { quoteDelivery, createDelivery, cancelDeliveryForOrder } from "../delivery/service.js";
+import { pushOrderStatus } from "../aggregator/service.js";
+import { assertItemsOnSchedule } from "../menu/schedule-service.js";
+import { assertOpenForGuests } from "../restaurant/service.js";
+import { httpError } from "../httpError.js";
+
+// Timeline column stamped the first time an item reaches each kitchen status
+const ITEM_STATUS_TIMESTAMPS = {
+  PENDING: "acceptedAt",
+  PREPARING: "startedAt",
+  READY: "readyAt",
+  SERVED: "servedAt",
+};
+
+/**
+ * The .set() for an item status change, stamping the status's timeline column if not already set
+ * (so a re-bump keeps the original time).
+ * @private
+ */
+function itemStatusChange(status) {
+  const column = ITEM_STATUS_TIMESTAMPS[status];
+  if (!column) return { status };
+  return { status, [column]: sql`COALESCE(${orderItems[column]}, now())` };
+}
+
+/**
+ * Mark which new dine-in items are held: later courses than the one the order is on (see
+ * currentCourse), and anything the waiter asked to hold. Other order types are never coursed.
+ * @param {Array} processedItems - From processOrderItemsWithCustomization
+ * @param {Array} existingItems - Items already on the order
+ * @param {string} orderType
+ * @private
+ */
+function holdLaterCourses(processedItems, existingItems, orderType) {
+  if (orderType !== "DINE_IN") return processedItems.map((item) => ({ ...item, isHeld: false }));
+  const course = currentCourse(existingItems, processedItems.map((item) => item.courseNumber));
+  return processedItems.map((item) => ({ ...item, isHeld: item.hold || item.courseNumber > course }));
+}
+
+/**
+ * Voiding an item on an order that has taken money needs a reason — it is the main way a paid
+ * item could quietly disappear from a bill.
+ * @private
+ */
+async function assertVoidReason(restaurantId, orderId, reason) {
+  if (reason?.trim()) return;
+  const [order] = await db
+    .select({ paidAmount: orders.paid_amount })
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+    .limit(1);
+  if (parseFloat(order?.paidAmount || "0") > 0) {
+    throw httpError("A reason is required to void an item on an order with payments");
+  }
+}
+
+/**
+ * Inventory consumption hook — the single place order paths deduct or restore recipe ingredients.
+ * Uses order_items.stock_deducted as an idempotency flag: the flag flip and the stock movement happen
+ * together, so calling this twice for the same items is a no-op. Items awaiting guest approval or
+ * cancelled are never deducted.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {"deduct"|"restore"} direction
+ * @param {string[]|null} orderItemIds - Limit to these items (null = whole order)
+ * @param {object} dbToUse - db or an open transaction
+ * @returns {Promise<Array>} Inside a caller's transaction, the stock movements to pass to
+ *   emitStockMovement once it commits; otherwise they are already broadcast and this is empty
+ * @private
+ */
+async function applyInventoryConsumption(restaurantId, orderId, direction, orderItemIds = null, dbToUse = db) {
+  if (orderItemIds && orderItemIds.length === 0) return [];
+
+  const deduct = direction === "deduct";
+
+  const run = async (tx) => {
+    const conditions = [
+      eq(orderItems.restaurantId, restaurantId),
+      eq(orderItems.orderId, orderId),
+      eq(orderItems.stockDeducted, !deduct),
+    ];
+    if (deduct) conditions.push(not(inArray(orderItems.status, ["PENDING_APPROVAL", "CANCELLED"])));
+    if (orderItemIds) conditions.push(inArray(orderItems.id, orderItemIds));
+
+    const flipped = await tx
+      .update(orderItems)
+      .set({ stockDeducted: deduct })
+      .where(and(...conditions))
+      .returning();
+
+    if (flipped.length === 0) return [];
+
+    const requirements = await computeIngredientRequirements(restaurantId, flipped, tx);
+    const movements = [];
+    for (const [inventoryItemId, quantity] of requirements) {
+      if (quantity === 0) continue;
+      movements.push(await recordStockMovement(
+        restaurantId,
+        inventoryItemId,
+        {
+          movementType: deduct ? "CONSUMPTION" : "CONSUMPTION_REVERSAL",
+          quantity,
+          referenceType: "order",
+          referenceId: orderId,
+        },
+        null,
+        tx
+      ));
+    }
+    return movements;
+  };
+
+  if (dbToUse !== db) {
+    // Caller owns the transaction — let failures roll the whole order back
+    return run(dbToUse);
+  }
+
+  try {
+    const movements = await db.transaction(run);
+    for (const movement of movements) emitStockMovement(restaurantId, movement);
+  } catch (err) {
+    // Stock tracking must never block service on the floor
+    console.error(`Failed to ${direction} inventory for order ${orderId}:`, err);
+  }
+  return [];
+}
+
+/**
+ * True once any split payment has been recorded for the order. Split orders keep one
+ * transaction per payer, so the single-bill sync paths below must leave them alone.
+ * @private
+ */
+async function hasSplitPayments(orderId, dbToUse = db) {
+  const rows = await dbToUse
+    .select({ id: transactions.id })
+    .from(transactions)
+    .where(
+      and(
+        eq(transactions.orderId, orderId),
+        isNotNull(transactions.splitMethod),
+        eq(transactions.entryType, "PAYMENT"),
+        isNull(transactions.voidedAt)
+      )
+    )
+    .limit(1);
+  return rows.length > 0;
+}
+
+/**
+ * Matches the order's live full bill — not split payments, refunds/voids, or a voided payment.
+ * @private
+ */
+function singleBillCondition(orderId) {
+  return and(
+    eq(transactions.orderId, orderId),
+    isNull(transactions.splitMethod),
+    eq(transactions.entryType, "PAYMENT"),
+    isNull(transactions.voidedAt)
+  );
+}
+
+/**
+ * Order items as discount pricing sees them: every billed line with its menu category.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {object} dbToUse - db or an open transaction
+ * @returns {Promise<Array<{menuItemId: string, categoryId: string, totalPrice: string}>>}
+ */
+export async function getDiscountableItems(restaurantId, orderId, dbToUse = db) {
+  return dbToUse
+    .select({
+      menuItemId: orderItems.menuItemId,
+      categoryId: menuItems.categoryId,
+      totalPrice: orderItems.totalPrice,
+    })
+    .from(orderItems)
+    .innerJoin(menuItems, eq(menuItems.id, orderItems.menuItemId))
+    .where(and(eq(orderItems.orderId, orderId), eq(orderItems.restaurantId, restaurantId)));
+}
+
+/**
+ * Re-price the discounts applied to an order after its items change — a percentage coupon
+ * covers items added later, and a minimum spend may stop (or start) being met.
+ * @returns {Promise<number|null>} New total discount, or null if the order has no applied discounts
+ * @private
+ */
+async function repriceOrderDiscounts(restaurantId, orderId, dbToUse = db) {
+  const applied = await dbToUse
+    .select()
+    .from(orderDiscounts)
+    .where(and(eq(orderDiscounts.orderId, orderId), eq(orderDiscounts.status, "APPLIED")));
+  if (applied.length === 0) return null;
+
+  const items = await getDiscountableItems(restaurantId, orderId, dbToUse);
+  let total = 0;
+  for (const discount of applied) {
+    const { amount } = computeDiscount(discount, items);
+    if (amount !== discount.amount) {
+      await dbToUse
+        .update(orderDiscounts)
+        .set({ amount, updatedAt: new Date() })
+        .where(eq(orderDiscounts.id, discount.id));
+    }
+    total += parseFloat(amount);
+  }
+  return total;
+}
+
 /**
  * Process order items with customization data
  * Fetches variant and modifier details, calculates prices including customizations
@@ -38,11 +267,20 @@ async function processOrderItemsWithCustomization(restaurantId, items) {
   const dbToUse = arguments.length > 2 && arguments[2] ? arguments[2] : readDb; // BUG-1: Use readDb or tx
 
   const menuItemRows = await dbToUse
-    .select({ id: menuItems.id, name: menuItems.name, nameTranslations: menuItems.nameTranslations, price: menuItems.price })
+    .select({
+      id: menuItems.id,
+      name: menuItems.name,
+      nameTranslations: menuItems.nameTranslations,
+      price: menuItems.price,
+      targetPrepMinutes: menuItems.targetPrepMinutes,
+    })
     .from(menuItems)
     .where(and(eq(menuItems.restaurantId, restaurantId), inArray(menuItems.id, menuItemIds)));
 
   const menuItemMap = new Map(menuItemRows.map((m) => [m.id, m]));
+  // Breakfast after 11:30, bar items before 6pm and the like can't be ordered
+  await assertItemsOnSchedule(restaurantId, menuItemIds, { dbToUse });
+  const stationMap = await resolveItemStations(dbToUse, restaurantId, menuItemIds);
 
   // Batch fetch selected variants (variant price replaces base price)
   const variantIds = Array.from(new Set(items.map((i) => i.variantId).filter(Boolean)));
@@ -146,6 +384,10 @@ async function processOrderItemsWithCustomization(restaurantId, items) {
       variantPrice: variantData?.price || null,
       selectedModifiers: modifiersData,
       customizationAmount: customizationAmount.toFixed(2),
+      kitchenStationId: stationMap.get(item.menuItemId) || null,
+      targetPrepMinutes: menuItem.targetPrepMinutes ?? null,
+      courseNumber: item.courseNumber ?? 1,
+      hold: Boolean(item.hold),
     });
   }
 
@@ -158,7 +400,7 @@ async function processOrderItemsWithCustomization(restaurantId, items) {
  * Creates transaction ONLY if none exists for this order
  * Updates existing transaction if order was partially paid
  */
-export async function updatePaymentStatus(restaurantId, orderId, paymentStatus, paymentMethod = null) {
+export async function updatePaymentStatus(restaurantId, orderId, paymentStatus, paymentMethod = null, actor = null) {
   // Get current order to calculate paid amount
   const order = await getOrder(restaurantId, orderId);
   if (!order) {
@@ -169,6 +411,15 @@ export async function updatePaymentStatus(restaurantId, orderId, paymentStatus,
   const totalAmount = parseFloat(order.totalAmount);
   const outstandingAmount = totalAmount - currentPaidAmount;
 
+  const splitOrder = await hasSplitPayments(orderId);
+  if (splitOrder && paymentStatus === "PAID" && paymentMethod && outstandingAmount > 0.01) {
+    // Settle what's left as one more split payment so the per-payer ledger still adds up
+    await recordSplitPayments(restaurantId, orderId, {
+      method: "CUSTOM",
+      payments: [{ payerLabel: "Balance", paymentMethod: paymentMethod.toUpperCase(), amount: outstandingAmount }],
+    }, db, actor);
+  }
+
   const updateData = {
     paymentStatus,
     updatedAt: new Date(),
@@ -194,15 +445,20 @@ export async function updatePaymentStatus(restaurantId, orderId, paymentStatus,
 
   const updated = rows[0] || null;
   if (updated) {
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "PAYMENT_STATUS_CHANGED",
+      before: orderAuditSnapshot(order),
+      after: { ...orderAuditSnapshot(updated), paymentMethod: paymentMethod?.toUpperCase() ?? null },
+    }, actor);
     emitOrderStatusChanged(restaurantId, updated);
     
     // ✅ FIX: Only create transaction if marking as PAID AND no transaction exists
-    if (paymentStatus === "PAID" && paymentMethod) {
+    if (paymentStatus === "PAID" && paymentMethod && !splitOrder) {
       // Check if transaction already exists for this order
       const existingTransactionRows = await db
         .select()
         .from(transactions)
-        .where(eq(transactions.orderId, orderId))
+        .where(singleBillCondition(orderId))
         .limit(1);
 
       const existingTransaction = existingTransactionRows[0];
@@ -217,7 +473,10 @@ export async function updatePaymentStatus(restaurantId, orderId, paymentStatus,
             subtotal: updated.subtotalAmount,
             gstAmount: updated.gstAmount,
             serviceTaxAmount: updated.serviceTaxAmount,
+            deliveryFee: updated.deliveryFee,
             discountAmount: updated.discountAmount || "0",
+            cashDrawerSessionId: existingTransaction.cashDrawerSessionId ??
+              (paymentMethod.toUpperCase() === "CASH" ? await findOpenDrawerSessionId(restaurantId, actor) : null),
             paidAt: new Date(), // Update payment time
           })
           .where(eq(transactions.id, existingTransaction.id));
@@ -240,7 +499,9 @@ export async function updatePaymentStatus(restaurantId, orderId, paymentStatus,
               combinedGst: parseFloat(updated.gstAmount),
               combinedService: parseFloat(updated.serviceTaxAmount),
               combinedTotal: parseFloat(updated.totalAmount),
-            }
+            },
+            db,
+            actor
           );
         } catch (err) {
           console.error("Failed to create transaction:", err);
@@ -259,13 +520,20 @@ export async function updatePaymentStatus(restaurantId, orderId, paymentStatus,
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
  * @param {string} cancelReason - Reason for cancellation
+ * @param {object|null} [actor] - { id, type } of who cancelled it, for the audit trail
  * @returns {Promise<object|null>} Cancelled order
  */
-export async function cancelOrderWithReason(restaurantId, orderId, cancelReason) {
+export async function cancelOrderWithReason(restaurantId, orderId, cancelReason, actor = null) {
   if (!cancelReason || cancelReason.trim().length === 0) {
     throw new Error("Cancel reason is required");
   }
 
+  const [before] = await db
+    .select()
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+    .limit(1);
+
   const rows = await db
     .update(orders)
     .set({
@@ -287,29 +555,24 @@ export async function cancelOrderWithReason(restaurantId, orderId, cancelReason)
 
   const cancelled = rows[0] || null;
   if (cancelled) {
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "ORDER_CANCELLED",
+      before: orderAuditSnapshot(before),
+      after: orderAuditSnapshot(cancelled),
+      reason: cancelReason,
+    }, actor);
+    await applyInventoryConsumption(restaurantId, orderId, "restore");
+    await reverseLoyaltyEntries(restaurantId, { orderId }, { reason: "Order cancelled" });
+    await cancelDeliveryForOrder(restaurantId, orderId);
     emitOrderStatusChanged(restaurantId, cancelled);
+    // Not awaited: a slow aggregator mustn't hold up the response
+    pushOrderStatus(cancelled, "CANCELLED");
     
     // If order was for a table, set table back to AVAILABLE
     if (cancelled.tableId) {
       try {
-        const tableRows = await db
-          .update(tables)
-          .set({
-            currentStatus: "AVAILABLE",
-            assignedWaiterId: null,
-            updatedAt: new Date(),
-          })
-          .where(
-            and(
-              eq(tables.restaurantId, restaurantId),
-              eq(tables.id, cancelled.tableId)
-            )
-          )
-          .returning();
-        
-        if (tableRows[0]) {
-          emitTableStatusChanged(restaurantId, tableRows[0]);
-        }
+        const tableRows = await freeTableGroup(db, restaurantId, cancelled.tableId, { clearWaiter: true });
+        for (const table of tableRows) emitTableStatusChanged(restaurantId, table);
       } catch (err) {
         console.error("Failed to update table status:", err);
       }
@@ -325,9 +588,9 @@ export async function cancelOrderWithReason(restaurantId, orderId, cancelReason)
  * Only reuses existing order if it's OPEN (is_closed = false)
  * Closed orders will trigger creation of new order
  */
-export async function createOrder(restaurantId, data, placedByStaffId = null) {
+export async function createOrder(restaurantId, data, placedByStaffId = null, actor = null) {
   const {
-    tableId,
+    tableId: requestedTableId,
     guestName,
     guestPhone,
     orderType = "DINE_IN",
@@ -336,9 +599,25 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
     paymentMethod = "DUE",
     paymentStatus = "DUE",
     waiveServiceCharge = false,
+    // DELIVERY orders: address fields, latitude and longitude
+    delivery = null,
+    // Guest QR orders: items stay out of the kitchen until staff approve them
+    requiresApproval = false,
+    // Aggregator orders: provider key and the provider's order id
+    externalSource = null,
+    externalOrderId = null,
   } = data;
 
-  return await db.transaction(async (tx) => {
+  // Stock movements are broadcast only once the order has committed
+  const stockMovements = [];
+  const created = await db.transaction(async (tx) => {
+    // Orders for any table of a merged group go on the group's primary table
+    const tableId =
+      requestedTableId && orderType === "DINE_IN"
+        ? await resolveBillingTableId(tx, restaurantId, requestedTableId)
+        : requestedTableId;
+    const customer = await upsertCustomer(restaurantId, { phone: guestPhone, name: guestName }, tx);
+
     // ✅ FIX: Only reuse order if it's OPEN (is_closed = false)
     if (tableId && orderType === "DINE_IN") {
       const existingRows = await tx
@@ -354,7 +633,7 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
             and(
               not(eq(orders.status, 'CANCELLED')),
               or(
-                inArray(orders.status, ['PENDING', 'PREPARING', 'READY', 'SERVED']),
+                inArray(orders.status, ['PENDING_APPROVAL', 'PENDING', 'PREPARING', 'READY', 'SERVED']),
                 eq(orders.paymentStatus, 'PARTIALLY_PAID')
               )
             )
@@ -380,8 +659,12 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
             .set({
               guestName: existing.guestName ?? (guestName || null),
               guestPhone: existing.guestPhone ?? (guestPhone || null),
+              customerId: existing.customerId ?? customer?.id ?? null,
               notes: notes ?? existing.notes,
               placedByStaffId: shouldUpdateAssignment ? placedByStaffId : existing.placedByStaffId,
+              shiftId: shouldUpdateAssignment
+                ? (await getActiveShift(restaurantId, placedByStaffId, tx))?.id ?? null
+                : existing.shiftId,
               updatedAt: new Date(),
             })
             .where(eq(orders.id, existing.id));
@@ -400,14 +683,16 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
         }
 
         // Add items to existing order (this will handle payment status properly)
-        const { order: updatedOrder, newItems } = await addOrderItems(
+        const { newItems, stockMovements: added } = await addOrderItems(
           restaurantId,
           existing.id,
           items,
           paymentMethod,
           paymentStatus,
-          tx // BUG-6: passing tx is now acceptable because we updated addOrderItems signature
+          tx, // BUG-6: passing tx is now acceptable because we updated addOrderItems signature
+          { requiresApproval, actor }
         );
+        stockMovements.push(...added);
 
         return { order: await getOrder(restaurantId, existing.id), newItems };
       } else {
@@ -416,11 +701,12 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
     }
 
   // Process items with customization
-  const { processedItems, subtotal } = await processOrderItemsWithCustomization(
+  const { processedItems: pricedItems, subtotal } = await processOrderItemsWithCustomization(
     restaurantId,
     items,
     tx // BUG-1: pass tx down
   );
+  const processedItems = holdLaterCourses(pricedItems, [], orderType);
 
   // Get restaurant tax rates
   const restaurantRows = await tx
@@ -439,9 +725,15 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
   const serviceTaxAmount =
     orderType === "DINE_IN" && !waiveServiceCharge ? subtotal * serviceRate : 0;
 
-  const totalAmount = subtotal + gstAmount + serviceTaxAmount;
+  // Delivery fee from the restaurant's distance bands, added after tax
+  const deliveryQuote =
+    orderType === "DELIVERY" && delivery ? await quoteDelivery(restaurantId, delivery, subtotal, tx) : null;
+  if (deliveryQuote?.reason) throw httpError(deliveryQuote.reason);
+  const deliveryFee = Number(deliveryQuote?.fee ?? 0);
+
+  const totalAmount = subtotal + gstAmount + serviceTaxAmount + deliveryFee;
   
-  const finalOrderStatus = "PENDING";
+  const finalOrderStatus = requiresApproval ? "PENDING_APPROVAL" : "PENDING";
   const finalPaymentStatus = paymentStatus;
   
   // If payment is made upfront (PAID status), track the paid amount
@@ -455,17 +747,23 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
       tableId: tableId || null,
       guestName: guestName || null,
       guestPhone: guestPhone || null,
+      customerId: customer?.id ?? null,
       placedByStaffId: placedByStaffId || null,
+      // Attributed to the shift the staff member is clocked into, if any
+      shiftId: (await getActiveShift(restaurantId, placedByStaffId, tx))?.id ?? null,
       status: finalOrderStatus,
       paymentStatus: finalPaymentStatus,
       orderType,
       subtotalAmount: subtotal.toFixed(2),
       gstAmount: gstAmount.toFixed(2),
       serviceTaxAmount: serviceTaxAmount.toFixed(2),
+      deliveryFee: deliveryFee.toFixed(2),
       discountAmount: "0",
       totalAmount: totalAmount.toFixed(2),
       paid_amount: paid_amount,
       notes: notes || null,
+      externalSource,
+      externalOrderId,
       isClosed: false, // ✅ New orders are always OPEN
     })
     .returning();
@@ -473,6 +771,11 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
   const order = orderRows[0];
   console.log("📝 New OPEN order created:", order.id, "Payment status:", order.paymentStatus);
 
+  // Aggregators send their own riders
+  if (orderType === "DELIVERY" && !externalSource) {
+    await createDelivery(tx, order, delivery ?? {}, deliveryQuote);
+  }
+
   // Increment KOT counter
   const kotCounterResult = await tx.execute(
     sql`UPDATE restaurants SET kot_counter = kot_counter + 1 WHERE id = ${restaurantId} RETURNING kot_counter`
@@ -496,7 +799,15 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
     variantPrice: item.variantPrice || null,
     selectedModifiers: sql`${JSON.stringify(item.selectedModifiers || [])}::jsonb`,
     customizationAmount: item.customizationAmount || "0",
-    kotNumber: currentKotNumber,
+    kotNumber: item.isHeld ? null : currentKotNumber,
+    kitchenStationId: item.kitchenStationId,
+    targetPrepMinutes: item.targetPrepMinutes,
+    courseNumber: item.courseNumber,
+    isHeld: item.isHeld,
+    firedAt: item.isHeld ? null : new Date(),
+    // Guest items awaiting approval are accepted when staff approve them; held courses when fired
+    acceptedAt: requiresApproval || item.isHeld ? null : new Date(),
+    status: requiresApproval ? "PENDING_APPROVAL" : "PENDING",
   }));
 
   const createdItems = await tx
@@ -504,6 +815,13 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
     .values(orderItemsData)
     .returning();
 
+  stockMovements.push(...(await applyInventoryConsumption(restaurantId, order.id, "deduct", null, tx)));
+
+  await recordOrderAudit(restaurantId, order.id, {
+    action: "ORDER_CREATED",
+    after: { ...orderAuditSnapshot(order), items: createdItems.map(itemAuditSnapshot) },
+  }, actor, tx);
+
   const result = {
     ...order,
     items: createdItems,
@@ -511,25 +829,11 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
 
   // Update table status to OCCUPIED if tableId is provided and orderType is DINE_IN
   if (tableId && orderType === "DINE_IN") {
-    const tableRows = await tx
-      .update(tables)
-      .set({
-        currentStatus: "OCCUPIED",
-        // Clear any previous waiter and set current if available
-        assignedWaiterId: placedByStaffId || null,
-        updatedAt: new Date(),
-      })
-      .where(
-        and(
-          eq(tables.restaurantId, restaurantId),
-          eq(tables.id, tableId)
-        )
-      )
-      .returning();
-    
-    if (tableRows[0]) {
-      emitTableStatusChanged(restaurantId, tableRows[0]);
-    }
+    const tableRows = await setTableGroupStatus(tx, restaurantId, tableId, "OCCUPIED", {
+      // Clear any previous waiter and set current if available
+      assignedWaiterId: placedByStaffId || null,
+    });
+    for (const table of tableRows) emitTableStatusChanged(restaurantId, table);
   }
 
   // If paid upfront, create transaction record using atomic DB-sequence invoice number
@@ -549,7 +853,7 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
         combinedGst: parseFloat(order.gstAmount),
         combinedService: parseFloat(order.serviceTaxAmount),
         combinedTotal: parseFloat(order.totalAmount),
-      }, tx); // Pass tx to avoid "Order not found" error on uncommitted order
+      }, tx, actor); // Pass tx to avoid "Order not found" error on uncommitted order
     } catch (err) {
       console.error("Failed to create transaction for prepaid order:", err);
     }
@@ -560,6 +864,9 @@ export async function createOrder(restaurantId, data, placedByStaffId = null) {
 
   return { order: result };
   }); // end db.transaction
+
+  for (const movement of stockMovements) emitStockMovement(restaurantId, movement);
+  return created;
 }
 
 /**
@@ -598,6 +905,10 @@ export async function getOrder(restaurantId, orderId) {
             'selectedModifiers', i.selected_modifiers,
             'customizationAmount', i.customization_amount,
             'kotNumber', i.kot_number,
+            'kitchenStationId', i.kitchen_station_id,
+            'courseNumber', i.course_number,
+            'isHeld', i.is_held,
+            'firedAt', i.fired_at,
             'createdAt', i.created_at,
             'updatedAt', i.updated_at
           )
@@ -605,9 +916,30 @@ export async function getOrder(restaurantId, orderId) {
         FROM order_items i
         WHERE i.order_id = ${orders.id}
       ), '[]'::json)`,
+      discounts: sql`COALESCE((
+        SELECT json_agg(
+          json_build_object(
+            'id', d.id,
+            'promotionId', d.promotion_id,
+            'isManual', d.is_manual,
+            'name', d.name,
+            'code', d.code,
+            'discountType', d.discount_type,
+            'value', d.value,
+            'amount', d.amount,
+            'status', d.status,
+            'reason', d.reason
+          ) ORDER BY d.created_at
+        )
+        FROM order_discounts d
+        WHERE d.order_id = ${orders.id}
+          AND d.status IN ('APPLIED', 'PENDING_APPROVAL')
+      ), '[]'::json)`,
+      delivery: deliveries,
     })
     .from(orders)
     .leftJoin(staff, eq(staff.id, orders.placedByStaffId))
+    .leftJoin(deliveries, eq(deliveries.orderId, orders.id))
     .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
     .limit(1);
 
@@ -627,15 +959,18 @@ export async function getOrder(restaurantId, orderId) {
     ...order,
     paid_amount: order.paid_amount || order.paid_amount,
     items,
+    discounts: row.discounts || [],
     placedByStaff,
+    delivery: row.delivery ?? null,
   };
 }
 
 /**
  * List cancelled orders (summary only) - lightweight and fast.
  * Returns only important fields + table + staff (no items join).
+ * Pass `db` as dbToUse when the result must include writes made just now.
  */
-export async function listCancelledOrdersSummary(restaurantId, filters = {}) {
+export async function listCancelledOrdersSummary(restaurantId, filters = {}, dbToUse = readDb) {
   const {
     orderType,
     tableId,
@@ -658,8 +993,8 @@ export async function listCancelledOrdersSummary(restaurantId, filters = {}) {
   if (placedByStaffId) conditions.push(eq(orders.placedByStaffId, placedByStaffId));
 
   // PERF-3: Single query using window function to avoid separate COUNT(*) round-trip
-  // PERF-4: Use readDb for SELECT — routes to read replica
-  const listResult = await readDb
+  // PERF-4: Reads from readDb (the read replica) unless the caller passes db
+  const listResult = await dbToUse
     .select({
       id: orders.id,
       status: orders.status,
@@ -697,15 +1032,16 @@ export async function listCancelledOrdersSummary(restaurantId, filters = {}) {
 
   let tableMap = new Map();
   if (tableIds.length) {
-    const tableRows = await readDb
+    const tableRows = await dbToUse
       .select({ id: tables.id, tableNumber: tables.tableNumber, floorSection: tables.floorSection })
       .from(tables)
       .where(inArray(tables.id, tableIds));
     tableMap = new Map(tableRows.map(t => [t.id, t]));
   }
 
+  let staffMap = new Map();
   if (staffIds.length) {
-    const staffRows = await readDb
+    const staffRows = await dbToUse
       .select({ id: staff.id, fullName: staff.fullName, role: staff.role })
       .from(staff)
       .where(inArray(staff.id, staffIds));
@@ -862,9 +1198,19 @@ export async function listOrders(restaurantId, filters = {}) {
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
  * @param {string} status - New status
+ * @param {object|null} [actor] - { id, type } of who changed it; cancellations go on the audit trail
  * @returns {Promise<object|null>} Updated order
  */
-export async function updateOrderStatus(restaurantId, orderId, status) {
+export async function updateOrderStatus(restaurantId, orderId, status, actor = null) {
+  // Cancelling writes off the bill, so it goes on the audit trail
+  const [before] = status === "CANCELLED"
+    ? await db
+        .select()
+        .from(orders)
+        .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+        .limit(1)
+    : [];
+
   const updateData = {
     status,
     updatedAt: new Date(),
@@ -894,28 +1240,46 @@ export async function updateOrderStatus(restaurantId, orderId, status) {
     // Sync order items status for kitchen/waiter KDS UI updates
     if (status === "PREPARING") {
       await db.update(orderItems)
-        .set({ status: "PREPARING" })
+        .set(itemStatusChange("PREPARING"))
         .where(and(
           eq(orderItems.orderId, orderId),
-          eq(orderItems.status, "PENDING")
+          eq(orderItems.status, "PENDING"),
+          eq(orderItems.isHeld, false)
         ));
     } else if (status === "READY") {
       await db.update(orderItems)
-        .set({ status: "READY" })
+        .set(itemStatusChange("READY"))
         .where(and(
           eq(orderItems.orderId, orderId),
-          inArray(orderItems.status, ["PENDING", "PREPARING"])
+          inArray(orderItems.status, ["PENDING", "PREPARING"]),
+          eq(orderItems.isHeld, false)
         ));
     } else if (status === "SERVED") {
       await db.update(orderItems)
-        .set({ status: "SERVED" })
+        .set(itemStatusChange("SERVED"))
         .where(and(
           eq(orderItems.orderId, orderId),
-          inArray(orderItems.status, ["PENDING", "PREPARING", "READY"])
+          inArray(orderItems.status, ["PENDING", "PREPARING", "READY"]),
+          eq(orderItems.isHeld, false)
         ));
     }
 
+    await applyInventoryConsumption(restaurantId, orderId, status === "CANCELLED" ? "restore" : "deduct");
+    if (status === "CANCELLED") {
+      await reverseLoyaltyEntries(restaurantId, { orderId }, { reason: "Order cancelled" });
+      await cancelDeliveryForOrder(restaurantId, orderId);
+    }
+
+    if (before) {
+      await recordOrderAudit(restaurantId, orderId, {
+        action: "ORDER_CANCELLED",
+        before: orderAuditSnapshot(before),
+        after: orderAuditSnapshot(updated),
+      }, actor);
+    }
+
     emitOrderStatusChanged(restaurantId, updated);
+    pushOrderStatus(updated, status);
 
     // ✅ NEW: Free the table if the order is CANCELLED (similar to closeOrder logic)
     if (status === "CANCELLED" && updated.tableId) {
@@ -935,24 +1299,10 @@ export async function updateOrderStatus(restaurantId, orderId, status) {
 
       // If no other open orders, free the table
       if (otherOpenOrders.length === 0) {
-        const tableRows = await db
-          .update(tables)
-          .set({
-            currentStatus: "AVAILABLE",
-            assignedWaiterId: null,
-            updatedAt: new Date(),
-          })
-          .where(
-            and(
-              eq(tables.restaurantId, restaurantId),
-              eq(tables.id, updated.tableId)
-            )
-          )
-          .returning();
-        
-        if (tableRows[0]) {
-          emitTableStatusChanged(restaurantId, tableRows[0]);
-          console.log("✅ Table freed by cancellation via updateOrderStatus:", tableRows[0].tableNumber);
+        const tableRows = await freeTableGroup(db, restaurantId, updated.tableId, { clearWaiter: true });
+        for (const table of tableRows) emitTableStatusChanged(restaurantId, table);
+        if (tableRows.length > 0) {
+          console.log("✅ Table freed by cancellation via updateOrderStatus:", tableRows.map((t) => t.tableNumber).join(", "));
         }
       }
     }
@@ -960,20 +1310,89 @@ export async function updateOrderStatus(restaurantId, orderId, status) {
   return updated;
 }
 
+// Order statuses the kitchen moves an order through, in order
+const KITCHEN_FLOW = ["PENDING", "PREPARING", "READY", "SERVED"];
+
+/**
+ * Move the order forward to the status its items imply (see deriveOrderKitchenStatus), so an
+ * order becomes READY only once every station is done. Never moves an order backwards.
+ * @returns {Promise<boolean>} Whether the order status changed (and an event was emitted)
+ * @private
+ */
+async function syncOrderWithKitchen(restaurantId, orderId) {
+  const [orderRows, itemRows] = await Promise.all([
+    db
+      .select({ status: orders.status })
+      .from(orders)
+      .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+      .limit(1),
+    db
+      .select({ status: orderItems.status, isHeld: orderItems.isHeld })
+      .from(orderItems)
+      .where(eq(orderItems.orderId, orderId)),
+  ]);
+  const current = orderRows[0]?.status;
+  const target = deriveOrderKitchenStatus(itemRows);
+  if (!target || !KITCHEN_FLOW.includes(current) || KITCHEN_FLOW.indexOf(target) <= KITCHEN_FLOW.indexOf(current)) {
+    return false;
+  }
+
+  if (target === "PREPARING") {
+    // updateOrderStatus would start every station's pending items; only the order row moves here
+    const [updated] = await db
+      .update(orders)
+      .set({ status: "PREPARING", updatedAt: new Date() })
+      .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+      .returning();
+    emitOrderStatusChanged(restaurantId, updated);
+    pushOrderStatus(updated, "PREPARING");
+  } else {
+    // Every item is already READY/SERVED, so the item sync in updateOrderStatus changes nothing
+    await updateOrderStatus(restaurantId, orderId, target);
+  }
+  return true;
+}
+
 /**
  * Update individual order item status
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
  * @param {string} orderItemId - Order Item ID
  * @param {string} status - New status for the item
+ * @param {object} [options]
+ * @param {string|null} [options.stationId] - Kitchen station making the change; it may only bump its own items
+ * @param {string|null} [options.reason] - Why the item is voided (required to void on an order with payments)
+ * @param {object|null} [options.actor] - { id, type } of who made the change, for the audit trail
  * @returns {Promise<object|null>} Updated order item
  */
-export async function updateOrderItemStatus(restaurantId, orderId, orderItemId, status) {
+export async function updateOrderItemStatus(
+  restaurantId,
+  orderId,
+  orderItemId,
+  status,
+  { stationId = null, reason = null, actor = null } = {}
+) {
+  const [item] = await db
+    .select()
+    .from(orderItems)
+    .where(and(eq(orderItems.restaurantId, restaurantId), eq(orderItems.orderId, orderId), eq(orderItems.id, orderItemId)))
+    .limit(1);
+  if (item && stationId && !isItemForStation(item, stationId)) {
+    throw httpError("This item belongs to another kitchen station", 403);
+  }
+  // Held courses can be cancelled but not cooked until they are fired
+  if (item?.isHeld && status !== "CANCELLED") {
+    throw httpError("This item's course is on hold; fire it first", 409);
+  }
+  const voiding = item && status === "CANCELLED" && item.status !== "CANCELLED";
+  if (voiding) await assertVoidReason(restaurantId, orderId, reason);
+
   // Update the individual item's status
   const rows = await db
     .update(orderItems)
-    .set({ status })
+    .set(itemStatusChange(status))
     .where(and(
+      eq(orderItems.restaurantId, restaurantId),
       eq(orderItems.orderId, orderId),
       eq(orderItems.id, orderItemId) // We should only update the specific item
     ))
@@ -982,17 +1401,25 @@ export async function updateOrderItemStatus(restaurantId, orderId, orderItemId,
   const updatedItem = rows[0] || null;
 
   if (updatedItem) {
-    // Check if ALL items in the order are now SERVED.
-    // If so, automatically mark the whole order as SERVED.
-    const allItems = await db
-      .select({ status: orderItems.status })
-      .from(orderItems)
-      .where(eq(orderItems.orderId, orderId));
+    if (voiding) {
+      await recordOrderAudit(restaurantId, orderId, {
+        action: "ITEM_VOIDED",
+        orderItemId,
+        before: { item: itemAuditSnapshot(item) },
+        after: { item: itemAuditSnapshot(updatedItem) },
+        reason,
+      }, actor);
+    }
+    await applyInventoryConsumption(
+      restaurantId,
+      orderId,
+      status === "CANCELLED" ? "restore" : "deduct",
+      [orderItemId]
+    );
 
-    const allServed = allItems.every(item => item.status === "SERVED");
-    if (allServed) {
-      await updateOrderStatus(restaurantId, orderId, "SERVED");
-    } else {
+    // Advance the order once the items say so (e.g. READY when all stations are done)
+    const advanced = await syncOrderWithKitchen(restaurantId, orderId);
+    if (!advanced) {
       // Just emit that the order has changed so the UI refreshes the item states
       const updatedOrder = await getOrder(restaurantId, orderId);
       if (updatedOrder) {
@@ -1004,35 +1431,131 @@ export async function updateOrderItemStatus(restaurantId, orderId, orderItemId,
   return updatedItem;
 }
 
+/**
+ * Bump all of one station's items on an order (start them or mark them ready), then advance the
+ * order if every station is done.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {string} stationId - Kitchen station
+ * @param {'PREPARING'|'READY'} status - New status for the station's items
+ * @returns {Promise<object|null>} The order with items, or null if not found
+ */
+export async function bumpStationItems(restaurantId, orderId, stationId, status) {
+  const order = await getOrder(restaurantId, orderId);
+  if (!order) return null;
+
+  const from = status === "PREPARING" ? ["PENDING"] : ["PENDING", "PREPARING"];
+  const itemIds = order.items
+    .filter((item) => !item.isHeld && from.includes(item.status) && isItemForStation(item, stationId))
+    .map((item) => item.id);
+  if (itemIds.length === 0) return order;
+
+  await db
+    .update(orderItems)
+    .set(itemStatusChange(status))
+    .where(and(eq(orderItems.restaurantId, restaurantId), inArray(orderItems.id, itemIds)));
+
+  const advanced = await syncOrderWithKitchen(restaurantId, orderId);
+  const updatedOrder = await getOrder(restaurantId, orderId);
+  if (!advanced && updatedOrder) emitOrderUpdated(restaurantId, updatedOrder);
+  return updatedOrder;
+}
+
+/**
+ * Fire held courses: every held item up to the given course (default: the next held course) goes
+ * to the kitchen as a new KOT, and a READY/SERVED order goes back to PENDING for it.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {number|null} [courseNumber] - Last course to fire
+ * @returns {Promise<object|null>} The order with items, or null if not found
+ */
+export async function fireOrderCourse(restaurantId, orderId, courseNumber = null) {
+  const order = await getOrder(restaurantId, orderId);
+  if (!order) return null;
+  if (order.isClosed || order.status === "CANCELLED") {
+    throw httpError("Cannot fire a course on a closed order", 409);
+  }
+
+  const upTo = courseNumber ?? nextHeldCourse(order.items);
+  const heldIds = order.items
+    .filter((item) => item.isHeld && item.status !== "CANCELLED" && item.courseNumber <= upTo)
+    .map((item) => item.id);
+  if (heldIds.length === 0) {
+    throw httpError(upTo === null ? "No held course to fire" : `No held items in course ${upTo}`, 409);
+  }
+
+  const fired = await db.transaction(async (tx) => {
+    const kotCounterResult = await tx.execute(
+      sql`UPDATE restaurants SET kot_counter = kot_counter + 1 WHERE id = ${restaurantId} RETURNING kot_counter`
+    );
+    const now = new Date();
+    const firedItems = await tx
+      .update(orderItems)
+      .set({
+        isHeld: false,
+        firedAt: now,
+        acceptedAt: now,
+        kotNumber: kotCounterResult.rows[0]?.kot_counter || null,
+      })
+      .where(and(eq(orderItems.restaurantId, restaurantId), inArray(orderItems.id, heldIds), eq(orderItems.isHeld, true)))
+      .returning();
+
+    if (firedItems.length > 0 && (order.status === "READY" || order.status === "SERVED")) {
+      await tx
+        .update(orders)
+        .set({ status: "PENDING", updatedAt: now })
+        .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)));
+    }
+    return firedItems;
+  });
+
+  const updatedOrder = await getOrder(restaurantId, orderId);
+  if (updatedOrder && fired.length > 0) {
+    emitOrderCourseFired(restaurantId, updatedOrder, upTo, fired);
+  }
+  return updatedOrder;
+}
+
 /**
  * Update order (partial update)
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
  * @param {object} data - Update data
+ * @param {object} [audit] - How the change goes on the audit trail: { action, actor, reason, before, after }
+ *   (defaults to ORDER_UPDATED; before/after add context beyond the order's own fields)
  * @returns {Promise<object|null>} Updated order
  */
-export async function updateOrder(restaurantId, orderId, data) {
+export async function updateOrder(restaurantId, orderId, data, audit = {}) {
   const existing = await getOrder(restaurantId, orderId);
   if (!existing) return null;
 
   const updateData = { ...data };
 
-  // If discountAmount is provided, recalculate totals + payment status based on existing subtotal/taxes.
-  if (data.discountAmount !== undefined) {
-    let discount = Number(data.discountAmount);
+  // A new phone number re-points the order at that guest's profile
+  if (data.guestPhone !== undefined) {
+    const customer = await upsertCustomer(restaurantId, { phone: data.guestPhone, name: data.guestName ?? existing.guestName });
+    updateData.customerId = customer?.id ?? null;
+  }
+
+  // If discountAmount or deliveryFee is provided, recalculate totals + payment status based on existing subtotal/taxes.
+  const changesTotal = data.discountAmount !== undefined || data.deliveryFee !== undefined;
+  if (changesTotal) {
+    let discount = Number(data.discountAmount ?? existing.discountAmount);
     if (!Number.isFinite(discount)) discount = 0;
     discount = Math.max(0, discount);
 
     const subtotal = parseFloat(existing.subtotalAmount || "0");
     const gst = parseFloat(existing.gstAmount || "0");
     const service = parseFloat(existing.serviceTaxAmount || "0");
+    const deliveryFee = Math.max(0, Number(data.deliveryFee ?? existing.deliveryFee) || 0);
 
-    const totalBeforeDiscount = subtotal + gst + service;
+    const totalBeforeDiscount = subtotal + gst + service + deliveryFee;
     discount = Math.min(discount, totalBeforeDiscount);
 
     const newTotal = Math.max(0, totalBeforeDiscount - discount);
 
     updateData.discountAmount = discount.toFixed(2);
+    updateData.deliveryFee = deliveryFee.toFixed(2);
     updateData.totalAmount = newTotal.toFixed(2);
 
     // Re-evaluate payment status in case discount changes outstanding amount.
@@ -1051,20 +1574,21 @@ export async function updateOrder(restaurantId, orderId, data) {
     updateData.paymentStatus = paymentStatus;
     updateData.paid_amount = paidAmount.toFixed(2);
 
-    // If a transaction already exists, keep it in sync.
+    // If a transaction already exists, keep it in sync (split payments are per payer and stay as paid).
     const existingTransactionRows = await db
       .select()
       .from(transactions)
-      .where(eq(transactions.orderId, orderId))
+      .where(singleBillCondition(orderId))
       .limit(1);
     const existingTransaction = existingTransactionRows[0];
-    if (existingTransaction) {
+    if (existingTransaction && !(await hasSplitPayments(orderId))) {
       await db
         .update(transactions)
         .set({
           subtotal: subtotal.toFixed(2),
           gstAmount: gst.toFixed(2),
           serviceTaxAmount: service.toFixed(2),
+          deliveryFee: deliveryFee.toFixed(2),
           discountAmount: discount.toFixed(2),
           grandTotal: newTotal.toFixed(2),
         })
@@ -1083,6 +1607,16 @@ export async function updateOrder(restaurantId, orderId, data) {
 
   const updated = rows[0] || null;
   if (updated) {
+    // Guest details and notes aren't money, so only discount and delivery fee changes go on the audit trail
+    if (changesTotal) {
+      const { action = "ORDER_UPDATED", actor = null, reason = null, before = {}, after = {} } = audit;
+      await recordOrderAudit(restaurantId, orderId, {
+        action,
+        before: { ...orderAuditSnapshot(existing), ...before },
+        after: { ...orderAuditSnapshot(updated), ...after },
+        reason,
+      }, actor);
+    }
     emitOrderUpdated(restaurantId, updated);
   }
   return updated;
@@ -1093,7 +1627,7 @@ export async function updateOrder(restaurantId, orderId, data) {
  *
  * This is used by the bill preview to let staff waive service charges for a specific order.
  */
-export async function removeServiceChargeFromOrder(restaurantId, orderId) {
+export async function removeServiceChargeFromOrder(restaurantId, orderId, actor = null) {
   const existing = await getOrder(restaurantId, orderId);
   if (!existing) {
     throw new Error("Order not found");
@@ -1151,11 +1685,11 @@ export async function removeServiceChargeFromOrder(restaurantId, orderId) {
   const existingTransactionRows = await db
     .select()
     .from(transactions)
-    .where(eq(transactions.orderId, orderId))
+    .where(singleBillCondition(orderId))
     .limit(1);
   const existingTransaction = existingTransactionRows[0];
 
-  if (existingTransaction) {
+  if (existingTransaction && !(await hasSplitPayments(orderId))) {
     await db
       .update(transactions)
       .set({
@@ -1168,6 +1702,11 @@ export async function removeServiceChargeFromOrder(restaurantId, orderId) {
       .where(eq(transactions.id, existingTransaction.id));
   }
 
+  await recordOrderAudit(restaurantId, orderId, {
+    action: "SERVICE_CHARGE_REMOVED",
+    before: orderAuditSnapshot(existing),
+    after: orderAuditSnapshot(updated),
+  }, actor);
   emitOrderUpdated(restaurantId, updated);
 
   // Return enriched order for immediate UI refresh.
@@ -1178,10 +1717,11 @@ export async function removeServiceChargeFromOrder(restaurantId, orderId) {
  * Cancel order
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
+ * @param {object|null} [actor] - { id, type } of who cancelled it, for the audit trail
  * @returns {Promise<object|null>} Cancelled order
  */
-export async function cancelOrder(restaurantId, orderId) {
-  return updateOrderStatus(restaurantId, orderId, "CANCELLED");
+export async function cancelOrder(restaurantId, orderId, actor = null) {
+  return updateOrderStatus(restaurantId, orderId, "CANCELLED", actor);
 }
 
 /**
@@ -1189,7 +1729,7 @@ export async function cancelOrder(restaurantId, orderId) {
  * This prevents future orders from being added to this order
  * Only available for SERVED + PAID orders
  */
-export async function closeOrder(restaurantId, orderId) {
+export async function closeOrder(restaurantId, orderId, actor = null) {
   const order = await getOrder(restaurantId, orderId);
   if (!order) {
     throw new Error("Order not found");
@@ -1223,6 +1763,11 @@ export async function closeOrder(restaurantId, orderId) {
   const updated = rows[0] || null;
   if (updated) {
     console.log("🔒 Order closed:", orderId);
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "ORDER_CLOSED",
+      before: orderAuditSnapshot(order),
+      after: orderAuditSnapshot(updated),
+    }, actor);
     emitOrderUpdated(restaurantId, updated);
     
     // If table order, check if we should free the table
@@ -1243,24 +1788,10 @@ export async function closeOrder(restaurantId, orderId) {
 
       // If no other open orders, free the table
       if (otherOpenOrders.length === 0) {
-        const tableRows = await db
-          .update(tables)
-          .set({
-            currentStatus: "AVAILABLE",
-            assignedWaiterId: null,
-            updatedAt: new Date(),
-          })
-          .where(
-            and(
-              eq(tables.restaurantId, restaurantId),
-              eq(tables.id, updated.tableId)
-            )
-          )
-          .returning();
-        
-        if (tableRows[0]) {
-          emitTableStatusChanged(restaurantId, tableRows[0]);
-          console.log("✅ Table freed:", tableRows[0].tableNumber);
+        const tableRows = await freeTableGroup(db, restaurantId, updated.tableId, { clearWaiter: true });
+        for (const table of tableRows) emitTableStatusChanged(restaurantId, table);
+        if (tableRows.length > 0) {
+          console.log("✅ Table freed:", tableRows.map((t) => t.tableNumber).join(", "));
         }
       }
     }
@@ -1272,9 +1803,11 @@ export async function closeOrder(restaurantId, orderId) {
 /**
  * Get active orders for kitchen (PENDING, PREPARING, READY) with customization
  * @param {string} restaurantId - Restaurant ID
+ * @param {object} [options]
+ * @param {string|null} [options.stationId] - Only this kitchen station's items (and orders that have some)
  * @returns {Promise<Array>} Active orders with items
  */
-export async function getKitchenOrders(restaurantId) {
+export async function getKitchenOrders(restaurantId, { stationId = null } = {}) {
   const cacheKey = `kds:active:${restaurantId}`;
   const redisClient = getRedisClient();
   const ttlSeconds = 10;
@@ -1287,7 +1820,14 @@ export async function getKitchenOrders(restaurantId) {
       .where(
         and(
           eq(orders.restaurantId, restaurantId),
-          inArray(orders.status, ['PENDING', 'PREPARING', 'READY'])
+          or(
+            inArray(orders.status, ['PENDING', 'PREPARING', 'READY']),
+            // Served orders stay on the board while a later course is still held
+            and(
+              eq(orders.status, 'SERVED'),
+              sql`EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = ${orders.id} AND oi.is_held AND oi.status != 'CANCELLED')`
+            )
+          )
         )
       )
       .orderBy(orders.createdAt);
@@ -1314,12 +1854,18 @@ export async function getKitchenOrders(restaurantId) {
         : Promise.resolve([]),
     ]);
 
+    // Fired items are cooked now; held courses are shown as upcoming
     const itemsByOrderId = new Map();
+    const upcomingByOrderId = new Map();
     for (const item of itemsRows) {
+      // Guest items not yet approved by staff must not reach the kitchen
+      if (item.status === "PENDING_APPROVAL") continue;
+      if (item.isHeld && item.status === "CANCELLED") continue;
       const parsed = { ...item, selectedModifiers: item.selectedModifiers || [] };
-      const arr = itemsByOrderId.get(item.orderId);
+      const byOrderId = item.isHeld ? upcomingByOrderId : itemsByOrderId;
+      const arr = byOrderId.get(item.orderId);
       if (arr) arr.push(parsed);
-      else itemsByOrderId.set(item.orderId, [parsed]);
+      else byOrderId.set(item.orderId, [parsed]);
     }
 
     const tableMap = new Map(tableRows.map((t) => [t.id, t]));
@@ -1328,15 +1874,17 @@ export async function getKitchenOrders(restaurantId) {
     return activeOrders.map((order) => ({
       ...order,
       items: itemsByOrderId.get(order.id) || [],
+      upcomingItems: upcomingByOrderId.get(order.id) || [],
       table: order.tableId ? tableMap.get(order.tableId) || null : null,
       placedByStaff: order.placedByStaffId ? staffMap.get(order.placedByStaffId) || null : null,
     }));
   };
 
-  if (redisClient) {
-    return await cacheGetOrSetJson(redisClient, cacheKey, ttlSeconds, producer);
-  }
-  return await producer();
+  // One cached board per restaurant; stations are cut from it
+  const kitchenOrders = redisClient
+    ? await cacheGetOrSetJson(redisClient, cacheKey, ttlSeconds, producer)
+    : await producer();
+  return filterOrdersForStation(kitchenOrders, stationId);
 }
 
 /**
@@ -1440,9 +1988,14 @@ export async function getOrderStats(restaurantId, options = {}) {
  * @param {Array} items - Items to add (may include variantId and modifierIds)
  * @param {string} paymentMethod - Payment method for new items (CASH, CARD, UPI, DUE)
  * @param {string} paymentStatus - Payment status for new items (PAID, DUE)
+ * @param {object} [dbToUse] - Drizzle db or transaction handle
+ * @param {object} [options]
+ * @param {boolean} [options.requiresApproval] - Guest QR items: hold them in PENDING_APPROVAL until staff confirm
  * @returns {Promise<object>} Updated order with new items
  */
-export async function addOrderItems(restaurantId, orderId, items, paymentMethod = "DUE", paymentStatus = "DUE", dbToUse = db) {
+export async function addOrderItems(restaurantId, orderId, items, paymentMethod = "DUE", paymentStatus = "DUE", dbToUse = db, options = {}) {
+  const { requiresApproval = false, actor = null } = options;
+
   // Verify order exists and belongs to restaurant
   const order = await getOrder(restaurantId, orderId);
   if (!order) {
@@ -1463,16 +2016,20 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
   console.log("New items payment status:", paymentStatus);
 
   // Process new items with customization
-  const { processedItems, subtotal: additionalTotal } = await processOrderItemsWithCustomization(
+  const { processedItems: pricedItems, subtotal: additionalTotal } = await processOrderItemsWithCustomization(
     restaurantId,
     items,
     dbToUse
   );
+  const processedItems = holdLaterCourses(pricedItems, order.items, order.orderType);
+  const firesNow = processedItems.some((item) => !item.isHeld);
 
-  // Increment KOT counter for this new batch of items
-  const kotCounterResult = await dbToUse.execute(
-    sql`UPDATE restaurants SET kot_counter = kot_counter + 1 WHERE id = ${restaurantId} RETURNING kot_counter`
-  );
+  // Increment KOT counter for this new batch of items (held courses get theirs when fired)
+  const kotCounterResult = firesNow
+    ? await dbToUse.execute(
+        sql`UPDATE restaurants SET kot_counter = kot_counter + 1 WHERE id = ${restaurantId} RETURNING kot_counter`
+      )
+    : { rows: [] };
   const currentKotNumber = kotCounterResult.rows[0]?.kot_counter || null;
 
   const orderItemsData = processedItems.map((item) => ({
@@ -1492,7 +2049,15 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
     variantPrice: item.variantPrice,
     selectedModifiers: sql`${JSON.stringify(item.selectedModifiers)}::jsonb`,
     customizationAmount: item.customizationAmount,
-    kotNumber: currentKotNumber,
+    kotNumber: item.isHeld ? null : currentKotNumber,
+    kitchenStationId: item.kitchenStationId,
+    targetPrepMinutes: item.targetPrepMinutes,
+    courseNumber: item.courseNumber,
+    isHeld: item.isHeld,
+    firedAt: item.isHeld ? null : new Date(),
+    // Guest items awaiting approval are accepted when staff approve them; held courses when fired
+    acceptedAt: requiresApproval || item.isHeld ? null : new Date(),
+    status: requiresApproval ? "PENDING_APPROVAL" : "PENDING",
   }));
 
   const newItems = await dbToUse
@@ -1500,6 +2065,15 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
     .values(orderItemsData)
     .returning();
 
+  // Left for the caller to broadcast when it owns the transaction (see createOrder)
+  const stockMovements = await applyInventoryConsumption(
+    restaurantId,
+    orderId,
+    "deduct",
+    newItems.map((i) => i.id),
+    dbToUse
+  );
+
   // Recalculate order totals
   const newSubtotal = parseFloat(order.subtotalAmount) + additionalTotal;
   const restaurant = await dbToUse
@@ -1527,11 +2101,13 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
       : 0;
 
   // Apply existing discountAmount on the order (discount reduces the grand total, after taxes).
-  let discount = parseFloat(order.discountAmount || "0");
+  // Applied promotions are re-priced to cover the new items.
+  let discount =
+    (await repriceOrderDiscounts(restaurantId, orderId, dbToUse)) ?? parseFloat(order.discountAmount || "0");
   if (!Number.isFinite(discount)) discount = 0;
   discount = Math.max(0, discount);
 
-  const totalBeforeDiscount = newSubtotal + newGst + newService;
+  const totalBeforeDiscount = newSubtotal + newGst + newService + parseFloat(order.deliveryFee || "0");
   discount = Math.min(discount, totalBeforeDiscount);
 
   const newTotal = Math.max(0, totalBeforeDiscount - discount);
@@ -1546,8 +2122,11 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
   let newPaymentStatus = order.paymentStatus;
   let newOrderStatus = order.status;
 
+  // Split orders take the new items as another split payment below, which moves paid_amount itself
+  const splitOrder = await hasSplitPayments(orderId, dbToUse);
+
   // If new items are being PAID (not DUE), add to paid_amount
-  if (paymentStatus === "PAID" && paymentMethod !== "DUE") {
+  if (paymentStatus === "PAID" && paymentMethod !== "DUE" && !splitOrder) {
     updatedPaidAmount += additionalTotalWithTax;
   }
 
@@ -1562,13 +2141,14 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
   }
 
   // Determine order status
-  if (order.status === "SERVED" || order.status === "READY") {
+  // Guest items awaiting approval don't reopen the ticket yet — approveGuestOrder does that.
+  if (!requiresApproval && firesNow && (order.status === "SERVED" || order.status === "READY")) {
     // Adding items to SERVED/READY order - send back to kitchen
     newOrderStatus = "PENDING";
   }
 
   // Update order totals and payment status
-  await dbToUse
+  const [totalledOrder] = await dbToUse
     .update(orders)
     .set({
       subtotalAmount: newSubtotal.toFixed(2),
@@ -1581,15 +2161,36 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
       status: newOrderStatus,
       updatedAt: new Date(),
     })
-    .where(eq(orders.id, orderId));
+    .where(eq(orders.id, orderId))
+    .returning();
+
+  await recordOrderAudit(restaurantId, orderId, {
+    action: "ITEMS_ADDED",
+    before: orderAuditSnapshot(order),
+    after: { ...orderAuditSnapshot(totalledOrder), items: newItems.map(itemAuditSnapshot) },
+  }, actor, dbToUse);
 
   // ✅ If new items were PAID, create/update transaction
-  if (paymentStatus === "PAID" && paymentMethod !== "DUE" && additionalTotalWithTax > 0) {
+  if (splitOrder && paymentStatus === "PAID" && paymentMethod !== "DUE" && additionalTotalWithTax > 0) {
+    await recordSplitPayments(
+      restaurantId,
+      orderId,
+      {
+        method: "CUSTOM",
+        payments: [{
+          paymentMethod: paymentMethod.toUpperCase(),
+          amount: Math.min(additionalTotalWithTax, newTotal - updatedPaidAmount),
+        }],
+      },
+      dbToUse,
+      actor
+    );
+  } else if (paymentStatus === "PAID" && paymentMethod !== "DUE" && additionalTotalWithTax > 0) {
     // Check if transaction exists
     const existingTransactionRows = await dbToUse
       .select()
       .from(transactions)
-      .where(eq(transactions.orderId, orderId))
+      .where(singleBillCondition(orderId))
       .limit(1);
 
     const existingTransaction = existingTransactionRows[0];
@@ -1605,6 +2206,8 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
           gstAmount: newGst.toFixed(2),
           serviceTaxAmount: newService.toFixed(2),
           discountAmount: discount.toFixed(2),
+          cashDrawerSessionId: existingTransaction.cashDrawerSessionId ??
+            (paymentMethod.toUpperCase() === "CASH" ? await findOpenDrawerSessionId(restaurantId, actor, dbToUse) : null),
           paidAt: new Date(),
         })
         .where(eq(transactions.id, existingTransaction.id));
@@ -1620,7 +2223,7 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
           combinedGst: newGst,
           combinedService: newService,
           combinedTotal: newTotal,
-        }, dbToUse);
+        }, dbToUse, actor);
       } catch (err) {
         console.error("Failed to create transaction:", err);
       }
@@ -1641,18 +2244,40 @@ export async function addOrderItems(restaurantId, orderId, items, paymentMethod
   return {
     order: updatedOrder,
     newItems,
+    stockMovements,
   };
 }
 
 
+/**
+ * Whether an order item has already gone to the kitchen on a KOT (held course items haven't).
+ * @returns {Promise<boolean>} false when the item doesn't exist
+ */
+export async function isOrderItemSentToKitchen(restaurantId, orderId, orderItemId) {
+  const rows = await readDb
+    .select({ kotNumber: orderItems.kotNumber, isHeld: orderItems.isHeld })
+    .from(orderItems)
+    .where(
+      and(
+        eq(orderItems.restaurantId, restaurantId),
+        eq(orderItems.orderId, orderId),
+        eq(orderItems.id, orderItemId)
+      )
+    )
+    .limit(1);
+  return Boolean(rows[0] && rows[0].kotNumber != null && !rows[0].isHeld);
+}
+
 /**
  * Remove an item from an order
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
  * @param {string} orderItemId - Order Item ID to remove
+ * @param {string|null} [reason] - Why the item is voided (required once the order has payments)
+ * @param {object|null} [actor] - { id, type } of who voided it, for the audit trail
  * @returns {Promise<object>} Updated order
  */
-export async function removeOrderItem(restaurantId, orderId, orderItemId) {
+export async function removeOrderItem(restaurantId, orderId, orderItemId, reason = null, actor = null) {
   // Verify order exists and belongs to restaurant
   const order = await getOrder(restaurantId, orderId);
   if (!order) {
@@ -1669,12 +2294,22 @@ export async function removeOrderItem(restaurantId, orderId, orderItemId) {
   if (!itemToRemove) {
     throw new Error("Order item not found");
   }
+  await assertVoidReason(restaurantId, orderId, reason);
 
   // REL-2 FIX: If this is the last item, cancel the entire order instead of leaving a zombie order
   if (order.items.length === 1) {
-    return cancelOrderWithReason(restaurantId, orderId, "Last item removed", "SYSTEM");
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "ITEM_VOIDED",
+      orderItemId,
+      before: { item: itemAuditSnapshot(itemToRemove) },
+      reason,
+    }, actor);
+    return cancelOrderWithReason(restaurantId, orderId, reason?.trim() || "Last item removed", actor);
   }
 
+  // Put the item's ingredients back before the row (and its stock_deducted flag) disappears
+  await applyInventoryConsumption(restaurantId, orderId, "restore", [orderItemId]);
+
   // Remove the item
   await db
     .delete(orderItems)
@@ -1714,12 +2349,13 @@ export async function removeOrderItem(restaurantId, orderId, orderItemId) {
       ? newSubtotal * serviceRate
       : 0;
 
-  // Preserve and apply existing discount.
-  let discount = parseFloat(order.discountAmount || "0");
+  // Preserve and apply existing discount (applied promotions are re-priced without the item).
+  let discount =
+    (await repriceOrderDiscounts(restaurantId, orderId)) ?? parseFloat(order.discountAmount || "0");
   if (!Number.isFinite(discount)) discount = 0;
   discount = Math.max(0, discount);
 
-  const totalBeforeDiscount = newSubtotal + newGst + newService;
+  const totalBeforeDiscount = newSubtotal + newGst + newService + parseFloat(order.deliveryFee || "0");
   discount = Math.min(discount, totalBeforeDiscount);
   const newTotal = Math.max(0, totalBeforeDiscount - discount);
   // Calculate if payment status needs to shift (e.g. they paid early, then an item was removed)
@@ -1754,10 +2390,10 @@ export async function removeOrderItem(restaurantId, orderId, orderItemId) {
   const existingTxnRows = await db
     .select()
     .from(transactions)
-    .where(eq(transactions.orderId, orderId))
+    .where(singleBillCondition(orderId))
     .limit(1);
 
-  if (existingTxnRows[0]) {
+  if (existingTxnRows[0] && !(await hasSplitPayments(orderId))) {
     await db
       .update(transactions)
       .set({
@@ -1771,6 +2407,13 @@ export async function removeOrderItem(restaurantId, orderId, orderItemId) {
   }
 
   const updatedOrder = await getOrder(restaurantId, orderId);
+  await recordOrderAudit(restaurantId, orderId, {
+    action: "ITEM_VOIDED",
+    orderItemId,
+    before: { ...orderAuditSnapshot(order), item: itemAuditSnapshot(itemToRemove) },
+    after: orderAuditSnapshot(updatedOrder),
+    reason,
+  }, actor);
   if (updatedOrder) {
     emitOrderUpdated(restaurantId, updatedOrder);
   }
@@ -1779,4 +2422,743 @@ export async function removeOrderItem(restaurantId, orderId, orderItemId) {
     order: updatedOrder,
     deleted: true,
   };
-}
\ No newline at end of file
+}
+// ============================================================
+// Table moves (guests changing tables, merged tables)
+// ============================================================
+
+// Orders still on the floor; PAID/CANCELLED ones have left the table
+const ACTIVE_ORDER_STATUSES = ["PENDING_APPROVAL", "PENDING", "PREPARING", "READY", "SERVED"];
+
+// Kitchen progress, earliest first — an order is only as far along as its least-ready item
+const ITEM_STAGES = ["PENDING", "PREPARING", "READY", "SERVED"];
+
+function assertMovableOrder(order) {
+  if (!order) throw httpError("Order not found", 404);
+  if (order.orderType !== "DINE_IN" || !order.tableId) {
+    throw httpError("Only dine-in table orders can be moved");
+  }
+  if (order.isClosed || !ACTIVE_ORDER_STATUSES.includes(order.status) || order.paymentStatus === "PAID") {
+    throw httpError("Only open, unpaid orders can be moved", 409);
+  }
+}
+
+const hasPayments = (order) => parseFloat(order.paid_amount || "0") > 0;
+
+async function lockOrder(tx, restaurantId, orderId) {
+  const rows = await tx
+    .select()
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+    .for("update");
+  return rows[0] || null;
+}
+
+/**
+ * Lock the table an order is moving to, after resolving it to its group's primary.
+ * @private
+ */
+async function lockTargetTable(tx, restaurantId, tableId) {
+  const billingTableId = await resolveBillingTableId(tx, restaurantId, tableId);
+  const rows = await tx
+    .select()
+    .from(tables)
+    .where(and(eq(tables.restaurantId, restaurantId), eq(tables.id, billingTableId)))
+    .for("update");
+  const table = rows[0];
+  if (!table || !table.isActive) throw httpError("Table not found", 404);
+  if (table.currentStatus === "BLOCKED") throw httpError(`Table ${table.tableNumber} is blocked`, 409);
+  return table;
+}
+
+/** The open order a table bills on (most recent first, as createOrder picks it) @private */
+async function findOpenTableOrder(tx, restaurantId, tableId) {
+  const rows = await tx
+    .select()
+    .from(orders)
+    .where(
+      and(
+        eq(orders.restaurantId, restaurantId),
+        eq(orders.tableId, tableId),
+        eq(orders.orderType, "DINE_IN"),
+        eq(orders.isClosed, false),
+        inArray(orders.status, ACTIVE_ORDER_STATUSES)
+      )
+    )
+    .orderBy(desc(orders.createdAt))
+    .limit(1)
+    .for("update");
+  return rows[0] || null;
+}
+
+async function tableHasActiveOrders(tx, restaurantId, tableId) {
+  const rows = await tx
+    .select({ id: orders.id })
+    .from(orders)
+    .where(
+      and(
+        eq(orders.restaurantId, restaurantId),
+        eq(orders.tableId, tableId),
+        eq(orders.isClosed, false),
+        inArray(orders.status, ACTIVE_ORDER_STATUSES)
+      )
+    )
+    .limit(1);
+  return rows.length > 0;
+}
+
+/**
+ * Recalculate an order's totals from its items after items moved in or out. Only used on
+ * orders without payments, so there is no bill to sync and the order stays DUE.
+ * Same rules as addOrderItems: dine-in service charge (keeping a waiver) and re-priced discounts.
+ * @private
+ */
+async function retotalUnpaidOrder(restaurantId, order, dbToUse = db) {
+  const [{ subtotal }] = await dbToUse
+    .select({ subtotal: sql`COALESCE(SUM(${orderItems.totalPrice}), 0)` })
+    .from(orderItems)
+    .where(and(eq(orderItems.orderId, order.id), eq(orderItems.restaurantId, restaurantId)));
+  const newSubtotal = parseFloat(subtotal);
+
+  const restaurant = await dbToUse
+    .select()
+    .from(restaurants)
+    .where(eq(restaurants.id, restaurantId))
+    .limit(1);
+
+  const gstRate = restaurant[0] ? parseFloat(restaurant[0].taxRateGst) / 100 : 0.05;
+  const serviceRate = restaurant[0] ? parseFloat(restaurant[0].taxRateService) / 100 : 0.1;
+
+  const newGst = newSubtotal * gstRate;
+
+  // Preserve per-order service charge waiver (see addOrderItems)
+  const currentSubtotal = parseFloat(order.subtotalAmount || "0");
+  const currentService = parseFloat(order.serviceTaxAmount || "0");
+  const wasServiceChargeWaived =
+    order.orderType === "DINE_IN" && serviceRate > 0 && currentSubtotal > 0 && currentService === 0;
+
+  const newService =
+    order.orderType === "DINE_IN" && !wasServiceChargeWaived
+      ? newSubtotal * serviceRate
+      : 0;
+
+  let discount =
+    (await repriceOrderDiscounts(restaurantId, order.id, dbToUse)) ?? parseFloat(order.discountAmount || "0");
+  if (!Number.isFinite(discount)) discount = 0;
+  const totalBeforeDiscount = newSubtotal + newGst + newService + parseFloat(order.deliveryFee || "0");
+  discount = Math.min(Math.max(0, discount), totalBeforeDiscount);
+  const newTotal = Math.max(0, totalBeforeDiscount - discount);
+
+  await dbToUse
+    .update(orders)
+    .set({
+      subtotalAmount: newSubtotal.toFixed(2),
+      gstAmount: newGst.toFixed(2),
+      serviceTaxAmount: newService.toFixed(2),
+      discountAmount: discount.toFixed(2),
+      totalAmount: newTotal.toFixed(2),
+      paymentStatus: "DUE",
+      updatedAt: new Date(),
+    })
+    .where(eq(orders.id, order.id));
+}
+
+/**
+ * Close an order whose items all moved to another order. Nothing was cancelled in the kitchen,
+ * so stock stays deducted (the items carry their stock_deducted flag with them).
+ * @private
+ */
+async function closeEmptiedOrder(tx, order, reason) {
+  const rows = await tx
+    .update(orders)
+    .set({
+      status: "CANCELLED",
+      cancelReason: reason,
+      isClosed: true,
+      subtotalAmount: "0",
+      gstAmount: "0",
+      serviceTaxAmount: "0",
+      discountAmount: "0",
+      totalAmount: "0",
+      updatedAt: new Date(),
+      closedAt: new Date(),
+    })
+    .where(eq(orders.id, order.id))
+    .returning();
+  await tx
+    .update(orderDiscounts)
+    .set({ status: "REMOVED", updatedAt: new Date() })
+    .where(and(eq(orderDiscounts.orderId, order.id), inArray(orderDiscounts.status, ["APPLIED", "PENDING_APPROVAL"])));
+  return rows[0];
+}
+
+/**
+ * Move an order's items onto another order. The receiving order steps back to the stage of
+ * its least-ready item, so the kitchen sees anything still to cook.
+ * @private
+ */
+async function moveItemsToOrder(tx, restaurantId, items, targetOrder) {
+  await tx
+    .update(orderItems)
+    .set({ orderId: targetOrder.id })
+    .where(and(eq(orderItems.restaurantId, restaurantId), inArray(orderItems.id, items.map((i) => i.id))));
+
+  const earliestStage = Math.min(...items.map((i) => ITEM_STAGES.indexOf(i.status)).filter((s) => s >= 0));
+  const targetStage = ITEM_STAGES.indexOf(targetOrder.status);
+  if (Number.isFinite(earliestStage) && targetStage > earliestStage) {
+    await tx
+      .update(orders)
+      .set({ status: ITEM_STAGES[earliestStage], updatedAt: new Date() })
+      .where(eq(orders.id, targetOrder.id));
+  }
+  await retotalUnpaidOrder(restaurantId, targetOrder, tx);
+}
+
+/**
+ * Move the open orders of merged-in tables onto the group's primary table. An unpaid order with
+ * no discounts is folded into the primary's open unpaid order so the group gets one bill;
+ * anything else (part-paid, discounted) keeps its own bill and just changes table.
+ * @param {object} tx - Open transaction (tables already locked by the caller)
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} primaryTableId - Group primary
+ * @param {string[]} memberTableIds - Tables being merged in
+ * @returns {Promise<{movedOrderIds: string[], closedOrderIds: string[]}>}
+ */
+export async function moveOrdersToPrimaryTable(tx, restaurantId, primaryTableId, memberTableIds) {
+  const movedOrderIds = [];
+  const closedOrderIds = [];
+  if (memberTableIds.length === 0) return { movedOrderIds, closedOrderIds };
+
+  let billingOrder = await findOpenTableOrder(tx, restaurantId, primaryTableId);
+  if (billingOrder && hasPayments(billingOrder)) billingOrder = null;
+
+  const memberOrders = await tx
+    .select()
+    .from(orders)
+    .where(
+      and(
+        eq(orders.restaurantId, restaurantId),
+        inArray(orders.tableId, memberTableIds),
+        eq(orders.isClosed, false),
+        inArray(orders.status, ACTIVE_ORDER_STATUSES)
+      )
+    )
+    .orderBy(orders.createdAt)
+    .for("update");
+
+  for (const order of memberOrders) {
+    const discounts = await tx
+      .select({ id: orderDiscounts.id })
+      .from(orderDiscounts)
+      .where(and(eq(orderDiscounts.orderId, order.id), inArray(orderDiscounts.status, ["APPLIED", "PENDING_APPROVAL"])))
+      .limit(1);
+    const canFold = billingOrder && !hasPayments(order) && discounts.length === 0 && order.status !== "PENDING_APPROVAL";
+
+    if (canFold) {
+      const items = await tx.select().from(orderItems).where(eq(orderItems.orderId, order.id));
+      if (items.length > 0) await moveItemsToOrder(tx, restaurantId, items, billingOrder);
+      await closeEmptiedOrder(tx, order, `Merged into order #${billingOrder.orderNumber ?? billingOrder.id}`);
+      closedOrderIds.push(order.id);
+      movedOrderIds.push(billingOrder.id);
+      // Later folds compare against the updated status and totals
+      billingOrder = await lockOrder(tx, restaurantId, billingOrder.id);
+      continue;
+    }
+
+    await tx
+      .update(orders)
+      .set({ tableId: primaryTableId, updatedAt: new Date() })
+      .where(eq(orders.id, order.id));
+    movedOrderIds.push(order.id);
+    if (!billingOrder && !hasPayments(order) && order.status !== "PENDING_APPROVAL") billingOrder = order;
+  }
+
+  return { movedOrderIds: [...new Set(movedOrderIds)], closedOrderIds };
+}
+
+/**
+ * Move an open dine-in order to another table (or merged group). The target becomes OCCUPIED;
+ * the old table is freed once nothing else is open on it.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {string} targetTableId - Any table of the target group
+ * @param {object|null} [actor] - { id, type } of who moved it, for the audit trail
+ * @returns {Promise<object>} The moved order with items
+ */
+export async function transferOrder(restaurantId, orderId, targetTableId, actor = null) {
+  const { changedTables } = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, restaurantId, orderId);
+    assertMovableOrder(order);
+
+    const target = await lockTargetTable(tx, restaurantId, targetTableId);
+    const sourceTableId = order.tableId;
+    if (target.id === sourceTableId) throw httpError("The order is already on this table", 409);
+
+    await tx
+      .update(orders)
+      .set({ tableId: target.id, updatedAt: new Date() })
+      .where(eq(orders.id, orderId));
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "ORDER_TRANSFERRED",
+      before: { tableId: sourceTableId },
+      after: { tableId: target.id },
+    }, actor, tx);
+
+    const changedTables = await setTableGroupStatus(tx, restaurantId, target.id, "OCCUPIED");
+    if (!(await tableHasActiveOrders(tx, restaurantId, sourceTableId))) {
+      changedTables.push(...(await freeTableGroup(tx, restaurantId, sourceTableId, { clearWaiter: true })));
+    }
+    return { changedTables };
+  });
+
+  for (const table of changedTables) emitTableStatusChanged(restaurantId, table);
+  const moved = await getOrder(restaurantId, orderId);
+  if (moved) emitOrderUpdated(restaurantId, moved);
+  return moved;
+}
+
+/**
+ * Move single items of an open order to another table. They join the open order there (or a new
+ * one), and both bills are re-totalled. Orders with payments can't be split this way — their
+ * bills are already settled against these totals.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order the items are on
+ * @param {string[]} orderItemIds - Items to move
+ * @param {string} targetTableId - Any table of the target group
+ * @param {object|null} [actor] - { id, type } of who moved them, for the audit trail
+ * @returns {Promise<{order: object|null, targetOrder: object}>} Source order (null once emptied and closed) and target order
+ */
+export async function transferOrderItems(restaurantId, orderId, orderItemIds, targetTableId, actor = null) {
+  const itemIds = [...new Set(orderItemIds)];
+
+  const result = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, restaurantId, orderId);
+    assertMovableOrder(order);
+    if (hasPayments(order)) {
+      throw httpError("This order has payments against it; move the whole order instead", 409);
+    }
+
+    const items = await tx
+      .select()
+      .from(orderItems)
+      .where(and(eq(orderItems.orderId, orderId), inArray(orderItems.id, itemIds)));
+    if (items.length !== itemIds.length) throw httpError("Order item not found", 404);
+    if (items.some((i) => !ITEM_STAGES.includes(i.status))) {
+      throw httpError("Only confirmed, active items can be moved", 409);
+    }
+
+    const target = await lockTargetTable(tx, restaurantId, targetTableId);
+    if (target.id === order.tableId) throw httpError("These items are already on this table", 409);
+
+    let targetOrder = await findOpenTableOrder(tx, restaurantId, target.id);
+    let createdTargetOrder = false;
+    if (targetOrder && hasPayments(targetOrder)) {
+      throw httpError(`The open order on table ${target.tableNumber} has payments against it`, 409);
+    }
+    if (!targetOrder) {
+      const inserted = await tx
+        .insert(orders)
+        .values({
+          restaurantId,
+          tableId: target.id,
+          placedByStaffId: order.placedByStaffId,
+          status: "SERVED",
+          paymentStatus: "DUE",
+          orderType: "DINE_IN",
+          subtotalAmount: "0",
+          gstAmount: "0",
+          serviceTaxAmount: "0",
+          discountAmount: "0",
+          totalAmount: "0",
+          paid_amount: "0",
+          isClosed: false,
+        })
+        .returning();
+      targetOrder = inserted[0];
+      createdTargetOrder = true;
+    }
+
+    // A new order starts at SERVED and steps back to its least-ready item
+    await moveItemsToOrder(tx, restaurantId, items, targetOrder);
+
+    const changedTables = await setTableGroupStatus(tx, restaurantId, target.id, "OCCUPIED");
+
+    const remaining = await tx
+      .select({ id: orderItems.id })
+      .from(orderItems)
+      .where(eq(orderItems.orderId, orderId))
+      .limit(1);
+    let sourceClosed = false;
+    if (remaining.length === 0) {
+      await closeEmptiedOrder(tx, order, `Items moved to order #${targetOrder.orderNumber ?? targetOrder.id}`);
+      sourceClosed = true;
+      if (!(await tableHasActiveOrders(tx, restaurantId, order.tableId))) {
+        changedTables.push(...(await freeTableGroup(tx, restaurantId, order.tableId, { clearWaiter: true })));
+      }
+    } else {
+      await retotalUnpaidOrder(restaurantId, order, tx);
+    }
+
+    // One entry on each bill: the items leave one and join the other
+    const moved = items.map(itemAuditSnapshot);
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "ITEMS_TRANSFERRED",
+      before: { items: moved },
+      after: { toOrderId: targetOrder.id, toTableId: target.id },
+    }, actor, tx);
+    await recordOrderAudit(restaurantId, targetOrder.id, {
+      action: "ITEMS_TRANSFERRED",
+      before: { fromOrderId: orderId, fromTableId: order.tableId },
+      after: { items: moved },
+    }, actor, tx);
+
+    return { changedTables, createdTargetOrder, sourceClosed, targetOrderId: targetOrder.id };
+  });
+
+  for (const table of result.changedTables) emitTableStatusChanged(restaurantId, table);
+
+  const source = await getOrder(restaurantId, orderId);
+  if (source) {
+    if (result.sourceClosed) emitOrderStatusChanged(restaurantId, source);
+    else emitOrderUpdated(restaurantId, source);
+  }
+  const targetOrder = await getOrder(restaurantId, result.targetOrderId);
+  if (result.createdTargetOrder) emitOrderCreated(restaurantId, targetOrder);
+  else emitOrderUpdated(restaurantId, targetOrder);
+
+  return { order: result.sourceClosed ? null : source, targetOrder };
+}
+
+// ============================================================
+// Guest self-ordering (table QR)
+// ============================================================
+
+/**
+ * Resolve the restaurant + table a guest scanned and verify the QR is current.
+ * The printed QR carries `tid` (table id) and `v` (tables.qr_code_version);
+ * regenerating a table's QR bumps the version, so old prints stop working. Codes printed before
+ * `v` existed carry no version and are only accepted while the table is still on its first QR.
+ * @param {string} slug - Restaurant slug from the QR URL
+ * @param {string} tableId - `tid` from the QR URL
+ * @param {number|undefined} qrVersion - `v` from the QR URL
+ * @returns {Promise<{restaurantId: string, tableId: string, tableNumber: string}>}
+ */
+export async function getGuestOrderingContext(slug, tableId, qrVersion) {
+  const result = await readDb.execute(sql`
+    SELECT
+      r.id AS "restaurantId",
+      r.is_active AS "restaurantActive",
+      r.subscription_status AS "subscriptionStatus",
+      r.subscription_valid_until AS "subscriptionValidUntil",
+      t.id AS "tableId",
+      t.table_number AS "tableNumber",
+      t.is_active AS "tableActive",
+      t.qr_code_version AS "qrCodeVersion"
+    FROM restaurants r
+    LEFT JOIN tables t ON t.restaurant_id = r.id AND t.id = ${tableId}
+    WHERE r.slug = ${slug}
+    LIMIT 1
+  `);
+
+  const row = result.rows[0];
+  if (!row || !row.restaurantActive) {
+    const err = new Error("Restaurant not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const subscriptionExpired =
+    row.subscriptionStatus === "EXPIRED" ||
+    (row.subscriptionValidUntil && new Date(row.subscriptionValidUntil) < new Date());
+  if (subscriptionExpired) {
+    const err = new Error("Online ordering is not available for this restaurant");
+    err.status = 403;
+    throw err;
+  }
+
+  if (!row.tableId || !row.tableActive) {
+    const err = new Error("Table not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const version = qrVersion === undefined || qrVersion === null ? 1 : Number(qrVersion);
+  if (Number(row.qrCodeVersion) !== version) {
+    const err = new Error("This QR code is no longer valid. Please ask staff for assistance.");
+    err.status = 403;
+    throw err;
+  }
+
+  return {
+    restaurantId: row.restaurantId,
+    tableId: row.tableId,
+    tableNumber: row.tableNumber,
+  };
+}
+
+/**
+ * Place (or add to) the open dine-in order for a scanned table on behalf of a guest.
+ * Reuses createOrder, so pricing, customization validation and open-order reuse are identical
+ * to staff orders — the only difference is that the new items wait in PENDING_APPROVAL.
+ * Refused outside business hours, on holidays and while orders are paused.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} tableId - Table ID (already verified by getGuestOrderingContext)
+ * @param {object} data - { items, guestName, guestPhone, notes }
+ * @returns {Promise<object>} Enriched order
+ */
+export async function placeGuestOrder(restaurantId, tableId, data) {
+  await assertOpenForGuests(restaurantId, { orders: true });
+
+  const { order, newItems } = await createOrder(restaurantId, {
+    tableId,
+    orderType: "DINE_IN",
+    items: data.items,
+    guestName: data.guestName,
+    guestPhone: data.guestPhone,
+    notes: data.notes,
+    paymentMethod: "DUE",
+    paymentStatus: "DUE",
+    requiresApproval: true,
+  });
+
+  const enrichedOrder = await getOrder(restaurantId, order.id);
+  if (enrichedOrder) {
+    const pendingItems = newItems || order.items || [];
+    emitOrderApprovalRequested(restaurantId, enrichedOrder, pendingItems);
+  }
+
+  return enrichedOrder;
+}
+
+/**
+ * Trim an order down to what a guest is allowed to see.
+ * @param {object} order - Order from getOrder
+ * @returns {object|null}
+ */
+export function toGuestOrderView(order) {
+  if (!order) return null;
+  return {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    subtotalAmount: order.subtotalAmount,
+    gstAmount: order.gstAmount,
+    serviceTaxAmount: order.serviceTaxAmount,
+    discountAmount: order.discountAmount,
+    totalAmount: order.totalAmount,
+    items: (order.items || []).map((item) => ({
+      id: item.id,
+      itemName: item.itemName,
+      variantName: item.variantName,
+      selectedModifiers: item.selectedModifiers,
+      quantity: item.quantity,
+      totalPrice: item.totalPrice,
+      status: item.status,
+    })),
+    createdAt: order.createdAt,
+  };
+}
+
+/**
+ * List orders that have guest items waiting for staff approval
+ * @param {string} restaurantId - Restaurant ID
+ * @returns {Promise<Array>} Orders (with items) awaiting approval, oldest first
+ */
+export async function listPendingApprovalOrders(restaurantId) {
+  const pendingRows = await readDb
+    .selectDistinct({ orderId: orderItems.orderId })
+    .from(orderItems)
+    .innerJoin(orders, eq(orders.id, orderItems.orderId))
+    .where(
+      and(
+        eq(orderItems.restaurantId, restaurantId),
+        eq(orderItems.status, "PENDING_APPROVAL"),
+        eq(orders.isClosed, false),
+        not(eq(orders.status, "CANCELLED"))
+      )
+    );
+
+  const result = await Promise.all(pendingRows.map((r) => getOrder(restaurantId, r.orderId)));
+  return result
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Approve all guest items awaiting confirmation on an order and release them to the kitchen.
+ * The approving staff member becomes the order's owner if nobody placed it.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {string|null} staffId - Approving staff member (null for owner accounts)
+ * @param {object|null} [actor] - { id, type } of the approver, for the audit trail
+ * @returns {Promise<object|null>} Updated order
+ */
+export async function approveGuestOrder(restaurantId, orderId, staffId = null, actor = null) {
+  const order = await getOrder(restaurantId, orderId);
+  if (!order) return null;
+
+  const pendingItems = order.items.filter((i) => i.status === "PENDING_APPROVAL");
+  if (pendingItems.length === 0) {
+    throw new Error("Order has no items awaiting approval");
+  }
+
+  const orderUpdate = { updatedAt: new Date() };
+  // New guest orders move into the normal flow; READY/SERVED tickets go back to the kitchen for the new items
+  if (["PENDING_APPROVAL", "READY", "SERVED"].includes(order.status)) {
+    orderUpdate.status = "PENDING";
+  }
+  if (!order.placedByStaffId && staffId) {
+    orderUpdate.placedByStaffId = staffId;
+    orderUpdate.shiftId = (await getActiveShift(restaurantId, staffId))?.id ?? null;
+  }
+
+  // Items, order, stock and table change together or not at all
+  const { assignedTable, stockMovements } = await db.transaction(async (tx) => {
+    await tx
+      .update(orderItems)
+      .set(itemStatusChange("PENDING"))
+      .where(
+        and(
+          eq(orderItems.orderId, orderId),
+          eq(orderItems.status, "PENDING_APPROVAL")
+        )
+      );
+
+    await tx
+      .update(orders)
+      .set(orderUpdate)
+      .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)));
+
+    const stockMovements = await applyInventoryConsumption(restaurantId, orderId, "deduct", null, tx);
+
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "GUEST_ITEMS_APPROVED",
+      before: { status: order.status },
+      after: { status: orderUpdate.status ?? order.status, items: pendingItems.map(itemAuditSnapshot) },
+    }, actor, tx);
+
+    if (!order.tableId || !orderUpdate.placedByStaffId) return { assignedTable: null, stockMovements };
+    const tableRows = await tx
+      .update(tables)
+      .set({ assignedWaiterId: staffId, updatedAt: new Date() })
+      .where(and(eq(tables.restaurantId, restaurantId), eq(tables.id, order.tableId)))
+      .returning();
+    return { assignedTable: tableRows[0] || null, stockMovements };
+  });
+
+  for (const movement of stockMovements) emitStockMovement(restaurantId, movement);
+  if (assignedTable) {
+    emitTableStatusChanged(restaurantId, assignedTable);
+  }
+
+  const updatedOrder = await getOrder(restaurantId, orderId);
+  if (updatedOrder) {
+    emitOrderStatusChanged(restaurantId, updatedOrder);
+  }
+  return updatedOrder;
+}
+
+/**
+ * Reject guest items awaiting confirmation.
+ * If nothing on the order was approved yet, the whole order is cancelled (which frees the table);
+ * otherwise only the pending items are dropped and totals are recalculated.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Rejection reason
+ * @param {object|null} [actor] - { id, type } of who rejected them, for the audit trail
+ * @returns {Promise<object|null>} Updated (or cancelled) order
+ */
+export async function rejectGuestOrder(restaurantId, orderId, reason, actor = null) {
+  const order = await getOrder(restaurantId, orderId);
+  if (!order) return null;
+
+  const pendingItems = order.items.filter((i) => i.status === "PENDING_APPROVAL");
+  if (pendingItems.length === 0) {
+    throw new Error("Order has no items awaiting approval");
+  }
+
+  if (order.status === "PENDING_APPROVAL" || pendingItems.length === order.items.length) {
+    return cancelOrderWithReason(restaurantId, orderId, reason, actor);
+  }
+
+  // Dropping the items and re-pricing the order happen together, so totals never go stale
+  await db.transaction(async (tx) => {
+    const removed = await tx
+      .delete(orderItems)
+      .where(
+        and(
+          eq(orderItems.orderId, orderId),
+          eq(orderItems.status, "PENDING_APPROVAL")
+        )
+      )
+      .returning({ totalPrice: orderItems.totalPrice });
+
+    const removedSubtotal = removed.reduce((sum, i) => sum + parseFloat(i.totalPrice || "0"), 0);
+    const newSubtotal = Math.max(0, parseFloat(order.subtotalAmount) - removedSubtotal);
+
+    const restaurant = await tx
+      .select()
+      .from(restaurants)
+      .where(eq(restaurants.id, restaurantId))
+      .limit(1);
+
+    const gstRate = restaurant[0] ? parseFloat(restaurant[0].taxRateGst) / 100 : 0.05;
+    const serviceRate = restaurant[0] ? parseFloat(restaurant[0].taxRateService) / 100 : 0.1;
+
+    const newGst = newSubtotal * gstRate;
+
+    // Preserve per-order service charge waiver (see addOrderItems)
+    const currentSubtotal = parseFloat(order.subtotalAmount || "0");
+    const currentService = parseFloat(order.serviceTaxAmount || "0");
+    const wasServiceChargeWaived =
+      order.orderType === "DINE_IN" && serviceRate > 0 && currentSubtotal > 0 && currentService === 0;
+
+    const newService =
+      order.orderType === "DINE_IN" && !wasServiceChargeWaived
+        ? newSubtotal * serviceRate
+        : 0;
+
+    let discount =
+      (await repriceOrderDiscounts(restaurantId, orderId, tx)) ?? parseFloat(order.discountAmount || "0");
+    if (!Number.isFinite(discount)) discount = 0;
+    const totalBeforeDiscount = newSubtotal + newGst + newService + parseFloat(order.deliveryFee || "0");
+    discount = Math.min(Math.max(0, discount), totalBeforeDiscount);
+    const newTotal = Math.max(0, totalBeforeDiscount - discount);
+
+    const currentPaidAmount = parseFloat(order.paid_amount || "0");
+    let newPaymentStatus = order.paymentStatus;
+    if (currentPaidAmount >= newTotal - 0.01 && newTotal > 0) {
+      newPaymentStatus = "PAID";
+    } else if (currentPaidAmount > 0) {
+      newPaymentStatus = "PARTIALLY_PAID";
+    }
+
+    const [repriced] = await tx
+      .update(orders)
+      .set({
+        subtotalAmount: newSubtotal.toFixed(2),
+        gstAmount: newGst.toFixed(2),
+        serviceTaxAmount: newService.toFixed(2),
+        discountAmount: discount.toFixed(2),
+        totalAmount: newTotal.toFixed(2),
+        paymentStatus: newPaymentStatus,
+        paid_amount: Math.min(currentPaidAmount, newTotal).toFixed(2),
+        updatedAt: new Date(),
+      })
+      .where(eq(orders.id, orderId))
+      .returning();
+
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "GUEST_ITEMS_REJECTED",
+      before: { ...orderAuditSnapshot(order), items: pendingItems.map(itemAuditSnapshot) },
+      after: orderAuditSnapshot(repriced),
+      reason,
+    }, actor, tx);
+  });
+
+  const updatedOrder = await getOrder(restaurantId, orderId);
+  if (updatedOrder) {
+    emitOrderUpdated(restaurantId, updatedOrder);
+  }
+  return updatedOrder;
+}
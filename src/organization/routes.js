@@ -0,0 +1,450 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { invalidateMenuCache } from "../menu/routes.js";
+import {
+  listOrganizationsByOwner,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  addOutlet,
+  removeOutlet,
+  listMasterMenu,
+  createMasterCategory,
+  updateMasterCategory,
+  createMasterItem,
+  updateMasterItem,
+  deleteMasterItem,
+  listOutletOverrides,
+  setOutletOverride,
+  pushMasterMenu,
+  listOrganizationStaff,
+  setStaffOutlets,
+  getOrganizationOverview,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+const validTimeframes = ["day", "month", "quarter", "year"];
+
+// Validation schemas
+const createOrganizationSchema = z.object({
+  name: z.string().min(2).max(200),
+  restaurantIds: z.array(z.string().min(1)).max(100).optional(),
+});
+
+const updateOrganizationSchema = z.object({
+  name: z.string().min(2).max(200),
+});
+
+const addOutletSchema = z.object({
+  restaurantId: z.string().min(1),
+});
+
+const masterCategorySchema = z.object({
+  name: z.string().min(1).max(150),
+  nameTranslations: z.record(z.string()).optional(),
+  sortOrder: z.number().int().optional(),
+});
+
+const masterCategoryUpdateSchema = masterCategorySchema.partial().extend({
+  isActive: z.boolean().optional(),
+});
+
+const masterItemSchema = z.object({
+  masterCategoryId: z.string().min(1),
+  name: z.string().min(1).max(200),
+  nameTranslations: z.record(z.string()).optional(),
+  description: z.string().max(2000).nullable().optional(),
+  descriptionTranslations: z.record(z.string()).optional(),
+  price: z.number().nonnegative(),
+  imageUrl: z.string().url().nullable().optional(),
+  dietaryTags: z.array(z.string().max(50)).optional(),
+  sortOrder: z.number().int().optional(),
+});
+
+const masterItemUpdateSchema = masterItemSchema.partial().extend({
+  isActive: z.boolean().optional(),
+});
+
+// null clears an override; omitted fields are left as they are
+const outletOverrideSchema = z
+  .object({
+    price: z.number().nonnegative().nullable().optional(),
+    isAvailable: z.boolean().nullable().optional(),
+  })
+  .refine((v) => v.price !== undefined || v.isAvailable !== undefined, {
+    message: "Provide price and/or isAvailable",
+  });
+
+const pushMenuSchema = z.object({
+  restaurantIds: z.array(z.string().min(1)).max(100).optional(),
+});
+
+const staffOutletsSchema = z.object({
+  restaurantIds: z.array(z.string().min(1)).max(100),
+});
+
+/**
+ * Only the organization's owner (a platform user, not a staff login) or a platform admin.
+ */
+async function requireOrganizationOwner(req, res, next) {
+  try {
+    const organization = await getOrganization(req.params.organizationId);
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" });
+    }
+    const isOwner = !req.user.isStaff && organization.ownerId === req.user.id;
+    if (!isOwner && req.user.role !== "platform_admin") {
+      return res.status(403).json({ message: "Forbidden: You do not have access to this organization" });
+    }
+    req.organization = organization;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+export function registerOrganizationRoutes(app) {
+  app.use("/api/organizations", requireAuth, requireRole("owner", "platform_admin"), router);
+
+  // List my organizations
+  router.get(
+    "/",
+    rateLimit({ keyPrefix: "organizations:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const organizations = await listOrganizationsByOwner(req.user.id);
+      res.json({ organizations });
+    })
+  );
+
+  // Create organization (optionally grouping existing restaurants)
+  router.post(
+    "/",
+    rateLimit({ keyPrefix: "organizations:create", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      if (req.user.isStaff) {
+        return res.status(403).json({ message: "Only restaurant owners can create organizations" });
+      }
+      const parsed = createOrganizationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid organization",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const organization = await createOrganization(req.user.id, parsed.data);
+        res.status(201).json({ organization });
+      } catch (error) {
+        console.error("Create organization error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to create organization" });
+      }
+    })
+  );
+
+  // Get organization
+  router.get(
+    "/:organizationId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:get", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      res.json({ organization: req.organization });
+    })
+  );
+
+  // Rename organization
+  router.patch(
+    "/:organizationId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:update", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateOrganizationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid organization",
+          errors: parsed.error.errors,
+        });
+      }
+      const organization = await updateOrganization(req.params.organizationId, parsed.data);
+      res.json({ organization });
+    })
+  );
+
+  // Add an outlet
+  router.post(
+    "/:organizationId/outlets",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:outlets:add", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = addOutletSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const outlet = await addOutlet(req.params.organizationId, parsed.data.restaurantId);
+        res.status(201).json({ outlet });
+      } catch (error) {
+        console.error("Add outlet error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to add outlet" });
+      }
+    })
+  );
+
+  // Remove an outlet
+  router.delete(
+    "/:organizationId/outlets/:restaurantId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:outlets:remove", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const outlet = await removeOutlet(req.params.organizationId, req.params.restaurantId);
+        res.json({ outlet, removed: true });
+      } catch (error) {
+        console.error("Remove outlet error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to remove outlet" });
+      }
+    })
+  );
+
+  // ── Master menu ──
+
+  router.get(
+    "/:organizationId/menu",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const menu = await listMasterMenu(req.params.organizationId);
+      res.json(menu);
+    })
+  );
+
+  router.post(
+    "/:organizationId/menu/categories",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:categories:create", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = masterCategorySchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid category",
+          errors: parsed.error.errors,
+        });
+      }
+      const category = await createMasterCategory(req.params.organizationId, parsed.data);
+      res.status(201).json({ category });
+    })
+  );
+
+  router.patch(
+    "/:organizationId/menu/categories/:categoryId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:categories:update", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = masterCategoryUpdateSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid category",
+          errors: parsed.error.errors,
+        });
+      }
+      const category = await updateMasterCategory(req.params.organizationId, req.params.categoryId, parsed.data);
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+      res.json({ category });
+    })
+  );
+
+  router.post(
+    "/:organizationId/menu/items",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:items:create", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = masterItemSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid menu item",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const item = await createMasterItem(req.params.organizationId, parsed.data);
+        res.status(201).json({ item });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to create menu item" });
+      }
+    })
+  );
+
+  router.patch(
+    "/:organizationId/menu/items/:itemId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:items:update", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = masterItemUpdateSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid menu item",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const item = await updateMasterItem(req.params.organizationId, req.params.itemId, parsed.data);
+        if (!item) {
+          return res.status(404).json({ message: "Menu item not found" });
+        }
+        res.json({ item });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update menu item" });
+      }
+    })
+  );
+
+  router.delete(
+    "/:organizationId/menu/items/:itemId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:items:delete", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const item = await deleteMasterItem(req.params.organizationId, req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: "Menu item not found" });
+      }
+      res.json({ item, deleted: true });
+    })
+  );
+
+  // Push the master menu to outlets (all active outlets unless restaurantIds is given)
+  router.post(
+    "/:organizationId/menu/push",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:menu:push", windowSeconds: 60, max: 10 }),
+    asyncHandler(async (req, res) => {
+      const parsed = pushMenuSchema.safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const results = await pushMasterMenu(req.params.organizationId, parsed.data.restaurantIds);
+        await Promise.all(results.filter((r) => !r.error).map((r) => invalidateMenuCache(r.restaurantId)));
+        res.json({ results });
+      } catch (error) {
+        console.error("Master menu push error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to push menu" });
+      }
+    })
+  );
+
+  // ── Per-outlet overrides ──
+
+  router.get(
+    "/:organizationId/outlets/:restaurantId/menu-overrides",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:overrides:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const overrides = await listOutletOverrides(req.params.organizationId, req.params.restaurantId);
+        res.json({ overrides });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to load overrides" });
+      }
+    })
+  );
+
+  router.put(
+    "/:organizationId/outlets/:restaurantId/menu-overrides/:itemId",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:overrides:set", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = outletOverrideSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid override",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { organizationId, restaurantId, itemId } = req.params;
+      try {
+        const override = await setOutletOverride(organizationId, restaurantId, itemId, parsed.data);
+        await invalidateMenuCache(restaurantId);
+        res.json({ override });
+      } catch (error) {
+        console.error("Outlet override error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to save override" });
+      }
+    })
+  );
+
+  // ── Shared staff ──
+
+  router.get(
+    "/:organizationId/staff",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:staff:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const staff = await listOrganizationStaff(req.params.organizationId);
+      res.json({ staff });
+    })
+  );
+
+  // Replace the other outlets a staff member may log into
+  router.put(
+    "/:organizationId/staff/:staffId/outlets",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:staff:outlets", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = staffOutletsSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const sharedOutletIds = await setStaffOutlets(
+          req.params.organizationId,
+          req.params.staffId,
+          parsed.data.restaurantIds
+        );
+        res.json({ staffId: req.params.staffId, sharedOutletIds });
+      } catch (error) {
+        console.error("Staff outlets error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to update staff outlets" });
+      }
+    })
+  );
+
+  // ── Consolidated reports ──
+
+  router.get(
+    "/:organizationId/analytics/overview",
+    requireOrganizationOwner,
+    rateLimit({ keyPrefix: "organizations:analytics", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { timeframe = "day", timezone } = req.query;
+      if (!validTimeframes.includes(timeframe)) {
+        return res.status(400).json({
+          message: "Invalid timeframe. Must be one of: day, month, quarter, year",
+        });
+      }
+
+      const analytics = await getOrganizationOverview(req.params.organizationId, timeframe, { timeZone: timezone });
+      res.json({ analytics });
+    })
+  );
+}
@@ -0,0 +1,691 @@
+import { eq, and, asc, inArray, or, isNotNull } from "drizzle-orm";
+import {
+  organizations,
+  restaurants,
+  staff,
+  staffOutletAccess,
+  menuCategories,
+  menuItems,
+  masterMenuCategories,
+  masterMenuItems,
+  outletMenuOverrides,
+} from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { getAnalyticsOverview } from "../analytics/service.js";
+import { httpError } from "../httpError.js";
+
+const outletColumns = {
+  id: restaurants.id,
+  name: restaurants.name,
+  slug: restaurants.slug,
+  city: restaurants.city,
+  isActive: restaurants.isActive,
+};
+
+// ============================================================
+// Organizations and outlets
+// ============================================================
+
+/**
+ * Organizations owned by a user, each with its outlets.
+ * @param {string} ownerId - users.id
+ */
+export async function listOrganizationsByOwner(ownerId) {
+  const orgs = await readDb
+    .select()
+    .from(organizations)
+    .where(eq(organizations.ownerId, ownerId))
+    .orderBy(asc(organizations.name));
+  if (orgs.length === 0) return [];
+
+  const outlets = await readDb
+    .select({ ...outletColumns, organizationId: restaurants.organizationId })
+    .from(restaurants)
+    .where(inArray(restaurants.organizationId, orgs.map((o) => o.id)))
+    .orderBy(asc(restaurants.name));
+
+  return orgs.map((org) => ({
+    ...org,
+    outlets: outlets.filter((o) => o.organizationId === org.id).map(({ organizationId, ...o }) => o),
+  }));
+}
+
+/**
+ * @param {string} organizationId
+ * @returns {Promise<object|null>} Organization with its outlets
+ */
+export async function getOrganization(organizationId) {
+  const rows = await readDb.select().from(organizations).where(eq(organizations.id, organizationId)).limit(1);
+  const org = rows[0];
+  if (!org) return null;
+
+  const outlets = await listOutlets(organizationId);
+  return { ...org, outlets };
+}
+
+/** An organization's outlets, active or not */
+export async function listOutlets(organizationId, dbToUse = readDb) {
+  return dbToUse
+    .select(outletColumns)
+    .from(restaurants)
+    .where(eq(restaurants.organizationId, organizationId))
+    .orderBy(asc(restaurants.name));
+}
+
+/**
+ * Restaurants must belong to the organization's owner and not to another organization.
+ * @private
+ */
+async function attachOutlets(tx, org, restaurantIds) {
+  if (restaurantIds.length === 0) return [];
+
+  const rows = await tx
+    .select({ id: restaurants.id, name: restaurants.name, ownerId: restaurants.ownerId, organizationId: restaurants.organizationId })
+    .from(restaurants)
+    .where(inArray(restaurants.id, restaurantIds))
+    .for("update");
+  const byId = new Map(rows.map((r) => [r.id, r]));
+
+  for (const id of restaurantIds) {
+    const restaurant = byId.get(id);
+    if (!restaurant || restaurant.ownerId !== org.ownerId) throw httpError("Restaurant not found", 404);
+    if (restaurant.organizationId && restaurant.organizationId !== org.id) {
+      throw httpError(`${restaurant.name} already belongs to another organization`, 409);
+    }
+  }
+
+  return tx
+    .update(restaurants)
+    .set({ organizationId: org.id, updatedAt: new Date() })
+    .where(inArray(restaurants.id, restaurantIds))
+    .returning(outletColumns);
+}
+
+/**
+ * Create an organization for an owner, optionally grouping existing restaurants under it.
+ * @param {string} ownerId - users.id
+ * @param {object} data
+ * @param {string} data.name
+ * @param {string[]} [data.restaurantIds] - The owner's restaurants to add as outlets
+ */
+export async function createOrganization(ownerId, { name, restaurantIds = [] }) {
+  return db.transaction(async (tx) => {
+    const [org] = await tx.insert(organizations).values({ ownerId, name }).returning();
+    const outlets = await attachOutlets(tx, org, [...new Set(restaurantIds)]);
+    return { ...org, outlets };
+  });
+}
+
+export async function updateOrganization(organizationId, data) {
+  const rows = await db
+    .update(organizations)
+    .set({ ...(data.name !== undefined && { name: data.name }), updatedAt: new Date() })
+    .where(eq(organizations.id, organizationId))
+    .returning();
+  return rows[0] || null;
+}
+
+/**
+ * Add one of the owner's restaurants to the organization.
+ */
+export async function addOutlet(organizationId, restaurantId) {
+  return db.transaction(async (tx) => {
+    const [org] = await tx.select().from(organizations).where(eq(organizations.id, organizationId)).limit(1);
+    if (!org) throw httpError("Organization not found", 404);
+    const [outlet] = await attachOutlets(tx, org, [restaurantId]);
+    return outlet;
+  });
+}
+
+/**
+ * Take a restaurant out of the organization. Its menu is left as it is (pushed items simply stop
+ * receiving updates), and staff lose any cross-outlet access to or from it.
+ */
+export async function removeOutlet(organizationId, restaurantId) {
+  return db.transaction(async (tx) => {
+    const rows = await tx
+      .update(restaurants)
+      .set({ organizationId: null, updatedAt: new Date() })
+      .where(and(eq(restaurants.id, restaurantId), eq(restaurants.organizationId, organizationId)))
+      .returning(outletColumns);
+    if (!rows[0]) throw httpError("Outlet not found", 404);
+
+    const homeStaff = tx.select({ id: staff.id }).from(staff).where(eq(staff.restaurantId, restaurantId));
+    await tx
+      .delete(staffOutletAccess)
+      .where(or(eq(staffOutletAccess.restaurantId, restaurantId), inArray(staffOutletAccess.staffId, homeStaff)));
+
+    await tx.delete(outletMenuOverrides).where(eq(outletMenuOverrides.restaurantId, restaurantId));
+    return rows[0];
+  });
+}
+
+/**
+ * 404 unless the restaurant is an outlet of the organization.
+ * @private
+ */
+async function assertOutlet(organizationId, restaurantId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select({ id: restaurants.id })
+    .from(restaurants)
+    .where(and(eq(restaurants.id, restaurantId), eq(restaurants.organizationId, organizationId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Outlet not found", 404);
+}
+
+// ============================================================
+// Master menu
+// ============================================================
+
+/**
+ * The organization's master menu, including inactive entries.
+ */
+export async function listMasterMenu(organizationId, dbToUse = readDb) {
+  const [categories, items] = await Promise.all([
+    dbToUse
+      .select()
+      .from(masterMenuCategories)
+      .where(eq(masterMenuCategories.organizationId, organizationId))
+      .orderBy(asc(masterMenuCategories.sortOrder), asc(masterMenuCategories.name)),
+    dbToUse
+      .select()
+      .from(masterMenuItems)
+      .where(eq(masterMenuItems.organizationId, organizationId))
+      .orderBy(asc(masterMenuItems.sortOrder), asc(masterMenuItems.name)),
+  ]);
+  return { categories, items };
+}
+
+export async function createMasterCategory(organizationId, data) {
+  const rows = await db
+    .insert(masterMenuCategories)
+    .values({
+      organizationId,
+      name: data.name,
+      nameTranslations: data.nameTranslations || { en: data.name },
+      sortOrder: data.sortOrder ?? null,
+    })
+    .returning();
+  return rows[0];
+}
+
+export async function updateMasterCategory(organizationId, categoryId, data) {
+  const rows = await db
+    .update(masterMenuCategories)
+    .set({ ...data, updatedAt: new Date() })
+    .where(and(eq(masterMenuCategories.organizationId, organizationId), eq(masterMenuCategories.id, categoryId)))
+    .returning();
+  return rows[0] || null;
+}
+
+async function assertMasterCategory(organizationId, categoryId) {
+  const rows = await readDb
+    .select({ id: masterMenuCategories.id })
+    .from(masterMenuCategories)
+    .where(and(eq(masterMenuCategories.organizationId, organizationId), eq(masterMenuCategories.id, categoryId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Category not found", 404);
+}
+
+/** Map API fields onto master item columns (price as a numeric string) */
+function toMasterItemValues(data) {
+  const values = {};
+  for (const key of [
+    "masterCategoryId",
+    "name",
+    "nameTranslations",
+    "description",
+    "descriptionTranslations",
+    "imageUrl",
+    "dietaryTags",
+    "sortOrder",
+    "isActive",
+  ]) {
+    if (data[key] !== undefined) values[key] = data[key];
+  }
+  if (data.price !== undefined) values.price = String(data.price);
+  return values;
+}
+
+export async function createMasterItem(organizationId, data) {
+  await assertMasterCategory(organizationId, data.masterCategoryId);
+  const values = toMasterItemValues(data);
+  const rows = await db
+    .insert(masterMenuItems)
+    .values({
+      ...values,
+      organizationId,
+      nameTranslations: values.nameTranslations || { en: data.name },
+      descriptionTranslations: values.descriptionTranslations || (data.description ? { en: data.description } : {}),
+    })
+    .returning();
+  return rows[0];
+}
+
+export async function updateMasterItem(organizationId, itemId, data) {
+  if (data.masterCategoryId) await assertMasterCategory(organizationId, data.masterCategoryId);
+  const rows = await db
+    .update(masterMenuItems)
+    .set({ ...toMasterItemValues(data), updatedAt: new Date() })
+    .where(and(eq(masterMenuItems.organizationId, organizationId), eq(masterMenuItems.id, itemId)))
+    .returning();
+  return rows[0] || null;
+}
+
+/**
+ * Retire a master item. Like menu items it is soft-deleted; the next push hides it at every outlet.
+ */
+export async function deleteMasterItem(organizationId, itemId) {
+  return updateMasterItem(organizationId, itemId, { isActive: false });
+}
+
+// ============================================================
+// Per-outlet overrides and pushing the master menu
+// ============================================================
+
+/**
+ * How a master item appears at one outlet: overrides win, otherwise the master price applies and
+ * the outlet keeps its own day-to-day availability (sold-out toggles survive a push).
+ * @param {object} masterItem - master_menu_items row
+ * @param {object|null} override - outlet_menu_overrides row
+ * @param {object|null} existing - The outlet's current copy of the item, if pushed before
+ * @returns {{price: string, isAvailable: boolean, isActive: boolean}}
+ */
+export function resolveOutletItem(masterItem, override, existing) {
+  return {
+    price: override?.price ?? masterItem.price,
+    isAvailable: override?.isAvailable ?? existing?.isAvailable ?? true,
+    isActive: masterItem.isActive,
+  };
+}
+
+export async function listOutletOverrides(organizationId, restaurantId) {
+  await assertOutlet(organizationId, restaurantId);
+  return readDb
+    .select({
+      masterItemId: outletMenuOverrides.masterItemId,
+      itemName: masterMenuItems.name,
+      masterPrice: masterMenuItems.price,
+      price: outletMenuOverrides.price,
+      isAvailable: outletMenuOverrides.isAvailable,
+      updatedAt: outletMenuOverrides.updatedAt,
+    })
+    .from(outletMenuOverrides)
+    .innerJoin(masterMenuItems, eq(masterMenuItems.id, outletMenuOverrides.masterItemId))
+    .where(eq(outletMenuOverrides.restaurantId, restaurantId))
+    .orderBy(asc(masterMenuItems.name));
+}
+
+/**
+ * Set an outlet's price and/or availability for a master item. null clears that override; clearing
+ * both removes it. Applied straight away if the item has already been pushed to the outlet.
+ * @param {string} organizationId
+ * @param {string} restaurantId - Outlet
+ * @param {string} masterItemId
+ * @param {{price?: number|null, isAvailable?: boolean|null}} data
+ * @returns {Promise<object|null>} The override, or null once cleared
+ */
+export async function setOutletOverride(organizationId, restaurantId, masterItemId, data) {
+  await assertOutlet(organizationId, restaurantId);
+
+  return db.transaction(async (tx) => {
+    const [masterItem] = await tx
+      .select()
+      .from(masterMenuItems)
+      .where(and(eq(masterMenuItems.organizationId, organizationId), eq(masterMenuItems.id, masterItemId)))
+      .limit(1);
+    if (!masterItem) throw httpError("Menu item not found", 404);
+
+    const [current] = await tx
+      .select()
+      .from(outletMenuOverrides)
+      .where(and(eq(outletMenuOverrides.restaurantId, restaurantId), eq(outletMenuOverrides.masterItemId, masterItemId)))
+      .for("update");
+
+    const price = data.price !== undefined ? (data.price === null ? null : String(data.price)) : current?.price ?? null;
+    const isAvailable = data.isAvailable !== undefined ? data.isAvailable : current?.isAvailable ?? null;
+
+    let override = null;
+    if (price === null && isAvailable === null) {
+      if (current) await tx.delete(outletMenuOverrides).where(eq(outletMenuOverrides.id, current.id));
+    } else if (current) {
+      [override] = await tx
+        .update(outletMenuOverrides)
+        .set({ price, isAvailable, updatedAt: new Date() })
+        .where(eq(outletMenuOverrides.id, current.id))
+        .returning();
+    } else {
+      [override] = await tx
+        .insert(outletMenuOverrides)
+        .values({ restaurantId, masterItemId, price, isAvailable })
+        .returning();
+    }
+
+    const [pushed] = await tx
+      .select()
+      .from(menuItems)
+      .where(and(eq(menuItems.restaurantId, restaurantId), eq(menuItems.masterItemId, masterItemId)))
+      .limit(1);
+    if (pushed) {
+      const resolved = resolveOutletItem(masterItem, override, pushed);
+      await tx
+        .update(menuItems)
+        .set({ price: resolved.price, isAvailable: resolved.isAvailable, updatedAt: new Date() })
+        .where(eq(menuItems.id, pushed.id));
+    }
+
+    return override;
+  });
+}
+
+/**
+ * Copy the master menu into one outlet's menu_categories / menu_items, creating entries the first
+ * time and updating them (matched on master id) after that. Outlet-only items are left untouched.
+ * @private
+ */
+async function pushMenuToOutlet(tx, restaurantId, masterCategories, masterItems) {
+  const summary = { restaurantId, categoriesCreated: 0, itemsCreated: 0, itemsUpdated: 0 };
+
+  const existingCategories = await tx
+    .select({ id: menuCategories.id, masterCategoryId: menuCategories.masterCategoryId })
+    .from(menuCategories)
+    .where(and(eq(menuCategories.restaurantId, restaurantId), inArray(menuCategories.masterCategoryId, masterCategories.map((c) => c.id))));
+  const categoryIds = new Map(existingCategories.map((c) => [c.masterCategoryId, c.id]));
+
+  for (const category of masterCategories) {
+    const values = {
+      name: category.name,
+      nameTranslations: category.nameTranslations,
+      sortOrder: category.sortOrder,
+      isActive: category.isActive,
+    };
+    if (categoryIds.has(category.id)) {
+      await tx
+        .update(menuCategories)
+        .set({ ...values, updatedAt: new Date() })
+        .where(eq(menuCategories.id, categoryIds.get(category.id)));
+    } else {
+      const [created] = await tx
+        .insert(menuCategories)
+        .values({ ...values, restaurantId, masterCategoryId: category.id })
+        .returning({ id: menuCategories.id });
+      categoryIds.set(category.id, created.id);
+      summary.categoriesCreated += 1;
+    }
+  }
+
+  const [existingItems, overrides] = await Promise.all([
+    tx
+      .select()
+      .from(menuItems)
+      .where(and(eq(menuItems.restaurantId, restaurantId), inArray(menuItems.masterItemId, masterItems.map((i) => i.id)))),
+    tx.select().from(outletMenuOverrides).where(eq(outletMenuOverrides.restaurantId, restaurantId)),
+  ]);
+  const existingByMaster = new Map(existingItems.map((i) => [i.masterItemId, i]));
+  const overrideByMaster = new Map(overrides.map((o) => [o.masterItemId, o]));
+
+  for (const item of masterItems) {
+    const existing = existingByMaster.get(item.id) || null;
+    const values = {
+      categoryId: categoryIds.get(item.masterCategoryId),
+      name: item.name,
+      nameTranslations: item.nameTranslations,
+      description: item.description,
+      descriptionTranslations: item.descriptionTranslations,
+      imageUrl: item.imageUrl,
+      dietaryTags: item.dietaryTags,
+      sortOrder: item.sortOrder,
+      ...resolveOutletItem(item, overrideByMaster.get(item.id), existing),
+    };
+
+    if (existing) {
+      await tx.update(menuItems).set({ ...values, updatedAt: new Date() }).where(eq(menuItems.id, existing.id));
+      summary.itemsUpdated += 1;
+    } else if (item.isActive) {
+      await tx.insert(menuItems).values({ ...values, restaurantId, masterItemId: item.id });
+      summary.itemsCreated += 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Push the master menu to the organization's outlets (all active outlets by default).
+ * Each outlet is updated in its own transaction so one failure doesn't hold back the rest.
+ * @param {string} organizationId
+ * @param {string[]} [restaurantIds] - Limit the push to these outlets
+ * @returns {Promise<Array<{restaurantId: string, categoriesCreated?: number, itemsCreated?: number, itemsUpdated?: number, error?: string}>>}
+ */
+export async function pushMasterMenu(organizationId, restaurantIds) {
+  const outlets = (await listOutlets(organizationId, db)).filter((o) =>
+    restaurantIds?.length ? restaurantIds.includes(o.id) : o.isActive
+  );
+  if (restaurantIds?.length && outlets.length !== new Set(restaurantIds).size) {
+    throw httpError("Outlet not found", 404);
+  }
+
+  // Read from the primary so a push straight after an edit sees it
+  const { categories, items } = await listMasterMenu(organizationId, db);
+  if (categories.length === 0) throw httpError("The master menu is empty");
+
+  const results = [];
+  for (const outlet of outlets) {
+    try {
+      results.push(await db.transaction((tx) => pushMenuToOutlet(tx, outlet.id, categories, items)));
+    } catch (err) {
+      console.error(`Master menu push to outlet ${outlet.id} failed:`, err);
+      results.push({ restaurantId: outlet.id, error: err.message || "Push failed" });
+    }
+  }
+  return results;
+}
+
+// ============================================================
+// Shared staff
+// ============================================================
+
+/**
+ * Staff across all outlets, with the other outlets each one may log into.
+ */
+export async function listOrganizationStaff(organizationId) {
+  const rows = await readDb
+    .select({
+      id: staff.id,
+      staffCode: staff.staffCode,
+      fullName: staff.fullName,
+      role: staff.role,
+      isActive: staff.isActive,
+      restaurantId: staff.restaurantId,
+      restaurantName: restaurants.name,
+    })
+    .from(staff)
+    .innerJoin(restaurants, eq(restaurants.id, staff.restaurantId))
+    .where(eq(restaurants.organizationId, organizationId))
+    .orderBy(asc(staff.fullName));
+  if (rows.length === 0) return [];
+
+  const access = await readDb
+    .select({ staffId: staffOutletAccess.staffId, restaurantId: staffOutletAccess.restaurantId })
+    .from(staffOutletAccess)
+    .where(inArray(staffOutletAccess.staffId, rows.map((r) => r.id)));
+
+  return rows.map((member) => ({
+    ...member,
+    sharedOutletIds: access.filter((a) => a.staffId === member.id).map((a) => a.restaurantId),
+  }));
+}
+
+/**
+ * Replace the outlets (besides their own) a staff member may log into.
+ * @param {string} organizationId
+ * @param {string} staffId
+ * @param {string[]} restaurantIds - Other outlets of the organization; [] revokes all
+ * @returns {Promise<string[]>} The outlets now shared with the staff member
+ */
+export async function setStaffOutlets(organizationId, staffId, restaurantIds) {
+  const targetIds = [...new Set(restaurantIds)];
+
+  return db.transaction(async (tx) => {
+    const [member] = await tx
+      .select({ id: staff.id, restaurantId: staff.restaurantId })
+      .from(staff)
+      .innerJoin(restaurants, eq(restaurants.id, staff.restaurantId))
+      .where(and(eq(staff.id, staffId), eq(restaurants.organizationId, organizationId)))
+      .limit(1);
+    if (!member) throw httpError("Staff member not found", 404);
+
+    const sharedIds = targetIds.filter((id) => id !== member.restaurantId);
+    if (sharedIds.length > 0) {
+      const outlets = await tx
+        .select({ id: restaurants.id })
+        .from(restaurants)
+        .where(and(inArray(restaurants.id, sharedIds), eq(restaurants.organizationId, organizationId)));
+      if (outlets.length !== sharedIds.length) throw httpError("Outlet not found", 404);
+    }
+
+    await tx.delete(staffOutletAccess).where(eq(staffOutletAccess.staffId, staffId));
+    if (sharedIds.length > 0) {
+      await tx.insert(staffOutletAccess).values(sharedIds.map((restaurantId) => ({ staffId, restaurantId })));
+    }
+    return sharedIds;
+  });
+}
+
+/**
+ * Whether a signed-in user may act for a restaurant: owners for restaurants they own, staff for
+ * their own outlet or one shared with them, platform admins for any.
+ * @param {object} user - req.user (or a token subject)
+ * @param {string} restaurantId
+ */
+export async function canAccessOutlet(user, restaurantId) {
+  if (!user || !restaurantId) return false;
+  if (user.role === "platform_admin") return true;
+
+  if (user.isStaff) {
+    const staffId = user.staffId || user.id;
+    const rows = await readDb
+      .select({ id: staff.id })
+      .from(staff)
+      .innerJoin(restaurants, and(eq(restaurants.id, restaurantId), eq(restaurants.isActive, true)))
+      .leftJoin(
+        staffOutletAccess,
+        and(eq(staffOutletAccess.staffId, staff.id), eq(staffOutletAccess.restaurantId, restaurantId))
+      )
+      .where(
+        and(
+          eq(staff.id, staffId),
+          eq(staff.isActive, true),
+          or(eq(staff.restaurantId, restaurantId), isNotNull(staffOutletAccess.id))
+        )
+      )
+      .limit(1);
+    return rows.length > 0;
+  }
+
+  const rows = await readDb
+    .select({ id: restaurants.id })
+    .from(restaurants)
+    .where(and(eq(restaurants.id, restaurantId), eq(restaurants.ownerId, user.id), eq(restaurants.isActive, true)))
+    .limit(1);
+  return rows.length > 0;
+}
+
+/**
+ * Outlets a staff member can switch between: their own plus any shared with them.
+ * @param {string} staffId
+ */
+export async function listStaffOutlets(staffId) {
+  const shared = readDb
+    .select({ restaurantId: staffOutletAccess.restaurantId })
+    .from(staffOutletAccess)
+    .where(eq(staffOutletAccess.staffId, staffId));
+  const home = readDb.select({ restaurantId: staff.restaurantId }).from(staff).where(eq(staff.id, staffId));
+
+  return readDb
+    .select(outletColumns)
+    .from(restaurants)
+    .where(
+      and(
+        eq(restaurants.isActive, true),
+        or(inArray(restaurants.id, home), inArray(restaurants.id, shared))
+      )
+    )
+    .orderBy(asc(restaurants.name));
+}
+
+// ============================================================
+// Consolidated reporting
+// ============================================================
+
+/**
+ * Fold per-outlet analytics overviews into one chain-wide view. Top items are re-ranked from each
+ * outlet's own top items, so they are a close approximation rather than an exact chain ranking.
+ * @param {Array<{outlet: {id: string, name: string}, overview: object}>} outletOverviews
+ */
+export function combineOutletOverviews(outletOverviews) {
+  const totals = { revenue: 0, refunds: 0, paidOrders: 0 };
+  const items = new Map();
+  const categories = new Map();
+
+  for (const { overview } of outletOverviews) {
+    totals.revenue += overview.kpis.revenue;
+    totals.refunds += overview.kpis.refunds || 0;
+    totals.paidOrders += overview.kpis.paidOrders;
+
+    for (const item of overview.topItems) {
+      const entry = items.get(item.name) || { name: item.name, orders: 0, revenue: 0 };
+      entry.orders += item.orders;
+      entry.revenue += item.revenue;
+      items.set(item.name, entry);
+    }
+    for (const category of overview.categoryBreakdown) {
+      categories.set(category.name, (categories.get(category.name) || 0) + category.revenue);
+    }
+  }
+
+  const categoryTotal = [...categories.values()].reduce((sum, v) => sum + v, 0);
+
+  return {
+    kpis: {
+      ...totals,
+      avgOrderValue: totals.paidOrders > 0 ? totals.revenue / totals.paidOrders : 0,
+    },
+    outlets: outletOverviews
+      .map(({ outlet, overview }) => ({
+        restaurantId: outlet.id,
+        name: outlet.name,
+        revenue: overview.kpis.revenue,
+        revenueChangePercent: overview.kpis.revenueChangePercent,
+        paidOrders: overview.kpis.paidOrders,
+        avgOrderValue: overview.kpis.avgOrderValue,
+        tableTurnoverMinutes: overview.kpis.tableTurnoverMinutes,
+        sharePercent: totals.revenue > 0 ? (overview.kpis.revenue / totals.revenue) * 100 : 0,
+      }))
+      .sort((a, b) => b.revenue - a.revenue),
+    topItems: [...items.values()].sort((a, b) => b.orders - a.orders).slice(0, 10),
+    categoryBreakdown: [...categories.entries()]
+      .map(([name, revenue]) => ({
+        name,
+        revenue,
+        sharePercent: categoryTotal > 0 ? (revenue / categoryTotal) * 100 : 0,
+      }))
+      .sort((a, b) => b.revenue - a.revenue),
+  };
+}
+
+/**
+ * Chain-wide analytics: getAnalyticsOverview for every active outlet, combined.
+ * @param {string} organizationId
+ * @param {'day'|'month'|'quarter'|'year'} timeframe
+ * @param {object} [opts] - Passed through to getAnalyticsOverview (e.g. timeZone)
+ */
+export async function getOrganizationOverview(organizationId, timeframe, opts) {
+  const outlets = (await listOutlets(organizationId)).filter((o) => o.isActive);
+  const outletOverviews = await Promise.all(
+    outlets.map(async (outlet) => ({ outlet, overview: await getAnalyticsOverview(outlet.id, timeframe, opts) }))
+  );
+
+  const range = outletOverviews[0]?.overview.range ?? null;
+  return { timeframe, range, ...combineOutletOverviews(outletOverviews) };
+}
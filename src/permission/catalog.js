@@ -0,0 +1,180 @@
+/**
+ * Permission catalogue — every named permission a route can require, the defaults for the built-in
+ * staff roles, and presets for common custom roles. Pure data and helpers; no DB access.
+ */
+
+export const PERMISSIONS = {
+  "order.view": "See orders, KOTs and the kitchen board",
+  "order.view_all": "See every order, not only the ones you placed",
+  "order.create": "Place orders and add items",
+  "order.update": "Edit orders, move them between tables and fire courses",
+  "order.status": "Move orders and items through the kitchen statuses",
+  "order.approve": "Approve or reject guest QR orders",
+  "order.void": "Void items and cancel orders",
+  "order.void_sent": "Void items already sent to the kitchen",
+  "order.close": "Close settled orders",
+  "order.pause": "Pause and resume guest and online orders",
+  "order.audit": "Read the order audit trail",
+  "kitchen.bump": "Start, complete and bulk-bump kitchen tickets",
+  "kitchen.manage": "Set up kitchen stations and routing",
+  "discount.apply": "Apply promotions and request manual discounts",
+  "discount.approve": "Approve manual discounts; your own need no approval",
+  "service_charge.waive": "Waive the service charge on an order",
+  "promotion.manage": "Create, edit and delete promotions",
+  "payment.view": "See transactions and print invoices",
+  "payment.take": "Take payments and split bills",
+  "payment.refund": "Refund and void payments",
+  "cash.drawer": "Open, use and close your own cash drawer",
+  "cash.manage": "See and close every cash drawer",
+  "cash.close_day": "Close the day and lock the Z-report",
+  "menu.edit": "Edit the menu, variants, modifiers and item availability",
+  "recipe.view": "See recipes",
+  "recipe.edit": "Edit recipes",
+  "inventory.view": "See stock and record stock movements",
+  "inventory.manage": "Add, edit and remove inventory items",
+  "table.view": "See tables and their status",
+  "table.merge": "Merge and split tables",
+  "table.manage": "Add, edit and remove tables, assign waiters and manage QR codes",
+  "queue.manage": "Run the walk-in waitlist",
+  "reservation.manage": "Take and manage reservations",
+  "customer.view": "Look up guests, their visits and favourite items",
+  "customer.manage": "Add guests and edit their names, allergies and notes",
+  "loyalty.manage": "Set up the loyalty program and adjust guests' points",
+  "delivery.manage": "Set delivery fees, assign riders and track every delivery",
+  "delivery.ride": "See and update the deliveries assigned to you",
+  "integration.manage": "Connect delivery aggregators and map their menus",
+  "reports.view": "See dashboards, analytics, order history and Z-reports",
+  "shift.manage": "Schedule shifts and see who is on the floor",
+  "staff.manage": "Add and edit staff and their roles",
+  "settings.manage": "Edit restaurant details and branding",
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const WAITER_PERMISSIONS = [
+  "order.view",
+  "order.create",
+  "order.update",
+  "order.status",
+  "order.approve",
+  "order.void",
+  "discount.apply",
+  "payment.view",
+  "payment.take",
+  "cash.drawer",
+  "table.view",
+  "table.merge",
+  "queue.manage",
+  "reservation.manage",
+  "customer.view",
+  "customer.manage",
+];
+
+// What staff get from their base role when no custom role is assigned
+export const DEFAULT_STAFF_PERMISSIONS = {
+  ADMIN: ALL_PERMISSIONS,
+  WAITER: WAITER_PERMISSIONS,
+  KITCHEN: [
+    "order.view",
+    "order.view_all",
+    "order.status",
+    "kitchen.bump",
+    "recipe.view",
+    "inventory.view",
+    "table.view",
+  ],
+};
+
+// Account roles (users table) that hold every permission for the restaurants they can access
+const FULL_ACCESS_USER_ROLES = ["owner", "admin", "platform_admin"];
+
+// Starting points offered when creating a custom role
+export const ROLE_TEMPLATES = {
+  manager: {
+    name: "Manager",
+    description: "Runs the floor and the till; can't change staff or restaurant settings",
+    permissions: ALL_PERMISSIONS.filter((p) => p !== "staff.manage" && p !== "settings.manage"),
+  },
+  cashier: {
+    name: "Cashier",
+    description: "Takes payments and runs a cash drawer",
+    permissions: [
+      "order.view",
+      "order.view_all",
+      "discount.apply",
+      "payment.view",
+      "payment.take",
+      "cash.drawer",
+      "table.view",
+      "customer.view",
+    ],
+  },
+  captain: {
+    name: "Captain",
+    description: "Senior waiter who oversees every table and approves discounts",
+    permissions: [
+      ...WAITER_PERMISSIONS,
+      "order.view_all",
+      "order.void_sent",
+      "order.close",
+      "discount.approve",
+      "service_charge.waive",
+    ],
+  },
+  bartender: {
+    name: "Bartender",
+    description: "Makes and serves bar orders and takes payment at the bar",
+    permissions: [
+      "order.view",
+      "order.create",
+      "order.status",
+      "kitchen.bump",
+      "payment.view",
+      "payment.take",
+      "cash.drawer",
+      "table.view",
+      "recipe.view",
+      "inventory.view",
+      "customer.view",
+    ],
+  },
+  rider: {
+    name: "Rider",
+    description: "Delivers orders and collects payment on delivery",
+    permissions: [
+      "order.view",
+      "delivery.ride",
+      "payment.view",
+      "payment.take",
+      "cash.drawer",
+    ],
+  },
+};
+
+/**
+ * Names that aren't in the catalogue.
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+export function unknownPermissions(permissions) {
+  return permissions.filter((p) => !Object.hasOwn(PERMISSIONS, p));
+}
+
+/**
+ * Permissions for a signed-in user.
+ * @param {object} user - req.user
+ * @param {{role: string, isActive: boolean, customPermissions: string[]|null}|null} staffRecord -
+ *   The staff row for staff logins; customPermissions are from their custom role, if any
+ * @returns {string[]}
+ */
+export function resolvePermissions(user, staffRecord = null) {
+  if (!user) return [];
+  if (!user.isStaff) {
+    return FULL_ACCESS_USER_ROLES.includes(String(user.role).toLowerCase()) ? ALL_PERMISSIONS : [];
+  }
+  if (!staffRecord?.isActive) return [];
+  if (staffRecord.customPermissions) {
+    return staffRecord.customPermissions.filter((p) => Object.hasOwn(PERMISSIONS, p));
+  }
+  return DEFAULT_STAFF_PERMISSIONS[staffRecord.role] ?? [];
+}
@@ -0,0 +1,115 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { PERMISSIONS, DEFAULT_STAFF_PERMISSIONS, ROLE_TEMPLATES } from "./catalog.js";
+import { listStaffRoles, createStaffRole, updateStaffRole, deleteStaffRole } from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const permissionListSchema = z.array(z.string().min(1).max(50)).max(100);
+
+const createRoleSchema = z
+  .object({
+    name: z.string().trim().min(2).max(50).optional(),
+    description: z.string().max(255).optional(),
+    permissions: permissionListSchema.optional(),
+    template: z.enum(Object.keys(ROLE_TEMPLATES)).optional(),
+  })
+  .refine((v) => v.template || (v.name && v.permissions), {
+    message: "Provide a template, or a name and permissions",
+  });
+
+const updateRoleSchema = z
+  .object({
+    name: z.string().trim().min(2).max(50),
+    description: z.string().max(255).nullable(),
+    permissions: permissionListSchema,
+  })
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "No fields to update" });
+
+export function registerPermissionRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/roles",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    requirePermission("staff.manage"),
+    router
+  );
+
+  // Custom roles plus the permission catalogue, built-in defaults and templates to build them from
+  router.get(
+    "/",
+    rateLimit({ keyPrefix: "roles:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const roles = await listStaffRoles(req.params.restaurantId);
+      res.json({
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+        defaults: DEFAULT_STAFF_PERMISSIONS,
+        templates: ROLE_TEMPLATES,
+      });
+    })
+  );
+
+  router.post(
+    "/",
+    rateLimit({ keyPrefix: "roles:create", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = createRoleSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid role",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const role = await createStaffRole(req.params.restaurantId, parsed.data);
+        res.status(201).json({ role });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to create role" });
+      }
+    })
+  );
+
+  router.patch(
+    "/:roleId",
+    rateLimit({ keyPrefix: "roles:update", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateRoleSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid role",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const role = await updateStaffRole(req.params.restaurantId, req.params.roleId, parsed.data);
+        res.json({ role });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update role" });
+      }
+    })
+  );
+
+  router.delete(
+    "/:roleId",
+    rateLimit({ keyPrefix: "roles:delete", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const role = await deleteStaffRole(req.params.restaurantId, req.params.roleId);
+        res.json({ role, deleted: true });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to delete role" });
+      }
+    })
+  );
+}
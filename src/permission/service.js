@@ -0,0 +1,242 @@
+/**
+ * Custom staff roles, permission lookup and manager overrides. Permissions for a staff login are
+ * read from the DB (and cached briefly) on each request, so role edits apply without the staff
+ * member signing in again.
+ */
+import bcrypt from "bcryptjs";
+import { eq, and, or, asc, desc, gte, lt, sql } from "drizzle-orm";
+import { staffRoles, staff, staffOutletAccess, managerOverrides } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { getRedisClient } from "../redis/client.js";
+import { cacheGetOrSetJson } from "../redis/cache.js";
+import { resolvePermissions, unknownPermissions, ROLE_TEMPLATES } from "./catalog.js";
+import { httpError } from "../httpError.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+// How long a staff member's permissions are cached
+const PERMISSION_CACHE_SECONDS = 60;
+
+const permissionCacheKey = (staffId) => `perm:staff:${staffId}`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Drop cached permissions so the next request re-reads them */
+export async function invalidateStaffPermissions(staffIds) {
+  const redis = getRedisClient();
+  if (!redis || staffIds.length === 0) return;
+  await redis.del(...staffIds.map(permissionCacheKey));
+}
+
+async function loadStaffRecord(staffId) {
+  const rows = await readDb
+    .select({ role: staff.role, isActive: staff.isActive, customPermissions: staffRoles.permissions })
+    .from(staff)
+    .leftJoin(staffRoles, eq(staffRoles.id, staff.roleId))
+    .where(eq(staff.id, staffId))
+    .limit(1);
+  return rows[0] ?? null;
+}
+
+/**
+ * Permissions held by a signed-in user.
+ * @param {object} user - req.user
+ * @returns {Promise<string[]>}
+ */
+export async function getUserPermissions(user) {
+  if (!user?.isStaff) return resolvePermissions(user);
+
+  const staffId = user.staffId || user.id;
+  const redis = getRedisClient();
+  const record = redis
+    ? await cacheGetOrSetJson(redis, permissionCacheKey(staffId), PERMISSION_CACHE_SECONDS, () => loadStaffRecord(staffId))
+    : await loadStaffRecord(staffId);
+  return resolvePermissions(user, record);
+}
+
+function normalizePermissions(permissions) {
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) throw httpError(`Unknown permissions: ${unknown.join(", ")}`);
+  return [...new Set(permissions)].sort();
+}
+
+/** Throws 404 unless the role belongs to the restaurant */
+export async function assertStaffRole(restaurantId, roleId, dbToUse = readDb) {
+  const rows = await dbToUse
+    .select()
+    .from(staffRoles)
+    .where(and(eq(staffRoles.restaurantId, restaurantId), eq(staffRoles.id, roleId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Staff role not found", 404);
+  return rows[0];
+}
+
+/** The restaurant's custom roles with how many staff hold each */
+export async function listStaffRoles(restaurantId) {
+  return await readDb
+    .select({
+      id: staffRoles.id,
+      name: staffRoles.name,
+      description: staffRoles.description,
+      permissions: staffRoles.permissions,
+      // Outer column spelled out: drizzle renders ${staffRoles.id} as a bare "id", which binds to staff.id
+      staffCount: sql`(SELECT COUNT(*)::int FROM staff s WHERE s.role_id = "staff_roles"."id")`,
+      createdAt: staffRoles.createdAt,
+      updatedAt: staffRoles.updatedAt,
+    })
+    .from(staffRoles)
+    .where(eq(staffRoles.restaurantId, restaurantId))
+    .orderBy(asc(staffRoles.name));
+}
+
+/**
+ * Create a role from explicit permissions or a template (explicit fields win).
+ * @param {{name?: string, description?: string, permissions?: string[], template?: string}} data
+ */
+export async function createStaffRole(restaurantId, data) {
+  const template = data.template ? ROLE_TEMPLATES[data.template] : null;
+  if (data.template && !template) throw httpError(`Unknown role template ${data.template}`);
+
+  const name = (data.name ?? template?.name)?.trim();
+  if (!name) throw httpError("A role name is required");
+
+  try {
+    const rows = await db
+      .insert(staffRoles)
+      .values({
+        restaurantId,
+        name,
+        description: data.description ?? template?.description ?? null,
+        permissions: normalizePermissions(data.permissions ?? template?.permissions ?? []),
+      })
+      .returning();
+    return rows[0];
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError(`A role named ${name} already exists`, 409);
+    throw error;
+  }
+}
+
+/**
+ * @param {{name?: string, description?: string|null, permissions?: string[]}} data
+ */
+export async function updateStaffRole(restaurantId, roleId, data) {
+  await assertStaffRole(restaurantId, roleId, db);
+
+  const patch = { updatedAt: new Date() };
+  if (data.name !== undefined) patch.name = data.name.trim();
+  if (data.description !== undefined) patch.description = data.description;
+  if (data.permissions !== undefined) patch.permissions = normalizePermissions(data.permissions);
+
+  let role;
+  try {
+    const rows = await db.update(staffRoles).set(patch).where(eq(staffRoles.id, roleId)).returning();
+    role = rows[0];
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError(`A role named ${patch.name} already exists`, 409);
+    throw error;
+  }
+
+  if (data.permissions !== undefined) {
+    const holders = await db.select({ id: staff.id }).from(staff).where(eq(staff.roleId, roleId));
+    await invalidateStaffPermissions(holders.map((s) => s.id));
+  }
+  return role;
+}
+
+/** Roles still held by staff can't be deleted — reassign them first */
+export async function deleteStaffRole(restaurantId, roleId) {
+  await assertStaffRole(restaurantId, roleId, db);
+
+  const holders = await db.select({ id: staff.id }).from(staff).where(eq(staff.roleId, roleId)).limit(1);
+  if (holders[0]) throw httpError("Reassign the staff who hold this role before deleting it", 409);
+
+  const rows = await db.delete(staffRoles).where(eq(staffRoles.id, roleId)).returning();
+  return rows[0];
+}
+
+// ============================================================
+// Manager overrides
+// ============================================================
+
+/**
+ * Check a manager's passcode for a one-off approval. The manager must work at the restaurant
+ * (home outlet or shared access) and hold the permission themselves.
+ * @param {{staffCode: string, passcode: string}} credentials - staffCode may also be the staff id
+ * @param {string} permission
+ * @returns {Promise<{id: string, fullName: string}>}
+ */
+export async function verifyManagerPasscode(restaurantId, { staffCode, passcode }, permission) {
+  const normalizedCode = String(staffCode).toUpperCase().replace(/-/g, "");
+  const byCode = sql`UPPER(REPLACE(${staff.staffCode}, '-', '')) = ${normalizedCode}`;
+  // Only a UUID can be a staff id; codes like "MGR-01" are matched on staff_code alone
+  const byCredential = UUID_PATTERN.test(String(staffCode)) ? or(eq(staff.id, staffCode), byCode) : byCode;
+  const rows = await db
+    .select({ id: staff.id, fullName: staff.fullName, passcodeHash: staff.passcodeHash, isActive: staff.isActive })
+    .from(staff)
+    .leftJoin(
+      staffOutletAccess,
+      and(eq(staffOutletAccess.staffId, staff.id), eq(staffOutletAccess.restaurantId, restaurantId))
+    )
+    .where(
+      and(
+        byCredential,
+        or(eq(staff.restaurantId, restaurantId), eq(staffOutletAccess.restaurantId, restaurantId))
+      )
+    )
+    .limit(1);
+
+  const manager = rows[0];
+  // Same answer for an unknown code, a manager without a passcode and a wrong passcode
+  if (!manager?.isActive || !manager.passcodeHash || !(await bcrypt.compare(String(passcode), manager.passcodeHash))) {
+    throw httpError("Invalid manager code or passcode", 403);
+  }
+
+  const permissions = await getUserPermissions({ id: manager.id, isStaff: true, staffId: manager.id });
+  if (!permissions.includes(permission)) {
+    throw httpError(`${manager.fullName} can't approve this`, 403);
+  }
+  return { id: manager.id, fullName: manager.fullName };
+}
+
+/**
+ * Log an action a manager approved.
+ * @param {{permission: string, action: string, orderId?: string|null, requester: object|null,
+ *   approver: {id: string, fullName?: string}}} entry - requester is { id, type: 'user' | 'staff' }
+ */
+export async function recordManagerOverride(restaurantId, entry) {
+  const rows = await db
+    .insert(managerOverrides)
+    .values({
+      restaurantId,
+      permission: entry.permission,
+      action: entry.action,
+      orderId: entry.orderId ?? null,
+      requestedById: entry.requester?.id ?? null,
+      requestedByType: entry.requester?.type ?? null,
+      approvedById: entry.approver.id,
+      approvedByName: entry.approver.fullName ?? null,
+    })
+    .returning();
+  return rows[0];
+}
+
+/**
+ * Approved overrides, newest first.
+ * @param {{orderId?: string, approvedById?: string, from?: Date, to?: Date, limit?: number, offset?: number}} [filters]
+ */
+export async function listManagerOverrides(restaurantId, filters = {}) {
+  const { limit = 50, offset = 0 } = filters;
+  const conditions = [eq(managerOverrides.restaurantId, restaurantId)];
+  if (filters.orderId) conditions.push(eq(managerOverrides.orderId, filters.orderId));
+  if (filters.approvedById) conditions.push(eq(managerOverrides.approvedById, filters.approvedById));
+  if (filters.from) conditions.push(gte(managerOverrides.createdAt, filters.from));
+  if (filters.to) conditions.push(lt(managerOverrides.createdAt, filters.to));
+
+  return await readDb
+    .select()
+    .from(managerOverrides)
+    .where(and(...conditions))
+    .orderBy(desc(managerOverrides.createdAt))
+    .limit(limit)
+    .offset(offset);
+}
@@ -0,0 +1,366 @@
+/**
+ * Print documents — tax invoices and kitchen order tickets.
+ *
+ * A document is a flat list of blocks that every renderer (ESC/POS, PDF, HTML) understands:
+ *   { type: "logo" }
+ *   { type: "text", text, align: "left" | "center" | "right", bold, large }
+ *   { type: "row", left, right, bold }   — left text wraps, right text is pinned to the edge
+ *   { type: "rule" }
+ *   { type: "feed" }
+ * Everything here is pure so layouts can be unit tested without a database or a printer.
+ */
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
+
+// SAC for restaurant services under GST
+const RESTAURANT_SAC = "996331";
+
+/**
+ * Supported paper sizes. `columns` is characters per line in the printer's font A,
+ * `dots` the printable raster width; A4 is only available for PDF/HTML.
+ */
+export const PAPER_SIZES = {
+  "58": { columns: 32, dots: 384, widthPt: 164, widthMm: 58 },
+  "80": { columns: 48, dots: 576, widthPt: 227, widthMm: 80 },
+  a4: { columns: 64, dots: null, widthPt: 595, heightPt: 842, widthMm: 210 },
+};
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const halfRate = (rate) => {
+  const half = Number(rate || 0) / 2;
+  return Number.isInteger(half) ? String(half) : half.toFixed(2).replace(/0$/, "");
+};
+
+function formatDateTime(value) {
+  return new Date(value || Date.now()).toLocaleString("en-IN", {
+    timeZone: TIMEZONE,
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatTime(value) {
+  return new Date(value || Date.now()).toLocaleTimeString("en-IN", {
+    timeZone: TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function orderTypeLabel(orderType) {
+  return (orderType || "DINE_IN").replace("_", " ");
+}
+
+/** Restaurant name, address and registration numbers */
+function restaurantHeader(restaurant, { withLogo }) {
+  const blocks = [];
+  if (withLogo) blocks.push({ type: "logo" });
+  blocks.push({ type: "text", text: restaurant.name, align: "center", bold: true, large: true });
+
+  const address = [restaurant.addressLine1, restaurant.addressLine2].filter(Boolean).join(", ");
+  if (address) blocks.push({ type: "text", text: address, align: "center" });
+
+  const cityLine = [
+    [restaurant.city, restaurant.postalCode].filter(Boolean).join(" - "),
+    restaurant.state,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  if (cityLine) blocks.push({ type: "text", text: cityLine, align: "center" });
+
+  if (restaurant.phoneNumber) blocks.push({ type: "text", text: `Ph: ${restaurant.phoneNumber}`, align: "center" });
+  if (restaurant.gstNumber) blocks.push({ type: "text", text: `GSTIN: ${restaurant.gstNumber}`, align: "center" });
+  if (restaurant.fssaiNumber) blocks.push({ type: "text", text: `FSSAI: ${restaurant.fssaiNumber}`, align: "center" });
+  return blocks;
+}
+
+/** Item name with its variant snapshot, e.g. "Pizza (Large)" */
+function itemTitle(item) {
+  return item.variantName ? `${item.itemName} (${item.variantName})` : item.itemName;
+}
+
+function modifierLines(item) {
+  return (item.selectedModifiers || []).map((modifier) => modifier.name).filter(Boolean);
+}
+
+/**
+ * Build a GST tax invoice (or credit note, for refunds/voids) for one transaction.
+ * @param {object} data
+ * @param {object} data.restaurant - Restaurant row
+ * @param {object} data.transaction - Transaction row (amounts are the bill's snapshot)
+ * @param {object} data.order - Order row
+ * @param {Array} data.items - Items to list (a split-by-item payer only sees their items)
+ * @param {Array} [data.discounts] - Applied order discounts ({ name, code, amount }), itemised when
+ *   they add up to the bill's discount
+ * @param {number|null} data.tableNumber
+ * @param {string|null} data.originalBillNumber - Invoice a credit note is raised against
+ * @param {boolean} data.withLogo
+ * @returns {Array} Document blocks
+ */
+export function buildInvoiceDocument(data) {
+  const { restaurant, transaction, order, items, discounts = [], tableNumber, originalBillNumber, withLogo } = data;
+  const currency = restaurant.currency || "₹";
+  const isCreditNote = transaction.entryType && transaction.entryType !== "PAYMENT";
+
+  const blocks = [...restaurantHeader(restaurant, { withLogo }), { type: "rule" }];
+
+  blocks.push({ type: "text", text: isCreditNote ? "CREDIT NOTE" : "TAX INVOICE", align: "center", bold: true });
+  blocks.push({ type: "row", left: isCreditNote ? "Credit Note No" : "Invoice No", right: transaction.billNumber });
+  if (isCreditNote && originalBillNumber) {
+    blocks.push({ type: "row", left: "Against Invoice", right: originalBillNumber });
+  }
+  blocks.push({ type: "row", left: "Date", right: formatDateTime(transaction.paidAt) });
+  if (order) {
+    blocks.push({
+      type: "row",
+      left: order.orderNumber ? `Order #${order.orderNumber}` : orderTypeLabel(order.orderType),
+      right: tableNumber ? `Table ${tableNumber}` : orderTypeLabel(order.orderType),
+    });
+    if (order.guestName) blocks.push({ type: "row", left: "Guest", right: order.guestName });
+  }
+  if (transaction.payerLabel) blocks.push({ type: "row", left: "Payer", right: transaction.payerLabel });
+  if (restaurant.state) blocks.push({ type: "row", left: "Place of Supply", right: restaurant.state });
+
+  blocks.push({ type: "rule" });
+  blocks.push({ type: "row", left: "Item", right: "Amount", bold: true });
+
+  for (const item of items) {
+    blocks.push({ type: "row", left: `${item.quantity} x ${itemTitle(item)}`, right: money(item.totalPrice) });
+    for (const modifier of modifierLines(item)) {
+      blocks.push({ type: "text", text: `   + ${modifier}` });
+    }
+  }
+
+  // Equal/custom split shares list the whole order but only bill part of it, so say so
+  if (transaction.splitMethod && transaction.splitMethod !== "ITEMS" && order) {
+    blocks.push({ type: "text", text: `Split bill — share of order total ${money(order.totalAmount)}` });
+  }
+  if (isCreditNote && transaction.reason) {
+    blocks.push({ type: "text", text: `Reason: ${transaction.reason}` });
+  }
+
+  // Credit notes are stored as negative entries but printed as positive amounts under their title
+  const amount = (value) => money(isCreditNote ? Math.abs(Number(value || 0)) : value);
+
+  blocks.push({ type: "rule" });
+  blocks.push({ type: "row", left: "Subtotal", right: amount(transaction.subtotal) });
+
+  const discount = Math.abs(Number(transaction.discountAmount || 0));
+  if (discount > 0) {
+    // Split shares and credit notes carry only part of the order discount, so those print one line
+    const itemised = discounts.reduce((sum, d) => sum + Math.round(Number(d.amount || 0) * 100), 0);
+    if (discounts.length > 0 && itemised === Math.round(discount * 100)) {
+      for (const d of discounts) {
+        const label = d.code ? `${d.name} (${d.code})` : d.name;
+        blocks.push({ type: "row", left: `Discount: ${label}`, right: `-${money(d.amount)}` });
+      }
+    } else {
+      blocks.push({ type: "row", left: "Discount", right: `-${money(discount)}` });
+    }
+  }
+
+  const service = Number(transaction.serviceTaxAmount || 0);
+  if (service !== 0) {
+    blocks.push({
+      type: "row",
+      left: `Service Charge${transaction.taxRateService ? ` @ ${Number(transaction.taxRateService)}%` : ""}`,
+      right: amount(service),
+    });
+  }
+
+  const deliveryFee = Number(transaction.deliveryFee || 0);
+  if (deliveryFee !== 0) {
+    blocks.push({ type: "row", left: "Delivery Fee", right: amount(deliveryFee) });
+  }
+
+  // Intra-state supply: GST is split equally into CGST and SGST
+  const gst = Number(transaction.gstAmount || 0);
+  if (gst !== 0) {
+    const cgst = Math.round((gst / 2) * 100) / 100;
+    const rate = transaction.taxRateGst ? ` @ ${halfRate(transaction.taxRateGst)}%` : "";
+    blocks.push({ type: "row", left: `CGST${rate}`, right: amount(cgst) });
+    blocks.push({ type: "row", left: `SGST${rate}`, right: amount(gst - cgst) });
+  }
+
+  blocks.push({ type: "rule" });
+  blocks.push({
+    type: "row",
+    left: isCreditNote ? "TOTAL REFUNDED" : "TOTAL",
+    right: `${currency} ${amount(transaction.grandTotal)}`,
+    bold: true,
+  });
+  blocks.push({
+    type: "text",
+    text: `${isCreditNote ? "Refunded via" : "Paid by"} ${transaction.paymentMethod}`,
+  });
+  blocks.push({ type: "rule" });
+  blocks.push({ type: "text", text: `SAC ${RESTAURANT_SAC} - Restaurant services`, align: "center" });
+  blocks.push({ type: "text", text: "Thank you! Visit again", align: "center" });
+  blocks.push({ type: "feed" });
+
+  return blocks;
+}
+
+/**
+ * Build a kitchen order ticket for one KOT batch of an order.
+ * @param {object} data
+ * @param {object} data.order - Order row
+ * @param {Array} data.items - The batch's order items
+ * @param {number} data.kotNumber
+ * @param {number|null} data.tableNumber
+ * @param {boolean} data.reprint - Marks the ticket so the pass doesn't cook it twice
+ * @returns {Array} Document blocks
+ */
+export function buildKotDocument(data) {
+  const { order, items, kotNumber, tableNumber, reprint } = data;
+
+  const blocks = [{ type: "text", text: `KOT #${kotNumber}`, align: "center", bold: true, large: true }];
+  if (reprint) blocks.push({ type: "text", text: "** REPRINT **", align: "center", bold: true });
+
+  blocks.push({
+    type: "row",
+    left: order.orderNumber ? `Order #${order.orderNumber}` : "Order",
+    right: orderTypeLabel(order.orderType),
+  });
+  blocks.push({
+    type: "row",
+    left: tableNumber ? `Table ${tableNumber}` : order.guestName || "",
+    right: formatTime(items[0]?.createdAt || order.createdAt),
+    bold: Boolean(tableNumber),
+  });
+  blocks.push({ type: "rule" });
+
+  for (const item of items) {
+    const cancelled = item.status === "CANCELLED";
+    blocks.push({
+      type: "text",
+      text: `${cancelled ? "[CANCELLED] " : ""}${item.quantity} x ${item.itemName}`,
+      bold: true,
+    });
+    if (item.variantName) blocks.push({ type: "text", text: `    ${item.variantName}` });
+    for (const modifier of modifierLines(item)) {
+      blocks.push({ type: "text", text: `    + ${modifier}` });
+    }
+    if (item.notes) blocks.push({ type: "text", text: `    Note: ${item.notes}` });
+  }
+
+  blocks.push({ type: "rule" });
+  if (order.notes) blocks.push({ type: "text", text: `Order note: ${order.notes}` });
+  blocks.push({ type: "text", text: `Items: ${items.reduce((sum, item) => sum + item.quantity, 0)}`, align: "right" });
+  blocks.push({ type: "feed" });
+
+  return blocks;
+}
+
+/** Greedy word wrap; words longer than the width are hard-split */
+export function wrapText(text, width) {
+  const lines = [];
+  let current = "";
+  for (const word of String(text ?? "").split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > width) {
+      if (current) {
+        lines.push(current);
+        current = "";
+      }
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    if (!current) current = rest;
+    else if (current.length + 1 + rest.length <= width) current += ` ${rest}`;
+    else {
+      lines.push(current);
+      current = rest;
+    }
+  }
+  if (current || lines.length === 0) lines.push(current);
+  return lines;
+}
+
+function alignLine(text, width, align) {
+  if (align === "center") {
+    const pad = Math.max(0, Math.floor((width - text.length) / 2));
+    return " ".repeat(pad) + text;
+  }
+  if (align === "right") return text.padStart(width);
+  return text;
+}
+
+/**
+ * Lay a document out as fixed-width text lines for monospaced output (thermal printers, PDF).
+ * Large text is printed double width, so it gets half the columns.
+ * @param {Array} blocks - Document blocks
+ * @param {number} columns - Characters per line
+ * @returns {Array<{text?: string, bold?: boolean, large?: boolean, logo?: boolean}>}
+ */
+export function layoutText(blocks, columns) {
+  const lines = [];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "logo":
+        lines.push({ logo: true });
+        break;
+      case "rule":
+        lines.push({ text: "-".repeat(columns) });
+        break;
+      case "feed":
+        lines.push({ text: "" });
+        break;
+      case "text": {
+        const width = block.large ? Math.floor(columns / 2) : columns;
+        for (const line of wrapText(block.text, width)) {
+          lines.push({ text: alignLine(line, width, block.align), bold: block.bold, large: block.large });
+        }
+        break;
+      }
+      case "row": {
+        const right = String(block.right ?? "");
+        const leftWidth = Math.max(1, columns - right.length - 1);
+        const leftLines = wrapText(block.left, leftWidth);
+        // Amount sits on the last line of the wrapped label, like a printed bill
+        leftLines.forEach((line, index) => {
+          const isLast = index === leftLines.length - 1;
+          lines.push({
+            text: isLast ? line.padEnd(columns - right.length) + right : line,
+            bold: block.bold,
+          });
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Thermal printers (code page 437) and the PDF base fonts only cover ASCII reliably.
+ * Swap the rupee sign and dashes for ASCII and strip accents before layout, so column maths holds.
+ */
+export function toAsciiBlocks(blocks) {
+  const clean = (value) =>
+    value == null
+      ? value
+      : String(value)
+          .replace(/\u20b9/g, "Rs.")
+          .replace(/[\u2013\u2014]/g, "-")
+          .replace(/[\u2018\u2019]/g, "'")
+          .replace(/[\u201c\u201d]/g, '"')
+          .normalize("NFKD")
+          .replace(/[\u0300-\u036f]/g, "")
+          .replace(/[^\x20-\x7E]/g, "?");
+
+  return blocks.map((block) => ({
+    ...block,
+    ...(block.text !== undefined && { text: clean(block.text) }),
+    ...(block.left !== undefined && { left: clean(block.left) }),
+    ...(block.right !== undefined && { right: clean(block.right) }),
+  }));
+}
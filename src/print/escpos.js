@@ -0,0 +1,72 @@
+import { layoutText, toAsciiBlocks } from "./document.js";
+
+// ESC/POS command bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const INIT = [ESC, 0x40];
+const ALIGN_LEFT = [ESC, 0x61, 0];
+const ALIGN_CENTER = [ESC, 0x61, 1];
+const BOLD_ON = [ESC, 0x45, 1];
+const BOLD_OFF = [ESC, 0x45, 0];
+const SIZE_NORMAL = [GS, 0x21, 0x00];
+const SIZE_DOUBLE = [GS, 0x21, 0x11];
+const FEED_AND_CUT = [ESC, 0x64, 4, GS, 0x56, 0x42, 0x00];
+
+/**
+ * Convert greyscale pixels into a 1-bit raster, MSB first, one row per `ceil(width / 8)` bytes.
+ * @param {Buffer} pixels - 8-bit greyscale, row-major
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [threshold=160] - Pixels darker than this are printed
+ * @returns {{ width: number, height: number, bytesPerRow: number, bits: Buffer }}
+ */
+export function toMonochromeRaster(pixels, width, height, threshold = 160) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const bits = Buffer.alloc(bytesPerRow * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] < threshold) {
+        bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return { width, height, bytesPerRow, bits };
+}
+
+/** GS v 0 — print a raster bit image */
+function rasterCommand(raster) {
+  const { bytesPerRow, height, bits } = raster;
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8]),
+    bits,
+  ]);
+}
+
+/**
+ * Render a document as ESC/POS bytes for a thermal printer.
+ * @param {Array} blocks - Document blocks (see document.js)
+ * @param {object} options
+ * @param {object} options.paper - Entry from PAPER_SIZES
+ * @param {object|null} [options.logo] - Raster from toMonochromeRaster, already sized for the paper
+ * @param {boolean} [options.cut=true] - Feed and cut after the document
+ * @returns {Buffer}
+ */
+export function renderEscPos(blocks, { paper, logo = null, cut = true }) {
+  const chunks = [Buffer.from(INIT)];
+
+  for (const line of layoutText(toAsciiBlocks(blocks), paper.columns)) {
+    if (line.logo) {
+      if (logo) chunks.push(Buffer.from(ALIGN_CENTER), rasterCommand(logo), Buffer.from(ALIGN_LEFT));
+      continue;
+    }
+
+    // Lines arrive pre-padded for alignment, so only emphasis needs commands
+    const prefix = [...(line.bold ? BOLD_ON : []), ...(line.large ? SIZE_DOUBLE : [])];
+    const suffix = [...(line.large ? SIZE_NORMAL : []), ...(line.bold ? BOLD_OFF : [])];
+    chunks.push(Buffer.from(prefix), Buffer.from(`${line.text.trimEnd()}\n`, "ascii"), Buffer.from(suffix));
+  }
+
+  if (cut) chunks.push(Buffer.from(FEED_AND_CUT));
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,69 @@
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+function renderBlock(block, logoUrl) {
+  switch (block.type) {
+    case "logo":
+      return logoUrl ? `<div class="logo"><img src="${escapeHtml(logoUrl)}" alt=""></div>` : "";
+    case "rule":
+      return `<hr>`;
+    case "feed":
+      return `<div class="feed"></div>`;
+    case "text": {
+      const classes = [block.align || "left", block.bold && "bold", block.large && "large"].filter(Boolean);
+      return `<div class="${classes.join(" ")}">${escapeHtml(block.text)}</div>`;
+    }
+    case "row":
+      return `<div class="row${block.bold ? " bold" : ""}"><span>${escapeHtml(block.left)}</span><span>${escapeHtml(block.right)}</span></div>`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Render a document as a standalone HTML page for browser printing. Unlike the thermal
+ * renderers this keeps the rupee sign and non-ASCII names as-is.
+ * @param {Array} blocks - Document blocks (see document.js)
+ * @param {object} options
+ * @param {object} options.paper - Entry from PAPER_SIZES
+ * @param {string} options.title - Page title
+ * @param {string|null} [options.logoUrl] - Public logo URL; the logo block is skipped without one
+ * @returns {string}
+ */
+export function renderHtml(blocks, { paper, title, logoUrl = null }) {
+  // Only link remote images the browser can fetch directly
+  const safeLogoUrl = logoUrl && /^https?:\/\//i.test(logoUrl) ? logoUrl : null;
+  const pageSize = paper.heightPt ? "A4" : `${paper.widthMm}mm auto`;
+  const bodyWidth = paper.heightPt ? "170mm" : `${paper.widthMm - 6}mm`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${pageSize}; margin: ${paper.heightPt ? "20mm" : "3mm"}; }
+  body { width: ${bodyWidth}; margin: 0 auto; font: 12px/1.35 "Courier New", Courier, monospace; color: #000; }
+  .center { text-align: center; }
+  .right { text-align: right; }
+  .bold { font-weight: bold; }
+  .large { font-size: 1.6em; }
+  .row { display: flex; justify-content: space-between; gap: 8px; }
+  .row span:last-child { white-space: nowrap; }
+  .logo { text-align: center; }
+  .logo img { max-width: 50%; max-height: 80px; }
+  .feed { height: 1.35em; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; }
+</style>
+</head>
+<body>
+${blocks.map((block) => renderBlock(block, safeLogoUrl)).filter(Boolean).join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,149 @@
+import { layoutText, toAsciiBlocks } from "./document.js";
+
+// Courier glyphs are 600/1000 em wide, which keeps the thermal column layout exact in PDF
+const COURIER_ADVANCE = 0.6;
+const LINE_SPACING = 1.25;
+const MAX_FONT_SIZE = 11;
+
+function escapePdfText(text) {
+  return text.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+}
+
+/**
+ * Serialise PDF objects (strings or Buffers, numbered from 1) with a valid xref table.
+ */
+function writePdf(objects) {
+  const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+  let length = chunks[0].length;
+  const offsets = [];
+
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+      Buffer.from("\nendobj\n", "latin1"),
+    ]);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    "startxref",
+    String(length),
+    "%%EOF",
+  ].join("\n");
+  chunks.push(Buffer.from(xref, "latin1"));
+
+  return Buffer.concat(chunks);
+}
+
+function streamObject(dict, data) {
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, "latin1");
+  return Buffer.concat([
+    Buffer.from(`<< ${dict ? `${dict} ` : ""}/Length ${bytes.length} >>\nstream\n`, "latin1"),
+    bytes,
+    Buffer.from("\nendstream", "latin1"),
+  ]);
+}
+
+/**
+ * Render a document as a PDF. Thermal sizes produce one long page the width of the roll;
+ * A4 paginates.
+ * @param {Array} blocks - Document blocks (see document.js)
+ * @param {object} options
+ * @param {object} options.paper - Entry from PAPER_SIZES
+ * @param {object|null} [options.logo] - { jpeg: Buffer, width, height } in pixels
+ * @returns {Buffer}
+ */
+export function renderPdf(blocks, { paper, logo = null }) {
+  const margin = paper.heightPt ? 40 : 6;
+  const fontSize = Math.min(MAX_FONT_SIZE, (paper.widthPt - margin * 2) / (paper.columns * COURIER_ADVANCE));
+  const contentWidth = paper.columns * COURIER_ADVANCE * fontSize;
+  const left = (paper.widthPt - contentWidth) / 2;
+
+  const logoBox = logo
+    ? (() => {
+        const maxHeight = paper.heightPt ? 80 : 60;
+        const scale = Math.min((contentWidth * 0.5) / logo.width, maxHeight / logo.height);
+        return { width: logo.width * scale, height: logo.height * scale };
+      })()
+    : null;
+
+  // Measure every line first so thermal pages can be sized to the content
+  const lines = layoutText(toAsciiBlocks(blocks), paper.columns)
+    .filter((line) => !line.logo || logoBox)
+    .map((line) => ({
+      ...line,
+      height: line.logo ? logoBox.height + fontSize * 0.5 : fontSize * LINE_SPACING * (line.large ? 2 : 1),
+    }));
+
+  const pageHeight = paper.heightPt || margin * 2 + lines.reduce((sum, line) => sum + line.height, 0);
+
+  const pages = [];
+  let current = [];
+  let y = pageHeight - margin;
+  for (const line of lines) {
+    if (paper.heightPt && y - line.height < margin && current.length > 0) {
+      pages.push(current);
+      current = [];
+      y = pageHeight - margin;
+    }
+    y -= line.height;
+    current.push({ ...line, y });
+  }
+  pages.push(current);
+
+  const contentStreams = pages.map((pageLines) =>
+    pageLines
+      .map((line) => {
+        if (line.logo) {
+          const x = (paper.widthPt - logoBox.width) / 2;
+          const imageY = line.y + fontSize * 0.5;
+          return `q ${logoBox.width.toFixed(2)} 0 0 ${logoBox.height.toFixed(2)} ${x.toFixed(2)} ${imageY.toFixed(2)} cm /Im1 Do Q`;
+        }
+        if (!line.text.trim()) return "";
+        const size = line.large ? fontSize * 2 : fontSize;
+        // Baseline sits a little above the bottom of the line box
+        const baseline = line.y + (line.height - size) / 2 + size * 0.2;
+        return `BT /${line.bold ? "F2" : "F1"} ${size.toFixed(2)} Tf ${left.toFixed(2)} ${baseline.toFixed(2)} Td (${escapePdfText(line.text)}) Tj ET`;
+      })
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 logo (optional), then a page + content pair per page
+  const firstPageObject = logo ? 6 : 5;
+  const pageRefs = pages.map((_, index) => `${firstPageObject + index * 2} 0 R`);
+  const resources = `<< /Font << /F1 3 0 R /F2 4 0 R >>${logo ? " /XObject << /Im1 5 0 R >>" : ""} >>`;
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  if (logo) {
+    objects.push(
+      streamObject(
+        `/Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+        logo.jpeg
+      )
+    );
+  }
+  contentStreams.forEach((content, index) => {
+    const contentObject = firstPageObject + index * 2 + 1;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${paper.widthPt} ${pageHeight.toFixed(2)}] /Resources ${resources} /Contents ${contentObject} 0 R >>`
+    );
+    objects.push(streamObject("", content));
+  });
+
+  return writePdf(objects);
+}
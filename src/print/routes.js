@@ -0,0 +1,112 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { PRINT_FORMATS, renderInvoice, listKots, renderKot } from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const printQuerySchema = z
+  .object({
+    format: z.enum(PRINT_FORMATS).optional().default("escpos"),
+    paper: z.enum(["58", "80", "a4"]).optional().default("80"),
+    reprint: z
+      .enum(["true", "false"])
+      .optional()
+      .transform((v) => v === "true"),
+  })
+  .refine((v) => !(v.format === "escpos" && v.paper === "a4"), {
+    message: "ESC/POS output is only available for 58mm and 80mm paper",
+    path: ["paper"],
+  });
+
+const kotNumberSchema = z.coerce.number().int().positive();
+
+function sendDocument(res, { body, contentType, filename }) {
+  res.set("Content-Type", contentType);
+  res.set("Content-Disposition", `inline; filename="${filename}"`);
+  res.set("Cache-Control", "no-store");
+  res.send(body);
+}
+
+export function registerPrintRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/print",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // Tax invoice (payments) or credit note (refunds/voids) for a transaction
+  router.get(
+    "/invoices/:transactionId",
+    requirePermission("payment.view"),
+    rateLimit({ keyPrefix: "print:invoice", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, transactionId } = req.params;
+      const parsed = printQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid print options",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const document = await renderInvoice(restaurantId, transactionId, parsed.data);
+        sendDocument(res, document);
+      } catch (error) {
+        console.error("Print invoice error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to print invoice" });
+      }
+    })
+  );
+
+  // KOT batches sent to the kitchen for an order
+  router.get(
+    "/orders/:orderId/kots",
+    requirePermission("order.view"),
+    rateLimit({ keyPrefix: "print:kots", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      try {
+        const kots = await listKots(restaurantId, orderId);
+        res.json({ kots });
+      } catch (error) {
+        console.error("List KOTs error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to list KOTs" });
+      }
+    })
+  );
+
+  // Kitchen order ticket for one KOT batch; pass reprint=true for a marked duplicate
+  router.get(
+    "/orders/:orderId/kots/:kotNumber",
+    requirePermission("order.view"),
+    rateLimit({ keyPrefix: "print:kot", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, orderId } = req.params;
+      const kotNumber = kotNumberSchema.safeParse(req.params.kotNumber);
+      const parsed = printQuerySchema.safeParse(req.query);
+      if (!kotNumber.success || !parsed.success) {
+        return res.status(400).json({
+          message: "Invalid print options",
+          errors: [...(kotNumber.error?.errors || []), ...(parsed.error?.errors || [])],
+        });
+      }
+
+      try {
+        const document = await renderKot(restaurantId, orderId, kotNumber.data, parsed.data);
+        sendDocument(res, document);
+      } catch (error) {
+        console.error("Print KOT error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to print KOT" });
+      }
+    })
+  );
+}
@@ -0,0 +1,259 @@
+import { eq, and, asc, isNotNull, sql } from "drizzle-orm";
+import sharp from "sharp";
+import { transactions, orders, orderItems, orderDiscounts, tables, restaurants } from "../../shared/schema.js";
+import { readDb } from "../dbClient.js";
+import { PAPER_SIZES, buildInvoiceDocument, buildKotDocument } from "./document.js";
+import { renderEscPos, toMonochromeRaster } from "./escpos.js";
+import { renderPdf } from "./pdf.js";
+import { renderHtml } from "./html.js";
+import { httpError } from "../httpError.js";
+
+export const PRINT_FORMATS = ["escpos", "pdf", "html"];
+
+const CONTENT_TYPES = {
+  escpos: "application/octet-stream",
+  pdf: "application/pdf",
+  html: "text/html; charset=utf-8",
+};
+
+// Logos are fetched from S3/CDN; keep the print path fast and bounded
+const LOGO_FETCH_TIMEOUT_MS = 3000;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+const LOGO_CACHE_LIMIT = 50;
+const logoCache = new Map();
+
+function resolvePaper(format, paper) {
+  const size = PAPER_SIZES[paper];
+  if (!size) throw httpError(`Unknown paper size ${paper}`);
+  if (format === "escpos" && !size.dots) {
+    throw httpError("ESC/POS output is only available for 58mm and 80mm paper");
+  }
+  return size;
+}
+
+async function fetchLogo(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`Logo fetch failed: ${response.status}`);
+  if (Number(response.headers.get("content-length")) > LOGO_MAX_BYTES) {
+    await response.body?.cancel();
+    throw new Error("Logo is too large to print");
+  }
+
+  // The header can be missing or wrong, so stop reading as soon as the limit is passed
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > LOGO_MAX_BYTES) throw new Error("Logo is too large to print");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Prepare the restaurant logo for a renderer: a 1-bit raster for ESC/POS, a JPEG for PDF.
+ * Printing never fails because of the logo — it is simply left off. Only prepared logos are
+ * cached, so a failed fetch is tried again on the next print.
+ */
+async function loadLogo(url, format, paper) {
+  if (!url || !/^https?:\/\//i.test(url) || format === "html") return null;
+
+  const cacheKey = `${format}:${paper.widthMm}:${url}`;
+  if (logoCache.has(cacheKey)) return logoCache.get(cacheKey);
+
+  let logo;
+  try {
+    const source = await fetchLogo(url);
+    if (format === "escpos") {
+      // About 60% of the printable width, rounded to whole bytes for the raster
+      const width = Math.floor((paper.dots * 0.6) / 8) * 8;
+      const { data, info } = await sharp(source)
+        .resize({ width, height: 160, fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      logo = toMonochromeRaster(data, info.width, info.height);
+    } else {
+      const { data, info } = await sharp(source)
+        .resize({ width: 400, height: 200, fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        // The PDF image is declared DeviceRGB, so greyscale sources must be expanded
+        .toColourspace("srgb")
+        .jpeg({ quality: 85 })
+        .toBuffer({ resolveWithObject: true });
+      logo = { jpeg: data, width: info.width, height: info.height };
+    }
+  } catch (error) {
+    console.warn(`[Print] Skipping logo: ${error.message}`);
+    return null;
+  }
+
+  if (logoCache.size >= LOGO_CACHE_LIMIT) logoCache.delete(logoCache.keys().next().value);
+  logoCache.set(cacheKey, logo);
+  return logo;
+}
+
+async function render(blocks, { format, paper, title, logoUrl }) {
+  const logo = await loadLogo(logoUrl, format, paper);
+  let body;
+  if (format === "escpos") body = renderEscPos(blocks, { paper, logo });
+  else if (format === "pdf") body = renderPdf(blocks, { paper, logo });
+  else body = renderHtml(blocks, { paper, title, logoUrl });
+  return { body, contentType: CONTENT_TYPES[format] };
+}
+
+async function getRestaurant(restaurantId) {
+  const rows = await readDb.select().from(restaurants).where(eq(restaurants.id, restaurantId)).limit(1);
+  if (!rows[0]) throw httpError("Restaurant not found", 404);
+  return rows[0];
+}
+
+async function getOrderWithTable(restaurantId, orderId) {
+  const rows = await readDb
+    .select({ order: orders, tableNumber: tables.tableNumber })
+    .from(orders)
+    .leftJoin(tables, eq(orders.tableId, tables.id))
+    .where(and(eq(orders.id, orderId), eq(orders.restaurantId, restaurantId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Order not found", 404);
+  return rows[0];
+}
+
+function getAppliedDiscounts(restaurantId, orderId) {
+  return readDb
+    .select({ name: orderDiscounts.name, code: orderDiscounts.code, amount: orderDiscounts.amount })
+    .from(orderDiscounts)
+    .where(
+      and(
+        eq(orderDiscounts.orderId, orderId),
+        eq(orderDiscounts.restaurantId, restaurantId),
+        eq(orderDiscounts.status, "APPLIED")
+      )
+    )
+    .orderBy(asc(orderDiscounts.createdAt));
+}
+
+function getOrderItems(restaurantId, orderId) {
+  return readDb
+    .select()
+    .from(orderItems)
+    .where(and(eq(orderItems.orderId, orderId), eq(orderItems.restaurantId, restaurantId)))
+    .orderBy(asc(orderItems.createdAt));
+}
+
+/**
+ * Render the tax invoice for a payment, or the credit note for a refund/void.
+ * @param {string} restaurantId
+ * @param {string} transactionId
+ * @param {object} options
+ * @param {"escpos"|"pdf"|"html"} options.format
+ * @param {"58"|"80"|"a4"} options.paper
+ * @returns {Promise<{body: Buffer|string, contentType: string, filename: string}>}
+ */
+export async function renderInvoice(restaurantId, transactionId, { format, paper }) {
+  const paperSize = resolvePaper(format, paper);
+
+  const txRows = await readDb
+    .select()
+    .from(transactions)
+    .where(and(eq(transactions.id, transactionId), eq(transactions.restaurantId, restaurantId)))
+    .limit(1);
+  const transaction = txRows[0];
+  if (!transaction) throw httpError("Transaction not found", 404);
+
+  // Credit notes quote the invoice they reverse and list the same items it did
+  let original = null;
+  if (transaction.originalTransactionId) {
+    const originalRows = await readDb
+      .select({ billNumber: transactions.billNumber, splitDetails: transactions.splitDetails })
+      .from(transactions)
+      .where(eq(transactions.id, transaction.originalTransactionId))
+      .limit(1);
+    original = originalRows[0] || null;
+  }
+
+  const [restaurant, { order, tableNumber }, allItems, discounts] = await Promise.all([
+    getRestaurant(restaurantId),
+    getOrderWithTable(restaurantId, transaction.orderId),
+    getOrderItems(restaurantId, transaction.orderId),
+    getAppliedDiscounts(restaurantId, transaction.orderId),
+  ]);
+
+  // Items awaiting approval or cancelled were never billed
+  let items = allItems.filter((item) => item.status !== "CANCELLED" && item.status !== "PENDING_APPROVAL");
+  const itemIds = (original?.splitDetails ?? transaction.splitDetails)?.orderItemIds;
+  if (Array.isArray(itemIds)) {
+    const wanted = new Set(itemIds);
+    items = items.filter((item) => wanted.has(item.id));
+  }
+
+  const logoUrl = restaurant.settings?.logo?.url || null;
+  const blocks = buildInvoiceDocument({
+    restaurant,
+    transaction,
+    order,
+    items,
+    discounts,
+    tableNumber,
+    originalBillNumber: original?.billNumber || null,
+    withLogo: Boolean(logoUrl),
+  });
+
+  const rendered = await render(blocks, { format, paper: paperSize, title: transaction.billNumber, logoUrl });
+  return { ...rendered, filename: `${transaction.billNumber}.${format === "escpos" ? "bin" : format}` };
+}
+
+/**
+ * KOT batches for an order, in the order they were sent to the kitchen.
+ * @returns {Promise<Array<{kotNumber: number, itemCount: number, createdAt: Date}>>}
+ */
+export async function listKots(restaurantId, orderId) {
+  await getOrderWithTable(restaurantId, orderId);
+
+  const rows = await readDb
+    .select({
+      kotNumber: orderItems.kotNumber,
+      itemCount: sql`COALESCE(SUM(${orderItems.quantity}), 0)::int`,
+      createdAt: sql`MIN(${orderItems.createdAt})`,
+    })
+    .from(orderItems)
+    .where(
+      and(
+        eq(orderItems.orderId, orderId),
+        eq(orderItems.restaurantId, restaurantId),
+        isNotNull(orderItems.kotNumber),
+        sql`${orderItems.status} <> 'PENDING_APPROVAL'`
+      )
+    )
+    .groupBy(orderItems.kotNumber)
+    .orderBy(asc(orderItems.kotNumber));
+
+  return rows;
+}
+
+/**
+ * Render the kitchen order ticket for one KOT batch of an order.
+ * @param {string} restaurantId
+ * @param {string} orderId
+ * @param {number} kotNumber
+ * @param {object} options
+ * @param {"escpos"|"pdf"|"html"} options.format
+ * @param {"58"|"80"|"a4"} options.paper
+ * @param {boolean} [options.reprint=false]
+ * @returns {Promise<{body: Buffer|string, contentType: string, filename: string}>}
+ */
+export async function renderKot(restaurantId, orderId, kotNumber, { format, paper, reprint = false }) {
+  const paperSize = resolvePaper(format, paper);
+  const { order, tableNumber } = await getOrderWithTable(restaurantId, orderId);
+
+  // Guest orders waiting for staff approval haven't reached the kitchen yet
+  const items = (await getOrderItems(restaurantId, orderId)).filter(
+    (item) => item.kotNumber === kotNumber && item.status !== "PENDING_APPROVAL"
+  );
+  if (items.length === 0) throw httpError(`KOT #${kotNumber} not found for this order`, 404);
+
+  const blocks = buildKotDocument({ order, items, kotNumber, tableNumber, reprint });
+  const rendered = await render(blocks, { format, paper: paperSize, title: `KOT #${kotNumber}`, logoUrl: null });
+  return { ...rendered, filename: `KOT-${kotNumber}.${format === "escpos" ? "bin" : format}` };
+}
@@ -0,0 +1,233 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { DISCOUNT_TYPES, PROMOTION_SCOPES } from "./rules.js";
+import {
+  listPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  listPendingManualDiscounts,
+  decideManualDiscount,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:MM (24-hour)");
+
+const promotionFields = {
+  name: z.string().min(1).max(150),
+  // Letters, digits, dashes and underscores; matched case-insensitively
+  code: z
+    .string()
+    .regex(/^[A-Za-z0-9_-]{3,40}$/, "Code must be 3-40 letters, digits, dashes or underscores")
+    .nullable(),
+  description: z.string().max(1000).nullable(),
+  discountType: z.enum(DISCOUNT_TYPES),
+  value: z.number().positive(),
+  scope: z.enum(PROMOTION_SCOPES),
+  menuItemIds: z.array(z.string().min(1)).max(200),
+  categoryIds: z.array(z.string().min(1)).max(100),
+  maxDiscountAmount: z.number().positive().nullable(),
+  minOrderAmount: z.number().min(0),
+  startsAt: z.string().datetime({ offset: true }).nullable(),
+  endsAt: z.string().datetime({ offset: true }).nullable(),
+  activeDays: z.array(z.number().int().min(0).max(6)).max(7).nullable(),
+  startTime: timeOfDay.nullable(),
+  endTime: timeOfDay.nullable(),
+  usageLimit: z.number().int().positive().nullable(),
+  perGuestLimit: z.number().int().positive().nullable(),
+  isActive: z.boolean(),
+};
+
+const promotionRules = (schema) =>
+  schema
+    .refine((v) => v.discountType !== "PERCENTAGE" || v.value === undefined || v.value <= 100, {
+      message: "Percentage discounts can't exceed 100",
+      path: ["value"],
+    })
+    .refine((v) => v.scope !== "ITEMS" || (v.menuItemIds?.length ?? 0) > 0, {
+      message: "Pick at least one menu item for an item-scoped promotion",
+      path: ["menuItemIds"],
+    })
+    .refine((v) => v.scope !== "CATEGORIES" || (v.categoryIds?.length ?? 0) > 0, {
+      message: "Pick at least one category for a category-scoped promotion",
+      path: ["categoryIds"],
+    })
+    .refine((v) => !v.startTime === !v.endTime, {
+      message: "Happy-hour windows need both startTime and endTime",
+      path: ["endTime"],
+    })
+    .refine((v) => !v.startsAt || !v.endsAt || new Date(v.startsAt) < new Date(v.endsAt), {
+      message: "endsAt must be after startsAt",
+      path: ["endsAt"],
+    });
+
+const createPromotionSchema = promotionRules(
+  z.object({
+    ...promotionFields,
+    code: promotionFields.code.optional(),
+    description: promotionFields.description.optional(),
+    scope: promotionFields.scope.optional().default("ORDER"),
+    menuItemIds: promotionFields.menuItemIds.optional().default([]),
+    categoryIds: promotionFields.categoryIds.optional().default([]),
+    maxDiscountAmount: promotionFields.maxDiscountAmount.optional(),
+    minOrderAmount: promotionFields.minOrderAmount.optional().default(0),
+    startsAt: promotionFields.startsAt.optional(),
+    endsAt: promotionFields.endsAt.optional(),
+    activeDays: promotionFields.activeDays.optional(),
+    startTime: promotionFields.startTime.optional(),
+    endTime: promotionFields.endTime.optional(),
+    usageLimit: promotionFields.usageLimit.optional(),
+    perGuestLimit: promotionFields.perGuestLimit.optional(),
+    isActive: promotionFields.isActive.optional().default(true),
+  })
+);
+
+// Cross-field rules only see the fields sent, so partial updates are checked as far as they go
+const updatePromotionSchema = promotionRules(z.object(promotionFields).partial());
+
+const listPromotionsQuerySchema = z.object({
+  activeOnly: z
+    .enum(["true", "false"])
+    .optional()
+    .transform((v) => v === "true"),
+});
+
+export function registerPromotionRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/promotions",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // List promotions (waiters need the list to apply codeless offers)
+  router.get(
+    "/",
+    requirePermission("discount.apply", "promotion.manage"),
+    rateLimit({ keyPrefix: "promotions:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = listPromotionsQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const promotions = await listPromotions(restaurantId, parsed.data);
+      res.json({ promotions });
+    })
+  );
+
+  // Manual discounts waiting for approval
+  router.get(
+    "/manual-discounts/pending",
+    requirePermission("discount.approve"),
+    rateLimit({ keyPrefix: "promotions:manual:pending", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const discounts = await listPendingManualDiscounts(restaurantId);
+      res.json({ discounts });
+    })
+  );
+
+  for (const decision of ["approve", "reject"]) {
+    router.post(
+      `/manual-discounts/:discountId/${decision}`,
+      requirePermission("discount.approve"),
+      rateLimit({ keyPrefix: `promotions:manual:${decision}`, windowSeconds: 60, max: 60 }),
+      asyncHandler(async (req, res) => {
+        const { restaurantId, discountId } = req.params;
+        try {
+          const result = await decideManualDiscount(
+            restaurantId,
+            discountId,
+            decision === "approve",
+            actorFromRequest(req)
+          );
+          res.json(result);
+        } catch (error) {
+          console.error(`Manual discount ${decision} error:`, error);
+          res.status(error.status || 400).json({ message: error.message || `Failed to ${decision} discount` });
+        }
+      })
+    );
+  }
+
+  // Create promotion
+  router.post(
+    "/",
+    requirePermission("promotion.manage"),
+    rateLimit({ keyPrefix: "promotions:create", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = createPromotionSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid promotion",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const promotion = await createPromotion(restaurantId, parsed.data);
+        res.status(201).json({ promotion });
+      } catch (error) {
+        console.error("Create promotion error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to create promotion" });
+      }
+    })
+  );
+
+  // Update promotion
+  router.patch(
+    "/:promotionId",
+    requirePermission("promotion.manage"),
+    rateLimit({ keyPrefix: "promotions:update", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, promotionId } = req.params;
+      const parsed = updatePromotionSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid promotion",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const promotion = await updatePromotion(restaurantId, promotionId, parsed.data);
+        if (!promotion) {
+          return res.status(404).json({ message: "Promotion not found" });
+        }
+        res.json({ promotion });
+      } catch (error) {
+        console.error("Update promotion error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to update promotion" });
+      }
+    })
+  );
+
+  // Deactivate promotion (orders that used it keep their discount)
+  router.delete(
+    "/:promotionId",
+    requirePermission("promotion.manage"),
+    rateLimit({ keyPrefix: "promotions:delete", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, promotionId } = req.params;
+      const promotion = await deletePromotion(restaurantId, promotionId);
+      if (!promotion) {
+        return res.status(404).json({ message: "Promotion not found" });
+      }
+      res.json({ promotion });
+    })
+  );
+}
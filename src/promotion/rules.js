@@ -0,0 +1,104 @@
+/**
+ * Promotion rules — eligibility and pricing for promotions and manual discounts.
+ *
+ * Pure (no DB access) so both the promotion service (applying a code) and the order
+ * service (re-pricing when items change) share exactly the same maths.
+ */
+
+import { toCents, fromCents } from "../money.js";
+import { WEEKDAYS, toMinutes, localClock } from "../time.js";
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
+
+export const DISCOUNT_TYPES = ["PERCENTAGE", "FLAT"];
+export const PROMOTION_SCOPES = ["ORDER", "ITEMS", "CATEGORIES"];
+
+/** Codes are matched case-insensitively and stored upper-case */
+export function normalizeCode(code) {
+  return String(code ?? "").trim().toUpperCase();
+}
+
+/**
+ * Why a promotion can't be used right now, checking the active flag, date range,
+ * days of week and happy-hour window (in restaurant-local time).
+ * @param {object} promotion - Promotion row
+ * @param {Date} [at=new Date()]
+ * @param {string} [timeZone]
+ * @returns {string|null} Reason it is unavailable, or null if it can be applied
+ */
+export function promotionUnavailableReason(promotion, at = new Date(), timeZone = TIMEZONE) {
+  if (!promotion.isActive) return "This promotion is not active";
+  if (promotion.startsAt && at < new Date(promotion.startsAt)) return "This promotion has not started yet";
+  if (promotion.endsAt && at >= new Date(promotion.endsAt)) return "This promotion has expired";
+
+  const { weekday, minutes } = localClock(at, timeZone);
+  const days = promotion.activeDays;
+  if (Array.isArray(days) && days.length > 0 && !days.includes(weekday)) {
+    return `This promotion is only valid on ${days.map((d) => WEEKDAYS[d]).join(", ")}`;
+  }
+
+  if (promotion.startTime && promotion.endTime) {
+    const start = toMinutes(promotion.startTime);
+    const end = toMinutes(promotion.endTime);
+    // A window like 22:00-02:00 crosses midnight
+    const inWindow = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (!inWindow) {
+      return `This promotion is only valid between ${promotion.startTime} and ${promotion.endTime}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pricing rules snapshotted onto an order discount, so later edits to the promotion
+ * don't change orders it was already applied to.
+ */
+export function snapshotRules(promotion) {
+  return {
+    scope: promotion.scope || "ORDER",
+    menuItemIds: promotion.menuItemIds || [],
+    categoryIds: promotion.categoryIds || [],
+    maxDiscountAmount: promotion.maxDiscountAmount ?? null,
+    minOrderAmount: promotion.minOrderAmount ?? "0",
+  };
+}
+
+/**
+ * Price a discount against an order's items. The discount comes off the item subtotal
+ * of the eligible items, is capped by maxDiscountAmount, and never exceeds what it covers.
+ * @param {object} discount - { discountType, value, rules: { scope, menuItemIds, categoryIds, maxDiscountAmount, minOrderAmount } }
+ * @param {Array} items - Order items with { menuItemId, categoryId, totalPrice }
+ * @returns {{ amount: string, eligibleSubtotal: string, reason: string|null }}
+ *   amount is "0.00" with a reason when the discount doesn't apply
+ */
+export function computeDiscount(discount, items) {
+  const rules = discount.rules || {};
+  const subtotal = items.reduce((sum, item) => sum + toCents(item.totalPrice), 0);
+
+  const minimum = toCents(rules.minOrderAmount);
+  if (subtotal < minimum) {
+    return { amount: "0.00", eligibleSubtotal: "0.00", reason: `Minimum order value is ${fromCents(minimum)}` };
+  }
+
+  const scope = rules.scope || "ORDER";
+  let eligible = subtotal;
+  if (scope === "ITEMS" || scope === "CATEGORIES") {
+    const ids = new Set(scope === "ITEMS" ? rules.menuItemIds || [] : rules.categoryIds || []);
+    eligible = items
+      .filter((item) => ids.has(scope === "ITEMS" ? item.menuItemId : item.categoryId))
+      .reduce((sum, item) => sum + toCents(item.totalPrice), 0);
+  }
+  if (eligible <= 0) {
+    return { amount: "0.00", eligibleSubtotal: "0.00", reason: "No items on this order qualify for this discount" };
+  }
+
+  let amount =
+    discount.discountType === "PERCENTAGE"
+      ? Math.round((eligible * Number(discount.value)) / 100)
+      : toCents(discount.value);
+  if (rules.maxDiscountAmount != null) amount = Math.min(amount, toCents(rules.maxDiscountAmount));
+  amount = Math.max(0, Math.min(amount, eligible));
+
+  return { amount: fromCents(amount), eligibleSubtotal: fromCents(eligible), reason: null };
+}
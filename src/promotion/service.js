@@ -0,0 +1,530 @@
+import { eq, and, asc, desc, sql, inArray, ne, isNull } from "drizzle-orm";
+import { promotions, orderDiscounts, orders, restaurants } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { getOrder, updateOrder, getDiscountableItems } from "../order/service.js";
+import { recordOrderAudit } from "../order/audit.js";
+import { normalizePhone } from "../customer/service.js";
+import { getLoyaltyProgram, redeemPoints, reverseLoyaltyEntries } from "../loyalty/service.js";
+import { pointsValue } from "../loyalty/rules.js";
+import { emitOrderDiscountApprovalRequested } from "../realtime/events.js";
+import { computeDiscount, normalizeCode, promotionUnavailableReason, snapshotRules } from "./rules.js";
+import { restaurantTimeZone } from "../menu/schedule-rules.js";
+import { httpError } from "../httpError.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+/** Map API fields onto promotion columns (numerics as strings, codes upper-cased) */
+function toPromotionValues(data) {
+  const values = {};
+  if (data.name !== undefined) values.name = data.name;
+  if (data.code !== undefined) values.code = data.code ? normalizeCode(data.code) : null;
+  if (data.description !== undefined) values.description = data.description;
+  if (data.discountType !== undefined) values.discountType = data.discountType;
+  if (data.value !== undefined) values.value = String(data.value);
+  if (data.scope !== undefined) values.scope = data.scope;
+  if (data.menuItemIds !== undefined) values.menuItemIds = data.menuItemIds;
+  if (data.categoryIds !== undefined) values.categoryIds = data.categoryIds;
+  if (data.maxDiscountAmount !== undefined) {
+    values.maxDiscountAmount = data.maxDiscountAmount == null ? null : String(data.maxDiscountAmount);
+  }
+  if (data.minOrderAmount !== undefined) values.minOrderAmount = String(data.minOrderAmount ?? 0);
+  if (data.startsAt !== undefined) values.startsAt = data.startsAt ? new Date(data.startsAt) : null;
+  if (data.endsAt !== undefined) values.endsAt = data.endsAt ? new Date(data.endsAt) : null;
+  if (data.activeDays !== undefined) values.activeDays = data.activeDays;
+  if (data.startTime !== undefined) values.startTime = data.startTime;
+  if (data.endTime !== undefined) values.endTime = data.endTime;
+  if (data.usageLimit !== undefined) values.usageLimit = data.usageLimit;
+  if (data.perGuestLimit !== undefined) values.perGuestLimit = data.perGuestLimit;
+  if (data.isActive !== undefined) values.isActive = data.isActive;
+  return values;
+}
+
+function duplicateCodeError(err, code) {
+  return isUniqueViolation(err) ? httpError(`Promotion code ${normalizeCode(code)} already exists`, 409) : err;
+}
+
+/**
+ * List a restaurant's promotions with how many times each has been used.
+ * @param {string} restaurantId
+ * @param {object} [filters]
+ * @param {boolean} [filters.activeOnly=false]
+ */
+export async function listPromotions(restaurantId, filters = {}) {
+  const conditions = [eq(promotions.restaurantId, restaurantId)];
+  if (filters.activeOnly) conditions.push(eq(promotions.isActive, true));
+
+  return readDb
+    .select({
+      promotion: promotions,
+      timesUsed: sql`(
+        SELECT COUNT(*)::int FROM order_discounts d
+        JOIN orders o ON o.id = d.order_id
+        WHERE d.promotion_id = ${promotions.id} AND d.status = 'APPLIED' AND o.status != 'CANCELLED'
+      )`,
+    })
+    .from(promotions)
+    .where(and(...conditions))
+    .orderBy(desc(promotions.createdAt))
+    .then((rows) => rows.map((r) => ({ ...r.promotion, timesUsed: r.timesUsed })));
+}
+
+export async function createPromotion(restaurantId, data) {
+  try {
+    const rows = await db
+      .insert(promotions)
+      .values({ ...toPromotionValues(data), restaurantId })
+      .returning();
+    return rows[0];
+  } catch (err) {
+    throw duplicateCodeError(err, data.code);
+  }
+}
+
+export async function updatePromotion(restaurantId, promotionId, data) {
+  try {
+    const rows = await db
+      .update(promotions)
+      .set({ ...toPromotionValues(data), updatedAt: new Date() })
+      .where(and(eq(promotions.restaurantId, restaurantId), eq(promotions.id, promotionId)))
+      .returning();
+    return rows[0] || null;
+  } catch (err) {
+    throw duplicateCodeError(err, data.code);
+  }
+}
+
+/** Deactivate rather than delete, so past order discounts keep their link */
+export async function deletePromotion(restaurantId, promotionId) {
+  return updatePromotion(restaurantId, promotionId, { isActive: false });
+}
+
+/**
+ * Write the sum of an order's applied discounts onto the order. updateOrder recomputes the
+ * total and payment status and keeps a single bill's transaction in step.
+ * @param {object} audit - The discount change for the order's audit trail: { action, actor, discount }
+ * @private
+ */
+async function syncOrderDiscount(restaurantId, orderId, { action, actor = null, discount }) {
+  const rows = await db
+    .select({ total: sql`COALESCE(SUM(${orderDiscounts.amount}), 0)` })
+    .from(orderDiscounts)
+    .where(and(eq(orderDiscounts.orderId, orderId), eq(orderDiscounts.status, "APPLIED")));
+  return updateOrder(
+    restaurantId,
+    orderId,
+    { discountAmount: parseFloat(rows[0]?.total || "0") },
+    { action, actor, reason: discount?.reason ?? null, after: { discount: discountAuditSnapshot(discount) } }
+  );
+}
+
+/** The parts of an order discount worth keeping on the audit trail */
+function discountAuditSnapshot(discount) {
+  if (!discount) return null;
+  return {
+    id: discount.id,
+    name: discount.name,
+    code: discount.code,
+    discountType: discount.discountType,
+    value: discount.value,
+    amount: discount.amount,
+    status: discount.status,
+  };
+}
+
+/**
+ * Lock an order that is about to get a discount and make sure its bill can still change.
+ * @private
+ */
+async function lockDiscountableOrder(tx, restaurantId, orderId) {
+  const rows = await tx
+    .select()
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+    .limit(1)
+    .for("update");
+
+  const order = rows[0];
+  if (!order) throw httpError("Order not found", 404);
+  if (order.status === "CANCELLED" || order.isClosed) {
+    throw httpError("Discounts can't be changed on a closed or cancelled order", 409);
+  }
+  if (order.paymentStatus === "PAID") {
+    throw httpError("Order is already paid — refund the payment instead", 409);
+  }
+  return order;
+}
+
+/**
+ * Apply a promotion to an order, by code or (for codeless offers) by id. Replaces any
+ * promotion already on the order; manual discounts stay.
+ * @param {string} restaurantId
+ * @param {string} orderId
+ * @param {object} data - { code } or { promotionId }
+ * @param {object|null} actor - { id, type } of the staff member applying it
+ * @returns {Promise<{discount: object, order: object}>}
+ */
+export async function applyPromotion(restaurantId, orderId, data, actor = null) {
+  const discount = await db.transaction(async (tx) => {
+    const order = await lockDiscountableOrder(tx, restaurantId, orderId);
+
+    // Locking the promotion serialises concurrent uses so usage limits hold
+    const promotionRows = await tx
+      .select()
+      .from(promotions)
+      .where(
+        and(
+          eq(promotions.restaurantId, restaurantId),
+          data.code ? eq(promotions.code, normalizeCode(data.code)) : eq(promotions.id, data.promotionId)
+        )
+      )
+      .limit(1)
+      .for("update");
+    const promotion = promotionRows[0];
+    if (!promotion) throw httpError(data.code ? "Invalid promotion code" : "Promotion not found", 404);
+
+    // Happy hours and active days are in the restaurant's local time
+    const restaurantRows = await tx
+      .select({ settings: restaurants.settings })
+      .from(restaurants)
+      .where(eq(restaurants.id, restaurantId))
+      .limit(1);
+    const timeZone = restaurantTimeZone(restaurantRows[0]?.settings);
+    const unavailable = promotionUnavailableReason(promotion, new Date(), timeZone);
+    if (unavailable) throw httpError(unavailable);
+
+    const existing = await tx
+      .select()
+      .from(orderDiscounts)
+      .where(
+        and(
+          eq(orderDiscounts.orderId, orderId),
+          eq(orderDiscounts.isManual, false),
+          // Loyalty redemptions aren't promotions and stay on the order
+          isNull(orderDiscounts.loyaltyPoints),
+          eq(orderDiscounts.status, "APPLIED")
+        )
+      );
+    if (existing.some((d) => d.promotionId === promotion.id)) {
+      throw httpError("This promotion is already applied to the order", 409);
+    }
+
+    const usedOn = (condition) =>
+      tx
+        .select({ count: sql`COUNT(*)::int` })
+        .from(orderDiscounts)
+        .innerJoin(orders, eq(orders.id, orderDiscounts.orderId))
+        .where(
+          and(
+            eq(orderDiscounts.promotionId, promotion.id),
+            eq(orderDiscounts.status, "APPLIED"),
+            ne(orders.status, "CANCELLED"),
+            ...(condition ? [condition] : [])
+          )
+        )
+        .then((rows) => rows[0]?.count ?? 0);
+
+    if (promotion.usageLimit != null && (await usedOn()) >= promotion.usageLimit) {
+      throw httpError("This promotion has reached its usage limit", 409);
+    }
+
+    const guestPhone = normalizePhone(order.guestPhone) || null;
+    if (promotion.perGuestLimit != null) {
+      if (!guestPhone) throw httpError("Add the guest's phone number to use this promotion");
+      if ((await usedOn(eq(orderDiscounts.guestPhone, guestPhone))) >= promotion.perGuestLimit) {
+        throw httpError("This guest has already used this promotion the maximum number of times", 409);
+      }
+    }
+
+    const rules = snapshotRules(promotion);
+    const items = await getDiscountableItems(restaurantId, orderId, tx);
+    const priced = computeDiscount({ discountType: promotion.discountType, value: promotion.value, rules }, items);
+    if (priced.reason) throw httpError(priced.reason);
+
+    if (existing.length > 0) {
+      await tx
+        .update(orderDiscounts)
+        .set({ status: "REMOVED", updatedAt: new Date() })
+        .where(inArray(orderDiscounts.id, existing.map((d) => d.id)));
+    }
+
+    const rows = await tx
+      .insert(orderDiscounts)
+      .values({
+        restaurantId,
+        orderId,
+        promotionId: promotion.id,
+        isManual: false,
+        name: promotion.name,
+        code: promotion.code,
+        discountType: promotion.discountType,
+        value: promotion.value,
+        rules,
+        amount: priced.amount,
+        status: "APPLIED",
+        guestPhone,
+        requestedById: actor?.id ?? null,
+        requestedByType: actor?.type ?? null,
+      })
+      .returning();
+    return rows[0];
+  });
+
+  const order = await syncOrderDiscount(restaurantId, orderId, { action: "DISCOUNT_APPLIED", actor, discount });
+  return { discount, order };
+}
+
+/**
+ * Take a guest's loyalty points off the bill as a flat discount. Removing the discount gives
+ * the points back.
+ * @param {number} points - Points to redeem
+ * @param {object|null} actor - { id, type } of the staff member applying it
+ * @returns {Promise<{discount: object, order: object}>}
+ */
+export async function applyLoyaltyDiscount(restaurantId, orderId, points, actor = null) {
+  const discount = await db.transaction(async (tx) => {
+    const order = await lockDiscountableOrder(tx, restaurantId, orderId);
+    const program = await getLoyaltyProgram(restaurantId, tx);
+    const amount = pointsValue(program, points);
+
+    const rows = await tx
+      .insert(orderDiscounts)
+      .values({
+        restaurantId,
+        orderId,
+        isManual: false,
+        name: "Loyalty points",
+        discountType: "FLAT",
+        value: amount,
+        amount,
+        loyaltyPoints: points,
+        status: "APPLIED",
+        guestPhone: normalizePhone(order.guestPhone) || null,
+        requestedById: actor?.id ?? null,
+        requestedByType: actor?.type ?? null,
+      })
+      .returning();
+    await redeemPoints(tx, order, { points, orderDiscountId: rows[0].id }, actor);
+    return rows[0];
+  });
+
+  const order = await syncOrderDiscount(restaurantId, orderId, { action: "DISCOUNT_APPLIED", actor, discount });
+  return { discount, order };
+}
+
+/**
+ * The largest discount staff may give on an order without approval: the restaurant's
+ * settings.discountApprovalThresholdPercent of the order subtotal (nothing when unset).
+ * @param {object} [dbToUse=db] - db or an open transaction
+ * @returns {Promise<number>}
+ */
+export async function getUnapprovedDiscountLimit(restaurantId, orderId, dbToUse = db) {
+  const rows = await dbToUse
+    .select({ subtotalAmount: orders.subtotalAmount, settings: restaurants.settings })
+    .from(orders)
+    .innerJoin(restaurants, eq(restaurants.id, orders.restaurantId))
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+    .limit(1);
+  if (!rows[0]) return 0;
+  const percent = Math.min(Math.max(Number(rows[0].settings?.discountApprovalThresholdPercent) || 0, 0), 100);
+  return (Number(rows[0].subtotalAmount || 0) * percent) / 100;
+}
+
+/**
+ * Give a manual discount on an order. It applies straight away when the requester can approve
+ * discounts, a manager approved it on the spot, or it is within the restaurant's unapproved
+ * limit; otherwise it waits for approval. Replaces any earlier manual discount, and a value of
+ * 0 just clears it.
+ * @param {string} restaurantId
+ * @param {string} orderId
+ * @param {object} data - { discountType: "PERCENTAGE"|"FLAT", value, reason }
+ * @param {object|null} actor - { id, type } of the requester
+ * @param {object} [options]
+ * @param {boolean} [options.canApprove=false] - Requester holds discount.approve
+ * @param {object|null} [options.approver] - { id, type } of a manager who approved it by passcode
+ * @returns {Promise<{discount: object|null, order: object}>}
+ */
+export async function requestManualDiscount(restaurantId, orderId, data, actor = null, options = {}) {
+  const { canApprove = false, approver = null } = options;
+  const { discountType, value, reason = null } = data;
+
+  const discount = await db.transaction(async (tx) => {
+    await lockDiscountableOrder(tx, restaurantId, orderId);
+
+    await tx
+      .update(orderDiscounts)
+      .set({ status: "REMOVED", updatedAt: new Date() })
+      .where(
+        and(
+          eq(orderDiscounts.orderId, orderId),
+          eq(orderDiscounts.isManual, true),
+          inArray(orderDiscounts.status, ["APPLIED", "PENDING_APPROVAL"])
+        )
+      );
+
+    if (Number(value) <= 0) return null;
+
+    const rules = snapshotRules({ scope: "ORDER" });
+    const items = await getDiscountableItems(restaurantId, orderId, tx);
+    const priced = computeDiscount({ discountType, value, rules }, items);
+    if (priced.reason) throw httpError(priced.reason);
+
+    const withinLimit = Number(priced.amount) <= (await getUnapprovedDiscountLimit(restaurantId, orderId, tx));
+    const approvedBy = approver ?? (canApprove ? actor : null);
+    const applied = Boolean(approvedBy) || withinLimit;
+
+    const rows = await tx
+      .insert(orderDiscounts)
+      .values({
+        restaurantId,
+        orderId,
+        isManual: true,
+        name: "Manual discount",
+        discountType,
+        value: String(value),
+        rules,
+        amount: priced.amount,
+        status: applied ? "APPLIED" : "PENDING_APPROVAL",
+        reason,
+        requestedById: actor?.id ?? null,
+        requestedByType: actor?.type ?? null,
+        ...(applied && {
+          approvedById: approvedBy?.id ?? null,
+          approvedByType: approvedBy?.type ?? null,
+          decidedAt: new Date(),
+        }),
+      })
+      .returning();
+    return rows[0];
+  });
+
+  if (discount?.status === "PENDING_APPROVAL") {
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "DISCOUNT_REQUESTED",
+      after: { discount: discountAuditSnapshot(discount) },
+      reason,
+    }, actor);
+    const order = await getOrder(restaurantId, orderId);
+    emitOrderDiscountApprovalRequested(restaurantId, order, discount);
+    return { discount, order };
+  }
+
+  // A zero value only clears the earlier manual discount
+  const order = await syncOrderDiscount(restaurantId, orderId, {
+    action: discount ? "DISCOUNT_APPLIED" : "DISCOUNT_REMOVED",
+    actor,
+    discount,
+  });
+  return { discount, order };
+}
+
+/**
+ * Approve or reject a pending manual discount.
+ * @param {string} restaurantId
+ * @param {string} discountId
+ * @param {boolean} approve
+ * @param {object|null} approver - { id, type }
+ * @returns {Promise<{discount: object, order: object}>}
+ */
+export async function decideManualDiscount(restaurantId, discountId, approve, approver = null) {
+  const discount = await db.transaction(async (tx) => {
+    const rows = await tx
+      .select()
+      .from(orderDiscounts)
+      .where(and(eq(orderDiscounts.restaurantId, restaurantId), eq(orderDiscounts.id, discountId)))
+      .limit(1)
+      .for("update");
+
+    const pending = rows[0];
+    if (!pending) throw httpError("Discount not found", 404);
+    if (pending.status !== "PENDING_APPROVAL") {
+      throw httpError("Discount is not waiting for approval", 409);
+    }
+
+    let amount = pending.amount;
+    if (approve) {
+      await lockDiscountableOrder(tx, restaurantId, pending.orderId);
+      // Items may have changed since the request was made
+      const items = await getDiscountableItems(restaurantId, pending.orderId, tx);
+      amount = computeDiscount(pending, items).amount;
+    }
+
+    const updated = await tx
+      .update(orderDiscounts)
+      .set({
+        status: approve ? "APPLIED" : "REJECTED",
+        amount,
+        approvedById: approver?.id ?? null,
+        approvedByType: approver?.type ?? null,
+        decidedAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .where(eq(orderDiscounts.id, discountId))
+      .returning();
+    return updated[0];
+  });
+
+  if (!approve) {
+    await recordOrderAudit(restaurantId, discount.orderId, {
+      action: "DISCOUNT_REJECTED",
+      before: { discount: discountAuditSnapshot({ ...discount, status: "PENDING_APPROVAL" }) },
+      after: { discount: discountAuditSnapshot(discount) },
+    }, approver);
+  }
+  const order = approve
+    ? await syncOrderDiscount(restaurantId, discount.orderId, { action: "DISCOUNT_APPROVED", actor: approver, discount })
+    : await getOrder(restaurantId, discount.orderId);
+  return { discount, order };
+}
+
+/**
+ * Take a promotion, loyalty or manual discount (applied or pending) off an order.
+ * @param {object|null} [actor] - { id, type } of who removed it, for the audit trail
+ * @returns {Promise<{discount: object, order: object}>}
+ */
+export async function removeOrderDiscount(restaurantId, orderId, discountId, actor = null) {
+  const discount = await db.transaction(async (tx) => {
+    await lockDiscountableOrder(tx, restaurantId, orderId);
+
+    const rows = await tx
+      .update(orderDiscounts)
+      .set({ status: "REMOVED", updatedAt: new Date() })
+      .where(
+        and(
+          eq(orderDiscounts.restaurantId, restaurantId),
+          eq(orderDiscounts.orderId, orderId),
+          eq(orderDiscounts.id, discountId),
+          inArray(orderDiscounts.status, ["APPLIED", "PENDING_APPROVAL"])
+        )
+      )
+      .returning();
+    if (!rows[0]) throw httpError("Discount not found", 404);
+    if (rows[0].loyaltyPoints) {
+      await reverseLoyaltyEntries(restaurantId, { orderDiscountId: rows[0].id }, { reason: "Discount removed" }, tx);
+    }
+    return rows[0];
+  });
+
+  const order = await syncOrderDiscount(restaurantId, orderId, { action: "DISCOUNT_REMOVED", actor, discount });
+  return { discount, order };
+}
+
+/**
+ * Manual discounts waiting for an admin, oldest first, with enough order context to decide.
+ */
+export async function listPendingManualDiscounts(restaurantId) {
+  return readDb
+    .select({
+      discount: orderDiscounts,
+      order: {
+        id: orders.id,
+        orderNumber: orders.orderNumber,
+        orderType: orders.orderType,
+        subtotalAmount: orders.subtotalAmount,
+        totalAmount: orders.totalAmount,
+      },
+    })
+    .from(orderDiscounts)
+    .innerJoin(orders, eq(orders.id, orderDiscounts.orderId))
+    .where(and(eq(orderDiscounts.restaurantId, restaurantId), eq(orderDiscounts.status, "PENDING_APPROVAL")))
+    .orderBy(asc(orderDiscounts.createdAt))
+    .then((rows) => rows.map((r) => ({ ...r.discount, order: r.order })));
+}
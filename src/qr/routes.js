@@ -1,7 +1,8 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import {
@@ -32,7 +33,7 @@ export function registerQRRoutes(app) {
     "/:restaurantId/generate",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "qr:generate", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -67,7 +68,7 @@ export function registerQRRoutes(app) {
     "/:restaurantId/generate-all",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "qr:generate-all", windowSeconds: 60, max: 10 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -85,7 +86,7 @@ export function registerQRRoutes(app) {
     "/:restaurantId/tables/:tableId",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "qr:get-table", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, tableId } = req.params;
@@ -99,7 +100,7 @@ export function registerQRRoutes(app) {
     "/:restaurantId/stats",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "qr:stats", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -113,7 +114,7 @@ export function registerQRRoutes(app) {
     "/:restaurantId/update-payload",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "qr:update-payload", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -134,8 +134,9 @@ export async function generateTableQR(restaurantId, tableId) {
   }
 
   // Build table-specific URL with query params
+  // `v` is the table's QR version — guest ordering rejects scans of superseded QR prints.
   const baseUrl = env.appUrl || "https://qrave.app";
-  const menuUrl = `${baseUrl}/r/${restaurant.slug}?table=${table.tableNumber}&tid=${tableId}`;
+  const menuUrl = `${baseUrl}/r/${restaurant.slug}?table=${table.tableNumber}&tid=${tableId}&v=${table.qrCodeVersion}`;
 
   // Generate QR code with custom design if available
   const qrOptions = restaurant.qrDesign
@@ -1,7 +1,8 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import {
@@ -18,6 +19,7 @@ import {
   getQueueHistory,
   bulkUpdateQueue,
 } from "./service.js";
+import { listUpcomingReservations } from "../reservation/service.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -69,14 +71,14 @@ export function registerQueueRoutes(app) {
       }
 
       try {
-        const entry = await registerInQueue(restaurantId, parsed.data);
+        const entry = await registerInQueue(restaurantId, parsed.data, { fromGuest: true });
         res.status(201).json({
           entry,
           message: "Successfully added to queue",
         });
       } catch (error) {
         console.error("Queue registration error:", error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
           message: error.message || "Failed to register in queue",
         });
       }
@@ -127,7 +129,7 @@ export function registerQueueRoutes(app) {
   // List queue entries
   router.get(
     "/",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:list", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -158,7 +160,7 @@ export function registerQueueRoutes(app) {
   // Get active queue (WAITING only)
   router.get(
     "/active",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:active", windowSeconds: 10, max: 600 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -167,10 +169,25 @@ export function registerQueueRoutes(app) {
     })
   );
 
+  // Host stand view: walk-in queue alongside reservations due in the next few hours
+  router.get(
+    "/board",
+    requirePermission("queue.manage"),
+    rateLimit({ keyPrefix: "queue:board", windowSeconds: 10, max: 600 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const [entries, reservations] = await Promise.all([
+        getActiveQueue(restaurantId),
+        listUpcomingReservations(restaurantId),
+      ]);
+      res.json({ entries, reservations });
+    })
+  );
+
   // Get specific queue entry
   router.get(
     "/:queueId",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:get", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, queueId } = req.params;
@@ -189,7 +206,7 @@ export function registerQueueRoutes(app) {
   // Register guest in queue (admin)
   router.post(
     "/",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:register", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -217,7 +234,7 @@ export function registerQueueRoutes(app) {
   // Update queue entry status
   router.patch(
     "/:queueId/status",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:status", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, queueId } = req.params;
@@ -249,7 +266,7 @@ export function registerQueueRoutes(app) {
   // Call next guest
   router.post(
     "/call-next",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:call-next", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -271,7 +288,7 @@ export function registerQueueRoutes(app) {
   // Mark guest as seated
   router.post(
     "/:queueId/seat",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:seat", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, queueId } = req.params;
@@ -306,7 +323,7 @@ export function registerQueueRoutes(app) {
   // Cancel queue entry
   router.post(
     "/:queueId/cancel",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:cancel", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, queueId } = req.params;
@@ -328,7 +345,7 @@ export function registerQueueRoutes(app) {
   // Get queue statistics
   router.get(
     "/stats/summary",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("reports.view"),
     rateLimit({ keyPrefix: "queue:stats", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -345,7 +362,7 @@ export function registerQueueRoutes(app) {
   // Get queue history
   router.get(
     "/history/all",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("reports.view"),
     rateLimit({ keyPrefix: "queue:history", windowSeconds: 60, max: 100 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -367,7 +384,7 @@ export function registerQueueRoutes(app) {
   // Bulk update queue entries
   router.post(
     "/bulk-update",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("queue.manage"),
     rateLimit({ keyPrefix: "queue:bulk-update", windowSeconds: 60, max: 20 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
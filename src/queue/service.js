@@ -1,6 +1,8 @@
 import { eq, and, desc, sql, inArray } from "drizzle-orm";
 import { guestQueue, restaurants, tables } from "../../shared/schema.js";
 import { db as writeDb, readDb as db } from "../dbClient.js";
+import { upsertCustomer } from "../customer/service.js";
+import { openingStatus, guestClosedReason } from "../restaurant/hours.js";
 import {
   emitQueueBulkUpdated,
   emitQueueCalled,
@@ -10,6 +12,7 @@ import {
   emitQueueStatusChanged,
   emitTableStatusChanged,
 } from "../realtime/events.js";
+import { httpError } from "../httpError.js";
 
 async function getAvgWaitTimePerParty(restaurantId) {
   const restaurantRows = await db
@@ -67,9 +70,12 @@ async function hydrateQueueEntry(restaurantId, entry) {
  * Register guest in queue (waitlist)
  * @param {string} restaurantId - Restaurant ID
  * @param {object} data - Guest data
+ * @param {object} [options]
+ * @param {boolean} [options.fromGuest=false] - Self-registration; refused outside business hours and on holidays
  * @returns {Promise<object>} Queue entry
  */
-export async function registerInQueue(restaurantId, data) {
+export async function registerInQueue(restaurantId, data, options = {}) {
+  const { fromGuest = false } = options;
   const {
     guestName,
     partySize,
@@ -93,6 +99,14 @@ export async function registerInQueue(restaurantId, data) {
     throw new Error("Restaurant not found or inactive");
   }
 
+  // Staff can still add walk-ins while closed, e.g. for the first seating before opening
+  if (fromGuest) {
+    const closedReason = guestClosedReason(openingStatus(restaurantRows[0]));
+    if (closedReason) throw httpError(closedReason, 403);
+  }
+
+  const customer = await upsertCustomer(restaurantId, { phone: phoneNumber, name: guestName });
+
   // Create queue entry
   const queueRows = await writeDb
     .insert(guestQueue)
@@ -101,6 +115,7 @@ export async function registerInQueue(restaurantId, data) {
       guestName,
       partySize,
       phoneNumber: phoneNumber || null,
+      customerId: customer?.id ?? null,
       status: "WAITING",
       notes: notes || null,
     })
@@ -2,7 +2,7 @@ let realtime = null;
 
 /**
  * Set the realtime implementation (called by initRealtime).
- * @param {{ emitRestaurantEvent: (restaurantId: string, event: string, data: any) => void }} impl
+ * @param {{ emitRestaurantEvent: (restaurantId: string, event: string, data: any, options?: object) => void }} impl
  */
 export function setRealtime(impl) {
   realtime = impl;
@@ -11,9 +11,12 @@ export function setRealtime(impl) {
 /**
  * Emit an event to all connected clients for a restaurant.
  * Safe no-op if realtime is not initialized.
+ * @param {object} [options]
+ * @param {string[]} [options.stationIds] - Kitchen stations the event concerns; clients joined to
+ *   another station skip it (omit for events every client should get)
  */
-export function emitRestaurantEvent(restaurantId, event, data) {
+export function emitRestaurantEvent(restaurantId, event, data, options = {}) {
   if (!realtime) return;
-  realtime.emitRestaurantEvent(restaurantId, event, data);
+  realtime.emitRestaurantEvent(restaurantId, event, data, options);
 }
 
@@ -7,11 +7,27 @@ async function invalidateKitchenOrdersCache(restaurantId) {
     await redis.del(`kds:active:${restaurantId}`).catch(() => {});
   }
 }
+
+// Kitchen stations an order event concerns, taken from its items. Undefined (every station) when
+// there are no items to go by or some item predates the restaurant's stations.
+function kitchenStationScope(items) {
+  if (!Array.isArray(items) || items.length === 0) return undefined;
+  const stationIds = new Set();
+  for (const item of items) {
+    if (!item.kitchenStationId) return undefined;
+    stationIds.add(item.kitchenStationId);
+  }
+  return [...stationIds];
+}
+
 export const RealtimeEvents = {
   OrderCreated: "order.created",
   OrderUpdated: "order.updated",
   OrderStatusChanged: "order.status_changed",
   OrderItemsAdded: "order.items_added",
+  OrderCourseFired: "order.course_fired",
+  OrderApprovalRequested: "order.approval_requested",
+  OrderDiscountApprovalRequested: "order.discount_approval_requested",
 
   TableCreated: "table.created",
   TableUpdated: "table.updated",
@@ -25,28 +41,78 @@ export const RealtimeEvents = {
   QueueSeated: "queue.seated",
   QueueCancelled: "queue.cancelled",
   QueueBulkUpdated: "queue.bulk_updated",
+
+  ReservationCreated: "reservation.created",
+  ReservationUpdated: "reservation.updated",
+
+  InventoryUpdated: "inventory.updated",
+  InventoryLowStock: "inventory.low_stock",
+
+  KitchenTicketOverdue: "kitchen.ticket_overdue",
+
+  StaffShiftUpdated: "staff.shift_updated",
+
+  DeliveryUpdated: "delivery.updated",
+
+  RestaurantStatusChanged: "restaurant.status_changed",
 };
 
 export function emitOrderCreated(restaurantId, order) {
   invalidateKitchenOrdersCache(restaurantId);
-  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderCreated, { order });
+  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderCreated, { order }, {
+    stationIds: kitchenStationScope(order?.items),
+  });
 }
 
 export function emitOrderUpdated(restaurantId, order) {
   invalidateKitchenOrdersCache(restaurantId);
-  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderUpdated, { order });
+  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderUpdated, { order }, {
+    stationIds: kitchenStationScope(order?.items),
+  });
 }
 
 export function emitOrderStatusChanged(restaurantId, order) {
   invalidateKitchenOrdersCache(restaurantId);
-  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderStatusChanged, { order });
+  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderStatusChanged, { order }, {
+    stationIds: kitchenStationScope(order?.items),
+  });
 }
 
 export function emitOrderItemsAdded(restaurantId, orderId, newItems, order) {
   invalidateKitchenOrdersCache(restaurantId);
-  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderItemsAdded, {
-    orderId,
-    newItems,
+  emitRestaurantEvent(
+    restaurantId,
+    RealtimeEvents.OrderItemsAdded,
+    { orderId, newItems, order },
+    { stationIds: kitchenStationScope(newItems) }
+  );
+}
+
+// A held course was fired: its items reach the kitchen as a new KOT
+export function emitOrderCourseFired(restaurantId, order, courseNumber, newItems) {
+  invalidateKitchenOrdersCache(restaurantId);
+  emitRestaurantEvent(
+    restaurantId,
+    RealtimeEvents.OrderCourseFired,
+    { orderId: order.id, courseNumber, newItems, order },
+    { stationIds: kitchenStationScope(newItems) }
+  );
+}
+
+// Guest QR orders (or guest items added to a running order) waiting for staff confirmation
+export function emitOrderApprovalRequested(restaurantId, order, pendingItems) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderApprovalRequested, {
+    orderId: order.id,
+    pendingItems,
+    order,
+  });
+}
+
+// A manual discount from non-admin staff waiting for an admin to approve it
+export function emitOrderDiscountApprovalRequested(restaurantId, order, discount) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.OrderDiscountApprovalRequested, {
+    orderId: order?.id ?? discount.orderId,
+    discount,
     order,
   });
 }
@@ -95,3 +161,40 @@ export function emitQueueBulkUpdated(restaurantId, entries) {
   emitRestaurantEvent(restaurantId, RealtimeEvents.QueueBulkUpdated, { entries });
 }
 
+export function emitReservationCreated(restaurantId, reservation) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.ReservationCreated, { reservation });
+}
+
+export function emitReservationUpdated(restaurantId, reservation) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.ReservationUpdated, { reservation });
+}
+
+export function emitInventoryUpdated(restaurantId, item) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.InventoryUpdated, { item });
+}
+
+export function emitInventoryLowStock(restaurantId, item) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.InventoryLowStock, { item });
+}
+
+// A KOT whose items have passed their target prep time (sent once per item)
+export function emitKitchenTicketOverdue(restaurantId, ticket) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.KitchenTicketOverdue, ticket, {
+    stationIds: kitchenStationScope(ticket.items),
+  });
+}
+
+// Clock-in/out and breaks, so the "on the floor" board stays current
+export function emitStaffShiftUpdated(restaurantId, shift) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.StaffShiftUpdated, { shift });
+}
+
+// Rider assignment, address and status changes, for the dispatch board and riders' phones
+export function emitDeliveryUpdated(restaurantId, delivery) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.DeliveryUpdated, { delivery });
+}
+
+// Orders paused or resumed, so every dashboard shows the same open/closed state
+export function emitRestaurantStatusChanged(restaurantId, status) {
+  emitRestaurantEvent(restaurantId, RealtimeEvents.RestaurantStatusChanged, { status });
+}
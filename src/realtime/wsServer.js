@@ -50,6 +50,23 @@ function redisChannelForRestaurant(restaurantId) {
   return `rt:restaurant:${restaurantId}`;
 }
 
+/**
+ * The payload a client joined to one kitchen station receives: null when the event is for other
+ * stations, otherwise the event with only that station's order items.
+ */
+function stationPayload(payloadObj, stationId) {
+  const stationIds = payloadObj.meta.stationIds;
+  if (!stationIds.includes(stationId)) return null;
+
+  const own = (items) =>
+    Array.isArray(items) ? items.filter((i) => !i.kitchenStationId || i.kitchenStationId === stationId) : items;
+  const data = { ...payloadObj.data };
+  if (data.order?.items) data.order = { ...data.order, items: own(data.order.items) };
+  if (data.newItems) data.newItems = own(data.newItems);
+  if (data.items) data.items = own(data.items);
+  return JSON.stringify({ ...payloadObj, data });
+}
+
 function safeJsonParse(input) {
   try {
     return JSON.parse(input);
@@ -136,6 +153,7 @@ function isStaffRole(role) {
  * - Client connects to: ws://host:PORT/ws?token=JWT
  * - Client then sends:
  *   { "type": "join", "restaurantId": "<uuid>" }
+ *   KDS screens may add "stationId": "<uuid>" to only receive that kitchen station's order events
  *
  * Server broadcasts:
  *   { "type": "event", "restaurantId": "<uuid>", "event": "order.created", "data": {...}, "ts": "...", "meta": {...} }
@@ -181,12 +199,20 @@ export async function initRealtimeWs(httpServer, { redis = null } = {}) {
     }
   };
 
-  const broadcastRoom = (room, payload) => {
+  const broadcastRoom = (room, payload, payloadObj = null) => {
     const set = rooms.get(room);
     if (!set || set.size === 0) return;
+    const scoped = payloadObj?.meta?.stationIds ? new Map() : null; // stationId -> payload|null
     for (const client of set) {
       if (client.readyState !== WebSocket.OPEN) continue;
-      client.send(payload);
+      const stationId = client.__stationId;
+      if (!scoped || !stationId) {
+        client.send(payload);
+        continue;
+      }
+      if (!scoped.has(stationId)) scoped.set(stationId, stationPayload(payloadObj, stationId));
+      const stationMessage = scoped.get(stationId);
+      if (stationMessage) client.send(stationMessage);
     }
   };
 
@@ -207,7 +233,7 @@ export async function initRealtimeWs(httpServer, { redis = null } = {}) {
 
         const restaurantId = parsed.restaurantId;
         if (!restaurantId) return;
-        broadcastRoom(restaurantRoom(restaurantId), message);
+        broadcastRoom(restaurantRoom(restaurantId), message, parsed);
       });
     } catch (e) {
       // eslint-disable-next-line no-console
@@ -316,8 +342,15 @@ export async function initRealtimeWs(httpServer, { redis = null } = {}) {
           return;
         }
 
+        const stationId = msg.stationId || null;
+        if (stationId && !isValidUUID(stationId)) {
+          ws.send(JSON.stringify({ type: "error", message: "stationId must be a valid UUID" }));
+          return;
+        }
+
+        ws.__stationId = stationId;
         roomJoin(ws, restaurantRoom(restaurantId));
-        ws.send(JSON.stringify({ type: "joined", restaurantId }));
+        ws.send(JSON.stringify({ type: "joined", restaurantId, stationId }));
         return;
       }
 
@@ -338,19 +371,19 @@ export async function initRealtimeWs(httpServer, { redis = null } = {}) {
     });
   });
 
-  function emitRestaurantEvent(restaurantId, event, data) {
+  function emitRestaurantEvent(restaurantId, event, data, { stationIds } = {}) {
     const payloadObj = {
       type: "event",
       restaurantId,
       event,
       data,
       ts: new Date().toISOString(),
-      meta: { instanceId: INSTANCE_ID },
+      meta: { instanceId: INSTANCE_ID, ...(stationIds && { stationIds }) },
     };
     const payload = JSON.stringify(payloadObj);
 
     // local broadcast
-    broadcastRoom(restaurantRoom(restaurantId), payload);
+    broadcastRoom(restaurantRoom(restaurantId), payload, payloadObj);
 
     // cross-instance broadcast (REL-1: retry once before logging failure)
     if (pub) {
@@ -0,0 +1,148 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  RECIPE_TARGET_TYPES,
+  listRecipes,
+  getRecipe,
+  setRecipe,
+  getFoodCostReport,
+  getStockVarianceReport,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const setRecipeSchema = z.object({
+  ingredients: z
+    .array(
+      z.object({
+        inventoryItemId: z.string().min(1),
+        // Per one unit sold, in the inventory item's unit
+        quantity: z.number().positive(),
+      })
+    )
+    .max(100),
+});
+
+const reportQuerySchema = z
+  .object({
+    fromDate: z.string().min(1),
+    toDate: z.string().min(1),
+  })
+  .refine((v) => !Number.isNaN(Date.parse(v.fromDate)) && !Number.isNaN(Date.parse(v.toDate)), {
+    message: "fromDate and toDate must be valid dates",
+  });
+
+export function registerRecipeRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/recipes",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // All recipe lines for the restaurant
+  router.get(
+    "/",
+    requirePermission("recipe.view", "recipe.edit"),
+    rateLimit({ keyPrefix: "recipes:list", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const recipes = await listRecipes(restaurantId);
+      res.json({ recipes });
+    })
+  );
+
+  // Food cost: actual ingredient consumption vs revenue, plus per-item recipe costing
+  router.get(
+    "/reports/food-cost",
+    requirePermission("reports.view"),
+    rateLimit({ keyPrefix: "recipes:report:food-cost", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = reportQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const report = await getFoodCostReport(restaurantId, parsed.data);
+      res.json({ report });
+    })
+  );
+
+  // Theoretical (recipe) vs actual stock usage
+  router.get(
+    "/reports/variance",
+    requirePermission("reports.view"),
+    rateLimit({ keyPrefix: "recipes:report:variance", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = reportQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const report = await getStockVarianceReport(restaurantId, parsed.data);
+      res.json({ report });
+    })
+  );
+
+  // Recipe for a menu item, variant or modifier
+  router.get(
+    "/:targetType/:targetId",
+    requirePermission("recipe.view", "recipe.edit"),
+    rateLimit({ keyPrefix: "recipes:get", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, targetType, targetId } = req.params;
+      if (!RECIPE_TARGET_TYPES.includes(targetType)) {
+        return res.status(404).json({ message: "Not found" });
+      }
+
+      const recipe = await getRecipe(restaurantId, targetType, targetId);
+      res.json({ recipe });
+    })
+  );
+
+  // Replace the recipe for a menu item, variant or modifier (owners/admins only)
+  router.put(
+    "/:targetType/:targetId",
+    requirePermission("recipe.edit"),
+    rateLimit({ keyPrefix: "recipes:set", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, targetType, targetId } = req.params;
+      if (!RECIPE_TARGET_TYPES.includes(targetType)) {
+        return res.status(404).json({ message: "Not found" });
+      }
+
+      const parsed = setRecipeSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid recipe",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const recipe = await setRecipe(restaurantId, targetType, targetId, parsed.data.ingredients);
+        res.json({ recipe });
+      } catch (error) {
+        console.error("Set recipe error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to save recipe",
+        });
+      }
+    })
+  );
+}
@@ -0,0 +1,413 @@
+import { eq, and, inArray, or } from "drizzle-orm";
+import {
+  recipeIngredients,
+  inventoryItems,
+  menuItems,
+  menuItemVariants,
+  modifiers,
+} from "../../shared/schema.js";
+import { db, readDb, readPool as pool } from "../dbClient.js";
+
+function safeNumber(value) {
+  const n = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Recipe targets, keyed by the route segment used to address them
+const TARGETS = {
+  "menu-items": { column: "menuItemId", table: menuItems, label: "Menu item" },
+  variants: { column: "variantId", table: menuItemVariants, label: "Variant" },
+  modifiers: { column: "modifierId", table: modifiers, label: "Modifier" },
+};
+
+export const RECIPE_TARGET_TYPES = Object.keys(TARGETS);
+
+/**
+ * Turn recipe lines + ordered items into total ingredient quantities.
+ * A selected variant with its own recipe replaces the base item's recipe;
+ * modifier recipes are added on top. Pure — no DB access.
+ * @param {Array} recipeLines - rows with { inventoryItemId, menuItemId, variantId, modifierId, quantity }
+ * @param {Array} items - order items with { menuItemId, selectedVariantId, selectedModifiers, quantity }
+ * @returns {Map<string, number>} inventoryItemId -> quantity to consume
+ */
+export function buildIngredientRequirements(recipeLines, items) {
+  const byMenuItem = new Map();
+  const byVariant = new Map();
+  const byModifier = new Map();
+  const push = (map, key, line) => {
+    const arr = map.get(key);
+    if (arr) arr.push(line);
+    else map.set(key, [line]);
+  };
+
+  for (const line of recipeLines) {
+    if (line.menuItemId) push(byMenuItem, line.menuItemId, line);
+    else if (line.variantId) push(byVariant, line.variantId, line);
+    else if (line.modifierId) push(byModifier, line.modifierId, line);
+  }
+
+  const totals = new Map();
+  const add = (lines, multiplier) => {
+    for (const line of lines || []) {
+      const qty = safeNumber(line.quantity) * multiplier;
+      totals.set(line.inventoryItemId, (totals.get(line.inventoryItemId) || 0) + qty);
+    }
+  };
+
+  for (const item of items) {
+    const quantity = safeNumber(item.quantity);
+    if (quantity <= 0) continue;
+
+    const variantLines = item.selectedVariantId ? byVariant.get(item.selectedVariantId) : null;
+    add(variantLines?.length ? variantLines : byMenuItem.get(item.menuItemId), quantity);
+
+    const selectedModifiers = Array.isArray(item.selectedModifiers) ? item.selectedModifiers : [];
+    for (const mod of selectedModifiers) {
+      add(byModifier.get(mod.id), quantity);
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Load the recipe lines relevant to a set of order items (active inventory items only)
+ * and compute the ingredient quantities they consume.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array} items - order item rows
+ * @param {object} dbToUse - db, readDb or an open transaction
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function computeIngredientRequirements(restaurantId, items, dbToUse = readDb) {
+  if (!items?.length) return new Map();
+
+  const menuItemIds = Array.from(new Set(items.map((i) => i.menuItemId).filter(Boolean)));
+  const variantIds = Array.from(new Set(items.map((i) => i.selectedVariantId).filter(Boolean)));
+  const modifierIds = Array.from(
+    new Set(
+      items.flatMap((i) => (Array.isArray(i.selectedModifiers) ? i.selectedModifiers.map((m) => m.id) : []))
+        .filter(Boolean)
+    )
+  );
+
+  const targetConditions = [];
+  if (menuItemIds.length) targetConditions.push(inArray(recipeIngredients.menuItemId, menuItemIds));
+  if (variantIds.length) targetConditions.push(inArray(recipeIngredients.variantId, variantIds));
+  if (modifierIds.length) targetConditions.push(inArray(recipeIngredients.modifierId, modifierIds));
+  if (targetConditions.length === 0) return new Map();
+
+  const lines = await dbToUse
+    .select({
+      inventoryItemId: recipeIngredients.inventoryItemId,
+      menuItemId: recipeIngredients.menuItemId,
+      variantId: recipeIngredients.variantId,
+      modifierId: recipeIngredients.modifierId,
+      quantity: recipeIngredients.quantity,
+    })
+    .from(recipeIngredients)
+    .innerJoin(inventoryItems, eq(inventoryItems.id, recipeIngredients.inventoryItemId))
+    .where(
+      and(
+        eq(recipeIngredients.restaurantId, restaurantId),
+        eq(inventoryItems.isActive, true),
+        or(...targetConditions)
+      )
+    );
+
+  return buildIngredientRequirements(lines, items);
+}
+
+/**
+ * List every recipe line for a restaurant, with ingredient details
+ */
+export async function listRecipes(restaurantId) {
+  return await readDb
+    .select({
+      id: recipeIngredients.id,
+      menuItemId: recipeIngredients.menuItemId,
+      variantId: recipeIngredients.variantId,
+      modifierId: recipeIngredients.modifierId,
+      inventoryItemId: recipeIngredients.inventoryItemId,
+      quantity: recipeIngredients.quantity,
+      materialName: inventoryItems.materialName,
+      unit: inventoryItems.unit,
+      costPerUnit: inventoryItems.costPerUnit,
+    })
+    .from(recipeIngredients)
+    .innerJoin(inventoryItems, eq(inventoryItems.id, recipeIngredients.inventoryItemId))
+    .where(eq(recipeIngredients.restaurantId, restaurantId))
+    .orderBy(inventoryItems.materialName);
+}
+
+/**
+ * Get the recipe for a single target (menu item, variant or modifier) with its current cost
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} targetType - "menu-items" | "variants" | "modifiers"
+ * @param {string} targetId - Target ID
+ * @returns {Promise<{ingredients: Array, unitCost: number}>}
+ */
+export async function getRecipe(restaurantId, targetType, targetId) {
+  const target = TARGETS[targetType];
+  if (!target) throw new Error(`Unknown recipe target ${targetType}`);
+
+  const ingredients = await readDb
+    .select({
+      id: recipeIngredients.id,
+      inventoryItemId: recipeIngredients.inventoryItemId,
+      quantity: recipeIngredients.quantity,
+      materialName: inventoryItems.materialName,
+      unit: inventoryItems.unit,
+      costPerUnit: inventoryItems.costPerUnit,
+    })
+    .from(recipeIngredients)
+    .innerJoin(inventoryItems, eq(inventoryItems.id, recipeIngredients.inventoryItemId))
+    .where(
+      and(
+        eq(recipeIngredients.restaurantId, restaurantId),
+        eq(recipeIngredients[target.column], targetId)
+      )
+    )
+    .orderBy(inventoryItems.materialName);
+
+  const unitCost = ingredients.reduce(
+    (sum, i) => sum + safeNumber(i.quantity) * safeNumber(i.costPerUnit),
+    0
+  );
+
+  return { ingredients, unitCost: Number(unitCost.toFixed(4)) };
+}
+
+/**
+ * Replace the recipe for a target. Passing an empty list removes the recipe.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} targetType - "menu-items" | "variants" | "modifiers"
+ * @param {string} targetId - Target ID
+ * @param {Array<{inventoryItemId: string, quantity: number}>} ingredients
+ * @returns {Promise<{ingredients: Array, unitCost: number}>}
+ */
+export async function setRecipe(restaurantId, targetType, targetId, ingredients) {
+  const target = TARGETS[targetType];
+  if (!target) throw new Error(`Unknown recipe target ${targetType}`);
+
+  await db.transaction(async (tx) => {
+    const targetRows = await tx
+      .select({ id: target.table.id })
+      .from(target.table)
+      .where(and(eq(target.table.restaurantId, restaurantId), eq(target.table.id, targetId)))
+      .limit(1);
+
+    if (!targetRows[0]) {
+      const err = new Error(`${target.label} not found`);
+      err.status = 404;
+      throw err;
+    }
+
+    const inventoryIds = Array.from(new Set(ingredients.map((i) => i.inventoryItemId)));
+    if (inventoryIds.length !== ingredients.length) {
+      throw new Error("Each inventory item can appear only once in a recipe");
+    }
+
+    if (inventoryIds.length) {
+      const found = await tx
+        .select({ id: inventoryItems.id })
+        .from(inventoryItems)
+        .where(
+          and(
+            eq(inventoryItems.restaurantId, restaurantId),
+            eq(inventoryItems.isActive, true),
+            inArray(inventoryItems.id, inventoryIds)
+          )
+        );
+      if (found.length !== inventoryIds.length) {
+        throw new Error("One or more inventory items not found");
+      }
+    }
+
+    await tx
+      .delete(recipeIngredients)
+      .where(
+        and(
+          eq(recipeIngredients.restaurantId, restaurantId),
+          eq(recipeIngredients[target.column], targetId)
+        )
+      );
+
+    if (ingredients.length) {
+      await tx.insert(recipeIngredients).values(
+        ingredients.map((i) => ({
+          restaurantId,
+          inventoryItemId: i.inventoryItemId,
+          [target.column]: targetId,
+          quantity: Number(i.quantity).toFixed(3),
+        }))
+      );
+    }
+  });
+
+  return getRecipe(restaurantId, targetType, targetId);
+}
+
+/**
+ * Food-cost report for a period.
+ * - `consumptionCost` is the actual value of ingredients consumed by orders, priced at the
+ *   average cost when each movement happened (net of reversals).
+ * - Per menu item, `theoreticalCost` prices the recipe at today's average cost.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} range - { fromDate, toDate }
+ */
+export async function getFoodCostReport(restaurantId, { fromDate, toDate }) {
+  const [ledgerResult, soldResult, recipeLines] = await Promise.all([
+    pool.query(
+      `SELECT
+         COALESCE(SUM(-m.quantity * COALESCE(m.unit_cost, 0))
+           FILTER (WHERE m.movement_type IN ('CONSUMPTION', 'CONSUMPTION_REVERSAL')), 0) AS "consumptionCost",
+         COALESCE(SUM(-m.quantity * COALESCE(m.unit_cost, 0))
+           FILTER (WHERE m.movement_type = 'WASTAGE'), 0) AS "wastageCost"
+       FROM inventory_movements m
+       WHERE m.restaurant_id = $1
+         AND m.created_at >= $2
+         AND m.created_at < $3`,
+      [restaurantId, fromDate, toDate]
+    ),
+    // Group identical sold configurations so recipe costing runs once per combination
+    pool.query(
+      `SELECT
+         oi.menu_item_id AS "menuItemId",
+         oi.item_name AS "itemName",
+         oi.selected_variant_id AS "selectedVariantId",
+         oi.selected_modifiers AS "selectedModifiers",
+         SUM(oi.quantity)::int AS quantity,
+         COALESCE(SUM(oi.total_price), 0) AS revenue
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       WHERE oi.restaurant_id = $1
+         AND oi.stock_deducted = true
+         AND o.status != 'CANCELLED'
+         AND o.created_at >= $2
+         AND o.created_at < $3
+       GROUP BY oi.menu_item_id, oi.item_name, oi.selected_variant_id, oi.selected_modifiers`,
+      [restaurantId, fromDate, toDate]
+    ),
+    listRecipes(restaurantId),
+  ]);
+
+  const costByInventoryId = new Map(recipeLines.map((l) => [l.inventoryItemId, safeNumber(l.costPerUnit)]));
+
+  const itemsById = new Map();
+  for (const row of soldResult.rows) {
+    const requirements = buildIngredientRequirements(recipeLines, [row]);
+    let cost = 0;
+    for (const [inventoryItemId, qty] of requirements) {
+      cost += qty * (costByInventoryId.get(inventoryItemId) || 0);
+    }
+
+    const entry = itemsById.get(row.menuItemId) || {
+      menuItemId: row.menuItemId,
+      itemName: row.itemName,
+      quantitySold: 0,
+      revenue: 0,
+      theoreticalCost: 0,
+    };
+    entry.quantitySold += safeNumber(row.quantity);
+    entry.revenue += safeNumber(row.revenue);
+    entry.theoreticalCost += cost;
+    itemsById.set(row.menuItemId, entry);
+  }
+
+  const items = Array.from(itemsById.values())
+    .map((i) => ({
+      ...i,
+      revenue: Number(i.revenue.toFixed(2)),
+      theoreticalCost: Number(i.theoreticalCost.toFixed(2)),
+      foodCostPct: i.revenue > 0 ? Number(((i.theoreticalCost / i.revenue) * 100).toFixed(2)) : 0,
+    }))
+    .sort((a, b) => b.theoreticalCost - a.theoreticalCost);
+
+  const revenue = items.reduce((sum, i) => sum + i.revenue, 0);
+  const consumptionCost = safeNumber(ledgerResult.rows[0]?.consumptionCost);
+  const wastageCost = safeNumber(ledgerResult.rows[0]?.wastageCost);
+
+  return {
+    fromDate,
+    toDate,
+    revenue: Number(revenue.toFixed(2)),
+    consumptionCost: Number(consumptionCost.toFixed(2)),
+    wastageCost: Number(wastageCost.toFixed(2)),
+    foodCostPct: revenue > 0 ? Number(((consumptionCost / revenue) * 100).toFixed(2)) : 0,
+    items,
+  };
+}
+
+/**
+ * Theoretical vs actual stock usage per inventory item for a period.
+ * Theoretical usage is what recipes say orders consumed; actual usage is
+ * opening + purchases - wastage - closing stock. The difference is whatever
+ * stock-take adjustments uncovered (spillage, over-portioning, theft, recipe drift).
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} range - { fromDate, toDate }
+ */
+export async function getStockVarianceReport(restaurantId, { fromDate, toDate }) {
+  const result = await pool.query(
+    `SELECT
+       i.id AS "inventoryItemId",
+       i.material_name AS "materialName",
+       i.unit,
+       i.cost_per_unit AS "costPerUnit",
+       COALESCE((
+         SELECT pm.stock_after FROM inventory_movements pm
+         WHERE pm.inventory_item_id = i.id AND pm.created_at < $2
+         ORDER BY pm.created_at DESC LIMIT 1
+       ), 0) AS "openingStock",
+       COALESCE(SUM(m.quantity) FILTER (WHERE m.reference_type = 'opening_stock'), 0) AS "openingEntries",
+       COALESCE(SUM(m.quantity) FILTER (WHERE m.movement_type = 'PURCHASE'), 0) AS purchased,
+       COALESCE(SUM(-m.quantity) FILTER (WHERE m.movement_type = 'WASTAGE'), 0) AS wasted,
+       COALESCE(SUM(-m.quantity)
+         FILTER (WHERE m.movement_type IN ('CONSUMPTION', 'CONSUMPTION_REVERSAL')), 0) AS "theoreticalUsage",
+       COALESCE(SUM(m.quantity)
+         FILTER (WHERE m.movement_type = 'ADJUSTMENT' AND m.reference_type IS DISTINCT FROM 'opening_stock'), 0) AS adjustments
+     FROM inventory_items i
+     LEFT JOIN inventory_movements m
+       ON m.inventory_item_id = i.id
+      AND m.created_at >= $2
+      AND m.created_at < $3
+     WHERE i.restaurant_id = $1
+       AND i.is_active = true
+     GROUP BY i.id
+     ORDER BY i.material_name`,
+    [restaurantId, fromDate, toDate]
+  );
+
+  const items = result.rows.map((r) => {
+    const openingStock = safeNumber(r.openingStock) + safeNumber(r.openingEntries);
+    const purchased = safeNumber(r.purchased);
+    const wasted = safeNumber(r.wasted);
+    const theoreticalUsage = safeNumber(r.theoreticalUsage);
+    const adjustments = safeNumber(r.adjustments);
+    const closingStock = openingStock + purchased - wasted - theoreticalUsage + adjustments;
+    const actualUsage = openingStock + purchased - wasted - closingStock;
+    const variance = actualUsage - theoreticalUsage;
+    const costPerUnit = safeNumber(r.costPerUnit);
+
+    return {
+      inventoryItemId: r.inventoryItemId,
+      materialName: r.materialName,
+      unit: r.unit,
+      openingStock: Number(openingStock.toFixed(3)),
+      purchased: Number(purchased.toFixed(3)),
+      wasted: Number(wasted.toFixed(3)),
+      theoreticalUsage: Number(theoreticalUsage.toFixed(3)),
+      actualUsage: Number(actualUsage.toFixed(3)),
+      closingStock: Number(closingStock.toFixed(3)),
+      variance: Number(variance.toFixed(3)),
+      variancePct: theoreticalUsage > 0 ? Number(((variance / theoreticalUsage) * 100).toFixed(2)) : 0,
+      varianceValue: Number((variance * costPerUnit).toFixed(2)),
+    };
+  });
+
+  return {
+    fromDate,
+    toDate,
+    totalVarianceValue: Number(items.reduce((sum, i) => sum + i.varianceValue, 0).toFixed(2)),
+    items,
+  };
+}
@@ -22,6 +22,10 @@ export async function cacheSetJson(redis, key, value, ttlSeconds) {
   await redis.set(key, payload);
 }
 
+/**
+ * @param {number|((value) => number)} ttlSeconds - Or a function of the fresh value, for values
+ *   that know when they go stale (e.g. a menu at its next schedule change)
+ */
 export async function cacheGetOrSetJson(redis, key, ttlSeconds, producer) {
   const cached = await cacheGetJson(redis, key);
   if (cached !== null) return cached;
@@ -51,7 +55,7 @@ export async function cacheGetOrSetJson(redis, key, ttlSeconds, producer) {
 
   try {
     const fresh = await producer();
-    await cacheSetJson(redis, key, fresh, ttlSeconds);
+    await cacheSetJson(redis, key, fresh, typeof ttlSeconds === "function" ? ttlSeconds(fresh) : ttlSeconds);
     return fresh;
   } finally {
     await redis.del(lockKey);
@@ -0,0 +1,301 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  listReservations,
+  getReservation,
+  createReservation,
+  updateReservation,
+  seatReservation,
+  cancelReservation,
+  markNoShow,
+  checkAvailability,
+  getPublicBookingRestaurantId,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+const RESERVATION_STATUSES = ["BOOKED", "SEATED", "CANCELLED", "NO_SHOW"];
+
+// Validation schemas
+const phoneNumberSchema = z
+  .string()
+  .max(20)
+  .regex(/^\+?[0-9]{10,15}$/, "Invalid phone number — must be 10–15 digits");
+
+const reservationFields = {
+  guestName: z.string().min(1).max(150),
+  phoneNumber: phoneNumberSchema.optional().or(z.literal("").transform(() => undefined)),
+  partySize: z.number().int().positive().max(50),
+  startsAt: z.string().datetime({ offset: true }),
+  durationMinutes: z.number().int().min(15).max(720).optional(),
+  tableId: z.string().uuid().optional(),
+  notes: z.string().max(500).optional(),
+};
+
+const createReservationSchema = z.object(reservationFields);
+
+// tableId: null hands table choice back to the system
+const updateReservationSchema = z
+  .object({ ...reservationFields, tableId: z.string().uuid().nullable() })
+  .partial();
+
+// Guests can't pick a table or a duration, and must leave a phone number
+const publicReservationSchema = z.object({
+  guestName: reservationFields.guestName,
+  phoneNumber: phoneNumberSchema,
+  partySize: z.number().int().positive().max(20),
+  startsAt: reservationFields.startsAt,
+  notes: reservationFields.notes,
+});
+
+const availabilityQuerySchema = z.object({
+  startsAt: z.string().datetime({ offset: true }),
+  partySize: z.coerce.number().int().positive().max(20),
+});
+
+const listQuerySchema = z.object({
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+  status: z
+    .string()
+    .optional()
+    .transform((v) => (v ? v.split(",") : undefined))
+    .pipe(z.array(z.enum(RESERVATION_STATUSES)).optional()),
+  tableId: z.string().uuid().optional(),
+});
+
+const seatReservationSchema = z.object({
+  tableId: z.string().uuid().optional(),
+});
+
+const cancelReservationSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+/** What a guest sees of their booking */
+function toGuestReservationView(reservation) {
+  return {
+    id: reservation.id,
+    guestName: reservation.guestName,
+    partySize: reservation.partySize,
+    startsAt: reservation.startsAt,
+    endsAt: reservation.endsAt,
+    status: reservation.status,
+  };
+}
+
+export function registerReservationRoutes(app) {
+  // Public availability check (no auth required)
+  app.get(
+    "/api/reservations/public/:slug/availability",
+    rateLimit({ keyPrefix: "reservations:availability:public", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = availabilityQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const restaurantId = await getPublicBookingRestaurantId(req.params.slug);
+        const availability = await checkAvailability(restaurantId, parsed.data);
+        res.json(availability);
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to check availability" });
+      }
+    })
+  );
+
+  // Public booking (no auth required)
+  app.post(
+    "/api/reservations/public/:slug",
+    rateLimit({ keyPrefix: "reservations:book:public", windowSeconds: 60, max: 5 }),
+    asyncHandler(async (req, res) => {
+      const parsed = publicReservationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid reservation",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const restaurantId = await getPublicBookingRestaurantId(req.params.slug);
+        const reservation = await createReservation(restaurantId, parsed.data, { source: "ONLINE" });
+        res.status(201).json({
+          reservation: toGuestReservationView(reservation),
+          message: "Your table is booked",
+        });
+      } catch (error) {
+        console.error("Public reservation error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to book a table" });
+      }
+    })
+  );
+
+  app.use(
+    "/api/restaurants/:restaurantId/reservations",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    requirePermission("reservation.manage"),
+    router
+  );
+
+  // List reservations
+  router.get(
+    "/",
+    rateLimit({ keyPrefix: "reservations:list", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = listQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { from, to, ...filters } = parsed.data;
+      const reservations = await listReservations(restaurantId, {
+        ...filters,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      });
+      res.json({ reservations });
+    })
+  );
+
+  // Get reservation
+  router.get(
+    "/:reservationId",
+    rateLimit({ keyPrefix: "reservations:get", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, reservationId } = req.params;
+      const reservation = await getReservation(restaurantId, reservationId);
+      if (!reservation) {
+        return res.status(404).json({ message: "Reservation not found" });
+      }
+      res.json({ reservation });
+    })
+  );
+
+  // Create reservation
+  router.post(
+    "/",
+    rateLimit({ keyPrefix: "reservations:create", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId } = req.params;
+      const parsed = createReservationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid reservation",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const reservation = await createReservation(restaurantId, parsed.data);
+        res.status(201).json({ reservation });
+      } catch (error) {
+        console.error("Create reservation error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to create reservation" });
+      }
+    })
+  );
+
+  // Update reservation (time, party size, table, guest details)
+  router.patch(
+    "/:reservationId",
+    rateLimit({ keyPrefix: "reservations:update", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, reservationId } = req.params;
+      const parsed = updateReservationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid reservation",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const reservation = await updateReservation(restaurantId, reservationId, parsed.data);
+        res.json({ reservation });
+      } catch (error) {
+        console.error("Update reservation error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to update reservation" });
+      }
+    })
+  );
+
+  // Seat the party (table becomes OCCUPIED)
+  router.post(
+    "/:reservationId/seat",
+    rateLimit({ keyPrefix: "reservations:seat", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, reservationId } = req.params;
+      const parsed = seatReservationSchema.safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const reservation = await seatReservation(restaurantId, reservationId, parsed.data.tableId);
+        res.json({ reservation, message: "Guests seated" });
+      } catch (error) {
+        console.error("Seat reservation error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to seat reservation" });
+      }
+    })
+  );
+
+  // Cancel reservation
+  router.post(
+    "/:reservationId/cancel",
+    rateLimit({ keyPrefix: "reservations:cancel", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, reservationId } = req.params;
+      const parsed = cancelReservationSchema.safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const reservation = await cancelReservation(restaurantId, reservationId, parsed.data.reason);
+        res.json({ reservation, message: "Reservation cancelled" });
+      } catch (error) {
+        console.error("Cancel reservation error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to cancel reservation" });
+      }
+    })
+  );
+
+  // Mark as no-show (also done automatically once the grace period passes)
+  router.post(
+    "/:reservationId/no-show",
+    rateLimit({ keyPrefix: "reservations:no-show", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, reservationId } = req.params;
+      try {
+        const reservation = await markNoShow(restaurantId, reservationId);
+        res.json({ reservation, message: "Reservation marked as no-show" });
+      } catch (error) {
+        console.error("No-show reservation error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to mark no-show" });
+      }
+    })
+  );
+}
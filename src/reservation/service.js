@@ -0,0 +1,588 @@
+import { eq, and, asc, gte, lt, gt, ne, inArray, isNull, isNotNull, sql } from "drizzle-orm";
+import { reservations, tables, restaurants } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { emitReservationCreated, emitReservationUpdated, emitTableStatusChanged } from "../realtime/events.js";
+import { httpError } from "../httpError.js";
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
+
+// Reservations that still occupy their table's time slot
+const ACTIVE_STATUSES = ["BOOKED", "SEATED"];
+
+// Public guests can't hold more than this many upcoming bookings at one restaurant
+const MAX_UPCOMING_PER_PHONE = 2;
+
+/**
+ * Reservation settings from restaurants.settings, with defaults.
+ * @returns {{durationMinutes: number, holdMinutes: number, noShowMinutes: number, maxDaysAhead: number}}
+ */
+export function reservationSettings(settings) {
+  return {
+    // How long a booking keeps its table
+    durationMinutes: settings?.reservationDurationMinutes || 90,
+    // Tables switch to RESERVED this long before the slot
+    holdMinutes: settings?.reservationHoldMinutes || 30,
+    // Bookings not seated this long after the start become NO_SHOW
+    noShowMinutes: settings?.reservationNoShowMinutes || 20,
+    // How far ahead the public booking page accepts reservations
+    maxDaysAhead: settings?.reservationMaxDaysAhead || 60,
+  };
+}
+
+/**
+ * Smallest free table that seats the party (ties broken by table number), or null.
+ * @param {Array} candidates - Tables with { id, capacity, tableNumber }
+ * @param {number} partySize
+ * @param {Set<string>} busyTableIds - Tables with an overlapping reservation
+ */
+export function pickTable(candidates, partySize, busyTableIds) {
+  const byNumber = (a, b) => String(a.tableNumber).localeCompare(String(b.tableNumber), undefined, { numeric: true });
+  return (
+    candidates
+      .filter((t) => t.capacity >= partySize && !busyTableIds.has(t.id))
+      .sort((a, b) => a.capacity - b.capacity || byNumber(a, b))[0] || null
+  );
+}
+
+function formatTime(date) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(new Date(date));
+}
+
+async function getRestaurantSettings(restaurantId, dbToUse = db) {
+  const rows = await dbToUse
+    .select({ settings: restaurants.settings })
+    .from(restaurants)
+    .where(eq(restaurants.id, restaurantId))
+    .limit(1);
+  if (!rows[0]) throw httpError("Restaurant not found", 404);
+  return reservationSettings(rows[0].settings);
+}
+
+/** Active reservations on the given tables that overlap [startsAt, endsAt) */
+function findOverlapping(tx, restaurantId, tableIds, startsAt, endsAt, excludeId = null) {
+  if (tableIds.length === 0) return [];
+  const conditions = [
+    eq(reservations.restaurantId, restaurantId),
+    inArray(reservations.tableId, tableIds),
+    inArray(reservations.status, ACTIVE_STATUSES),
+    lt(reservations.startsAt, endsAt),
+    gt(reservations.endsAt, startsAt),
+  ];
+  if (excludeId) conditions.push(ne(reservations.id, excludeId));
+  return tx
+    .select({ id: reservations.id, tableId: reservations.tableId, startsAt: reservations.startsAt, endsAt: reservations.endsAt })
+    .from(reservations)
+    .where(and(...conditions));
+}
+
+/**
+ * Resolve the table for a booking inside a transaction. A requested table is checked for capacity
+ * and overlaps; otherwise the smallest free table that fits is picked. Candidate tables are locked
+ * so two bookings for the same slot can't both pass the overlap check.
+ * @returns {Promise<object>} The table row
+ */
+async function assignTable(tx, restaurantId, { tableId, partySize, startsAt, endsAt, excludeId = null }) {
+  if (tableId) {
+    const rows = await tx
+      .select()
+      .from(tables)
+      .where(and(eq(tables.id, tableId), eq(tables.restaurantId, restaurantId), eq(tables.isActive, true)))
+      .for("update");
+    const table = rows[0];
+    if (!table) throw httpError("Table not found", 404);
+    if (partySize > table.capacity) {
+      throw httpError(`Table ${table.tableNumber} seats ${table.capacity}; the party is ${partySize}`, 409);
+    }
+    const clash = (await findOverlapping(tx, restaurantId, [table.id], startsAt, endsAt, excludeId))[0];
+    if (clash) {
+      throw httpError(
+        `Table ${table.tableNumber} is already booked from ${formatTime(clash.startsAt)} to ${formatTime(clash.endsAt)}`,
+        409
+      );
+    }
+    return table;
+  }
+
+  const candidates = await tx
+    .select()
+    .from(tables)
+    .where(
+      and(
+        eq(tables.restaurantId, restaurantId),
+        eq(tables.isActive, true),
+        gte(tables.capacity, partySize),
+        ne(tables.currentStatus, "BLOCKED")
+      )
+    )
+    .orderBy(asc(tables.capacity), asc(tables.id))
+    .for("update");
+
+  const overlapping = await findOverlapping(tx, restaurantId, candidates.map((t) => t.id), startsAt, endsAt, excludeId);
+  const table = pickTable(candidates, partySize, new Set(overlapping.map((r) => r.tableId)));
+  if (!table) throw httpError(`No table is free for a party of ${partySize} at that time`, 409);
+  return table;
+}
+
+/**
+ * Switch a table held for a reservation back to AVAILABLE, unless another booking also holds it
+ * or staff have since changed its status.
+ * @returns {Promise<object|null>} The released table
+ */
+async function releaseTableHold(tx, reservation) {
+  if (!reservation.tableId || !reservation.tableHeldAt) return null;
+
+  const otherHolds = await tx
+    .select({ id: reservations.id })
+    .from(reservations)
+    .where(
+      and(
+        eq(reservations.tableId, reservation.tableId),
+        eq(reservations.status, "BOOKED"),
+        isNotNull(reservations.tableHeldAt),
+        ne(reservations.id, reservation.id)
+      )
+    )
+    .limit(1);
+  if (otherHolds.length > 0) return null;
+
+  const rows = await tx
+    .update(tables)
+    .set({ currentStatus: "AVAILABLE", assignedWaiterId: null, updatedAt: new Date() })
+    .where(and(eq(tables.id, reservation.tableId), eq(tables.currentStatus, "RESERVED")))
+    .returning();
+  return rows[0] || null;
+}
+
+async function lockReservation(tx, restaurantId, reservationId) {
+  const rows = await tx
+    .select()
+    .from(reservations)
+    .where(and(eq(reservations.id, reservationId), eq(reservations.restaurantId, restaurantId)))
+    .for("update");
+  if (!rows[0]) throw httpError("Reservation not found", 404);
+  return rows[0];
+}
+
+function withTable(reservation, table) {
+  return { ...reservation, tableNumber: table?.tableNumber ?? null };
+}
+
+/**
+ * List reservations, soonest first.
+ * @param {string} restaurantId
+ * @param {object} [filters]
+ * @param {Date} [filters.from] - Start of range (inclusive)
+ * @param {Date} [filters.to] - End of range (exclusive)
+ * @param {string[]} [filters.status]
+ * @param {string} [filters.tableId]
+ */
+export async function listReservations(restaurantId, filters = {}) {
+  const conditions = [eq(reservations.restaurantId, restaurantId)];
+  if (filters.from) conditions.push(gte(reservations.startsAt, filters.from));
+  if (filters.to) conditions.push(lt(reservations.startsAt, filters.to));
+  if (filters.status?.length) conditions.push(inArray(reservations.status, filters.status));
+  if (filters.tableId) conditions.push(eq(reservations.tableId, filters.tableId));
+
+  const rows = await readDb
+    .select({ reservation: reservations, tableNumber: tables.tableNumber })
+    .from(reservations)
+    .leftJoin(tables, eq(reservations.tableId, tables.id))
+    .where(and(...conditions))
+    .orderBy(asc(reservations.startsAt))
+    .limit(filters.limit || 200);
+
+  return rows.map((r) => ({ ...r.reservation, tableNumber: r.tableNumber }));
+}
+
+/**
+ * Get one reservation with its table number.
+ * @returns {Promise<object|null>}
+ */
+export async function getReservation(restaurantId, reservationId) {
+  const rows = await readDb
+    .select({ reservation: reservations, tableNumber: tables.tableNumber })
+    .from(reservations)
+    .leftJoin(tables, eq(reservations.tableId, tables.id))
+    .where(and(eq(reservations.id, reservationId), eq(reservations.restaurantId, restaurantId)))
+    .limit(1);
+  return rows[0] ? { ...rows[0].reservation, tableNumber: rows[0].tableNumber } : null;
+}
+
+/**
+ * Bookings still to arrive, for showing next to the walk-in queue: from those running late
+ * (not yet marked no-show) up to `withinMinutes` ahead.
+ */
+export async function listUpcomingReservations(restaurantId, withinMinutes = 180) {
+  const settings = await getRestaurantSettings(restaurantId, readDb);
+  const now = Date.now();
+  return listReservations(restaurantId, {
+    from: new Date(now - settings.noShowMinutes * 60000),
+    to: new Date(now + withinMinutes * 60000),
+    status: ["BOOKED"],
+  });
+}
+
+/**
+ * Create a reservation. Without a tableId the smallest free table that seats the party is used.
+ * @param {string} restaurantId
+ * @param {object} data - { guestName, phoneNumber, partySize, startsAt, durationMinutes?, tableId?, notes? }
+ * @param {object} [options]
+ * @param {"STAFF"|"ONLINE"} [options.source="STAFF"]
+ * @returns {Promise<object>} Reservation with tableNumber
+ * @throws 409 when the table is too small or already booked, or nothing is free
+ */
+export async function createReservation(restaurantId, data, { source = "STAFF" } = {}) {
+  const reservation = await db.transaction(async (tx) => {
+    const settings = await getRestaurantSettings(restaurantId, tx);
+    const startsAt = new Date(data.startsAt);
+    const durationMinutes = data.durationMinutes || settings.durationMinutes;
+    const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+
+    if (startsAt.getTime() < Date.now()) throw httpError("Reservation time is in the past");
+    if (source === "ONLINE" && startsAt.getTime() > Date.now() + settings.maxDaysAhead * 86400000) {
+      throw httpError(`Reservations can be made up to ${settings.maxDaysAhead} days ahead`);
+    }
+
+    if (source === "ONLINE" && data.phoneNumber) {
+      const upcoming = await tx
+        .select({ count: sql`count(*)::int` })
+        .from(reservations)
+        .where(
+          and(
+            eq(reservations.restaurantId, restaurantId),
+            eq(reservations.phoneNumber, data.phoneNumber),
+            eq(reservations.status, "BOOKED"),
+            gt(reservations.startsAt, new Date())
+          )
+        );
+      if ((upcoming[0]?.count || 0) >= MAX_UPCOMING_PER_PHONE) {
+        throw httpError("You already have upcoming reservations here. Please call the restaurant to book more.", 409);
+      }
+    }
+
+    const table = await assignTable(tx, restaurantId, {
+      tableId: data.tableId,
+      partySize: data.partySize,
+      startsAt,
+      endsAt,
+    });
+
+    const rows = await tx
+      .insert(reservations)
+      .values({
+        restaurantId,
+        tableId: table.id,
+        guestName: data.guestName,
+        phoneNumber: data.phoneNumber || null,
+        partySize: data.partySize,
+        startsAt,
+        durationMinutes,
+        endsAt,
+        source,
+        notes: data.notes || null,
+      })
+      .returning();
+    return withTable(rows[0], table);
+  });
+
+  emitReservationCreated(restaurantId, reservation);
+  return reservation;
+}
+
+/**
+ * Change a BOOKED reservation. Changing the time, party size or table re-checks for overlaps;
+ * `tableId: null` lets the system pick a table again.
+ * @returns {Promise<object>} Updated reservation with tableNumber
+ */
+export async function updateReservation(restaurantId, reservationId, data) {
+  let releasedTable = null;
+  const reservation = await db.transaction(async (tx) => {
+    const current = await lockReservation(tx, restaurantId, reservationId);
+    if (current.status !== "BOOKED") {
+      throw httpError(`Only booked reservations can be changed (this one is ${current.status})`, 409);
+    }
+
+    const updates = { updatedAt: new Date() };
+    if (data.guestName !== undefined) updates.guestName = data.guestName;
+    if (data.phoneNumber !== undefined) updates.phoneNumber = data.phoneNumber || null;
+    if (data.notes !== undefined) updates.notes = data.notes || null;
+
+    const rebook =
+      data.startsAt !== undefined ||
+      data.durationMinutes !== undefined ||
+      data.partySize !== undefined ||
+      data.tableId !== undefined;
+
+    let table = null;
+    if (rebook) {
+      const startsAt = data.startsAt !== undefined ? new Date(data.startsAt) : current.startsAt;
+      const durationMinutes = data.durationMinutes ?? current.durationMinutes;
+      const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+      const partySize = data.partySize ?? current.partySize;
+      if (data.startsAt !== undefined && startsAt.getTime() < Date.now()) {
+        throw httpError("Reservation time is in the past");
+      }
+
+      table = await assignTable(tx, restaurantId, {
+        tableId: data.tableId !== undefined ? data.tableId : current.tableId,
+        partySize,
+        startsAt,
+        endsAt,
+        excludeId: current.id,
+      });
+
+      Object.assign(updates, { startsAt, durationMinutes, endsAt, partySize, tableId: table.id });
+
+      // A hold on the old table (or for the old time) no longer applies; the sweep re-holds if due
+      if (current.tableHeldAt) {
+        releasedTable = await releaseTableHold(tx, current);
+        updates.tableHeldAt = null;
+      }
+    }
+
+    const rows = await tx.update(reservations).set(updates).where(eq(reservations.id, current.id)).returning();
+    if (!table && rows[0].tableId) {
+      table = (await tx.select().from(tables).where(eq(tables.id, rows[0].tableId)).limit(1))[0];
+    }
+    return withTable(rows[0], table);
+  });
+
+  if (releasedTable) emitTableStatusChanged(restaurantId, releasedTable);
+  emitReservationUpdated(restaurantId, reservation);
+  return reservation;
+}
+
+/**
+ * Seat a booked party: the reservation becomes SEATED and its table OCCUPIED.
+ * @param {string} restaurantId
+ * @param {string} reservationId
+ * @param {string|null} [tableId] - Seat them somewhere other than the booked table
+ */
+export async function seatReservation(restaurantId, reservationId, tableId = null) {
+  const { reservation, table, released } = await db.transaction(async (tx) => {
+    const current = await lockReservation(tx, restaurantId, reservationId);
+    if (current.status !== "BOOKED") {
+      throw httpError(`Only booked reservations can be seated (this one is ${current.status})`, 409);
+    }
+
+    const targetId = tableId || current.tableId;
+    if (!targetId) throw httpError("Pick a table to seat this reservation at");
+
+    const tableRows = await tx
+      .update(tables)
+      .set({ currentStatus: "OCCUPIED", updatedAt: new Date() })
+      .where(and(eq(tables.id, targetId), eq(tables.restaurantId, restaurantId), eq(tables.isActive, true)))
+      .returning();
+    if (!tableRows[0]) throw httpError("Table not found", 404);
+
+    // Moving the party elsewhere frees the table that was held for them
+    let released = null;
+    if (targetId !== current.tableId) released = await releaseTableHold(tx, current);
+
+    const now = new Date();
+    const rows = await tx
+      .update(reservations)
+      .set({ status: "SEATED", tableId: targetId, seatedAt: now, updatedAt: now })
+      .where(eq(reservations.id, current.id))
+      .returning();
+    return { reservation: withTable(rows[0], tableRows[0]), table: tableRows[0], released };
+  });
+
+  if (released) emitTableStatusChanged(restaurantId, released);
+  emitTableStatusChanged(restaurantId, table);
+  emitReservationUpdated(restaurantId, reservation);
+  return reservation;
+}
+
+/**
+ * Close a BOOKED reservation as CANCELLED or NO_SHOW, releasing any table hold.
+ */
+async function closeReservation(restaurantId, reservationId, status, reason = null) {
+  const { reservation, released } = await db.transaction(async (tx) => {
+    const current = await lockReservation(tx, restaurantId, reservationId);
+    if (current.status !== "BOOKED") {
+      throw httpError(`Only booked reservations can be closed (this one is ${current.status})`, 409);
+    }
+
+    const now = new Date();
+    const updates =
+      status === "CANCELLED"
+        ? { status, cancelledAt: now, cancelReason: reason, updatedAt: now }
+        : { status, noShowAt: now, updatedAt: now };
+    const rows = await tx.update(reservations).set(updates).where(eq(reservations.id, current.id)).returning();
+    return { reservation: rows[0], released: await releaseTableHold(tx, current) };
+  });
+
+  if (released) emitTableStatusChanged(restaurantId, released);
+  emitReservationUpdated(restaurantId, reservation);
+  return reservation;
+}
+
+export function cancelReservation(restaurantId, reservationId, reason = null) {
+  return closeReservation(restaurantId, reservationId, "CANCELLED", reason);
+}
+
+export function markNoShow(restaurantId, reservationId) {
+  return closeReservation(restaurantId, reservationId, "NO_SHOW");
+}
+
+/**
+ * Whether a party of the given size could be booked at a time (used by the public booking page).
+ * @returns {Promise<{available: boolean, startsAt: Date, endsAt: Date}>}
+ */
+export async function checkAvailability(restaurantId, { startsAt, partySize }) {
+  const settings = await getRestaurantSettings(restaurantId, readDb);
+  const start = new Date(startsAt);
+  const end = new Date(start.getTime() + settings.durationMinutes * 60000);
+
+  const candidates = await readDb
+    .select({ id: tables.id, capacity: tables.capacity, tableNumber: tables.tableNumber })
+    .from(tables)
+    .where(
+      and(
+        eq(tables.restaurantId, restaurantId),
+        eq(tables.isActive, true),
+        gte(tables.capacity, partySize),
+        ne(tables.currentStatus, "BLOCKED")
+      )
+    );
+  const overlapping = await findOverlapping(readDb, restaurantId, candidates.map((t) => t.id), start, end);
+  const table = pickTable(candidates, partySize, new Set(overlapping.map((r) => r.tableId)));
+
+  return { available: Boolean(table) && start.getTime() >= Date.now(), startsAt: start, endsAt: end };
+}
+
+/**
+ * Resolve a restaurant slug for public booking.
+ * @returns {Promise<string>} restaurantId
+ * @throws 404 if unknown or inactive, 403 if the subscription has lapsed
+ */
+export async function getPublicBookingRestaurantId(slug) {
+  // Subscription columns aren't in the JS schema, so read them directly
+  const result = await readDb.execute(sql`
+    SELECT
+      id,
+      is_active AS "isActive",
+      subscription_status AS "subscriptionStatus",
+      subscription_valid_until AS "subscriptionValidUntil"
+    FROM restaurants
+    WHERE slug = ${slug}
+    LIMIT 1
+  `);
+
+  const restaurant = result.rows[0];
+  if (!restaurant || !restaurant.isActive) throw httpError("Restaurant not found", 404);
+
+  const expired =
+    restaurant.subscriptionStatus === "EXPIRED" ||
+    (restaurant.subscriptionValidUntil && new Date(restaurant.subscriptionValidUntil) < new Date());
+  if (expired) throw httpError("Online booking is not available for this restaurant", 403);
+
+  return restaurant.id;
+}
+
+/**
+ * Hold tables for bookings about to start and mark unclaimed bookings as no-shows.
+ * Runs across all restaurants; each restaurant's hold and grace times come from its settings.
+ * @returns {Promise<{held: number, noShows: number}>}
+ */
+export async function runReservationSweep() {
+  const holdMinutes = sql`COALESCE((${restaurants.settings}->>'reservationHoldMinutes')::int, 30)`;
+  const noShowMinutes = sql`COALESCE((${restaurants.settings}->>'reservationNoShowMinutes')::int, 20)`;
+
+  const dueHolds = await db
+    .select({ reservation: reservations })
+    .from(reservations)
+    .innerJoin(restaurants, eq(reservations.restaurantId, restaurants.id))
+    .where(
+      and(
+        eq(reservations.status, "BOOKED"),
+        isNull(reservations.tableHeldAt),
+        isNotNull(reservations.tableId),
+        sql`${reservations.startsAt} - make_interval(mins => ${holdMinutes}) <= now()`,
+        sql`${reservations.startsAt} + make_interval(mins => ${noShowMinutes}) > now()`
+      )
+    )
+    .limit(500);
+
+  let held = 0;
+  for (const { reservation } of dueHolds) {
+    // Tables still occupied by earlier guests are retried on the next sweep
+    const table = await db.transaction(async (tx) => {
+      const rows = await tx
+        .update(tables)
+        .set({ currentStatus: "RESERVED", updatedAt: new Date() })
+        .where(and(eq(tables.id, reservation.tableId), eq(tables.currentStatus, "AVAILABLE")))
+        .returning();
+      if (!rows[0]) return null;
+      await tx
+        .update(reservations)
+        .set({ tableHeldAt: new Date(), updatedAt: new Date() })
+        .where(and(eq(reservations.id, reservation.id), eq(reservations.status, "BOOKED")));
+      return rows[0];
+    });
+    if (table) {
+      held++;
+      emitTableStatusChanged(reservation.restaurantId, table);
+      emitReservationUpdated(reservation.restaurantId, { ...reservation, tableHeldAt: new Date(), tableNumber: table.tableNumber });
+    }
+  }
+
+  const overdue = await db
+    .select({ id: reservations.id, restaurantId: reservations.restaurantId })
+    .from(reservations)
+    .innerJoin(restaurants, eq(reservations.restaurantId, restaurants.id))
+    .where(
+      and(
+        eq(reservations.status, "BOOKED"),
+        sql`${reservations.startsAt} + make_interval(mins => ${noShowMinutes}) <= now()`
+      )
+    )
+    .limit(500);
+
+  let noShows = 0;
+  for (const { id, restaurantId } of overdue) {
+    try {
+      await markNoShow(restaurantId, id);
+      noShows++;
+    } catch (err) {
+      // Seated or cancelled by staff since the query ran
+      if (err.status !== 409) throw err;
+    }
+  }
+
+  return { held, noShows };
+}
+
+export function startReservationJob() {
+  const INTERVAL_MS = 60 * 1000;
+  const LOCK_TTL_SECONDS = 55; // expires just before the next tick
+  const LOCK_KEY = "job:reservations:lock";
+
+  async function runSweep() {
+    try {
+      // Only one pod sweeps per tick
+      const { getRedisClient } = await import("../redis/client.js");
+      const redis = getRedisClient();
+      if (redis && redis.status === "ready") {
+        const acquired = await redis.set(LOCK_KEY, "1", "EX", LOCK_TTL_SECONDS, "NX");
+        if (!acquired) return;
+      }
+
+      const { held, noShows } = await runReservationSweep();
+      if (held || noShows) console.log(`[Reservations] Held ${held} table(s), marked ${noShows} no-show(s)`);
+    } catch (err) {
+      console.error("[Reservations] Sweep failed:", err);
+    }
+  }
+
+  runSweep();
+  setInterval(() => {
+    runSweep().catch((err) => console.error("[Reservations] Unhandled error in sweep:", err));
+  }, INTERVAL_MS);
+}
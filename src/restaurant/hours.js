@@ -0,0 +1,76 @@
+/**
+ * Business hours — whether a restaurant is open and taking guest orders at a given moment.
+ *
+ * Pure (no DB access) so the public restaurant profile, queue registration and guest ordering all
+ * give the same answer. Opening hours use the menu schedule window shape and the same local-time
+ * rules; a holiday closes the whole local day.
+ */
+import { isScheduleOpen, nextScheduleChange, restaurantTimeZone } from "../menu/schedule-rules.js";
+import { getBusinessDate, getBusinessDayRange } from "../analytics/range.js";
+
+/**
+ * Open/closed state for a restaurant row with businessHours, holidays, ordersPausedAt,
+ * ordersPauseReason and settings.
+ * @param {object} restaurant
+ * @param {Date} [at=new Date()]
+ * @returns {{isOpen: boolean, acceptingOrders: boolean, closedReason: "HOURS"|"HOLIDAY"|null,
+ *   holiday: string|null, ordersPaused: boolean, pauseReason: string|null, changesAt: string|null}}
+ *   changesAt is when isOpen can next change, for caching
+ */
+export function openingStatus(restaurant, at = new Date()) {
+  const timeZone = restaurantTimeZone(restaurant.settings);
+  const changes = [];
+
+  let closedReason = null;
+  let holiday = null;
+  const holidays = Array.isArray(restaurant.holidays) ? restaurant.holidays : [];
+  if (holidays.length > 0) {
+    const today = getBusinessDate(at, { timeZone });
+    const match = holidays.find((h) => h.date === today);
+    if (match) {
+      closedReason = "HOLIDAY";
+      holiday = match.name || null;
+    }
+    // A holiday can start or end at the next local midnight
+    changes.push(getBusinessDayRange(today, { timeZone }).end);
+  }
+
+  const windows = Array.isArray(restaurant.businessHours) ? restaurant.businessHours : [];
+  if (windows.length > 0) {
+    if (!closedReason && !isScheduleOpen({ windows }, at, timeZone)) closedReason = "HOURS";
+    const next = nextScheduleChange([{ windows }], at, timeZone);
+    if (next) changes.push(next);
+  }
+
+  const isOpen = closedReason === null;
+  const ordersPaused = Boolean(restaurant.ordersPausedAt);
+  const changesAt = changes.length ? new Date(Math.min(...changes.map((d) => d.getTime()))) : null;
+  return {
+    isOpen,
+    acceptingOrders: isOpen && !ordersPaused,
+    closedReason,
+    holiday,
+    ordersPaused,
+    pauseReason: ordersPaused ? restaurant.ordersPauseReason || null : null,
+    changesAt: changesAt ? changesAt.toISOString() : null,
+  };
+}
+
+/**
+ * Why a guest can't join the queue (or, with orders, place an order) right now, or null if they can.
+ * The pause switch only stops orders; the waitlist keeps running.
+ * @param {ReturnType<typeof openingStatus>} status
+ * @param {{orders?: boolean}} [options]
+ */
+export function guestClosedReason(status, { orders = false } = {}) {
+  if (status.closedReason === "HOLIDAY") {
+    return status.holiday ? `The restaurant is closed today for ${status.holiday}` : "The restaurant is closed today";
+  }
+  if (status.closedReason === "HOURS") return "The restaurant is closed right now";
+  if (orders && status.ordersPaused) {
+    return status.pauseReason
+      ? `The restaurant has paused orders: ${status.pauseReason}`
+      : "The restaurant has paused orders for now";
+  }
+  return null;
+}
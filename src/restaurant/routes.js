@@ -1,8 +1,10 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 import {
   listRestaurants,
   listRestaurantsByOwner, // Add this new service function
@@ -11,10 +13,13 @@ import {
   createRestaurant,
   updateRestaurant,
   deleteRestaurant,
+  updateBusinessHours,
+  setOrdersPaused,
 } from "./service.js";
 import { getRedisClient } from "../redis/client.js";
 import { cacheGetOrSetJson } from "../redis/cache.js";
 import { invalidateMenuCache } from "../menu/routes.js";
+import { menuCacheTtl } from "../menu/schedule-rules.js";
 
 const router = express.Router();
 
@@ -58,6 +63,51 @@ const restaurantUpdateSchema = restaurantCreateSchema.partial().extend({
   slug: slugSchema.optional(),
 });
 
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:MM (24-hour)");
+
+// Same shape as menu schedule windows, in the restaurant's timezone; equal times mean open all day
+const hoursWindowSchema = z.object({
+  // 0 = Sunday; leave out or empty for every day
+  days: z.array(z.number().int().min(0).max(6)).max(7).optional(),
+  startTime: timeOfDay,
+  endTime: timeOfDay,
+});
+
+const businessHoursSchema = z
+  .object({
+    // null = always open
+    businessHours: z.array(hoursWindowSchema).min(1).max(30).nullable().optional(),
+    holidays: z
+      .array(
+        z.object({
+          date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD"),
+          name: z.string().trim().max(100).optional(),
+        })
+      )
+      .max(366)
+      .optional(),
+  })
+  .refine((d) => d.businessHours !== undefined || d.holidays !== undefined, {
+    message: "Send businessHours, holidays or both",
+  });
+
+const ordersPauseSchema = z.object({
+  paused: z.boolean(),
+  reason: z.string().trim().max(200).nullable().optional(),
+});
+
+/** Drop the cached public profile and menu so guests see the new open/closed state */
+async function invalidateRestaurantProfileCache(restaurant) {
+  await invalidateMenuCache(restaurant.id);
+  const redis = getRedisClient();
+  if (!redis || redis.status !== "ready") return;
+  try {
+    await redis.del(`restaurant:slug:${restaurant.slug}`);
+  } catch (err) {
+    console.warn("[cache] Restaurant cache invalidation failed:", err.message);
+  }
+}
+
 export function registerRestaurantRoutes(app) {
   // Public: get restaurant by slug (for /q/:slug, etc.)
   router.get(
@@ -75,13 +125,24 @@ export function registerRestaurantRoutes(app) {
           err.status = 404;
           throw err;
         }
-        return { restaurant: { id: restaurant.id, name: restaurant.name, slug: restaurant.slug } };
+        return {
+          restaurant: {
+            id: restaurant.id,
+            name: restaurant.name,
+            slug: restaurant.slug,
+            businessHours: restaurant.businessHours,
+            holidays: restaurant.holidays,
+            openStatus: restaurant.openStatus,
+          },
+        };
       };
+      // Never cache past the next opening or closing
+      const ttlFor = (data, maxSeconds) => menuCacheTtl(data.restaurant.openStatus?.changesAt, maxSeconds);
       
       if (redisClient) {
         try {
-          const data = await cacheGetOrSetJson(redisClient, cacheKey, ttlSeconds, producer);
-          res.setHeader("Cache-Control", "public, max-age=60, stale-while-revalidate=300");
+          const data = await cacheGetOrSetJson(redisClient, cacheKey, (d) => ttlFor(d, ttlSeconds), producer);
+          res.setHeader("Cache-Control", `public, max-age=${ttlFor(data, 60)}, stale-while-revalidate=300`);
           return res.json(data);
         } catch (err) {
           if (err.status === 404) return res.status(404).json({ message: "Not found" });
@@ -91,7 +152,7 @@ export function registerRestaurantRoutes(app) {
       
       try {
         const data = await producer();
-        res.setHeader("Cache-Control", "public, max-age=30, stale-while-revalidate=60");
+        res.setHeader("Cache-Control", `public, max-age=${ttlFor(data, 30)}, stale-while-revalidate=60`);
         return res.json(data);
       } catch (err) {
         if (err.status === 404) return res.status(404).json({ message: "Not found" });
@@ -176,7 +237,7 @@ export function registerRestaurantRoutes(app) {
     "/:id",
     requireAuth,
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("settings.manage"),
     asyncHandler(async (req, res) => {
       const parsed = restaurantUpdateSchema.safeParse(req.body);
       if (!parsed.success) {
@@ -204,6 +265,57 @@ export function registerRestaurantRoutes(app) {
     }),
   );
 
+  // Weekly opening hours and holiday closures
+  router.put(
+    "/:restaurantId/hours",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    requirePermission("settings.manage"),
+    rateLimit({ keyPrefix: "restaurant:hours", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = businessHoursSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({ message: "Invalid business hours", errors: parsed.error.errors });
+      }
+
+      const restaurant = await updateBusinessHours(req.params.restaurantId, parsed.data);
+      if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+      await invalidateRestaurantProfileCache(restaurant);
+      res.json({
+        businessHours: restaurant.businessHours,
+        holidays: restaurant.holidays,
+        openStatus: restaurant.openStatus,
+      });
+    }),
+  );
+
+  // Pause or resume guest QR and online orders, e.g. when the kitchen is swamped
+  router.put(
+    "/:restaurantId/orders-pause",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    requirePermission("order.pause"),
+    rateLimit({ keyPrefix: "restaurant:orders-pause", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const parsed = ordersPauseSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({ message: "Invalid input", errors: parsed.error.errors });
+      }
+
+      const restaurant = await setOrdersPaused(req.params.restaurantId, {
+        paused: parsed.data.paused,
+        reason: parsed.data.reason || null,
+      });
+      if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+      await invalidateRestaurantProfileCache(restaurant);
+      res.json({ openStatus: restaurant.openStatus });
+    }),
+  );
+
   // Soft delete - FIXED: Check ownership
   router.delete(
     "/:id",
@@ -1,4 +1,16 @@
 import { pool as writePool, readPool as pool } from "../dbClient.js";
+import { emitRestaurantStatusChanged } from "../realtime/events.js";
+import { queueStoreStatusSync } from "../aggregator/sync.js";
+import { openingStatus, guestClosedReason } from "./hours.js";
+import { httpError } from "../httpError.js";
+
+// Columns openingStatus needs, for every query that reports it
+const HOURS_COLUMNS = `business_hours AS "businessHours", holidays,
+            orders_paused_at AS "ordersPausedAt", orders_pause_reason AS "ordersPauseReason"`;
+
+function withOpeningStatus(restaurant) {
+  return restaurant ? { ...restaurant, openStatus: openingStatus(restaurant) } : null;
+}
 
 export async function listRestaurantsByOwner(ownerId) {
   const restaurants = await pool.query(
@@ -33,12 +45,13 @@ export async function getRestaurant(id) {
             fssai_number AS "fssaiNumber",
             email, phone_number AS "phoneNumber",
             google_maps_link AS "googleMapsLink",
-            qr_design AS "qrDesign", settings
+            qr_design AS "qrDesign", settings,
+            ${HOURS_COLUMNS}
      FROM restaurants
      WHERE id = $1`,
     [id],
   );
-  return result.rows[0] || null;
+  return withOpeningStatus(result.rows[0]);
 }
 
 export async function getRestaurantBySlug(slug) {
@@ -53,12 +66,13 @@ export async function getRestaurantBySlug(slug) {
             fssai_number AS "fssaiNumber",
             email, phone_number AS "phoneNumber",
             google_maps_link AS "googleMapsLink",
-            qr_design AS "qrDesign", settings
+            qr_design AS "qrDesign", settings,
+            ${HOURS_COLUMNS}
      FROM restaurants
      WHERE slug = $1`,
     [slug],
   );
-  return result.rows[0] || null;
+  return withOpeningStatus(result.rows[0]);
 }
 
 export async function createRestaurant(data) {
@@ -210,3 +224,76 @@ export async function deleteRestaurant(id) {
   return result.rows[0] || null;
 }
 
+/**
+ * Replace the opening hours and/or holiday list.
+ * @param {{businessHours?: Array|null, holidays?: Array<{date: string, name?: string}>}} data
+ */
+export async function updateBusinessHours(id, data) {
+  const fields = [];
+  const values = [];
+  if (data.businessHours !== undefined) {
+    values.push(data.businessHours === null ? null : JSON.stringify(data.businessHours));
+    fields.push(`business_hours = $${values.length}`);
+  }
+  if (data.holidays !== undefined) {
+    values.push(JSON.stringify(data.holidays));
+    fields.push(`holidays = $${values.length}`);
+  }
+  if (!fields.length) return getRestaurant(id);
+
+  values.push(id);
+  const result = await writePool.query(
+    `UPDATE restaurants
+     SET ${fields.join(", ")}, updated_at = now()
+     WHERE id = $${values.length}
+     RETURNING id, slug, settings, ${HOURS_COLUMNS}`,
+    values,
+  );
+  return withOpeningStatus(result.rows[0]);
+}
+
+/**
+ * Pause or resume guest and online orders. Staff dashboards hear about it in realtime and
+ * aggregator channels are told whether the store is taking orders now — resuming outside business
+ * hours or on a holiday still leaves it closed.
+ * @param {{paused: boolean, reason?: string|null}} data
+ */
+export async function setOrdersPaused(id, { paused, reason = null }) {
+  const result = await writePool.query(
+    `UPDATE restaurants
+     SET orders_paused_at = CASE WHEN $1 THEN COALESCE(orders_paused_at, now()) ELSE NULL END,
+         orders_pause_reason = CASE WHEN $1 THEN $2 ELSE NULL END,
+         updated_at = now()
+     WHERE id = $3
+     RETURNING id, slug, settings, ${HOURS_COLUMNS}`,
+    [paused, reason, id],
+  );
+  const restaurant = withOpeningStatus(result.rows[0]);
+  if (!restaurant) return null;
+
+  const { openStatus } = restaurant;
+  emitRestaurantStatusChanged(id, openStatus);
+  await queueStoreStatusSync(id, {
+    isOpen: openStatus.acceptingOrders,
+    reason: guestClosedReason(openStatus, { orders: true }),
+  }).catch((err) => {
+    console.error(`[Restaurant] Failed to tell channels about paused orders for ${id}:`, err);
+  });
+  return restaurant;
+}
+
+/**
+ * Refuse guests while the restaurant is closed, or with orders, while orders are paused.
+ * @param {{orders?: boolean}} [options]
+ */
+export async function assertOpenForGuests(restaurantId, options = {}) {
+  const result = await pool.query(
+    `SELECT settings, ${HOURS_COLUMNS}
+     FROM restaurants
+     WHERE id = $1`,
+    [restaurantId],
+  );
+  if (!result.rows[0]) throw httpError("Restaurant not found", 404);
+  const reason = guestClosedReason(openingStatus(result.rows[0]), options);
+  if (reason) throw httpError(reason, 403);
+}
@@ -1,6 +1,7 @@
 import { createServer } from "http";
 import { registerAuthRoutes } from "./auth/routes.js";
 import { registerMenuRoutes } from "./menu/routes.js";
+import { registerMenuScheduleRoutes } from "./menu/schedule-routes.js";
 import { registerRestaurantRoutes } from "./restaurant/routes.js";
 import { registerStaffRoutes } from "./staff/routes.js";
 import { registerTableRoutes } from "./table/routes.js";
@@ -17,6 +18,20 @@ import { registerCustomizationRoutes } from "./customization/routes.js";
 import { registerLogoRoutes } from "./logo/routes.js";
 import { registerSubscriptionRoutes } from "./subscription/routes.js";
 import { registerInquiryRoutes } from "./inquiry/routes.js";
+import { registerInventoryRoutes } from "./inventory/routes.js";
+import { registerRecipeRoutes } from "./recipe/routes.js";
+import { registerPrintRoutes } from "./print/routes.js";
+import { registerPromotionRoutes } from "./promotion/routes.js";
+import { registerReservationRoutes } from "./reservation/routes.js";
+import { registerOrganizationRoutes } from "./organization/routes.js";
+import { registerKitchenRoutes } from "./kitchen/routes.js";
+import { registerShiftRoutes } from "./shift/routes.js";
+import { registerCashRoutes } from "./cash/routes.js";
+import { registerPermissionRoutes } from "./permission/routes.js";
+import { registerCustomerRoutes } from "./customer/routes.js";
+import { registerLoyaltyRoutes } from "./loyalty/routes.js";
+import { registerDeliveryRoutes } from "./delivery/routes.js";
+import { registerAggregatorRoutes } from "./aggregator/routes.js";
 
 export async function registerRoutes(httpServer, app) {
   // API Routes
@@ -27,12 +42,18 @@ export async function registerRoutes(httpServer, app) {
   registerAuthRoutes(app);
   registerOnboardingRoutes(app); // Onboarding flow (must come before auth check)
   registerMenuRoutes(app);
+  registerMenuScheduleRoutes(app);
   registerRestaurantRoutes(app);
   registerStaffRoutes(app);
+  registerPermissionRoutes(app);
   registerTableRoutes(app);
   registerQRRoutes(app);
   registerOrderRoutes(app);
   registerQueueRoutes(app);
+  registerCustomerRoutes(app);
+  registerLoyaltyRoutes(app);
+  registerDeliveryRoutes(app);
+  registerAggregatorRoutes(app);
   registerTransactionRoutes(app);
   registerMetaRoutes(app);
   registerAnalyticsRoutes(app);
@@ -42,6 +63,15 @@ export async function registerRoutes(httpServer, app) {
   registerLogoRoutes(app);
   registerSubscriptionRoutes(app);
   registerInquiryRoutes(app);
+  registerInventoryRoutes(app);
+  registerRecipeRoutes(app);
+  registerPrintRoutes(app);
+  registerPromotionRoutes(app);
+  registerReservationRoutes(app);
+  registerOrganizationRoutes(app);
+  registerKitchenRoutes(app);
+  registerShiftRoutes(app);
+  registerCashRoutes(app);
 
   return httpServer;
 }
@@ -0,0 +1,275 @@
+import express from "express";
+import { z } from "zod";
+import { asyncHandler } from "../middleware/asyncHandler.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  getMyShifts,
+  scheduleShift,
+  updateShift,
+  deleteShift,
+  listShifts,
+  getOnFloor,
+  getAttendanceReport,
+} from "./service.js";
+
+const router = express.Router({ mergeParams: true });
+
+// Longest shift that can be scheduled
+const MAX_SHIFT_HOURS = 16;
+
+// Validation schemas
+const dateTimeSchema = z.string().datetime({ offset: true });
+
+const clockInSchema = z.object({
+  shiftId: z.string().uuid().optional(),
+  notes: z.string().max(500).optional(),
+});
+
+const scheduleShiftSchema = z
+  .object({
+    staffId: z.string().min(1),
+    scheduledStart: dateTimeSchema,
+    scheduledEnd: dateTimeSchema,
+    notes: z.string().max(500).optional(),
+  })
+  .refine((v) => new Date(v.scheduledEnd) - new Date(v.scheduledStart) <= MAX_SHIFT_HOURS * 3_600_000, {
+    path: ["scheduledEnd"],
+    message: `Shifts can be at most ${MAX_SHIFT_HOURS} hours`,
+  });
+
+// Clock times can be corrected by a manager (e.g. a forgotten clock-out)
+const updateShiftSchema = z
+  .object({
+    scheduledStart: dateTimeSchema.nullable(),
+    scheduledEnd: dateTimeSchema.nullable(),
+    clockInAt: dateTimeSchema.nullable(),
+    clockOutAt: dateTimeSchema.nullable(),
+    notes: z.string().max(500).nullable(),
+  })
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "No fields to update" });
+
+const rangeQuerySchema = z
+  .object({
+    from: dateTimeSchema,
+    to: dateTimeSchema,
+    staffId: z.string().optional(),
+  })
+  .refine((v) => new Date(v.to) > new Date(v.from), { path: ["to"], message: "to must be after from" });
+
+/** Clock-in and breaks are for staff terminal logins, not owner accounts */
+function requireStaffLogin(req, res, next) {
+  if (!req.user?.isStaff || !req.user.staffId) {
+    return res.status(403).json({ message: "Clocking in requires a staff login" });
+  }
+  return next();
+}
+
+export function registerShiftRoutes(app) {
+  app.use(
+    "/api/restaurants/:restaurantId/shifts",
+    requireAuth,
+    requireRestaurantOwnership,
+    requireActiveSubscription,
+    router
+  );
+
+  // === Staff self-service ===
+
+  router.post(
+    "/clock-in",
+    requireStaffLogin,
+    rateLimit({ keyPrefix: "shifts:clock-in", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      const parsed = clockInSchema.safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const shift = await clockIn(req.params.restaurantId, req.user.staffId, parsed.data);
+        res.status(201).json({ shift });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to clock in" });
+      }
+    })
+  );
+
+  router.post(
+    "/clock-out",
+    requireStaffLogin,
+    rateLimit({ keyPrefix: "shifts:clock-out", windowSeconds: 60, max: 20 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const shift = await clockOut(req.params.restaurantId, req.user.staffId);
+        res.json({ shift });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to clock out" });
+      }
+    })
+  );
+
+  router.post(
+    "/breaks/start",
+    requireStaffLogin,
+    rateLimit({ keyPrefix: "shifts:breaks", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const shift = await startBreak(req.params.restaurantId, req.user.staffId);
+        res.json({ shift });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to start break" });
+      }
+    })
+  );
+
+  router.post(
+    "/breaks/end",
+    requireStaffLogin,
+    rateLimit({ keyPrefix: "shifts:breaks", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const shift = await endBreak(req.params.restaurantId, req.user.staffId);
+        res.json({ shift });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to end break" });
+      }
+    })
+  );
+
+  // Current and next shift for the logged-in staff member
+  router.get(
+    "/me",
+    requireStaffLogin,
+    rateLimit({ keyPrefix: "shifts:me", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const shifts = await getMyShifts(req.params.restaurantId, req.user.staffId);
+      res.json(shifts);
+    })
+  );
+
+  // === Managers ===
+
+  // Who is clocked in right now
+  router.get(
+    "/on-floor",
+    requirePermission("shift.manage"),
+    rateLimit({ keyPrefix: "shifts:on-floor", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const staff = await getOnFloor(req.params.restaurantId);
+      res.json({ staff });
+    })
+  );
+
+  // Hours worked, late arrivals and missed shifts per staff member
+  router.get(
+    "/attendance",
+    requirePermission("shift.manage"),
+    rateLimit({ keyPrefix: "shifts:attendance", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const parsed = rangeQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { from, to, staffId } = parsed.data;
+      const report = await getAttendanceReport(req.params.restaurantId, {
+        from: new Date(from),
+        to: new Date(to),
+        staffId,
+      });
+      res.json(report);
+    })
+  );
+
+  // Shift schedule (scheduled and worked shifts in a range)
+  router.get(
+    "/",
+    requirePermission("shift.manage"),
+    rateLimit({ keyPrefix: "shifts:list", windowSeconds: 60, max: 200 }),
+    asyncHandler(async (req, res) => {
+      const parsed = rangeQuerySchema.safeParse(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid query parameters",
+          errors: parsed.error.errors,
+        });
+      }
+
+      const { from, to, staffId } = parsed.data;
+      const shifts = await listShifts(req.params.restaurantId, { from: new Date(from), to: new Date(to), staffId });
+      res.json({ shifts });
+    })
+  );
+
+  router.post(
+    "/",
+    requirePermission("shift.manage"),
+    rateLimit({ keyPrefix: "shifts:schedule", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = scheduleShiftSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid shift",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const shift = await scheduleShift(req.params.restaurantId, parsed.data);
+        res.status(201).json({ shift });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to schedule shift" });
+      }
+    })
+  );
+
+  router.patch(
+    "/:shiftId",
+    requirePermission("shift.manage"),
+    rateLimit({ keyPrefix: "shifts:update", windowSeconds: 60, max: 120 }),
+    asyncHandler(async (req, res) => {
+      const parsed = updateShiftSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid shift",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const shift = await updateShift(req.params.restaurantId, req.params.shiftId, parsed.data);
+        res.json({ shift });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to update shift" });
+      }
+    })
+  );
+
+  router.delete(
+    "/:shiftId",
+    requirePermission("shift.manage"),
+    rateLimit({ keyPrefix: "shifts:delete", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      try {
+        const shift = await deleteShift(req.params.restaurantId, req.params.shiftId);
+        res.json({ shift, deleted: true });
+      } catch (error) {
+        res.status(error.status || 400).json({ message: error.message || "Failed to delete shift" });
+      }
+    })
+  );
+}
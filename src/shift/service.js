@@ -0,0 +1,481 @@
+import { eq, and, asc, gte, lt, gt, lte, isNull, isNotNull, inArray, ne, sql } from "drizzle-orm";
+import { staffShifts, staffShiftBreaks, staff, orders } from "../../shared/schema.js";
+import { db, readDb } from "../dbClient.js";
+import { canAccessOutlet } from "../organization/service.js";
+import { emitStaffShiftUpdated } from "../realtime/events.js";
+import { httpError } from "../httpError.js";
+import { isUniqueViolation } from "../dbErrors.js";
+
+// A clock-in picks up a scheduled shift starting up to this long ahead
+const CLOCK_IN_EARLY_MINUTES = 60;
+
+// Clocking in later than this past the scheduled start counts as late
+const LATE_GRACE_MINUTES = 5;
+
+const MINUTE_MS = 60_000;
+
+/**
+ * Where a shift stands: SCHEDULED (not started), MISSED (scheduled end passed without a clock-in),
+ * ON_SHIFT (clocked in) or COMPLETED (clocked out).
+ */
+export function shiftStatus(shift, now = new Date()) {
+  if (shift.clockOutAt) return "COMPLETED";
+  if (shift.clockInAt) return "ON_SHIFT";
+  if (shift.scheduledEnd && new Date(shift.scheduledEnd) <= now) return "MISSED";
+  return "SCHEDULED";
+}
+
+/**
+ * Minutes scheduled, worked (clock-in to clock-out, less breaks), on break and late for a shift.
+ * Open shifts and breaks run until `now`.
+ * @returns {{scheduledMinutes: number, workedMinutes: number, breakMinutes: number, lateMinutes: number}}
+ */
+export function computeShiftMinutes(shift, breaks = [], now = new Date()) {
+  const msBetween = (from, to) => Math.max(0, new Date(to).getTime() - new Date(from).getTime());
+  const toMinutes = (ms) => Math.round(ms / MINUTE_MS);
+
+  const scheduledMinutes =
+    shift.scheduledStart && shift.scheduledEnd ? toMinutes(msBetween(shift.scheduledStart, shift.scheduledEnd)) : 0;
+  if (!shift.clockInAt) {
+    return { scheduledMinutes, workedMinutes: 0, breakMinutes: 0, lateMinutes: 0 };
+  }
+
+  const end = shift.clockOutAt || now;
+  const breakMs = breaks.reduce((sum, b) => sum + msBetween(b.startedAt, b.endedAt || end), 0);
+  return {
+    scheduledMinutes,
+    workedMinutes: toMinutes(Math.max(0, msBetween(shift.clockInAt, end) - breakMs)),
+    breakMinutes: toMinutes(breakMs),
+    lateMinutes: shift.scheduledStart ? toMinutes(msBetween(shift.scheduledStart, shift.clockInAt)) : 0,
+  };
+}
+
+/**
+ * Per-staff attendance totals from shifts carrying { staffId, fullName, role, breaks, ordersPlaced,
+ * salesAmount }. Hours are worked hours (breaks excluded), for payroll.
+ */
+export function summarizeAttendance(shifts, now = new Date()) {
+  const byStaff = new Map();
+  for (const shift of shifts) {
+    let row = byStaff.get(shift.staffId);
+    if (!row) {
+      row = {
+        staffId: shift.staffId,
+        fullName: shift.fullName,
+        role: shift.role,
+        shifts: 0,
+        missedShifts: 0,
+        lateShifts: 0,
+        scheduledMinutes: 0,
+        workedMinutes: 0,
+        breakMinutes: 0,
+        lateMinutes: 0,
+        ordersPlaced: 0,
+        salesAmount: 0,
+      };
+      byStaff.set(shift.staffId, row);
+    }
+
+    const minutes = computeShiftMinutes(shift, shift.breaks, now);
+    const status = shiftStatus(shift, now);
+    if (status === "MISSED") row.missedShifts += 1;
+    if (status === "ON_SHIFT" || status === "COMPLETED") row.shifts += 1;
+    if (minutes.lateMinutes > LATE_GRACE_MINUTES) row.lateShifts += 1;
+    row.scheduledMinutes += minutes.scheduledMinutes;
+    row.workedMinutes += minutes.workedMinutes;
+    row.breakMinutes += minutes.breakMinutes;
+    row.lateMinutes += minutes.lateMinutes;
+    row.ordersPlaced += shift.ordersPlaced || 0;
+    row.salesAmount += parseFloat(shift.salesAmount || "0");
+  }
+
+  return [...byStaff.values()]
+    .map((row) => ({
+      ...row,
+      hoursWorked: Number((row.workedMinutes / 60).toFixed(2)),
+      salesAmount: row.salesAmount.toFixed(2),
+    }))
+    .sort((a, b) => String(a.fullName).localeCompare(String(b.fullName)));
+}
+
+/** Breaks for the given shifts, grouped by shift id */
+async function loadBreaks(shiftIds, dbToUse = readDb) {
+  const byShift = new Map(shiftIds.map((id) => [id, []]));
+  if (shiftIds.length === 0) return byShift;
+  const rows = await dbToUse
+    .select()
+    .from(staffShiftBreaks)
+    .where(inArray(staffShiftBreaks.shiftId, shiftIds))
+    .orderBy(asc(staffShiftBreaks.startedAt));
+  for (const row of rows) byShift.get(row.shiftId).push(row);
+  return byShift;
+}
+
+/** A shift with its breaks, status and minute totals */
+function toShiftView(shift, breaks = [], now = new Date()) {
+  return {
+    ...shift,
+    breaks,
+    onBreak: breaks.some((b) => !b.endedAt),
+    status: shiftStatus(shift, now),
+    ...computeShiftMinutes(shift, breaks, now),
+  };
+}
+
+async function withBreaks(shift, dbToUse = db) {
+  const breaks = await loadBreaks([shift.id], dbToUse);
+  return toShiftView(shift, breaks.get(shift.id));
+}
+
+/**
+ * The shift a staff member is clocked into at this restaurant, or null.
+ * @param {object} [dbToUse=db] - db or an open transaction
+ */
+export async function getActiveShift(restaurantId, staffId, dbToUse = db) {
+  if (!staffId) return null;
+  const rows = await dbToUse
+    .select()
+    .from(staffShifts)
+    .where(
+      and(
+        eq(staffShifts.restaurantId, restaurantId),
+        eq(staffShifts.staffId, staffId),
+        isNotNull(staffShifts.clockInAt),
+        isNull(staffShifts.clockOutAt)
+      )
+    )
+    .limit(1);
+  return rows[0] || null;
+}
+
+async function requireActiveShift(restaurantId, staffId, dbToUse = db) {
+  const shift = await getActiveShift(restaurantId, staffId, dbToUse);
+  if (!shift) throw httpError("You are not clocked in", 409);
+  return shift;
+}
+
+async function getShiftRow(restaurantId, shiftId, dbToUse = db) {
+  const rows = await dbToUse
+    .select()
+    .from(staffShifts)
+    .where(and(eq(staffShifts.restaurantId, restaurantId), eq(staffShifts.id, shiftId)))
+    .limit(1);
+  if (!rows[0]) throw httpError("Shift not found", 404);
+  return rows[0];
+}
+
+/** Reject a scheduled slot that overlaps another of the staff member's scheduled shifts */
+async function assertNoOverlap(restaurantId, staffId, scheduledStart, scheduledEnd, excludeId = null) {
+  const conditions = [
+    eq(staffShifts.restaurantId, restaurantId),
+    eq(staffShifts.staffId, staffId),
+    isNull(staffShifts.clockOutAt),
+    lt(staffShifts.scheduledStart, scheduledEnd),
+    gt(staffShifts.scheduledEnd, scheduledStart),
+  ];
+  if (excludeId) conditions.push(ne(staffShifts.id, excludeId));
+  const rows = await db.select({ id: staffShifts.id }).from(staffShifts).where(and(...conditions)).limit(1);
+  if (rows[0]) throw httpError("This staff member already has a shift at that time", 409);
+}
+
+/**
+ * Clock in. Picks up the staff member's scheduled shift that is about to start (or `shiftId`),
+ * otherwise starts an unscheduled shift.
+ * @param {string} restaurantId
+ * @param {string} staffId
+ * @param {{shiftId?: string, notes?: string}} [data]
+ */
+export async function clockIn(restaurantId, staffId, data = {}) {
+  if (await getActiveShift(restaurantId, staffId)) {
+    throw httpError("You are already clocked in", 409);
+  }
+
+  const now = new Date();
+  let scheduled = null;
+  if (data.shiftId) {
+    scheduled = await getShiftRow(restaurantId, data.shiftId);
+    if (scheduled.staffId !== staffId) throw httpError("Shift not found", 404);
+    if (scheduled.clockInAt) throw httpError("This shift has already been started", 409);
+  } else {
+    const rows = await db
+      .select()
+      .from(staffShifts)
+      .where(
+        and(
+          eq(staffShifts.restaurantId, restaurantId),
+          eq(staffShifts.staffId, staffId),
+          isNull(staffShifts.clockInAt),
+          lte(staffShifts.scheduledStart, new Date(now.getTime() + CLOCK_IN_EARLY_MINUTES * MINUTE_MS)),
+          gt(staffShifts.scheduledEnd, now)
+        )
+      )
+      .orderBy(asc(staffShifts.scheduledStart))
+      .limit(1);
+    scheduled = rows[0] || null;
+  }
+
+  let shift;
+  try {
+    if (scheduled) {
+      const rows = await db
+        .update(staffShifts)
+        .set({ clockInAt: now, notes: data.notes ?? scheduled.notes, updatedAt: now })
+        .where(and(eq(staffShifts.id, scheduled.id), isNull(staffShifts.clockInAt)))
+        .returning();
+      shift = rows[0];
+      if (!shift) throw httpError("This shift has already been started", 409);
+    } else {
+      const rows = await db
+        .insert(staffShifts)
+        .values({ restaurantId, staffId, clockInAt: now, notes: data.notes || null })
+        .returning();
+      shift = rows[0];
+    }
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError("You are already clocked in", 409);
+    throw error;
+  }
+
+  const view = toShiftView(shift);
+  emitStaffShiftUpdated(restaurantId, view);
+  return view;
+}
+
+/**
+ * Clock out of the active shift, ending any break still running.
+ */
+export async function clockOut(restaurantId, staffId) {
+  const shift = await db.transaction(async (tx) => {
+    const active = await requireActiveShift(restaurantId, staffId, tx);
+    const now = new Date();
+
+    await tx
+      .update(staffShiftBreaks)
+      .set({ endedAt: now })
+      .where(and(eq(staffShiftBreaks.shiftId, active.id), isNull(staffShiftBreaks.endedAt)));
+
+    const rows = await tx
+      .update(staffShifts)
+      .set({ clockOutAt: now, updatedAt: now })
+      .where(and(eq(staffShifts.id, active.id), isNull(staffShifts.clockOutAt)))
+      .returning();
+    return withBreaks(rows[0], tx);
+  });
+
+  emitStaffShiftUpdated(restaurantId, shift);
+  return shift;
+}
+
+export async function startBreak(restaurantId, staffId) {
+  const active = await requireActiveShift(restaurantId, staffId);
+  try {
+    await db.insert(staffShiftBreaks).values({ shiftId: active.id });
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError("You are already on a break", 409);
+    throw error;
+  }
+
+  const shift = await withBreaks(active);
+  emitStaffShiftUpdated(restaurantId, shift);
+  return shift;
+}
+
+export async function endBreak(restaurantId, staffId) {
+  const active = await requireActiveShift(restaurantId, staffId);
+  const rows = await db
+    .update(staffShiftBreaks)
+    .set({ endedAt: new Date() })
+    .where(and(eq(staffShiftBreaks.shiftId, active.id), isNull(staffShiftBreaks.endedAt)))
+    .returning();
+  if (!rows[0]) throw httpError("You are not on a break", 409);
+
+  const shift = await withBreaks(active);
+  emitStaffShiftUpdated(restaurantId, shift);
+  return shift;
+}
+
+/**
+ * The staff member's current shift (if clocked in) and their next scheduled one.
+ */
+export async function getMyShifts(restaurantId, staffId) {
+  const active = await getActiveShift(restaurantId, staffId, readDb);
+  const upcoming = await readDb
+    .select()
+    .from(staffShifts)
+    .where(
+      and(
+        eq(staffShifts.restaurantId, restaurantId),
+        eq(staffShifts.staffId, staffId),
+        isNull(staffShifts.clockInAt),
+        gt(staffShifts.scheduledEnd, new Date())
+      )
+    )
+    .orderBy(asc(staffShifts.scheduledStart))
+    .limit(1);
+
+  return {
+    current: active ? await withBreaks(active, readDb) : null,
+    next: upcoming[0] ? toShiftView(upcoming[0]) : null,
+  };
+}
+
+/**
+ * Schedule a shift for a staff member of this restaurant (or one shared with it).
+ * @param {{staffId: string, scheduledStart: string, scheduledEnd: string, notes?: string}} data
+ */
+export async function scheduleShift(restaurantId, data) {
+  const scheduledStart = new Date(data.scheduledStart);
+  const scheduledEnd = new Date(data.scheduledEnd);
+  if (scheduledEnd <= scheduledStart) throw httpError("Shift must end after it starts");
+
+  if (!(await canAccessOutlet({ id: data.staffId, isStaff: true }, restaurantId))) {
+    throw httpError("Staff member not found", 404);
+  }
+  await assertNoOverlap(restaurantId, data.staffId, scheduledStart, scheduledEnd);
+
+  const rows = await db
+    .insert(staffShifts)
+    .values({ restaurantId, staffId: data.staffId, scheduledStart, scheduledEnd, notes: data.notes || null })
+    .returning();
+  return toShiftView(rows[0]);
+}
+
+/**
+ * Reschedule a shift or correct its clock times (e.g. a missed clock-out).
+ * @param {object} data - { scheduledStart, scheduledEnd, clockInAt, clockOutAt, notes }
+ */
+export async function updateShift(restaurantId, shiftId, data) {
+  const shift = await getShiftRow(restaurantId, shiftId);
+  const merged = { ...shift };
+  for (const key of ["scheduledStart", "scheduledEnd", "clockInAt", "clockOutAt"]) {
+    if (data[key] !== undefined) merged[key] = data[key] === null ? null : new Date(data[key]);
+  }
+  if (data.notes !== undefined) merged.notes = data.notes;
+
+  if (!merged.scheduledStart !== !merged.scheduledEnd) {
+    throw httpError("Provide both a scheduled start and end, or neither");
+  }
+  if (merged.scheduledStart && merged.scheduledEnd <= merged.scheduledStart) {
+    throw httpError("Shift must end after it starts");
+  }
+  if (merged.clockOutAt && (!merged.clockInAt || merged.clockOutAt <= merged.clockInAt)) {
+    throw httpError("Clock-out must be after clock-in");
+  }
+  if (merged.scheduledStart && (data.scheduledStart !== undefined || data.scheduledEnd !== undefined)) {
+    await assertNoOverlap(restaurantId, shift.staffId, merged.scheduledStart, merged.scheduledEnd, shift.id);
+  }
+
+  let rows;
+  try {
+    rows = await db
+      .update(staffShifts)
+      .set({
+        scheduledStart: merged.scheduledStart,
+        scheduledEnd: merged.scheduledEnd,
+        clockInAt: merged.clockInAt,
+        clockOutAt: merged.clockOutAt,
+        notes: merged.notes,
+        updatedAt: new Date(),
+      })
+      .where(eq(staffShifts.id, shift.id))
+      .returning();
+  } catch (error) {
+    if (isUniqueViolation(error)) throw httpError("This staff member is already clocked in on another shift", 409);
+    throw error;
+  }
+
+  const view = await withBreaks(rows[0]);
+  emitStaffShiftUpdated(restaurantId, view);
+  return view;
+}
+
+/**
+ * Remove a scheduled shift. Shifts that were worked stay for attendance.
+ */
+export async function deleteShift(restaurantId, shiftId) {
+  const shift = await getShiftRow(restaurantId, shiftId);
+  if (shift.clockInAt) throw httpError("A shift that was clocked into cannot be deleted", 409);
+  await db.delete(staffShifts).where(eq(staffShifts.id, shift.id));
+  return shift;
+}
+
+/**
+ * Shifts scheduled or worked in [from, to), with staff names, breaks and minute totals.
+ * @param {{from: Date, to: Date, staffId?: string}} range
+ */
+export async function listShifts(restaurantId, { from, to, staffId } = {}) {
+  // Unscheduled shifts only have a clock-in to place them in the range
+  const startedAt = sql`COALESCE(${staffShifts.scheduledStart}, ${staffShifts.clockInAt})`;
+  const conditions = [eq(staffShifts.restaurantId, restaurantId), gte(startedAt, from), lt(startedAt, to)];
+  if (staffId) conditions.push(eq(staffShifts.staffId, staffId));
+
+  const rows = await readDb
+    .select({ shift: staffShifts, fullName: staff.fullName, role: staff.role, staffCode: staff.staffCode })
+    .from(staffShifts)
+    .innerJoin(staff, eq(staff.id, staffShifts.staffId))
+    .where(and(...conditions))
+    .orderBy(asc(startedAt));
+
+  const breaks = await loadBreaks(rows.map((r) => r.shift.id));
+  const now = new Date();
+  return rows.map(({ shift, ...person }) => ({ ...toShiftView(shift, breaks.get(shift.id), now), ...person }));
+}
+
+/**
+ * Who is clocked in right now, and whether they are on a break.
+ */
+export async function getOnFloor(restaurantId) {
+  const rows = await readDb
+    .select({ shift: staffShifts, fullName: staff.fullName, role: staff.role, staffCode: staff.staffCode })
+    .from(staffShifts)
+    .innerJoin(staff, eq(staff.id, staffShifts.staffId))
+    .where(
+      and(eq(staffShifts.restaurantId, restaurantId), isNotNull(staffShifts.clockInAt), isNull(staffShifts.clockOutAt))
+    )
+    .orderBy(asc(staffShifts.clockInAt));
+
+  const breaks = await loadBreaks(rows.map((r) => r.shift.id));
+  const now = new Date();
+  return rows.map(({ shift, ...person }) => ({ ...toShiftView(shift, breaks.get(shift.id), now), ...person }));
+}
+
+/**
+ * Attendance per staff member over [from, to): shifts worked and missed, late arrivals, hours
+ * worked (for payroll) and the orders they placed on those shifts.
+ * @param {{from: Date, to: Date, staffId?: string}} range
+ */
+export async function getAttendanceReport(restaurantId, range) {
+  const shifts = await listShifts(restaurantId, range);
+
+  const shiftIds = shifts.map((s) => s.id);
+  const orderTotals = new Map();
+  if (shiftIds.length > 0) {
+    const rows = await readDb
+      .select({
+        shiftId: orders.shiftId,
+        ordersPlaced: sql`COUNT(*)::int`,
+        salesAmount: sql`COALESCE(SUM(${orders.totalAmount}), 0)`,
+      })
+      .from(orders)
+      .where(
+        and(eq(orders.restaurantId, restaurantId), inArray(orders.shiftId, shiftIds), ne(orders.status, "CANCELLED"))
+      )
+      .groupBy(orders.shiftId);
+    for (const row of rows) orderTotals.set(row.shiftId, row);
+  }
+
+  const detailed = shifts.map((s) => ({
+    ...s,
+    ordersPlaced: orderTotals.get(s.id)?.ordersPlaced || 0,
+    salesAmount: orderTotals.get(s.id)?.salesAmount || "0",
+  }));
+
+  return {
+    from: range.from,
+    to: range.to,
+    staff: summarizeAttendance(detailed).map((row) => ({
+      ...row,
+      shiftDetails: detailed.filter((s) => s.staffId === row.staffId),
+    })),
+  };
+}
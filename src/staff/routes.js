@@ -2,10 +2,13 @@ import express from "express";
 import { z } from "zod";
 import bcrypt from "bcryptjs";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { env } from "../config/env.js";
 import { createStaff, listStaff, updateStaff, deactivateStaff } from "./service.js";
+import { assertKitchenStation } from "../kitchen/service.js";
+import { assertStaffRole } from "../permission/service.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -16,7 +19,11 @@ const staffCreateSchema = z.object({
   phoneNumber: z.string().max(20).optional(),
   email: z.string().email().optional(),
   role: z.enum(["ADMIN", "WAITER", "KITCHEN"]),
+  // Custom role (see /roles); its permissions replace the base role's defaults
+  roleId: z.string().uuid().nullable().optional(),
   passcode: z.string().min(4).max(50).optional(),
+  // KITCHEN staff only: the KDS station they work (omit to see every station)
+  kitchenStationId: z.string().uuid().nullable().optional(),
 })
   .refine((val) => !!(val.fullName ?? val.displayName), {
     path: ["fullName"],
@@ -30,7 +37,9 @@ const staffCreateSchema = z.object({
       phoneNumber: val.phoneNumber,
       email: val.email,
       role: val.role,
+      roleId: val.roleId,
       passcode: val.passcode,
+      kitchenStationId: val.kitchenStationId,
     };
   });
 
@@ -41,7 +50,9 @@ const staffUpdateSchema = z
     phoneNumber: z.string().max(20).optional(),
     email: z.string().email().optional(),
     role: z.enum(["ADMIN", "WAITER", "KITCHEN"]).optional(),
+    roleId: z.string().uuid().nullable().optional(),
     passcode: z.string().min(4).max(50).optional(),
+    kitchenStationId: z.string().uuid().nullable().optional(),
     isActive: z.boolean().optional(),
   })
   .refine(
@@ -64,7 +75,7 @@ export function registerStaffRoutes(app) {
     requireAuth,
     requireRestaurantOwnership, // H1: Tenant isolation — prevent cross-restaurant staff access
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin"),
+    requirePermission("staff.manage"),
     router,
   );
 
@@ -85,7 +96,9 @@ export function registerStaffRoutes(app) {
       if (!parsed.success) {
         return res.status(400).json({ message: "Invalid input", errors: parsed.error.errors });
       }
-      const { fullName, phoneNumber, email, role, passcode } = parsed.data;
+      const { fullName, phoneNumber, email, role, roleId, passcode, kitchenStationId } = parsed.data;
+      if (kitchenStationId) await assertKitchenStation(restaurantId, kitchenStationId);
+      if (roleId) await assertStaffRole(restaurantId, roleId);
       // SEC-2 FIX: Generate a random 6-digit passcode instead of a default "1234"
       const finalPasscode = passcode || String(Math.floor(100000 + Math.random() * 900000));
       const passcodeHash = await bcrypt.hash(finalPasscode, env.bcryptRounds);
@@ -94,7 +107,9 @@ export function registerStaffRoutes(app) {
         phoneNumber,
         email,
         role,
+        roleId,
         passcodeHash,
+        kitchenStationId,
       });
       res.status(201).json({ staff });
     }),
@@ -109,6 +124,8 @@ export function registerStaffRoutes(app) {
         return res.status(400).json({ message: "Invalid input", errors: parsed.error.errors });
       }
       const data = { ...parsed.data };
+      if (data.kitchenStationId) await assertKitchenStation(restaurantId, data.kitchenStationId);
+      if (data.roleId) await assertStaffRole(restaurantId, data.roleId);
       if (data.passcode) {
         data.passcodeHash = await bcrypt.hash(data.passcode, env.bcryptRounds);
         delete data.passcode;
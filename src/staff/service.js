@@ -1,8 +1,9 @@
 import { pool as writePool, readPool as pool } from "../dbClient.js";
+import { invalidateStaffPermissions } from "../permission/service.js";
 
 export async function listStaff(restaurantId) {
   const result = await pool.query(
-    `SELECT id, staff_code AS "staffCode", full_name AS "fullName", phone_number AS "phoneNumber", email, role, is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"
+    `SELECT id, staff_code AS "staffCode", full_name AS "fullName", phone_number AS "phoneNumber", email, role, role_id AS "roleId", kitchen_station_id AS "kitchenStationId", is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"
      FROM staff
      WHERE restaurant_id = $1
      ORDER BY created_at DESC`,
@@ -38,7 +39,7 @@ async function generateNextStaffCode(restaurantId, role) {
 }
 
 export async function createStaff(restaurantId, data) {
-  const { fullName, phoneNumber, email, role, passcodeHash } = data;
+  const { fullName, phoneNumber, email, role, roleId, passcodeHash, kitchenStationId } = data;
 
   // Generate a human-friendly staff code (unique per restaurant).
   // Retry on conflict.
@@ -48,11 +49,11 @@ export async function createStaff(restaurantId, data) {
     try {
       const result = await writePool.query(
         `INSERT INTO staff
-          (restaurant_id, staff_code, full_name, phone_number, email, role, passcode_hash, is_active)
+          (restaurant_id, staff_code, full_name, phone_number, email, role, role_id, passcode_hash, kitchen_station_id, is_active)
          VALUES
-          ($1,            $2,         $3,        $4,           $5,   $6,   $7,            true)
-         RETURNING id, staff_code AS "staffCode", full_name AS "fullName", phone_number AS "phoneNumber", email, role, is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"`,
-        [restaurantId, staffCode, fullName, phoneNumber || null, email || null, role, passcodeHash],
+          ($1,            $2,         $3,        $4,           $5,   $6,   $7,      $8,            $9,                 true)
+         RETURNING id, staff_code AS "staffCode", full_name AS "fullName", phone_number AS "phoneNumber", email, role, role_id AS "roleId", kitchen_station_id AS "kitchenStationId", is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"`,
+        [restaurantId, staffCode, fullName, phoneNumber || null, email || null, role, roleId || null, passcodeHash, kitchenStationId || null],
       );
       return result.rows[0];
     } catch (e) {
@@ -75,7 +76,9 @@ export async function updateStaff(restaurantId, staffId, data) {
     phoneNumber: "phone_number",
     email: "email",
     role: "role",
+    roleId: "role_id",
     passcodeHash: "passcode_hash",
+    kitchenStationId: "kitchen_station_id",
     isActive: "is_active",
   };
 
@@ -98,9 +101,10 @@ export async function updateStaff(restaurantId, staffId, data) {
     `UPDATE staff
      SET ${fields.join(", ")}, updated_at = now()
      WHERE restaurant_id = $${idx} AND id = $${idx + 1}
-     RETURNING id, staff_code AS "staffCode", full_name AS "fullName", phone_number AS "phoneNumber", email, role, is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"`,
+     RETURNING id, staff_code AS "staffCode", full_name AS "fullName", phone_number AS "phoneNumber", email, role, role_id AS "roleId", kitchen_station_id AS "kitchenStationId", is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"`,
     values,
   );
+  if (result.rows[0]) await invalidateStaffPermissions([staffId]);
   return result.rows[0] || null;
 }
 
@@ -112,6 +116,6 @@ export async function deactivateStaff(restaurantId, staffId) {
      RETURNING id, staff_code AS "staffCode", full_name AS "fullName", is_active AS "isActive", created_at AS "createdAt", updated_at AS "updatedAt"`,
     [restaurantId, staffId],
   );
+  if (result.rows[0]) await invalidateStaffPermissions([staffId]);
   return result.rows[0] || null;
 }
-
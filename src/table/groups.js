@@ -0,0 +1,73 @@
+/**
+ * Merged table groups — shared by the order, transaction and table services.
+ *
+ * Merging points the other tables at a primary table (tables.merged_into_table_id). The group's
+ * orders live on the primary, so it bills as one; every table in the group shares its status.
+ * Kept free of service imports so the order and transaction services can both use it.
+ */
+import { eq, and, or } from "drizzle-orm";
+import { tables } from "../../shared/schema.js";
+
+/**
+ * The table a new or moved order should be placed on: the group's primary for a merged table.
+ * @param {object} dbToUse - db or an open transaction
+ * @param {string} restaurantId
+ * @param {string} tableId
+ * @returns {Promise<string>}
+ */
+export async function resolveBillingTableId(dbToUse, restaurantId, tableId) {
+  const rows = await dbToUse
+    .select({ mergedIntoTableId: tables.mergedIntoTableId })
+    .from(tables)
+    .where(and(eq(tables.id, tableId), eq(tables.restaurantId, restaurantId)))
+    .limit(1);
+  return rows[0]?.mergedIntoTableId || tableId;
+}
+
+function groupCondition(restaurantId, primaryTableId) {
+  return and(
+    eq(tables.restaurantId, restaurantId),
+    or(eq(tables.id, primaryTableId), eq(tables.mergedIntoTableId, primaryTableId))
+  );
+}
+
+/**
+ * Set the status of a table and every table merged into it.
+ * @param {object} dbToUse - db or an open transaction
+ * @param {string} restaurantId
+ * @param {string} primaryTableId
+ * @param {string} status
+ * @param {object} [extra] - Other columns to set on every table in the group (e.g. assignedWaiterId)
+ * @returns {Promise<Array>} Updated table rows
+ */
+export async function setTableGroupStatus(dbToUse, restaurantId, primaryTableId, status, extra = {}) {
+  return dbToUse
+    .update(tables)
+    .set({ ...extra, currentStatus: status, updatedAt: new Date() })
+    .where(groupCondition(restaurantId, primaryTableId))
+    .returning();
+}
+
+/**
+ * Free a table once its guests have left. A merged group is freed as a whole and dissolved,
+ * since the party it was formed for is gone.
+ * @param {object} dbToUse - db or an open transaction
+ * @param {string} restaurantId
+ * @param {string} tableId - The order's table (the group primary for merged tables)
+ * @param {object} [options]
+ * @param {boolean} [options.clearWaiter=false] - Also clear the assigned waiter
+ * @returns {Promise<Array>} Updated table rows
+ */
+export async function freeTableGroup(dbToUse, restaurantId, tableId, { clearWaiter = false } = {}) {
+  const primaryTableId = await resolveBillingTableId(dbToUse, restaurantId, tableId);
+  return dbToUse
+    .update(tables)
+    .set({
+      currentStatus: "AVAILABLE",
+      mergedIntoTableId: null,
+      ...(clearWaiter && { assignedWaiterId: null }),
+      updatedAt: new Date(),
+    })
+    .where(groupCondition(restaurantId, primaryTableId))
+    .returning();
+}
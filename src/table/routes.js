@@ -1,7 +1,8 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import {
@@ -11,6 +12,8 @@ import {
   updateTable,
   deleteTable,
   updateTableStatus,
+  mergeTables,
+  splitTables,
 } from "./service.js";
 
 const router = express.Router({ mergeParams: true });
@@ -33,6 +36,15 @@ const tableStatusSchema = z.object({
   status: z.enum(["AVAILABLE", "OCCUPIED", "RESERVED", "BLOCKED"]),
 });
 
+const mergeTablesSchema = z.object({
+  tableIds: z.array(z.string().uuid()).min(1).max(20),
+});
+
+// Omit tableIds to split the whole group
+const splitTablesSchema = z.object({
+  tableIds: z.array(z.string().uuid()).min(1).max(20).optional(),
+});
+
 import { assignWaiterToTable } from "./service.js";
 
 export function registerTableRoutes(app) {
@@ -43,7 +55,7 @@ export function registerTableRoutes(app) {
     requireAuth,
     requireRestaurantOwnership,  // H1: Tenant isolation — prevent cross-restaurant table access
     requireActiveSubscription,
-    requireRole("owner", "platform_admin", "admin", "WAITER", "KITCHEN"),
+    requirePermission("table.view", "table.manage"),
     router
   );
 
@@ -75,7 +87,7 @@ export function registerTableRoutes(app) {
   // Create new table (owners/admins only)
   router.post(
     "/",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "tables:create", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -94,7 +106,7 @@ export function registerTableRoutes(app) {
   // Update table (owners/admins only)
   router.put(
     "/:tableId",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "tables:update", windowSeconds: 60, max: 120 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, tableId } = req.params;
@@ -116,7 +128,7 @@ export function registerTableRoutes(app) {
   // Delete table (soft delete, owners/admins only)
   router.delete(
     "/:tableId",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "tables:delete", windowSeconds: 60, max: 60 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, tableId } = req.params;
@@ -163,7 +175,7 @@ export function registerTableRoutes(app) {
   // Assign waiter to table (admin can manually assign)
   router.patch(
     "/:tableId/assign-waiter",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("table.manage"),
     rateLimit({ keyPrefix: "tables:assign", windowSeconds: 60, max: 300 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, tableId } = req.params;
@@ -182,4 +194,54 @@ export function registerTableRoutes(app) {
       res.json({ table });
     })
   );
+
+  // Merge tables into one billing group on :tableId (large parties)
+  router.post(
+    "/:tableId/merge",
+    requirePermission("table.merge"),
+    rateLimit({ keyPrefix: "tables:merge", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, tableId } = req.params;
+      const parsed = mergeTablesSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid input",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const group = await mergeTables(restaurantId, tableId, parsed.data.tableIds);
+        res.json({ tables: group, message: "Tables merged" });
+      } catch (error) {
+        console.error("Merge tables error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to merge tables" });
+      }
+    })
+  );
+
+  // Split a merged group back into separate tables
+  router.post(
+    "/:tableId/split",
+    requirePermission("table.merge"),
+    rateLimit({ keyPrefix: "tables:split", windowSeconds: 60, max: 60 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, tableId } = req.params;
+      const parsed = splitTablesSchema.safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid input",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const detached = await splitTables(restaurantId, tableId, parsed.data.tableIds);
+        res.json({ tables: detached, message: "Tables split" });
+      } catch (error) {
+        console.error("Split tables error:", error);
+        res.status(error.status || 400).json({ message: error.message || "Failed to split tables" });
+      }
+    })
+  );
 }
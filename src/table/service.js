@@ -1,12 +1,17 @@
-import { eq, and, inArray } from "drizzle-orm";
+import { eq, and, inArray, asc } from "drizzle-orm";
 import { tables, staff } from "../../shared/schema.js";
 import { db } from "../dbClient.js";
+import { getOrder, moveOrdersToPrimaryTable } from "../order/service.js";
+import { resolveBillingTableId, setTableGroupStatus, freeTableGroup } from "./groups.js";
 import {
   emitTableCreated,
   emitTableDeleted,
   emitTableStatusChanged,
   emitTableUpdated,
+  emitOrderUpdated,
+  emitOrderStatusChanged,
 } from "../realtime/events.js";
+import { httpError } from "../httpError.js";
 
 /**
  * List all tables for a restaurant
@@ -160,18 +165,20 @@ export async function updateTableStatus(restaurantId, tableId, status, staffId =
     updateData.assignedWaiterId = null;
   }
   
-  const rows = await db
-    .update(tables)
-    .set(updateData)
-    .where(
-      and(
-        eq(tables.restaurantId, restaurantId),
-        eq(tables.id, tableId)
-      )
-    )
-    .returning();
-  const table = rows[0];
+  // Merged tables share one status, so the change applies to the whole group;
+  // freeing a group also dissolves it
+  const primaryTableId = await resolveBillingTableId(db, restaurantId, tableId);
+  const { currentStatus, ...extra } = updateData;
+  const rows =
+    status === "AVAILABLE"
+      ? await freeTableGroup(db, restaurantId, primaryTableId, { clearWaiter: true })
+      : await setTableGroupStatus(db, restaurantId, primaryTableId, currentStatus, extra);
+  const table = rows.find((t) => t.id === tableId);
   if (!table) return null;
+
+  for (const other of rows) {
+    if (other.id !== tableId) emitTableStatusChanged(restaurantId, other);
+  }
   
   // Enrich with assigned waiter info
   if (table.assignedWaiterId) {
@@ -293,3 +300,105 @@ export async function createTablesBulk(restaurantId, tablesData) {
     .returning();
   return rows;
 }
+
+/**
+ * Merge tables pushed together for a large party into one billing group on the primary table.
+ * Open orders on the merged-in tables move to the primary (folded into its bill where possible),
+ * and every table in the group takes the same status.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} primaryTableId - Table the group bills on
+ * @param {string[]} tableIds - Tables to merge into it
+ * @returns {Promise<Array>} The group's tables, primary first
+ */
+export async function mergeTables(restaurantId, primaryTableId, tableIds) {
+  const memberIds = [...new Set(tableIds)].filter((id) => id !== primaryTableId);
+  if (memberIds.length === 0) throw httpError("Pick at least one other table to merge");
+
+  const { group, movedOrderIds, closedOrderIds } = await db.transaction(async (tx) => {
+    // Lock in id order so concurrent merges can't deadlock
+    const allIds = [primaryTableId, ...memberIds];
+    const locked = await tx
+      .select()
+      .from(tables)
+      .where(and(eq(tables.restaurantId, restaurantId), inArray(tables.id, allIds)))
+      .orderBy(asc(tables.id))
+      .for("update");
+    const byId = new Map(locked.filter((t) => t.isActive).map((t) => [t.id, t]));
+    if (allIds.some((id) => !byId.has(id))) throw httpError("Table not found", 404);
+
+    const primary = byId.get(primaryTableId);
+    if (primary.mergedIntoTableId) {
+      throw httpError(`Table ${primary.tableNumber} is already merged into another table`, 409);
+    }
+    for (const table of byId.values()) {
+      if (table.currentStatus === "BLOCKED") throw httpError(`Table ${table.tableNumber} is blocked`, 409);
+    }
+
+    const members = memberIds.map((id) => byId.get(id));
+    for (const table of members) {
+      if (table.mergedIntoTableId && table.mergedIntoTableId !== primaryTableId) {
+        throw httpError(`Table ${table.tableNumber} is already merged into another table`, 409);
+      }
+    }
+    const memberGroups = await tx
+      .select({ id: tables.id })
+      .from(tables)
+      .where(and(eq(tables.restaurantId, restaurantId), inArray(tables.mergedIntoTableId, memberIds)))
+      .limit(1);
+    if (memberGroups.length > 0) {
+      throw httpError("One of these tables already has tables merged into it; split it first", 409);
+    }
+
+    const moved = await moveOrdersToPrimaryTable(tx, restaurantId, primaryTableId, memberIds);
+
+    await tx
+      .update(tables)
+      .set({ mergedIntoTableId: primaryTableId, updatedAt: new Date() })
+      .where(and(eq(tables.restaurantId, restaurantId), inArray(tables.id, memberIds)));
+
+    const seated =
+      moved.movedOrderIds.length > 0 || [...byId.values()].some((t) => t.currentStatus === "OCCUPIED");
+    const group = await setTableGroupStatus(
+      tx,
+      restaurantId,
+      primaryTableId,
+      seated ? "OCCUPIED" : primary.currentStatus
+    );
+    return { group, ...moved };
+  });
+
+  for (const table of group) emitTableStatusChanged(restaurantId, table);
+  for (const orderId of closedOrderIds) {
+    const closed = await getOrder(restaurantId, orderId);
+    if (closed) emitOrderStatusChanged(restaurantId, closed);
+  }
+  for (const orderId of movedOrderIds) {
+    const order = await getOrder(restaurantId, orderId);
+    if (order) emitOrderUpdated(restaurantId, order);
+  }
+
+  return group.sort((a, b) => (a.id === primaryTableId ? -1 : b.id === primaryTableId ? 1 : 0));
+}
+
+/**
+ * Split a merged group back up. The detached tables become AVAILABLE; the primary keeps its
+ * status and the group's orders.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} primaryTableId - The group's primary table
+ * @param {string[]} [tableIds] - Tables to detach (default: all of them)
+ * @returns {Promise<Array>} The detached tables
+ */
+export async function splitTables(restaurantId, primaryTableId, tableIds) {
+  const conditions = [eq(tables.restaurantId, restaurantId), eq(tables.mergedIntoTableId, primaryTableId)];
+  if (tableIds?.length) conditions.push(inArray(tables.id, tableIds));
+
+  const detached = await db
+    .update(tables)
+    .set({ mergedIntoTableId: null, currentStatus: "AVAILABLE", assignedWaiterId: null, updatedAt: new Date() })
+    .where(and(...conditions))
+    .returning();
+  if (detached.length === 0) throw httpError("No merged tables to split", 404);
+
+  for (const table of detached) emitTableStatusChanged(restaurantId, table);
+  return detached;
+}
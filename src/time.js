@@ -0,0 +1,29 @@
+// Local wall-clock helpers shared by menu schedules, promotions and opening hours. Times of day
+// are "HH:MM" strings and weekdays are 0 (Sunday) to 6.
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** "HH:MM" to minutes since midnight */
+export function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm).split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * The weekday and minutes since midnight at `at` on the clock in `timeZone`.
+ * @returns {{weekday: number, minutes: number}}
+ */
+export function localClock(at, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(at);
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    weekday: WEEKDAYS.indexOf(part("weekday")),
+    minutes: Number(part("hour")) * 60 + Number(part("minute")),
+  };
+}
@@ -1,7 +1,8 @@
 import express from "express";
 import { z } from "zod";
 import { asyncHandler } from "../middleware/asyncHandler.js";
-import { requireAuth, requireRole, requireRestaurantOwnership } from "../middleware/auth.js";
+import { requireAuth, requireRestaurantOwnership, actorFromRequest } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
 import { requireActiveSubscription } from "../middleware/subscriptionBlocked.js";
 import { rateLimit } from "../middleware/rateLimit.js";
 import {
@@ -10,6 +11,7 @@ import {
   getTransaction,
   streamTransactionsCSV,
   getRecentTransactionsSummary,
+  reverseTransaction,
 } from "./service.js";
 
 const router = express.Router({ mergeParams: true });
@@ -17,7 +19,7 @@ const router = express.Router({ mergeParams: true });
 const createTransactionSchema = z.object({
   orderId: z.string().uuid(),
   billNumber: z.string().min(1).max(50),
-  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER"]),
+  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER", "LOYALTY"]),
   paymentReference: z.string().max(100).optional(),
   combinedSubtotal: z.number().optional(),
   combinedGst: z.number().optional(),
@@ -28,7 +30,7 @@ const createTransactionSchema = z.object({
 const listTransactionsQuerySchema = z.object({
   fromDate: z.string().optional(),
   toDate: z.string().optional(),
-  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER"]).optional(),
+  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER", "LOYALTY"]).optional(),
   orderType: z.enum(["DINE_IN", "TAKEAWAY", "DELIVERY"]).optional(),
   search: z.string().optional(),
   limit: z.coerce.number().int().positive().max(100).optional().default(50),
@@ -38,10 +40,22 @@ const listTransactionsQuerySchema = z.object({
 const exportCSVQuerySchema = z.object({
   fromDate: z.string().optional(),
   toDate: z.string().optional(),
-  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER"]).optional(),
+  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER", "LOYALTY"]).optional(),
   orderType: z.enum(["DINE_IN", "TAKEAWAY", "DELIVERY"]).optional(),
 });
 
+const refundSchema = z.object({
+  // Omit to refund everything still refundable on the payment
+  amount: z.number().positive().optional(),
+  // Defaults to the original payment's method
+  paymentMethod: z.enum(["CASH", "UPI", "CARD", "WALLET", "OTHER"]).optional(),
+  reason: z.string().min(3, "Refund reason must be at least 3 characters").max(500),
+});
+
+const voidSchema = z.object({
+  reason: z.string().min(3, "Void reason must be at least 3 characters").max(500),
+});
+
 export function registerTransactionRoutes(app) {
   app.use(
     "/api/restaurants/:restaurantId/transactions",
@@ -54,7 +68,7 @@ export function registerTransactionRoutes(app) {
   // Create transaction (when order is paid)
   router.post(
     "/",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("payment.take"),
     rateLimit({ keyPrefix: "transactions:create", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -68,7 +82,13 @@ export function registerTransactionRoutes(app) {
       }
 
       try {
-        const transaction = await createTransaction(restaurantId, parsed.data.orderId, parsed.data);
+        const transaction = await createTransaction(
+          restaurantId,
+          parsed.data.orderId,
+          parsed.data,
+          undefined,
+          actorFromRequest(req)
+        );
         res.status(201).json({ transaction });
       } catch (error) {
         console.error("Transaction creation error:", error);
@@ -82,7 +102,7 @@ export function registerTransactionRoutes(app) {
   // List transactions with pagination and search
   router.get(
     "/",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("payment.view"),
     rateLimit({ keyPrefix: "transactions:list", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -103,7 +123,7 @@ export function registerTransactionRoutes(app) {
   // Export transactions as CSV
   router.get(
     "/export/csv",
-    requireRole("owner", "admin", "platform_admin"),
+    requirePermission("reports.view"),
     rateLimit({ keyPrefix: "transactions:export", windowSeconds: 60, max: 10 }),
     asyncHandler(async (req, res) => {
       const { restaurantId } = req.params;
@@ -129,7 +149,7 @@ export function registerTransactionRoutes(app) {
 
   router.get(
       "/recent",
-      requireRole("owner", "admin", "platform_admin", "WAITER"),
+      requirePermission("payment.view"),
       rateLimit({ keyPrefix: "transactions:recent", windowSeconds: 60, max: 200 }),
       asyncHandler(async (req, res) => {
         const { restaurantId } = req.params;
@@ -140,10 +160,76 @@ export function registerTransactionRoutes(app) {
       })
     );
 
+  // Refund part or all of a payment (managers only)
+  router.post(
+    "/:transactionId/refund",
+    requirePermission("payment.refund"),
+    rateLimit({ keyPrefix: "transactions:refund", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, transactionId } = req.params;
+      const parsed = refundSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid refund data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await reverseTransaction(
+          restaurantId,
+          transactionId,
+          { ...parsed.data, entryType: "REFUND" },
+          actorFromRequest(req)
+        );
+        res.status(201).json(result);
+      } catch (error) {
+        console.error("Refund error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to refund transaction",
+        });
+      }
+    })
+  );
+
+  // Void a payment taken in error; the order owes the amount again (managers only)
+  router.post(
+    "/:transactionId/void",
+    requirePermission("payment.refund"),
+    rateLimit({ keyPrefix: "transactions:void", windowSeconds: 60, max: 30 }),
+    asyncHandler(async (req, res) => {
+      const { restaurantId, transactionId } = req.params;
+      const parsed = voidSchema.safeParse(req.body);
+
+      if (!parsed.success) {
+        return res.status(400).json({
+          message: "Invalid void data",
+          errors: parsed.error.errors,
+        });
+      }
+
+      try {
+        const result = await reverseTransaction(
+          restaurantId,
+          transactionId,
+          { ...parsed.data, entryType: "VOID" },
+          actorFromRequest(req)
+        );
+        res.status(201).json(result);
+      } catch (error) {
+        console.error("Void error:", error);
+        res.status(error.status || 400).json({
+          message: error.message || "Failed to void transaction",
+        });
+      }
+    })
+  );
+
   // Get specific transaction
   router.get(
     "/:transactionId",
-    requireRole("owner", "admin", "platform_admin", "WAITER"),
+    requirePermission("payment.view"),
     rateLimit({ keyPrefix: "transactions:get", windowSeconds: 60, max: 200 }),
     asyncHandler(async (req, res) => {
       const { restaurantId, transactionId } = req.params;
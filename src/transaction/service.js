@@ -1,17 +1,29 @@
-import { eq, and, desc, sql, gte, lte, or, ilike } from "drizzle-orm";
-import { transactions, orders, orderItems, tables, staff, restaurants } from "../../shared/schema.js";
+import { eq, and, asc, desc, sql, gte, lte, or, ilike, isNotNull, notInArray } from "drizzle-orm";
+import { transactions, orders, orderItems, orderDiscounts, tables, staff, restaurants } from "../../shared/schema.js";
 import { db } from "../dbClient.js";
-import { emitTableStatusChanged } from "../realtime/events.js";
+import { emitTableStatusChanged, emitOrderUpdated } from "../realtime/events.js";
+import { freeTableGroup } from "../table/groups.js";
+import { recordOrderAudit, orderAuditSnapshot } from "../order/audit.js";
+import { findOpenDrawerSessionId } from "../cash/service.js";
+import { earnPointsForPayment, redeemPoints, reverseLoyaltyEntries } from "../loyalty/service.js";
+import { httpError } from "../httpError.js";
+import { toCents, fromCents } from "../money.js";
 
 /**
  * Create a transaction when an order is paid
  * @param {string} restaurantId - Restaurant ID
  * @param {string} orderId - Order ID
- * @param {object} data - Transaction data
+ * @param {object} data - Transaction data (split payments also pass splitMethod, payerLabel, splitDetails, combinedDiscount, combinedDeliveryFee, freeTable)
  * @param {object} [dbToUse=db] - Optional database connection/transaction object
  * @returns {Promise<object>} Created transaction
  */
-export async function createTransaction(restaurantId, orderId, data, dbToUse = db) {
+export async function createTransaction(restaurantId, orderId, data, dbToUse = db, actor = null) {
+  // Own transaction (a savepoint when the caller already has one) so a refused loyalty
+  // redemption leaves nothing behind
+  return await dbToUse.transaction((tx) => insertTransaction(restaurantId, orderId, data, tx, actor));
+}
+
+async function insertTransaction(restaurantId, orderId, data, dbToUse, actor) {
   const {
     billNumber,
     paymentMethod,
@@ -20,6 +32,12 @@ export async function createTransaction(restaurantId, orderId, data, dbToUse = d
     combinedGst,
     combinedService,
     combinedTotal,
+    combinedDiscount,
+    combinedDeliveryFee,
+    splitMethod,
+    payerLabel,
+    splitDetails,
+    freeTable = true,
   } = data;
 
   const orderRows = await dbToUse
@@ -51,6 +69,9 @@ export async function createTransaction(restaurantId, orderId, data, dbToUse = d
     .limit(1);
   const restaurant = restaurantRows[0];
 
+  const cashDrawerSessionId =
+    paymentMethod === "CASH" ? await findOpenDrawerSessionId(restaurantId, actor, dbToUse) : null;
+
   const transactionRows = await dbToUse
     .insert(transactions)
     .values({
@@ -60,7 +81,8 @@ export async function createTransaction(restaurantId, orderId, data, dbToUse = d
       subtotal: subtotal.toString(),
       gstAmount: gst.toString(),
       serviceTaxAmount: service.toString(),
-      discountAmount: order.discountAmount || "0",
+      discountAmount: combinedDiscount !== undefined ? combinedDiscount.toString() : order.discountAmount || "0",
+      deliveryFee: combinedDeliveryFee !== undefined ? combinedDeliveryFee.toString() : order.deliveryFee || "0",
       grandTotal: total.toString(),
 
       // Rate snapshots
@@ -69,12 +91,25 @@ export async function createTransaction(restaurantId, orderId, data, dbToUse = d
 
       paymentMethod,
       paymentReference: paymentReference || null,
+
+      splitMethod: splitMethod || null,
+      payerLabel: payerLabel || null,
+      splitDetails: splitDetails || null,
+      cashDrawerSessionId,
     })
     .returning();
 
   const transaction = transactionRows[0];
 
-  if (order.tableId && order.orderType === "DINE_IN") {
+  // Paying with points spends them; any other payment earns them
+  if (paymentMethod === "LOYALTY") {
+    await redeemPoints(dbToUse, order, { amount: transaction.grandTotal, transactionId: transaction.id }, actor);
+  } else {
+    await earnPointsForPayment(order, transaction, dbToUse);
+  }
+
+  // Split payments only release the table once the last share is paid
+  if (freeTable && order.tableId && order.orderType === "DINE_IN") {
     const activeOrdersForTable = await dbToUse
       .select()
       .from(orders)
@@ -89,23 +124,9 @@ export async function createTransaction(restaurantId, orderId, data, dbToUse = d
       .limit(1);
 
     if (activeOrdersForTable.length === 0) {
-      const tableRows = await dbToUse
-        .update(tables)
-        .set({
-          currentStatus: "AVAILABLE",
-          updatedAt: new Date(),
-        })
-        .where(
-          and(
-            eq(tables.restaurantId, restaurantId),
-            eq(tables.id, order.tableId)
-          )
-        )
-        .returning();
-      
-      if (tableRows[0]) {
-        emitTableStatusChanged(restaurantId, tableRows[0]);
-      }
+      // Frees (and dissolves) the whole group when the order was billed on merged tables
+      const tableRows = await freeTableGroup(dbToUse, restaurantId, order.tableId);
+      for (const table of tableRows) emitTableStatusChanged(restaurantId, table);
     }
   }
 
@@ -164,9 +185,16 @@ export async function listTransactions(restaurantId, filters = {}) {
       subtotal: transactions.subtotal,
       gstAmount: transactions.gstAmount,
       serviceTaxAmount: transactions.serviceTaxAmount,
+      deliveryFee: transactions.deliveryFee,
       discountAmount: transactions.discountAmount,
       taxRateGst: transactions.taxRateGst,
       taxRateService: transactions.taxRateService,
+      splitMethod: transactions.splitMethod,
+      payerLabel: transactions.payerLabel,
+      entryType: transactions.entryType,
+      originalTransactionId: transactions.originalTransactionId,
+      reason: transactions.reason,
+      voidedAt: transactions.voidedAt,
       
       // Order info
       orderId: orders.id,
@@ -240,9 +268,16 @@ export async function listTransactions(restaurantId, filters = {}) {
     subtotal: row.subtotal,
     gstAmount: row.gstAmount,
     serviceTaxAmount: row.serviceTaxAmount,
+    deliveryFee: row.deliveryFee,
     discountAmount: row.discountAmount,
     taxRateGst: row.taxRateGst,
     taxRateService: row.taxRateService,
+    splitMethod: row.splitMethod,
+    payerLabel: row.payerLabel,
+    entryType: row.entryType,
+    originalTransactionId: row.originalTransactionId,
+    reason: row.reason,
+    voidedAt: row.voidedAt,
     order: row.orderId ? {
       id: row.orderId,
       orderType: row.orderType,
@@ -310,6 +345,9 @@ export async function streamTransactionsCSV(restaurantId, filters, res) {
     'Round Off',
     'Grand Total',
     'Cashier',
+    'Entry Type',
+    'Against Bill',
+    'Reason',
   ];
 
   // Write header to response stream
@@ -348,6 +386,10 @@ export async function streamTransactionsCSV(restaurantId, filters, res) {
         tableNumber: tables.tableNumber,
         guestName: orders.guestName,
         staffName: sql`${staff.fullName}`,
+        entryType: transactions.entryType,
+        voidedAt: transactions.voidedAt,
+        reason: transactions.reason,
+        originalBillNumber: sql`(SELECT ot.bill_number FROM transactions ot WHERE ot.id = ${transactions.originalTransactionId})`,
       })
       .from(transactions)
       .leftJoin(orders, eq(transactions.orderId, orders.id))
@@ -403,7 +445,8 @@ export async function streamTransactionsCSV(restaurantId, filters, res) {
 
       const sub = parseFloat(row.subtotal || "0");
       const srv = parseFloat(row.serviceTaxAmount || "0");
-      const disc = Math.abs(parseFloat(row.discountAmount || "0"));
+      // Refund/void rows are negative throughout, so the discount carries the same sign as the row
+      const disc = Math.abs(parseFloat(row.discountAmount || "0")) * (row.entryType === "PAYMENT" ? 1 : -1);
       const gt = parseFloat(row.grandTotal || "0");
       
       const expectedTotal = sub + gstAmt + srv - disc;
@@ -422,6 +465,9 @@ export async function streamTransactionsCSV(restaurantId, filters, res) {
         Math.abs(roundOff) > 0.01 ? roundOff.toFixed(2) : "0.00",
         gt.toFixed(2),
         row.staffName || 'System',
+        row.voidedAt ? 'PAYMENT (VOIDED)' : row.entryType,
+        row.originalBillNumber || '',
+        row.reason || '',
       ];
     });
 
@@ -441,7 +487,7 @@ export async function streamTransactionsCSV(restaurantId, filters, res) {
   if (totalFetched >= MAX_CSV_ROWS) {
     res.write(stringify([[
       `NOTE: Export limited to ${MAX_CSV_ROWS.toLocaleString()} rows. Use a narrower date range to get all records.`,
-      '', '', '', '', '', '', '', '', '', '', ''
+      '', '', '', '', '', '', '', '', '', '', '', '', '', ''
     ]]));
   }
 
@@ -512,8 +558,35 @@ export async function getTransaction(restaurantId, transactionId) {
     staffInfo = staffRows[0] || null;
   }
 
+  // Refunds/voids against this payment, newest last
+  const reversals = await db
+    .select()
+    .from(transactions)
+    .where(eq(transactions.originalTransactionId, transaction.id))
+    .orderBy(asc(transactions.paidAt));
+
+  // Promotions and manual discounts that make up the order's discount
+  const promotions = order
+    ? await db
+        .select({
+          id: orderDiscounts.id,
+          promotionId: orderDiscounts.promotionId,
+          isManual: orderDiscounts.isManual,
+          name: orderDiscounts.name,
+          code: orderDiscounts.code,
+          discountType: orderDiscounts.discountType,
+          value: orderDiscounts.value,
+          amount: orderDiscounts.amount,
+        })
+        .from(orderDiscounts)
+        .where(and(eq(orderDiscounts.orderId, order.id), eq(orderDiscounts.status, "APPLIED")))
+        .orderBy(asc(orderDiscounts.createdAt))
+    : [];
+
   return {
     ...transaction,
+    reversals,
+    promotions,
     order: order ? {
       ...order,
       items: items,
@@ -572,4 +645,558 @@ export async function getRecentTransactionsSummary(restaurantId, limit = 5) {
     tableNumber: row.tableNumber,
     staffName: row.staffName,
   }));
-}
\ No newline at end of file
+}
+// ============================================================
+// Split bills
+// ============================================================
+
+export const SPLIT_METHODS = ["EQUAL", "ITEMS", "CUSTOM"];
+
+/**
+ * Spread a payment across the bill's components in proportion to the order total.
+ * Subtotal takes the rounding so subtotal + gst + service + deliveryFee - discount === amount.
+ */
+function apportionAmount(totals, amount) {
+  const ratio = amount / totals.total;
+  const gst = Math.round(totals.gst * ratio);
+  const service = Math.round(totals.service * ratio);
+  const deliveryFee = Math.round((totals.deliveryFee || 0) * ratio);
+  const discount = Math.round(totals.discount * ratio);
+  return { subtotal: amount - gst - service - deliveryFee + discount, gst, service, deliveryFee, discount, total: amount };
+}
+
+/**
+ * Price a set of order items with their proportional share of taxes, delivery fee and discount.
+ */
+function priceItems(totals, pickedItems) {
+  const subtotal = pickedItems.reduce((sum, item) => sum + toCents(item.totalPrice), 0);
+  const ratio = totals.subtotal > 0 ? subtotal / totals.subtotal : 0;
+  const gst = Math.round(totals.gst * ratio);
+  const service = Math.round(totals.service * ratio);
+  const deliveryFee = Math.round((totals.deliveryFee || 0) * ratio);
+  const discount = Math.round(totals.discount * ratio);
+  return { subtotal, gst, service, deliveryFee, discount, total: subtotal + gst + service + deliveryFee - discount };
+}
+
+/**
+ * Work out what each payer owes for a split request, without touching the database.
+ *
+ * - EQUAL: the order total divided into `shares`; the final share takes whatever is left.
+ * - ITEMS: each payer pays for the order items they pick plus a proportional share of
+ *   taxes and discount; items can only be paid for once.
+ * - CUSTOM: each payer pays a fixed amount, apportioned across the bill's components.
+ *
+ * EQUAL and ITEMS can't be mixed on one order; CUSTOM can always settle what's left.
+ * @param {object} order - Order row (amounts as numeric strings)
+ * @param {Array} items - The order's items ({ id, itemName, quantity, totalPrice })
+ * @param {Array} existingSplits - Split transactions already recorded for the order
+ * @param {object} request - { method, shares, payments: [{ payerLabel, amount, orderItemIds }] }
+ * @returns {Array} One share per payment: amounts as strings, plus items and settlesOrder
+ */
+export function buildSplitShares(order, items, existingSplits, request) {
+  const { method, shares, payments } = request;
+
+  if (!SPLIT_METHODS.includes(method)) {
+    throw httpError(`Unknown split method ${method}`);
+  }
+
+  const totals = {
+    subtotal: toCents(order.subtotalAmount),
+    gst: toCents(order.gstAmount),
+    service: toCents(order.serviceTaxAmount),
+    deliveryFee: toCents(order.deliveryFee),
+    discount: toCents(order.discountAmount),
+    total: toCents(order.totalAmount),
+  };
+
+  let remaining = totals.total - toCents(order.paid_amount);
+  if (remaining <= 0) {
+    throw httpError("Order is already fully paid", 409);
+  }
+
+  const priorMethods = new Set(existingSplits.map((t) => t.splitMethod));
+  if (
+    (method === "EQUAL" && priorMethods.has("ITEMS")) ||
+    (method === "ITEMS" && priorMethods.has("EQUAL"))
+  ) {
+    throw httpError("Order is already being split by a different method", 409);
+  }
+
+  const priorEqual = existingSplits.filter((t) => t.splitMethod === "EQUAL");
+  const priorItems = existingSplits.filter((t) => t.splitMethod === "ITEMS");
+
+  let sharesPaid = 0;
+  if (method === "EQUAL") {
+    if (!Number.isInteger(shares) || shares < 2) {
+      throw httpError("Equal splits need at least 2 shares");
+    }
+    const priorShares = priorEqual[0]?.splitDetails?.shares;
+    if (priorShares && priorShares !== shares) {
+      throw httpError(`Order is already being split into ${priorShares} equal shares`, 409);
+    }
+    sharesPaid = priorEqual.length;
+    if (sharesPaid + payments.length > shares) {
+      throw httpError(`Only ${shares - sharesPaid} equal share(s) left to pay`, 409);
+    }
+  }
+
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const paidItemIds = new Set(priorItems.flatMap((t) => t.splitDetails?.orderItemIds || []));
+  const shareCents = method === "EQUAL" ? Math.round(totals.total / shares) : 0;
+
+  return payments.map((payment, index) => {
+    let share;
+    let pickedItems = [];
+    let splitDetails = null;
+
+    if (method === "EQUAL") {
+      const shareNumber = sharesPaid + index + 1;
+      const amount = shareNumber === shares ? remaining : Math.min(shareCents, remaining);
+      share = apportionAmount(totals, amount);
+      splitDetails = { shares, shareNumber };
+    } else if (method === "ITEMS") {
+      const ids = [...new Set(payment.orderItemIds || [])];
+      if (ids.length === 0) {
+        throw httpError("Pick at least one item for each payer");
+      }
+      pickedItems = ids.map((id) => {
+        const item = itemsById.get(id);
+        if (!item) throw httpError("Order item not found", 404);
+        if (paidItemIds.has(id)) throw httpError(`${item.itemName} has already been paid for`, 409);
+        paidItemIds.add(id);
+        return item;
+      });
+      share = priceItems(totals, pickedItems);
+      splitDetails = { orderItemIds: ids };
+
+      // Whoever picks up the last unpaid items also absorbs the paise lost to rounding
+      const roundingSlack = 3 * (priorItems.length + index + 1);
+      const drift = remaining - share.total;
+      if (items.every((item) => paidItemIds.has(item.id)) && Math.abs(drift) <= roundingSlack) {
+        share.subtotal += drift;
+        share.total = remaining;
+      }
+    } else {
+      const amount = toCents(payment.amount);
+      if (amount <= 0) {
+        throw httpError("Custom split amounts must be greater than zero");
+      }
+      share = apportionAmount(totals, amount);
+    }
+
+    if (share.total <= 0) {
+      throw httpError("Split amount must be greater than zero");
+    }
+    if (share.total > remaining) {
+      throw httpError(
+        `Payment of ${fromCents(share.total)} exceeds the outstanding balance of ${fromCents(remaining)}`
+      );
+    }
+    remaining -= share.total;
+
+    return {
+      payerLabel: payment.payerLabel || `Guest ${existingSplits.length + index + 1}`,
+      splitMethod: method,
+      splitDetails,
+      subtotal: fromCents(share.subtotal),
+      gstAmount: fromCents(share.gst),
+      serviceTaxAmount: fromCents(share.service),
+      deliveryFee: fromCents(share.deliveryFee),
+      discountAmount: fromCents(share.discount),
+      grandTotal: fromCents(share.total),
+      items: pickedItems.map((item) => ({
+        id: item.id,
+        itemName: item.itemName,
+        quantity: item.quantity,
+        totalPrice: item.totalPrice,
+      })),
+      settlesOrder: remaining === 0,
+    };
+  });
+}
+
+/**
+ * Load what buildSplitShares needs. Pass `forUpdate` inside a transaction to lock the order row
+ * so two payers settling at once can't both pay the same balance.
+ */
+async function loadSplitState(restaurantId, orderId, dbToUse, forUpdate = false) {
+  let orderQuery = dbToUse
+    .select()
+    .from(orders)
+    .where(and(eq(orders.restaurantId, restaurantId), eq(orders.id, orderId)))
+    .limit(1);
+  if (forUpdate) orderQuery = orderQuery.for("update");
+
+  const order = (await orderQuery)[0];
+  if (!order) {
+    throw httpError("Order not found", 404);
+  }
+
+  const [items, payments] = await Promise.all([
+    dbToUse
+      .select({
+        id: orderItems.id,
+        itemName: orderItems.itemName,
+        quantity: orderItems.quantity,
+        totalPrice: orderItems.totalPrice,
+      })
+      .from(orderItems)
+      // Items awaiting approval or cancelled were never billed, as on the printed invoice
+      .where(and(eq(orderItems.orderId, orderId), notInArray(orderItems.status, ["CANCELLED", "PENDING_APPROVAL"])))
+      .orderBy(asc(orderItems.createdAt)),
+    dbToUse
+      .select()
+      .from(transactions)
+      .where(eq(transactions.orderId, orderId))
+      .orderBy(asc(transactions.paidAt)),
+  ]);
+
+  const livePayments = payments.filter((t) => t.entryType === "PAYMENT");
+
+  return {
+    order,
+    items,
+    payments: livePayments,
+    reversals: payments.filter((t) => t.entryType !== "PAYMENT"),
+    // Voided split payments free their share (and items) up to be paid again
+    splitPayments: livePayments.filter((t) => t.splitMethod && !t.voidedAt),
+  };
+}
+
+/**
+ * Preview a split without recording anything
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {object} request - { method, shares, payments }
+ */
+export async function previewSplit(restaurantId, orderId, request) {
+  const { order, items, splitPayments } = await loadSplitState(restaurantId, orderId, db);
+  return buildSplitShares(order, items, splitPayments, request);
+}
+
+/**
+ * Record one or more split payments against an order.
+ * Each payer gets their own transaction (and bill number); the order's paid_amount becomes
+ * the running total and its payment status moves to PARTIALLY_PAID or PAID.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {object} request - { method, shares, payments: [{ payerLabel, paymentMethod, paymentReference, amount, orderItemIds }] }
+ * @param {object} [dbToUse=db] - db or an open transaction
+ * @param {object|null} [actor] - { id, type } of who took the payments, for the audit trail
+ * @returns {Promise<object>} Per-payer breakdown (see getSplitBreakdown)
+ */
+export async function recordSplitPayments(restaurantId, orderId, request, dbToUse = db, actor = null) {
+  const run = async (tx) => {
+    const { order, items, splitPayments } = await loadSplitState(restaurantId, orderId, tx, true);
+
+    if (order.status === "CANCELLED") {
+      throw httpError("Cannot take payments for a cancelled order", 409);
+    }
+
+    const shares = buildSplitShares(order, items, splitPayments, request);
+    const settled = shares[shares.length - 1].settlesOrder;
+
+    for (const [index, share] of shares.entries()) {
+      const payment = request.payments[index];
+      const counterResult = await tx.execute(
+        sql`UPDATE restaurants SET invoice_counter = invoice_counter + 1 WHERE id = ${restaurantId} RETURNING invoice_counter`
+      );
+      const invoiceNum = counterResult.rows[0]?.invoice_counter ?? Math.floor(1000 + Math.random() * 9000);
+
+      await createTransaction(
+        restaurantId,
+        orderId,
+        {
+          billNumber: `INV-${String(invoiceNum).padStart(6, "0")}`,
+          paymentMethod: payment.paymentMethod,
+          paymentReference: payment.paymentReference,
+          combinedSubtotal: share.subtotal,
+          combinedGst: share.gstAmount,
+          combinedService: share.serviceTaxAmount,
+          combinedDeliveryFee: share.deliveryFee,
+          combinedDiscount: share.discountAmount,
+          combinedTotal: share.grandTotal,
+          splitMethod: share.splitMethod,
+          payerLabel: share.payerLabel,
+          splitDetails: share.splitDetails,
+          freeTable: settled && index === shares.length - 1,
+        },
+        tx,
+        actor
+      );
+    }
+
+    const paidNow = shares.reduce((sum, share) => sum + toCents(share.grandTotal), 0);
+    const paidAmount = toCents(order.paid_amount) + paidNow;
+
+    const rows = await tx
+      .update(orders)
+      .set({
+        paid_amount: fromCents(paidAmount),
+        paymentStatus: settled ? "PAID" : "PARTIALLY_PAID",
+        ...(settled && { closedAt: new Date() }),
+        updatedAt: new Date(),
+      })
+      .where(eq(orders.id, orderId))
+      .returning();
+
+    await recordOrderAudit(restaurantId, orderId, {
+      action: "PAYMENT_RECORDED",
+      before: orderAuditSnapshot(order),
+      after: {
+        ...orderAuditSnapshot(rows[0]),
+        payments: shares.map((share, index) => ({
+          payerLabel: share.payerLabel,
+          paymentMethod: request.payments[index].paymentMethod,
+          amount: share.grandTotal,
+        })),
+      },
+    }, actor, tx);
+
+    return rows[0];
+  };
+
+  const updated = dbToUse === db ? await db.transaction(run) : await run(dbToUse);
+  emitOrderUpdated(restaurantId, updated);
+
+  return getSplitBreakdown(restaurantId, orderId, dbToUse);
+}
+
+/**
+ * Per-payer receipt breakdown for an order: every payment recorded against it, what each payer
+ * covered, and what is still outstanding.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {object} [dbToUse=db] - db or an open transaction
+ * @returns {Promise<object>}
+ */
+export async function getSplitBreakdown(restaurantId, orderId, dbToUse = db) {
+  const { order, items, payments, reversals, splitPayments } = await loadSplitState(restaurantId, orderId, dbToUse);
+
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const paidItemIds = new Set(
+    splitPayments
+      .filter((t) => t.splitMethod === "ITEMS")
+      .flatMap((t) => t.splitDetails?.orderItemIds || [])
+  );
+  const equalPayments = splitPayments.filter((t) => t.splitMethod === "EQUAL");
+
+  return {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    subtotalAmount: order.subtotalAmount,
+    gstAmount: order.gstAmount,
+    serviceTaxAmount: order.serviceTaxAmount,
+    discountAmount: order.discountAmount,
+    totalAmount: order.totalAmount,
+    paidAmount: order.paid_amount,
+    outstandingAmount: fromCents(Math.max(0, toCents(order.totalAmount) - toCents(order.paid_amount))),
+    paymentStatus: order.paymentStatus,
+    splitMethod: splitPayments[0]?.splitMethod || null,
+    equalShares: equalPayments.length
+      ? { shares: equalPayments[0].splitDetails?.shares, paid: equalPayments.length }
+      : null,
+    unpaidItems: splitPayments.some((t) => t.splitMethod === "ITEMS")
+      ? items.filter((item) => !paidItemIds.has(item.id))
+      : [],
+    payers: payments.map((t) => ({
+      transactionId: t.id,
+      billNumber: t.billNumber,
+      payerLabel: t.payerLabel,
+      splitMethod: t.splitMethod,
+      paymentMethod: t.paymentMethod,
+      paymentReference: t.paymentReference,
+      subtotal: t.subtotal,
+      gstAmount: t.gstAmount,
+      serviceTaxAmount: t.serviceTaxAmount,
+      deliveryFee: t.deliveryFee,
+      discountAmount: t.discountAmount,
+      grandTotal: t.grandTotal,
+      taxRateGst: t.taxRateGst,
+      taxRateService: t.taxRateService,
+      items: (t.splitDetails?.orderItemIds || []).map((id) => itemsById.get(id)).filter(Boolean),
+      paidAt: t.paidAt,
+      voidedAt: t.voidedAt,
+      reversals: reversals.filter((r) => r.originalTransactionId === t.id),
+    })),
+  };
+}
+
+// ============================================================
+// Refunds and voids
+// ============================================================
+
+export const REVERSAL_TYPES = ["REFUND", "VOID"];
+
+/**
+ * Refund part or all of a payment, or void it after the fact.
+ *
+ * Either way a negative transaction is written, linked to the original payment, with its own
+ * CN-XXXXXX credit note number, the reason, the approver and the method money went back by.
+ * Taxes are reversed in proportion so GST reports net out.
+ *
+ * - REFUND: money handed back on a settled bill. The order stays paid.
+ * - VOID: the payment should never have been taken (wrong method, duplicate swipe). The remaining
+ *   balance of the payment is reversed, the payment is marked voided and the order goes back to
+ *   owing that amount.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} transactionId - The PAYMENT being reversed
+ * @param {object} data - { entryType, amount, paymentMethod, reason } — amount defaults to everything left
+ * @param {object|null} approver - { id, type: 'user' | 'staff' }
+ * @returns {Promise<{reversal: object, original: object, order: object}>}
+ */
+export async function reverseTransaction(restaurantId, transactionId, data, approver = null) {
+  const { entryType, amount, paymentMethod, reason } = data;
+
+  if (!REVERSAL_TYPES.includes(entryType)) {
+    throw httpError(`Unknown reversal type ${entryType}`);
+  }
+
+  const result = await db.transaction(async (tx) => {
+    const originalRows = await tx
+      .select()
+      .from(transactions)
+      .where(and(eq(transactions.restaurantId, restaurantId), eq(transactions.id, transactionId)))
+      .limit(1)
+      .for("update");
+
+    let original = originalRows[0];
+    if (!original) {
+      throw httpError("Transaction not found", 404);
+    }
+    if (original.entryType !== "PAYMENT") {
+      throw httpError("Only payments can be refunded or voided", 409);
+    }
+    if (original.voidedAt) {
+      throw httpError("Payment has already been voided", 409);
+    }
+
+    // Reversal rows are negative, so adding them to the original leaves what can still be returned
+    const reversedRows = await tx
+      .select({ total: sql`COALESCE(SUM(${transactions.grandTotal}), 0)` })
+      .from(transactions)
+      .where(eq(transactions.originalTransactionId, transactionId));
+    const refundable = toCents(original.grandTotal) + toCents(reversedRows[0]?.total);
+    if (refundable <= 0) {
+      throw httpError("Payment has already been fully refunded", 409);
+    }
+
+    const reverseCents = entryType === "VOID" || amount == null ? refundable : toCents(amount);
+    if (reverseCents <= 0) {
+      throw httpError("Refund amount must be greater than zero");
+    }
+    if (reverseCents > refundable) {
+      throw httpError(
+        `Refund of ${fromCents(reverseCents)} exceeds the refundable balance of ${fromCents(refundable)}`
+      );
+    }
+
+    const parts = apportionAmount(
+      {
+        subtotal: toCents(original.subtotal),
+        gst: toCents(original.gstAmount),
+        service: toCents(original.serviceTaxAmount),
+        deliveryFee: toCents(original.deliveryFee),
+        discount: toCents(original.discountAmount),
+        total: toCents(original.grandTotal),
+      },
+      reverseCents
+    );
+
+    const counterResult = await tx.execute(
+      sql`UPDATE restaurants SET credit_note_counter = credit_note_counter + 1 WHERE id = ${restaurantId} RETURNING credit_note_counter`
+    );
+    const creditNoteNum = counterResult.rows[0]?.credit_note_counter ?? Math.floor(1000 + Math.random() * 9000);
+    const reversalMethod = paymentMethod || original.paymentMethod;
+
+    const reversalRows = await tx
+      .insert(transactions)
+      .values({
+        restaurantId,
+        orderId: original.orderId,
+        billNumber: `CN-${String(creditNoteNum).padStart(6, "0")}`,
+        subtotal: fromCents(-parts.subtotal),
+        gstAmount: fromCents(-parts.gst),
+        serviceTaxAmount: fromCents(-parts.service),
+        deliveryFee: fromCents(-parts.deliveryFee),
+        discountAmount: fromCents(-parts.discount),
+        grandTotal: fromCents(-parts.total),
+        // Reversals are taxed at the rates the original was billed at
+        taxRateGst: original.taxRateGst,
+        taxRateService: original.taxRateService,
+        paymentMethod: reversalMethod,
+        payerLabel: original.payerLabel,
+        entryType,
+        originalTransactionId: original.id,
+        reason,
+        approvedById: approver?.id || null,
+        approvedByType: approver?.type || null,
+        // Cash handed back comes out of the drawer open now
+        cashDrawerSessionId:
+          reversalMethod === "CASH" ? await findOpenDrawerSessionId(restaurantId, approver, tx) : null,
+      })
+      .returning();
+
+    // Points earned on the payment are taken back (or points paid with returned) in proportion
+    await reverseLoyaltyEntries(
+      restaurantId,
+      { transactionId: original.id },
+      {
+        fraction: entryType === "VOID" ? 1 : reverseCents / toCents(original.grandTotal),
+        reason: `${entryType === "VOID" ? "Voided" : "Refunded"} on ${reversalRows[0].billNumber}`,
+      },
+      tx
+    );
+
+    const orderRows = await tx
+      .select()
+      .from(orders)
+      .where(eq(orders.id, original.orderId))
+      .limit(1)
+      .for("update");
+    let order = orderRows[0];
+    const orderBefore = order;
+
+    if (entryType === "VOID") {
+      const voidedRows = await tx
+        .update(transactions)
+        .set({ voidedAt: new Date() })
+        .where(eq(transactions.id, original.id))
+        .returning();
+      original = voidedRows[0];
+
+      const paidAmount = Math.max(0, toCents(order.paid_amount) - reverseCents);
+      const stillPaid = paidAmount > 0 && paidAmount >= toCents(order.totalAmount);
+      const updatedOrderRows = await tx
+        .update(orders)
+        .set({
+          paid_amount: fromCents(paidAmount),
+          paymentStatus: stillPaid ? "PAID" : paidAmount > 0 ? "PARTIALLY_PAID" : "DUE",
+          // Money is owed again, so the bill has to be reopened to collect it
+          ...(!stillPaid && { closedAt: null, isClosed: false }),
+          updatedAt: new Date(),
+        })
+        .where(eq(orders.id, order.id))
+        .returning();
+      order = updatedOrderRows[0];
+    }
+
+    await recordOrderAudit(restaurantId, order.id, {
+      action: entryType === "VOID" ? "PAYMENT_VOIDED" : "PAYMENT_REFUNDED",
+      before: { ...orderAuditSnapshot(orderBefore), payment: { id: original.id, billNumber: original.billNumber } },
+      after: {
+        ...orderAuditSnapshot(order),
+        reversal: { id: reversalRows[0].id, billNumber: reversalRows[0].billNumber, amount: reversalRows[0].grandTotal },
+      },
+      reason,
+    }, approver, tx);
+
+    return { reversal: reversalRows[0], original, order };
+  });
+
+  if (entryType === "VOID") {
+    emitOrderUpdated(restaurantId, result.order);
+  }
+
+  return result;
+}
@@ -0,0 +1,298 @@
+/**
+ * Unit tests — Aggregator orders
+ *
+ * What we validate here:
+ *  - The mock provider's signatures and its payloads in our terms (fixture payloads)
+ *  - Webhooks create orders through the menu mapping, tagged with the aggregator's order id
+ *  - Duplicate order ids, unmapped items and bad signatures are refused and logged
+ *  - Aggregator cancellations cancel the order
+ *  - Channel sync: menu changes reach mapped channels, signed, and failures are kept for retry
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { readFileSync } from "fs";
+import http from "http";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import { getProvider } from "../../src/aggregator/providers/index.js";
+import {
+  createIntegration,
+  replaceItemMappings,
+  receiveWebhook,
+  listIntegrationEvents,
+} from "../../src/aggregator/service.js";
+import { queueItemSync, processChannelSync } from "../../src/aggregator/sync.js";
+import { getOrder } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import {
+  restaurants,
+  menuItems,
+  menuCategories,
+  modifierGroups,
+  modifiers,
+  menuItemModifierGroups,
+  menuItemVariants,
+  channelSyncLog,
+} from "../../shared/schema.js";
+
+const loadFixture = (name) => readFileSync(new URL(`../fixtures/aggregator/${name}`, import.meta.url), "utf8");
+const placedBody = loadFixture("mock-order-placed.json");
+const cancelledBody = loadFixture("mock-order-cancelled.json");
+
+const provider = getProvider("mock");
+const secret = "test-webhook-secret-0123456789";
+
+/** Deliver a fixture the way the mock aggregator would: raw bytes plus their signature */
+function deliver(integration, body, signWith = integration.webhookSecret) {
+  const headers = { [provider.signatureHeader]: provider.sign(body, signWith) };
+  return receiveWebhook("mock", integration.id, Buffer.from(body), headers, JSON.parse(body));
+}
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+describe("Aggregator Orders — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Mock provider — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("mock provider", () => {
+    it("accepts only bodies signed with the integration's secret", () => {
+      const headers = { [provider.signatureHeader]: provider.sign(placedBody, secret) };
+      expect(provider.verifySignature(Buffer.from(placedBody), headers, secret)).toBe(true);
+      expect(provider.verifySignature(Buffer.from(placedBody + " "), headers, secret)).toBe(false);
+      expect(provider.verifySignature(Buffer.from(placedBody), headers, "another-secret")).toBe(false);
+      expect(provider.verifySignature(Buffer.from(placedBody), {}, secret)).toBe(false);
+    });
+
+    it("reads placed and cancelled orders from the fixture payloads", () => {
+      expect(provider.parseEvent(JSON.parse(placedBody))).toEqual({
+        type: "ORDER_PLACED",
+        externalStoreId: "STORE-1042",
+        externalOrderId: "MOCK-880213",
+        guestName: "Ravi Kumar",
+        guestPhone: "+91 98450 11223",
+        notes: "Less spicy please",
+        prepaid: true,
+        items: [
+          { externalId: "AGG-PANEER-TIKKA", quantity: 2, notes: undefined, modifierExternalIds: ["AGG-EXTRA-CHEESE"] },
+          { externalId: "AGG-LASSI", quantity: 1, notes: "No ice", modifierExternalIds: [] },
+        ],
+      });
+      expect(provider.parseEvent(JSON.parse(cancelledBody))).toMatchObject({
+        type: "ORDER_CANCELLED",
+        externalOrderId: "MOCK-880213",
+        reason: "Customer cancelled on the app",
+      });
+      expect(provider.parseEvent({ event: "store.closed" })).toBeNull();
+    });
+
+    it("only sends the statuses the aggregator tracks", () => {
+      const order = { externalOrderId: "MOCK-880213" };
+      expect(provider.statusUpdate(order, "READY")).toEqual({ order_id: "MOCK-880213", status: "FOOD_READY" });
+      expect(provider.statusUpdate(order, "PENDING")).toBeNull();
+    });
+
+    it("builds availability, price and store status updates", () => {
+      const integration = { externalStoreId: "STORE-1042" };
+      expect(provider.menuUpdate("ITEM_AVAILABILITY", { externalIds: ["A", "B"], isAvailable: false }, integration))
+        .toEqual({ items: [{ id: "A", in_stock: false }, { id: "B", in_stock: false }] });
+      expect(provider.menuUpdate("ITEM_PRICE", { externalIds: ["A"], price: "120.50" }, integration))
+        .toEqual({ items: [{ id: "A", price: 120.5 }] });
+      expect(provider.menuUpdate("STORE_STATUS", { isOpen: false, reason: "Kitchen maintenance" }, integration))
+        .toEqual({ store_id: "STORE-1042", status: "CLOSED", reason: "Kitchen maintenance" });
+      expect(provider.menuUpdate("CATEGORY_ORDER", {}, integration)).toBeNull();
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Webhooks
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("webhooks", () => {
+    async function connectWithMenu() {
+      const cat = fixtures.menuCategory(restaurantId);
+      const tikka = fixtures.menuItem(restaurantId, cat.id, { price: "250.00" });
+      const lassi = fixtures.menuItem(restaurantId, cat.id, { price: "80.00" });
+      const group = { restaurantId, name: "Extras" };
+      await db.insert(menuCategories).values(cat);
+      await db.insert(menuItems).values([tikka, lassi]);
+      const [extras] = await db.insert(modifierGroups).values(group).returning();
+      const [cheese] = await db.insert(modifiers).values({ restaurantId, modifierGroupId: extras.id, name: "Cheese", price: "30.00" }).returning();
+      await db.insert(menuItemModifierGroups).values({ menuItemId: tikka.id, modifierGroupId: extras.id });
+
+      const integration = await createIntegration(restaurantId, {
+        provider: "mock",
+        externalStoreId: "STORE-1042",
+        webhookSecret: secret,
+      });
+      await replaceItemMappings(restaurantId, integration.id, [
+        { kind: "ITEM", externalId: "AGG-PANEER-TIKKA", menuItemId: tikka.id },
+        { kind: "ITEM", externalId: "AGG-LASSI", menuItemId: lassi.id },
+        { kind: "MODIFIER", externalId: "AGG-EXTRA-CHEESE", modifierId: cheese.id },
+      ]);
+      return integration;
+    }
+
+    it("creates a prepaid delivery order tagged with the aggregator's id and refuses it twice", async () => {
+      if (!dbAvailable) return;
+      const integration = await connectWithMenu();
+
+      const { order } = await deliver(integration, placedBody);
+      const saved = await getOrder(restaurantId, order.id);
+      expect(saved).toMatchObject({
+        orderType: "DELIVERY",
+        paymentStatus: "PAID",
+        externalSource: "mock",
+        externalOrderId: "MOCK-880213",
+      });
+      expect(saved.items).toHaveLength(2);
+      expect(saved.delivery).toBeNull();
+
+      await expect(deliver(integration, placedBody)).rejects.toMatchObject({ status: 409 });
+      const events = await listIntegrationEvents(restaurantId, integration.id);
+      expect(events.map((e) => e.result).sort()).toEqual(["ACCEPTED", "DUPLICATE"]);
+    });
+
+    it("refuses bad signatures, other stores and unmapped items", async () => {
+      if (!dbAvailable) return;
+      const integration = await connectWithMenu();
+
+      await expect(deliver(integration, placedBody, "not-the-secret")).rejects.toMatchObject({ status: 401 });
+
+      const otherStore = placedBody.replace("STORE-1042", "STORE-9999");
+      await expect(deliver(integration, otherStore)).rejects.toThrow(/different store/);
+
+      const unmapped = placedBody.replace("AGG-LASSI", "AGG-FALOODA");
+      await expect(deliver(integration, unmapped)).rejects.toThrow(/AGG-FALOODA/);
+    });
+
+    it("keeps the webhook's own error when the event log can't be written", async () => {
+      if (!dbAvailable) return;
+      const integration = await connectWithMenu();
+      await deliver(integration, placedBody);
+
+      // jsonb refuses \u0000, so logging this duplicate fails
+      const unloggable = placedBody.replace("{", '{"note":"\\u0000",');
+      await expect(deliver(integration, unloggable)).rejects.toMatchObject({ status: 409 });
+      const events = await listIntegrationEvents(restaurantId, integration.id);
+      expect(events.map((e) => e.result)).toEqual(["ACCEPTED"]);
+    });
+
+    it("cancels the order when the aggregator does", async () => {
+      if (!dbAvailable) return;
+      const integration = await connectWithMenu();
+      const { order } = await deliver(integration, placedBody);
+
+      await deliver(integration, cancelledBody);
+      const saved = await getOrder(restaurantId, order.id);
+      expect(saved.status).toBe("CANCELLED");
+      expect(saved.cancelReason).toBe("Customer cancelled on the app");
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Channel sync
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("channel sync", () => {
+    let server, received, respondWith;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => {
+          received.push({ body, signature: req.headers[provider.signatureHeader] });
+          res.writeHead(respondWith).end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    afterAll(async () => { await new Promise((resolve) => server.close(resolve)); });
+
+    beforeEach(() => {
+      received = [];
+      respondWith = 200;
+    });
+
+    async function channelWithItem() {
+      const cat = fixtures.menuCategory(restaurantId);
+      const item = fixtures.menuItem(restaurantId, cat.id);
+      await db.insert(menuCategories).values(cat);
+      await db.insert(menuItems).values(item);
+      const integration = await createIntegration(restaurantId, {
+        provider: "mock",
+        externalStoreId: "STORE-1042",
+        webhookSecret: secret,
+        menuSyncUrl: `http://127.0.0.1:${server.address().port}/menu`,
+      });
+      return { integration, item };
+    }
+
+    it("queues updates only for mapped items, and prices only where the item sets the price", async () => {
+      if (!dbAvailable) return;
+      const { integration, item } = await channelWithItem();
+      expect(await queueItemSync(restaurantId, item.id, { isAvailable: false, price: "99.00" })).toBe(0);
+
+      const [variant] = await db.insert(menuItemVariants).values({ restaurantId, menuItemId: item.id, variantName: "Large", price: "180.00" }).returning();
+      await replaceItemMappings(restaurantId, integration.id, [
+        { kind: "ITEM", externalId: "AGG-LARGE", menuItemId: item.id, variantId: variant.id },
+      ]);
+      expect(await queueItemSync(restaurantId, item.id, { isAvailable: false, price: "99.00" })).toBe(1);
+    });
+
+    it("sends a signed update and logs it, keeping failures for a retry", async () => {
+      if (!dbAvailable) return;
+      const { integration, item } = await channelWithItem();
+      const [entry] = await db.insert(channelSyncLog).values({
+        integrationId: integration.id,
+        kind: "ITEM_AVAILABILITY",
+        menuItemId: item.id,
+        payload: { externalIds: ["AGG-LASSI"], isAvailable: false },
+      }).returning();
+
+      respondWith = 503;
+      await expect(processChannelSync(entry.id)).rejects.toThrow(/503/);
+      let [logged] = await db.select().from(channelSyncLog).where(eq(channelSyncLog.id, entry.id));
+      expect(logged).toMatchObject({ status: "RETRYING", attempts: 1 });
+
+      respondWith = 200;
+      await processChannelSync(entry.id);
+      [logged] = await db.select().from(channelSyncLog).where(eq(channelSyncLog.id, entry.id));
+      expect(logged).toMatchObject({ status: "SENT", attempts: 2, lastError: null });
+
+      const sent = received.filter((r) => r.body.includes("AGG-LASSI"));
+      expect(sent).toHaveLength(2);
+      expect(JSON.parse(sent[1].body)).toEqual({ items: [{ id: "AGG-LASSI", in_stock: false }] });
+      expect(sent[1].signature).toBe(provider.sign(sent[1].body, secret));
+    });
+  });
+});
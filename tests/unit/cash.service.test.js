@@ -0,0 +1,159 @@
+/**
+ * Unit tests — Cash drawers and Z-reports
+ *
+ * What we validate here:
+ *  - Expected cash is float + cash sales − cash refunds + pay-ins − pay-outs
+ *  - Z-report totals per payment method, taxes, discounts, refunds and cancellations
+ *  - A drawer closes with its variance and can't be opened twice
+ *  - Only the drawer's own waiter can close it
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  computeExpectedCash,
+  openDrawerSession,
+  recordDrawerMovement,
+  closeDrawerSession,
+} from "../../src/cash/service.js";
+import { buildZReport, getZReport, closeZReport } from "../../src/cash/zReport.js";
+import { getBusinessDate, getBusinessDayRange } from "../../src/analytics/range.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import { restaurants, staff } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+describe("Cash Drawers — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Figures — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("computeExpectedCash", () => {
+    it("adds sales and pay-ins to the float and takes off refunds and pay-outs", () => {
+      expect(
+        computeExpectedCash({ openingFloat: "500", cashSales: "1250.50", cashRefunds: "100", payIns: "200", payOuts: "75.25" })
+      ).toBe("1775.25");
+    });
+
+    it("does not drift on fractional amounts", () => {
+      expect(computeExpectedCash({ openingFloat: 0.1, cashSales: 0.2, cashRefunds: 0, payIns: 0, payOuts: 0 })).toBe("0.30");
+    });
+  });
+
+  describe("buildZReport", () => {
+    const report = buildZReport({
+      businessDate: "2026-01-01",
+      entries: [
+        { paymentMethod: "CASH", entryType: "PAYMENT", count: 3, grandTotal: "900.00", gstAmount: "40.00", serviceTaxAmount: "20.00", discountAmount: "10.00" },
+        { paymentMethod: "CASH", entryType: "REFUND", count: 1, grandTotal: "-100.00", gstAmount: "-5.00", serviceTaxAmount: "0", discountAmount: "0" },
+        { paymentMethod: "UPI", entryType: "PAYMENT", count: 2, grandTotal: "600.00", gstAmount: "30.00", serviceTaxAmount: "0", discountAmount: "0" },
+        { paymentMethod: "UPI", entryType: "VOID", count: 1, grandTotal: "-50.00", gstAmount: "0", serviceTaxAmount: "0", discountAmount: "0" },
+      ],
+      cancelledOrders: [{ id: "o1", cancelReason: "Customer left", totalAmount: "250.00", placedByStaff: { fullName: "Asha" } }],
+      drawers: [{ id: "d1", status: "CLOSED", closedAt: new Date(), openingFloat: "500.00", variance: "-20.00" }],
+    });
+
+    it("nets refunds and voids off gross sales", () => {
+      expect(report.sales).toEqual({ grossSales: "1500.00", refunds: "100.00", voids: "50.00", netSales: "1350.00", paymentCount: 5 });
+      expect(report.paymentMethods.map((m) => [m.paymentMethod, m.net])).toEqual([["CASH", "800.00"], ["UPI", "550.00"]]);
+    });
+
+    it("totals taxes, discounts, cancellations and drawer variance", () => {
+      expect(report.taxes).toEqual({ gst: "65.00", serviceCharge: "20.00", total: "85.00" });
+      expect(report.discounts.total).toBe("10.00");
+      expect(report.cancellations).toMatchObject({ count: 1, value: "250.00" });
+      expect(report.cancellations.orders[0].placedByStaff).toBe("Asha");
+      expect(report.cashVariance).toBe("-20.00");
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Drawer sessions
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("drawer sessions", () => {
+    let waiter;
+
+    beforeEach(async () => {
+      if (!dbAvailable) return;
+      [waiter] = await db
+        .insert(staff)
+        .values({ restaurantId, fullName: "Asha", role: "WAITER", passcodeHash: "$2b$10$testhashedpassword" })
+        .returning();
+    });
+
+    it("closes with the variance between counted and expected cash", async () => {
+      if (!dbAvailable) return;
+      const actor = { id: waiter.id, type: "staff" };
+      const session = await openDrawerSession(restaurantId, { openingFloat: 500 }, actor);
+      await expect(openDrawerSession(restaurantId, { openingFloat: 100 }, actor)).rejects.toMatchObject({ status: 409 });
+
+      await recordDrawerMovement(restaurantId, session.id, { type: "PAY_OUT", amount: 80, reason: "Milk" }, actor);
+      const closed = await closeDrawerSession(restaurantId, session.id, { countedCash: 410 }, actor);
+
+      expect(closed.status).toBe("CLOSED");
+      expect(closed.expectedCash).toBe("420.00");
+      expect(closed.variance).toBe("-10.00");
+      await expect(
+        recordDrawerMovement(restaurantId, session.id, { type: "PAY_IN", amount: 10, reason: "Late" }, actor)
+      ).rejects.toMatchObject({ status: 409 });
+    });
+
+    it("only lets the drawer's own waiter close it", async () => {
+      if (!dbAvailable) return;
+      const session = await openDrawerSession(restaurantId, { openingFloat: 200 }, { id: waiter.id, type: "staff" });
+      await expect(
+        closeDrawerSession(restaurantId, session.id, { countedCash: 200 }, null, { onlyStaffId: "someone-else" })
+      ).rejects.toMatchObject({ status: 403 });
+    });
+
+    it("closes the day in the restaurant's own timezone with the drawers it just closed", async () => {
+      if (!dbAvailable) return;
+      // UTC+14, so its business day is usually ahead of the default timezone's
+      const timeZone = "Pacific/Kiritimati";
+      await db.update(restaurants).set({ settings: { timezone: timeZone } }).where(eq(restaurants.id, restaurantId));
+      const today = getBusinessDate(new Date(), { timeZone });
+
+      const actor = { id: waiter.id, type: "staff" };
+      const session = await openDrawerSession(restaurantId, { openingFloat: 300 }, actor);
+      await closeDrawerSession(restaurantId, session.id, { countedCash: 300 }, actor);
+
+      const live = await getZReport(restaurantId, today);
+      expect(live.periodStart).toEqual(getBusinessDayRange(today, { timeZone }).start);
+
+      const closed = await closeZReport(restaurantId, today, actor);
+      expect(closed.locked).toBe(true);
+      expect(closed.report.cashDrawers).toHaveLength(1);
+      expect(closed.report.cashDrawers[0].countedCash).toBe("300.00");
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests — Customer profiles
+ *
+ * What we validate here:
+ *  - Phone numbers match on their last 10 digits, whatever the formatting
+ *  - Orders and queue entries with the same number land on one profile
+ *  - Visits and spend count settled orders only; favourites rank by quantity
+ *  - Lookup and search find guests by phone or name
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  normalizePhone,
+  upsertCustomer,
+  lookupCustomerByPhone,
+  searchCustomers,
+  getCustomer,
+  createCustomer,
+} from "../../src/customer/service.js";
+import { createOrder, updatePaymentStatus } from "../../src/order/service.js";
+import { registerInQueue } from "../../src/queue/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, menuItems, menuCategories } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+describe("Customer Profiles — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Phone matching — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("normalizePhone", () => {
+    it("keeps the last 10 digits so formatting and country codes don't matter", () => {
+      expect(normalizePhone("+91 98765-43210")).toBe("9876543210");
+      expect(normalizePhone("09876543210")).toBe("9876543210");
+      expect(normalizePhone(null)).toBe("");
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Profiles
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("profiles", () => {
+    it("ties orders and queue entries with the same number to one guest", async () => {
+      if (!dbAvailable) return;
+      const cat = fixtures.menuCategory(restaurantId);
+      const dosa = fixtures.menuItem(restaurantId, cat.id, { name: "Masala Dosa" });
+      const chai = fixtures.menuItem(restaurantId, cat.id, { name: "Masala Chai" });
+      await db.insert(menuCategories).values(cat);
+      await db.insert(menuItems).values([dosa, chai]);
+
+      const entry = await registerInQueue(restaurantId, { guestName: "Priya", partySize: 2, phoneNumber: "+919876543210" });
+      const { order: first } = await createOrder(restaurantId, {
+        orderType: "TAKEAWAY",
+        guestPhone: "98765 43210",
+        items: [{ menuItemId: dosa.id, quantity: 2 }, { menuItemId: chai.id, quantity: 1 }],
+      });
+      const { order: second } = await createOrder(restaurantId, {
+        orderType: "TAKEAWAY",
+        guestPhone: "9876543210",
+        items: [{ menuItemId: dosa.id, quantity: 1 }],
+      });
+      expect(entry.customerId).toBe(first.customerId);
+      expect(second.customerId).toBe(first.customerId);
+
+      // Only the settled order counts as a visit
+      await updatePaymentStatus(restaurantId, first.id, "PAID", "CASH");
+
+      const customer = await lookupCustomerByPhone(restaurantId, "9876543210");
+      expect(customer.name).toBe("Priya");
+      expect(customer.visitCount).toBe(1);
+      expect(Number(customer.lifetimeSpend)).toBeCloseTo(Number(first.totalAmount), 2);
+      expect(customer.isRegular).toBe(false);
+      expect(customer.favouriteItems[0]).toMatchObject({ menuItemId: dosa.id, quantity: 3, orderCount: 2 });
+
+      const profile = await getCustomer(restaurantId, customer.id);
+      expect(profile.recentOrders.map((o) => o.id)).toEqual([second.id, first.id]);
+    });
+
+    it("keeps a name staff already set and ignores numbers too short to match", async () => {
+      if (!dbAvailable) return;
+      const created = await createCustomer(restaurantId, { phone: "98200 11223", name: "Mr. Shah", allergies: "Peanuts" });
+      const again = await upsertCustomer(restaurantId, { phone: "+91 9820011223", name: "Rohan" });
+      expect(again.id).toBe(created.id);
+      expect(again.name).toBe("Mr. Shah");
+
+      expect(await upsertCustomer(restaurantId, { phone: "123", name: "Nobody" })).toBeNull();
+      await expect(createCustomer(restaurantId, { phone: "9820011223" })).rejects.toMatchObject({ status: 409 });
+    });
+
+    it("searches by phone digits or name", async () => {
+      if (!dbAvailable) return;
+      await createCustomer(restaurantId, { phone: "9820011223", name: "Anita Desai" });
+      await createCustomer(restaurantId, { phone: "9123456789", name: "Vikram Rao" });
+
+      expect((await searchCustomers(restaurantId, { q: "1223" })).map((c) => c.name)).toEqual(["Anita Desai"]);
+      expect((await searchCustomers(restaurantId, { q: "vikram" })).map((c) => c.name)).toEqual(["Vikram Rao"]);
+      expect(await searchCustomers(restaurantId)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests — Delivery orders
+ *
+ * What we validate here:
+ *  - Distances and fee bands, including free delivery over a subtotal
+ *  - The delivery status flow
+ *  - The fee is part of the order total, and out-of-range addresses are refused
+ *  - Cancelling the order stops the delivery, and the tracking link shows no address
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import { distanceKm, quoteDeliveryFee, canTransition } from "../../src/delivery/rules.js";
+import {
+  replaceDeliveryFeeRules,
+  getDelivery,
+  updateDeliveryAddress,
+  updateDeliveryStatus,
+  trackDelivery,
+} from "../../src/delivery/service.js";
+import { createOrder, updateOrderStatus, cancelOrderWithReason } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, menuItems, menuCategories } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+// Connaught Place, New Delhi
+const shop = { latitude: 28.6315, longitude: 77.2167 };
+// About 2.4 km and 8.7 km away
+const nearby = { latitude: 28.6129, longitude: 77.2295 };
+const faraway = { latitude: 28.5562, longitude: 77.2410 };
+
+const bands = [
+  { maxDistanceKm: "5.00", fee: "30.00", freeAboveAmount: "500.00" },
+  { maxDistanceKm: "3.00", fee: "20.00", freeAboveAmount: null },
+];
+
+describe("Delivery Orders — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant({ latitude: String(shop.latitude), longitude: String(shop.longitude) });
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Rules — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("rules", () => {
+    it("measures straight-line distance and needs both points pinned", () => {
+      expect(distanceKm(shop, nearby)).toBeCloseTo(2.4, 1);
+      expect(distanceKm(shop, shop)).toBe(0);
+      expect(distanceKm(shop, { latitude: null, longitude: 77.2 })).toBeNull();
+      expect(distanceKm({}, nearby)).toBeNull();
+    });
+
+    it("charges the smallest band that reaches the address", () => {
+      expect(quoteDeliveryFee(bands, 2.4, 100)).toMatchObject({ fee: "20.00", reason: null });
+      expect(quoteDeliveryFee(bands, 4, 100)).toMatchObject({ fee: "30.00", reason: null });
+      expect(quoteDeliveryFee(bands, 4, "500.00")).toMatchObject({ fee: "0.00", reason: null });
+    });
+
+    it("explains addresses it can't price", () => {
+      expect(quoteDeliveryFee(bands, 8.7, 100).reason).toMatch(/up to 5 km/);
+      expect(quoteDeliveryFee(bands, null, 100).reason).toMatch(/Pin the address/);
+      expect(quoteDeliveryFee([], null, 100)).toEqual({ fee: "0.00", rule: null, reason: null });
+    });
+
+    it("moves deliveries only along the status flow", () => {
+      expect(canTransition("PENDING", "ASSIGNED")).toBe(true);
+      expect(canTransition("ASSIGNED", "DISPATCHED")).toBe(true);
+      expect(canTransition("PENDING", "DELIVERED")).toBe(false);
+      expect(canTransition("FAILED", "ASSIGNED")).toBe(true);
+      expect(canTransition("DELIVERED", "FAILED")).toBe(false);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("lifecycle", () => {
+    async function placeDeliveryOrder(address) {
+      const cat = fixtures.menuCategory(restaurantId);
+      const item = fixtures.menuItem(restaurantId, cat.id, { price: "200.00" });
+      await db.insert(menuCategories).values(cat);
+      await db.insert(menuItems).values(item);
+      const { order } = await createOrder(restaurantId, {
+        orderType: "DELIVERY",
+        guestPhone: "9876543210",
+        items: [{ menuItemId: item.id, quantity: 1 }],
+        delivery: { addressLine1: "12 Janpath", ...address },
+      });
+      return order;
+    }
+
+    it("adds the fee to the order and refuses addresses out of range", async () => {
+      if (!dbAvailable) return;
+      await replaceDeliveryFeeRules(restaurantId, bands);
+
+      const order = await placeDeliveryOrder(nearby);
+      expect(order.deliveryFee).toBe("20.00");
+      const delivery = await getDelivery(restaurantId, order.id);
+      expect(delivery.status).toBe("PENDING");
+
+      await expect(placeDeliveryOrder(faraway)).rejects.toThrow(/up to 5 km/);
+    });
+
+    it("needs a rider before dispatch and keeps the address off the tracking link", async () => {
+      if (!dbAvailable) return;
+      const order = await placeDeliveryOrder(nearby);
+
+      // Needs a rider first
+      await expect(updateDeliveryStatus(restaurantId, order.id, "DISPATCHED")).rejects.toMatchObject({ status: 409 });
+
+      const delivery = await getDelivery(restaurantId, order.id);
+      const tracking = await trackDelivery(delivery.trackingToken);
+      expect(tracking.delivery.status).toBe("PENDING");
+      expect(JSON.stringify(tracking)).not.toContain("Janpath");
+
+      await updateOrderStatus(restaurantId, order.id, "READY");
+      await updateDeliveryAddress(restaurantId, order.id, { landmark: "Opposite the museum" });
+      expect((await getDelivery(restaurantId, order.id)).landmark).toBe("Opposite the museum");
+    });
+
+    it("cancels the delivery with the order", async () => {
+      if (!dbAvailable) return;
+      const order = await placeDeliveryOrder(nearby);
+      await cancelOrderWithReason(restaurantId, order.id, "Guest unreachable");
+      expect((await getDelivery(restaurantId, order.id)).status).toBe("CANCELLED");
+      await expect(updateDeliveryAddress(restaurantId, order.id, { landmark: "Gate 2" }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests — Inventory Service
+ *
+ * What we validate here:
+ *  - Movement types map to the right stock direction
+ *  - Opening stock is booked to the ledger
+ *  - Movements update current stock and record stockAfter
+ *  - Low-stock filter uses the item's reorder level
+ *  - Stock events inside a caller's transaction wait for it to commit
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  signedQuantity,
+  createInventoryItem,
+  recordStockMovement,
+  emitStockMovement,
+  listInventoryItems,
+  listStockMovements,
+} from "../../src/inventory/service.js";
+import { db as serviceDb } from "../../src/dbClient.js";
+import { setRealtime } from "../../src/realtime/emitter.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+describe("Inventory Service — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // signedQuantity — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("signedQuantity", () => {
+    it("adds for purchases and removes for wastage/consumption regardless of sign", () => {
+      expect(signedQuantity("PURCHASE", -5)).toBe(5);
+      expect(signedQuantity("WASTAGE", 2)).toBe(-2);
+      expect(signedQuantity("CONSUMPTION", 1.5)).toBe(-1.5);
+    });
+
+    it("keeps the caller's sign for adjustments", () => {
+      expect(signedQuantity("ADJUSTMENT", -3)).toBe(-3);
+      expect(signedQuantity("ADJUSTMENT", 4)).toBe(4);
+    });
+
+    it("rejects zero and unknown types", () => {
+      expect(() => signedQuantity("PURCHASE", 0)).toThrow();
+      expect(() => signedQuantity("THEFT", 1)).toThrow();
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Ledger
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("recordStockMovement", () => {
+    it("books opening stock and subsequent movements to the ledger", async () => {
+      if (!dbAvailable) return;
+      const item = await createInventoryItem(restaurantId, {
+        materialName: "Paneer",
+        unit: "kg",
+        reorderLevel: 2,
+        openingStock: 5,
+      });
+      expect(parseFloat(item.currentStock)).toBeCloseTo(5, 3);
+
+      await recordStockMovement(restaurantId, item.id, { movementType: "PURCHASE", quantity: 3, unitCost: 320 });
+      const { item: after } = await recordStockMovement(restaurantId, item.id, {
+        movementType: "WASTAGE",
+        quantity: 7,
+        notes: "Spoiled",
+      });
+      expect(parseFloat(after.currentStock)).toBeCloseTo(1, 3);
+
+      const { movements, total } = await listStockMovements(restaurantId, { itemId: item.id });
+      expect(total).toBe(3);
+      expect(parseFloat(movements[0].stockAfter)).toBeCloseTo(1, 3);
+
+      const lowStock = await listInventoryItems(restaurantId, { lowStockOnly: true });
+      expect(lowStock.map((i) => i.id)).toContain(item.id);
+    });
+
+    it("rejects movements for unknown items", async () => {
+      if (!dbAvailable) return;
+      await expect(
+        recordStockMovement(restaurantId, "00000000-0000-0000-0000-000000000000", {
+          movementType: "PURCHASE",
+          quantity: 1,
+        })
+      ).rejects.toThrow(/not found/);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Realtime events
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("stock events", () => {
+    let events;
+
+    beforeEach(() => {
+      events = [];
+      setRealtime({ emitRestaurantEvent: (_restaurantId, event, data) => events.push({ event, data }) });
+    });
+
+    afterEach(() => setRealtime(null));
+
+    it("sends nothing for a movement whose transaction rolls back", async () => {
+      if (!dbAvailable) return;
+      const item = await createInventoryItem(restaurantId, { materialName: "Paneer", unit: "kg", reorderLevel: 2, openingStock: 3 });
+      events = [];
+
+      await expect(
+        serviceDb.transaction(async (tx) => {
+          await recordStockMovement(restaurantId, item.id, { movementType: "CONSUMPTION", quantity: 2 }, null, tx);
+          throw new Error("order failed");
+        })
+      ).rejects.toThrow("order failed");
+      expect(events).toEqual([]);
+
+      const committed = await serviceDb.transaction((tx) =>
+        recordStockMovement(restaurantId, item.id, { movementType: "CONSUMPTION", quantity: 2 }, null, tx)
+      );
+      expect(events).toEqual([]);
+      emitStockMovement(restaurantId, committed);
+      expect(events.map((e) => e.event)).toEqual(["inventory.updated", "inventory.low_stock"]);
+    });
+  });
+});
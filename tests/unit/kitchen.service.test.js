@@ -0,0 +1,247 @@
+/**
+ * Unit tests — Kitchen stations
+ *
+ * What we validate here:
+ *  - Items route to their own station, else their category's, else the default station
+ *  - Station KDS boards only carry that station's items
+ *  - An order is READY only once every station has bumped its items
+ *  - A station cannot bump another station's items
+ *  - Item timestamps are stamped as items move through the kitchen
+ *  - Overdue items are grouped into one alert per ticket
+ *  - Later courses are held off the board until a waiter fires them
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  routeItemToStation,
+  filterOrdersForStation,
+  deriveOrderKitchenStatus,
+  groupOverdueTickets,
+  currentCourse,
+  nextHeldCourse,
+  createKitchenStation,
+} from "../../src/kitchen/service.js";
+import {
+  createOrder,
+  getKitchenOrders,
+  updateOrderItemStatus,
+  bumpStationItems,
+  fireOrderCourse,
+} from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import { restaurants, menuItems, menuCategories, orderItems } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+describe("Kitchen Stations — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Routing rules — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("routeItemToStation", () => {
+    it("prefers the item's station, then the category's, then the default", () => {
+      expect(routeItemToStation("bar", "tandoor", "main")).toBe("bar");
+      expect(routeItemToStation(null, "tandoor", "main")).toBe("tandoor");
+      expect(routeItemToStation(null, null, "main")).toBe("main");
+      expect(routeItemToStation(null, null, null)).toBeNull();
+    });
+  });
+
+  describe("filterOrdersForStation", () => {
+    const board = [
+      { id: "o1", items: [{ id: "a", kitchenStationId: "bar" }, { id: "b", kitchenStationId: "tandoor" }] },
+      { id: "o2", items: [{ id: "c", kitchenStationId: "tandoor" }] },
+      { id: "o3", items: [{ id: "d", kitchenStationId: null }] },
+    ];
+
+    it("keeps only the station's items and drops orders without any", () => {
+      const bar = filterOrdersForStation(board, "bar");
+      expect(bar.map((o) => o.id)).toEqual(["o1", "o3"]);
+      expect(bar[0].items.map((i) => i.id)).toEqual(["a"]);
+    });
+
+    it("returns the whole board without a station", () => {
+      expect(filterOrdersForStation(board, null)).toBe(board);
+    });
+  });
+
+  describe("deriveOrderKitchenStatus", () => {
+    it("is READY only when every station is done", () => {
+      expect(deriveOrderKitchenStatus([{ status: "READY" }, { status: "PENDING" }])).toBe("PREPARING");
+      expect(deriveOrderKitchenStatus([{ status: "READY" }, { status: "SERVED" }])).toBe("READY");
+      expect(deriveOrderKitchenStatus([{ status: "SERVED" }, { status: "CANCELLED" }])).toBe("SERVED");
+      expect(deriveOrderKitchenStatus([{ status: "PENDING" }])).toBe("PENDING");
+      expect(deriveOrderKitchenStatus([{ status: "PENDING_APPROVAL" }])).toBeNull();
+    });
+
+    it("ignores held courses", () => {
+      expect(deriveOrderKitchenStatus([{ status: "READY" }, { status: "PENDING", isHeld: true }])).toBe("READY");
+    });
+  });
+
+  describe("course firing rules", () => {
+    it("stays on the highest fired course, else starts at the lowest ordered", () => {
+      const items = [
+        { courseNumber: 1, isHeld: false, status: "SERVED" },
+        { courseNumber: 2, isHeld: false, status: "PREPARING" },
+        { courseNumber: 3, isHeld: true, status: "PENDING" },
+      ];
+      expect(currentCourse(items, [1])).toBe(2);
+      expect(currentCourse([], [3, 2])).toBe(2);
+      expect(currentCourse([{ courseNumber: 1, isHeld: false, status: "CANCELLED" }], [2])).toBe(2);
+    });
+
+    it("picks the lowest held course to fire next", () => {
+      expect(nextHeldCourse([
+        { courseNumber: 3, isHeld: true, status: "PENDING" },
+        { courseNumber: 2, isHeld: true, status: "CANCELLED" },
+        { courseNumber: 1, isHeld: false, status: "READY" },
+      ])).toBe(3);
+      expect(nextHeldCourse([{ courseNumber: 1, isHeld: false, status: "PENDING" }])).toBeNull();
+    });
+  });
+
+  describe("groupOverdueTickets", () => {
+    const now = new Date("2026-01-01T12:30:00Z");
+    const acceptedAt = new Date("2026-01-01T12:00:00Z");
+
+    it("groups items per order and KOT with minutes past their SLA", () => {
+      const tickets = groupOverdueTickets(
+        [
+          { id: "a", restaurantId: "r", orderId: "o1", kotNumber: 1, acceptedAt, slaMinutes: 20 },
+          { id: "b", restaurantId: "r", orderId: "o1", kotNumber: 1, acceptedAt, slaMinutes: 10 },
+          { id: "c", restaurantId: "r", orderId: "o1", kotNumber: 2, acceptedAt, slaMinutes: 25 },
+        ],
+        now
+      );
+      expect(tickets).toHaveLength(2);
+      expect(tickets[0]).toMatchObject({ orderId: "o1", kotNumber: 1, overdueMinutes: 20 });
+      expect(tickets[0].items.map((i) => i.overdueMinutes)).toEqual([10, 20]);
+      expect(tickets[1].items.map((i) => i.id)).toEqual(["c"]);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Station flow
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("station bumps", () => {
+    let tandoor, bar, naanId, lassiId;
+
+    beforeEach(async () => {
+      if (!dbAvailable) return;
+      tandoor = await createKitchenStation(restaurantId, { name: "Tandoor", isDefault: true });
+      bar = await createKitchenStation(restaurantId, { name: "Bar" });
+
+      const breads = fixtures.menuCategory(restaurantId);
+      const drinks = fixtures.menuCategory(restaurantId, { kitchenStationId: bar.id });
+      await db.insert(menuCategories).values([breads, drinks]);
+      const naan = fixtures.menuItem(restaurantId, breads.id);
+      const lassi = fixtures.menuItem(restaurantId, drinks.id);
+      naanId = naan.id;
+      lassiId = lassi.id;
+      await db.insert(menuItems).values([naan, lassi]);
+    });
+
+    it("routes items and shows each station only its own", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, {
+        items: [{ menuItemId: naanId, quantity: 2 }, { menuItemId: lassiId, quantity: 1 }],
+      });
+      const stationOf = (menuItemId) => order.items.find((i) => i.menuItemId === menuItemId).kitchenStationId;
+      expect(stationOf(naanId)).toBe(tandoor.id);
+      expect(stationOf(lassiId)).toBe(bar.id);
+
+      const barBoard = await getKitchenOrders(restaurantId, { stationId: bar.id });
+      expect(barBoard).toHaveLength(1);
+      expect(barBoard[0].items.map((i) => i.menuItemId)).toEqual([lassiId]);
+    });
+
+    it("marks the order READY only after every station bumps", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, {
+        items: [{ menuItemId: naanId, quantity: 2 }, { menuItemId: lassiId, quantity: 1 }],
+      });
+
+      const afterBar = await bumpStationItems(restaurantId, order.id, bar.id, "READY");
+      expect(afterBar.status).toBe("PREPARING");
+
+      const afterTandoor = await bumpStationItems(restaurantId, order.id, tandoor.id, "READY");
+      expect(afterTandoor.status).toBe("READY");
+    });
+
+    it("stamps started and ready times as the station bumps", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, { items: [{ menuItemId: naanId, quantity: 1 }] });
+
+      await bumpStationItems(restaurantId, order.id, tandoor.id, "PREPARING");
+      await bumpStationItems(restaurantId, order.id, tandoor.id, "READY");
+
+      const [item] = await db.select().from(orderItems).where(eq(orderItems.orderId, order.id));
+      expect(item.acceptedAt).toBeInstanceOf(Date);
+      expect(item.startedAt).toBeInstanceOf(Date);
+      expect(item.readyAt.getTime()).toBeGreaterThanOrEqual(item.startedAt.getTime());
+      expect(item.servedAt).toBeNull();
+    });
+
+    it("holds later courses off the board until they are fired", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, {
+        items: [{ menuItemId: naanId, quantity: 1, courseNumber: 1 }, { menuItemId: lassiId, quantity: 1, courseNumber: 2 }],
+      });
+      const dessert = order.items.find((i) => i.menuItemId === lassiId);
+      expect(dessert.isHeld).toBe(true);
+
+      const [before] = await getKitchenOrders(restaurantId);
+      expect(before.items.map((i) => i.menuItemId)).toEqual([naanId]);
+      expect(before.upcomingItems.map((i) => i.menuItemId)).toEqual([lassiId]);
+      await expect(
+        updateOrderItemStatus(restaurantId, order.id, dessert.id, "PREPARING")
+      ).rejects.toMatchObject({ status: 409 });
+
+      const fired = await fireOrderCourse(restaurantId, order.id);
+      const firedDessert = fired.items.find((i) => i.id === dessert.id);
+      expect(firedDessert.isHeld).toBe(false);
+      expect(firedDessert.kotNumber).not.toBe(order.items.find((i) => i.menuItemId === naanId).kotNumber);
+    });
+
+    it("refuses to let a station bump another station's item", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, { items: [{ menuItemId: naanId, quantity: 1 }] });
+
+      await expect(
+        updateOrderItemStatus(restaurantId, order.id, order.items[0].id, "READY", { stationId: bar.id })
+      ).rejects.toMatchObject({ status: 403 });
+    });
+  });
+});
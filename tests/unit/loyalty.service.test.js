@@ -0,0 +1,184 @@
+/**
+ * Unit tests — Loyalty program
+ *
+ * What we validate here:
+ *  - Tiers, earning and point values round in the restaurant's favour
+ *  - Redemptions respect the minimum, the balance and the bill share cap
+ *  - Expiry only takes credits that nothing has been spent from
+ *  - Payments earn points, refunds and cancellations take them back exactly once
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  tierFor,
+  pointsEarned,
+  pointsValue,
+  pointsForAmount,
+  redemptionBlockedReason,
+  pointsToExpire,
+} from "../../src/loyalty/rules.js";
+import {
+  updateLoyaltyProgram,
+  getLoyaltyAccount,
+  lookupLoyaltyBalance,
+  lookupLoyaltyBalanceBySlug,
+  adjustPoints,
+} from "../../src/loyalty/service.js";
+import { createCustomer } from "../../src/customer/service.js";
+import { createOrder, updatePaymentStatus, cancelOrderWithReason } from "../../src/order/service.js";
+import { reverseTransaction } from "../../src/transaction/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import { restaurants, menuItems, menuCategories, transactions } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let restaurantSlug;
+let dbAvailable = false;
+
+const program = {
+  isEnabled: true,
+  earnRate: "0.1",
+  pointValue: "0.25",
+  minRedeemPoints: 20,
+  maxRedeemPercent: 50,
+  tiers: [
+    { name: "Gold", minPoints: 500, multiplier: 2 },
+    { name: "Silver", minPoints: 100, multiplier: 1.5 },
+  ],
+};
+
+describe("Loyalty Program — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    restaurantSlug = restaurant.slug;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Rules — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("rules", () => {
+    it("puts guests in the highest tier their lifetime points reach", () => {
+      expect(tierFor(program, 50)).toEqual({ current: null, next: program.tiers[1] });
+      expect(tierFor(program, 100).current.name).toBe("Silver");
+      expect(tierFor(program, 750)).toEqual({ current: program.tiers[0], next: null });
+    });
+
+    it("earns whole points with the tier multiplier, rounding down", () => {
+      expect(pointsEarned(program, "1000.00")).toBe(100);
+      expect(pointsEarned(program, "99.90")).toBe(9);
+      expect(pointsEarned(program, 333, { multiplier: 1.5 })).toBe(49);
+      expect(pointsEarned({ earnRate: "0" }, 500)).toBe(0);
+    });
+
+    it("values points down and prices amounts up", () => {
+      expect(pointsValue(program, 41)).toBe("10.25");
+      expect(pointsValue({ pointValue: "0.29" }, 1)).toBe("0.29");
+      expect(pointsForAmount(program, "10.10")).toBe(41);
+      expect(pointsForAmount(program, 10)).toBe(40);
+    });
+
+    it("explains why a redemption can't go ahead", () => {
+      expect(redemptionBlockedReason({ ...program, isEnabled: false }, 40, 100, 10, 100)).toMatch(/not active/);
+      expect(redemptionBlockedReason(program, 10, 100, 2.5, 100)).toMatch(/At least 20/);
+      expect(redemptionBlockedReason(program, 40, 30, 10, 100)).toMatch(/Only 30/);
+      expect(redemptionBlockedReason(program, 240, 300, 60, 100)).toMatch(/at most 50%/);
+      expect(redemptionBlockedReason(program, 200, 300, 50, 100)).toBeNull();
+    });
+
+    it("expires only the old credits spending hasn't used up", () => {
+      expect(pointsToExpire(300, 120)).toBe(180);
+      expect(pointsToExpire(100, 250)).toBe(0);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Ledger
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("ledger", () => {
+    async function placePaidOrder(phone) {
+      const cat = fixtures.menuCategory(restaurantId);
+      const item = fixtures.menuItem(restaurantId, cat.id, { price: "1000.00" });
+      await db.insert(menuCategories).values(cat);
+      await db.insert(menuItems).values(item);
+      const { order } = await createOrder(restaurantId, {
+        orderType: "TAKEAWAY",
+        guestPhone: phone,
+        items: [{ menuItemId: item.id, quantity: 1 }],
+      });
+      await updatePaymentStatus(restaurantId, order.id, "PAID", "CASH");
+      return order;
+    }
+
+    it("earns on payment and takes the points back on refund and cancellation", async () => {
+      if (!dbAvailable) return;
+      await updateLoyaltyProgram(restaurantId, { isEnabled: true, earnRate: 0.1, pointValue: 1 });
+      const order = await placePaidOrder("9876543210");
+
+      const earned = await lookupLoyaltyBalance(restaurantId, "+91 98765 43210");
+      expect(earned.balance).toBeGreaterThan(0);
+
+      const [payment] = await db.select().from(transactions).where(eq(transactions.orderId, order.id));
+      const half = (Number(payment.grandTotal) / 2).toFixed(2);
+      await reverseTransaction(restaurantId, payment.id, { entryType: "REFUND", amount: Number(half), reason: "Cold food" });
+      const afterRefund = await getLoyaltyAccount(restaurantId, order.customerId);
+      expect(afterRefund.balance).toBe(earned.balance - Math.round(earned.balance / 2));
+
+      // Cancelling reverses what's left, and doing it twice changes nothing
+      await cancelOrderWithReason(restaurantId, order.id, "Guest left");
+      await cancelOrderWithReason(restaurantId, order.id, "Guest left");
+      const account = await getLoyaltyAccount(restaurantId, order.customerId);
+      expect(account.balance).toBe(0);
+      expect(account.entries.map((e) => e.entryType).sort()).toEqual(["EARN", "EARN_REVERSAL", "EARN_REVERSAL"]);
+    });
+
+    it("won't adjust a balance below zero and hides balances while the program is off", async () => {
+      if (!dbAvailable) return;
+      await updateLoyaltyProgram(restaurantId, { isEnabled: true });
+      const customer = await createCustomer(restaurantId, { phone: "9820011223", name: "Anita" });
+
+      await adjustPoints(restaurantId, customer.id, { points: 50, reason: "Birthday" });
+      await expect(adjustPoints(restaurantId, customer.id, { points: -60, reason: "Correction" }))
+        .rejects.toMatchObject({ status: 400 });
+      expect((await lookupLoyaltyBalance(restaurantId, "9820011223")).balance).toBe(50);
+
+      await updateLoyaltyProgram(restaurantId, { isEnabled: false });
+      expect(await lookupLoyaltyBalance(restaurantId, "9820011223")).toBeNull();
+    });
+
+    it("looks balances up for guests by the restaurant's slug", async () => {
+      if (!dbAvailable) return;
+      await updateLoyaltyProgram(restaurantId, { isEnabled: true });
+      const customer = await createCustomer(restaurantId, { phone: "9820011223", name: "Anita" });
+      await adjustPoints(restaurantId, customer.id, { points: 50, reason: "Birthday" });
+
+      expect(await lookupLoyaltyBalanceBySlug(restaurantSlug, "9820011223")).toMatchObject({ balance: 50 });
+      await expect(lookupLoyaltyBalanceBySlug("no-such-place", "9820011223")).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
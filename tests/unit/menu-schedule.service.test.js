@@ -0,0 +1,177 @@
+/**
+ * Unit tests — Menu schedules
+ *
+ * What we validate here:
+ *  - Windows open and close in the restaurant's local time, including ones running past midnight
+ *  - The next schedule change (what the menu cache TTL is cut to)
+ *  - The public menu leaves out scheduled categories and items outside their windows
+ *  - Orders for items outside their own or their category's window are refused
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  isScheduleOpen,
+  nextScheduleChange,
+  describeSchedule,
+  menuCacheTtl,
+  restaurantTimeZone,
+} from "../../src/menu/schedule-rules.js";
+import { createSchedule, listSchedules } from "../../src/menu/schedule-service.js";
+import { getMenuForRestaurant } from "../../src/menu/service.js";
+import { createOrder } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, menuItems, menuCategories } from "../../shared/schema.js";
+
+const TZ = "Asia/Kolkata";
+
+const breakfast = { name: "Breakfast", windows: [{ days: [1, 2, 3, 4, 5], startTime: "07:00", endTime: "11:30" }] };
+const bar = { name: "Bar", windows: [{ startTime: "18:00", endTime: "01:00" }] };
+
+// 2026-03-06 is a Friday; 05:00Z is 10:30 in Asia/Kolkata
+const fridayMorning = new Date("2026-03-06T05:00:00Z");
+
+// Today in the test timezone, so DB tests can build windows that are certainly open or closed now
+const todayInTz = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+  new Intl.DateTimeFormat("en-GB", { timeZone: TZ, weekday: "short" }).format(new Date())
+);
+const alwaysOpen = [{ startTime: "00:00", endTime: "00:00" }];
+const closedToday = [{ days: [(todayInTz + 3) % 7], startTime: "00:00", endTime: "00:00" }];
+
+describe("schedule rules", () => {
+  it("opens and closes windows in local time", () => {
+    expect(isScheduleOpen(breakfast, fridayMorning, TZ)).toBe(true);
+    // 06:30Z = 12:00 IST
+    expect(isScheduleOpen(breakfast, new Date("2026-03-06T06:30:00Z"), TZ)).toBe(false);
+    // Same clock time on Saturday
+    expect(isScheduleOpen(breakfast, new Date("2026-03-07T05:00:00Z"), TZ)).toBe(false);
+  });
+
+  it("keeps a window open past midnight into the next day", () => {
+    // 19:00Z = 00:30 IST Saturday, 20:00Z = 01:30 IST
+    expect(isScheduleOpen(bar, new Date("2026-03-06T19:00:00Z"), TZ)).toBe(true);
+    expect(isScheduleOpen(bar, new Date("2026-03-06T20:00:00Z"), TZ)).toBe(false);
+
+    const fridayLateOnly = { windows: [{ days: [5], startTime: "22:00", endTime: "02:00" }] };
+    // 20:00Z Friday = 01:30 IST Saturday, still Friday's window
+    expect(isScheduleOpen(fridayLateOnly, new Date("2026-03-06T20:00:00Z"), TZ)).toBe(true);
+    // 01:30 IST Friday belongs to Thursday night, which isn't scheduled
+    expect(isScheduleOpen(fridayLateOnly, new Date("2026-03-05T20:00:00Z"), TZ)).toBe(false);
+  });
+
+  it("finds the next opening or closing of any schedule", () => {
+    // 10:30:20 IST on Friday: breakfast ends at 11:30 IST (06:00Z)
+    const at = new Date("2026-03-06T05:00:20Z");
+    expect(nextScheduleChange([breakfast, bar], at, TZ).toISOString()).toBe("2026-03-06T06:00:00.000Z");
+    // After breakfast the next change is the bar opening at 18:00 IST (12:30Z)
+    expect(nextScheduleChange([breakfast, bar], new Date("2026-03-06T07:00:00Z"), TZ).toISOString()).toBe(
+      "2026-03-06T12:30:00.000Z"
+    );
+    expect(nextScheduleChange([], at, TZ)).toBeNull();
+  });
+
+  it("cuts the cache TTL short at the next change", () => {
+    const now = new Date("2026-03-06T05:58:00Z");
+    expect(menuCacheTtl("2026-03-06T06:00:00.000Z", 300, now)).toBe(120);
+    expect(menuCacheTtl("2026-03-06T09:00:00.000Z", 300, now)).toBe(300);
+    expect(menuCacheTtl(null, 300, now)).toBe(300);
+  });
+
+  it("describes windows and falls back to the default timezone", () => {
+    expect(describeSchedule(breakfast)).toBe("Mon, Tue, Wed, Thu, Fri 07:00-11:30");
+    expect(describeSchedule(bar)).toBe("daily 18:00-01:00");
+    expect(restaurantTimeZone({ timezone: "Europe/London" })).toBe("Europe/London");
+    expect(restaurantTimeZone({ timezone: "Mars/Olympus" })).toBe(TZ);
+    expect(restaurantTimeZone(null)).toBe(TZ);
+  });
+});
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+describe("Menu Schedules — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant({ settings: { timezone: TZ } });
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  /** A menu with a category on one schedule and, in an unscheduled category, an item on another */
+  async function scheduledMenu(categoryWindows, itemWindows) {
+    const categorySchedule = await createSchedule(restaurantId, { name: "Breakfast", windows: categoryWindows });
+    const itemSchedule = await createSchedule(restaurantId, { name: "Bar", windows: itemWindows });
+
+    const scheduledCat = fixtures.menuCategory(restaurantId, { scheduleId: categorySchedule.id });
+    const openCat = fixtures.menuCategory(restaurantId);
+    const dosa = fixtures.menuItem(restaurantId, scheduledCat.id, { name: "Masala Dosa" });
+    const mojito = fixtures.menuItem(restaurantId, openCat.id, { name: "Mojito", scheduleId: itemSchedule.id });
+    const naan = fixtures.menuItem(restaurantId, openCat.id, { name: "Butter Naan" });
+    await db.insert(menuCategories).values([scheduledCat, openCat]);
+    await db.insert(menuItems).values([dosa, mojito, naan]);
+    return { scheduledCat, openCat, dosa, mojito, naan };
+  }
+
+  it("leaves closed categories, their items and closed items off the menu", async () => {
+    if (!dbAvailable) return;
+    const { openCat, naan } = await scheduledMenu(closedToday, closedToday);
+
+    const menu = await getMenuForRestaurant(restaurantId);
+    expect(menu.categories.map((c) => c.id)).toEqual([openCat.id]);
+    expect(menu.items.map((i) => i.id)).toEqual([naan.id]);
+    expect(new Date(menu.scheduleChangesAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("shows scheduled sections during their windows", async () => {
+    if (!dbAvailable) return;
+    const { dosa, mojito, naan } = await scheduledMenu(alwaysOpen, alwaysOpen);
+
+    const menu = await getMenuForRestaurant(restaurantId);
+    expect(menu.categories).toHaveLength(2);
+    expect(menu.items.map((i) => i.id).sort()).toEqual([dosa.id, mojito.id, naan.id].sort());
+  });
+
+  it("counts the categories and items on each schedule", async () => {
+    if (!dbAvailable) return;
+    await scheduledMenu(alwaysOpen, alwaysOpen);
+
+    const schedules = await listSchedules(restaurantId);
+    expect(schedules.map(({ name, categoryCount, itemCount }) => ({ name, categoryCount, itemCount }))).toEqual([
+      { name: "Bar", categoryCount: 0, itemCount: 1 },
+      { name: "Breakfast", categoryCount: 1, itemCount: 0 },
+    ]);
+  });
+
+  it("refuses orders for items outside their own or their category's window", async () => {
+    if (!dbAvailable) return;
+    const { dosa, mojito, naan } = await scheduledMenu(closedToday, alwaysOpen);
+    const order = (menuItemId) =>
+      createOrder(restaurantId, { orderType: "TAKEAWAY", items: [{ menuItemId, quantity: 1 }] });
+
+    await expect(order(dosa.id)).rejects.toThrow(/Masala Dosa is only available during Breakfast/);
+    await expect(order(mojito.id)).resolves.toBeTruthy();
+    await expect(order(naan.id)).resolves.toBeTruthy();
+  });
+});
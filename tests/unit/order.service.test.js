@@ -10,11 +10,24 @@
  *  - Status state-machine transitions
  *  - Adding items to open orders re-calculates totals
  *  - Proper error handling for bad input
+ *  - Guest QR ordering: QR version check and staff approval gate
+ *  - Audit trail: only changed fields are kept, voids on paid orders need a reason
  *  - Latency: each service call should complete in < 200ms
  */
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
 import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
-import { createOrder, getOrder, updateOrderStatus, addOrderItems } from "../../src/order/service.js";
+import {
+  createOrder,
+  getOrder,
+  updateOrderStatus,
+  addOrderItems,
+  getGuestOrderingContext,
+  placeGuestOrder,
+  approveGuestOrder,
+  rejectGuestOrder,
+  removeOrderItem,
+} from "../../src/order/service.js";
+import { diffAuditSnapshots, orderAuditSnapshot, listOrderAudit } from "../../src/order/audit.js";
 import { fixtures } from "../utils/fixtures.js";
 import { drizzle } from "drizzle-orm/node-postgres";
 import { restaurants, menuItems, menuCategories, tables } from "../../shared/schema.js";
@@ -236,4 +249,124 @@ describe("Order Service — Unit Tests (Launch Scale)", () => {
       expect(ms).toBeLessThan(200);
     });
   });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Guest QR ordering — unauthenticated orders wait for staff approval
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("guest ordering", () => {
+    let table, slug;
+
+    beforeEach(async () => {
+      if (!dbAvailable) return;
+      table = fixtures.table(restaurantId, { qrCodeVersion: 3 });
+      await db.insert(tables).values(table);
+      const rows = await pool.query("SELECT slug FROM restaurants WHERE id = $1", [restaurantId]);
+      slug = rows.rows[0].slug;
+    });
+
+    it("rejects a superseded QR version", async () => {
+      if (!dbAvailable) return;
+      await expect(getGuestOrderingContext(slug, table.id, 2)).rejects.toThrow(/no longer valid/);
+    });
+
+    it("accepts QR codes printed before they carried a version until the table's QR is regenerated", async () => {
+      if (!dbAvailable) return;
+      const firstQr = fixtures.table(restaurantId, { qrCodeVersion: 1 });
+      await db.insert(tables).values(firstQr);
+      const ctx = await getGuestOrderingContext(slug, firstQr.id, undefined);
+      expect(ctx.tableId).toBe(firstQr.id);
+
+      await expect(getGuestOrderingContext(slug, table.id, undefined)).rejects.toThrow(/no longer valid/);
+    });
+
+    it("places a PENDING_APPROVAL order that approval releases to the kitchen", async () => {
+      if (!dbAvailable) return;
+      const ctx = await getGuestOrderingContext(slug, table.id, 3);
+      expect(ctx.restaurantId).toBe(restaurantId);
+
+      const order = await placeGuestOrder(restaurantId, ctx.tableId, {
+        items: [{ menuItemId: menuItemId1, quantity: 2 }],
+      });
+      expect(order.status).toBe("PENDING_APPROVAL");
+      expect(order.items.every((i) => i.status === "PENDING_APPROVAL")).toBe(true);
+      expect(parseFloat(order.subtotalAmount)).toBeCloseTo(300, 1);
+
+      const approved = await approveGuestOrder(restaurantId, order.id);
+      expect(approved.status).toBe("PENDING");
+      expect(approved.items.every((i) => i.status === "PENDING")).toBe(true);
+    });
+
+    it("rejecting guest items added to a running order drops only those items", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, {
+        tableId: table.id,
+        items: [{ menuItemId: menuItemId1, quantity: 1 }], // 150
+      });
+
+      const withGuestItems = await placeGuestOrder(restaurantId, table.id, {
+        items: [{ menuItemId: menuItemId2, quantity: 1 }], // +80, awaiting approval
+      });
+      expect(withGuestItems.id).toBe(order.id);
+      expect(withGuestItems.items).toHaveLength(2);
+
+      const rejected = await rejectGuestOrder(restaurantId, order.id, "Item out of stock");
+      expect(rejected.status).toBe("PENDING");
+      expect(rejected.items).toHaveLength(1);
+      expect(parseFloat(rejected.subtotalAmount)).toBeCloseTo(150, 1);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Audit trail
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("audit trail", () => {
+    const waiter = { id: "staff-waiter-1", type: "staff" };
+
+    it("keeps only the fields that changed", () => {
+      const before = orderAuditSnapshot({ status: "PENDING", totalAmount: "150.00", notes: "x" });
+      const after = orderAuditSnapshot({ status: "PENDING", totalAmount: "230.00", notes: "y" });
+      expect(before).toEqual({ status: "PENDING", totalAmount: "150.00" });
+      expect(diffAuditSnapshots(before, after)).toEqual({
+        before: { totalAmount: "150.00" },
+        after: { totalAmount: "230.00" },
+      });
+      expect(diffAuditSnapshots({}, { discountAmount: "10.00" }).before).toEqual({ discountAmount: null });
+    });
+
+    it("records who created the order and who added items", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, { items: [{ menuItemId: menuItemId1, quantity: 1 }] }, null, waiter);
+      await addOrderItems(restaurantId, order.id, [{ menuItemId: menuItemId2, quantity: 1 }], "DUE", "DUE", undefined, { actor: waiter });
+
+      const entries = await listOrderAudit(restaurantId, { orderId: order.id });
+      expect(entries.map((e) => e.action)).toEqual(["ITEMS_ADDED", "ORDER_CREATED"]);
+      expect(entries.every((e) => e.actorId === waiter.id && e.actorType === "staff")).toBe(true);
+
+      const byWaiter = await listOrderAudit(restaurantId, { actorId: waiter.id, action: "ITEMS_ADDED" });
+      expect(byWaiter).toHaveLength(1);
+    });
+
+    it("requires a reason to void an item once the order has payments", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, {
+        items: [{ menuItemId: menuItemId1, quantity: 1 }, { menuItemId: menuItemId2, quantity: 1 }],
+      });
+      await pool.query("UPDATE orders SET paid_amount = 100 WHERE id = $1", [order.id]);
+      const item = order.items[1];
+
+      await expect(removeOrderItem(restaurantId, order.id, item.id, null, waiter)).rejects.toMatchObject({ status: 400 });
+
+      await removeOrderItem(restaurantId, order.id, item.id, "Guest changed their mind", waiter);
+      const [voided] = await listOrderAudit(restaurantId, { orderId: order.id, action: "ITEM_VOIDED" });
+      expect(voided).toMatchObject({ orderItemId: item.id, reason: "Guest changed their mind", actorId: waiter.id });
+    });
+
+    it("rejects edits to recorded entries", async () => {
+      if (!dbAvailable) return;
+      const { order } = await createOrder(restaurantId, { items: [{ menuItemId: menuItemId1, quantity: 1 }] });
+      await expect(
+        pool.query("UPDATE order_audit_log SET reason = 'edited' WHERE order_id = $1", [order.id])
+      ).rejects.toThrow(/append-only/);
+    });
+  });
 });
@@ -0,0 +1,169 @@
+/**
+ * Unit tests — Organizations (multi-outlet chains)
+ *
+ * What we validate here:
+ *  - Outlet overrides win over the master price; outlets keep their own sold-out toggles
+ *  - Per-outlet analytics fold into one chain-wide overview
+ *  - Pushing the master menu creates outlet copies once and updates them afterwards
+ *  - Shared staff can access outlets granted to them and no others
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  resolveOutletItem,
+  combineOutletOverviews,
+  createOrganization,
+  createMasterCategory,
+  createMasterItem,
+  setOutletOverride,
+  pushMasterMenu,
+  setStaffOutlets,
+  canAccessOutlet,
+} from "../../src/organization/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import { users, restaurants, menuItems, staff } from "../../shared/schema.js";
+
+let pool, db;
+let ownerId, outletA, outletB;
+let dbAvailable = false;
+
+describe("Organization Service — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const owner = fixtures.user();
+    ownerId = owner.id;
+    await db.insert(users).values(owner);
+
+    outletA = fixtures.restaurant({ ownerId });
+    outletB = fixtures.restaurant({ ownerId });
+    await db.insert(restaurants).values([outletA, outletB]);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // resolveOutletItem / combineOutletOverviews — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("resolveOutletItem", () => {
+    const master = { price: "250.00", isActive: true };
+
+    it("uses the master price and keeps the outlet's availability", () => {
+      expect(resolveOutletItem(master, null, null)).toEqual({ price: "250.00", isAvailable: true, isActive: true });
+      expect(resolveOutletItem(master, null, { isAvailable: false }).isAvailable).toBe(false);
+    });
+
+    it("lets overrides win over both", () => {
+      const override = { price: "275.00", isAvailable: true };
+      expect(resolveOutletItem(master, override, { isAvailable: false })).toEqual({
+        price: "275.00",
+        isAvailable: true,
+        isActive: true,
+      });
+      expect(resolveOutletItem(master, { price: null, isAvailable: null }, null).price).toBe("250.00");
+    });
+  });
+
+  describe("combineOutletOverviews", () => {
+    const overview = (revenue, paidOrders, topItems, categoryBreakdown) => ({
+      kpis: { revenue, refunds: 0, paidOrders, avgOrderValue: revenue / paidOrders, revenueChangePercent: 0 },
+      topItems,
+      categoryBreakdown,
+    });
+
+    it("sums KPIs and merges items and categories across outlets", () => {
+      const combined = combineOutletOverviews([
+        {
+          outlet: { id: "a", name: "Bandra" },
+          overview: overview(3000, 10, [{ name: "Paneer Tikka", orders: 6, revenue: 1800 }], [
+            { name: "Starters", revenue: 3000 },
+          ]),
+        },
+        {
+          outlet: { id: "b", name: "Andheri" },
+          overview: overview(1000, 10, [
+            { name: "Paneer Tikka", orders: 2, revenue: 600 },
+            { name: "Dal Makhani", orders: 4, revenue: 400 },
+          ], [{ name: "Mains", revenue: 1000 }]),
+        },
+      ]);
+
+      expect(combined.kpis).toEqual({ revenue: 4000, refunds: 0, paidOrders: 20, avgOrderValue: 200 });
+      expect(combined.outlets.map((o) => [o.restaurantId, o.sharePercent])).toEqual([["a", 75], ["b", 25]]);
+      expect(combined.topItems[0]).toEqual({ name: "Paneer Tikka", orders: 8, revenue: 2400 });
+      expect(combined.categoryBreakdown.map((c) => c.name)).toEqual(["Starters", "Mains"]);
+    });
+
+    it("handles an organization without outlets", () => {
+      expect(combineOutletOverviews([]).kpis).toEqual({ revenue: 0, refunds: 0, paidOrders: 0, avgOrderValue: 0 });
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Master menu push
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("pushMasterMenu", () => {
+    it("creates outlet copies once, applying per-outlet overrides", async () => {
+      if (!dbAvailable) return;
+      const org = await createOrganization(ownerId, { name: "Spice Group", restaurantIds: [outletA.id, outletB.id] });
+      const category = await createMasterCategory(org.id, { name: "Starters" });
+      const item = await createMasterItem(org.id, { masterCategoryId: category.id, name: "Samosa", price: 60 });
+      await setOutletOverride(org.id, outletB.id, item.id, { price: 80 });
+
+      const first = await pushMasterMenu(org.id);
+      expect(first.every((r) => r.itemsCreated === 1)).toBe(true);
+
+      const second = await pushMasterMenu(org.id);
+      expect(second.every((r) => r.itemsCreated === 0 && r.itemsUpdated === 1)).toBe(true);
+
+      const [copyB] = await db.select().from(menuItems).where(eq(menuItems.restaurantId, outletB.id));
+      expect(parseFloat(copyB.price)).toBe(80);
+      expect(copyB.masterItemId).toBe(item.id);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Shared staff
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("canAccessOutlet", () => {
+    it("allows staff into outlets shared with them only", async () => {
+      if (!dbAvailable) return;
+      const org = await createOrganization(ownerId, { name: "Spice Group", restaurantIds: [outletA.id, outletB.id] });
+      const [waiter] = await db
+        .insert(staff)
+        .values({
+          restaurantId: outletA.id,
+          fullName: "Ravi",
+          role: "WAITER",
+          passcodeHash: "$2b$10$testhashedpassword",
+        })
+        .returning();
+      const user = { id: waiter.id, isStaff: true };
+
+      expect(await canAccessOutlet(user, outletB.id)).toBe(false);
+      await setStaffOutlets(org.id, waiter.id, [outletB.id]);
+      expect(await canAccessOutlet(user, outletB.id)).toBe(true);
+      expect(await canAccessOutlet({ id: ownerId, role: "owner" }, outletB.id)).toBe(true);
+    });
+  });
+});
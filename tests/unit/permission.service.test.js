@@ -0,0 +1,240 @@
+/**
+ * Unit tests — Staff roles and permissions
+ *
+ * What we validate here:
+ *  - Owners get every permission; staff get their base role's defaults
+ *  - A custom role replaces the base role's defaults; inactive staff get nothing
+ *  - requirePermission passes on any of the listed permissions
+ *  - Roles are created from templates, reject unknown permissions and can't be
+ *    deleted while staff hold them
+ *  - Manager overrides challenge only when the action is restricted, and accept
+ *    a passcode only from a manager who holds the permission
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import bcrypt from "bcryptjs";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  ALL_PERMISSIONS,
+  DEFAULT_STAFF_PERMISSIONS,
+  ROLE_TEMPLATES,
+  resolvePermissions,
+  unknownPermissions,
+} from "../../src/permission/catalog.js";
+import {
+  createStaffRole,
+  updateStaffRole,
+  deleteStaffRole,
+  listStaffRoles,
+  getUserPermissions,
+  verifyManagerPasscode,
+} from "../../src/permission/service.js";
+import { requirePermission } from "../../src/middleware/permissions.js";
+import { requireManagerOverride } from "../../src/middleware/managerOverride.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, staff } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+/** Run a middleware and report whether it called next() or the HTTP status it sent */
+function runMiddleware(middleware, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        resolve(code);
+        return { json: () => {} };
+      },
+    };
+    middleware(req, res, (err) => (err ? reject(err) : resolve("next")));
+  });
+}
+
+describe("Staff Permissions — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Catalogue — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("resolvePermissions", () => {
+    it("gives owner accounts every permission and other accounts none", () => {
+      expect(resolvePermissions({ role: "owner" })).toEqual(ALL_PERMISSIONS);
+      expect(resolvePermissions({ role: "platform_admin" })).toEqual(ALL_PERMISSIONS);
+      expect(resolvePermissions({ role: "customer" })).toEqual([]);
+    });
+
+    it("gives staff their base role's defaults unless a custom role is set", () => {
+      const user = { isStaff: true, staffId: "s1", role: "WAITER" };
+      expect(resolvePermissions(user, { role: "WAITER", isActive: true, customPermissions: null })).toEqual(
+        DEFAULT_STAFF_PERMISSIONS.WAITER
+      );
+      expect(
+        resolvePermissions(user, { role: "WAITER", isActive: true, customPermissions: ["payment.take", "retired.perm"] })
+      ).toEqual(["payment.take"]);
+      expect(resolvePermissions(user, { role: "ADMIN", isActive: false, customPermissions: null })).toEqual([]);
+    });
+
+    it("only uses catalogue names in defaults and templates", () => {
+      for (const permissions of Object.values(DEFAULT_STAFF_PERMISSIONS)) {
+        expect(unknownPermissions(permissions)).toEqual([]);
+      }
+      for (const template of Object.values(ROLE_TEMPLATES)) {
+        expect(unknownPermissions(template.permissions)).toEqual([]);
+      }
+      expect(ROLE_TEMPLATES.cashier.permissions).toContain("payment.take");
+      expect(ROLE_TEMPLATES.cashier.permissions).not.toContain("menu.edit");
+    });
+  });
+
+  describe("requirePermission", () => {
+    it("passes when the user holds any of the permissions", async () => {
+      const req = { user: { id: "u1", role: "owner" } };
+      await expect(runMiddleware(requirePermission("menu.edit"), req)).resolves.toBe("next");
+      expect(req.permissions.has("payment.refund")).toBe(true);
+    });
+
+    it("rejects missing users and users without the permission", async () => {
+      await expect(runMiddleware(requirePermission("menu.edit"), {})).resolves.toBe(401);
+      const req = { user: { id: "u1", role: "customer" } };
+      await expect(runMiddleware(requirePermission("menu.edit", "reports.view"), req)).resolves.toBe(403);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Custom roles
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("custom roles", () => {
+    it("replace the base role's permissions for staff who hold them", async () => {
+      if (!dbAvailable) return;
+      const cashier = await createStaffRole(restaurantId, { template: "cashier" });
+      expect(cashier.name).toBe("Cashier");
+
+      const [member] = await db
+        .insert(staff)
+        .values({ restaurantId, fullName: "Asha", role: "WAITER", roleId: cashier.id, passcodeHash: "$2b$10$testhashedpassword" })
+        .returning();
+
+      const permissions = await getUserPermissions({ id: member.id, isStaff: true, staffId: member.id, role: "WAITER" });
+      expect(permissions).toContain("payment.take");
+      expect(permissions).not.toContain("menu.edit");
+      expect(permissions).not.toContain("order.create");
+
+      const host = await createStaffRole(restaurantId, { name: "Host", permissions: ["queue.manage"] });
+      const counts = Object.fromEntries((await listStaffRoles(restaurantId)).map((r) => [r.id, r.staffCount]));
+      expect(counts).toEqual({ [cashier.id]: 1, [host.id]: 0 });
+
+      await expect(deleteStaffRole(restaurantId, cashier.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it("reject unknown permissions and duplicate names", async () => {
+      if (!dbAvailable) return;
+      await expect(
+        createStaffRole(restaurantId, { name: "Host", permissions: ["menu.delete_everything"] })
+      ).rejects.toMatchObject({ status: 400 });
+
+      const host = await createStaffRole(restaurantId, { name: "Host", permissions: ["queue.manage", "table.view"] });
+      await expect(createStaffRole(restaurantId, { name: "host", permissions: [] })).rejects.toMatchObject({ status: 409 });
+
+      const updated = await updateStaffRole(restaurantId, host.id, { permissions: ["reservation.manage", "queue.manage"] });
+      expect(updated.permissions).toEqual(["queue.manage", "reservation.manage"]);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Manager overrides
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("requireManagerOverride", () => {
+    const waiter = () => ({
+      user: { id: "u1", role: "customer" },
+      params: { restaurantId: "r1" },
+      headers: {},
+    });
+
+    it("challenges a restricted call sent without manager credentials", async () => {
+      await expect(runMiddleware(requireManagerOverride("service_charge.waive"), waiter())).resolves.toBe(403);
+    });
+
+    it("lets the call through when the user holds the permission or it isn't restricted", async () => {
+      const owner = { ...waiter(), user: { id: "u2", role: "owner" } };
+      await expect(runMiddleware(requireManagerOverride("order.void_sent"), owner)).resolves.toBe("next");
+
+      const notSent = requireManagerOverride("order.void_sent", { when: async () => false });
+      await expect(runMiddleware(notSent, waiter())).resolves.toBe("next");
+    });
+
+    it("never challenges in optional mode", async () => {
+      const req = waiter();
+      await expect(runMiddleware(requireManagerOverride("discount.approve", { optional: true }), req)).resolves.toBe("next");
+      expect(req.managerOverride).toBeUndefined();
+    });
+  });
+
+  describe("verifyManagerPasscode", () => {
+    it("accepts a manager's passcode only for permissions they hold", async () => {
+      if (!dbAvailable) return;
+      const passcodeHash = await bcrypt.hash("4321", 10);
+      const [manager] = await db
+        .insert(staff)
+        .values({ restaurantId, fullName: "Meera", role: "ADMIN", staffCode: "MGR-01", passcodeHash })
+        .returning();
+      await db
+        .insert(staff)
+        .values({ restaurantId, fullName: "Ravi", role: "WAITER", staffCode: "WTR-01", passcodeHash });
+
+      await expect(
+        verifyManagerPasscode(restaurantId, { staffCode: "mgr01", passcode: "4321" }, "order.void_sent")
+      ).resolves.toEqual({ id: manager.id, fullName: "Meera" });
+      await expect(
+        verifyManagerPasscode(restaurantId, { staffCode: "MGR-01", passcode: "0000" }, "order.void_sent")
+      ).rejects.toMatchObject({ status: 403 });
+      await expect(
+        verifyManagerPasscode(restaurantId, { staffCode: "WTR-01", passcode: "4321" }, "order.void_sent")
+      ).rejects.toMatchObject({ status: 403, message: "Ravi can't approve this" });
+    });
+
+    it("takes the staff id in place of the code, and refuses managers without a passcode", async () => {
+      if (!dbAvailable) return;
+      const passcodeHash = await bcrypt.hash("4321", 10);
+      const [manager] = await db
+        .insert(staff)
+        .values({ restaurantId, fullName: "Meera", role: "ADMIN", staffCode: "MGR-01", passcodeHash })
+        .returning();
+      // No passcode set yet
+      await db.insert(staff).values({ restaurantId, fullName: "Kabir", role: "ADMIN", staffCode: "MGR-02", passcodeHash: "" });
+
+      await expect(
+        verifyManagerPasscode(restaurantId, { staffCode: manager.id, passcode: "4321" }, "order.void_sent")
+      ).resolves.toEqual({ id: manager.id, fullName: "Meera" });
+      await expect(
+        verifyManagerPasscode(restaurantId, { staffCode: "MGR-02", passcode: "4321" }, "order.void_sent")
+      ).rejects.toMatchObject({ status: 403, message: "Invalid manager code or passcode" });
+    });
+  });
+});
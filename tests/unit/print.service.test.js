@@ -0,0 +1,178 @@
+/**
+ * Unit tests — Print documents (tax invoices and KOTs)
+ *
+ * What we validate here:
+ *  - Rows keep amounts pinned to the right edge at the paper's column width
+ *  - Invoices split GST into CGST/SGST and include variant/modifier snapshots
+ *  - Credit notes print positive amounts against the original invoice
+ *  - KOTs mark reprints and cancelled items
+ *  - ESC/POS output is ASCII-safe and ends with a cut; PDF output is well formed
+ */
+import { describe, it, expect } from "@jest/globals";
+import {
+  PAPER_SIZES,
+  buildInvoiceDocument,
+  buildKotDocument,
+  layoutText,
+  toAsciiBlocks,
+  wrapText,
+} from "../../src/print/document.js";
+import { renderEscPos, toMonochromeRaster } from "../../src/print/escpos.js";
+import { renderPdf } from "../../src/print/pdf.js";
+import { renderHtml } from "../../src/print/html.js";
+
+const restaurant = {
+  name: "Spice Route",
+  addressLine1: "12 MG Road",
+  city: "Bengaluru",
+  postalCode: "560001",
+  state: "Karnataka",
+  gstNumber: "29ABCDE1234F1Z5",
+  fssaiNumber: "11223344556677",
+  currency: "₹",
+};
+
+const order = { orderNumber: 42, orderType: "DINE_IN", totalAmount: "577.50", createdAt: "2026-01-10T08:30:00Z" };
+
+const items = [
+  {
+    id: "a",
+    itemName: "Margherita Pizza",
+    variantName: "Large",
+    quantity: 1,
+    totalPrice: "400.00",
+    selectedModifiers: [{ id: "m1", name: "Extra Cheese", price: "50.00", groupId: "g1", groupName: "Toppings" }],
+    status: "SERVED",
+  },
+  { id: "b", itemName: "Masala Chai", quantity: 2, totalPrice: "100.00", status: "SERVED" },
+];
+
+const transaction = {
+  billNumber: "INV-000007",
+  entryType: "PAYMENT",
+  paymentMethod: "UPI",
+  paidAt: "2026-01-10T09:15:00Z",
+  subtotal: "500.00",
+  discountAmount: "0.00",
+  gstAmount: "25.00",
+  serviceTaxAmount: "52.50",
+  grandTotal: "577.50",
+  taxRateGst: "5.00",
+  taxRateService: "10.00",
+};
+
+const texts = (blocks, columns = 48) => layoutText(toAsciiBlocks(blocks), columns).map((line) => line.text);
+
+describe("Print — layout", () => {
+  it("wraps long words and keeps lines within the width", () => {
+    expect(wrapText("Paneer Butter Masala with extra gravy", 12)).toEqual(["Paneer", "Butter", "Masala with", "extra gravy"]);
+    expect(wrapText("Supercalifragilistic", 8)).toEqual(["Supercal", "ifragili", "stic"]);
+  });
+
+  it("pins row amounts to the right edge", () => {
+    const lines = texts([{ type: "row", left: "2 x Masala Chai", right: "100.00" }], 32);
+    expect(lines[0]).toHaveLength(32);
+    expect(lines[0].endsWith("100.00")).toBe(true);
+  });
+});
+
+describe("Print — buildInvoiceDocument", () => {
+  it("lists snapshots and splits GST into CGST and SGST", () => {
+    const lines = texts(
+      buildInvoiceDocument({ restaurant, transaction, order, items, tableNumber: "T4", originalBillNumber: null, withLogo: false })
+    );
+
+    expect(lines.some((l) => l.includes("TAX INVOICE"))).toBe(true);
+    expect(lines.some((l) => l.includes("GSTIN: 29ABCDE1234F1Z5"))).toBe(true);
+    expect(lines.some((l) => l.includes("1 x Margherita Pizza (Large)") && l.endsWith("400.00"))).toBe(true);
+    expect(lines.some((l) => l.includes("+ Extra Cheese"))).toBe(true);
+    expect(lines.find((l) => l.startsWith("CGST @ 2.5%"))).toMatch(/12\.50$/);
+    expect(lines.find((l) => l.startsWith("SGST @ 2.5%"))).toMatch(/12\.50$/);
+    expect(lines.find((l) => l.startsWith("TOTAL"))).toMatch(/Rs\. 577\.50$/);
+  });
+
+  it("prints credit notes as positive amounts against the original invoice", () => {
+    const refund = {
+      ...transaction,
+      billNumber: "CN-000001",
+      entryType: "REFUND",
+      reason: "Cold food",
+      subtotal: "-100.00",
+      gstAmount: "-5.00",
+      serviceTaxAmount: "-10.50",
+      grandTotal: "-115.50",
+    };
+    const lines = texts(
+      buildInvoiceDocument({ restaurant, transaction: refund, order, items, tableNumber: null, originalBillNumber: "INV-000007", withLogo: false })
+    );
+
+    expect(lines.some((l) => l.includes("CREDIT NOTE"))).toBe(true);
+    expect(lines.find((l) => l.startsWith("Against Invoice"))).toMatch(/INV-000007$/);
+    expect(lines.find((l) => l.startsWith("TOTAL REFUNDED"))).toMatch(/Rs\. 115\.50$/);
+    expect(lines.some((l) => l.includes("Reason: Cold food"))).toBe(true);
+  });
+});
+
+describe("Print — buildKotDocument", () => {
+  it("marks reprints and cancelled items", () => {
+    const lines = texts(
+      buildKotDocument({
+        order,
+        items: [items[0], { ...items[1], status: "CANCELLED", notes: "Less sugar" }],
+        kotNumber: 3,
+        tableNumber: "T4",
+        reprint: true,
+      }),
+      32
+    );
+
+    expect(lines[0].trim()).toBe("KOT #3");
+    expect(lines.some((l) => l.includes("** REPRINT **"))).toBe(true);
+    expect(lines.some((l) => l.includes("[CANCELLED] 2 x Masala Chai"))).toBe(true);
+    expect(lines.some((l) => l.includes("Note: Less sugar"))).toBe(true);
+    expect(lines.some((l) => l.includes("Items: 3"))).toBe(true);
+  });
+});
+
+describe("Print — renderers", () => {
+  const blocks = buildInvoiceDocument({ restaurant, transaction, order, items, tableNumber: "T4", originalBillNumber: null, withLogo: true });
+
+  it("renders ASCII-safe ESC/POS with a logo raster and a cut", () => {
+    const logo = toMonochromeRaster(Buffer.from([0, 255, 255, 0, 0, 0, 0, 0, 0, 0]), 10, 1);
+    expect(logo.bytesPerRow).toBe(2);
+    expect([...logo.bits]).toEqual([0b10011111, 0b11000000]);
+
+    const bytes = renderEscPos(blocks, { paper: PAPER_SIZES["58"], logo });
+    expect([...bytes.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+    expect([...bytes.subarray(-3)]).toEqual([0x56, 0x42, 0x00]);
+    expect(bytes.includes(Buffer.from([0x1d, 0x76, 0x30, 0x00, 2, 0, 1, 0]))).toBe(true);
+    expect(bytes.every((b) => b < 0x80 || logo.bits.includes(b))).toBe(true);
+    expect(bytes.toString("latin1")).toContain("Rs. 577.50");
+  });
+
+  it("renders a single-page thermal PDF and a paginated A4 PDF", () => {
+    const thermal = renderPdf(blocks, { paper: PAPER_SIZES["80"] }).toString("latin1");
+    expect(thermal.startsWith("%PDF-1.4")).toBe(true);
+    expect(thermal).toContain("/Count 1");
+    expect(thermal).toMatch(/\( *TAX INVOICE\) Tj/);
+    expect(thermal.trimEnd().endsWith("%%EOF")).toBe(true);
+
+    // The xref offset must point at the xref table
+    const startxref = Number(thermal.match(/startxref\n(\d+)/)[1]);
+    expect(thermal.slice(startxref, startxref + 4)).toBe("xref");
+
+    const longBill = Array.from({ length: 120 }, () => ({ type: "text", text: "line" }));
+    expect(renderPdf(longBill, { paper: PAPER_SIZES.a4 }).toString("latin1")).toMatch(/\/Count [2-9]/);
+  });
+
+  it("escapes HTML and only links http(s) logos", () => {
+    const html = renderHtml([{ type: "logo" }, { type: "text", text: "<b>Chai & Co</b>" }], {
+      paper: PAPER_SIZES["58"],
+      title: "INV-1",
+      logoUrl: "javascript:alert(1)",
+    });
+    expect(html).toContain("&lt;b&gt;Chai &amp; Co&lt;/b&gt;");
+    expect(html).not.toContain("<img");
+    expect(html).toContain("size: 58mm auto");
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests — Promotion rules
+ *
+ * What we validate here:
+ *  - Percentage discounts respect the cap; flat discounts never exceed what they cover
+ *  - Item- and category-scoped discounts only price eligible items
+ *  - Minimum order value is enforced against the item subtotal
+ *  - Happy-hour windows (including ones crossing midnight) and active days use local time
+ *  - Applying a promotion checks it in the restaurant's own timezone
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import { computeDiscount, promotionUnavailableReason, normalizeCode } from "../../src/promotion/rules.js";
+import { createPromotion, applyPromotion } from "../../src/promotion/service.js";
+import { createOrder } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, menuItems, menuCategories } from "../../shared/schema.js";
+
+const items = [
+  { menuItemId: "paneer", categoryId: "mains", totalPrice: "400.00" },
+  { menuItemId: "naan", categoryId: "breads", totalPrice: "120.00" },
+  { menuItemId: "lassi", categoryId: "drinks", totalPrice: "180.00" },
+];
+
+const activePromotion = { isActive: true, startsAt: null, endsAt: null, activeDays: null };
+
+// 2026-03-06 is a Friday; 13:30Z is 19:00 in Asia/Kolkata
+const fridayEvening = new Date("2026-03-06T13:30:00Z");
+const TZ = "Asia/Kolkata";
+
+describe("computeDiscount", () => {
+  it("caps percentage discounts at maxDiscountAmount", () => {
+    const result = computeDiscount(
+      { discountType: "PERCENTAGE", value: 20, rules: { scope: "ORDER", maxDiscountAmount: "100" } },
+      items
+    );
+    expect(result).toEqual({ amount: "100.00", eligibleSubtotal: "700.00", reason: null });
+  });
+
+  it("never discounts more than the eligible items are worth", () => {
+    const result = computeDiscount(
+      { discountType: "FLAT", value: 500, rules: { scope: "ITEMS", menuItemIds: ["naan"] } },
+      items
+    );
+    expect(result.amount).toBe("120.00");
+  });
+
+  it("prices category-scoped discounts on matching items only", () => {
+    const result = computeDiscount(
+      { discountType: "PERCENTAGE", value: 50, rules: { scope: "CATEGORIES", categoryIds: ["drinks"] } },
+      items
+    );
+    expect(result).toEqual({ amount: "90.00", eligibleSubtotal: "180.00", reason: null });
+  });
+
+  it("explains why a discount doesn't apply", () => {
+    expect(
+      computeDiscount({ discountType: "FLAT", value: 50, rules: { minOrderAmount: "1000" } }, items)
+    ).toMatchObject({ amount: "0.00", reason: "Minimum order value is 1000.00" });
+    expect(
+      computeDiscount({ discountType: "FLAT", value: 50, rules: { scope: "CATEGORIES", categoryIds: ["desserts"] } }, items)
+        .reason
+    ).toBe("No items on this order qualify for this discount");
+  });
+
+  it("treats manual discounts (no rules) as order-wide", () => {
+    expect(computeDiscount({ discountType: "PERCENTAGE", value: 10 }, items).amount).toBe("70.00");
+  });
+});
+
+describe("promotionUnavailableReason", () => {
+  it("accepts a happy hour that crosses midnight on either side of it", () => {
+    const lateNight = { ...activePromotion, startTime: "22:00", endTime: "02:00" };
+    // 18:00Z = 23:30 IST, 19:30Z = 01:00 IST the next day
+    expect(promotionUnavailableReason(lateNight, new Date("2026-03-06T18:00:00Z"), TZ)).toBeNull();
+    expect(promotionUnavailableReason(lateNight, new Date("2026-03-06T19:30:00Z"), TZ)).toBeNull();
+    expect(promotionUnavailableReason(lateNight, fridayEvening, TZ)).toBe(
+      "This promotion is only valid between 22:00 and 02:00"
+    );
+  });
+
+  it("restricts promotions to their active days in local time", () => {
+    const weekdaysOnly = { ...activePromotion, activeDays: [1, 2, 3, 4] };
+    expect(promotionUnavailableReason(weekdaysOnly, fridayEvening, TZ)).toBe(
+      "This promotion is only valid on Mon, Tue, Wed, Thu"
+    );
+    expect(promotionUnavailableReason({ ...weekdaysOnly, activeDays: [5] }, fridayEvening, TZ)).toBeNull();
+  });
+
+  it("rejects inactive, upcoming and expired promotions", () => {
+    expect(promotionUnavailableReason({ ...activePromotion, isActive: false }, fridayEvening, TZ)).toMatch(/not active/);
+    expect(
+      promotionUnavailableReason({ ...activePromotion, startsAt: "2026-04-01T00:00:00Z" }, fridayEvening, TZ)
+    ).toMatch(/not started/);
+    expect(
+      promotionUnavailableReason({ ...activePromotion, endsAt: "2026-03-01T00:00:00Z" }, fridayEvening, TZ)
+    ).toMatch(/expired/);
+  });
+
+  it("normalizes codes for case-insensitive matching", () => {
+    expect(normalizeCode("  happy20 ")).toBe("HAPPY20");
+  });
+});
+
+describe("Promotions — Unit Tests", () => {
+  let pool, db;
+  let restaurantId, menuItemId;
+  let dbAvailable = false;
+
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    // Far enough from Asia/Kolkata that the current hour there is never this one
+    const restaurant = fixtures.restaurant({ settings: { timezone: "America/New_York" } });
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+
+    const cat = fixtures.menuCategory(restaurantId);
+    const item = fixtures.menuItem(restaurantId, cat.id, { price: "200.00" });
+    menuItemId = item.id;
+    await db.insert(menuCategories).values(cat);
+    await db.insert(menuItems).values(item);
+  });
+
+  it("checks the happy hour in the restaurant's timezone", async () => {
+    if (!dbAvailable) return;
+    const hour = Number(
+      new Intl.DateTimeFormat("en-GB", { timeZone: "America/New_York", hour: "2-digit", hourCycle: "h23" }).format(new Date())
+    );
+    const hhmm = (h) => `${String(h % 24).padStart(2, "0")}:00`;
+    await createPromotion(restaurantId, {
+      name: "Happy hour",
+      code: "HAPPY",
+      discountType: "PERCENTAGE",
+      value: 10,
+      startTime: hhmm(hour),
+      endTime: hhmm(hour + 2),
+    });
+    const { order } = await createOrder(restaurantId, {
+      orderType: "TAKEAWAY",
+      items: [{ menuItemId, quantity: 1 }],
+    });
+
+    const { discount } = await applyPromotion(restaurantId, order.id, { code: "happy" });
+    expect(discount.amount).toBe("20.00");
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests — Recipe Service
+ *
+ * What we validate here:
+ *  - Base recipe is scaled by quantity
+ *  - A variant with its own recipe replaces the base recipe
+ *  - Modifier recipes are added on top
+ *  - Items without a recipe consume nothing
+ */
+import { describe, it, expect } from "@jest/globals";
+import { buildIngredientRequirements } from "../../src/recipe/service.js";
+
+const lines = [
+  { inventoryItemId: "dough", menuItemId: "pizza", variantId: null, modifierId: null, quantity: "0.200" },
+  { inventoryItemId: "cheese", menuItemId: "pizza", variantId: null, modifierId: null, quantity: "0.050" },
+  { inventoryItemId: "dough", menuItemId: null, variantId: "pizza-large", modifierId: null, quantity: "0.350" },
+  { inventoryItemId: "cheese", menuItemId: null, variantId: "pizza-large", modifierId: null, quantity: "0.090" },
+  { inventoryItemId: "cheese", menuItemId: null, variantId: null, modifierId: "extra-cheese", quantity: "0.030" },
+];
+
+describe("Recipe Service — buildIngredientRequirements", () => {
+  it("scales the base recipe by quantity", () => {
+    const totals = buildIngredientRequirements(lines, [{ menuItemId: "pizza", quantity: 2 }]);
+    expect(totals.get("dough")).toBeCloseTo(0.4, 3);
+    expect(totals.get("cheese")).toBeCloseTo(0.1, 3);
+  });
+
+  it("uses the variant recipe instead of the base recipe", () => {
+    const totals = buildIngredientRequirements(lines, [
+      { menuItemId: "pizza", selectedVariantId: "pizza-large", quantity: 1 },
+    ]);
+    expect(totals.get("dough")).toBeCloseTo(0.35, 3);
+    expect(totals.get("cheese")).toBeCloseTo(0.09, 3);
+  });
+
+  it("falls back to the base recipe when the variant has none", () => {
+    const totals = buildIngredientRequirements(lines, [
+      { menuItemId: "pizza", selectedVariantId: "pizza-small", quantity: 1 },
+    ]);
+    expect(totals.get("dough")).toBeCloseTo(0.2, 3);
+  });
+
+  it("adds modifier recipes per unit", () => {
+    const totals = buildIngredientRequirements(lines, [
+      { menuItemId: "pizza", quantity: 3, selectedModifiers: [{ id: "extra-cheese" }] },
+    ]);
+    expect(totals.get("cheese")).toBeCloseTo(0.15 + 0.09, 3);
+  });
+
+  it("returns nothing for items without a recipe", () => {
+    const totals = buildIngredientRequirements(lines, [{ menuItemId: "lassi", quantity: 4 }]);
+    expect(totals.size).toBe(0);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests — Reservation Service
+ *
+ * What we validate here:
+ *  - Auto-assignment picks the smallest free table that seats the party
+ *  - Overlapping bookings on a table are rejected; back-to-back ones are not
+ *  - Parties larger than the table's capacity are rejected
+ *  - Cancelling a held reservation frees its table
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  pickTable,
+  reservationSettings,
+  createReservation,
+  cancelReservation,
+} from "../../src/reservation/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import { restaurants, tables, reservations } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+const inHours = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+
+describe("Reservation Service — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // pickTable / reservationSettings — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("pickTable", () => {
+    const candidates = [
+      { id: "t6", tableNumber: "6", capacity: 6 },
+      { id: "t10", tableNumber: "10", capacity: 2 },
+      { id: "t2", tableNumber: "2", capacity: 2 },
+      { id: "t4", tableNumber: "4", capacity: 4 },
+    ];
+
+    it("picks the smallest table that seats the party, lowest number first", () => {
+      expect(pickTable(candidates, 2, new Set()).id).toBe("t2");
+      expect(pickTable(candidates, 3, new Set()).id).toBe("t4");
+    });
+
+    it("skips booked tables and returns null when nothing fits", () => {
+      expect(pickTable(candidates, 3, new Set(["t4"])).id).toBe("t6");
+      expect(pickTable(candidates, 8, new Set())).toBeNull();
+    });
+  });
+
+  describe("reservationSettings", () => {
+    it("falls back to defaults and honours restaurant overrides", () => {
+      expect(reservationSettings(null)).toEqual({
+        durationMinutes: 90,
+        holdMinutes: 30,
+        noShowMinutes: 20,
+        maxDaysAhead: 60,
+      });
+      expect(reservationSettings({ reservationDurationMinutes: 120 }).durationMinutes).toBe(120);
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Booking
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("createReservation", () => {
+    it("rejects overlapping bookings on a table but allows back-to-back ones", async () => {
+      if (!dbAvailable) return;
+      const table = fixtures.table(restaurantId, { capacity: 4 });
+      await db.insert(tables).values(table);
+
+      const first = await createReservation(restaurantId, {
+        guestName: "Asha",
+        partySize: 4,
+        startsAt: inHours(2),
+        durationMinutes: 60,
+      });
+      expect(first.tableId).toBe(table.id);
+
+      await expect(
+        createReservation(restaurantId, { guestName: "Vikram", partySize: 2, startsAt: inHours(2.5), tableId: table.id })
+      ).rejects.toMatchObject({ status: 409 });
+
+      const next = await createReservation(restaurantId, {
+        guestName: "Meera",
+        partySize: 2,
+        startsAt: first.endsAt.toISOString(),
+        tableId: table.id,
+      });
+      expect(next.status).toBe("BOOKED");
+    });
+
+    it("rejects parties larger than the table", async () => {
+      if (!dbAvailable) return;
+      const table = fixtures.table(restaurantId, { capacity: 2 });
+      await db.insert(tables).values(table);
+
+      await expect(
+        createReservation(restaurantId, { guestName: "Family", partySize: 5, startsAt: inHours(3), tableId: table.id })
+      ).rejects.toThrow(/seats 2/);
+    });
+  });
+
+  describe("cancelReservation", () => {
+    it("frees a table that was held for the booking", async () => {
+      if (!dbAvailable) return;
+      const table = fixtures.table(restaurantId, { currentStatus: "RESERVED" });
+      await db.insert(tables).values(table);
+
+      const reservation = await createReservation(restaurantId, {
+        guestName: "Kabir",
+        partySize: 2,
+        startsAt: inHours(0.25),
+        tableId: table.id,
+      });
+      await db.update(reservations).set({ tableHeldAt: new Date() }).where(eq(reservations.id, reservation.id));
+
+      const cancelled = await cancelReservation(restaurantId, reservation.id, "Plans changed");
+      expect(cancelled.status).toBe("CANCELLED");
+
+      const [after] = await db.select().from(tables).where(eq(tables.id, table.id));
+      expect(after.currentStatus).toBe("AVAILABLE");
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Unit tests — Business hours, holidays and paused orders
+ *
+ * What we validate here:
+ *  - Open/closed state in the restaurant's local time, including hours past midnight and holidays
+ *  - When that state next changes (what the public profile and menu cache TTLs are cut to)
+ *  - Guests can't join the queue or order while closed; paused orders stop ordering, not the queue
+ *  - By-hour analytics flag the hours the restaurant was closed, keeping the orders taken in them,
+ *    while figures across hours leave those hours out
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import { openingStatus, guestClosedReason } from "../../src/restaurant/hours.js";
+import { openHoursInRange, openPeriodsInRange } from "../../src/analytics/range.js";
+import { getAnalyticsOverview, getPrepTimeAnalytics } from "../../src/analytics/service.js";
+import { setOrdersPaused, updateBusinessHours, getRestaurantBySlug } from "../../src/restaurant/service.js";
+import { registerInQueue } from "../../src/queue/service.js";
+import { placeGuestOrder, createOrder } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, tables, menuCategories, menuItems } from "../../shared/schema.js";
+
+const TZ = "Asia/Kolkata";
+const settings = { timezone: TZ };
+
+const lunchAndDinner = [
+  { startTime: "12:00", endTime: "15:00" },
+  { days: [5, 6], startTime: "19:00", endTime: "01:00" },
+];
+
+// 2026-03-06 is a Friday; 07:30Z is 13:00 in Asia/Kolkata
+const fridayLunch = new Date("2026-03-06T07:30:00Z");
+
+describe("opening status", () => {
+  it("is open inside business hours and closed outside them", () => {
+    const restaurant = { settings, businessHours: lunchAndDinner, holidays: [] };
+    expect(openingStatus(restaurant, fridayLunch)).toMatchObject({
+      isOpen: true,
+      acceptingOrders: true,
+      closedReason: null,
+      // Lunch ends at 15:00 IST
+      changesAt: "2026-03-06T09:30:00.000Z",
+    });
+    // 17:00 IST, between lunch and dinner
+    expect(openingStatus(restaurant, new Date("2026-03-06T11:30:00Z"))).toMatchObject({
+      isOpen: false,
+      closedReason: "HOURS",
+      changesAt: "2026-03-06T13:30:00.000Z",
+    });
+    // 00:30 IST Saturday is still Friday's dinner
+    expect(openingStatus(restaurant, new Date("2026-03-06T19:00:00Z")).isOpen).toBe(true);
+  });
+
+  it("is always open without business hours", () => {
+    expect(openingStatus({ settings, businessHours: null, holidays: [] }, fridayLunch)).toMatchObject({
+      isOpen: true,
+      changesAt: null,
+    });
+  });
+
+  it("closes the whole local day on a holiday", () => {
+    const restaurant = { settings, businessHours: lunchAndDinner, holidays: [{ date: "2026-03-06", name: "Holi" }] };
+    expect(openingStatus(restaurant, fridayLunch)).toMatchObject({
+      isOpen: false,
+      closedReason: "HOLIDAY",
+      holiday: "Holi",
+      // Whichever boundary comes first: lunch ending before midnight
+      changesAt: "2026-03-06T09:30:00.000Z",
+    });
+    const status = openingStatus({ ...restaurant, businessHours: null }, fridayLunch);
+    // Midnight IST
+    expect(status.changesAt).toBe("2026-03-06T18:30:00.000Z");
+    expect(guestClosedReason(status)).toBe("The restaurant is closed today for Holi");
+  });
+
+  it("stops orders but not the queue while paused", () => {
+    const status = openingStatus(
+      { settings, businessHours: null, holidays: [], ordersPausedAt: new Date(), ordersPauseReason: "Kitchen is full" },
+      fridayLunch
+    );
+    expect(status).toMatchObject({ isOpen: true, acceptingOrders: false, ordersPaused: true });
+    expect(guestClosedReason(status)).toBeNull();
+    expect(guestClosedReason(status, { orders: true })).toBe("The restaurant has paused orders: Kitchen is full");
+  });
+
+  it("lists the hours of the day that overlap business hours on the days in a range", () => {
+    const opts = { timeZone: TZ };
+    // Local days in Asia/Kolkata: Thursday 5th, Friday 6th, Saturday 7th and Sunday 8th of March 2026
+    const localDay = (date) => {
+      const start = new Date(`${date}T00:00:00+05:30`);
+      return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+    };
+    const hours = (businessHours, holidays, range) => openHoursInRange(businessHours, holidays, range, opts);
+
+    expect(hours(null, [], localDay("2026-03-05"))).toHaveLength(24);
+    expect(hours([{ startTime: "12:30", endTime: "15:00" }], [], localDay("2026-03-05"))).toEqual([12, 13, 14]);
+    expect(hours([{ startTime: "00:00", endTime: "00:00" }], [], localDay("2026-03-05"))).toHaveLength(24);
+
+    // Dinner is Friday and Saturday only, and Friday's runs on into Saturday
+    expect(hours(lunchAndDinner, [], localDay("2026-03-05"))).toEqual([12, 13, 14]);
+    expect(hours(lunchAndDinner, [], localDay("2026-03-06"))).toEqual([12, 13, 14, 19, 20, 21, 22, 23]);
+    expect(hours(lunchAndDinner, [], localDay("2026-03-07"))).toEqual([0, 12, 13, 14, 19, 20, 21, 22, 23]);
+    expect(hours(lunchAndDinner, [], localDay("2026-03-08"))).toEqual([0, 12, 13, 14]);
+    expect(hours(lunchAndDinner, [], {
+      start: localDay("2026-03-05").start,
+      end: localDay("2026-03-08").end,
+    })).toEqual([0, 12, 13, 14, 19, 20, 21, 22, 23]);
+
+    // A holiday closes the whole day, including the early hours of the night before's dinner
+    const holi = [{ date: "2026-03-07", name: "Holi" }];
+    expect(hours(lunchAndDinner, holi, localDay("2026-03-07"))).toEqual([]);
+    expect(hours(null, holi, localDay("2026-03-07"))).toEqual([]);
+    // Only its own date though, as for opening status: Saturday's dinner still runs into Sunday
+    expect(hours(lunchAndDinner, holi, localDay("2026-03-08"))).toEqual([0, 12, 13, 14]);
+  });
+
+  it("lists the periods of a range the restaurant was open, joining dinner across midnight", () => {
+    const opts = { timeZone: TZ };
+    const at = (local) => new Date(`${local}+05:30`);
+    const periods = (holidays, range) => openPeriodsInRange(lunchAndDinner, holidays, range, opts);
+    const fridayAndSaturday = { start: at("2026-03-06T00:00:00"), end: at("2026-03-08T00:00:00") };
+
+    expect(periods([], fridayAndSaturday)).toEqual([
+      { start: at("2026-03-06T12:00:00"), end: at("2026-03-06T15:00:00") },
+      { start: at("2026-03-06T19:00:00"), end: at("2026-03-07T01:00:00") },
+      { start: at("2026-03-07T12:00:00"), end: at("2026-03-07T15:00:00") },
+      { start: at("2026-03-07T19:00:00"), end: at("2026-03-08T00:00:00") },
+    ]);
+    // Cut to the range, and a holiday closes its whole day
+    const fromFridayLunch = { start: at("2026-03-06T13:00:00"), end: fridayAndSaturday.end };
+    expect(periods([{ date: "2026-03-07" }], fromFridayLunch)).toEqual([
+      { start: at("2026-03-06T13:00:00"), end: at("2026-03-06T15:00:00") },
+      { start: at("2026-03-06T19:00:00"), end: at("2026-03-07T00:00:00") },
+    ]);
+  });
+});
+
+let pool, db;
+let restaurant;
+let dbAvailable = false;
+
+// Today in the test timezone, so DB tests can close the restaurant for certain
+const todayInTz = new Intl.DateTimeFormat("en-CA", { timeZone: TZ }).format(new Date());
+const weekdayInTz = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+  new Intl.DateTimeFormat("en-GB", { timeZone: TZ, weekday: "short" }).format(new Date())
+);
+const closedToday = [{ days: [(weekdayInTz + 3) % 7], startTime: "00:00", endTime: "00:00" }];
+
+describe("Business Hours — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+    restaurant = fixtures.restaurant({ settings });
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  const guest = { guestName: "Priya Patel", partySize: 2, phoneNumber: "+919876543210" };
+
+  it("refuses guests joining the queue outside business hours, but not staff", async () => {
+    if (!dbAvailable) return;
+    await updateBusinessHours(restaurant.id, { businessHours: closedToday });
+
+    await expect(registerInQueue(restaurant.id, guest, { fromGuest: true })).rejects.toMatchObject({
+      status: 403,
+      message: "The restaurant is closed right now",
+    });
+    await expect(registerInQueue(restaurant.id, guest)).resolves.toMatchObject({ status: "WAITING" });
+  });
+
+  it("keeps orders taken outside business hours in the by-hour analytics, flagged as closed", async () => {
+    if (!dbAvailable) return;
+    await updateBusinessHours(restaurant.id, { businessHours: closedToday });
+    const category = fixtures.menuCategory(restaurant.id);
+    const item = fixtures.menuItem(restaurant.id, category.id);
+    await db.insert(menuCategories).values(category);
+    await db.insert(menuItems).values(item);
+    await createOrder(restaurant.id, { orderType: "TAKEAWAY", items: [{ menuItemId: item.id, quantity: 1 }] });
+
+    const overview = await getAnalyticsOverview(restaurant.id, "day");
+    expect(overview.trafficVolume).toHaveLength(24);
+    expect(overview.trafficVolume.every((h) => !h.isOpen)).toBe(true);
+    expect(overview.trafficVolume.reduce((sum, h) => sum + h.count, 0)).toBe(1);
+  });
+
+  it("leaves items prepared while closed out of prep-time figures, but not out of the by-hour chart", async () => {
+    if (!dbAvailable) return;
+    await updateBusinessHours(restaurant.id, { businessHours: closedToday });
+    const category = fixtures.menuCategory(restaurant.id);
+    const item = fixtures.menuItem(restaurant.id, category.id);
+    await db.insert(menuCategories).values(category);
+    await db.insert(menuItems).values(item);
+    await createOrder(restaurant.id, { orderType: "TAKEAWAY", items: [{ menuItemId: item.id, quantity: 1 }] });
+    await pool.query(
+      `UPDATE order_items SET accepted_at = now(), ready_at = now() + interval '12 minutes' WHERE restaurant_id = $1`,
+      [restaurant.id]
+    );
+
+    const prep = await getPrepTimeAnalytics(restaurant.id, "day");
+    expect(prep.overall.items).toBe(0);
+    expect(prep.byItem).toEqual([]);
+    expect(prep.byHour.reduce((sum, h) => sum + h.items, 0)).toBe(1);
+
+    await updateBusinessHours(restaurant.id, { businessHours: [] });
+    const open = await getPrepTimeAnalytics(restaurant.id, "day");
+    expect(open.overall).toMatchObject({ items: 1, avgMinutes: 12 });
+  });
+
+  it("reports holidays on the public profile", async () => {
+    if (!dbAvailable) return;
+    await updateBusinessHours(restaurant.id, { holidays: [{ date: todayInTz, name: "Diwali" }] });
+
+    const profile = await getRestaurantBySlug(restaurant.slug);
+    expect(profile.openStatus).toMatchObject({ isOpen: false, closedReason: "HOLIDAY", holiday: "Diwali" });
+    await expect(registerInQueue(restaurant.id, guest, { fromGuest: true })).rejects.toThrow(
+      "The restaurant is closed today for Diwali"
+    );
+  });
+
+  it("refuses guest orders while orders are paused, and takes them again once resumed", async () => {
+    if (!dbAvailable) return;
+    const table = fixtures.table(restaurant.id);
+    const category = fixtures.menuCategory(restaurant.id);
+    const item = fixtures.menuItem(restaurant.id, category.id);
+    await db.insert(tables).values(table);
+    await db.insert(menuCategories).values(category);
+    await db.insert(menuItems).values(item);
+    const order = () => placeGuestOrder(restaurant.id, table.id, { items: [{ menuItemId: item.id, quantity: 1 }] });
+
+    const paused = await setOrdersPaused(restaurant.id, { paused: true, reason: "Kitchen is full" });
+    expect(paused.openStatus).toMatchObject({ isOpen: true, acceptingOrders: false, pauseReason: "Kitchen is full" });
+    await expect(order()).rejects.toMatchObject({ status: 403 });
+    // The waitlist keeps running
+    await expect(registerInQueue(restaurant.id, guest, { fromGuest: true })).resolves.toBeTruthy();
+
+    const resumed = await setOrdersPaused(restaurant.id, { paused: false });
+    expect(resumed.openStatus.acceptingOrders).toBe(true);
+    await expect(order()).resolves.toBeTruthy();
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests — Staff shifts
+ *
+ * What we validate here:
+ *  - Worked minutes exclude breaks; open shifts and breaks run until now
+ *  - Attendance totals per staff member (hours, late and missed shifts, orders)
+ *  - Clock-in picks up the scheduled shift and can't be done twice
+ *  - Orders placed by a clocked-in staff member are attributed to their shift
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import {
+  shiftStatus,
+  computeShiftMinutes,
+  summarizeAttendance,
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  scheduleShift,
+  getOnFloor,
+} from "../../src/shift/service.js";
+import { createOrder } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, menuItems, menuCategories, staff } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId;
+let dbAvailable = false;
+
+const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+
+describe("Staff Shifts — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Hours — pure, no DB needed
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("computeShiftMinutes", () => {
+    const shift = { scheduledStart: at("09:00"), scheduledEnd: at("17:00"), clockInAt: at("09:10"), clockOutAt: at("17:10") };
+
+    it("subtracts breaks from the time clocked in", () => {
+      const minutes = computeShiftMinutes(shift, [{ startedAt: at("13:00"), endedAt: at("13:30") }]);
+      expect(minutes).toEqual({ scheduledMinutes: 480, workedMinutes: 450, breakMinutes: 30, lateMinutes: 10 });
+    });
+
+    it("runs open shifts and breaks until now", () => {
+      const open = { ...shift, clockOutAt: null };
+      const minutes = computeShiftMinutes(open, [{ startedAt: at("12:00"), endedAt: null }], at("12:20"));
+      expect(minutes.breakMinutes).toBe(20);
+      expect(minutes.workedMinutes).toBe(170);
+    });
+
+    it("counts nothing worked before clock-in", () => {
+      expect(computeShiftMinutes({ ...shift, clockInAt: null, clockOutAt: null }).workedMinutes).toBe(0);
+      expect(shiftStatus({ ...shift, clockInAt: null, clockOutAt: null }, at("18:00"))).toBe("MISSED");
+      expect(shiftStatus({ ...shift, clockOutAt: null }, at("12:00"))).toBe("ON_SHIFT");
+    });
+  });
+
+  describe("summarizeAttendance", () => {
+    it("totals hours, late and missed shifts and orders per staff member", () => {
+      const report = summarizeAttendance(
+        [
+          { staffId: "w1", fullName: "Asha", role: "WAITER", scheduledStart: at("09:00"), scheduledEnd: at("13:00"),
+            clockInAt: at("09:20"), clockOutAt: at("13:20"), breaks: [], ordersPlaced: 4, salesAmount: "1200.50" },
+          { staffId: "w1", fullName: "Asha", role: "WAITER", scheduledStart: at("14:00"), scheduledEnd: at("16:00"),
+            clockInAt: null, clockOutAt: null, breaks: [], ordersPlaced: 0, salesAmount: "0" },
+          { staffId: "k1", fullName: "Bilal", role: "KITCHEN", scheduledStart: null, scheduledEnd: null,
+            clockInAt: at("08:00"), clockOutAt: at("14:00"), breaks: [{ startedAt: at("11:00"), endedAt: at("11:30") }] },
+        ],
+        at("18:00")
+      );
+
+      expect(report.map((r) => r.fullName)).toEqual(["Asha", "Bilal"]);
+      expect(report[0]).toMatchObject({
+        shifts: 1, missedShifts: 1, lateShifts: 1, workedMinutes: 240, hoursWorked: 4, ordersPlaced: 4, salesAmount: "1200.50",
+      });
+      expect(report[1]).toMatchObject({ shifts: 1, hoursWorked: 5.5, breakMinutes: 30, lateShifts: 0 });
+    });
+  });
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Clock-in flow
+  // ──────────────────────────────────────────────────────────────────────────────
+  describe("clock-in", () => {
+    let waiter;
+
+    beforeEach(async () => {
+      if (!dbAvailable) return;
+      [waiter] = await db
+        .insert(staff)
+        .values({ restaurantId, fullName: "Asha", role: "WAITER", passcodeHash: "$2b$10$testhashedpassword" })
+        .returning();
+    });
+
+    it("picks up the scheduled shift and refuses a second clock-in", async () => {
+      if (!dbAvailable) return;
+      const now = Date.now();
+      const scheduled = await scheduleShift(restaurantId, {
+        staffId: waiter.id,
+        scheduledStart: new Date(now + 30 * 60_000).toISOString(),
+        scheduledEnd: new Date(now + 6 * 3_600_000).toISOString(),
+      });
+
+      const shift = await clockIn(restaurantId, waiter.id);
+      expect(shift.id).toBe(scheduled.id);
+      expect(shift.status).toBe("ON_SHIFT");
+      await expect(clockIn(restaurantId, waiter.id)).rejects.toMatchObject({ status: 409 });
+
+      const onFloor = await getOnFloor(restaurantId);
+      expect(onFloor.map((s) => s.fullName)).toEqual(["Asha"]);
+    });
+
+    it("ends an open break on clock-out", async () => {
+      if (!dbAvailable) return;
+      await clockIn(restaurantId, waiter.id);
+      const onBreak = await startBreak(restaurantId, waiter.id);
+      expect(onBreak.onBreak).toBe(true);
+      await expect(startBreak(restaurantId, waiter.id)).rejects.toMatchObject({ status: 409 });
+
+      const done = await clockOut(restaurantId, waiter.id);
+      expect(done.status).toBe("COMPLETED");
+      expect(done.breaks[0].endedAt).toBeInstanceOf(Date);
+      await expect(endBreak(restaurantId, waiter.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it("attributes orders to the waiter's active shift", async () => {
+      if (!dbAvailable) return;
+      const cat = fixtures.menuCategory(restaurantId);
+      const item = fixtures.menuItem(restaurantId, cat.id);
+      await db.insert(menuCategories).values(cat);
+      await db.insert(menuItems).values(item);
+
+      const shift = await clockIn(restaurantId, waiter.id);
+      const { order } = await createOrder(restaurantId, { items: [{ menuItemId: item.id, quantity: 1 }] }, waiter.id);
+      expect(order.shiftId).toBe(shift.id);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests — Merged tables and table moves
+ *
+ * What we validate here:
+ *  - Merging folds a merged-in table's open order into the primary's bill
+ *  - New orders for any table of a group land on the primary; the group shares one status
+ *  - Moving single items re-totals both orders
+ *  - Splitting frees the detached tables
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import { mergeTables, splitTables } from "../../src/table/service.js";
+import { createOrder, getOrder, transferOrderItems } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { eq } from "drizzle-orm";
+import { restaurants, menuItems, menuCategories, tables } from "../../shared/schema.js";
+
+let pool, db;
+let restaurantId, menuItemId;
+let dbAvailable = false;
+
+describe("Table Merges — Unit Tests", () => {
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db   = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+
+    const cat = fixtures.menuCategory(restaurantId);
+    await db.insert(menuCategories).values(cat);
+    const item = fixtures.menuItem(restaurantId, cat.id, { price: "100.00" });
+    menuItemId = item.id;
+    await db.insert(menuItems).values(item);
+  });
+
+  const tableStatus = async (id) => {
+    const [row] = await db.select().from(tables).where(eq(tables.id, id));
+    return row;
+  };
+
+  describe("mergeTables", () => {
+    it("folds a merged-in table's order into the primary's bill", async () => {
+      if (!dbAvailable) return;
+      const [primary, member] = [fixtures.table(restaurantId), fixtures.table(restaurantId)];
+      await db.insert(tables).values([primary, member]);
+
+      const { order: first } = await createOrder(restaurantId, {
+        tableId: primary.id,
+        items: [{ menuItemId, quantity: 1 }],
+      });
+      const { order: second } = await createOrder(restaurantId, {
+        tableId: member.id,
+        items: [{ menuItemId, quantity: 2 }],
+      });
+
+      await mergeTables(restaurantId, primary.id, [member.id]);
+
+      const billed = await getOrder(restaurantId, first.id);
+      expect(billed.items).toHaveLength(2);
+      expect(parseFloat(billed.subtotalAmount)).toBe(300);
+      expect((await getOrder(restaurantId, second.id)).status).toBe("CANCELLED");
+
+      const memberRow = await tableStatus(member.id);
+      expect(memberRow.mergedIntoTableId).toBe(primary.id);
+      expect(memberRow.currentStatus).toBe("OCCUPIED");
+    });
+
+    it("places new orders for a merged-in table on the primary", async () => {
+      if (!dbAvailable) return;
+      const [primary, member] = [fixtures.table(restaurantId), fixtures.table(restaurantId)];
+      await db.insert(tables).values([primary, member]);
+      await mergeTables(restaurantId, primary.id, [member.id]);
+
+      const { order } = await createOrder(restaurantId, {
+        tableId: member.id,
+        items: [{ menuItemId, quantity: 1 }],
+      });
+      expect(order.tableId).toBe(primary.id);
+      expect((await tableStatus(member.id)).currentStatus).toBe("OCCUPIED");
+    });
+
+    it("refuses to merge a table that already belongs to another group", async () => {
+      if (!dbAvailable) return;
+      const [a, b, c] = [fixtures.table(restaurantId), fixtures.table(restaurantId), fixtures.table(restaurantId)];
+      await db.insert(tables).values([a, b, c]);
+      await mergeTables(restaurantId, a.id, [b.id]);
+
+      await expect(mergeTables(restaurantId, c.id, [b.id])).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe("transferOrderItems", () => {
+    it("moves items to the other table's order and re-totals both", async () => {
+      if (!dbAvailable) return;
+      const [from, to] = [fixtures.table(restaurantId), fixtures.table(restaurantId)];
+      await db.insert(tables).values([from, to]);
+
+      const { order } = await createOrder(restaurantId, {
+        tableId: from.id,
+        items: [
+          { menuItemId, quantity: 1 },
+          { menuItemId, quantity: 3 },
+        ],
+      });
+      const moving = order.items.find((i) => i.quantity === 3);
+
+      const result = await transferOrderItems(restaurantId, order.id, [moving.id], to.id);
+      expect(parseFloat(result.order.subtotalAmount)).toBe(100);
+      expect(result.targetOrder.tableId).toBe(to.id);
+      expect(parseFloat(result.targetOrder.subtotalAmount)).toBe(300);
+      expect(result.targetOrder.status).toBe("PENDING");
+      expect((await tableStatus(to.id)).currentStatus).toBe("OCCUPIED");
+    });
+  });
+
+  describe("splitTables", () => {
+    it("detaches merged tables and frees them", async () => {
+      if (!dbAvailable) return;
+      const [primary, member] = [fixtures.table(restaurantId), fixtures.table(restaurantId)];
+      await db.insert(tables).values([primary, member]);
+      await createOrder(restaurantId, { tableId: primary.id, items: [{ menuItemId, quantity: 1 }] });
+      await mergeTables(restaurantId, primary.id, [member.id]);
+
+      await splitTables(restaurantId, primary.id);
+
+      const memberRow = await tableStatus(member.id);
+      expect(memberRow.mergedIntoTableId).toBeNull();
+      expect(memberRow.currentStatus).toBe("AVAILABLE");
+      expect((await tableStatus(primary.id)).currentStatus).toBe("OCCUPIED");
+    });
+  });
+});
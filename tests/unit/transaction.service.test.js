@@ -0,0 +1,254 @@
+/**
+ * Unit tests — Transaction Service (split bills, refunds and voids)
+ *
+ * What we validate here:
+ *  - Equal shares add back up to the bill, with the last share taking the rounding
+ *  - Item splits carry a proportional share of taxes and discount
+ *  - Items can't be paid for twice and methods can't be mixed
+ *  - Custom amounts can't exceed the outstanding balance
+ *  - Refunds are negative entries capped at what's left on the payment
+ *  - Voids reverse the payment and put the order back to owing
+ *  - Item splits only offer the items that were billed
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "@jest/globals";
+import { createTestPool, cleanDatabase, closePool } from "../utils/db.js";
+import { buildSplitShares, reverseTransaction, previewSplit } from "../../src/transaction/service.js";
+import { createOrder, updatePaymentStatus } from "../../src/order/service.js";
+import { fixtures } from "../utils/fixtures.js";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { restaurants, menuItems, menuCategories, orderItems } from "../../shared/schema.js";
+
+// 3 items, 5% GST, 10% service, no discount: 600 + 30 + 60 = 690
+const order = {
+  subtotalAmount: "600.00",
+  gstAmount: "30.00",
+  serviceTaxAmount: "60.00",
+  discountAmount: "0.00",
+  totalAmount: "690.00",
+  paid_amount: "0.00",
+};
+
+const items = [
+  { id: "a", itemName: "Paneer Tikka", quantity: 1, totalPrice: "250.00" },
+  { id: "b", itemName: "Dal Makhani", quantity: 1, totalPrice: "200.00" },
+  { id: "c", itemName: "Naan", quantity: 3, totalPrice: "150.00" },
+];
+
+const sum = (shares) => shares.reduce((total, s) => total + Number(s.grandTotal), 0);
+
+describe("Transaction Service — buildSplitShares", () => {
+  it("splits equally and lets the last share absorb rounding", () => {
+    const odd = { ...order, totalAmount: "100.00", subtotalAmount: "86.96", gstAmount: "4.35", serviceTaxAmount: "8.69" };
+    const shares = buildSplitShares(odd, items, [], {
+      method: "EQUAL",
+      shares: 3,
+      payments: [{}, {}, {}],
+    });
+
+    expect(shares.map((s) => s.grandTotal)).toEqual(["33.33", "33.33", "33.34"]);
+    expect(sum(shares)).toBeCloseTo(100, 2);
+    expect(shares[2].settlesOrder).toBe(true);
+  });
+
+  it("continues an equal split where earlier payers left off", () => {
+    const partlyPaid = { ...order, paid_amount: "230.00" };
+    const existing = [{ splitMethod: "EQUAL", splitDetails: { shares: 3, shareNumber: 1 } }];
+    const shares = buildSplitShares(partlyPaid, items, existing, {
+      method: "EQUAL",
+      shares: 3,
+      payments: [{ payerLabel: "Asha" }],
+    });
+
+    expect(shares[0].grandTotal).toBe("230.00");
+    expect(shares[0].payerLabel).toBe("Asha");
+    expect(shares[0].splitDetails).toEqual({ shares: 3, shareNumber: 2 });
+    expect(shares[0].settlesOrder).toBe(false);
+  });
+
+  it("prices item splits with proportional taxes", () => {
+    const shares = buildSplitShares(order, items, [], {
+      method: "ITEMS",
+      payments: [{ orderItemIds: ["a"] }, { orderItemIds: ["b", "c"] }],
+    });
+
+    expect(shares[0]).toMatchObject({
+      subtotal: "250.00",
+      gstAmount: "12.50",
+      serviceTaxAmount: "25.00",
+      grandTotal: "287.50",
+    });
+    expect(shares[1].grandTotal).toBe("402.50");
+    expect(shares[1].settlesOrder).toBe(true);
+    expect(shares[1].items.map((i) => i.id)).toEqual(["b", "c"]);
+  });
+
+  it("refuses to charge for an item twice", () => {
+    const existing = [{ splitMethod: "ITEMS", splitDetails: { orderItemIds: ["a"] } }];
+    expect(() =>
+      buildSplitShares({ ...order, paid_amount: "287.50" }, items, existing, {
+        method: "ITEMS",
+        payments: [{ orderItemIds: ["a", "b"] }],
+      })
+    ).toThrow("Paneer Tikka has already been paid for");
+  });
+
+  it("refuses to mix equal and item splits", () => {
+    const existing = [{ splitMethod: "EQUAL", splitDetails: { shares: 2, shareNumber: 1 } }];
+    expect(() =>
+      buildSplitShares({ ...order, paid_amount: "345.00" }, items, existing, {
+        method: "ITEMS",
+        payments: [{ orderItemIds: ["a"] }],
+      })
+    ).toThrow("different method");
+  });
+
+  it("apportions custom amounts and caps them at the balance", () => {
+    const shares = buildSplitShares(order, items, [], {
+      method: "CUSTOM",
+      payments: [{ amount: 138 }],
+    });
+    expect(shares[0]).toMatchObject({
+      subtotal: "120.00",
+      gstAmount: "6.00",
+      serviceTaxAmount: "12.00",
+      grandTotal: "138.00",
+    });
+
+    expect(() =>
+      buildSplitShares(order, items, [], { method: "CUSTOM", payments: [{ amount: 700 }] })
+    ).toThrow("exceeds the outstanding balance");
+  });
+
+  it("rejects payments on a fully paid order", () => {
+    expect(() =>
+      buildSplitShares({ ...order, paid_amount: "690.00" }, items, [], {
+        method: "CUSTOM",
+        payments: [{ amount: 10 }],
+      })
+    ).toThrow("already fully paid");
+  });
+});
+
+describe("Transaction Service — refunds and voids", () => {
+  let pool, db;
+  let restaurantId, menuItemId;
+  let dbAvailable = false;
+
+  beforeAll(async () => {
+    const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!testDbUrl) {
+      console.warn("⚠️  Skipping — TEST_DATABASE_URL not configured");
+      return;
+    }
+    try {
+      pool = createTestPool();
+      db = drizzle(pool);
+      await pool.query("SELECT 1");
+      await cleanDatabase(pool);
+      dbAvailable = true;
+    } catch (err) {
+      console.warn(`⚠️  DB unavailable: ${err.message}`);
+    }
+  });
+
+  afterAll(async () => { if (pool) await closePool(pool); });
+
+  beforeEach(async () => {
+    if (!dbAvailable) return;
+    await cleanDatabase(pool);
+
+    const restaurant = fixtures.restaurant();
+    restaurantId = restaurant.id;
+    await db.insert(restaurants).values(restaurant);
+
+    const cat = fixtures.menuCategory(restaurantId);
+    await db.insert(menuCategories).values(cat);
+
+    const item = fixtures.menuItem(restaurantId, cat.id, { price: "200.00" });
+    menuItemId = item.id;
+    await db.insert(menuItems).values(item);
+  });
+
+  /** TAKEAWAY order for 200 + 5% GST = 210, paid by card */
+  async function paidOrder() {
+    const { order } = await createOrder(restaurantId, {
+      orderType: "TAKEAWAY",
+      items: [{ menuItemId, quantity: 1 }],
+    });
+    await updatePaymentStatus(restaurantId, order.id, "PAID", "CARD");
+    const rows = await pool.query("SELECT id FROM transactions WHERE order_id = $1", [order.id]);
+    return { order, transactionId: rows.rows[0].id };
+  }
+
+  it("leaves cancelled items out of item splits", async () => {
+    if (!dbAvailable) return;
+    const { order } = await createOrder(restaurantId, {
+      orderType: "TAKEAWAY",
+      items: [{ menuItemId, quantity: 1 }],
+    });
+    const cancelled = fixtures.orderItem(order.id, restaurantId, menuItemId, { status: "CANCELLED" });
+    await db.insert(orderItems).values(cancelled);
+
+    await expect(
+      previewSplit(restaurantId, order.id, { method: "ITEMS", payments: [{ orderItemIds: [cancelled.id] }] })
+    ).rejects.toMatchObject({ status: 404 });
+
+    // The billed item alone settles the bill
+    const billed = await pool.query("SELECT id FROM order_items WHERE order_id = $1 AND status <> 'CANCELLED'", [order.id]);
+    const [share] = await previewSplit(restaurantId, order.id, {
+      method: "ITEMS",
+      payments: [{ orderItemIds: [billed.rows[0].id] }],
+    });
+    expect(share).toMatchObject({ grandTotal: "210.00", settlesOrder: true });
+  });
+
+  it("records a partial refund as a linked negative entry", async () => {
+    if (!dbAvailable) return;
+    const { transactionId } = await paidOrder();
+
+    const { reversal, order } = await reverseTransaction(
+      restaurantId,
+      transactionId,
+      { entryType: "REFUND", amount: 52.5, reason: "Cold food", paymentMethod: "CASH" },
+      { id: "manager-1", type: "user" }
+    );
+
+    expect(reversal.entryType).toBe("REFUND");
+    expect(reversal.originalTransactionId).toBe(transactionId);
+    expect(reversal.billNumber).toMatch(/^CN-/);
+    expect(reversal.grandTotal).toBe("-52.50");
+    expect(reversal.gstAmount).toBe("-2.50");
+    expect(reversal.paymentMethod).toBe("CASH");
+    expect(reversal.approvedById).toBe("manager-1");
+    // A refund doesn't reopen the bill
+    expect(order.paymentStatus).toBe("PAID");
+
+    await expect(
+      reverseTransaction(restaurantId, transactionId, { entryType: "REFUND", amount: 200, reason: "Again" })
+    ).rejects.toThrow("exceeds the refundable balance of 157.50");
+  });
+
+  it("voids a payment and leaves the order owing again", async () => {
+    if (!dbAvailable) return;
+    const { transactionId } = await paidOrder();
+
+    const { reversal, original, order } = await reverseTransaction(restaurantId, transactionId, {
+      entryType: "VOID",
+      reason: "Charged the wrong card",
+    });
+
+    expect(reversal.grandTotal).toBe("-210.00");
+    expect(original.voidedAt).toBeTruthy();
+    expect(order.paymentStatus).toBe("DUE");
+    expect(order.paid_amount).toBe("0.00");
+
+    const net = await pool.query("SELECT SUM(grand_total) AS net FROM transactions WHERE restaurant_id = $1", [
+      restaurantId,
+    ]);
+    expect(parseFloat(net.rows[0].net)).toBe(0);
+
+    await expect(
+      reverseTransaction(restaurantId, transactionId, { entryType: "VOID", reason: "Twice" })
+    ).rejects.toThrow("already been voided");
+  });
+});
@@ -26,17 +26,46 @@ export function createTestPool() {
  * (Referencing rows must be deleted before referenced rows.)
  */
 const DELETE_ORDER = [
-  "order_items",      // refs: orders, menu_items, restaurants
-  "transactions",     // refs: orders, restaurants
+  "loyalty_ledger",   // refs: customers, orders, transactions, order_discounts, restaurants
+  "recipe_ingredients", // refs: inventory_items, menu_items, variants, modifiers
+  "order_discounts",  // refs: orders, promotions, restaurants
+  "order_audit_log",  // refs: restaurants
+  "manager_overrides", // refs: restaurants
+  "promotions",       // refs: restaurants
+  "order_items",      // refs: orders, menu_items, restaurants, kitchen_stations
+  "deliveries",       // refs: orders, staff, restaurants
+  "delivery_fee_rules", // refs: restaurants
+  "aggregator_events", // refs: aggregator_integrations, orders
+  "channel_sync_log", // refs: aggregator_integrations, menu_items
+  "aggregator_item_mappings", // refs: aggregator_integrations, menu_items, menu_item_variants, modifiers
+  "aggregator_integrations", // refs: restaurants
+  "transactions",     // refs: orders, restaurants, cash_drawer_sessions
+  "cash_drawer_movements", // refs: cash_drawer_sessions
+  "cash_drawer_sessions", // refs: restaurants, staff
+  "z_reports",        // refs: restaurants
   "analytics_events", // refs: restaurants, tables, orders, menu_items
-  "orders",           // refs: restaurants, tables
-  "guest_queue",      // refs: restaurants
+  "orders",           // refs: restaurants, tables, staff_shifts, customers
+  "guest_queue",      // refs: restaurants, customers
+  "reservations",     // refs: restaurants, tables
+  "customers",        // refs: restaurants
+  "loyalty_programs", // refs: restaurants
+  "inventory_movements", // refs: inventory_items, restaurants
   "inventory_items",  // refs: restaurants
-  "staff",            // refs: restaurants
-  "menu_items",       // refs: restaurants, menu_categories
+  "staff_shift_breaks", // refs: staff_shifts
+  "staff_shifts",     // refs: staff, restaurants
+  "staff_outlet_access", // refs: staff, restaurants
+  "staff",            // refs: restaurants, staff_roles
+  "staff_roles",      // refs: restaurants
+  "outlet_menu_overrides", // refs: restaurants, master_menu_items
+  "menu_items",       // refs: restaurants, menu_categories, master_menu_items, menu_schedules
   "tables",           // refs: restaurants
-  "menu_categories",  // refs: restaurants
-  "restaurants",      // refs: users
+  "menu_categories",  // refs: restaurants, master_menu_categories, kitchen_stations, menu_schedules
+  "menu_schedules",   // refs: restaurants
+  "kitchen_stations", // refs: restaurants
+  "master_menu_items", // refs: organizations, master_menu_categories
+  "master_menu_categories", // refs: organizations
+  "restaurants",      // refs: users, organizations
+  "organizations",    // refs: users
   "users",
 ];
 